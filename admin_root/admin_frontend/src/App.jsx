@@ -10,6 +10,15 @@ import MockExamDetail from './pages/MockExamDetail'
 import TraineeDashboard from './pages/TraineeDashboard'
 import BulkBookings from './pages/BulkBookings'
 import BulkMocks from './pages/BulkMocks'
+import SessionTemplates from './pages/SessionTemplates'
+import Rooms from './pages/Rooms'
+import Locations from './pages/Locations'
+import Staff from './pages/Staff'
+import AuditLog from './pages/AuditLog'
+import Trash from './pages/Trash'
+import DataExports from './pages/DataExports'
+import AttendanceReport from './pages/AttendanceReport'
+import UtilizationReport from './pages/UtilizationReport'
 import Login from './pages/Login'
 import PasswordReset from './pages/PasswordReset'
 import MainLayout from './components/layout/MainLayout'
@@ -96,9 +105,21 @@ function App() {
                 {/* Trainee Dashboard */}
                 <Route path="trainees" element={<TraineeDashboard />} />
 
+                {/* Reports */}
+                <Route path="reports" element={<Navigate to="/reports/attendance" replace />} />
+                <Route path="reports/attendance" element={<AttendanceReport />} />
+                <Route path="reports/utilization" element={<UtilizationReport />} />
+
                 {/* Data Management Routes */}
                 <Route path="data-management/bulk-bookings" element={<BulkBookings />} />
                 <Route path="data-management/bulk-mocks" element={<BulkMocks />} />
+                <Route path="data-management/session-templates" element={<SessionTemplates />} />
+                <Route path="data-management/rooms" element={<Rooms />} />
+                <Route path="data-management/locations" element={<Locations />} />
+                <Route path="data-management/staff" element={<Staff />} />
+                <Route path="data-management/audit-log" element={<AuditLog />} />
+                <Route path="data-management/trash" element={<Trash />} />
+                <Route path="data-management/exports" element={<DataExports />} />
               </Route>
             </Routes>
           </AuthProvider>
@@ -46,6 +46,7 @@ const determineAggregateStatus = (sessions) => {
 const AggregateRow = ({
   aggregate,
   onView,
+  onManageSeries,
   isSelectionMode = false,
   onToggleSelection,
   isSelected
@@ -230,6 +231,7 @@ const AggregateRow = ({
                         session={session}
                         nested={true}
                         onView={onView}
+                        onManageSeries={onManageSeries}
                         isSelectionMode={isSelectionMode}
                         onToggleSelection={onToggleSelection}
                         isSelected={isSelected ? isSelected(session.id) : false}
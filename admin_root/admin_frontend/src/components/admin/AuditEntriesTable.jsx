@@ -0,0 +1,128 @@
+/**
+ * AuditEntriesTable Component
+ * Mock exam audit log rows: when, what action, which fields changed (before → after)
+ * and who made the change. Used by the exam History tab and the Audit Log page.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_FIELD_LABELS,
+  formatAuditValue,
+  formatAuditTimestamp
+} from '../../hooks/useAuditLog';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  clone: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  delete: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  purge: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  restore: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  status_change: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+};
+
+const DEFAULT_ACTION_STYLE = 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300';
+
+const ChangeList = ({ changes }) => {
+  const fields = Object.entries(changes || {});
+
+  if (fields.length === 0) {
+    return <span className="text-gray-400 dark:text-gray-500">—</span>;
+  }
+
+  return (
+    <ul className="space-y-0.5">
+      {fields.map(([field, change]) => (
+        <li key={field}>
+          <span className="font-medium">{AUDIT_FIELD_LABELS[field] || field}:</span>{' '}
+          <span className="text-gray-500 dark:text-gray-400 line-through">{formatAuditValue(field, change?.from)}</span>
+          {' → '}
+          <span>{formatAuditValue(field, change?.to)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AuditEntriesTable = ({ entries, showExam = false, onRequestClick }) => {
+  const headings = ['Date', ...(showExam ? ['Mock Exam'] : []), 'Action', 'Changes', 'By', 'Request'];
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead className="bg-gray-50 dark:bg-gray-800">
+          <tr>
+            {headings.map((heading) => (
+              <th
+                key={heading}
+                className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+              >
+                {heading}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map((entry) => (
+            <tr key={entry.id} className="align-top">
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                {formatAuditTimestamp(entry.created_at)}
+              </td>
+              {showExam && (
+                <td className="px-4 py-2 text-sm whitespace-nowrap">
+                  {['delete', 'purge'].includes(entry.action) ? (
+                    <span className="text-gray-500 dark:text-gray-400">{entry.mock_exam_id}</span>
+                  ) : (
+                    <Link
+                      to={`/mock-exams/${entry.mock_exam_id}`}
+                      className="text-primary-600 dark:text-primary-400 hover:underline"
+                    >
+                      {entry.mock_exam_id}
+                    </Link>
+                  )}
+                </td>
+              )}
+              <td className="px-4 py-2 text-sm whitespace-nowrap">
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[entry.action] || DEFAULT_ACTION_STYLE}`}>
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                </span>
+                {entry.metadata?.source_session_id && (
+                  <span className="block mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    from {entry.metadata.source_session_id}
+                  </span>
+                )}
+                {entry.metadata?.source && (
+                  <span className="block mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    via {entry.metadata.source}
+                  </span>
+                )}
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                <ChangeList changes={entry.changes} />
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                {entry.actor_email || '—'}
+              </td>
+              <td className="px-4 py-2 text-xs font-mono text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                {onRequestClick ? (
+                  <button
+                    onClick={() => onRequestClick(entry.request_id)}
+                    className="hover:text-primary-600 dark:hover:text-primary-400 hover:underline"
+                    title="Show every change made by this request"
+                  >
+                    {entry.request_id?.slice(0, 8)}
+                  </button>
+                ) : (
+                  <span title={entry.request_id}>{entry.request_id?.slice(0, 8)}</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AuditEntriesTable;
@@ -4,7 +4,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue, SelectGr
 import { Checkbox } from '../ui/checkbox';
 import { DatePicker } from '../ui/date-picker';
 import { Calendar, MapPin, Users, BookOpen, CheckCircle, X } from 'lucide-react';
-import { LOCATIONS, MOCK_TYPES } from '../../constants/examConstants';
+import { MOCK_TYPES } from '../../constants/examConstants';
+import { useLocationOptions } from '../../hooks/useLocations';
 
 /**
  * BookingFilters Component
@@ -16,13 +17,14 @@ import { LOCATIONS, MOCK_TYPES } from '../../constants/examConstants';
  * 5. Booking Status (single select)
  */
 const BookingFilters = ({ bookings = [], filters, onFiltersChange, className = '', cancelButton = null }) => {
-  // Use centralized constants for location and mock type options
+  // Locations from the location catalog (retired sites included), mock types from the constants
+  const { locationNames } = useLocationOptions({ includeInactive: true });
   const uniqueValues = useMemo(() => {
     return {
-      locations: LOCATIONS,
+      locations: locationNames,
       mockTypes: MOCK_TYPES
     };
-  }, []);
+  }, [locationNames]);
 
   // Initialize filters if not provided
   const [localFilters, setLocalFilters] = useState({
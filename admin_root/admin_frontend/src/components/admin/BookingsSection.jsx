@@ -68,6 +68,8 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
   // State for rebook modal
   const [rebookModalOpen, setRebookModalOpen] = useState(false);
   const [selectedBookingForRebook, setSelectedBookingForRebook] = useState(null);
+  // Exam set the trainee has already seen, returned by a blocked rebook: { examId, message }
+  const [rebookSetRepeat, setRebookSetRepeat] = useState(null);
 
   // Rebook mutation - note: rebookSelectionState is used later, defined after processedBookings
   const rebookMutation = useRebookBooking({
@@ -75,6 +77,7 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
     onSuccess: async () => {
       setRebookModalOpen(false);
       setSelectedBookingForRebook(null);
+      setRebookSetRepeat(null);
       // Refresh bookings list after successful rebook
       setIsRefreshing(true);
       try {
@@ -92,11 +95,19 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
   });
 
   // Handler for confirming rebook
-  const handleRebookConfirm = useCallback((newExamId) => {
+  const handleRebookConfirm = useCallback((newExamId, { overrideSetRepeat = false } = {}) => {
     if (selectedBookingForRebook) {
+      setRebookSetRepeat(null);
       rebookMutation.mutate({
         bookingId: selectedBookingForRebook.id,
-        newMockExamId: newExamId
+        newMockExamId: newExamId,
+        overrideSetRepeat
+      }, {
+        onError: (error) => {
+          if (error?.code === 'MOCK_SET_REPEAT') {
+            setRebookSetRepeat({ examId: newExamId, message: error.message });
+          }
+        }
       });
     }
   }, [selectedBookingForRebook, rebookMutation]);
@@ -113,6 +124,7 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
     try {
       // Use authenticated API method with refundTokens from cancellation state
       const shouldRefundTokens = cancellationState?.refundTokens ?? true;
+      const refundPolicy = cancellationState?.refundPolicy ?? 'full';
       const result = await traineeApi.batchCancelBookings(
         selectedBookings.map(b => ({
           id: b.id,
@@ -122,7 +134,8 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
           email: b.email,
           reason: 'Admin cancelled from trainee dashboard'
         })),
-        shouldRefundTokens
+        shouldRefundTokens,
+        refundPolicy
       );
 
       if (!result.success) {
@@ -137,6 +150,10 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
         toast.warning(`${result.data.summary.failed} booking(s) could not be cancelled`, { duration: 6000 });
       }
 
+      if (result.data.summary.tokensForfeited > 0) {
+        toast(`${result.data.summary.tokensForfeited} token(s) forfeited under the cancellation policy`, { icon: 'ℹ️', duration: 5000 });
+      }
+
       cancellationState?.closeModal?.();
       cancellationState?.toggleMode?.(); // Exit cancellation mode
 
@@ -292,6 +309,7 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
   const handleRebookCloseWithModeExit = useCallback(() => {
     setRebookModalOpen(false);
     setSelectedBookingForRebook(null);
+    setRebookSetRepeat(null);
     // Clear selection but stay in rebook mode so user can select another
     rebookSelectionState.clearSelection();
   }, [rebookSelectionState]);
@@ -573,6 +591,8 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
         isLoading={cancellationState?.isSubmitting || false}
         refundTokens={cancellationState?.refundTokens ?? true}
         onToggleRefund={cancellationState?.toggleRefund}
+        refundPolicy={cancellationState?.refundPolicy ?? 'full'}
+        onChangeRefundPolicy={cancellationState?.setRefundPolicy}
       />
 
       {/* Rebook Modal */}
@@ -582,6 +602,8 @@ const BookingsSection = ({ bookings, summary, loading, error, onRefresh, contact
         booking={selectedBookingForRebook}
         onConfirm={handleRebookConfirm}
         isSubmitting={rebookMutation.isPending}
+        setHistory={summary?.set_history}
+        setRepeat={rebookSetRepeat}
       />
     </div>
   );
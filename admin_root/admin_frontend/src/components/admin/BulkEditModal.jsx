@@ -58,9 +58,9 @@ import { DatePicker } from '@/components/ui/date-picker';
 import { DateTimePicker } from '@/components/ui/datetime-picker';
 import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
+import { useLocationOptions } from '../../hooks/useLocations';
 import {
   MOCK_TYPE_OPTIONS,
-  LOCATION_OPTIONS,
   EXAM_STATUS_OPTIONS,
   MOCK_SET_OPTIONS,
   MOCK_SET_APPLICABLE_TYPES
@@ -72,6 +72,8 @@ const BulkEditModal = ({
   selectedSessions,
   onSuccess
 }) => {
+  const { locationOptions } = useLocationOptions();
+
   // Form state - sentinel values for selects, empty for inputs
   const [formData, setFormData] = useState({
     location: '__keep_current__',
@@ -398,7 +400,7 @@ const BulkEditModal = ({
                                   </SelectTrigger>
                                   <SelectContent>
                                     <SelectItem value="__keep_current__">Keep current</SelectItem>
-                                    {LOCATION_OPTIONS.map(option => (
+                                    {locationOptions.map(option => (
                                       <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
                                     ))}
                                   </SelectContent>
@@ -13,8 +13,13 @@ import { DatePicker } from '@/components/ui/date-picker';
 import { DateTimePicker } from '@/components/ui/datetime-picker';
 import { Label } from '@/components/ui/label';
 import { convertTorontoToUTC } from '../../utils/dateTimeUtils';
+import { templateToCloneFields, getTemplateActivationDateTime } from '../../utils/sessionTemplates';
+import TemplatePicker from './TemplatePicker';
+import RoomSelect from './RoomSelect';
+import RoomConflictNotice from './RoomConflictNotice';
+import { getRoomConflicts } from '../../hooks/useRooms';
+import { useLocationOptions } from '../../hooks/useLocations';
 import {
-  LOCATIONS,
   MOCK_TYPES,
   EXAM_STATUS_OPTIONS,
   MOCK_SET_OPTIONS,
@@ -49,7 +54,8 @@ const KEEP_ORIGINAL = '__KEEP_ORIGINAL__';
  * - Pre-populates form for single session selection (date +7 days)
  * - Shows blank form for multiple session selection
  * - Required field: exam_date (must differ from source)
- * - Optional fields: location, mock_type, capacity, times, status
+ * - Optional fields: location, room, mock_type, capacity, times, status
+ * - Room double bookings are shown inline with a "Clone Anyway" option
  * - Empty fields use source session values
  * - Populated fields override source values for ALL clones
  * - NO confirmation input required (simpler UX than bulk edit/delete)
@@ -61,6 +67,8 @@ const CloneMockExamsModal = ({
   selectedSessions,
   onSuccess
 }) => {
+  const { locationNames } = useLocationOptions();
+
   // Form state
   const [formData, setFormData] = useState({
     exam_date: '',
@@ -74,6 +82,10 @@ const CloneMockExamsModal = ({
     scheduled_activation_datetime: ''
   });
   const [validationErrors, setValidationErrors] = useState({});
+  const [appliedTemplate, setAppliedTemplate] = useState(null);
+  // undefined = keep each source session's room, '' = no room, otherwise a room id
+  const [roomId, setRoomId] = useState(undefined);
+  const [roomConflicts, setRoomConflicts] = useState(null);
 
   const cloneMutation = useCloneSessions();
 
@@ -127,8 +139,20 @@ const CloneMockExamsModal = ({
     }
 
     setValidationErrors({});
+    setAppliedTemplate(null);
+    setRoomId(undefined);
+    setRoomConflicts(null);
   }, [isOpen, selectedSessions]);
 
+  // A room sets the clones' location to its site
+  const handleRoomChange = (room) => {
+    setRoomId(room === undefined ? undefined : room?.id || '');
+    setRoomConflicts(null);
+    if (room) {
+      handleFieldChange('location', room.site);
+    }
+  };
+
   // Handle ESC key to close modal
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -177,6 +201,30 @@ const CloneMockExamsModal = ({
     }
   };
 
+  // Apply a session template to the override fields (the new exam date is kept)
+  const handleApplyTemplate = (template) => {
+    setAppliedTemplate(template);
+    if (!template) return;
+
+    setFormData(prev => ({
+      ...prev,
+      ...templateToCloneFields(template, prev.exam_date)
+    }));
+    setValidationErrors({});
+  };
+
+  // A scheduled template activates relative to the new exam date
+  const handleExamDateChange = (value) => {
+    handleFieldChange('exam_date', value);
+
+    if (appliedTemplate?.activation_mode === 'scheduled' && formData.is_active === 'scheduled') {
+      setFormData(prev => ({
+        ...prev,
+        scheduled_activation_datetime: getTemplateActivationDateTime(appliedTemplate, value) || ''
+      }));
+    }
+  };
+
   // Validate form
   const validateForm = () => {
     const errors = {};
@@ -219,7 +267,8 @@ const CloneMockExamsModal = ({
   };
 
   // Handle confirm button click
-  const handleConfirm = async () => {
+  // allowRoomOverlap: the admin confirmed cloning into rooms that are already in use
+  const handleConfirm = async (allowRoomOverlap = false) => {
     if (cloneMutation.isPending) {
       return;
     }
@@ -237,6 +286,9 @@ const CloneMockExamsModal = ({
     if (formData.location && formData.location !== KEEP_ORIGINAL) {
       overrides.location = formData.location;
     }
+    if (roomId !== undefined) {
+      overrides.room_id = roomId;
+    }
     if (formData.mock_type && formData.mock_type !== KEEP_ORIGINAL) {
       overrides.mock_type = formData.mock_type;
     }
@@ -267,8 +319,10 @@ const CloneMockExamsModal = ({
       overrides.scheduled_activation_datetime = convertTorontoToUTC(formData.scheduled_activation_datetime);
     }
 
+    setRoomConflicts(null);
+
     try {
-      await cloneMutation.mutateAsync({ selectedSessions, overrides });
+      await cloneMutation.mutateAsync({ selectedSessions, overrides, allowRoomOverlap });
 
       // Close modal on success
       onClose();
@@ -278,8 +332,9 @@ const CloneMockExamsModal = ({
         onSuccess();
       }
     } catch (error) {
-      // Error is already handled by the mutation's onError
+      // Error is already handled by the mutation's onError (room overlaps are shown inline)
       console.error('Clone operation failed:', error);
+      setRoomConflicts(getRoomConflicts(error));
     }
   };
 
@@ -372,6 +427,13 @@ const CloneMockExamsModal = ({
                         <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100">
                           Override fields (leave blank to keep original values)
                         </h4>
+                        <TemplatePicker
+                          value={appliedTemplate?.id}
+                          onApply={handleApplyTemplate}
+                          label="Apply Template"
+                          disabled={cloneMutation.isPending}
+                          helperText="Fills the fields below. Clones use the template's first time slot."
+                        />
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                           {/* Exam Date - Required */}
                           <div className="md:col-span-2">
@@ -380,7 +442,7 @@ const CloneMockExamsModal = ({
                             </Label>
                             <DatePicker
                               value={formData.exam_date}
-                              onChange={(value) => handleFieldChange('exam_date', value)}
+                              onChange={handleExamDateChange}
                               placeholder="Select new date"
                               required
                               disabled={cloneMutation.isPending}
@@ -399,7 +461,11 @@ const CloneMockExamsModal = ({
                             <Label htmlFor="location">Location</Label>
                             <Select
                               value={formData.location}
-                              onValueChange={(value) => handleFieldChange('location', value)}
+                              onValueChange={(value) => {
+                                handleFieldChange('location', value);
+                                // The chosen room belongs to the previous site
+                                if (roomId) setRoomId(undefined);
+                              }}
                               disabled={cloneMutation.isPending}
                             >
                               <SelectTrigger className="mt-1">
@@ -407,13 +473,25 @@ const CloneMockExamsModal = ({
                               </SelectTrigger>
                               <SelectContent>
                                 <SelectItem value={KEEP_ORIGINAL}>Keep original</SelectItem>
-                                {LOCATIONS.map(loc => (
+                                {locationNames.map(loc => (
                                   <SelectItem key={loc} value={loc}>{loc}</SelectItem>
                                 ))}
                               </SelectContent>
                             </Select>
                           </div>
 
+                          {/* Room */}
+                          <div>
+                            <RoomSelect
+                              value={roomId}
+                              onChange={handleRoomChange}
+                              site={formData.location !== KEEP_ORIGINAL ? formData.location : undefined}
+                              keepOriginal
+                              helperText="Keep original leaves each clone in its source room"
+                              disabled={cloneMutation.isPending}
+                            />
+                          </div>
+
                           {/* Mock Type */}
                           <div>
                             <Label htmlFor="mock_type">Mock Type</Label>
@@ -610,12 +688,25 @@ const CloneMockExamsModal = ({
                   </div>
                 </div>
 
+                {/* Room double bookings */}
+                {roomConflicts && (
+                  <div className="mt-4 sm:ml-10">
+                    <RoomConflictNotice
+                      conflicts={roomConflicts}
+                      onConfirm={() => handleConfirm(true)}
+                      onCancel={() => setRoomConflicts(null)}
+                      isSubmitting={cloneMutation.isPending}
+                      confirmLabel="Clone Anyway"
+                    />
+                  </div>
+                )}
+
                 {/* Actions */}
                 <div className="mt-6 sm:mt-4 sm:flex sm:flex-row-reverse sm:ml-10">
                   {/* Clone Button */}
                   <button
                     type="button"
-                    onClick={handleConfirm}
+                    onClick={() => handleConfirm()}
                     disabled={!formData.exam_date || cloneMutation.isPending}
                     className={`inline-flex w-full justify-center items-center rounded-md px-3 py-2 text-sm font-semibold text-white shadow-sm sm:ml-3 sm:w-auto transition-colors ${
                       !formData.exam_date || cloneMutation.isPending
@@ -26,6 +26,7 @@ const ColumnVisibilityControl = ({
   // Count how many columns are currently visible
   const visibleCount = visibleColumns.length;
   const totalCount = columns.length;
+  const defaultLabels = columns.filter(column => column.defaultVisible).map(column => column.label);
 
   return (
     <DropdownMenu>
@@ -76,9 +77,11 @@ const ColumnVisibilityControl = ({
         </DropdownMenuItem>
 
         {/* Info about default columns */}
-        <div className="px-2 py-1.5 text-xs text-gray-500 dark:text-gray-400">
-          Default: Time, Token Used, Booking Date
-        </div>
+        {defaultLabels.length > 0 && (
+          <div className="px-2 py-1.5 text-xs text-gray-500 dark:text-gray-400">
+            Default: {defaultLabels.join(', ')}
+          </div>
+        )}
       </DropdownMenuContent>
     </DropdownMenu>
   );
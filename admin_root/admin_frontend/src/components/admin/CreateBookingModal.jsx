@@ -8,6 +8,8 @@
  *   - attending_location (for Situational Judgment, Mini-mock)
  *   - dominant_hand (for Clinical Skills)
  * - Warning label about bypassing constraints
+ * - Time conflicts are listed with a "Book Anyway" override
+ * - A repeated exam set blocked by the mock type's rule gets the same override
  * - Toast notifications for success/error
  * - Loading state during submission
  * - Accessibility support (ARIA labels, keyboard navigation)
@@ -18,9 +20,22 @@ import { Dialog, Transition } from '@headlessui/react';
 import { XMarkIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { mockExamsApi } from '../../services/adminApi';
+import { useLocationOptions } from '../../hooks/useLocations';
+
+const formatConflictTime = (value) => {
+  if (!value) return '';
+  const date = /^\d+$/.test(String(value)) ? new Date(parseInt(value, 10)) : new Date(value);
+  return date.toLocaleTimeString('en-US', {
+    timeZone: 'America/Toronto',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
 
 const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
   const inputRef = useRef(null);
+  // Attending locations are the active catalog sites (Online has no campus to attend)
+  const { locationNames } = useLocationOptions();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -32,6 +47,8 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [timeConflicts, setTimeConflicts] = useState([]);
+  const [setRepeat, setSetRepeat] = useState(null); // { message } from MOCK_SET_REPEAT
 
   // Reset form when modal opens
   useEffect(() => {
@@ -43,6 +60,8 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
         dominant_hand: null
       });
       setErrors({});
+      setTimeConflicts([]);
+      setSetRepeat(null);
       // Auto-focus student_id input when modal opens
       setTimeout(() => inputRef.current?.focus(), 100);
     }
@@ -93,6 +112,10 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
       setFormData(prev => ({ ...prev, [name]: value }));
     }
 
+    // A different trainee may not have the same conflicts
+    setTimeConflicts([]);
+    setSetRepeat(null);
+
     // Clear error for this field
     if (errors[name]) {
       setErrors(prev => ({ ...prev, [name]: '' }));
@@ -118,6 +141,11 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
       return;
     }
 
+    await submitBooking();
+  };
+
+  // Create the booking, optionally overriding time conflicts and repeated exam sets
+  const submitBooking = async ({ overrideTimeConflicts = false, overrideSetRepeat = false } = {}) => {
     setIsSubmitting(true);
     setErrors({});
 
@@ -140,6 +168,14 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
         payload.dominant_hand = formData.dominant_hand;
       }
 
+      if (overrideTimeConflicts) {
+        payload.override_time_conflicts = true;
+      }
+
+      if (overrideSetRepeat) {
+        payload.override_set_repeat = true;
+      }
+
       // Call API
       const result = await mockExamsApi.createBookingFromExam(payload);
 
@@ -159,7 +195,12 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
       // User-friendly error messages
       const errorMessage = error.message || error.error?.message || 'Unknown error';
 
-      if (errorMessage.includes('CONTACT_NOT_FOUND') || errorMessage.includes('No contact found')) {
+      if (error.code === 'TIME_CONFLICT' && error.conflicts?.length > 0) {
+        // Shown inline so the admin can review and book anyway
+        setTimeConflicts(error.conflicts);
+      } else if (error.code === 'MOCK_SET_REPEAT') {
+        setSetRepeat({ message: errorMessage });
+      } else if (errorMessage.includes('CONTACT_NOT_FOUND') || errorMessage.includes('No contact found')) {
         toast.error('Contact not found. Please verify the student ID and email.', {
           duration: 6000
         });
@@ -337,11 +378,9 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
                         }`}
                       >
                         <option value="">Select location...</option>
-                        <option value="Mississauga">Mississauga</option>
-                        <option value="Calgary">Calgary</option>
-                        <option value="Vancouver">Vancouver</option>
-                        <option value="Montreal">Montreal</option>
-                        <option value="Richmond Hill">Richmond Hill</option>
+                        {locationNames.filter(name => name !== 'Online').map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
                       </select>
                       {errors.attending_location && (
                         <p className="mt-1 text-sm text-red-600 dark:text-red-400">
@@ -406,6 +445,51 @@ const CreateBookingModal = ({ isOpen, onClose, mockExam, onSuccess }) => {
                     </div>
                   </div>
 
+                  {/* Time Conflicts */}
+                  {timeConflicts.length > 0 && (
+                    <div className="mt-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 rounded-lg p-4" role="alert">
+                      <h4 className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-2">
+                        This trainee already has {timeConflicts.length === 1 ? 'a booking' : `${timeConflicts.length} bookings`} at this time
+                      </h4>
+                      <ul className="space-y-1 mb-3">
+                        {timeConflicts.map(conflict => (
+                          <li key={conflict.id || conflict.booking_id} className="text-xs text-amber-700 dark:text-amber-400">
+                            {conflict.mock_type || 'Mock Exam'} • {formatConflictTime(conflict.start_time)} - {formatConflictTime(conflict.end_time)}
+                            {conflict.location && ` • ${conflict.location}`}
+                          </li>
+                        ))}
+                      </ul>
+                      <button
+                        type="button"
+                        onClick={() => submitBooking({ overrideTimeConflicts: true })}
+                        disabled={isSubmitting}
+                        className="px-3 py-1.5 text-xs font-medium text-white bg-amber-600 rounded-md hover:bg-amber-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Book Anyway
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Repeated Exam Set */}
+                  {setRepeat && (
+                    <div className="mt-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 rounded-lg p-4" role="alert">
+                      <h4 className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-2">
+                        This trainee has already seen this exam set
+                      </h4>
+                      <p className="text-xs text-amber-700 dark:text-amber-400 mb-3">
+                        {setRepeat.message}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => submitBooking({ overrideTimeConflicts: timeConflicts.length > 0, overrideSetRepeat: true })}
+                        disabled={isSubmitting}
+                        className="px-3 py-1.5 text-xs font-medium text-white bg-amber-600 rounded-md hover:bg-amber-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Book Anyway
+                      </button>
+                    </div>
+                  )}
+
                   {/* Buttons */}
                   <div className="mt-6 flex gap-3">
                     <button
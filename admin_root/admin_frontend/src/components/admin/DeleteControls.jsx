@@ -111,7 +111,7 @@ const DeleteControls = ({
                   </h3>
                   <div className="mt-2">
                     <p className="text-sm text-gray-500 dark:text-gray-400">
-                      Are you sure you want to delete this mock exam? This action cannot be undone.
+                      Are you sure you want to delete this mock exam? It will be moved to the trash and can be restored from Data Management → Trash until it is permanently purged.
                     </p>
 
                     {/* Exam Details */}
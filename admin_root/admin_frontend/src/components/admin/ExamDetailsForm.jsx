@@ -6,6 +6,9 @@
 import StatusBadge from './StatusBadge';
 import PrerequisiteExamSelector from './PrerequisiteExamSelector';
 import PrerequisiteExamsList from './PrerequisiteExamsList';
+import RoomSelect from './RoomSelect';
+import { useRooms } from '../../hooks/useRooms';
+import { useLocationOptions } from '../../hooks/useLocations';
 import { ExclamationCircleIcon, InformationCircleIcon, ClockIcon } from '@heroicons/react/24/outline';
 import { fieldInfoMessages } from '../../utils/examValidation';
 import { formatTime } from '../../utils/timeFormatters';
@@ -26,7 +29,6 @@ import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
 import {
   MOCK_TYPE_OPTIONS,
-  LOCATION_OPTIONS,
   EXAM_STATUS_OPTIONS,
   MOCK_SET_OPTIONS,
   MOCK_SET_APPLICABLE_TYPES
@@ -46,6 +48,12 @@ function ExamDetailsForm({
     return getFieldError(fieldName) ? 'border-red-500' : '';
   };
 
+  // Retired rooms included so older sessions still show their room name
+  const { data: rooms = [] } = useRooms({ includeInactive: true });
+  // Existing sessions may sit at a retired site, so it stays selectable here
+  const { locationOptions } = useLocationOptions({ includeInactive: true });
+  const room = rooms.find(r => r.id === displayData.room_id);
+
   // Get mock type badge color
   const getMockTypeBadgeColor = (type) => {
     const typeColors = {
@@ -199,6 +207,10 @@ function ExamDetailsForm({
                   onValueChange={(value) => {
                     onFieldChange('location', value);
                     onFieldBlur('location');
+                    // The room belongs to the previous site
+                    if (displayData.room_id && value !== displayData.location) {
+                      onFieldChange('room_id', '');
+                    }
                   }}
                   disabled={isSaving}
                 >
@@ -206,7 +218,7 @@ function ExamDetailsForm({
                     <SelectValue placeholder="Select a location" />
                   </SelectTrigger>
                   <SelectContent>
-                    {LOCATION_OPTIONS.map(option => (
+                    {locationOptions.map(option => (
                       <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
                     ))}
                   </SelectContent>
@@ -225,6 +237,31 @@ function ExamDetailsForm({
             )}
           </div>
 
+          {/* Room */}
+          <div>
+            {isEditing ? (
+              <RoomSelect
+                value={displayData.room_id}
+                onChange={(selectedRoom) => {
+                  onFieldChange('room_id', selectedRoom?.id || '');
+                  // A room sets the location to its site
+                  if (selectedRoom && selectedRoom.site !== displayData.location) {
+                    onFieldChange('location', selectedRoom.site);
+                  }
+                }}
+                site={displayData.location}
+                disabled={isSaving}
+              />
+            ) : (
+              <>
+                <Label>Room</Label>
+                <div className="text-gray-900 dark:text-gray-100 font-medium">
+                  {room ? `${room.name} (${room.capacity} seats)` : displayData.room_id ? 'Unknown room' : 'No room'}
+                </div>
+              </>
+            )}
+          </div>
+
           {/* Mock Set - Always visible, disabled for non-applicable types */}
           <div>
             <Label className={!MOCK_SET_APPLICABLE_TYPES.includes(displayData.mock_type) ? 'text-gray-400 dark:text-gray-500' : ''}>
@@ -378,6 +415,93 @@ function ExamDetailsForm({
             </div>
           </div>
 
+          {/* Booking Cutoff - empty falls back to the mock type cutoff */}
+          <div>
+            <Label>Booking Cutoff</Label>
+            {isEditing ? (
+              <div>
+                <Input
+                  type="number"
+                  name="booking_cutoff_hours"
+                  value={displayData.booking_cutoff_hours ?? ''}
+                  onChange={(e) => onFieldChange('booking_cutoff_hours', e.target.value)}
+                  onBlur={() => onFieldBlur('booking_cutoff_hours')}
+                  disabled={isSaving}
+                  placeholder="Mock type default"
+                  min="0"
+                  className={getErrorClass('booking_cutoff_hours')}
+                />
+                {getFieldError('booking_cutoff_hours') && (
+                  <p className="mt-1 text-sm text-red-600 dark:text-red-400 flex items-center">
+                    <ExclamationCircleIcon className="h-4 w-4 mr-1" />
+                    {getFieldError('booking_cutoff_hours')}
+                  </p>
+                )}
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 flex items-center">
+                  <InformationCircleIcon className="h-4 w-4 mr-1" />
+                  Hours before the start that booking closes
+                </p>
+              </div>
+            ) : (
+              <div className="text-gray-900 dark:text-gray-100 font-medium">
+                {examData?.booking_cutoff ? (
+                  <>
+                    {examData.booking_cutoff.hours > 0
+                      ? `${examData.booking_cutoff.hours}h before start`
+                      : 'At session start'}
+                    {examData.booking_cutoff.source !== 'session' && (
+                      <span className="ml-1 text-sm font-normal text-gray-500 dark:text-gray-400">(mock type default)</span>
+                    )}
+                    {examData.booking_cutoff.closes_at && (
+                      <span className="block text-sm font-normal text-gray-500 dark:text-gray-400">
+                        {examData.booking_cutoff.open ? 'Closes' : 'Closed'} {formatTorontoDateTime(examData.booking_cutoff.closes_at)}
+                      </span>
+                    )}
+                  </>
+                ) : (
+                  displayData.booking_cutoff_hours ? `${displayData.booking_cutoff_hours}h before start` : 'Mock type default'
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Scheduled Deactivation - booking stops then and the cron deactivates the session */}
+          <div>
+            <Label>Scheduled Deactivation</Label>
+            {isEditing ? (
+              <div>
+                <DateTimePicker
+                  id="scheduled_deactivation_datetime"
+                  name="scheduled_deactivation_datetime"
+                  value={displayData.scheduled_deactivation_datetime
+                    ? convertUTCToToronto(displayData.scheduled_deactivation_datetime)
+                    : ''}
+                  onChange={(value) => {
+                    const utcValue = value ? convertTorontoToUTC(value) : null;
+                    onFieldChange('scheduled_deactivation_datetime', utcValue);
+                    onFieldBlur('scheduled_deactivation_datetime');
+                  }}
+                  placeholder="Optional"
+                  disabled={isSaving}
+                  minDateTime={new Date().toISOString()}
+                  className={getErrorClass('scheduled_deactivation_datetime')}
+                />
+                {getFieldError('scheduled_deactivation_datetime') && (
+                  <p className="mt-1 text-sm text-red-600 dark:text-red-400 flex items-center">
+                    <ExclamationCircleIcon className="h-4 w-4 mr-1" />
+                    {getFieldError('scheduled_deactivation_datetime')}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="text-gray-900 dark:text-gray-100 font-medium">
+                {displayData.scheduled_deactivation_datetime
+                  ? formatTorontoDateTime(displayData.scheduled_deactivation_datetime)
+                  : 'Not set'}
+              </div>
+            )}
+          </div>
+
           {/* Scheduled Activation DateTime - Only when status is scheduled */}
           {displayData.is_active === 'scheduled' && (
             <div className="col-span-2">
@@ -0,0 +1,100 @@
+/**
+ * ExamHistorySection Component
+ * History tab of the mock exam detail page - every recorded change to this exam
+ * (create, edits, status toggles, clones, prerequisite changes), newest first
+ */
+
+import React, { useState } from 'react';
+import AuditEntriesTable from './AuditEntriesTable';
+import { AUDIT_ACTION_LABELS, AUDIT_PAGE_SIZE, useExamHistory } from '../../hooks/useAuditLog';
+
+const ExamHistorySection = ({ mockExamId }) => {
+  const [action, setAction] = useState('');
+  const [offset, setOffset] = useState(0);
+
+  const { data, isLoading, error } = useExamHistory(mockExamId, { action, offset });
+
+  const entries = data?.data?.entries || [];
+  const pagination = data?.pagination || { total: 0, has_more: false };
+
+  const handleFilterChange = (e) => {
+    setAction(e.target.value);
+    setOffset(0);
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            History ({pagination.total})
+          </h2>
+          <select
+            value={action}
+            onChange={handleFilterChange}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+            aria-label="Filter by action"
+          >
+            <option value="">All changes</option>
+            {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="p-6">
+        {isLoading && (
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+            <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+            <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+          </div>
+        )}
+
+        {error && !isLoading && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+            <p className="text-sm text-red-800 dark:text-red-300">
+              {error.message || 'Failed to load history'}
+            </p>
+          </div>
+        )}
+
+        {!isLoading && !error && entries.length === 0 && (
+          <div className="flex items-center justify-center py-16 min-h-[200px]">
+            <p className="text-gray-500 dark:text-gray-400">
+              No changes recorded for this mock exam
+            </p>
+          </div>
+        )}
+
+        {!isLoading && !error && entries.length > 0 && (
+          <>
+            <AuditEntriesTable entries={entries} />
+
+            {(offset > 0 || pagination.has_more) && (
+              <div className="flex justify-end gap-2 mt-4">
+                <button
+                  onClick={() => setOffset(Math.max(0, offset - AUDIT_PAGE_SIZE))}
+                  disabled={offset === 0}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setOffset(offset + AUDIT_PAGE_SIZE)}
+                  disabled={!pagination.has_more}
+                  className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExamHistorySection;
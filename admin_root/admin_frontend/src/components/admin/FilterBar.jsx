@@ -4,7 +4,7 @@
  * Compact layout with filters first, reset button, then view toggles at the end
  */
 
-import { ListBulletIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
+import { CalendarDaysIcon, ListBulletIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
 import {
   Select,
   SelectContent,
@@ -13,7 +13,8 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { DatePicker } from '@/components/ui/date-picker';
-import { LOCATIONS, MOCK_TYPES } from '../../constants/examConstants';
+import { MOCK_TYPES } from '../../constants/examConstants';
+import { useLocationOptions } from '../../hooks/useLocations';
 
 const FilterBar = ({
   filters,
@@ -23,6 +24,8 @@ const FilterBar = ({
   viewMode,
   onViewModeChange
 }) => {
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+
   return (
     <div className="bg-white dark:bg-dark-card shadow-lg rounded-lg p-4 mb-6">
       {/* Compact horizontal layout - filters first, then reset, then view toggles */}
@@ -49,7 +52,7 @@ const FilterBar = ({
             </SelectTrigger>
             <SelectContent>
               <SelectItem value="all">All Locations</SelectItem>
-              {LOCATIONS.map((location) => (
+              {locationNames.map((location) => (
                 <SelectItem key={location} value={location}>
                   {location}
                 </SelectItem>
@@ -159,6 +162,18 @@ const FilterBar = ({
             <Squares2X2Icon className="h-4 w-4 mr-1.5" />
             Group
           </button>
+          <button
+            onClick={() => onViewModeChange('calendar')}
+            className={`inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+              viewMode === 'calendar'
+                ? 'bg-primary-600 dark:bg-primary-500 text-white shadow-sm'
+                : 'bg-gray-100 dark:bg-gray-700/50 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+            }`}
+            title="Calendar View"
+          >
+            <CalendarDaysIcon className="h-4 w-4 mr-1.5" />
+            Calendar
+          </button>
         </div>
       </div>
     </div>
@@ -280,7 +280,7 @@ const MassDeleteModal = ({
                       {/* Warning message */}
                       <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-600 dark:border-red-400 p-3">
                         <p className="text-sm text-red-800 dark:text-red-300 font-medium">
-                          ⚠️ This action cannot be undone. All session data will be permanently deleted.
+                          ⚠️ Deleted sessions are moved to the trash. They can be restored from Data Management → Trash until they are permanently purged.
                         </p>
                       </div>
 
@@ -1,5 +1,5 @@
 import React from 'react';
-import { XMarkIcon, PowerIcon, TrashIcon, PencilSquareIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
+import { XMarkIcon, PowerIcon, TrashIcon, PencilSquareIcon, DocumentDuplicateIcon, ArrowDownTrayIcon, PrinterIcon } from '@heroicons/react/24/outline';
 
 /**
  * Toolbar component that replaces FilterBar when sessions are selected
@@ -14,6 +14,8 @@ const MockExamsSelectionToolbar = ({
   onBulkEdit,
   onClone,
   onDeleteSessions,
+  onExportRosters,
+  onPrintSignInSheets,
   selectedSessions,
   isSubmitting
 }) => {
@@ -114,6 +116,40 @@ const MockExamsSelectionToolbar = ({
             </button>
           )}
 
+          {/* Export Rosters Button */}
+          {selectedCount > 0 && onExportRosters && (
+            <button
+              onClick={onExportRosters}
+              disabled={isSubmitting}
+              className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-md border-2 transition-colors ${
+                isSubmitting
+                  ? 'bg-gray-100 text-gray-400 border-gray-300 cursor-not-allowed dark:bg-gray-700 dark:text-gray-500 dark:border-gray-500'
+                  : 'text-gray-700 bg-white border-gray-500 hover:bg-gray-50 hover:border-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 dark:text-gray-200 dark:bg-gray-800 dark:border-gray-400 dark:hover:bg-gray-700 dark:hover:border-gray-300 dark:focus:ring-offset-gray-900'
+              }`}
+              aria-label="Export rosters of selected sessions"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              Export Rosters
+            </button>
+          )}
+
+          {/* Sign-in Sheets Button */}
+          {selectedCount > 0 && onPrintSignInSheets && (
+            <button
+              onClick={onPrintSignInSheets}
+              disabled={isSubmitting}
+              className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-md border-2 transition-colors ${
+                isSubmitting
+                  ? 'bg-gray-100 text-gray-400 border-gray-300 cursor-not-allowed dark:bg-gray-700 dark:text-gray-500 dark:border-gray-500'
+                  : 'text-gray-700 bg-white border-gray-500 hover:bg-gray-50 hover:border-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 dark:text-gray-200 dark:bg-gray-800 dark:border-gray-400 dark:hover:bg-gray-700 dark:hover:border-gray-300 dark:focus:ring-offset-gray-900'
+              }`}
+              aria-label="Print sign-in sheets of selected sessions"
+            >
+              <PrinterIcon className="h-4 w-4 mr-2" />
+              Sign-in Sheets
+            </button>
+          )}
+
           {/* Delete Sessions Button */}
           {selectedCount > 0 && (
             <button
@@ -16,6 +16,7 @@ const MockExamsTable = ({
   currentSort,
   viewMode = 'list', // 'list' or 'aggregate'
   onView,
+  onManageSeries,
   // Pagination props
   currentPage,
   totalPages,
@@ -136,6 +137,7 @@ const MockExamsTable = ({
                     key={aggregate.aggregate_key}
                     aggregate={aggregate}
                     onView={(session) => navigate(`/mock-exams/${session.id}`)}
+                    onManageSeries={onManageSeries}
                     isSelectionMode={isSelectionMode}
                     onToggleSelection={onToggleSelection}
                     isSelected={isSelected}
@@ -258,6 +260,7 @@ const MockExamsTable = ({
                   session={exam}
                   nested={false}
                   onView={(session) => navigate(`/mock-exams/${session.id}`)}
+                  onManageSeries={onManageSeries}
                   isSelectionMode={isSelectionMode}
                   onToggleSelection={onToggleSelection}
                   isSelected={isSelected ? isSelected(exam.id) : false}
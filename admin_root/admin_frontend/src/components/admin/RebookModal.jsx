@@ -7,6 +7,9 @@
  *
  * Location and mock_type are automatically filtered based on original booking
  * (no user selection needed - exams shown are same type and location)
+ *
+ * Sessions running an exam set the trainee has already seen are labelled; when the
+ * rule blocks the rebook, setRepeat carries the error and "Rebook Anyway" overrides it
  */
 
 import React, { useState, useMemo, useCallback, useEffect, Fragment } from 'react';
@@ -32,7 +35,9 @@ const RebookModal = ({
   onClose,
   booking,
   onConfirm,
-  isSubmitting = false
+  isSubmitting = false,
+  setHistory = {},
+  setRepeat = null
 }) => {
   // Selected exam state (single selection)
   const [selectedExamId, setSelectedExamId] = useState(null);
@@ -45,6 +50,11 @@ const RebookModal = ({
   const currentExamId = booking?.associated_mock_exam;
   const currentLocation = booking?.attending_location || booking?.location;
 
+  // Sets of this mock type the trainee has attended or booked, keyed by set letter
+  const seenSets = useMemo(() => {
+    return Object.fromEntries((setHistory?.[mockType] || []).map(entry => [entry.mock_set, entry]));
+  }, [setHistory, mockType]);
+
   // Reset state when modal closes
   useEffect(() => {
     if (!isOpen) {
@@ -82,12 +92,14 @@ const RebookModal = ({
   }, []);
 
   // Handle confirm
-  const handleConfirm = useCallback(() => {
+  const handleConfirm = useCallback((overrideSetRepeat = false) => {
     if (selectedExamId) {
-      onConfirm(selectedExamId);
+      onConfirm(selectedExamId, { overrideSetRepeat });
     }
   }, [selectedExamId, onConfirm]);
 
+  const showSetRepeat = !!setRepeat && setRepeat.examId === selectedExamId;
+
   // Handle close
   const handleClose = useCallback(() => {
     if (!isSubmitting) {
@@ -292,6 +304,17 @@ const RebookModal = ({
                                 <span className={`text-xs ${availableSlots <= 3 ? 'text-orange-600 dark:text-orange-400' : 'text-gray-500 dark:text-gray-400'}`}>
                                   ({exam.total_bookings || 0}/{exam.capacity || 0} booked)
                                 </span>
+                                {/* Exam set */}
+                                {exam.mock_set && (
+                                  <Badge variant="outline" className="text-xs">
+                                    Set {exam.mock_set}
+                                  </Badge>
+                                )}
+                                {exam.mock_set && seenSets[exam.mock_set] && (
+                                  <span className="text-xs text-amber-600 dark:text-amber-400">
+                                    {seenSets[exam.mock_set].attended ? 'Already attended' : 'Already booked'}
+                                  </span>
+                                )}
                               </div>
                             </div>
                           </div>
@@ -301,6 +324,16 @@ const RebookModal = ({
                   </ScrollArea>
                 </div>
 
+                {/* Exam set repeat blocked by the rule */}
+                {showSetRepeat && (
+                  <div className="flex items-start gap-2 p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg mt-4 border border-amber-200 dark:border-amber-800">
+                    <ExclamationTriangleIcon className="h-5 w-5 text-amber-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm text-amber-700 dark:text-amber-300">
+                      {setRepeat.message} Use "Rebook Anyway" to override.
+                    </p>
+                  </div>
+                )}
+
                 {/* Warning */}
                 {selectedExamId && (
                   <div className="flex items-start gap-2 p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg mt-4 border border-amber-200 dark:border-amber-800">
@@ -320,8 +353,17 @@ const RebookModal = ({
                   >
                     Cancel
                   </Button>
+                  {showSetRepeat && (
+                    <Button
+                      variant="outline"
+                      onClick={() => handleConfirm(true)}
+                      disabled={isSubmitting}
+                    >
+                      Rebook Anyway
+                    </Button>
+                  )}
                   <Button
-                    onClick={handleConfirm}
+                    onClick={() => handleConfirm()}
                     disabled={!selectedExamId || isSubmitting}
                   >
                     {isSubmitting ? (
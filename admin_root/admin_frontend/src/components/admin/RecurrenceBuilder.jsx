@@ -0,0 +1,264 @@
+/**
+ * RecurrenceBuilder Component
+ * Turns the creation form into a recurring series, e.g. "every Saturday for
+ * 10 weeks, skipping holidays". The exam date of the form is the first date
+ * of the series; every generated date gets all time slots.
+ */
+
+import { useState } from 'react';
+import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { DatePicker } from '@/components/ui/date-picker';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+const WEEKDAYS = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' }
+];
+
+export const DEFAULT_RECURRENCE = {
+  enabled: false,
+  weekdays: [],
+  interval_weeks: 1,
+  end_mode: 'weeks', // 'weeks' | 'date'
+  weeks: 10,
+  end_date: '',
+  skip_holidays: true,
+  skip_dates: []
+};
+
+/**
+ * Weekday (0 = Sunday) of a YYYY-MM-DD date
+ */
+const weekdayOf = (dateString) => {
+  if (!dateString) return null;
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Whether the recurrence has everything the API needs
+ */
+export const isRecurrenceValid = (recurrence, startDate) => {
+  if (!recurrence.enabled) return true;
+  if (!startDate || recurrence.weekdays.length === 0) return false;
+
+  return recurrence.end_mode === 'weeks'
+    ? recurrence.weeks >= 1 && recurrence.weeks <= 52
+    : !!recurrence.end_date && recurrence.end_date >= startDate;
+};
+
+/**
+ * Recurrence payload for POST /admin/mock-exams/create-series
+ */
+export const buildRecurrencePayload = (recurrence, startDate) => ({
+  start_date: startDate,
+  weekdays: recurrence.weekdays,
+  interval_weeks: recurrence.interval_weeks,
+  ...(recurrence.end_mode === 'weeks'
+    ? { weeks: recurrence.weeks }
+    : { end_date: recurrence.end_date }),
+  skip_dates: recurrence.skip_dates,
+  skip_holidays: recurrence.skip_holidays
+});
+
+const RecurrenceBuilder = ({ recurrence, onChange, startDate }) => {
+  const [skipDate, setSkipDate] = useState('');
+
+  const update = (changes) => onChange({ ...recurrence, ...changes });
+
+  const toggleEnabled = (checked) => {
+    // Start with the weekday of the exam date so the first session is part of the series
+    const startWeekday = weekdayOf(startDate);
+    update({
+      enabled: checked,
+      weekdays: checked && recurrence.weekdays.length === 0 && startWeekday !== null
+        ? [startWeekday]
+        : recurrence.weekdays
+    });
+  };
+
+  const toggleWeekday = (value) => {
+    const weekdays = recurrence.weekdays.includes(value)
+      ? recurrence.weekdays.filter(day => day !== value)
+      : [...recurrence.weekdays, value].sort();
+    update({ weekdays });
+  };
+
+  const addSkipDate = () => {
+    if (!skipDate || recurrence.skip_dates.includes(skipDate)) return;
+    update({ skip_dates: [...recurrence.skip_dates, skipDate].sort() });
+    setSkipDate('');
+  };
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2">
+        <Checkbox
+          id="repeat-series"
+          checked={recurrence.enabled}
+          onCheckedChange={toggleEnabled}
+        />
+        <label htmlFor="repeat-series" className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+          Repeat these sessions as a series
+        </label>
+      </div>
+
+      {recurrence.enabled && (
+        <div className="mt-6 space-y-6">
+          {/* Weekdays */}
+          <div>
+            <Label className="text-gray-700 dark:text-gray-300">
+              Repeat on <span className="text-red-500">*</span>
+            </Label>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {WEEKDAYS.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => toggleWeekday(value)}
+                  aria-pressed={recurrence.weekdays.includes(value)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-md border transition-colors ${
+                    recurrence.weekdays.includes(value)
+                      ? 'bg-primary-600 border-primary-600 text-white'
+                      : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {!startDate && (
+              <p className="mt-1.5 text-xs text-gray-500 dark:text-gray-400">
+                The exam date above is the first date of the series
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            {/* Interval */}
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Every (weeks)</Label>
+              <Input
+                type="number"
+                min="1"
+                max="8"
+                value={recurrence.interval_weeks}
+                onChange={(e) => update({ interval_weeks: Math.max(parseInt(e.target.value) || 1, 1) })}
+              />
+            </div>
+
+            {/* End */}
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">
+                Ends <span className="text-red-500">*</span>
+              </Label>
+              <div className="mt-1 flex items-center gap-4 text-sm text-gray-700 dark:text-gray-300">
+                <label className="flex items-center gap-1.5">
+                  <input
+                    type="radio"
+                    name="recurrence_end_mode"
+                    checked={recurrence.end_mode === 'weeks'}
+                    onChange={() => update({ end_mode: 'weeks' })}
+                    className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                  />
+                  After weeks
+                </label>
+                <label className="flex items-center gap-1.5">
+                  <input
+                    type="radio"
+                    name="recurrence_end_mode"
+                    checked={recurrence.end_mode === 'date'}
+                    onChange={() => update({ end_mode: 'date' })}
+                    className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                  />
+                  On date
+                </label>
+              </div>
+              <div className="mt-2">
+                {recurrence.end_mode === 'weeks' ? (
+                  <Input
+                    type="number"
+                    min="1"
+                    max="52"
+                    value={recurrence.weeks}
+                    onChange={(e) => update({ weeks: parseInt(e.target.value) || '' })}
+                  />
+                ) : (
+                  <DatePicker
+                    value={recurrence.end_date}
+                    onChange={(value) => update({ end_date: value })}
+                    placeholder="Select last date"
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Skipping */}
+          <div>
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id="skip-holidays"
+                checked={recurrence.skip_holidays}
+                onCheckedChange={(checked) => update({ skip_holidays: !!checked })}
+              />
+              <label htmlFor="skip-holidays" className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                Skip Ontario statutory holidays
+              </label>
+            </div>
+
+            <div className="mt-4">
+              <Label className="text-gray-700 dark:text-gray-300">Skip dates</Label>
+              <div className="mt-1 flex items-center gap-2">
+                <div className="flex-1">
+                  <DatePicker
+                    value={skipDate}
+                    onChange={setSkipDate}
+                    placeholder="Select a date to skip"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={addSkipDate}
+                  disabled={!skipDate}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Add
+                </button>
+              </div>
+              {recurrence.skip_dates.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {recurrence.skip_dates.map(date => (
+                    <span
+                      key={date}
+                      className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                    >
+                      {date}
+                      <button
+                        type="button"
+                        onClick={() => update({ skip_dates: recurrence.skip_dates.filter(d => d !== date) })}
+                        aria-label={`Stop skipping ${date}`}
+                        className="text-gray-400 hover:text-red-500"
+                      >
+                        <XMarkIcon className="h-3.5 w-3.5" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceBuilder;
@@ -0,0 +1,31 @@
+/**
+ * ReportsNav Component
+ * Tabs between the report pages
+ */
+
+import { NavLink } from 'react-router-dom';
+
+const REPORTS = [
+  { name: 'Attendance', href: '/reports/attendance' },
+  { name: 'Utilization', href: '/reports/utilization' }
+];
+
+const ReportsNav = () => (
+  <nav className="flex gap-1.5 mb-6">
+    {REPORTS.map(report => (
+      <NavLink
+        key={report.href}
+        to={report.href}
+        className={({ isActive }) => `px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+          isActive
+            ? 'bg-primary-600 dark:bg-primary-500 text-white shadow-sm'
+            : 'bg-gray-100 dark:bg-gray-700/50 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+        }`}
+      >
+        {report.name}
+      </NavLink>
+    ))}
+  </nav>
+);
+
+export default ReportsNav;
@@ -0,0 +1,62 @@
+/**
+ * RoomConflictNotice Component
+ * Inline warning when a save would double-book a room (409 ROOM_CONFLICT)
+ *
+ * The parent resubmits with allow_room_overlap when the admin confirms.
+ * Also used for staff availability conflicts (409 STAFF_CONFLICT) via `title`.
+ */
+
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const RoomConflictNotice = ({
+  conflicts,
+  onConfirm,
+  onCancel,
+  isSubmitting = false,
+  confirmLabel = 'Save Anyway',
+  title
+}) => {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 rounded-lg p-4" role="alert">
+      <div className="flex items-start">
+        <ExclamationTriangleIcon className="h-5 w-5 text-amber-600 dark:text-amber-400 mt-0.5 mr-3 flex-shrink-0" />
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-amber-800 dark:text-amber-300 mb-2">
+            {title || (conflicts.length === 1
+              ? 'This room is already in use at this time'
+              : `${conflicts.length} room double bookings`)}
+          </h4>
+          <ul className="space-y-1 mb-3">
+            {conflicts.map((conflict, index) => (
+              <li key={`${conflict.room_id}-${index}`} className="text-xs text-amber-700 dark:text-amber-400">
+                {conflict.label && `${conflict.label}: `}{conflict.message}
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onConfirm}
+              disabled={isSubmitting}
+              className="px-3 py-1.5 text-xs font-medium text-white bg-amber-600 rounded-md hover:bg-amber-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {confirmLabel}
+            </button>
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={isSubmitting}
+              className="px-3 py-1.5 text-xs font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoomConflictNotice;
@@ -0,0 +1,102 @@
+/**
+ * RoomSelect Component
+ * Pick the room a session is held in
+ *
+ * Lists the active rooms at the given site (all sites when none is given).
+ * onChange receives the full room, or null for "No room", so the parent can
+ * fill location and capacity from it. With keepOriginal (clone modal) an
+ * undefined value means "Keep original" and choosing it calls onChange(undefined).
+ */
+
+import { Link } from 'react-router-dom';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Label } from '@/components/ui/label';
+import { useRooms } from '../../hooks/useRooms';
+import { describeEquipment } from '../../utils/rooms';
+
+const NO_ROOM = '__none__';
+const KEEP_ORIGINAL = '__keep__';
+
+const RoomSelect = ({
+  value,
+  onChange,
+  site,
+  label = 'Room',
+  helperText = 'Optional - the room is checked for double bookings',
+  noRoomLabel = 'No room',
+  keepOriginal = false,
+  disabled = false
+}) => {
+  const { data: rooms = [], isLoading, error } = useRooms();
+
+  const siteRooms = site ? rooms.filter(room => room.site === site) : rooms;
+  const selected = rooms.find(room => room.id === value);
+
+  const selectValue = value || (keepOriginal && value === undefined ? KEEP_ORIGINAL : NO_ROOM);
+
+  const handleChange = (roomId) => {
+    if (roomId === KEEP_ORIGINAL) {
+      onChange(undefined);
+      return;
+    }
+
+    if (roomId === NO_ROOM) {
+      onChange(null);
+      return;
+    }
+
+    const room = rooms.find(r => r.id === roomId);
+    if (room) {
+      onChange(room);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <Label className="text-gray-700 dark:text-gray-300">{label}</Label>
+        <Link
+          to="/data-management/rooms"
+          className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300"
+        >
+          Manage rooms
+        </Link>
+      </div>
+      <Select
+        value={selectValue}
+        onValueChange={handleChange}
+        disabled={disabled || isLoading}
+      >
+        <SelectTrigger>
+          <SelectValue placeholder={isLoading ? 'Loading rooms...' : 'Select a room'} />
+        </SelectTrigger>
+        <SelectContent>
+          {keepOriginal && <SelectItem value={KEEP_ORIGINAL}>Keep original</SelectItem>}
+          <SelectItem value={NO_ROOM}>{noRoomLabel}</SelectItem>
+          {siteRooms.map(room => (
+            <SelectItem key={room.id} value={room.id}>
+              {site ? room.name : `${room.site} / ${room.name}`} ({room.capacity} seats)
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <p className="mt-1.5 text-xs text-gray-500 dark:text-gray-400">
+        {error
+          ? 'Rooms could not be loaded'
+          : selected
+            ? `${selected.capacity} seats/stations${selected.equipment?.length ? ` • ${describeEquipment(selected.equipment)}` : ''}`
+            : !isLoading && siteRooms.length === 0
+              ? `No rooms set up${site ? ` for ${site}` : ''}`
+              : helperText}
+      </p>
+    </div>
+  );
+};
+
+export default RoomSelect;
@@ -0,0 +1,370 @@
+/**
+ * SeriesActionsModal Component
+ * Edit, reschedule, activate/deactivate or delete sessions of a recurring series
+ *
+ * Features:
+ * - Scope choice: this session / this and following / whole series
+ * - Sessions that already took place are left alone for multi-session scopes
+ * - Sessions with active bookings are never deleted (reported back instead)
+ */
+
+import { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { XMarkIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { TimePickerSelect } from '@/components/ui/time-picker';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useExamSeriesMutations } from '../../hooks/useExamSeries';
+import { useLocationOptions } from '../../hooks/useLocations';
+import { MOCK_SET_OPTIONS } from '../../constants/examConstants';
+
+const SCOPES = [
+  { value: 'this', label: 'This session', description: 'Only the session you started from' },
+  { value: 'following', label: 'This and following sessions', description: 'Upcoming sessions from this one onward' },
+  { value: 'all', label: 'All sessions in the series', description: 'Every upcoming session of the series' }
+];
+
+const ACTIONS = [
+  { value: 'edit', label: 'Edit' },
+  { value: 'reschedule', label: 'Reschedule' },
+  { value: 'deactivate', label: 'Deactivate' },
+  { value: 'activate', label: 'Activate' },
+  { value: 'delete', label: 'Delete' }
+];
+
+const EMPTY_EDIT = { start_time: '', end_time: '', location: '', mock_set: '', capacity: '' };
+
+const SeriesActionsModal = ({
+  isOpen,
+  onClose,
+  seriesId,
+  anchorSession,
+  initialAction = 'edit',
+  onDeleted
+}) => {
+  const { update, remove } = useExamSeriesMutations();
+  const { locationNames } = useLocationOptions();
+  const [action, setAction] = useState(initialAction);
+  const [scope, setScope] = useState('following');
+  const [edit, setEdit] = useState(EMPTY_EDIT);
+  const [shiftDays, setShiftDays] = useState(7);
+
+  const isSubmitting = update.isPending || remove.isPending;
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setAction(initialAction);
+      setScope('following');
+      setEdit(EMPTY_EDIT);
+      setShiftDays(7);
+    }
+  }, [isOpen, initialAction]);
+
+  const buildChanges = () => {
+    switch (action) {
+      case 'edit': {
+        const changes = {};
+        if (edit.start_time) changes.start_time = edit.start_time;
+        if (edit.end_time) changes.end_time = edit.end_time;
+        if (edit.location) changes.location = edit.location;
+        if (edit.mock_set) changes.mock_set = edit.mock_set === '__none__' ? '' : edit.mock_set;
+        if (edit.capacity) changes.capacity = parseInt(edit.capacity);
+        return changes;
+      }
+      case 'reschedule':
+        return { shift_days: parseInt(shiftDays) || 0 };
+      case 'deactivate':
+        return { is_active: 'false' };
+      case 'activate':
+        return { is_active: 'true' };
+      default:
+        return {};
+    }
+  };
+
+  const canSubmit = () => {
+    if (isSubmitting || !seriesId || !anchorSession?.id) return false;
+    if (action === 'delete') return true;
+    if (action === 'reschedule') return !!parseInt(shiftDays);
+    return Object.keys(buildChanges()).length > 0;
+  };
+
+  const handleConfirm = async () => {
+    if (!canSubmit()) return;
+
+    try {
+      if (action === 'delete') {
+        const result = await remove.mutateAsync({ seriesId, scope, anchorId: anchorSession.id });
+        if (onDeleted && result?.results?.deleted?.includes(String(anchorSession.id))) {
+          onDeleted();
+        }
+      } else {
+        await update.mutateAsync({ seriesId, scope, anchorId: anchorSession.id, changes: buildChanges() });
+      }
+      onClose();
+    } catch (error) {
+      // Toasts are shown by the mutation hooks; keep the modal open to retry
+    }
+  };
+
+  return (
+    <Transition.Root show={isOpen} as={Fragment}>
+      <Dialog
+        as="div"
+        className="relative z-50"
+        onClose={isSubmitting ? () => {} : onClose}
+      >
+        {/* Backdrop */}
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 dark:bg-gray-900 bg-opacity-75 dark:bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        {/* Modal */}
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white dark:bg-gray-800 px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-lg sm:p-6">
+                {/* Close button */}
+                <div className="absolute right-0 top-0 pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white dark:bg-gray-800 text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={onClose}
+                    disabled={isSubmitting}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  {/* Icon */}
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 dark:bg-blue-900 sm:mx-0 sm:h-10 sm:w-10">
+                    <ArrowPathIcon className="h-6 w-6 text-blue-600 dark:text-blue-400" aria-hidden="true" />
+                  </div>
+
+                  <div className="mt-3 w-full sm:ml-4 sm:mt-0">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900 dark:text-gray-100">
+                      Manage Series
+                    </Dialog.Title>
+                    {anchorSession?.exam_date && (
+                      <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                        Starting from the session on {anchorSession.exam_date}
+                      </p>
+                    )}
+
+                    {/* Action tabs */}
+                    <div className="mt-4 flex flex-wrap gap-2">
+                      {ACTIONS.map(({ value, label }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => setAction(value)}
+                          disabled={isSubmitting}
+                          className={`px-3 py-1.5 text-sm font-medium rounded-md border transition-colors ${
+                            action === value
+                              ? value === 'delete'
+                                ? 'bg-red-600 border-red-600 text-white'
+                                : 'bg-primary-600 border-primary-600 text-white'
+                              : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+
+                    {/* Action fields */}
+                    {action === 'edit' && (
+                      <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div>
+                          <Label className="text-gray-700 dark:text-gray-300">Start Time</Label>
+                          <TimePickerSelect
+                            value={edit.start_time}
+                            onChange={(value) => setEdit({ ...edit, start_time: value })}
+                            placeholder="Keep current"
+                            minuteStep={15}
+                            startHour={6}
+                            endHour={23}
+                          />
+                        </div>
+                        <div>
+                          <Label className="text-gray-700 dark:text-gray-300">End Time</Label>
+                          <TimePickerSelect
+                            value={edit.end_time}
+                            onChange={(value) => setEdit({ ...edit, end_time: value })}
+                            placeholder="Keep current"
+                            minuteStep={15}
+                            startHour={6}
+                            endHour={23}
+                          />
+                        </div>
+                        <div>
+                          <Label className="text-gray-700 dark:text-gray-300">Location</Label>
+                          <Select
+                            value={edit.location}
+                            onValueChange={(value) => setEdit({ ...edit, location: value })}
+                          >
+                            <SelectTrigger>
+                              <SelectValue placeholder="Keep current" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {locationNames.map((loc) => (
+                                <SelectItem key={loc} value={loc}>
+                                  {loc}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                        <div>
+                          <Label className="text-gray-700 dark:text-gray-300">Mock Set</Label>
+                          <Select
+                            value={edit.mock_set}
+                            onValueChange={(value) => setEdit({ ...edit, mock_set: value })}
+                          >
+                            <SelectTrigger>
+                              <SelectValue placeholder="Keep current" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="__none__">None</SelectItem>
+                              {MOCK_SET_OPTIONS.map((option) => (
+                                <SelectItem key={option.value} value={option.value}>
+                                  {option.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                        <div>
+                          <Label className="text-gray-700 dark:text-gray-300">Capacity</Label>
+                          <Input
+                            type="number"
+                            min="1"
+                            max="100"
+                            value={edit.capacity}
+                            placeholder="Keep current"
+                            onChange={(e) => setEdit({ ...edit, capacity: e.target.value })}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {action === 'reschedule' && (
+                      <div className="mt-4">
+                        <Label className="text-gray-700 dark:text-gray-300">Move sessions by (days)</Label>
+                        <Input
+                          type="number"
+                          min="-60"
+                          max="60"
+                          value={shiftDays}
+                          onChange={(e) => setShiftDays(e.target.value)}
+                        />
+                        <p className="mt-1.5 text-xs text-gray-500 dark:text-gray-400">
+                          Use 7 to move one week later, -1 to move one day earlier. Times stay the same.
+                        </p>
+                      </div>
+                    )}
+
+                    {action === 'delete' && (
+                      <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+                        Sessions with active or completed bookings are kept. Cancel their bookings first.
+                      </p>
+                    )}
+
+                    {/* Scope */}
+                    <fieldset className="mt-5">
+                      <legend className="text-sm font-medium text-gray-900 dark:text-gray-100">Apply to</legend>
+                      <div className="mt-2 space-y-2">
+                        {SCOPES.map(({ value, label, description }) => (
+                          <label key={value} className="flex items-start gap-3 cursor-pointer">
+                            <input
+                              type="radio"
+                              name="series_scope"
+                              value={value}
+                              checked={scope === value}
+                              onChange={() => setScope(value)}
+                              disabled={isSubmitting}
+                              className="mt-1 h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                            />
+                            <span>
+                              <span className="block text-sm text-gray-900 dark:text-gray-100">{label}</span>
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">{description}</span>
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    </fieldset>
+                  </div>
+                </div>
+
+                {/* Actions */}
+                <div className="mt-6 sm:mt-4 sm:flex sm:flex-row-reverse sm:ml-10">
+                  <button
+                    type="button"
+                    className={`inline-flex w-full justify-center items-center rounded-md px-3 py-2 text-sm font-semibold text-white shadow-sm sm:ml-3 sm:w-auto transition-colors ${
+                      !canSubmit()
+                        ? 'bg-gray-400 cursor-not-allowed'
+                        : action === 'delete'
+                          ? 'bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2'
+                          : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
+                    }`}
+                    onClick={handleConfirm}
+                    disabled={!canSubmit()}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Processing...
+                      </>
+                    ) : (
+                      `${ACTIONS.find(a => a.value === action)?.label} Sessions`
+                    )}
+                  </button>
+
+                  <button
+                    type="button"
+                    className="inline-flex w-full justify-center rounded-md bg-white dark:bg-gray-700 px-3 py-2 text-sm font-semibold text-gray-900 dark:text-gray-100 shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600 sm:mt-0 sm:w-auto transition-colors"
+                    onClick={onClose}
+                    disabled={isSubmitting}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default SeriesActionsModal;
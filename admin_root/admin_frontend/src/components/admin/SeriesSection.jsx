@@ -0,0 +1,125 @@
+/**
+ * SeriesSection Component
+ * Shows the recurring series a mock exam belongs to, with its sessions and a
+ * "Manage Series" action for edits that apply to this / following / all sessions
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useExamSeries } from '../../hooks/useExamSeries';
+import SeriesActionsModal from './SeriesActionsModal';
+import { formatTimeRange } from '../../utils/timeFormatters';
+import { formatDateShort } from '../../utils/dateUtils';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const describeRecurrence = (series) => {
+  if (!series) return null;
+
+  const days = (series.weekdays || []).map(day => WEEKDAY_NAMES[day]).join(', ');
+  const every = series.interval_weeks > 1 ? `Every ${series.interval_weeks} weeks` : 'Weekly';
+  return `${every} on ${days} · ${formatDateShort(series.start_date)} – ${formatDateShort(series.end_date)}`;
+};
+
+const SeriesSection = ({ mockExamId, seriesId, onAnchorDeleted }) => {
+  const { data, isLoading, error } = useExamSeries(seriesId);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  if (!seriesId) return null;
+
+  const sessions = data?.sessions || [];
+  const anchorSession = sessions.find(session => String(session.id) === String(mockExamId)) || { id: mockExamId };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            {data?.series?.name || 'Recurring Series'} ({sessions.length})
+          </h2>
+          <button
+            type="button"
+            onClick={() => setIsModalOpen(true)}
+            disabled={isLoading}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Manage Series
+          </button>
+        </div>
+        {data?.series && (
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            {describeRecurrence(data.series)}
+          </p>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">Loading series...</div>
+      ) : error ? (
+        <div className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
+          Failed to load series: {error.message}
+        </div>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Bookings</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-dark-card divide-y divide-gray-200 dark:divide-gray-700">
+              {sessions.map(session => {
+                const isCurrent = String(session.id) === String(mockExamId);
+                return (
+                  <tr
+                    key={session.id}
+                    className={`${isCurrent ? 'bg-primary-50 dark:bg-primary-900/20' : ''} ${session.is_past ? 'opacity-60' : ''}`}
+                  >
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                      {isCurrent ? (
+                        <span className="font-medium">{formatDateShort(session.exam_date)} (this session)</span>
+                      ) : (
+                        <Link
+                          to={`/mock-exams/${session.id}`}
+                          className="text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          {formatDateShort(session.exam_date)}
+                        </Link>
+                      )}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {formatTimeRange(session)}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {session.location}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {session.total_bookings} / {session.capacity}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {session.is_active === 'true' ? 'Active' : session.is_active === 'scheduled' ? 'Scheduled' : 'Inactive'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <SeriesActionsModal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        seriesId={seriesId}
+        anchorSession={anchorSession}
+        onDeleted={onAnchorDeleted}
+      />
+    </div>
+  );
+};
+
+export default SeriesSection;
@@ -1,12 +1,28 @@
 import React from 'react';
-import { EyeIcon, ClockIcon, UsersIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, ClockIcon, UsersIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
 import { formatDateShort } from '../../utils/dateUtils';
 import { formatTorontoDateTime } from '../../utils/dateTimeUtils';
+import { formatStaffing } from '../../hooks/useStaff';
+
+// Fewer examiners/proctors assigned than the staffing ratio requires
+const UnderstaffedBadge = ({ staffing }) => {
+  if (!staffing?.understaffed) return null;
+
+  return (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300"
+      title={formatStaffing(staffing)}
+    >
+      Understaffed
+    </span>
+  );
+};
 
 const SessionRow = ({
   session,
   nested = false,
   onView,
+  onManageSeries,
   isSelectionMode = false,
   onToggleSelection,
   isSelected = false
@@ -51,8 +67,8 @@ const SessionRow = ({
 
   // Handle row click for selection
   const handleRowClick = (e) => {
-    // Don't toggle if clicking the View button
-    if (e.target.closest('button[aria-label="View exam details"]')) {
+    // Don't toggle if clicking the View or Series button
+    if (e.target.closest('button[aria-label="View exam details"], button[aria-label="Manage series"]')) {
       e.stopPropagation();
       return;
     }
@@ -141,6 +157,7 @@ const SessionRow = ({
             <div className="text-sm text-gray-900 dark:text-white font-medium">
               {formatTime(session.start_time)} - {formatTime(session.end_time)}
             </div>
+            <UnderstaffedBadge staffing={session.staffing} />
           </div>
         </td>
 
@@ -184,6 +201,20 @@ const SessionRow = ({
             </div>
 
             {/* Actions */}
+            {session.series_id && onManageSeries && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onManageSeries(session);
+                }}
+                className="inline-flex items-center px-2 py-1.5 mr-2 text-sm font-medium text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 rounded-md transition-colors"
+                aria-label="Manage series"
+                title="Part of a recurring series"
+              >
+                <ArrowPathIcon className="h-4 w-4 mr-1" />
+                Series
+              </button>
+            )}
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -248,10 +279,11 @@ const SessionRow = ({
             <div className="h-2.5 w-2.5 rounded-full bg-gray-400" />
           )}
 
-          <div>
+          <div className="flex items-center gap-2">
             <div className="text-sm font-medium text-gray-900 dark:text-white">
               {session.mock_type}
             </div>
+            <UnderstaffedBadge staffing={session.staffing} />
           </div>
           </div>
         </div>
@@ -318,6 +350,20 @@ const SessionRow = ({
 
       {/* Actions Column */}
       <td className="px-6 py-3 text-right">
+        {session.series_id && onManageSeries && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onManageSeries(session);
+            }}
+            className="inline-flex items-center px-2 py-1.5 mr-2 text-sm font-medium text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 rounded-md transition-colors"
+            aria-label="Manage series"
+            title="Part of a recurring series"
+          >
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+            Series
+          </button>
+        )}
         <button
           onClick={(e) => {
             e.stopPropagation();
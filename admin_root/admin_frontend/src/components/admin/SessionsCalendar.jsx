@@ -0,0 +1,372 @@
+/**
+ * SessionsCalendar Component
+ * Week / month calendar of mock exam sessions for the dashboard
+ *
+ * Features:
+ * - Sessions colored by mock type with a fill rate bar
+ * - Uses the dashboard's location, mock type and status filters
+ * - Click a session to open its detail page
+ * - Drag a session onto another day to reschedule it (times are kept);
+ *   sessions with bookings ask for confirmation first, since their bookings move with them
+ */
+
+import { Fragment, useMemo, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { isSameMonth, isToday } from 'date-fns';
+import toast from 'react-hot-toast';
+import RoomConflictNotice from './RoomConflictNotice';
+import { useSessionsCalendar, useRescheduleSession } from '../../hooks/useSessionsCalendar';
+import { getRoomConflicts } from '../../hooks/useRooms';
+import { formatTime } from '../../utils/timeFormatters';
+import { formatDateShort } from '../../utils/dateUtils';
+import {
+  MOCK_TYPE_CALENDAR_COLORS,
+  formatCalendarTitle,
+  getCalendarDays,
+  getFillRateColor,
+  getMockTypeCalendarColor,
+  groupSessionsByDay,
+  shiftCalendarPeriod,
+  toDateKey
+} from '../../utils/calendar';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SessionsCalendar = ({ filters = {}, onView }) => {
+  const [view, setView] = useState('month'); // 'week' or 'month'
+  const [anchorDate, setAnchorDate] = useState(() => new Date());
+  const [draggedSession, setDraggedSession] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null); // { session, examDate } awaiting confirmation
+  const [roomConflict, setRoomConflict] = useState(null); // { session, examDate, conflicts }
+
+  const { days, dateFrom, dateTo } = useMemo(() => getCalendarDays(view, anchorDate), [view, anchorDate]);
+
+  const { data: sessions = [], isLoading, isFetching, error } = useSessionsCalendar({
+    dateFrom,
+    dateTo,
+    filter_location: filters.filter_location,
+    filter_mock_type: filters.filter_mock_type,
+    filter_status: filters.filter_status
+  });
+  const reschedule = useRescheduleSession();
+
+  const sessionsByDay = useMemo(() => groupSessionsByDay(sessions), [sessions]);
+  const todayKey = toDateKey(new Date());
+
+  const moveSession = (session, examDate, allowRoomOverlap = false) => {
+    reschedule.mutate({ session, examDate, allowRoomOverlap }, {
+      onSuccess: () => setRoomConflict(null),
+      onError: (mutationError) => {
+        const conflicts = getRoomConflicts(mutationError);
+        setRoomConflict(conflicts ? { session, examDate, conflicts } : null);
+      }
+    });
+  };
+
+  const handleDrop = (event, examDate) => {
+    event.preventDefault();
+    const session = draggedSession;
+    setDraggedSession(null);
+    setDropTarget(null);
+
+    if (!session || session.exam_date === examDate) return;
+
+    if (examDate < todayKey) {
+      toast.error('Sessions cannot be moved into the past');
+      return;
+    }
+
+    if ((session.total_bookings || 0) > 0) {
+      setPendingMove({ session, examDate });
+      return;
+    }
+
+    moveSession(session, examDate);
+  };
+
+  const handleConfirmMove = () => {
+    moveSession(pendingMove.session, pendingMove.examDate);
+    setPendingMove(null);
+  };
+
+  const renderSession = (session) => {
+    const isDragging = draggedSession?.id === session.id;
+    const isInactive = session.is_active === false || session.is_active === 'false';
+
+    return (
+      <button
+        key={session.id}
+        type="button"
+        draggable={!reschedule.isPending}
+        onDragStart={(event) => {
+          event.dataTransfer.effectAllowed = 'move';
+          event.dataTransfer.setData('text/plain', session.id);
+          setDraggedSession(session);
+        }}
+        onDragEnd={() => {
+          setDraggedSession(null);
+          setDropTarget(null);
+        }}
+        onClick={() => onView?.(session)}
+        className={`w-full text-left rounded border px-1.5 py-1 text-xs cursor-grab active:cursor-grabbing hover:shadow-sm transition-shadow ${getMockTypeCalendarColor(session.mock_type)} ${isDragging ? 'opacity-40' : ''} ${isInactive ? 'opacity-60 border-dashed' : ''}`}
+        title={`${session.mock_type} · ${session.location || 'No location'} · ${session.total_bookings || 0}/${session.capacity || 0} booked`}
+      >
+        <div className="flex items-center justify-between gap-1">
+          <span className="font-medium truncate">{formatTime(session.start_time) || 'No time'}</span>
+          <span className="flex-shrink-0">{session.total_bookings || 0}/{session.capacity || 0}</span>
+        </div>
+        <div className="truncate">{session.mock_type}</div>
+        {view === 'week' && session.location && (
+          <div className="truncate opacity-80">{session.location}</div>
+        )}
+        <div className="mt-1 h-1 w-full rounded-full bg-white/60 dark:bg-gray-900/40">
+          <div
+            className={`h-1 rounded-full ${getFillRateColor(session.utilization_rate)}`}
+            style={{ width: `${Math.min(session.utilization_rate || 0, 100)}%` }}
+          />
+        </div>
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card shadow-lg rounded-lg p-4">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setAnchorDate(shiftCalendarPeriod(view, anchorDate, -1))}
+            className="p-1.5 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            title={view === 'month' ? 'Previous month' : 'Previous week'}
+          >
+            <ChevronLeftIcon className="h-5 w-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDate(new Date())}
+            className="px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+          >
+            Today
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDate(shiftCalendarPeriod(view, anchorDate, 1))}
+            className="p-1.5 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            title={view === 'month' ? 'Next month' : 'Next week'}
+          >
+            <ChevronRightIcon className="h-5 w-5" />
+          </button>
+          <h2 className="ml-2 text-lg font-semibold text-gray-900 dark:text-gray-100">
+            {formatCalendarTitle(view, anchorDate)}
+          </h2>
+          {(isFetching || reschedule.isPending) && !isLoading && (
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {reschedule.isPending ? 'Moving session…' : 'Updating…'}
+            </span>
+          )}
+        </div>
+
+        <div className="flex items-center gap-1.5">
+          {['week', 'month'].map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+                view === option
+                  ? 'bg-primary-600 dark:bg-primary-500 text-white shadow-sm'
+                  : 'bg-gray-100 dark:bg-gray-700/50 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+              }`}
+            >
+              {option === 'week' ? 'Week' : 'Month'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-xs text-gray-600 dark:text-gray-400">
+        {Object.keys(MOCK_TYPE_CALENDAR_COLORS).map(mockType => (
+          <span key={mockType} className={`px-2 py-0.5 rounded border ${getMockTypeCalendarColor(mockType)}`}>
+            {mockType}
+          </span>
+        ))}
+        <span className="ml-2 flex items-center gap-1">
+          <span className="inline-block h-2 w-4 rounded-full bg-green-500" /> &lt;50%
+          <span className="inline-block h-2 w-4 rounded-full bg-yellow-500 ml-2" /> 50–79%
+          <span className="inline-block h-2 w-4 rounded-full bg-red-500 ml-2" /> 80%+ full
+        </span>
+        <span className="ml-auto">Drag a session to another day to reschedule it</span>
+      </div>
+
+      {/* Room double booking from the last move */}
+      {roomConflict && (
+        <div className="mb-4">
+          <RoomConflictNotice
+            conflicts={roomConflict.conflicts}
+            onConfirm={() => moveSession(roomConflict.session, roomConflict.examDate, true)}
+            onCancel={() => setRoomConflict(null)}
+            isSubmitting={reschedule.isPending}
+            confirmLabel="Move Anyway"
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+          <p className="text-sm text-red-800 dark:text-red-300">
+            {error.message || 'Failed to load sessions'}
+          </p>
+        </div>
+      )}
+
+      {/* Grid */}
+      <div className="grid grid-cols-7 border-t border-l border-gray-200 dark:border-gray-700">
+        {WEEKDAYS.map(weekday => (
+          <div
+            key={weekday}
+            className="px-2 py-1.5 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider border-r border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50"
+          >
+            {weekday}
+          </div>
+        ))}
+
+        {days.map(day => {
+          const dateKey = toDateKey(day);
+          const daySessions = sessionsByDay[dateKey] || [];
+          const isOutsideMonth = view === 'month' && !isSameMonth(day, anchorDate);
+          const isDropTarget = dropTarget === dateKey && draggedSession?.exam_date !== dateKey;
+
+          return (
+            <div
+              key={dateKey}
+              onDragOver={(event) => {
+                if (!draggedSession) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+                if (dropTarget !== dateKey) setDropTarget(dateKey);
+              }}
+              onDragLeave={() => setDropTarget(current => (current === dateKey ? null : current))}
+              onDrop={(event) => handleDrop(event, dateKey)}
+              className={`border-r border-b border-gray-200 dark:border-gray-700 p-1 ${
+                view === 'week' ? 'min-h-[320px]' : 'min-h-[120px]'
+              } ${isOutsideMonth ? 'bg-gray-50 dark:bg-gray-800/30' : ''} ${
+                isDropTarget ? 'bg-primary-50 dark:bg-primary-900/20 ring-2 ring-inset ring-primary-400' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span
+                  className={`text-xs font-medium ${
+                    isToday(day)
+                      ? 'inline-flex h-6 w-6 items-center justify-center rounded-full bg-primary-600 text-white'
+                      : isOutsideMonth
+                        ? 'text-gray-400 dark:text-gray-500'
+                        : 'text-gray-700 dark:text-gray-300'
+                  }`}
+                >
+                  {day.getDate()}
+                </span>
+                {daySessions.length > 0 && (
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500">
+                    {daySessions.length} session{daySessions.length !== 1 ? 's' : ''}
+                  </span>
+                )}
+              </div>
+
+              {isLoading ? (
+                <div className="h-6 bg-gray-100 dark:bg-gray-700 rounded animate-pulse" />
+              ) : (
+                <div className={`space-y-1 overflow-y-auto ${view === 'week' ? 'max-h-[480px]' : 'max-h-[180px]'}`}>
+                  {daySessions.map(renderSession)}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Confirm moving a session that has bookings */}
+      <Transition appear show={!!pendingMove} as={Fragment}>
+        <Dialog as="div" className="relative z-50" onClose={() => setPendingMove(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25 dark:bg-opacity-50" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white dark:bg-gray-800 p-6 text-left align-middle shadow-xl transition-all">
+                  <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-full bg-yellow-100 dark:bg-yellow-900/30">
+                    <ExclamationTriangleIcon className="h-6 w-6 text-yellow-600 dark:text-yellow-400" aria-hidden="true" />
+                  </div>
+
+                  <Dialog.Title
+                    as="h3"
+                    className="mt-4 text-center text-lg font-medium leading-6 text-gray-900 dark:text-gray-100"
+                  >
+                    Move a booked session?
+                  </Dialog.Title>
+
+                  {pendingMove && (
+                    <div className="mt-3">
+                      <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+                        {pendingMove.session.mock_type} on {formatDateShort(pendingMove.session.exam_date)} has{' '}
+                        {pendingMove.session.total_bookings} booking{pendingMove.session.total_bookings !== 1 ? 's' : ''}.
+                        It will move to {formatDateShort(pendingMove.examDate)} at the same time.
+                      </p>
+                      <p className="mt-2 text-sm text-center text-gray-500 dark:text-gray-400">
+                        The booked trainees' bookings are updated to the new date. Let them know about the change.
+                      </p>
+                    </div>
+                  )}
+
+                  <div className="mt-6 flex gap-3">
+                    <button
+                      type="button"
+                      className="flex-1 inline-flex justify-center rounded-md border border-gray-300 dark:border-gray-600 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
+                      onClick={() => setPendingMove(null)}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      className="flex-1 inline-flex justify-center rounded-md border border-transparent px-4 py-2 text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors shadow-sm"
+                      onClick={handleConfirmMove}
+                    >
+                      Move Session
+                    </button>
+                  </div>
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+    </div>
+  );
+};
+
+export default SessionsCalendar;
@@ -0,0 +1,292 @@
+/**
+ * SignInSheetModal Component
+ * Options for printing the sign-in sheets / door lists of sessions as PDF
+ *
+ * Features:
+ * - Prints the given sessions, or every session at their location on their date
+ * - Sign-in sheet (signature column) or door list (check-in boxes)
+ * - Grouping, sort order and per-row barcodes
+ * - Downloads the PDF generated by /api/admin/mock-exams/sign-in-sheets
+ */
+
+import { Fragment, useEffect, useMemo, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { XMarkIcon, PrinterIcon } from '@heroicons/react/24/outline';
+import { Label } from '@/components/ui/label';
+import { useExportDownload } from '../../hooks/useExports';
+import { formatDateShort } from '../../utils/dateUtils';
+
+const selectClassName = 'mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300';
+
+const SHEET_TYPES = [
+  { value: 'sign_in', label: 'Sign-in sheet', description: 'Trainees sign next to their name' },
+  { value: 'door_list', label: 'Door list', description: 'Compact checklist for checking trainees in' }
+];
+
+const GROUP_BY_OPTIONS = [
+  { value: 'session', label: 'Session' },
+  { value: 'dominant_hand', label: 'Session, then dominant hand' },
+  { value: 'mock_set', label: 'Session, then exam set' },
+  { value: 'none', label: 'One combined list' }
+];
+
+const SORT_BY_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'student_id', label: 'Student ID' },
+  { value: 'booking_date', label: 'Booking date' }
+];
+
+const SignInSheetModal = ({ isOpen, onClose, sessions = [] }) => {
+  const { download, downloading } = useExportDownload();
+  const isSubmitting = !!downloading;
+
+  const [scope, setScope] = useState('sessions');
+  const [type, setType] = useState('sign_in');
+  const [groupBy, setGroupBy] = useState('session');
+  const [sortBy, setSortBy] = useState('name');
+  const [includeBarcodes, setIncludeBarcodes] = useState(true);
+
+  // "All sessions at this location on this date" only makes sense when the sessions share both
+  const sharedDay = useMemo(() => {
+    const locations = [...new Set(sessions.map(session => session.location).filter(Boolean))];
+    const dates = [...new Set(sessions.map(session => session.exam_date).filter(Boolean))];
+
+    return locations.length === 1 && dates.length === 1
+      ? { location: locations[0], examDate: dates[0] }
+      : null;
+  }, [sessions]);
+
+  // Start from the defaults every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setScope('sessions');
+      setType('sign_in');
+      setGroupBy('session');
+      setSortBy('name');
+      setIncludeBarcodes(true);
+    }
+  }, [isOpen]);
+
+  const handlePrint = async () => {
+    if (isSubmitting) return;
+
+    const scopeParams = scope === 'day' && sharedDay
+      ? { location: sharedDay.location, exam_date: sharedDay.examDate }
+      : { exam_ids: sessions.map(session => session.id).join(',') };
+
+    await download('signInSheets', {
+      ...scopeParams,
+      type,
+      group_by: groupBy,
+      sort_by: sortBy,
+      include_barcodes: includeBarcodes ? 'true' : 'false'
+    }, `${type === 'door_list' ? 'door-list' : 'sign-in'}.pdf`);
+  };
+
+  return (
+    <Transition.Root show={isOpen} as={Fragment}>
+      <Dialog
+        as="div"
+        className="relative z-50"
+        onClose={isSubmitting ? () => {} : onClose}
+      >
+        {/* Backdrop */}
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-500 dark:bg-gray-900 bg-opacity-75 dark:bg-opacity-75 transition-opacity" />
+        </Transition.Child>
+
+        {/* Modal */}
+        <div className="fixed inset-0 z-10 overflow-y-auto">
+          <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+              enterTo="opacity-100 translate-y-0 sm:scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 translate-y-0 sm:scale-100"
+              leaveTo="opacity-0 translate-y-4 sm:translate-y-0 sm:scale-95"
+            >
+              <Dialog.Panel className="relative transform overflow-hidden rounded-lg bg-white dark:bg-gray-800 px-4 pb-4 pt-5 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-lg sm:p-6">
+                {/* Close button */}
+                <div className="absolute right-0 top-0 pr-4 pt-4 sm:block">
+                  <button
+                    type="button"
+                    className="rounded-md bg-white dark:bg-gray-800 text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                    onClick={onClose}
+                    disabled={isSubmitting}
+                  >
+                    <span className="sr-only">Close</span>
+                    <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                  </button>
+                </div>
+
+                <div className="sm:flex sm:items-start">
+                  {/* Icon */}
+                  <div className="mx-auto flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-blue-100 dark:bg-blue-900 sm:mx-0 sm:h-10 sm:w-10">
+                    <PrinterIcon className="h-6 w-6 text-blue-600 dark:text-blue-400" aria-hidden="true" />
+                  </div>
+
+                  {/* Content */}
+                  <div className="mt-3 w-full sm:ml-4 sm:mt-0">
+                    <Dialog.Title as="h3" className="text-base font-semibold leading-6 text-gray-900 dark:text-gray-100">
+                      Print Sign-in Sheets
+                    </Dialog.Title>
+
+                    <div className="mt-4 space-y-4">
+                      {/* Scope */}
+                      <fieldset>
+                        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300">Sessions</legend>
+                        <div className="mt-2 space-y-2">
+                          <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                              type="radio"
+                              name="sign-in-scope"
+                              value="sessions"
+                              checked={scope === 'sessions'}
+                              onChange={() => setScope('sessions')}
+                              className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                            />
+                            <span className="ml-2">
+                              {sessions.length === 1 ? 'This session' : `The ${sessions.length} selected sessions`}
+                            </span>
+                          </label>
+                          {sharedDay && (
+                            <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                              <input
+                                type="radio"
+                                name="sign-in-scope"
+                                value="day"
+                                checked={scope === 'day'}
+                                onChange={() => setScope('day')}
+                                className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                              />
+                              <span className="ml-2">
+                                All sessions at {sharedDay.location} on {formatDateShort(sharedDay.examDate)}
+                              </span>
+                            </label>
+                          )}
+                        </div>
+                      </fieldset>
+
+                      {/* Sheet type */}
+                      <fieldset>
+                        <legend className="text-sm font-medium text-gray-700 dark:text-gray-300">Print</legend>
+                        <div className="mt-2 space-y-2">
+                          {SHEET_TYPES.map(option => (
+                            <label key={option.value} className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                              <input
+                                type="radio"
+                                name="sign-in-type"
+                                value={option.value}
+                                checked={type === option.value}
+                                onChange={() => setType(option.value)}
+                                className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                              />
+                              <span className="ml-2">
+                                {option.label}
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">{option.description}</span>
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      </fieldset>
+
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div>
+                          <Label htmlFor="sign-in-group-by">Group by</Label>
+                          <select
+                            id="sign-in-group-by"
+                            value={groupBy}
+                            onChange={(e) => setGroupBy(e.target.value)}
+                            className={selectClassName}
+                          >
+                            {GROUP_BY_OPTIONS.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <Label htmlFor="sign-in-sort-by">Sort by</Label>
+                          <select
+                            id="sign-in-sort-by"
+                            value={sortBy}
+                            onChange={(e) => setSortBy(e.target.value)}
+                            className={selectClassName}
+                          >
+                            {SORT_BY_OPTIONS.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={includeBarcodes}
+                          onChange={(e) => setIncludeBarcodes(e.target.checked)}
+                          className="h-4 w-4 rounded text-primary-600 border-gray-300 focus:ring-primary-500"
+                        />
+                        <span className="ml-2">Print a barcode of the student ID on each row</span>
+                      </label>
+
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Cancelled bookings are left out. Each session starts on a new page.
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Actions */}
+                <div className="mt-6 sm:mt-4 sm:flex sm:flex-row-reverse sm:ml-10">
+                  <button
+                    type="button"
+                    className={`inline-flex w-full justify-center items-center rounded-md px-3 py-2 text-sm font-semibold text-white shadow-sm sm:ml-3 sm:w-auto transition-colors ${
+                      isSubmitting
+                        ? 'bg-gray-400 cursor-not-allowed'
+                        : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
+                    }`}
+                    onClick={handlePrint}
+                    disabled={isSubmitting || sessions.length === 0}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Generating...
+                      </>
+                    ) : (
+                      'Download PDF'
+                    )}
+                  </button>
+
+                  <button
+                    type="button"
+                    className="mt-3 inline-flex w-full justify-center rounded-md bg-white dark:bg-gray-700 px-3 py-2 text-sm font-semibold text-gray-900 dark:text-gray-100 shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600 sm:mt-0 sm:w-auto transition-colors"
+                    onClick={onClose}
+                    disabled={isSubmitting}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default SignInSheetModal;
@@ -0,0 +1,210 @@
+/**
+ * StaffSection Component
+ * Examiners and proctors assigned to a mock exam, the number the staffing
+ * ratios require, and a picker to assign more
+ *
+ * Availability conflicts (409 STAFF_CONFLICT) are shown inline with an
+ * "Assign Anyway" option that resubmits with allow_overlap.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import RoomConflictNotice from './RoomConflictNotice';
+import {
+  STAFF_ROLE_LABELS,
+  useStaffList,
+  useSessionStaff,
+  useSessionStaffMutations,
+  getStaffConflicts,
+  formatStaffing
+} from '../../hooks/useStaff';
+
+const StaffSection = ({ mockExamId, location }) => {
+  const { data, isLoading, error } = useSessionStaff(mockExamId);
+  const { data: staffList = [] } = useStaffList();
+  const { assign, unassign } = useSessionStaffMutations(mockExamId);
+
+  const [role, setRole] = useState('examiner');
+  const [staffId, setStaffId] = useState('');
+  const [conflicts, setConflicts] = useState(null);
+  const [assignmentToRemove, setAssignmentToRemove] = useState(null);
+
+  const assignments = data?.assignments || [];
+  const staffing = data?.staffing;
+
+  // People who can fill the role and aren't on this session yet - those who work at this site first
+  const options = useMemo(() => {
+    const assigned = new Set(assignments.map(assignment => assignment.staff_id));
+    const worksHere = (staff) => !staff.sites?.length || staff.sites.includes(location);
+
+    return staffList
+      .filter(staff => staff.roles?.includes(role) && !assigned.has(staff.id))
+      .sort((a, b) => Number(worksHere(b)) - Number(worksHere(a)) || a.name.localeCompare(b.name))
+      .map(staff => ({ ...staff, worksHere: worksHere(staff) }));
+  }, [staffList, assignments, role, location]);
+
+  const handleAssign = (allowOverlap = false) => {
+    if (!staffId) return;
+
+    assign.mutate({ staffId, role, allowOverlap }, {
+      onSuccess: () => {
+        setStaffId('');
+        setConflicts(null);
+      },
+      onError: (assignError) => {
+        setConflicts(getStaffConflicts(assignError));
+      }
+    });
+  };
+
+  const handleConfirmRemove = (assignmentId) => {
+    unassign.mutate(assignmentId, {
+      onSettled: () => setAssignmentToRemove(null)
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            Staff ({assignments.length})
+          </h2>
+          {staffing && (
+            <span
+              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                staffing.understaffed
+                  ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+                  : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+              }`}
+            >
+              {staffing.understaffed ? 'Understaffed' : 'Staffed'}
+              {formatStaffing(staffing) && ` · ${formatStaffing(staffing)}`}
+            </span>
+          )}
+        </div>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Examiners and proctors running this session. Required counts come from the staffing ratios.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">Loading staff...</div>
+      ) : error ? (
+        <div className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
+          Failed to load staff: {error.message}
+        </div>
+      ) : assignments.length === 0 ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400 italic">
+          No staff assigned to this session
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {assignments.map(assignment => (
+            <li key={assignment.id} className="px-6 py-3 flex justify-between items-center">
+              <div className="text-sm">
+                <span className="font-medium text-gray-900 dark:text-gray-100">
+                  {assignment.staff?.name || 'Unknown'}
+                </span>
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                  {STAFF_ROLE_LABELS[assignment.role] || assignment.role}
+                </span>
+                {assignment.staff && !assignment.staff.is_active && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(inactive)</span>
+                )}
+                <div className="text-xs text-gray-500 dark:text-gray-400">{assignment.staff?.email}</div>
+              </div>
+              {assignmentToRemove === assignment.id ? (
+                <div className="inline-flex items-center gap-2 text-sm">
+                  <span className="text-gray-600 dark:text-gray-300">Remove?</span>
+                  <button
+                    type="button"
+                    onClick={() => handleConfirmRemove(assignment.id)}
+                    disabled={unassign.isLoading}
+                    className="font-medium text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50"
+                  >
+                    {unassign.isLoading ? 'Removing...' : 'Yes'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAssignmentToRemove(null)}
+                    disabled={unassign.isLoading}
+                    className="font-medium text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  >
+                    No
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setAssignmentToRemove(assignment.id)}
+                  className="p-1 rounded text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
+                  title="Remove from session"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Assign */}
+      <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={role}
+            onChange={(e) => {
+              setRole(e.target.value);
+              setStaffId('');
+              setConflicts(null);
+            }}
+            className="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {Object.entries(STAFF_ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={staffId}
+            onChange={(e) => {
+              setStaffId(e.target.value);
+              setConflicts(null);
+            }}
+            className="flex-1 min-w-[200px] px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">
+              {options.length === 0 ? `No ${STAFF_ROLE_LABELS[role].toLowerCase()}s available` : `Select ${STAFF_ROLE_LABELS[role].toLowerCase()}...`}
+            </option>
+            {options.map(staff => (
+              <option key={staff.id} value={staff.id}>
+                {staff.name}{!staff.worksHere && ' (other site)'}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => handleAssign(false)}
+            disabled={!staffId || assign.isLoading}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {assign.isLoading ? 'Assigning...' : 'Assign'}
+          </button>
+        </div>
+
+        {conflicts && (
+          <RoomConflictNotice
+            conflicts={conflicts}
+            title={conflicts.length === 1 ? 'This person may not be available' : `${conflicts.length} availability conflicts`}
+            confirmLabel="Assign Anyway"
+            onConfirm={() => handleAssign(true)}
+            onCancel={() => setConflicts(null)}
+            isSubmitting={assign.isLoading}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StaffSection;
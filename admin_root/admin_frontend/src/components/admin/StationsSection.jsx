@@ -0,0 +1,399 @@
+/**
+ * StationsSection Component
+ * Stations of a Clinical Skills session and which trainee sits where
+ *
+ * Features:
+ * - Layout editor: station names, left-handed stations, number of rotation groups
+ * - Seat grid (stations x rotation groups) with drag-and-drop overrides -
+ *   dropping on an occupied seat swaps the two trainees
+ * - Dropping a trainee on the "Without a seat" list unseats them
+ * - Auto-assign that respects handedness and keeps manual placements unless reset
+ */
+
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, SparklesIcon } from '@heroicons/react/24/outline';
+import {
+  useSessionStations,
+  useStationMutations,
+  getRotationGroupLabel
+} from '../../hooks/useStations';
+
+const inputClassName = 'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const UNASSIGNED_DROP_TARGET = 'unassigned';
+
+const toDraft = (layout) => ({
+  stations: (layout?.stations || []).map(station => ({ ...station })),
+  rotationGroups: layout?.rotation_groups || 1
+});
+
+const StationsSection = ({ mockExamId }) => {
+  const { data, isLoading, error } = useSessionStations(mockExamId);
+  const { saveLayout, autoAssign, move } = useStationMutations(mockExamId);
+
+  const [draft, setDraft] = useState(null);
+  const [resetManual, setResetManual] = useState(false);
+  const [draggedBookingId, setDraggedBookingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const layout = data?.layout;
+  const stations = layout?.stations || [];
+  const rotationGroups = layout?.rotation_groups || 1;
+  const seats = data?.seats || [];
+  const unassigned = data?.unassigned || [];
+  const summary = data?.summary;
+  const isEditing = draft !== null;
+  const isMoving = move.isLoading;
+
+  const seatKey = (stationId, group) => `${stationId}:${group}`;
+  const seatsByKey = new Map(seats.map(seat => [seatKey(seat.station_id, seat.rotation_group), seat]));
+  const groups = Array.from({ length: rotationGroups }, (_, index) => index + 1);
+
+  // ====== LAYOUT EDITOR ======
+  const updateDraftStation = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      stations: current.stations.map((station, i) => (i === index ? { ...station, ...changes } : station))
+    }));
+  };
+
+  const handleAddStation = () => {
+    setDraft(current => ({
+      ...current,
+      stations: [...current.stations, { label: `Station ${current.stations.length + 1}`, left_handed: false }]
+    }));
+  };
+
+  const handleRemoveStation = (index) => {
+    setDraft(current => ({
+      ...current,
+      stations: current.stations.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSaveLayout = () => {
+    saveLayout.mutate({
+      stations: draft.stations.map(station => ({
+        ...(station.id && { id: station.id }),
+        label: station.label.trim(),
+        left_handed: !!station.left_handed
+      })),
+      rotation_groups: draft.rotationGroups
+    }, {
+      onSuccess: () => setDraft(null)
+    });
+  };
+
+  const canSaveLayout = draft?.stations.every(station => station.label.trim()) &&
+    draft.rotationGroups >= 1 && draft.rotationGroups <= 10;
+
+  // ====== DRAG AND DROP ======
+  const handleDragOver = (event, target) => {
+    if (!draggedBookingId) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== target) setDropTarget(target);
+  };
+
+  const handleDrop = (event, stationId, group) => {
+    event.preventDefault();
+    const bookingId = draggedBookingId || event.dataTransfer.getData('text/plain');
+    setDraggedBookingId(null);
+    setDropTarget(null);
+
+    if (!bookingId) return;
+
+    const current = seats.find(seat => seat.booking_record_id === bookingId);
+    if (!stationId && !current) return;
+    if (current && current.station_id === stationId && current.rotation_group === group) return;
+
+    move.mutate({ bookingId, stationId, rotationGroup: group });
+  };
+
+  const renderTrainee = (trainee, { isManual = false } = {}) => (
+    <div
+      draggable={!isMoving && !isEditing}
+      onDragStart={(event) => {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', trainee.booking_record_id);
+        setDraggedBookingId(trainee.booking_record_id);
+      }}
+      onDragEnd={() => {
+        setDraggedBookingId(null);
+        setDropTarget(null);
+      }}
+      className={`flex items-center justify-between gap-2 rounded border px-2 py-1 text-xs bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-600 cursor-grab active:cursor-grabbing hover:shadow-sm transition-shadow ${
+        draggedBookingId === trainee.booking_record_id ? 'opacity-40' : ''
+      }`}
+      title={`${trainee.name}${trainee.student_id ? ` (${trainee.student_id})` : ''}`}
+    >
+      <span className="truncate font-medium text-gray-900 dark:text-gray-100">{trainee.name}</span>
+      <span className="flex items-center gap-1 flex-shrink-0">
+        {trainee.left_handed && (
+          <span className="px-1 rounded bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">L</span>
+        )}
+        {isManual && (
+          <span className="text-gray-400 dark:text-gray-500" title="Placed by hand - kept by auto-assign">manual</span>
+        )}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            Stations ({stations.length})
+          </h2>
+          {summary && stations.length > 0 && (
+            <div className="flex items-center gap-2">
+              <span
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  summary.assigned < summary.trainees
+                    ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+                    : 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+                }`}
+              >
+                {summary.assigned}/{summary.trainees} seated · {summary.seat_count} seats
+              </span>
+              {summary.left_handed_trainees > 0 && (
+                <span
+                  className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                    summary.left_handed_trainees > summary.left_handed_seats
+                      ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+                      : 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300'
+                  }`}
+                >
+                  Left-handed {summary.left_handed_trainees}/{summary.left_handed_seats} seats
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Each rotation group goes through every station once. Drag trainees between seats to override the auto-assignment.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">Loading stations...</div>
+      ) : error ? (
+        <div className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
+          Failed to load stations: {error.message}
+        </div>
+      ) : isEditing ? (
+        // Layout editor
+        <div className="px-6 py-4 space-y-3">
+          {draft.stations.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic">No stations yet</p>
+          )}
+          {draft.stations.map((station, index) => (
+            <div key={station.id || `new-${index}`} className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                value={station.label}
+                maxLength={40}
+                onChange={(e) => updateDraftStation(index, { label: e.target.value })}
+                className={`flex-1 min-w-[160px] ${inputClassName}`}
+                placeholder="Station name"
+              />
+              <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={!!station.left_handed}
+                  onChange={(e) => updateDraftStation(index, { left_handed: e.target.checked })}
+                  className="h-4 w-4 rounded text-primary-600 border-gray-300 focus:ring-primary-500"
+                />
+                <span className="ml-2">Left-handed</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => handleRemoveStation(index)}
+                className="p-1 rounded text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
+                title="Remove station"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+
+          <div className="flex flex-wrap items-center gap-3 pt-2">
+            <button
+              type="button"
+              onClick={handleAddStation}
+              disabled={draft.stations.length >= 60}
+              className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-800 dark:text-primary-400 dark:hover:text-primary-300 disabled:opacity-50"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add station
+            </button>
+            <label className="ml-auto flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              Rotation groups
+              <input
+                type="number"
+                min={1}
+                max={10}
+                value={draft.rotationGroups}
+                onChange={(e) => setDraft(current => ({ ...current, rotationGroups: parseInt(e.target.value, 10) || 1 }))}
+                className={`w-20 ${inputClassName}`}
+              />
+            </label>
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Trainees at removed stations or rotation groups lose their seat.
+          </p>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              disabled={saveLayout.isLoading}
+              className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSaveLayout}
+              disabled={!canSaveLayout || saveLayout.isLoading}
+              className="px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saveLayout.isLoading ? 'Saving...' : 'Save Stations'}
+            </button>
+          </div>
+        </div>
+      ) : stations.length === 0 ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400 italic">
+          No stations set up for this session
+        </div>
+      ) : (
+        <div className="px-6 py-4 space-y-4">
+          {/* Seat grid */}
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr>
+                  <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Station</th>
+                  {groups.map(group => (
+                    <th key={group} className="px-2 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      {rotationGroups > 1 ? `Group ${getRotationGroupLabel(group)}` : 'Trainee'}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {stations.map(station => (
+                  <tr key={station.id}>
+                    <td className="px-2 py-2 whitespace-nowrap text-gray-900 dark:text-gray-100">
+                      {station.label}
+                      {station.left_handed && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                          Left-handed
+                        </span>
+                      )}
+                    </td>
+                    {groups.map(group => {
+                      const key = seatKey(station.id, group);
+                      const seat = seatsByKey.get(key);
+
+                      return (
+                        <td
+                          key={key}
+                          onDragOver={(event) => handleDragOver(event, key)}
+                          onDragLeave={() => setDropTarget(current => (current === key ? null : current))}
+                          onDrop={(event) => handleDrop(event, station.id, group)}
+                          className={`px-2 py-1.5 min-w-[160px] ${
+                            dropTarget === key ? 'bg-primary-50 dark:bg-primary-900/20 ring-2 ring-inset ring-primary-400' : ''
+                          }`}
+                        >
+                          {seat ? (
+                            <div className={seat.trainee.left_handed !== !!station.left_handed ? 'ring-1 ring-amber-400 rounded' : ''}>
+                              {renderTrainee(seat.trainee, { isManual: seat.is_manual })}
+                            </div>
+                          ) : (
+                            <div className="rounded border border-dashed border-gray-300 dark:border-gray-600 px-2 py-1 text-xs text-gray-400 dark:text-gray-500">
+                              Empty
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Trainees without a seat - dropping a seated trainee here unseats them */}
+          <div
+            onDragOver={(event) => handleDragOver(event, UNASSIGNED_DROP_TARGET)}
+            onDragLeave={() => setDropTarget(current => (current === UNASSIGNED_DROP_TARGET ? null : current))}
+            onDrop={(event) => handleDrop(event, null, null)}
+            className={`rounded-md border border-gray-200 dark:border-gray-700 p-3 ${
+              dropTarget === UNASSIGNED_DROP_TARGET ? 'bg-primary-50 dark:bg-primary-900/20 ring-2 ring-inset ring-primary-400' : ''
+            }`}
+          >
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Without a seat ({unassigned.length})
+            </h3>
+            {unassigned.length === 0 ? (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Every booked trainee has a seat</p>
+            ) : (
+              <div className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-3 lg:grid-cols-4">
+                {unassigned.map(trainee => (
+                  <React.Fragment key={trainee.booking_record_id}>
+                    {renderTrainee(trainee)}
+                  </React.Fragment>
+                ))}
+              </div>
+            )}
+            {summary?.over_capacity && (
+              <p className="mt-2 text-xs text-amber-700 dark:text-amber-300">
+                More trainees are booked than there are seats - add stations or rotation groups.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      {!isLoading && !error && !isEditing && (
+        <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={() => setDraft(toDraft(layout))}
+            className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 ring-1 ring-inset ring-gray-300 dark:ring-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+          >
+            {stations.length === 0 ? 'Set Up Stations' : 'Edit Stations'}
+          </button>
+          {stations.length > 0 && (
+            <>
+              <label className="ml-auto flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={resetManual}
+                  onChange={(e) => setResetManual(e.target.checked)}
+                  className="h-4 w-4 rounded text-primary-600 border-gray-300 focus:ring-primary-500"
+                />
+                <span className="ml-2">Re-seat manual placements too</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => autoAssign.mutate({ resetManual })}
+                disabled={autoAssign.isLoading || isMoving}
+                className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <SparklesIcon className="h-4 w-4 mr-1" />
+                {autoAssign.isLoading ? 'Assigning...' : 'Auto-assign'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StationsSection;
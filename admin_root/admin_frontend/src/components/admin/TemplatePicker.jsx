@@ -0,0 +1,89 @@
+/**
+ * TemplatePicker Component
+ * Select a session template and apply it to the surrounding form
+ *
+ * Used by the create page, the CSV import and the clone modal. The parent
+ * decides what applying means (onApply receives the full template).
+ */
+
+import { Link } from 'react-router-dom';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Label } from '@/components/ui/label';
+import { useSessionTemplates } from '../../hooks/useSessionTemplates';
+import { describeTemplate } from '../../utils/sessionTemplates';
+
+const NO_TEMPLATE = '__none__';
+
+const TemplatePicker = ({
+  value,
+  onApply,
+  label = 'Session Template',
+  helperText,
+  disabled = false
+}) => {
+  const { data: templates = [], isLoading, error } = useSessionTemplates();
+
+  const selected = templates.find(template => template.id === value);
+
+  const handleChange = (templateId) => {
+    if (templateId === NO_TEMPLATE) {
+      onApply(null);
+      return;
+    }
+
+    const template = templates.find(t => t.id === templateId);
+    if (template) {
+      onApply(template);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <Label className="text-gray-700 dark:text-gray-300">{label}</Label>
+        <Link
+          to="/data-management/session-templates"
+          className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300"
+        >
+          Manage templates
+        </Link>
+      </div>
+      <Select
+        value={value || NO_TEMPLATE}
+        onValueChange={handleChange}
+        disabled={disabled || isLoading || templates.length === 0}
+      >
+        <SelectTrigger>
+          <SelectValue
+            placeholder={isLoading ? 'Loading templates...' : 'Select a template'}
+          />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NO_TEMPLATE}>No template</SelectItem>
+          {templates.map(template => (
+            <SelectItem key={template.id} value={template.id}>
+              {template.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <p className="mt-1.5 text-xs text-gray-500 dark:text-gray-400">
+        {error
+          ? 'Templates could not be loaded'
+          : selected
+            ? describeTemplate(selected)
+            : !isLoading && templates.length === 0
+              ? 'No templates yet'
+              : helperText}
+      </p>
+    </div>
+  );
+};
+
+export default TemplatePicker;
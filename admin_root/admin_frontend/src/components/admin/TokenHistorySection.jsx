@@ -0,0 +1,213 @@
+/**
+ * TokenHistorySection Component
+ * Credit ledger for a trainee: every token debit/credit with reason, booking,
+ * actor and before/after balances, plus the ledger-vs-balance consistency check
+ */
+
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { traineeApi } from '../../services/adminApi';
+
+const PAGE_SIZE = 50;
+
+const CREDIT_FIELD_LABELS = {
+  sj_credits: 'Situational Judgment',
+  cs_credits: 'Clinical Skills',
+  sjmini_credits: 'Mini-mock',
+  mock_discussion_token: 'Mock Discussion',
+  shared_mock_credits: 'Shared'
+};
+
+const REASON_LABELS = {
+  booking_created: 'Booking',
+  booking_cancelled: 'Cancellation',
+  waitlist_promoted: 'Waitlist promotion',
+  bulk_booking: 'Bulk booking',
+  refund: 'Refund',
+  admin_adjustment: 'Admin adjustment',
+  token_expired: 'Expired',
+  hubspot_sync: 'HubSpot sync'
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    timeZone: 'America/Toronto',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const TokenHistorySection = ({ contactId }) => {
+  const [creditField, setCreditField] = useState('');
+  const [offset, setOffset] = useState(0);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['trainee-token-history', contactId, creditField, offset],
+    queryFn: () => traineeApi.getTokenHistory(contactId, {
+      credit_field: creditField || undefined,
+      limit: PAGE_SIZE,
+      offset
+    }),
+    enabled: !!contactId,
+    keepPreviousData: true,
+    staleTime: 30000
+  });
+
+  const entries = data?.data?.entries || [];
+  const consistency = data?.data?.consistency || null;
+  const pagination = data?.pagination || { total: 0, has_more: false };
+
+  const handleFilterChange = (e) => {
+    setCreditField(e.target.value);
+    setOffset(0);
+  };
+
+  const mismatchedFields = consistency
+    ? Object.entries(consistency.fields || {}).filter(([, state]) => !state.consistent)
+    : [];
+
+  return (
+    <div className="bg-white dark:bg-dark-card shadow-sm dark:shadow-gray-900/50 rounded-lg p-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          Token History ({pagination.total})
+        </h2>
+        <select
+          value={creditField}
+          onChange={handleFilterChange}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+          aria-label="Filter by token type"
+        >
+          <option value="">All token types</option>
+          {Object.entries(CREDIT_FIELD_LABELS).map(([field, label]) => (
+            <option key={field} value={field}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Consistency check */}
+      {consistency && consistency.consistent && Object.keys(consistency.fields || {}).length > 0 && (
+        <div className="mb-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-md p-3">
+          <p className="text-sm text-green-800 dark:text-green-300">
+            Ledger matches the current balances.
+          </p>
+        </div>
+      )}
+
+      {consistency && !consistency.consistent && (
+        <div className="mb-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-md p-3">
+          <p className="text-sm font-medium text-yellow-800 dark:text-yellow-300">
+            Ledger does not match the current balances
+          </p>
+          <ul className="mt-1 text-sm text-yellow-700 dark:text-yellow-400 list-disc list-inside">
+            {mismatchedFields.map(([field, state]) => (
+              <li key={field}>
+                {CREDIT_FIELD_LABELS[field] || field}: ledger replays to {state.replayed_balance}, balance is {state.current_balance}
+              </li>
+            ))}
+            {consistency.gaps?.length > 0 && (
+              <li>{consistency.gaps.length} unrecorded change(s) between ledger entries</li>
+            )}
+          </ul>
+        </div>
+      )}
+
+      {isLoading && (
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+          <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+          <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+        </div>
+      )}
+
+      {error && !isLoading && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+          <p className="text-sm text-red-800 dark:text-red-300">
+            {error.message || 'Failed to load token history'}
+          </p>
+        </div>
+      )}
+
+      {!isLoading && !error && entries.length === 0 && (
+        <div className="flex items-center justify-center py-16 min-h-[200px]">
+          <p className="text-gray-500 dark:text-gray-400">
+            No token changes recorded for this trainee
+          </p>
+        </div>
+      )}
+
+      {!isLoading && !error && entries.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                {['Date', 'Token', 'Change', 'Before', 'After', 'Reason', 'Booking', 'By'].map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {formatTimestamp(entry.created_at)}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                    {CREDIT_FIELD_LABELS[entry.credit_field] || entry.credit_field}
+                  </td>
+                  <td className={`px-4 py-2 text-sm font-semibold ${entry.delta > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {formatDelta(entry.delta)}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{entry.balance_before}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{entry.balance_after}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                    {REASON_LABELS[entry.reason] || entry.reason}
+                    {entry.note && (
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">{entry.note}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">{entry.booking_id || '—'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">
+                    {entry.actor || entry.actor_type}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {(offset > 0 || pagination.has_more) && (
+            <div className="flex justify-end gap-2 mt-4">
+              <button
+                onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                disabled={offset === 0}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={!pagination.has_more}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TokenHistorySection;
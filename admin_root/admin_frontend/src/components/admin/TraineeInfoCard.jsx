@@ -4,16 +4,33 @@ import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { useTokenEditMutation } from '../../hooks/useTokenEditMutation';
 
+const CREDIT_FIELD_LABELS = {
+  mock_discussion_token: 'Mock Discussion',
+  cs_credits: 'Clinical Skills',
+  sj_credits: 'Situational Judgment',
+  sjmini_credits: 'Mini-mock',
+  shared_mock_credits: 'Shared Mock'
+};
+
+const formatLotExpiry = (expiresAt) => new Date(expiresAt).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
 /**
  * TraineeInfoCard Component
  * Displays trainee contact information and token balances in a card format
- * Uses 2-column grid layout for basic info with horizontal token badges below
+ * Uses 2-column grid layout for basic info with horizontal token badges below,
+ * followed by the exam sets the trainee has attended or booked per mock type
  */
-const TraineeInfoCard = ({ trainee, searchQuery }) => {
+const TraineeInfoCard = ({ trainee, searchQuery, setHistory }) => {
   const [isEditMode, setIsEditMode] = useState(false);
   const [editedTokens, setEditedTokens] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [lastSavedTokens, setLastSavedTokens] = useState(null);
+  // Expiry date (YYYY-MM-DD) for tokens added in this edit - empty = never expire
+  const [expiresAt, setExpiresAt] = useState('');
 
   // Import the token edit mutation hook
   const tokenEditMutation = useTokenEditMutation(trainee?.contactId, searchQuery);
@@ -92,8 +109,12 @@ const TraineeInfoCard = ({ trainee, searchQuery }) => {
       // Save locally for immediate display
       setLastSavedTokens(normalizedTokens);
 
-      await tokenEditMutation.mutateAsync(normalizedTokens);
+      // Added tokens expire at the end of the chosen day
+      await tokenEditMutation.mutateAsync(expiresAt
+        ? { ...normalizedTokens, expires_at: new Date(`${expiresAt}T23:59:59`).toISOString() }
+        : normalizedTokens);
       setIsEditMode(false);
+      setExpiresAt('');
     } catch (error) {
       // Error handling is done in the mutation hook
       // Clear lastSavedTokens on error to revert to original display
@@ -107,6 +128,7 @@ const TraineeInfoCard = ({ trainee, searchQuery }) => {
   // Handle cancel edit
   const handleCancelEdit = () => {
     setIsEditMode(false);
+    setExpiresAt('');
     // Reset edited tokens to original values
     if (trainee?.tokens) {
       setEditedTokens({
@@ -371,6 +393,69 @@ const TraineeInfoCard = ({ trainee, searchQuery }) => {
                 )}
               </div>
             </div>
+
+            {/* Expiry for added tokens (edit mode) */}
+            {isEditMode && (
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <label htmlFor="token-expires-at" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Added tokens expire on:
+                </label>
+                <Input
+                  id="token-expires-at"
+                  type="date"
+                  value={expiresAt}
+                  min={new Date().toISOString().split('T')[0]}
+                  onChange={(e) => setExpiresAt(e.target.value)}
+                  className="w-44 h-8 text-sm"
+                  disabled={isSubmitting}
+                />
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  Leave empty for tokens that don't expire. Removed tokens come out of the earliest-expiring lot.
+                </span>
+              </div>
+            )}
+
+            {/* Expiring lots */}
+            {!isEditMode && trainee.token_lots?.length > 0 && (
+              <div className="mt-3 space-y-1">
+                {trainee.token_lots.map((lot, index) => (
+                  <p key={index} className="text-xs text-yellow-700 dark:text-yellow-400">
+                    {lot.amount} {CREDIT_FIELD_LABELS[lot.credit_field] || lot.credit_field} token{lot.amount === 1 ? '' : 's'} expire{lot.amount === 1 ? 's' : ''} {formatLotExpiry(lot.expires_at)}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Exam Sets - attended (green) or booked (blue) per mock type */}
+        {setHistory && Object.keys(setHistory).length > 0 && (
+          <div className="mt-6 pt-5 border-t border-gray-200 dark:border-gray-700">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
+              Exam Sets
+            </label>
+            <div className="space-y-2">
+              {Object.entries(setHistory).map(([mockType, sets]) => (
+                <div key={mockType} className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-700 dark:text-gray-300 min-w-[160px]">
+                    {mockType}:
+                  </span>
+                  {sets.map(entry => (
+                    <span
+                      key={entry.mock_set}
+                      title={`${entry.attended ? 'Attended' : 'Booked'}${entry.exam_date ? ` ${formatDateShort(entry.exam_date)}` : ''}`}
+                      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                        entry.attended
+                          ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+                          : 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+                      }`}
+                    >
+                      Set {entry.mock_set}
+                    </span>
+                  ))}
+                </div>
+              ))}
+            </div>
           </div>
         )}
       </div>
@@ -0,0 +1,188 @@
+/**
+ * UtilizationCharts Components
+ * SVG charts for the utilization report
+ *
+ * - UtilizationChart: capacity and bookings bars per period with the fill rate line
+ * - GroupFillRateChart: one fill rate line per location / mock type
+ */
+
+const WIDTH = 720;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 44, bottom: 36, left: 44 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+const GROUP_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#ca8a04', '#4b5563'];
+
+// Show at most ~12 period labels so they don't overlap
+const labelStep = (count) => Math.max(1, Math.ceil(count / 12));
+
+const rateY = (rate) => PADDING.top + PLOT_HEIGHT - (rate / 100) * PLOT_HEIGHT;
+
+/**
+ * Line path through the points that have a rate (gaps where the rate is null)
+ */
+const linePath = (points) => points
+  .map((point, index) => {
+    if (point.rate === null || point.rate === undefined) return null;
+    const previous = points[index - 1];
+    const command = previous && previous.rate !== null && previous.rate !== undefined ? 'L' : 'M';
+    return `${command}${point.x.toFixed(1)},${rateY(Math.min(point.rate, 100)).toFixed(1)}`;
+  })
+  .filter(Boolean)
+  .join(' ');
+
+const PeriodAxis = ({ series, slotWidth, formatPeriod }) => (
+  <>
+    <line
+      x1={PADDING.left}
+      x2={WIDTH - PADDING.right}
+      y1={PADDING.top + PLOT_HEIGHT}
+      y2={PADDING.top + PLOT_HEIGHT}
+      className="stroke-gray-300 dark:stroke-gray-600"
+    />
+    {series.map((point, index) => index % labelStep(series.length) === 0 && (
+      <text
+        key={point.period_start}
+        x={PADDING.left + slotWidth * (index + 0.5)}
+        y={HEIGHT - 12}
+        textAnchor="middle"
+        className="fill-gray-500 dark:fill-gray-400 text-[10px]"
+      >
+        {formatPeriod(point.period_start)}
+      </text>
+    ))}
+  </>
+);
+
+const RateAxis = ({ side = 'right' }) => (
+  <>
+    {[0, 50, 100].map(rate => (
+      <g key={rate}>
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={rateY(rate)}
+          y2={rateY(rate)}
+          className="stroke-gray-100 dark:stroke-gray-700"
+          strokeDasharray={rate === 0 ? undefined : '3 3'}
+        />
+        <text
+          x={side === 'right' ? WIDTH - PADDING.right + 6 : PADDING.left - 6}
+          y={rateY(rate) + 3}
+          textAnchor={side === 'right' ? 'start' : 'end'}
+          className="fill-gray-500 dark:fill-gray-400 text-[10px]"
+        >
+          {rate}%
+        </text>
+      </g>
+    ))}
+  </>
+);
+
+export const UtilizationChart = ({ series = [], formatPeriod = (period) => period }) => {
+  if (series.length === 0) return null;
+
+  const slotWidth = PLOT_WIDTH / series.length;
+  const barWidth = Math.max(2, Math.min(28, slotWidth * 0.35));
+  const maxSeats = Math.max(1, ...series.map(point => Math.max(point.capacity, point.bookings)));
+  const seatsY = (value) => PADDING.top + PLOT_HEIGHT - (value / maxSeats) * PLOT_HEIGHT;
+
+  const ratePoints = series.map((point, index) => ({
+    x: PADDING.left + slotWidth * (index + 0.5),
+    rate: point.fill_rate
+  }));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Capacity, bookings and fill rate per period">
+        <RateAxis side="right" />
+        <text x={PADDING.left - 6} y={PADDING.top + 3} textAnchor="end" className="fill-gray-500 dark:fill-gray-400 text-[10px]">
+          {maxSeats}
+        </text>
+
+        {series.map((point, index) => {
+          const center = PADDING.left + slotWidth * (index + 0.5);
+          return (
+            <g key={point.period_start}>
+              <title>
+                {`${formatPeriod(point.period_start)}: ${point.sessions} sessions, ${point.bookings}/${point.capacity} seats booked, ${point.cancellations} cancellations`}
+              </title>
+              <rect
+                x={center - barWidth}
+                y={seatsY(point.capacity)}
+                width={barWidth}
+                height={PADDING.top + PLOT_HEIGHT - seatsY(point.capacity)}
+                className="fill-gray-300 dark:fill-gray-600"
+              />
+              <rect
+                x={center}
+                y={seatsY(point.bookings)}
+                width={barWidth}
+                height={PADDING.top + PLOT_HEIGHT - seatsY(point.bookings)}
+                className="fill-primary-500"
+              />
+            </g>
+          );
+        })}
+
+        <path d={linePath(ratePoints)} fill="none" stroke="#dc2626" strokeWidth={2} />
+        {ratePoints.map((point, index) => point.rate !== null && (
+          <circle key={series[index].period_start} cx={point.x} cy={rateY(Math.min(point.rate, 100))} r={2.5} fill="#dc2626" />
+        ))}
+
+        <PeriodAxis series={series} slotWidth={slotWidth} formatPeriod={formatPeriod} />
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600 dark:text-gray-400">
+        <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 bg-gray-300 dark:bg-gray-600" /> Capacity (seats)</span>
+        <span className="flex items-center gap-1.5"><span className="inline-block h-2.5 w-2.5 bg-primary-500" /> Bookings</span>
+        <span className="flex items-center gap-1.5"><span className="inline-block h-0.5 w-4 bg-red-600" /> Fill rate</span>
+      </div>
+    </div>
+  );
+};
+
+export const GroupFillRateChart = ({ groups = [], formatPeriod = (period) => period }) => {
+  const periods = groups[0]?.series || [];
+  if (periods.length === 0) return null;
+
+  const slotWidth = PLOT_WIDTH / periods.length;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Fill rate per period by group">
+        <RateAxis side="left" />
+
+        {groups.map((group, groupIndex) => {
+          const color = GROUP_COLORS[groupIndex % GROUP_COLORS.length];
+          const points = group.series.map((point, index) => ({
+            x: PADDING.left + slotWidth * (index + 0.5),
+            rate: point.fill_rate
+          }));
+
+          return (
+            <g key={group.key}>
+              <title>{group.key}</title>
+              <path d={linePath(points)} fill="none" stroke={color} strokeWidth={2} />
+              {points.map((point, index) => point.rate !== null && (
+                <circle key={index} cx={point.x} cy={rateY(Math.min(point.rate, 100))} r={2.5} fill={color} />
+              ))}
+            </g>
+          );
+        })}
+
+        <PeriodAxis series={periods} slotWidth={slotWidth} formatPeriod={formatPeriod} />
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600 dark:text-gray-400">
+        {groups.map((group, groupIndex) => (
+          <span key={group.key} className="flex items-center gap-1.5">
+            <span className="inline-block h-0.5 w-4" style={{ backgroundColor: GROUP_COLORS[groupIndex % GROUP_COLORS.length] }} />
+            {group.key}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,206 @@
+/**
+ * WaitlistSection Component
+ * Shows a mock exam's waitlist queue with reorder/remove controls and
+ * a "Promote Now" action that fills free seats from the front of the queue
+ */
+
+import React, { useState } from 'react';
+import { ArrowUpIcon, ArrowDownIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useWaitlist, useWaitlistMutations } from '../../hooks/useWaitlist';
+
+const HISTORY_LABELS = {
+  promoted: 'Booked',
+  skipped: 'Skipped',
+  left: 'Left',
+  removed: 'Removed'
+};
+
+const formatTimestamp = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    timeZone: 'America/Toronto',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const WaitlistSection = ({ mockExamId }) => {
+  const { data, isLoading, error } = useWaitlist(mockExamId);
+  const { reorder, remove, promote } = useWaitlistMutations(mockExamId);
+  const [entryToRemove, setEntryToRemove] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const waiting = data?.waiting || [];
+  const history = data?.history || [];
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waiting.length) return;
+
+    const ids = waiting.map(entry => entry.id);
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    reorder.mutate(ids);
+  };
+
+  const handleConfirmRemove = (entryId) => {
+    remove.mutate(entryId, {
+      onSettled: () => setEntryToRemove(null)
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mt-8">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+            Waitlist ({waiting.length})
+          </h2>
+          <button
+            type="button"
+            onClick={() => promote.mutate()}
+            disabled={promote.isLoading || waiting.length === 0}
+            className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {promote.isLoading ? 'Promoting...' : 'Promote Now'}
+          </button>
+        </div>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          Students are booked automatically in queue order when a seat opens up.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">Loading waitlist...</div>
+      ) : error ? (
+        <div className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
+          Failed to load waitlist: {error.message}
+        </div>
+      ) : waiting.length === 0 ? (
+        <div className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400 italic">
+          No students are waiting for this session
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-800">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">#</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Student</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Student ID</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Joined</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-dark-card divide-y divide-gray-200 dark:divide-gray-700">
+              {waiting.map((entry, index) => (
+                <tr key={entry.id}>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {entry.queue_position || index + 1}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                    <div>{entry.student_name || '—'}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{entry.student_email}</div>
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                    {entry.student_id}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                    {formatTimestamp(entry.created_at)}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-right">
+                    {entryToRemove === entry.id ? (
+                      <div className="inline-flex items-center gap-2 text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Remove?</span>
+                        <button
+                          type="button"
+                          onClick={() => handleConfirmRemove(entry.id)}
+                          disabled={remove.isLoading}
+                          className="font-medium text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 disabled:opacity-50"
+                        >
+                          {remove.isLoading ? 'Removing...' : 'Yes'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEntryToRemove(null)}
+                          disabled={remove.isLoading}
+                          className="font-medium text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                        >
+                          No
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="inline-flex items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => handleMove(index, -1)}
+                          disabled={index === 0 || reorder.isLoading}
+                          className="p-1 rounded text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move up"
+                        >
+                          <ArrowUpIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMove(index, 1)}
+                          disabled={index === waiting.length - 1 || reorder.isLoading}
+                          className="p-1 rounded text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move down"
+                        >
+                          <ArrowDownIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEntryToRemove(entry.id)}
+                          className="p-1 rounded text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300"
+                          title="Remove from waitlist"
+                        >
+                          <XMarkIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* History */}
+      {history.length > 0 && (
+        <div className="px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button
+            type="button"
+            onClick={() => setShowHistory(prev => !prev)}
+            className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300"
+          >
+            {showHistory ? 'Hide history' : `Show history (${history.length})`}
+          </button>
+
+          {showHistory && (
+            <ul className="mt-3 divide-y divide-gray-100 dark:divide-gray-700">
+              {history.map(entry => (
+                <li key={entry.id} className="py-2 flex justify-between text-sm">
+                  <span className="text-gray-900 dark:text-gray-100">
+                    {entry.student_name || entry.student_id}
+                    <span className="text-gray-500 dark:text-gray-400"> ({entry.student_id})</span>
+                  </span>
+                  <span className="text-gray-600 dark:text-gray-300">
+                    {HISTORY_LABELS[entry.status] || entry.status}
+                    {entry.status_reason && ` · ${entry.status_reason}`}
+                    {' · '}
+                    {formatTimestamp(entry.promoted_at || entry.updated_at)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaitlistSection;
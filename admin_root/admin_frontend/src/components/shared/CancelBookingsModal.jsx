@@ -7,6 +7,7 @@
  * - Confirm button disabled until correct number is entered
  * - Show list of first 5 booking names, then "... and X more"
  * - Loading state during API call
+ * - Refund choice: full refund or apply the cancellation policy (late cancellations forfeit tokens)
  * - Success/error handling
  * - Accessibility support (ARIA labels, keyboard navigation)
  */
@@ -23,7 +24,9 @@ const CancelBookingsModal = ({
   isLoading = false,
   error = null,
   refundTokens = true,         // NEW
-  onToggleRefund = () => {}     // NEW
+  onToggleRefund = () => {},    // NEW
+  refundPolicy = 'full',
+  onChangeRefundPolicy = () => {}
 }) => {
   const [confirmationInput, setConfirmationInput] = useState('');
   const inputRef = useRef(null);
@@ -201,6 +204,44 @@ const CancelBookingsModal = ({
                         </p>
                       </div>
                     </label>
+
+                    {refundTokens && (
+                      <fieldset className="mt-3 ml-7 space-y-2" disabled={isLoading}>
+                        <legend className="sr-only">Refund policy</legend>
+                        <label className="flex items-start cursor-pointer">
+                          <input
+                            type="radio"
+                            name="refund-policy"
+                            value="full"
+                            checked={refundPolicy === 'full'}
+                            onChange={() => onChangeRefundPolicy('full')}
+                            className="mt-0.5 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                          />
+                          <span className="ml-2 text-sm text-blue-900 dark:text-blue-200">
+                            Full refund
+                            <span className="block text-xs text-blue-700 dark:text-blue-300">
+                              Return every token regardless of when the booking is cancelled
+                            </span>
+                          </span>
+                        </label>
+                        <label className="flex items-start cursor-pointer">
+                          <input
+                            type="radio"
+                            name="refund-policy"
+                            value="policy"
+                            checked={refundPolicy === 'policy'}
+                            onChange={() => onChangeRefundPolicy('policy')}
+                            className="mt-0.5 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                          />
+                          <span className="ml-2 text-sm text-blue-900 dark:text-blue-200">
+                            Apply cancellation policy
+                            <span className="block text-xs text-blue-700 dark:text-blue-300">
+                              Tokens are forfeited for bookings past the free cancellation deadline
+                            </span>
+                          </span>
+                        </label>
+                      </fieldset>
+                    )}
                   </div>
 
                   {/* Error Message */}
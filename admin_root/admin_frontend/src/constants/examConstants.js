@@ -11,7 +11,7 @@ export const MOCK_TYPE_OPTIONS = [
   { value: 'Mini-mock', label: 'Mini-mock' }
 ];
 
-// Location Options
+// Location Options - built-in sites, used until the location catalog loads (hooks/useLocations)
 export const LOCATION_OPTIONS = [
   { value: 'Mississauga', label: 'Mississauga' },
   { value: 'Mississauga - B9', label: 'Mississauga - B9' },
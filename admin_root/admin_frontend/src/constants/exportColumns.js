@@ -0,0 +1,49 @@
+/**
+ * Column choices for the server-side exports (api/_shared/exports.js)
+ *
+ * Booking columns reuse the bookings table's column picker choices, plus the
+ * columns only an export needs. The server writes the chosen columns in its own
+ * fixed order, so the order here only affects the picker.
+ */
+
+import { COLUMN_DEFINITIONS, FIXED_COLUMNS, TRAINEE_ONLY_COLUMNS } from '../hooks/useColumnVisibility';
+
+export const DEFAULT_BOOKING_EXPORT_COLUMNS = [
+  'name', 'email', 'student_id', 'mock_type', 'exam_date', 'time', 'location', 'status', 'token_used', 'booking_date'
+];
+
+const EXPORT_ONLY_BOOKING_COLUMNS = [
+  { id: 'location', label: 'Session Location' },
+  { id: 'ndecc_exam_date', label: 'NDECC Exam Date' },
+  { id: 'booking_id', label: 'Booking ID' },
+  { id: 'mock_exam_id', label: 'Session ID' },
+  { id: 'contact_id', label: 'Contact ID' },
+  { id: 'station', label: 'Station' }
+];
+
+export const BOOKING_EXPORT_COLUMNS = [
+  ...FIXED_COLUMNS,
+  ...TRAINEE_ONLY_COLUMNS,
+  ...COLUMN_DEFINITIONS.map(column => (
+    column.id === 'attending_location' ? { ...column, label: 'Attending Location' } : column
+  )),
+  ...EXPORT_ONLY_BOOKING_COLUMNS
+].map(({ id, label }) => ({ id, label, defaultVisible: DEFAULT_BOOKING_EXPORT_COLUMNS.includes(id) }));
+
+export const TRAINEE_EXPORT_COLUMNS = [
+  { id: 'name', label: 'Name' },
+  { id: 'email', label: 'Email' },
+  { id: 'student_id', label: 'Student ID' },
+  { id: 'ndecc_exam_date', label: 'NDECC Exam Date' },
+  { id: 'sj_credits', label: 'SJ Tokens' },
+  { id: 'cs_credits', label: 'CS Tokens' },
+  { id: 'sjmini_credits', label: 'Mini-mock Tokens' },
+  { id: 'mock_discussion_token', label: 'Mock Discussion Tokens' },
+  { id: 'shared_mock_credits', label: 'Shared Mock Tokens' },
+  { id: 'total_tokens', label: 'Total Tokens' },
+  { id: 'contact_id', label: 'Contact ID' }
+].map(column => ({ ...column, defaultVisible: column.id !== 'contact_id' }));
+
+export const DEFAULT_TRAINEE_EXPORT_COLUMNS = TRAINEE_EXPORT_COLUMNS
+  .filter(column => column.defaultVisible)
+  .map(column => column.id);
@@ -0,0 +1,139 @@
+/**
+ * useAuditLog Hook
+ * React Query hooks for the mock exam audit log
+ *
+ * Features:
+ * - Global, filterable audit log (Audit Log page)
+ * - One exam's history (History tab on the mock exam detail page)
+ * - Labels and value formatting shared by both views
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { auditLogApi } from '../services/adminApi';
+
+export const AUDIT_PAGE_SIZE = 50;
+
+export const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  bulk_update: 'Bulk edited',
+  status_change: 'Status changed',
+  clone: 'Cloned',
+  delete: 'Deleted',
+  restore: 'Restored',
+  purge: 'Permanently deleted',
+  prerequisites_change: 'Prerequisites changed'
+};
+
+export const AUDIT_FIELD_LABELS = {
+  mock_type: 'Mock Type',
+  mock_set: 'Mock Set',
+  exam_date: 'Exam Date',
+  start_time: 'Start Time',
+  end_time: 'End Time',
+  location: 'Location',
+  address: 'Address',
+  capacity: 'Capacity',
+  is_active: 'Status',
+  scheduled_activation_datetime: 'Scheduled Activation',
+  booking_cutoff_hours: 'Booking Cutoff (h)',
+  scheduled_deactivation_datetime: 'Scheduled Deactivation',
+  mock_exam_name: 'Mock Exam Name',
+  room_id: 'Room',
+  series_id: 'Series',
+  prerequisite_exam_ids: 'Prerequisites'
+};
+
+const STATUS_LABELS = {
+  true: 'Active',
+  false: 'Inactive',
+  scheduled: 'Scheduled'
+};
+
+const TIMESTAMP_FIELDS = ['start_time', 'end_time', 'scheduled_activation_datetime', 'scheduled_deactivation_datetime'];
+const DATED_TIMESTAMP_FIELDS = ['scheduled_activation_datetime', 'scheduled_deactivation_datetime'];
+
+/**
+ * Format a recorded value for display (timestamps in Toronto time, status labels, ID lists)
+ * @param {string} field - Audited field name
+ * @param {*} value - Value from changes[field].from / .to
+ * @returns {string}
+ */
+export const formatAuditValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : 'None';
+  }
+
+  if (field === 'is_active') {
+    return STATUS_LABELS[value] || value;
+  }
+
+  if (TIMESTAMP_FIELDS.includes(field)) {
+    const date = /^\d+$/.test(String(value)) ? new Date(parseInt(value)) : new Date(value);
+    if (!isNaN(date.getTime())) {
+      return date.toLocaleString('en-US', {
+        timeZone: 'America/Toronto',
+        ...(DATED_TIMESTAMP_FIELDS.includes(field) && { month: 'short', day: 'numeric', year: 'numeric' }),
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+    }
+  }
+
+  return String(value);
+};
+
+export const formatAuditTimestamp = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    timeZone: 'America/Toronto',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const selectAuditResponse = (response) => {
+  if (!response?.success) {
+    throw new Error('Invalid API response');
+  }
+  return response;
+};
+
+export const useAuditLog = (filters = {}) => {
+  return useQuery({
+    queryKey: ['audit-log', filters],
+    queryFn: async () => selectAuditResponse(await auditLogApi.list({
+      ...filters,
+      limit: filters.limit || AUDIT_PAGE_SIZE
+    })),
+    keepPreviousData: true,
+    staleTime: 30 * 1000, // 30 seconds - new entries arrive with every edit
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching audit log:', error);
+    }
+  });
+};
+
+export const useExamHistory = (mockExamId, { action, offset = 0 } = {}) => {
+  return useQuery({
+    queryKey: ['audit-log', 'exam', mockExamId, { action, offset }],
+    queryFn: async () => selectAuditResponse(await auditLogApi.getExamHistory(mockExamId, {
+      action: action || undefined,
+      limit: AUDIT_PAGE_SIZE,
+      offset
+    })),
+    enabled: !!mockExamId,
+    keepPreviousData: true,
+    staleTime: 0, // Always refetch when the tab is opened - the exam may just have been edited
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching mock exam history:', error);
+    }
+  });
+};
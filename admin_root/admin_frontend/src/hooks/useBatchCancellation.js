@@ -20,6 +20,7 @@ const useBatchCancellation = (bookings = []) => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [refundTokens, setRefundTokens] = useState(true);  // Default: enabled
+  const [refundPolicy, setRefundPolicy] = useState('full');  // 'full' | 'policy'
 
   // Reset selections when bookings change (e.g., after successful cancellation)
   useEffect(() => {
@@ -157,6 +158,7 @@ const useBatchCancellation = (bookings = []) => {
     selectedBookings,
     selectedIds,
     refundTokens,
+    refundPolicy,
 
     // Actions
     toggleMode,
@@ -169,6 +171,7 @@ const useBatchCancellation = (bookings = []) => {
     startSubmitting,
     returnToSelecting,
     toggleRefund,
+    setRefundPolicy,
 
     // Helpers
     isSelected,
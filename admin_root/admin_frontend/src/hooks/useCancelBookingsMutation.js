@@ -22,7 +22,7 @@ const useCancelBookingsMutation = (mockExamId) => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async ({ bookings, refundTokens }) => {
+    mutationFn: async ({ bookings, refundTokens, refundPolicy }) => {
       // Send full booking objects from memory (optimization)
       // Updated naming convention:
       // - id: Supabase UUID (primary identifier)
@@ -36,10 +36,11 @@ const useCancelBookingsMutation = (mockExamId) => {
           name: b.name || 'Unknown',
           email: b.email || ''
         })),
-        refundTokens: refundTokens !== undefined ? refundTokens : true
+        refundTokens: refundTokens !== undefined ? refundTokens : true,
+        refundPolicy: refundPolicy || 'full'
       };
 
-      console.log(`🗑️ [CANCEL] Requesting cancellation of ${bookings.length} bookings (refund: ${requestBody.refundTokens})`);
+      console.log(`🗑️ [CANCEL] Requesting cancellation of ${bookings.length} bookings (refund: ${requestBody.refundTokens}, policy: ${requestBody.refundPolicy})`);
 
       const response = await mockExamsApi.cancelBookings(mockExamId, requestBody);
       return response;
@@ -106,9 +107,16 @@ const useCancelBookingsMutation = (mockExamId) => {
           );
           console.error('❌ [REFUND] Failed refunds:', refundSummary.details?.failed);
         }
-        if (refundSummary.skipped > 0) {
+        if (refundSummary.forfeited > 0) {
+          toast(
+            `${refundSummary.forfeited} token(s) forfeited under the cancellation policy`,
+            { icon: 'ℹ️', duration: 5000 }
+          );
+        }
+        const noTokenCount = refundSummary.skipped - (refundSummary.forfeited || 0);
+        if (noTokenCount > 0) {
           toast.info(
-            `ℹ️ ${refundSummary.skipped} booking(s) had no tokens to refund`,
+            `ℹ️ ${noTokenCount} booking(s) had no tokens to refund`,
             { duration: 5000 }
           );
         }
@@ -117,6 +125,15 @@ const useCancelBookingsMutation = (mockExamId) => {
       // Invalidate bookings cache to force fresh data from server
       // This ensures the UI reflects the true server state after cancellation
       await queryClient.invalidateQueries(['bookings', mockExamId]);
+
+      // Freed seats are filled from the waitlist server-side
+      if (responseData.data.waitlistPromotions > 0) {
+        toast.success(
+          `✓ Booked ${responseData.data.waitlistPromotions} student(s) from the waitlist`,
+          { duration: 5000 }
+        );
+      }
+      await queryClient.invalidateQueries(['waitlist', mockExamId]);
     },
 
     onError: (error, variables, context) => {
@@ -1,6 +1,7 @@
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { adminApi } from '../services/adminApi';
 import toast from 'react-hot-toast';
+import { getRoomConflicts, showRoomWarnings } from './useRooms';
 
 /**
  * Custom hook for cloning mock exam sessions with optimistic UI updates
@@ -39,8 +40,9 @@ const useCloneSessions = () => {
      * @param {Object} params - Object containing selectedSessions and overrides
      * @param {Array<Object>} params.selectedSessions - Array of session objects with full properties
      * @param {Object} params.overrides - Property overrides (exam_date is required)
+     * @param {boolean} [params.allowRoomOverlap] - Clone even if a room is already in use
      */
-    mutationFn: async ({ selectedSessions, overrides }) => {
+    mutationFn: async ({ selectedSessions, overrides, allowRoomOverlap = false }) => {
       if (!selectedSessions || selectedSessions.length === 0) {
         throw new Error('At least one session must be selected');
       }
@@ -64,13 +66,15 @@ const useCloneSessions = () => {
           start_time: session.start_time || '',
           end_time: session.end_time || '',
           is_active: session.is_active || 'active',
-          scheduled_activation_datetime: session.scheduled_activation_datetime || ''
+          scheduled_activation_datetime: session.scheduled_activation_datetime || '',
+          room_id: session.room_id || ''
         }
       }));
 
       const response = await adminApi.post('/admin/mock-exams/clone', {
         cloneSources,
-        overrides
+        overrides,
+        ...(allowRoomOverlap && { allow_room_overlap: true })
       });
 
       return response.data;
@@ -94,6 +98,8 @@ const useCloneSessions = () => {
         );
       }
 
+      showRoomWarnings(data);
+
       // Show warning for failed clones
       if (summary.failed > 0) {
         toast.error(
@@ -129,6 +135,9 @@ const useCloneSessions = () => {
     onError: (error) => {
       console.error('❌ [CLONE] Failed to clone sessions:', error);
 
+      // Room double bookings are shown in the modal with a "Clone Anyway" option
+      if (getRoomConflicts(error)) return;
+
       // Extract user-friendly error message
       const message =
         error?.response?.data?.error?.message ||
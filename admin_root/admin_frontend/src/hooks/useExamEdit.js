@@ -8,6 +8,7 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
 import { mockExamsApi } from '../services/adminApi';
 import { useFormValidation } from './useFormValidation';
+import { getRoomConflicts, showRoomWarnings } from './useRooms';
 import {
   hasFormChanges,
   formatFormDataForApi,
@@ -39,6 +40,10 @@ export function useExamEdit(examData) {
   const [formData, setFormData] = useState({});
   const [isDirty, setIsDirty] = useState(false);
 
+  // Room double bookings returned by the last save (409 ROOM_CONFLICT)
+  const [roomConflicts, setRoomConflicts] = useState(null);
+  const allowRoomOverlapRef = useRef(false);
+
   // Initialize validation
   const validation = useFormValidation(formData);
 
@@ -93,9 +98,12 @@ export function useExamEdit(examData) {
         end_time: convertToTimeInput(examData.end_time),
         capacity: examData.capacity || 0,
         location: examData.location || '',
+        room_id: examData.room_id || '',
         address: examData.address || '',
         is_active: examData.is_active !== undefined ? examData.is_active : 'true',
         scheduled_activation_datetime: examData.scheduled_activation_datetime || null,
+        booking_cutoff_hours: examData.booking_cutoff_hours ?? '',
+        scheduled_deactivation_datetime: examData.scheduled_deactivation_datetime || null,
         // Keep track of booking count for validation
         booked_count: examData.booked_count || examData.total_bookings || 0,
         total_bookings: examData.total_bookings || examData.booked_count || 0,
@@ -172,6 +180,13 @@ export function useExamEdit(examData) {
           updatedFormData.scheduled_activation_datetime = updatedProperties.scheduled_activation_datetime;
         }
 
+        // HubSpot returns the deactivation as Unix ms - keep ISO in the form
+        if (updatedProperties.scheduled_deactivation_datetime !== undefined) {
+          updatedFormData.scheduled_deactivation_datetime = /^\d+$/.test(String(updatedProperties.scheduled_deactivation_datetime))
+            ? new Date(parseInt(updatedProperties.scheduled_deactivation_datetime, 10)).toISOString()
+            : updatedProperties.scheduled_deactivation_datetime || null;
+        }
+
         // Preserve prerequisite data
         updatedFormData.prerequisite_exam_ids = updatedProperties.prerequisite_exam_ids || [];
         updatedFormData.prerequisite_exams = updatedProperties.prerequisite_exams || [];
@@ -186,6 +201,7 @@ export function useExamEdit(examData) {
 
         // Show success message
         notify.success('Mock exam updated successfully');
+        showRoomWarnings(response);
 
         // Invalidate metrics only (background refresh)
         queryClient.invalidateQueries(['mockExamsMetrics']);
@@ -199,6 +215,14 @@ export function useExamEdit(examData) {
     },
     onError: (error) => {
       console.error('❌ [SAVE-ERROR]:', error);
+
+      // Room double bookings are shown inline with a "Save Anyway" option
+      const conflicts = getRoomConflicts(error);
+      if (conflicts) {
+        setRoomConflicts(conflicts);
+        return;
+      }
+
       // Show error message
       const errorMessage = error.response?.data?.error?.message || error.message || 'Failed to save changes';
       notify.error(errorMessage);
@@ -308,6 +332,7 @@ export function useExamEdit(examData) {
     resetForm();
     setIsEditing(false);
     setIsDirty(false);
+    setRoomConflicts(null);
   }, [resetForm]);
 
   /**
@@ -368,6 +393,13 @@ export function useExamEdit(examData) {
     // Format data for API
     const apiData = formatFormDataForApi(changes);
 
+    // Only the save confirmed from the room conflict notice may double-book
+    if (allowRoomOverlapRef.current) {
+      apiData.allow_room_overlap = true;
+      allowRoomOverlapRef.current = false;
+    }
+    setRoomConflicts(null);
+
     // Execute save mutation
     try {
       // First save the main exam updates if there are any
@@ -413,6 +445,11 @@ export function useExamEdit(examData) {
         status: error.response?.status
       });
 
+      // Room double bookings are already shown inline
+      if (getRoomConflicts(error)) {
+        return false;
+      }
+
       // Show error toast for prerequisite update failures
       const errorMessage = error.response?.data?.error?.message || error.message || 'Failed to save changes';
       notify.error(errorMessage);
@@ -421,6 +458,18 @@ export function useExamEdit(examData) {
     }
   }, [formData, validation, saveMutation, examData, queryClient]);
 
+  /**
+   * Save again, accepting the room double bookings
+   */
+  const saveAnyway = useCallback(() => {
+    allowRoomOverlapRef.current = true;
+    return saveChanges();
+  }, [saveChanges]);
+
+  const dismissRoomConflicts = useCallback(() => {
+    setRoomConflicts(null);
+  }, []);
+
   /**
    * Check if save is allowed
    */
@@ -483,6 +532,7 @@ export function useExamEdit(examData) {
     isDirty,
     isSaving: saveMutation.isLoading,
     saveError: saveMutation.error,
+    roomConflicts,
 
     // Actions
     toggleEdit,
@@ -493,6 +543,8 @@ export function useExamEdit(examData) {
     cancelEdit,
     forceCancelEdit,
     resetForm,
+    saveAnyway,
+    dismissRoomConflicts,
 
     // Utilities
     canSave,
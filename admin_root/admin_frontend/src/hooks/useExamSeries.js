@@ -0,0 +1,116 @@
+/**
+ * useExamSeries Hook
+ * React Query hooks for recurring session series
+ *
+ * Features:
+ * - Series definition plus its sessions
+ * - Create a series from a recurrence rule
+ * - Scoped edit / delete ("this session", "this and following", "whole series")
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { mockExamsApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const useExamSeries = (seriesId) => {
+  return useQuery({
+    queryKey: ['examSeries', seriesId],
+    queryFn: async () => {
+      const response = await mockExamsApi.getSeries(seriesId);
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled: !!seriesId,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching series:', error);
+    }
+  });
+};
+
+export const useExamSeriesMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshSessions = async (seriesId) => {
+    await Promise.all([
+      queryClient.invalidateQueries(['examSeries', seriesId]),
+      queryClient.invalidateQueries(['mockExams']),
+      queryClient.invalidateQueries(['mock-exam-aggregates']),
+      queryClient.invalidateQueries(['mockExamsMetrics']),
+      queryClient.invalidateQueries(['mockExam'])
+    ]);
+  };
+
+  const create = useMutation({
+    mutationFn: (seriesData) => mockExamsApi.createSeries(seriesData),
+
+    onSuccess: async (responseData) => {
+      const skipped = responseData?.skipped_dates?.length || 0;
+      toast.success(
+        `✓ Created ${responseData?.created_count || 0} session(s) in the series${skipped > 0 ? ` (${skipped} date(s) skipped)` : ''}`,
+        { duration: 5000 }
+      );
+      await refreshSessions(responseData?.series_id);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Series Creation Failed: ${getErrorMessage(error, 'Failed to create series')}`, { duration: 6000 });
+    }
+  });
+
+  const update = useMutation({
+    mutationFn: ({ seriesId, scope, anchorId, changes }) =>
+      mockExamsApi.updateSeries(seriesId, { scope, anchor_id: anchorId, changes }),
+
+    onSuccess: async (responseData, { seriesId }) => {
+      const { updated = 0, failed = 0 } = responseData?.summary || {};
+
+      if (failed > 0) {
+        toast.error(`⚠️ Updated ${updated} session(s), ${failed} not updated`, { duration: 6000 });
+      } else {
+        toast.success(`✓ Updated ${updated} session(s)`, { duration: 4000 });
+      }
+
+      await refreshSessions(seriesId);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Series Update Failed: ${getErrorMessage(error, 'Failed to update series')}`, { duration: 6000 });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: ({ seriesId, scope, anchorId }) => mockExamsApi.deleteSeries(seriesId, scope, anchorId),
+
+    onSuccess: async (responseData, { seriesId }) => {
+      const { deleted = 0, failed = 0 } = responseData?.summary || {};
+
+      if (failed > 0) {
+        toast.error(`⚠️ Deleted ${deleted} session(s), ${failed} kept (bookings or past sessions)`, { duration: 6000 });
+      } else {
+        toast.success(`✓ Deleted ${deleted} session(s)`, { duration: 4000 });
+      }
+
+      await refreshSessions(seriesId);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Series Delete Failed: ${getErrorMessage(error, 'Failed to delete series sessions')}`, { duration: 6000 });
+    }
+  });
+
+  return { create, update, remove };
+};
+
+export default useExamSeries;
@@ -0,0 +1,55 @@
+/**
+ * useExports Hook
+ * Downloads server-generated booking and trainee exports (CSV / XLSX) and sign-in sheets (PDF)
+ */
+
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { exportsApi } from '../services/adminApi';
+
+// Only send parameters that are set
+const toParams = (params) =>
+  Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined && value !== false));
+
+/**
+ * @returns {{ download: Function, downloading: string|null }} - downloading is the export type in progress
+ */
+export const useExportDownload = () => {
+  const [downloading, setDownloading] = useState(null);
+
+  /**
+   * @param {'bookings'|'trainees'|'signInSheets'} type
+   * @param {Object} params - Export query parameters (columns as an array)
+   * @param {string} fallbackFilename - Used when the server doesn't name the file
+   */
+  const download = async (type, params, fallbackFilename) => {
+    if (downloading) return;
+
+    setDownloading(type);
+    try {
+      const { blob, filename } = await exportsApi[type](toParams({
+        ...params,
+        columns: Array.isArray(params.columns) ? params.columns.join(',') : params.columns
+      }));
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || fallbackFilename;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      toast.success(`✓ Exported ${filename || fallbackFilename}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error(`✗ Export Failed: ${error.message || 'Failed to export'}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return { download, downloading };
+};
@@ -0,0 +1,107 @@
+/**
+ * useLocations Hook
+ * React Query hooks for the location catalog
+ *
+ * Features:
+ * - Location list shared by every location picker and filter
+ * - Names / options that fall back to the built-in list until the catalog loads
+ * - Create / update / delete mutations with toast feedback
+ */
+
+import { useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { locationsApi } from '../services/adminApi';
+import { LOCATIONS } from '../constants/examConstants';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const useLocations = ({ includeInactive = false, enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['locations', { includeInactive }],
+    queryFn: async () => {
+      const response = await locationsApi.list(includeInactive ? { include_inactive: true } : {});
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response;
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes - sites rarely change
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching locations:', error);
+    }
+  });
+};
+
+/**
+ * Location names for pickers and filters
+ * Filters pass includeInactive so retired sites can still be searched.
+ * @returns {{ locationNames: string[], locationOptions: Array<{value: string, label: string}> }}
+ */
+export const useLocationOptions = ({ includeInactive = false } = {}) => {
+  const { data } = useLocations({ includeInactive });
+
+  return useMemo(() => {
+    const locationNames = data?.data?.length ? data.data.map(location => location.name) : LOCATIONS;
+
+    return {
+      locationNames,
+      locationOptions: locationNames.map(name => ({ value: name, label: name }))
+    };
+  }, [data]);
+};
+
+export const useLocationMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshLocations = () => queryClient.invalidateQueries(['locations']);
+
+  const create = useMutation({
+    mutationFn: (location) => locationsApi.create(location),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Location "${responseData?.data?.name}" added`, { duration: 4000 });
+      await refreshLocations();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save location')}`, { duration: 6000 });
+    }
+  });
+
+  const update = useMutation({
+    mutationFn: ({ id, changes }) => locationsApi.update(id, changes),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Location "${responseData?.data?.name}" updated`, { duration: 4000 });
+      await refreshLocations();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Update Failed: ${getErrorMessage(error, 'Failed to update location')}`, { duration: 6000 });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => locationsApi.delete(id),
+
+    onSuccess: async () => {
+      toast.success('✓ Location deleted', { duration: 4000 });
+      await refreshLocations();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Delete Failed: ${getErrorMessage(error, 'Failed to delete location')}`, { duration: 6000 });
+    }
+  });
+
+  return { create, update, remove };
+};
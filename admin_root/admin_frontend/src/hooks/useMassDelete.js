@@ -55,7 +55,7 @@ const useMassDelete = () => {
       // Show success message
       if (summary.deleted > 0) {
         toast.success(
-          `✓ Successfully deleted ${summary.deleted} session${summary.deleted !== 1 ? 's' : ''}`,
+          `✓ Moved ${summary.deleted} session${summary.deleted !== 1 ? 's' : ''} to the trash`,
           { duration: 5000 }
         );
       }
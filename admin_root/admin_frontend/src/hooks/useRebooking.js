@@ -47,8 +47,8 @@ export function useRebookBooking(options = {}) {
   const { onSuccess, contactId } = options;
 
   return useMutation({
-    mutationFn: ({ bookingId, newMockExamId }) =>
-      traineeApi.rebookBooking(bookingId, newMockExamId),
+    mutationFn: ({ bookingId, newMockExamId, overrideSetRepeat = false }) =>
+      traineeApi.rebookBooking(bookingId, newMockExamId, { overrideSetRepeat }),
 
     onSuccess: (data, variables) => {
       // Invalidate relevant queries
@@ -63,11 +63,17 @@ export function useRebookBooking(options = {}) {
         ? 'Booking rebooked and synced to HubSpot'
         : 'Booking rebooked (Supabase only)';
       toast.success(syncedMsg);
+      if (data.set_repeat_warning) {
+        toast(data.set_repeat_warning, { icon: '⚠️', duration: 6000 });
+      }
       onSuccess?.(data, variables);
     },
 
     onError: (error) => {
-      const message = error?.response?.data?.error?.message || 'Failed to rebook booking';
+      // Repeated exam sets are shown in the modal with an override option
+      if (error?.code === 'MOCK_SET_REPEAT') return;
+
+      const message = error?.response?.data?.error?.message || error?.message || 'Failed to rebook booking';
       toast.error(message);
     }
   });
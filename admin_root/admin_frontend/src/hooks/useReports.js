@@ -0,0 +1,90 @@
+/**
+ * useReports Hooks
+ * React Query hooks for the attendance, no-show and utilization reports
+ *
+ * Features:
+ * - Attendance breakdowns and trend for a date range
+ * - No-shows per trainee with the chronic no-show list
+ * - Utilization series with the previous period comparison
+ * - CSV download of any report
+ */
+
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { reportsApi } from '../services/adminApi';
+
+// Only send filters that are set
+const toParams = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+
+export const useAttendanceReport = (filters) => {
+  const params = toParams(filters);
+
+  return useQuery({
+    queryKey: ['attendance-report', params],
+    queryFn: () => reportsApi.getAttendance(params),
+    keepPreviousData: true,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false
+  });
+};
+
+export const useNoShowReport = (filters) => {
+  const params = toParams(filters);
+
+  return useQuery({
+    queryKey: ['no-show-report', params],
+    queryFn: () => reportsApi.getNoShows(params),
+    keepPreviousData: true,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false
+  });
+};
+
+export const useUtilizationReport = (filters) => {
+  const params = toParams(filters);
+
+  return useQuery({
+    queryKey: ['utilization-report', params],
+    queryFn: () => reportsApi.getUtilization(params),
+    keepPreviousData: true,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false
+  });
+};
+
+/**
+ * Download a report as CSV through the browser
+ * @returns {{ exportCsv: Function, exporting: string|null }} - exporting is the filename being downloaded
+ */
+export const useReportExport = () => {
+  const [exporting, setExporting] = useState(null);
+
+  const exportCsv = async (report, filters, filename) => {
+    if (exporting) return;
+
+    setExporting(filename);
+    try {
+      const blob = await reportsApi.exportCsv(report, toParams(filters));
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      toast.success(`✓ Exported ${filename}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error(`✗ Export Failed: ${error.message || 'Failed to export report'}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return { exportCsv, exporting };
+};
@@ -0,0 +1,131 @@
+/**
+ * useRooms Hook
+ * React Query hooks for rooms and room occupancy
+ *
+ * Features:
+ * - Room list shared by the room pickers and the Rooms page
+ * - Occupancy (sessions per room) for a date range
+ * - Create / update / delete mutations with toast feedback
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomsApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const useRooms = ({ includeInactive = false, enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['rooms', { includeInactive }],
+    queryFn: async () => {
+      const response = await roomsApi.list(includeInactive ? { include_inactive: true } : {});
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes - rooms rarely change
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching rooms:', error);
+    }
+  });
+};
+
+export const useRoomOccupancy = ({ startDate, endDate, site } = {}) => {
+  return useQuery({
+    queryKey: ['roomOccupancy', { startDate, endDate, site }],
+    queryFn: async () => {
+      const response = await roomsApi.getOccupancy({
+        start_date: startDate,
+        end_date: endDate || startDate,
+        ...(site && { site })
+      });
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response;
+    },
+    enabled: !!startDate,
+    staleTime: 60 * 1000,
+    onError: (error) => {
+      console.error('Error fetching room occupancy:', error);
+    }
+  });
+};
+
+export const useRoomMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshRooms = async () => {
+    await queryClient.invalidateQueries(['rooms']);
+    await queryClient.invalidateQueries(['roomOccupancy']);
+  };
+
+  const create = useMutation({
+    mutationFn: (room) => roomsApi.create(room),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Room "${responseData?.data?.name}" added`, { duration: 4000 });
+      await refreshRooms();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save room')}`, { duration: 6000 });
+    }
+  });
+
+  const update = useMutation({
+    mutationFn: ({ id, changes }) => roomsApi.update(id, changes),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Room "${responseData?.data?.name}" updated`, { duration: 4000 });
+      await refreshRooms();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Update Failed: ${getErrorMessage(error, 'Failed to update room')}`, { duration: 6000 });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => roomsApi.delete(id),
+
+    onSuccess: async () => {
+      toast.success('✓ Room deleted', { duration: 4000 });
+      await refreshRooms();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Delete Failed: ${getErrorMessage(error, 'Failed to delete room')}`, { duration: 6000 });
+    }
+  });
+
+  return { create, update, remove };
+};
+
+/**
+ * Toast the room warnings of a save (overlaps allowed by the admin, capacity above the room's seats)
+ */
+export const showRoomWarnings = (response) => {
+  (response?.room_warnings || []).forEach(warning => {
+    toast(warning, { icon: '⚠️', duration: 6000 });
+  });
+};
+
+/**
+ * Room overlaps from a failed save (409 ROOM_CONFLICT), or null
+ */
+export const getRoomConflicts = (error) =>
+  error?.code === 'ROOM_CONFLICT' && error.conflicts?.length > 0 ? error.conflicts : null;
+
+export default useRooms;
@@ -0,0 +1,88 @@
+/**
+ * useSessionTemplates Hook
+ * React Query hooks for listing and managing session templates
+ *
+ * Features:
+ * - Shared template list for the create page, CSV import and clone modal
+ * - Create / update / delete mutations with toast feedback
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { sessionTemplatesApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const useSessionTemplates = ({ enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['sessionTemplates'],
+    queryFn: async () => {
+      const response = await sessionTemplatesApi.list();
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes - templates rarely change
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching session templates:', error);
+    }
+  });
+};
+
+export const useSessionTemplateMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshTemplates = () => queryClient.invalidateQueries(['sessionTemplates']);
+
+  const create = useMutation({
+    mutationFn: (template) => sessionTemplatesApi.create(template),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Template "${responseData?.data?.name}" saved`, { duration: 4000 });
+      await refreshTemplates();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save template')}`, { duration: 6000 });
+    }
+  });
+
+  const update = useMutation({
+    mutationFn: ({ id, changes }) => sessionTemplatesApi.update(id, changes),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ Template "${responseData?.data?.name}" updated`, { duration: 4000 });
+      await refreshTemplates();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Update Failed: ${getErrorMessage(error, 'Failed to update template')}`, { duration: 6000 });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => sessionTemplatesApi.delete(id),
+
+    onSuccess: async () => {
+      toast.success('✓ Template deleted', { duration: 4000 });
+      await refreshTemplates();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Delete Failed: ${getErrorMessage(error, 'Failed to delete template')}`, { duration: 6000 });
+    }
+  });
+
+  return { create, update, remove };
+};
+
+export default useSessionTemplates;
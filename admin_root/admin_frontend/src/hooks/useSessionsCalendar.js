@@ -0,0 +1,90 @@
+/**
+ * Sessions Calendar Hooks
+ * Loads the sessions of the visible calendar period and reschedules sessions
+ * dropped on another day.
+ *
+ * Rescheduling goes through the regular update endpoint, so it gets the same
+ * validation, room checks, Supabase sync and booking cascade as an edit on the
+ * session's detail page.
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { mockExamsApi } from '../services/adminApi';
+import { getRoomConflicts, showRoomWarnings } from './useRooms';
+
+// Most sessions a month of calendar can show (list endpoint maximum)
+const CALENDAR_LIMIT = 500;
+
+/**
+ * Hook to fetch every session between two dates
+ * @param {Object} params - { dateFrom, dateTo, filter_location, filter_mock_type, filter_status }
+ * @param {Object} options - React Query options
+ * @returns {Object} Query result with the sessions array as data
+ */
+export function useSessionsCalendar({ dateFrom, dateTo, ...filters }, options = {}) {
+  const params = {
+    filter_date_from: dateFrom,
+    filter_date_to: dateTo,
+    sort_by: 'date',
+    sort_order: 'asc',
+    page: 1,
+    limit: CALENDAR_LIMIT
+  };
+  if (filters.filter_location) params.filter_location = filters.filter_location;
+  if (filters.filter_mock_type) params.filter_mock_type = filters.filter_mock_type;
+  if (filters.filter_status && filters.filter_status !== 'all') params.filter_status = filters.filter_status;
+
+  return useQuery({
+    queryKey: ['mockExams', 'calendar', JSON.stringify(params)],
+    queryFn: async () => {
+      const result = await mockExamsApi.list(params);
+      return Array.isArray(result?.data) ? result.data : [];
+    },
+    enabled: !!dateFrom && !!dateTo,
+    staleTime: 5000,
+    refetchOnWindowFocus: false,
+    ...options
+  });
+}
+
+/**
+ * Hook to move a session to another date (start and end times are kept)
+ * @returns {Object} Mutation - mutate({ session, examDate, allowRoomOverlap })
+ */
+export function useRescheduleSession() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ session, examDate, allowRoomOverlap = false }) => {
+      const updateData = { exam_date: examDate };
+      if (allowRoomOverlap) {
+        updateData.allow_room_overlap = true;
+      }
+      return await mockExamsApi.update(session.id, updateData);
+    },
+
+    onSuccess: (data, { session, examDate }) => {
+      console.log('✅ Session rescheduled:', session.id, '→', examDate);
+
+      queryClient.invalidateQueries(['mockExams']);
+      queryClient.invalidateQueries(['mockExamsMetrics']);
+      queryClient.invalidateQueries(['mock-exam-aggregates']);
+      queryClient.invalidateQueries(['mockExamDetails', session.id]);
+
+      showRoomWarnings(data);
+      toast.success(`${session.mock_type || 'Session'} moved to ${examDate}`);
+    },
+
+    onError: (error) => {
+      console.error('❌ Failed to reschedule session:', error);
+
+      // Room double bookings are confirmed by the admin instead
+      if (getRoomConflicts(error)) return;
+
+      toast.error(error.message || 'Failed to reschedule session');
+    }
+  });
+}
+
+export default useSessionsCalendar;
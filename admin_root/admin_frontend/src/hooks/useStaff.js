@@ -0,0 +1,259 @@
+/**
+ * useStaff Hook
+ * React Query hooks for examiners/proctors, their session assignments and
+ * the staffing ratios
+ *
+ * Features:
+ * - Staff list shared by the assignment picker and the Staff page
+ * - Per-session assignments with required vs assigned counts
+ * - Per-staff schedule for a date range
+ * - Create / update / delete / assign mutations with toast feedback
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { staffApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const STAFF_ROLE_LABELS = {
+  examiner: 'Examiner',
+  proctor: 'Proctor'
+};
+
+export const useStaffList = ({ includeInactive = false, enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['staff', { includeInactive }],
+    queryFn: async () => {
+      const response = await staffApi.list(includeInactive ? { include_inactive: true } : {});
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes - staff records rarely change
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching staff:', error);
+    }
+  });
+};
+
+export const useStaffingRatios = () => {
+  return useQuery({
+    queryKey: ['staffingRatios'],
+    queryFn: async () => {
+      const response = await staffApi.getRatios();
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    staleTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching staffing ratios:', error);
+    }
+  });
+};
+
+export const useStaffSchedule = (staffId, { startDate, endDate } = {}) => {
+  return useQuery({
+    queryKey: ['staffSchedule', staffId, { startDate, endDate }],
+    queryFn: async () => {
+      const response = await staffApi.getSchedule(staffId, {
+        start_date: startDate,
+        end_date: endDate || startDate
+      });
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response;
+    },
+    enabled: !!staffId && !!startDate,
+    staleTime: 60 * 1000,
+    onError: (error) => {
+      console.error('Error fetching staff schedule:', error);
+    }
+  });
+};
+
+export const useSessionStaff = (mockExamId) => {
+  return useQuery({
+    queryKey: ['sessionStaff', mockExamId],
+    queryFn: async () => {
+      const response = await staffApi.getSessionStaff(mockExamId);
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled: !!mockExamId,
+    staleTime: 30 * 1000,
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching session staff:', error);
+    }
+  });
+};
+
+export const useStaffMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshStaff = async () => {
+    await queryClient.invalidateQueries(['staff']);
+    await queryClient.invalidateQueries(['staffSchedule']);
+  };
+
+  const refreshListings = async () => {
+    await Promise.all([
+      queryClient.invalidateQueries(['staffingRatios']),
+      queryClient.invalidateQueries(['sessionStaff']),
+      queryClient.invalidateQueries(['mockExams']),
+      queryClient.invalidateQueries(['aggregate-sessions'])
+    ]);
+  };
+
+  const create = useMutation({
+    mutationFn: (staff) => staffApi.create(staff),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ ${responseData?.data?.name} added to staff`, { duration: 4000 });
+      await refreshStaff();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save staff member')}`, { duration: 6000 });
+    }
+  });
+
+  const update = useMutation({
+    mutationFn: ({ id, changes }) => staffApi.update(id, changes),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ ${responseData?.data?.name} updated`, { duration: 4000 });
+      await refreshStaff();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Update Failed: ${getErrorMessage(error, 'Failed to update staff member')}`, { duration: 6000 });
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => staffApi.delete(id),
+
+    onSuccess: async () => {
+      toast.success('✓ Staff member deleted', { duration: 4000 });
+      await refreshStaff();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Delete Failed: ${getErrorMessage(error, 'Failed to delete staff member')}`, { duration: 6000 });
+    }
+  });
+
+  const saveRatios = useMutation({
+    mutationFn: (ratios) => staffApi.saveRatios(ratios),
+
+    onSuccess: async () => {
+      toast.success('✓ Staffing ratios saved', { duration: 4000 });
+      await refreshListings();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save staffing ratios')}`, { duration: 6000 });
+    }
+  });
+
+  return { create, update, remove, saveRatios };
+};
+
+export const useSessionStaffMutations = (mockExamId) => {
+  const queryClient = useQueryClient();
+
+  const refreshSession = async (responseData) => {
+    if (responseData?.data) {
+      queryClient.setQueryData(['sessionStaff', mockExamId], {
+        mock_exam_id: responseData.data.mock_exam_id,
+        assignments: responseData.data.assignments,
+        staffing: responseData.data.staffing
+      });
+    }
+    await Promise.all([
+      queryClient.invalidateQueries(['sessionStaff', mockExamId]),
+      queryClient.invalidateQueries(['staffSchedule']),
+      queryClient.invalidateQueries(['mockExams']),
+      queryClient.invalidateQueries(['aggregate-sessions'])
+    ]);
+  };
+
+  const assign = useMutation({
+    mutationFn: ({ staffId, role, allowOverlap = false }) => staffApi.assign(mockExamId, {
+      staff_id: staffId,
+      role,
+      ...(allowOverlap && { allow_overlap: true })
+    }),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ ${responseData?.message || 'Staff member assigned'}`, { duration: 4000 });
+      (responseData?.staff_warnings || []).forEach(warning => {
+        toast(warning, { icon: '⚠️', duration: 6000 });
+      });
+      await refreshSession(responseData);
+    },
+
+    onError: (error) => {
+      // Availability conflicts are shown inline with an "Assign Anyway" option
+      if (getStaffConflicts(error)) return;
+      toast.error(`✗ Assign Failed: ${getErrorMessage(error, 'Failed to assign staff member')}`, { duration: 6000 });
+    }
+  });
+
+  const unassign = useMutation({
+    mutationFn: (assignmentId) => staffApi.unassign(mockExamId, assignmentId),
+
+    onSuccess: async (responseData) => {
+      toast.success('✓ Removed from session', { duration: 4000 });
+      await refreshSession(responseData);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Remove Failed: ${getErrorMessage(error, 'Failed to remove staff member')}`, { duration: 6000 });
+    }
+  });
+
+  return { assign, unassign };
+};
+
+/**
+ * Availability conflicts from a failed assignment (409 STAFF_CONFLICT), or null
+ */
+export const getStaffConflicts = (error) =>
+  error?.code === 'STAFF_CONFLICT' && error.conflicts?.length > 0 ? error.conflicts : null;
+
+/**
+ * Short label for a staffing summary, e.g. "Examiners 1/3 · Proctors 1/1"
+ */
+export const formatStaffing = (staffing) => {
+  if (!staffing) return '';
+  return Object.keys(STAFF_ROLE_LABELS)
+    .filter(role => staffing.required?.[role] > 0 || staffing.assigned?.[role] > 0)
+    .map(role => `${STAFF_ROLE_LABELS[role]}s ${staffing.assigned?.[role] || 0}/${staffing.required?.[role] || 0}`)
+    .join(' · ');
+};
+
+export default useStaffList;
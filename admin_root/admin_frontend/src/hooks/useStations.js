@@ -0,0 +1,113 @@
+/**
+ * useStations Hook
+ * React Query hooks for the stations of a Clinical Skills session and the
+ * trainees seated at them
+ *
+ * Features:
+ * - Seating plan: layout, seats, trainees without a seat and a summary
+ * - Save layout / auto-assign / move mutations with toast feedback
+ * - Handedness and capacity warnings from the API shown as warning toasts
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { stationsApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const STATION_MOCK_TYPES = ['Clinical Skills'];
+
+/**
+ * Rotation group 1 is "A", 2 is "B"...
+ */
+export const getRotationGroupLabel = (group) => String.fromCharCode(64 + group);
+
+export const useSessionStations = (mockExamId, { enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['sessionStations', mockExamId],
+    queryFn: async () => {
+      const response = await stationsApi.get(mockExamId);
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled: !!mockExamId && enabled,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching session stations:', error);
+    }
+  });
+};
+
+export const useStationMutations = (mockExamId) => {
+  const queryClient = useQueryClient();
+
+  const refreshPlan = async (responseData) => {
+    if (responseData?.data) {
+      queryClient.setQueryData(['sessionStations', mockExamId], responseData.data);
+    }
+    (responseData?.assignment_warnings || []).forEach(warning => {
+      toast(warning, { icon: '⚠️', duration: 6000 });
+    });
+    await Promise.all([
+      queryClient.invalidateQueries(['sessionStations', mockExamId]),
+      queryClient.invalidateQueries(['bookings', mockExamId])
+    ]);
+  };
+
+  const saveLayout = useMutation({
+    mutationFn: (layout) => stationsApi.saveLayout(mockExamId, layout),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ ${responseData?.message || 'Stations saved'}`, { duration: 4000 });
+      await refreshPlan(responseData);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Save Failed: ${getErrorMessage(error, 'Failed to save stations')}`, { duration: 6000 });
+    }
+  });
+
+  const autoAssign = useMutation({
+    mutationFn: ({ resetManual = false } = {}) => stationsApi.autoAssign(mockExamId, {
+      ...(resetManual && { reset_manual: true })
+    }),
+
+    onSuccess: async (responseData) => {
+      toast.success(`✓ ${responseData?.message || 'Trainees seated'}`, { duration: 4000 });
+      await refreshPlan(responseData);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Auto-assign Failed: ${getErrorMessage(error, 'Failed to seat trainees')}`, { duration: 6000 });
+    }
+  });
+
+  const move = useMutation({
+    mutationFn: ({ bookingId, stationId = null, rotationGroup = null }) => stationsApi.move(mockExamId, {
+      booking_id: bookingId,
+      station_id: stationId,
+      ...(stationId && { rotation_group: rotationGroup })
+    }),
+
+    onSuccess: async (responseData) => {
+      await refreshPlan(responseData);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Move Failed: ${getErrorMessage(error, 'Failed to move trainee')}`, { duration: 6000 });
+    }
+  });
+
+  return { saveLayout, autoAssign, move };
+};
+
+export default useSessionStations;
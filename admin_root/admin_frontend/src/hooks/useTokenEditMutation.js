@@ -84,6 +84,7 @@ export const useTokenEditMutation = (contactId) => {
       if (contactId) {
         queryClient.invalidateQueries(['trainee', contactId]);
         queryClient.invalidateQueries(['trainee-bookings', contactId]);
+        queryClient.invalidateQueries(['trainee-token-history', contactId]);
       }
 
       // Show success toast with icon
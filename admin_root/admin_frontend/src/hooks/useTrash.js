@@ -0,0 +1,102 @@
+/**
+ * useTrash Hook
+ * React Query hooks for deleted mock exam sessions
+ *
+ * Features:
+ * - Trashed sessions with the days left before they are purged
+ * - Restore and permanent delete mutations with toast feedback
+ * - Restores refresh the mock exam lists, aggregates and metrics
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { trashApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+export const TRASH_PAGE_SIZE = 50;
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+/**
+ * Whole days until a trashed session is purged (0 on the last day)
+ */
+export const daysUntilPurge = (purgeAfter) => {
+  if (!purgeAfter) return null;
+  const remaining = new Date(purgeAfter).getTime() - Date.now();
+  return Math.max(Math.floor(remaining / (24 * 60 * 60 * 1000)), 0);
+};
+
+export const useTrash = (offset = 0) => {
+  return useQuery({
+    queryKey: ['mock-exam-trash', offset],
+    queryFn: () => trashApi.list({ limit: TRASH_PAGE_SIZE, offset }),
+    keepPreviousData: true,
+    staleTime: 30 * 1000,
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching trash:', error);
+    }
+  });
+};
+
+export const useTrashMutations = () => {
+  const queryClient = useQueryClient();
+
+  const refreshTrash = async () => {
+    await Promise.all([
+      queryClient.invalidateQueries(['mock-exam-trash']),
+      queryClient.invalidateQueries(['audit-log'])
+    ]);
+  };
+
+  const reportFailures = (failed, verb) => {
+    if (failed?.length > 0) {
+      toast.error(`⚠️ ${failed.length} session${failed.length !== 1 ? 's' : ''} could not be ${verb}: ${failed[0].message}`, { duration: 8000 });
+    }
+  };
+
+  const restore = useMutation({
+    mutationFn: (ids) => trashApi.restore(ids),
+
+    onSuccess: async ({ restored = [], failed = [] }) => {
+      if (restored.length > 0) {
+        toast.success(`✓ Restored ${restored.length} session${restored.length !== 1 ? 's' : ''}`, { duration: 5000 });
+      }
+      reportFailures(failed, 'restored');
+
+      await Promise.all([
+        refreshTrash(),
+        queryClient.invalidateQueries({ queryKey: ['mockExams'] }),
+        queryClient.invalidateQueries({ queryKey: ['mock-exam-aggregates'] }),
+        queryClient.invalidateQueries({ queryKey: ['mockExamsInfinite'] }),
+        queryClient.invalidateQueries({ queryKey: ['mockExamsMetrics'] })
+      ]);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Restore Failed: ${getErrorMessage(error, 'Failed to restore sessions')}`, { duration: 6000 });
+    }
+  });
+
+  const purge = useMutation({
+    mutationFn: (ids) => trashApi.purge(ids),
+
+    onSuccess: async ({ purged = [], failed = [] }) => {
+      if (purged.length > 0) {
+        toast.success(`✓ Permanently deleted ${purged.length} session${purged.length !== 1 ? 's' : ''}`, { duration: 5000 });
+      }
+      reportFailures(failed, 'deleted');
+
+      await refreshTrash();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Delete Failed: ${getErrorMessage(error, 'Failed to delete sessions')}`, { duration: 6000 });
+    }
+  });
+
+  return { restore, purge };
+};
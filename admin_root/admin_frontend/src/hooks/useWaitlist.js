@@ -0,0 +1,129 @@
+/**
+ * useWaitlist Hook
+ * React Query hooks for viewing and managing a mock exam's waitlist
+ *
+ * Features:
+ * - Waiting queue (in order) plus recent history
+ * - Reorder, remove and "promote now" mutations with toast feedback
+ * - Promotions refresh the bookings table and exam capacity
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { mockExamsApi } from '../services/adminApi';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error?.response?.data?.error?.message ||
+  error?.response?.data?.message ||
+  error?.message ||
+  fallback;
+
+export const useWaitlist = (mockExamId) => {
+  return useQuery({
+    queryKey: ['waitlist', mockExamId],
+    queryFn: async () => {
+      const response = await mockExamsApi.getWaitlist(mockExamId);
+
+      if (!response?.data) {
+        throw new Error('Invalid API response: missing data');
+      }
+
+      return response.data;
+    },
+    enabled: !!mockExamId,
+    staleTime: 30 * 1000, // 30 seconds - queue changes as seats open up
+    refetchOnWindowFocus: false,
+    onError: (error) => {
+      console.error('Error fetching waitlist:', error);
+    }
+  });
+};
+
+export const useWaitlistMutations = (mockExamId) => {
+  const queryClient = useQueryClient();
+
+  const refreshAfterPromotion = async () => {
+    await Promise.all([
+      queryClient.invalidateQueries(['waitlist', mockExamId]),
+      queryClient.invalidateQueries(['bookings', mockExamId]),
+      queryClient.invalidateQueries(['mockExam', mockExamId])
+    ]);
+  };
+
+  const reorder = useMutation({
+    mutationFn: (entryIds) => mockExamsApi.reorderWaitlist(mockExamId, entryIds),
+
+    onMutate: async (entryIds) => {
+      await queryClient.cancelQueries(['waitlist', mockExamId]);
+      const previous = queryClient.getQueryData(['waitlist', mockExamId]);
+
+      // Optimistically apply the new order
+      queryClient.setQueryData(['waitlist', mockExamId], (old) => {
+        if (!old?.waiting) return old;
+        const byId = new Map(old.waiting.map(entry => [entry.id, entry]));
+        return {
+          ...old,
+          waiting: entryIds
+            .filter(id => byId.has(id))
+            .map((id, index) => ({ ...byId.get(id), queue_position: index + 1 }))
+        };
+      });
+
+      return { previous };
+    },
+
+    onError: (error, variables, context) => {
+      if (context?.previous) {
+        queryClient.setQueryData(['waitlist', mockExamId], context.previous);
+      }
+      toast.error(`✗ Reorder Failed: ${getErrorMessage(error, 'Failed to reorder waitlist')}`, { duration: 6000 });
+    },
+
+    onSettled: () => {
+      queryClient.invalidateQueries(['waitlist', mockExamId]);
+    }
+  });
+
+  const remove = useMutation({
+    mutationFn: (entryId) => mockExamsApi.removeWaitlistEntry(mockExamId, entryId),
+
+    onSuccess: async () => {
+      toast.success('✓ Removed from waitlist', { duration: 4000 });
+      await queryClient.invalidateQueries(['waitlist', mockExamId]);
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Remove Failed: ${getErrorMessage(error, 'Failed to remove waitlist entry')}`, { duration: 6000 });
+    }
+  });
+
+  const promote = useMutation({
+    mutationFn: () => mockExamsApi.promoteWaitlist(mockExamId),
+
+    onSuccess: async (responseData) => {
+      const { promoted = [], skipped = [], deferred } = responseData?.data || {};
+
+      if (deferred) {
+        toast('Another booking is in progress for this exam. Please try again.', { duration: 5000 });
+      } else if (promoted.length > 0) {
+        toast.success(`✓ Booked ${promoted.length} student(s) from the waitlist`, { duration: 5000 });
+      } else {
+        toast('No seats available to fill from the waitlist', { duration: 4000 });
+      }
+
+      if (skipped.length > 0) {
+        toast.error(`⚠️ Skipped ${skipped.length} student(s) - see waitlist history`, { duration: 6000 });
+      }
+
+      await refreshAfterPromotion();
+    },
+
+    onError: (error) => {
+      toast.error(`✗ Promotion Failed: ${getErrorMessage(error, 'Failed to promote from waitlist')}`, { duration: 6000 });
+    }
+  });
+
+  return { reorder, remove, promote };
+};
+
+export default useWaitlist;
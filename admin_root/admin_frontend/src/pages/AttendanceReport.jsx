@@ -0,0 +1,410 @@
+/**
+ * AttendanceReport Page
+ * Attendance of past sessions by mock type, location, weekday and time slot,
+ * the trend over time, no-shows per trainee and the chronic no-show list
+ *
+ * Rates count only bookings whose attendance was marked. Both reports can be
+ * downloaded as CSV with the filters applied.
+ */
+
+import { useState } from 'react';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import ReportsNav from '../components/admin/ReportsNav';
+import { MOCK_TYPE_OPTIONS } from '../constants/examConstants';
+import { formatDateShort } from '../utils/dateUtils';
+import { useLocationOptions } from '../hooks/useLocations';
+import { useDebounce } from '../hooks/useDebounce';
+import { useAttendanceReport, useNoShowReport, useReportExport } from '../hooks/useReports';
+
+const EMPTY_FILTERS = {
+  start_date: '',
+  end_date: '',
+  mock_type: '',
+  location: '',
+  interval: 'week'
+};
+
+const DEFAULT_THRESHOLDS = {
+  min_no_shows: 3,
+  min_no_show_rate: 50
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const rateColor = (rate) => {
+  if (rate === null || rate === undefined) return 'bg-gray-300 dark:bg-gray-600';
+  if (rate >= 90) return 'bg-green-500';
+  if (rate >= 75) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const selectClassName = 'mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300';
+const exportButtonClassName = 'inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50';
+
+function RateBar({ rate }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-24 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+        <div className={`h-2 rounded-full ${rateColor(rate)}`} style={{ width: `${rate || 0}%` }} />
+      </div>
+      <span className="text-sm text-gray-700 dark:text-gray-300 w-14">{formatRate(rate)}</span>
+    </div>
+  );
+}
+
+function BreakdownTable({ title, groups, keyLabel }) {
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+      <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">{title}</h3>
+      </div>
+      {groups.length === 0 ? (
+        <p className="px-6 py-6 text-sm text-gray-500 dark:text-gray-400">No bookings</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+          <thead>
+            <tr>
+              {[keyLabel, 'Bookings', 'No-shows', 'Attendance'].map(heading => (
+                <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {groups.map(group => (
+              <tr key={group.key}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-gray-100">{group.key}</td>
+                <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                  {group.bookings}
+                  {group.unmarked > 0 && (
+                    <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">({group.unmarked} unmarked)</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{group.no_shows}</td>
+                <td className="px-4 py-2"><RateBar rate={group.attendance_rate} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function AttendanceReport() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [chronicOnly, setChronicOnly] = useState(false);
+
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+  const debouncedFilters = useDebounce(filters, 400);
+  const debouncedThresholds = useDebounce(thresholds, 400);
+
+  const attendance = useAttendanceReport(debouncedFilters);
+  const noShows = useNoShowReport({ ...debouncedFilters, interval: '', ...debouncedThresholds });
+  const { exportCsv, exporting } = useReportExport();
+
+  const report = attendance.data?.data;
+  const meta = attendance.data?.meta;
+  const summary = report?.summary;
+  const trainees = (chronicOnly ? noShows.data?.data?.chronic : noShows.data?.data?.trainees) || [];
+  const chronicIds = new Set((noShows.data?.data?.chronic || []).map(trainee => trainee.contact_id || trainee.student_id || trainee.email));
+  const rangeLabel = meta ? `${meta.start_date}-to-${meta.end_date}` : 'report';
+
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+  const setThreshold = (field, value) => setThresholds(prev => ({ ...prev, [field]: value === '' ? '' : Number(value) }));
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <ReportsNav />
+
+        <div className="mb-8 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Attendance Report</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              {meta
+                ? `Past sessions from ${formatDateShort(meta.start_date)} to ${formatDateShort(meta.end_date)}`
+                : 'Attendance and no-shows of past sessions'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => exportCsv('attendance', debouncedFilters, `attendance-report-${rangeLabel}.csv`)}
+            disabled={!!exporting || !report}
+            className={exportButtonClassName}
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+            {exporting?.startsWith('attendance') ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">From</Label>
+              <Input
+                type="date"
+                value={filters.start_date}
+                onChange={(e) => setFilter('start_date', e.target.value)}
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">To</Label>
+              <Input
+                type="date"
+                value={filters.end_date}
+                min={filters.start_date || undefined}
+                onChange={(e) => setFilter('end_date', e.target.value)}
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Mock Type</Label>
+              <select
+                value={filters.mock_type}
+                onChange={(e) => setFilter('mock_type', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">All mock types</option>
+                {MOCK_TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Location</Label>
+              <select
+                value={filters.location}
+                onChange={(e) => setFilter('location', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">All locations</option>
+                {locationNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Trend By</Label>
+              <select
+                value={filters.interval}
+                onChange={(e) => setFilter('interval', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="week">Week</option>
+                <option value="month">Month</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {attendance.error && (
+          <div className="mb-6 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+            <p className="text-sm text-red-800 dark:text-red-300">
+              {attendance.error.message || 'Failed to load attendance report'}
+            </p>
+          </div>
+        )}
+
+        {meta?.truncated && (
+          <div className="mb-6 bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 rounded-md p-4">
+            <p className="text-sm text-amber-800 dark:text-amber-300">
+              This range has too many bookings to include them all. Narrow the dates for exact figures.
+            </p>
+          </div>
+        )}
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 gap-4 lg:grid-cols-4 mb-6">
+          {[
+            ['Bookings', summary?.bookings],
+            ['Attendance Rate', formatRate(summary?.attendance_rate)],
+            ['No-shows', summary ? `${summary.no_shows} (${formatRate(summary.no_show_rate)})` : undefined],
+            ['Unmarked', summary?.unmarked]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white dark:bg-dark-card rounded-lg shadow-sm p-5">
+              <p className="text-sm text-gray-500 dark:text-gray-400">{label}</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900 dark:text-gray-100">
+                {attendance.isLoading ? '…' : (value ?? '—')}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        {/* Breakdowns */}
+        {report && (
+          <>
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2 mb-6">
+              <BreakdownTable title="By Mock Type" keyLabel="Mock Type" groups={report.by_mock_type} />
+              <BreakdownTable title="By Location" keyLabel="Location" groups={report.by_location} />
+              <BreakdownTable title="By Weekday" keyLabel="Weekday" groups={report.by_weekday} />
+              <BreakdownTable title="By Time Slot" keyLabel="Starts" groups={report.by_time_slot} />
+            </div>
+
+            <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mb-6">
+              <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  Trend by {report.interval === 'month' ? 'Month' : 'Week'}
+                </h3>
+              </div>
+              {report.trend.length === 0 ? (
+                <p className="px-6 py-6 text-sm text-gray-500 dark:text-gray-400">No bookings</p>
+              ) : (
+                <div className="px-6 py-4 space-y-2">
+                  {report.trend.map(period => (
+                    <div key={period.period_start} className="flex items-center gap-4">
+                      <span className="w-28 text-sm text-gray-700 dark:text-gray-300">
+                        {report.interval === 'month' ? period.period_start.slice(0, 7) : formatDateShort(period.period_start)}
+                      </span>
+                      <RateBar rate={period.attendance_rate} />
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {period.bookings} booking{period.bookings !== 1 ? 's' : ''}, {period.no_shows} no-show{period.no_shows !== 1 ? 's' : ''}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* No-shows per trainee */}
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap gap-4 justify-between items-end">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                No-shows by Trainee
+                {noShows.data?.meta && (
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                    {noShows.data.meta.total_chronic} chronic of {noShows.data.meta.total_trainees}
+                  </span>
+                )}
+              </h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Chronic: at least {thresholds.min_no_shows || DEFAULT_THRESHOLDS.min_no_shows} no-shows making up at least {thresholds.min_no_show_rate === '' ? DEFAULT_THRESHOLDS.min_no_show_rate : thresholds.min_no_show_rate}% of marked bookings
+              </p>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="w-28">
+                <Label className="text-xs text-gray-700 dark:text-gray-300">Min no-shows</Label>
+                <Input
+                  type="number"
+                  min={1}
+                  value={thresholds.min_no_shows}
+                  onChange={(e) => setThreshold('min_no_shows', e.target.value)}
+                />
+              </div>
+              <div className="w-28">
+                <Label className="text-xs text-gray-700 dark:text-gray-300">Min rate (%)</Label>
+                <Input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={thresholds.min_no_show_rate}
+                  onChange={(e) => setThreshold('min_no_show_rate', e.target.value)}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 pb-2">
+                <input
+                  type="checkbox"
+                  checked={chronicOnly}
+                  onChange={(e) => setChronicOnly(e.target.checked)}
+                  className="rounded border-gray-300 dark:border-gray-600"
+                />
+                Chronic only
+              </label>
+              <button
+                type="button"
+                onClick={() => exportCsv(
+                  'no-shows',
+                  { ...debouncedFilters, interval: '', ...debouncedThresholds, chronic_only: chronicOnly || '' },
+                  `${chronicOnly ? 'chronic-no-shows' : 'no-shows'}-${rangeLabel}.csv`
+                )}
+                disabled={!!exporting || trainees.length === 0}
+                className={exportButtonClassName}
+              >
+                <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+                {exporting && !exporting.startsWith('attendance') ? 'Exporting...' : 'Export CSV'}
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6">
+            {noShows.isLoading && (
+              <div className="animate-pulse">
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+              </div>
+            )}
+
+            {noShows.error && !noShows.isLoading && (
+              <p className="text-sm text-red-800 dark:text-red-300">
+                {noShows.error.message || 'Failed to load no-shows'}
+              </p>
+            )}
+
+            {!noShows.isLoading && !noShows.error && trainees.length === 0 && (
+              <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+                {chronicOnly ? 'No chronic no-shows in this range' : 'No marked attendance in this range'}
+              </p>
+            )}
+
+            {!noShows.isLoading && !noShows.error && trainees.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead>
+                    <tr>
+                      {['Trainee', 'Student ID', 'Bookings', 'Attended', 'No-shows', 'No-show Rate', 'Last No-show'].map(heading => (
+                        <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {trainees.map(trainee => {
+                      const traineeKey = trainee.contact_id || trainee.student_id || trainee.email;
+
+                      return (
+                        <tr key={traineeKey}>
+                          <td className="px-4 py-2 text-sm">
+                            <span className="font-medium text-gray-900 dark:text-gray-100">{trainee.name || 'Unknown'}</span>
+                            {chronicIds.has(traineeKey) && (
+                              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+                                Chronic
+                              </span>
+                            )}
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">{trainee.email}</span>
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{trainee.student_id || '—'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{trainee.bookings}</td>
+                          <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{trainee.attended}</td>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-gray-100">{trainee.no_shows}</td>
+                          <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{formatRate(trainee.no_show_rate)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                            {trainee.last_no_show ? formatDateShort(trainee.last_no_show) : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AttendanceReport;
@@ -0,0 +1,224 @@
+/**
+ * AuditLog Page
+ * Every recorded change to mock exams across the app - creates, edits, bulk edits,
+ * status toggles, clones, deletions and prerequisite changes - newest first
+ *
+ * Filter by action, admin, exam ID and date range. Clicking a request ID shows
+ * everything one request changed (e.g. all sessions of one bulk update).
+ */
+
+import { useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import AuditEntriesTable from '../components/admin/AuditEntriesTable';
+import { AUDIT_ACTION_LABELS, AUDIT_PAGE_SIZE, useAuditLog } from '../hooks/useAuditLog';
+import { useDebounce } from '../hooks/useDebounce';
+
+const EMPTY_FILTERS = {
+  action: '',
+  actor: '',
+  mock_exam_id: '',
+  date_from: '',
+  date_to: '',
+  request_id: ''
+};
+
+// Only send filters that are set - a half-typed (non-numeric) exam ID is left out
+const toParams = (filters, offset) => ({
+  ...Object.fromEntries(
+    Object.entries(filters).filter(([field, value]) =>
+      value !== '' && (field !== 'mock_exam_id' || /^\d+$/.test(value))
+    )
+  ),
+  offset
+});
+
+function AuditLog() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+
+  const debouncedFilters = useDebounce(filters, 400);
+  const { data, isLoading, isFetching, error } = useAuditLog(toParams(debouncedFilters, offset));
+
+  const entries = data?.data || [];
+  const pagination = data?.pagination || { total: 0, has_more: false };
+  const hasFilters = Object.values(filters).some(value => value !== '');
+
+  const setFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setOffset(0);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8">
+          <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Audit Log</h1>
+          <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+            Who changed which mock exam, when, and what changed
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Action</Label>
+              <select
+                value={filters.action}
+                onChange={(e) => setFilter('action', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+              >
+                <option value="">All actions</option>
+                {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Admin</Label>
+              <Input
+                value={filters.actor}
+                onChange={(e) => setFilter('actor', e.target.value)}
+                placeholder="Email contains…"
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Mock Exam ID</Label>
+              <Input
+                value={filters.mock_exam_id}
+                inputMode="numeric"
+                onChange={(e) => setFilter('mock_exam_id', e.target.value.trim())}
+                placeholder="e.g. 40123456789"
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">From</Label>
+              <Input
+                type="date"
+                value={filters.date_from}
+                onChange={(e) => setFilter('date_from', e.target.value)}
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">To</Label>
+              <Input
+                type="date"
+                value={filters.date_to}
+                min={filters.date_from || undefined}
+                onChange={(e) => setFilter('date_to', e.target.value)}
+              />
+            </div>
+          </div>
+
+          {hasFilters && (
+            <div className="flex flex-wrap items-center gap-3 mt-4">
+              {filters.request_id && (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                  Request {filters.request_id.slice(0, 8)}
+                  <button
+                    onClick={() => setFilter('request_id', '')}
+                    className="ml-1"
+                    aria-label="Remove request filter"
+                  >
+                    <XMarkIcon className="h-3 w-3" />
+                  </button>
+                </span>
+              )}
+              <button
+                onClick={clearFilters}
+                className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                Clear filters
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              Changes ({pagination.total})
+            </h2>
+            {isFetching && !isLoading && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">Updating…</span>
+            )}
+          </div>
+
+          <div className="p-6">
+            {isLoading && (
+              <div className="animate-pulse">
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+              </div>
+            )}
+
+            {error && !isLoading && (
+              <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+                <p className="text-sm text-red-800 dark:text-red-300">
+                  {error.response?.data?.error?.message || error.message || 'Failed to load audit log'}
+                </p>
+              </div>
+            )}
+
+            {!isLoading && !error && entries.length === 0 && (
+              <div className="flex items-center justify-center py-16 min-h-[200px]">
+                <p className="text-gray-500 dark:text-gray-400">
+                  {hasFilters ? 'No changes match these filters' : 'No changes recorded yet'}
+                </p>
+              </div>
+            )}
+
+            {!isLoading && !error && entries.length > 0 && (
+              <>
+                <AuditEntriesTable
+                  entries={entries}
+                  showExam
+                  onRequestClick={(requestId) => setFilter('request_id', requestId)}
+                />
+
+                {(offset > 0 || pagination.has_more) && (
+                  <div className="flex justify-between items-center mt-4">
+                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                      {offset + 1}–{offset + entries.length} of {pagination.total}
+                    </span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setOffset(Math.max(0, offset - AUDIT_PAGE_SIZE))}
+                        disabled={offset === 0}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => setOffset(offset + AUDIT_PAGE_SIZE)}
+                        disabled={!pagination.has_more}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
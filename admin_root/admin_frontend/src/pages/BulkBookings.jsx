@@ -34,6 +34,7 @@ const BulkBookings = () => {
   const [validationResult, setValidationResult] = useState(null);
   const [createResult, setCreateResult] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [overrideTimeConflicts, setOverrideTimeConflicts] = useState(false);
 
   // Refs
   const fileInputRef = useRef(null);
@@ -177,7 +178,7 @@ const BulkBookings = () => {
   /**
    * Validate and preview the CSV data
    */
-  const handleValidatePreview = async () => {
+  const handleValidatePreview = async (allowTimeConflicts = overrideTimeConflicts) => {
     if (!parsedData?.rawContent) {
       toast.error('No file selected');
       return;
@@ -186,7 +187,7 @@ const BulkBookings = () => {
     setImportState('previewing');
 
     try {
-      const response = await bulkBookingsApi.previewFromCSV(parsedData.rawContent);
+      const response = await bulkBookingsApi.previewFromCSV(parsedData.rawContent, allowTimeConflicts);
       setValidationResult(response);
       setImportState('idle');
 
@@ -230,7 +231,7 @@ const BulkBookings = () => {
     setImportState('processing');
 
     try {
-      const response = await bulkBookingsApi.createFromCSV(parsedData.rawContent);
+      const response = await bulkBookingsApi.createFromCSV(parsedData.rawContent, overrideTimeConflicts);
       setCreateResult(response);
       setImportState('success');
 
@@ -304,11 +305,21 @@ PREP003,987654321,clinical skills`;
     setParsedData(null);
     setValidationResult(null);
     setCreateResult(null);
+    setOverrideTimeConflicts(false);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   };
 
+  /**
+   * Toggle the time conflict override and re-validate with it
+   */
+  const handleToggleTimeConflictOverride = (e) => {
+    const allow = e.target.checked;
+    setOverrideTimeConflicts(allow);
+    handleValidatePreview(allow);
+  };
+
   /**
    * Go back to file preview (before validation)
    */
@@ -448,7 +459,7 @@ PREP003,987654321,clinical skills`;
       {/* Validate button */}
       <div className="mt-6 flex justify-end">
         <button
-          onClick={handleValidatePreview}
+          onClick={() => handleValidatePreview()}
           disabled={importState === 'previewing'}
           className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors duration-200 disabled:opacity-50 flex items-center gap-2"
         >
@@ -478,6 +489,8 @@ PREP003,987654321,clinical skills`;
    */
   const renderValidationPreview = () => {
     const { valid_rows, invalid_rows, summary } = validationResult;
+    const hasTimeConflicts = overrideTimeConflicts ||
+      invalid_rows.some(row => row.error_code === 'TIME_CONFLICT');
 
     return (
       <div className="space-y-6">
@@ -531,7 +544,14 @@ PREP003,987654321,clinical skills`;
                   {valid_rows.map((row, idx) => (
                     <tr key={idx} className="border-b border-gray-100 dark:border-dark-border/50 hover:bg-gray-50 dark:hover:bg-dark-hover">
                       <td className="px-3 py-2 text-gray-900 dark:text-gray-100 font-mono text-xs">{row.student_id}</td>
-                      <td className="px-3 py-2 text-gray-900 dark:text-gray-100">{row.student_name}</td>
+                      <td className="px-3 py-2 text-gray-900 dark:text-gray-100">
+                        {row.student_name}
+                        {row.time_conflicts?.length > 0 && (
+                          <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-200">
+                            Time conflict
+                          </span>
+                        )}
+                      </td>
                       <td className="px-3 py-2 text-gray-900 dark:text-gray-100">{row.mock_type}</td>
                       <td className="px-3 py-2 text-gray-900 dark:text-gray-100">{formatDate(row.exam_date)}</td>
                       <td className="px-3 py-2">
@@ -585,6 +605,25 @@ PREP003,987654321,clinical skills`;
           </div>
         )}
 
+        {/* Time Conflict Override */}
+        {hasTimeConflicts && (
+          <label className="flex items-start gap-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={overrideTimeConflicts}
+              onChange={handleToggleTimeConflictOverride}
+              disabled={importState === 'previewing' || importState === 'processing'}
+              className="mt-0.5 h-4 w-4 rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+            />
+            <span className="text-sm text-amber-800 dark:text-amber-200">
+              <span className="font-medium">Allow time conflicts (admin override)</span>
+              <span className="block text-amber-700 dark:text-amber-400">
+                Create bookings even when the trainee already has a booking at an overlapping time.
+              </span>
+            </span>
+          </label>
+        )}
+
         {/* Action Buttons */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-dark-border">
           <button
@@ -1,6 +1,8 @@
 import React, { useState, useRef, useCallback } from 'react';
 import toast from 'react-hot-toast';
 import { bulkMockExamsApi } from '../services/adminApi';
+import TemplatePicker from '../components/admin/TemplatePicker';
+import { useLocationOptions } from '../hooks/useLocations';
 
 /**
  * Bulk Mocks Page
@@ -12,6 +14,10 @@ import { bulkMockExamsApi } from '../services/adminApi';
  *
  * Required columns: mock_type, exam_date, capacity, location, start_time, end_time
  * Optional columns: mock_set, is_active, scheduled_activation_datetime
+ *
+ * With a session template selected only exam_date is required: blank cells are
+ * filled from the template and rows without times become one row per template
+ * time slot (done server-side).
  */
 
 // Constants
@@ -42,8 +48,8 @@ const REQUIRED_COLUMNS = [
   {
     name: 'location',
     description: 'Exam location',
-    example: 'Mississauga',
-    validValues: ['Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online']
+    example: 'Mississauga'
+    // validValues come from the location catalog (see requiredColumns)
   },
   {
     name: 'start_time',
@@ -84,6 +90,11 @@ const OPTIONAL_COLUMNS = [
 ];
 
 const BulkMocks = () => {
+  const { locationNames } = useLocationOptions();
+  const requiredColumns = REQUIRED_COLUMNS.map(col =>
+    col.name === 'location' ? { ...col, validValues: locationNames } : col
+  );
+
   // State
   const [importState, setImportState] = useState('idle'); // idle, parsing, previewing, processing, success, error
   const [selectedFile, setSelectedFile] = useState(null);
@@ -91,6 +102,7 @@ const BulkMocks = () => {
   const [validationResult, setValidationResult] = useState(null);
   const [createResult, setCreateResult] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [sessionTemplate, setSessionTemplate] = useState(null);
 
   // Refs
   const fileInputRef = useRef(null);
@@ -124,7 +136,9 @@ const BulkMocks = () => {
    */
   const validateCSV = (headers, rowCount) => {
     const errors = [];
-    const requiredHeaders = ['mock_type', 'exam_date', 'capacity', 'location', 'start_time', 'end_time'];
+    const requiredHeaders = sessionTemplate
+      ? ['exam_date']
+      : ['mock_type', 'exam_date', 'capacity', 'location', 'start_time', 'end_time'];
     const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
 
     if (missingHeaders.length > 0) {
@@ -194,7 +208,7 @@ const BulkMocks = () => {
     };
 
     reader.readAsText(file);
-  }, []);
+  }, [sessionTemplate]);
 
   /**
    * Handle drag events
@@ -243,7 +257,7 @@ const BulkMocks = () => {
     setImportState('previewing');
 
     try {
-      const response = await bulkMockExamsApi.previewFromCSV(parsedData.rawContent);
+      const response = await bulkMockExamsApi.previewFromCSV(parsedData.rawContent, sessionTemplate?.id);
       setValidationResult(response);
       setImportState('idle');
 
@@ -287,7 +301,7 @@ const BulkMocks = () => {
     setImportState('processing');
 
     try {
-      const response = await bulkMockExamsApi.createFromCSV(parsedData.rawContent);
+      const response = await bulkMockExamsApi.createFromCSV(parsedData.rawContent, sessionTemplate?.id);
       setCreateResult(response);
       setImportState('success');
 
@@ -854,7 +868,7 @@ Mock Discussion,2026-03-17,6,Online,14:00,15:00,C,scheduled,2026-03-10T09:00:00Z
           </h3>
         </div>
         <div className="grid gap-4 md:grid-cols-2">
-          {REQUIRED_COLUMNS.map((col, idx) => (
+          {requiredColumns.map((col, idx) => (
             <div key={idx} className="flex items-start gap-3 p-3 bg-gray-50 dark:bg-dark-bg rounded-lg">
               <div className="flex-1">
                 <div className="flex items-center gap-2 mb-1">
@@ -955,6 +969,8 @@ Mock Discussion,2026-03-17,6,Online,14:00,15:00,C,scheduled,2026-03-10T09:00:00Z
         <p className="text-xs text-gray-500 dark:text-gray-500">
           <strong>Tips:</strong> Column headers are case-insensitive. Mock type and location accept flexible input (e.g., "SJ" for "Situational Judgment").
           Times must be in 24-hour format. Scheduled exams require a future activation datetime in ISO format.
+          With a session template, only exam_date is required: empty cells use the template values, and a row without
+          start/end times creates one exam per template time slot (the {MAX_ROWS}-exam limit applies after this expansion).
         </p>
       </div>
     </div>
@@ -986,6 +1002,20 @@ Mock Discussion,2026-03-17,6,Online,14:00,15:00,C,scheduled,2026-03-10T09:00:00Z
           </div>
         )}
 
+        {/* Session Template - chosen before the file so the column check knows what is required */}
+        {importState !== 'success' && !validationResult && (
+          <div className="mb-4 bg-white dark:bg-dark-card border border-gray-200 dark:border-dark-border rounded-lg p-4">
+            <TemplatePicker
+              value={sessionTemplate?.id}
+              onApply={setSessionTemplate}
+              disabled={!!parsedData}
+              helperText={parsedData
+                ? 'Remove the file to change the template'
+                : 'Optional. Fill empty cells and time slots from a saved template.'}
+            />
+          </div>
+        )}
+
         {/* Upload Zone or File Preview or Validation Preview */}
         {importState === 'processing' ? (
           renderProcessing()
@@ -0,0 +1,324 @@
+/**
+ * DataExports Page
+ * Server-generated exports read straight from Supabase
+ *
+ * - Bookings: rosters of one or many sessions, or every booking in a date range
+ *   filtered by location, mock type and status
+ * - Trainees: the trainee list with token balances
+ *
+ * Both come as CSV or XLSX with the columns picked here; the server always
+ * writes columns in the same order. Session IDs can be passed in with
+ * ?sessions=1,2,3 (the dashboard's "Export Rosters" action).
+ */
+
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import ColumnVisibilityControl from '../components/admin/ColumnVisibilityControl';
+import { MOCK_TYPE_OPTIONS } from '../constants/examConstants';
+import {
+  BOOKING_EXPORT_COLUMNS,
+  DEFAULT_BOOKING_EXPORT_COLUMNS,
+  TRAINEE_EXPORT_COLUMNS,
+  DEFAULT_TRAINEE_EXPORT_COLUMNS
+} from '../constants/exportColumns';
+import { useLocationOptions } from '../hooks/useLocations';
+import { useExportDownload } from '../hooks/useExports';
+
+const selectClassName = 'mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300';
+const downloadButtonClassName = 'inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200';
+
+/**
+ * Session IDs typed or pasted in any format (commas, spaces, new lines)
+ */
+const parseSessionIds = (text) => [...new Set((text.match(/\d+/g) || []))];
+
+/**
+ * Column selection state for one export
+ */
+const useColumnSelection = (defaults) => {
+  const [columns, setColumns] = useState(defaults);
+
+  const toggleColumn = (id) => setColumns(prev => (
+    prev.includes(id) ? prev.filter(column => column !== id) : [...prev, id]
+  ));
+
+  return { columns, toggleColumn, resetColumns: () => setColumns(defaults) };
+};
+
+function FormatSelect({ value, onChange }) {
+  return (
+    <div>
+      <Label className="text-gray-700 dark:text-gray-300">Format</Label>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        <option value="csv">CSV</option>
+        <option value="xlsx">Excel (XLSX)</option>
+      </select>
+    </div>
+  );
+}
+
+function DataExports() {
+  const [searchParams] = useSearchParams();
+  const initialSessions = searchParams.get('sessions') || '';
+
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+  const { download, downloading } = useExportDownload();
+
+  // Bookings export
+  const [scope, setScope] = useState(initialSessions ? 'sessions' : 'range');
+  const [sessionText, setSessionText] = useState(initialSessions.split(',').join('\n'));
+  const [bookingFilters, setBookingFilters] = useState({
+    start_date: '',
+    end_date: '',
+    mock_type: '',
+    location: '',
+    status: 'active',
+    format: 'csv',
+    sheet_per_session: false
+  });
+  const bookingColumns = useColumnSelection(DEFAULT_BOOKING_EXPORT_COLUMNS);
+
+  // Trainees export
+  const [traineeOptions, setTraineeOptions] = useState({ with_tokens: false, format: 'csv' });
+  const traineeColumns = useColumnSelection(DEFAULT_TRAINEE_EXPORT_COLUMNS);
+
+  const sessionIds = parseSessionIds(sessionText);
+  const setBookingFilter = (field, value) => setBookingFilters(prev => ({ ...prev, [field]: value }));
+
+  const bookingsReady = bookingColumns.columns.length > 0 && (
+    scope === 'sessions'
+      ? sessionIds.length > 0
+      : bookingFilters.start_date && bookingFilters.end_date
+  );
+
+  const handleExportBookings = () => {
+    const { start_date, end_date, sheet_per_session, format, ...filters } = bookingFilters;
+
+    download('bookings', {
+      ...filters,
+      format,
+      columns: bookingColumns.columns,
+      ...(scope === 'sessions'
+        ? { exam_ids: sessionIds.join(','), sheet_per_session: format === 'xlsx' && sheet_per_session }
+        : { start_date, end_date })
+    }, `bookings.${format}`);
+  };
+
+  const handleExportTrainees = () => {
+    download('trainees', {
+      ...traineeOptions,
+      columns: traineeColumns.columns
+    }, `trainees.${traineeOptions.format}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8">
+          <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Exports</h1>
+          <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+            Download rosters, bookings and trainee token balances as CSV or Excel
+          </p>
+        </div>
+
+        {/* Bookings */}
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mb-6">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Bookings</h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Rosters of specific sessions, or every booking in a date range
+              </p>
+            </div>
+            <ColumnVisibilityControl
+              columns={BOOKING_EXPORT_COLUMNS}
+              visibleColumns={bookingColumns.columns}
+              onToggleColumn={bookingColumns.toggleColumn}
+              onResetDefaults={bookingColumns.resetColumns}
+            />
+          </div>
+
+          <div className="p-6 space-y-4">
+            <div className="flex gap-6">
+              {[
+                ['sessions', 'Session rosters'],
+                ['range', 'Date range']
+              ].map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="radio"
+                    name="booking-export-scope"
+                    value={value}
+                    checked={scope === value}
+                    onChange={() => setScope(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            {scope === 'sessions' ? (
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">Session IDs</Label>
+                <textarea
+                  value={sessionText}
+                  onChange={(e) => setSessionText(e.target.value)}
+                  rows={3}
+                  placeholder="One or more session IDs, separated by commas or new lines"
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 font-mono"
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {sessionIds.length} session{sessionIds.length !== 1 ? 's' : ''} (at most 100)
+                </p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">From</Label>
+                  <Input
+                    type="date"
+                    value={bookingFilters.start_date}
+                    onChange={(e) => setBookingFilter('start_date', e.target.value)}
+                  />
+                </div>
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">To</Label>
+                  <Input
+                    type="date"
+                    value={bookingFilters.end_date}
+                    min={bookingFilters.start_date || undefined}
+                    onChange={(e) => setBookingFilter('end_date', e.target.value)}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">Mock Type</Label>
+                <select
+                  value={bookingFilters.mock_type}
+                  onChange={(e) => setBookingFilter('mock_type', e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">All mock types</option>
+                  {MOCK_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">Location</Label>
+                <select
+                  value={bookingFilters.location}
+                  onChange={(e) => setBookingFilter('location', e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">All locations</option>
+                  {locationNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">Status</Label>
+                <select
+                  value={bookingFilters.status}
+                  onChange={(e) => setBookingFilter('status', e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="active">Booked (not cancelled)</option>
+                  <option value="cancelled">Cancelled</option>
+                  <option value="all">All</option>
+                </select>
+              </div>
+
+              <FormatSelect value={bookingFilters.format} onChange={(value) => setBookingFilter('format', value)} />
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-4 pt-2">
+              {scope === 'sessions' && bookingFilters.format === 'xlsx' ? (
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={bookingFilters.sheet_per_session}
+                    onChange={(e) => setBookingFilter('sheet_per_session', e.target.checked)}
+                    className="rounded border-gray-300 dark:border-gray-600"
+                  />
+                  One sheet per session
+                </label>
+              ) : (
+                <div />
+              )}
+
+              <button
+                type="button"
+                onClick={handleExportBookings}
+                disabled={!bookingsReady || !!downloading}
+                className={downloadButtonClassName}
+              >
+                <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+                {downloading === 'bookings' ? 'Exporting...' : 'Export Bookings'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Trainees */}
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Trainees</h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Every trainee with their current token balances
+              </p>
+            </div>
+            <ColumnVisibilityControl
+              columns={TRAINEE_EXPORT_COLUMNS}
+              visibleColumns={traineeColumns.columns}
+              onToggleColumn={traineeColumns.toggleColumn}
+              onResetDefaults={traineeColumns.resetColumns}
+            />
+          </div>
+
+          <div className="p-6 flex flex-wrap items-end justify-between gap-4">
+            <div className="flex flex-wrap items-end gap-6">
+              <div className="w-48">
+                <FormatSelect
+                  value={traineeOptions.format}
+                  onChange={(value) => setTraineeOptions(prev => ({ ...prev, format: value }))}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 pb-2">
+                <input
+                  type="checkbox"
+                  checked={traineeOptions.with_tokens}
+                  onChange={(e) => setTraineeOptions(prev => ({ ...prev, with_tokens: e.target.checked }))}
+                  className="rounded border-gray-300 dark:border-gray-600"
+                />
+                Only trainees with tokens
+              </label>
+            </div>
+
+            <button
+              type="button"
+              onClick={handleExportTrainees}
+              disabled={traineeColumns.columns.length === 0 || !!downloading}
+              className={downloadButtonClassName}
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+              {downloading === 'trainees' ? 'Exporting...' : 'Export Trainees'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DataExports;
@@ -0,0 +1,341 @@
+/**
+ * Locations Page
+ * Manage the location catalog - the exam sites offered in every location picker
+ *
+ * Sites keep their name once created (sessions and bookings store it), so a site
+ * that closes is retired with "Offered" unchecked rather than renamed or deleted.
+ * The time zone drives the session times shown to trainees and in calendar exports.
+ */
+
+import { useState } from 'react';
+import {
+  PencilIcon,
+  TrashIcon,
+  PlusIcon,
+  InformationCircleIcon
+} from '@heroicons/react/24/outline';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { useLocations, useLocationMutations } from '../hooks/useLocations';
+
+const TIME_ZONE_OPTIONS = [
+  { value: 'America/Toronto', label: 'Eastern (Toronto)' },
+  { value: 'America/Halifax', label: 'Atlantic (Halifax)' },
+  { value: 'America/St_Johns', label: 'Newfoundland (St. John\'s)' },
+  { value: 'America/Winnipeg', label: 'Central (Winnipeg)' },
+  { value: 'America/Regina', label: 'Saskatchewan (Regina)' },
+  { value: 'America/Edmonton', label: 'Mountain (Calgary)' },
+  { value: 'America/Vancouver', label: 'Pacific (Vancouver)' }
+];
+
+const EMPTY_LOCATION = {
+  name: '',
+  address: '',
+  time_zone: 'America/Toronto',
+  directions: '',
+  is_active: true,
+  sort_order: 0
+};
+
+const describeTimeZone = (timeZone) =>
+  TIME_ZONE_OPTIONS.find(option => option.value === timeZone)?.label || timeZone;
+
+const toPayload = (editor, isNew) => ({
+  ...(isNew && { name: editor.name.trim() }),
+  address: editor.address.trim() || null,
+  time_zone: editor.time_zone,
+  directions: editor.directions.trim() || null,
+  is_active: editor.is_active,
+  sort_order: parseInt(editor.sort_order) || 0
+});
+
+function Locations() {
+  const { data, isLoading, error } = useLocations({ includeInactive: true });
+  const { create, update, remove } = useLocationMutations();
+
+  const locations = data?.data || [];
+  const usingDefaults = !!data?.meta?.using_defaults;
+
+  // null = no editor open, 'new' = creating, otherwise the id being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editor, setEditor] = useState(EMPTY_LOCATION);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  const isSaving = create.isPending || update.isPending;
+  const isNew = editingId === 'new';
+
+  const setField = (field, value) => setEditor(prev => ({ ...prev, [field]: value }));
+
+  const startCreate = () => {
+    setEditor({ ...EMPTY_LOCATION, sort_order: locations.length });
+    setEditingId('new');
+  };
+
+  const startEdit = (location) => {
+    setEditor({
+      ...EMPTY_LOCATION,
+      ...location,
+      address: location.address || '',
+      directions: location.directions || ''
+    });
+    setEditingId(location.id);
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setEditor(EMPTY_LOCATION);
+  };
+
+  const isEditorValid = () => editor.name.trim() && editor.time_zone;
+
+  const handleSave = () => {
+    const payload = toPayload(editor, isNew);
+    const options = { onSuccess: closeEditor };
+
+    if (isNew) {
+      create.mutate(payload, options);
+    } else {
+      update.mutate({ id: editingId, changes: payload }, options);
+    }
+  };
+
+  const handleDelete = (locationId) => {
+    remove.mutate(locationId, {
+      onSettled: () => setPendingDeleteId(null)
+    });
+    if (editingId === locationId) {
+      closeEditor();
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Locations</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              Exam sites offered when creating sessions, importing CSVs and booking
+            </p>
+          </div>
+          {editingId === null && (
+            <button
+              type="button"
+              onClick={startCreate}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 shadow-sm transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              New Location
+            </button>
+          )}
+        </div>
+
+        <div className="max-w-5xl mx-auto space-y-6">
+          {usingDefaults && (
+            <div className="flex items-start p-4 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20 text-sm text-blue-800 dark:text-blue-300">
+              <InformationCircleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+              These are the built-in locations. They are saved to the catalog, and become editable,
+              when you add the first new location.
+            </div>
+          )}
+
+          {/* Editor */}
+          {editingId !== null && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">
+                {isNew ? 'New Location' : `Edit ${editor.name}`}
+              </h3>
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Name <span className="text-red-500">*</span>
+                  </Label>
+                  <Input
+                    value={editor.name}
+                    maxLength={100}
+                    disabled={!isNew}
+                    onChange={(e) => setField('name', e.target.value)}
+                    placeholder="e.g. Mississauga - Lab E"
+                  />
+                  {!isNew && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Names can't change - retire the site and add a new one instead
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Time Zone <span className="text-red-500">*</span>
+                  </Label>
+                  <Select value={editor.time_zone} onValueChange={(value) => setField('time_zone', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a time zone" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {!TIME_ZONE_OPTIONS.some(option => option.value === editor.time_zone) && (
+                        <SelectItem value={editor.time_zone}>{editor.time_zone}</SelectItem>
+                      )}
+                      {TIME_ZONE_OPTIONS.map(option => (
+                        <SelectItem key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">Display Order</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={editor.sort_order}
+                    onChange={(e) => setField('sort_order', e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Address</Label>
+                <Input
+                  value={editor.address}
+                  maxLength={500}
+                  onChange={(e) => setField('address', e.target.value)}
+                  placeholder="Optional"
+                />
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Directions / Instructions</Label>
+                <textarea
+                  value={editor.directions}
+                  maxLength={2000}
+                  rows={3}
+                  onChange={(e) => setField('directions', e.target.value)}
+                  placeholder="Parking, entrance, what to bring... (shown to trainees when they pick this location)"
+                  className="mt-1 block w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 px-3 py-2 text-sm text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+
+              <div className="mt-6 flex items-center space-x-2">
+                <Checkbox
+                  id="location-is-active"
+                  checked={editor.is_active}
+                  onCheckedChange={(checked) => setField('is_active', !!checked)}
+                />
+                <label htmlFor="location-is-active" className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                  Offered (shown in location pickers and to trainees)
+                </label>
+              </div>
+
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeEditor}
+                  disabled={isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!isEditorValid() || isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save Location'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Location list */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            {isLoading ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading locations...</div>
+            ) : error ? (
+              <div className="p-6 text-sm text-red-600 dark:text-red-400">
+                Failed to load locations: {error.message}
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {locations.map(location => (
+                  <li key={location.id || location.name} className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        {location.name}
+                        {!location.is_active && <span className="ml-2 text-xs font-normal text-gray-500">(retired)</span>}
+                      </p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {describeTimeZone(location.time_zone)}
+                        {location.address && ` • ${location.address}`}
+                      </p>
+                      {location.directions && (
+                        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 whitespace-pre-line">{location.directions}</p>
+                      )}
+                    </div>
+
+                    {location.id && (
+                      <div className="flex items-center space-x-2 flex-shrink-0">
+                        {pendingDeleteId === location.id ? (
+                          <>
+                            <span className="text-sm text-gray-600 dark:text-gray-300">Delete?</span>
+                            <button
+                              type="button"
+                              onClick={() => handleDelete(location.id)}
+                              disabled={remove.isPending}
+                              className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                            >
+                              {remove.isPending ? 'Deleting...' : 'Delete'}
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setPendingDeleteId(null)}
+                              className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                            >
+                              Keep
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              type="button"
+                              onClick={() => startEdit(location)}
+                              aria-label={`Edit ${location.name}`}
+                              className="p-2 rounded-md text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                            >
+                              <PencilIcon className="h-4 w-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setPendingDeleteId(location.id)}
+                              aria-label={`Delete ${location.name}`}
+                              className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                            >
+                              <TrashIcon className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Locations;
@@ -7,6 +7,8 @@
  * - Mark attendance for multiple bookings in batch
  * - Optimistic UI updates
  * - Comprehensive error handling
+ *
+ * The History tab lists every recorded change to the exam (audit log).
  */
 
 import { useParams, useNavigate } from 'react-router-dom';
@@ -23,8 +25,16 @@ import EditControls from '../components/admin/EditControls';
 import DeleteControls from '../components/admin/DeleteControls';
 import CancelBookingsModal from '../components/shared/CancelBookingsModal';
 import CreateBookingButton from '../components/admin/CreateBookingButton';
+import WaitlistSection from '../components/admin/WaitlistSection';
+import StaffSection from '../components/admin/StaffSection';
+import StationsSection from '../components/admin/StationsSection';
+import SeriesSection from '../components/admin/SeriesSection';
+import RoomConflictNotice from '../components/admin/RoomConflictNotice';
+import ExamHistorySection from '../components/admin/ExamHistorySection';
+import SignInSheetModal from '../components/admin/SignInSheetModal';
+import { STATION_MOCK_TYPES } from '../hooks/useStations';
 import { useState } from 'react';
-import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, PrinterIcon } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 
 function MockExamDetail() {
@@ -39,6 +49,7 @@ function MockExamDetail() {
   });
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 20;
+  const [activeTab, setActiveTab] = useState('bookings');
 
   // Fetch exam details
   const {
@@ -87,6 +98,9 @@ function MockExamDetail() {
   // CSV Export state
   const [isExporting, setIsExporting] = useState(false);
 
+  // Sign-in sheet modal state
+  const [isSignInSheetOpen, setIsSignInSheetOpen] = useState(false);
+
   // Handle CSV export - exports ALL bookings regardless of pagination
   const handleExportCSV = async () => {
     if (!allBookings?.length || isExporting) return;
@@ -203,7 +217,8 @@ function MockExamDetail() {
     cancelBookingsMutation.mutate(
       {
         bookings: cancellation.selectedBookings,  // Full booking objects
-        refundTokens: cancellation.refundTokens   // Refund flag
+        refundTokens: cancellation.refundTokens,  // Refund flag
+        refundPolicy: cancellation.refundPolicy   // 'full' or 'policy'
       },
       {
         onSuccess: () => {
@@ -370,6 +385,18 @@ function MockExamDetail() {
           </p>
         </div>
 
+        {/* Room double bookings from the last save */}
+        {examEdit.roomConflicts && (
+          <div className="mb-4">
+            <RoomConflictNotice
+              conflicts={examEdit.roomConflicts}
+              onConfirm={examEdit.saveAnyway}
+              onCancel={examEdit.dismissRoomConflicts}
+              isSubmitting={examEdit.isSaving}
+            />
+          </div>
+        )}
+
         {/* Exam Details Form */}
         <div className="mb-8">
           <ExamDetailsForm
@@ -386,74 +413,129 @@ function MockExamDetail() {
           />
         </div>
 
+        {/* Tabs */}
+        <div className="flex gap-6 border-b border-gray-200 dark:border-gray-700 mb-6">
+          {[
+            { id: 'bookings', label: 'Bookings' },
+            { id: 'history', label: 'History' }
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`pb-2 text-sm font-medium border-b-2 -mb-px ${
+                activeTab === tab.id
+                  ? 'border-primary-600 text-primary-600 dark:text-primary-400 dark:border-primary-400'
+                  : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* History Section */}
+        {activeTab === 'history' && <ExamHistorySection mockExamId={id} />}
+
         {/* Bookings Table Section */}
-        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
-          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
-            <div className="flex justify-between items-center">
-              <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
-                Bookings ({bookingsData?.pagination?.total || 0})
-              </h2>
-              <CreateBookingButton
-                mockExam={examData?.data}
-                onSuccess={handleBookingCreated}
-              />
+        {activeTab === 'bookings' && (
+          <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+              <div className="flex justify-between items-center">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                  Bookings ({bookingsData?.pagination?.total || 0})
+                </h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setIsSignInSheetOpen(true)}
+                    disabled={!exam}
+                    className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <PrinterIcon className="h-4 w-4 mr-2" />
+                    Sign-in Sheet
+                  </button>
+                  <CreateBookingButton
+                    mockExam={examData?.data}
+                    onSuccess={handleBookingCreated}
+                  />
+                </div>
+              </div>
             </div>
+
+            <BookingsTable
+              bookings={bookingsData?.data || []}
+              isLoading={isLoadingBookings}
+              error={bookingsError}
+              searchTerm={searchTerm}
+              onSearch={handleSearch}
+              sortConfig={sortConfig}
+              onSort={handleSort}
+              currentPage={currentPage}
+              totalPages={bookingsData?.pagination?.totalPages || 1}
+              totalItems={bookingsData?.pagination?.total || 0}
+              onPageChange={handlePageChange}
+              attendanceState={{
+                isAttendanceMode: attendance.isAttendanceMode,
+                isSubmitting: attendance.isSubmitting,
+                selectedCount: attendance.selectedCount,
+                selectableCount: attendance.selectableCount,
+                attendedCount: attendanceSummary.attended,
+                noShowCount: attendanceSummary.no_show,
+                unmarkedCount: attendanceSummary.unmarked,
+                totalCount: bookingsData?.pagination?.total || 0,
+                action: attendance.action,
+                onToggleMode: handleToggleAttendance,  // Use new toggle handler
+                onSelectAll: attendance.selectAll,
+                onClearAll: attendance.clearAll,
+                onSetAction: attendance.setAction,
+                onApplyAction: handleApplyAction,
+                isSelected: attendance.isSelected,
+                onToggleSelection: attendance.toggleSelection,
+                // Add cancellation handler
+                onCancelBookings: handleOpenCancellation,
+                isCancellationMode: cancellation.isCancellationMode,
+                // Export CSV props
+                onExportCSV: handleExportCSV,
+                isExporting: isExporting,
+                exportDisabled: !allBookings?.length
+              }}
+              // Add cancellation props
+              cancellationState={{
+                isCancellationMode: cancellation.isCancellationMode,
+                isSubmitting: cancellation.isSubmitting,
+                selectedCount: cancellation.selectedCount,
+                cancellableCount: cancellation.cancellableCount,
+                totalCount: bookingsData?.pagination?.total || 0,
+                onToggleMode: cancellation.toggleMode,
+                onSelectAll: cancellation.selectAll,
+                onClearAll: cancellation.clearAll,
+                onOpenModal: cancellation.openModal,
+                isSelected: cancellation.isSelected,
+                onToggleSelection: cancellation.toggleSelection,
+                canCancel: cancellation.canCancel
+              }}
+            />
           </div>
+        )}
+
+        {/* Waitlist Section */}
+        <WaitlistSection mockExamId={id} />
+
+        {/* Examiners and proctors */}
+        <StaffSection mockExamId={id} location={exam?.location} />
 
-          <BookingsTable
-            bookings={bookingsData?.data || []}
-            isLoading={isLoadingBookings}
-            error={bookingsError}
-            searchTerm={searchTerm}
-            onSearch={handleSearch}
-            sortConfig={sortConfig}
-            onSort={handleSort}
-            currentPage={currentPage}
-            totalPages={bookingsData?.pagination?.totalPages || 1}
-            totalItems={bookingsData?.pagination?.total || 0}
-            onPageChange={handlePageChange}
-            attendanceState={{
-              isAttendanceMode: attendance.isAttendanceMode,
-              isSubmitting: attendance.isSubmitting,
-              selectedCount: attendance.selectedCount,
-              selectableCount: attendance.selectableCount,
-              attendedCount: attendanceSummary.attended,
-              noShowCount: attendanceSummary.no_show,
-              unmarkedCount: attendanceSummary.unmarked,
-              totalCount: bookingsData?.pagination?.total || 0,
-              action: attendance.action,
-              onToggleMode: handleToggleAttendance,  // Use new toggle handler
-              onSelectAll: attendance.selectAll,
-              onClearAll: attendance.clearAll,
-              onSetAction: attendance.setAction,
-              onApplyAction: handleApplyAction,
-              isSelected: attendance.isSelected,
-              onToggleSelection: attendance.toggleSelection,
-              // Add cancellation handler
-              onCancelBookings: handleOpenCancellation,
-              isCancellationMode: cancellation.isCancellationMode,
-              // Export CSV props
-              onExportCSV: handleExportCSV,
-              isExporting: isExporting,
-              exportDisabled: !allBookings?.length
-            }}
-            // Add cancellation props
-            cancellationState={{
-              isCancellationMode: cancellation.isCancellationMode,
-              isSubmitting: cancellation.isSubmitting,
-              selectedCount: cancellation.selectedCount,
-              cancellableCount: cancellation.cancellableCount,
-              totalCount: bookingsData?.pagination?.total || 0,
-              onToggleMode: cancellation.toggleMode,
-              onSelectAll: cancellation.selectAll,
-              onClearAll: cancellation.clearAll,
-              onOpenModal: cancellation.openModal,
-              isSelected: cancellation.isSelected,
-              onToggleSelection: cancellation.toggleSelection,
-              canCancel: cancellation.canCancel
-            }}
+        {/* Stations and seats (Clinical Skills only) */}
+        {STATION_MOCK_TYPES.includes(exam?.mock_type) && (
+          <StationsSection mockExamId={id} />
+        )}
+
+        {/* Recurring Series Section (only for sessions created as part of a series) */}
+        {exam?.series_id && (
+          <SeriesSection
+            mockExamId={id}
+            seriesId={exam.series_id}
+            onAnchorDeleted={handleDeleteSuccess}
           />
-        </div>
+        )}
 
         {/* Cancellation Modal */}
         <CancelBookingsModal
@@ -465,6 +547,15 @@ function MockExamDetail() {
           error={cancelBookingsMutation.error?.message}
           refundTokens={cancellation.refundTokens}
           onToggleRefund={cancellation.toggleRefund}
+          refundPolicy={cancellation.refundPolicy}
+          onChangeRefundPolicy={cancellation.setRefundPolicy}
+        />
+
+        {/* Sign-in Sheet Modal */}
+        <SignInSheetModal
+          isOpen={isSignInSheetOpen}
+          onClose={() => setIsSignInSheetOpen(false)}
+          sessions={exam ? [exam] : []}
         />
       </div>
     </div>
@@ -3,7 +3,22 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { mockExamsApi } from '../services/adminApi';
 import TimeSlotBuilder from '../components/admin/TimeSlotBuilder';
+import RecurrenceBuilder, {
+  DEFAULT_RECURRENCE,
+  isRecurrenceValid,
+  buildRecurrencePayload
+} from '../components/admin/RecurrenceBuilder';
 import MockExamPreview from '../components/admin/MockExamPreview';
+import TemplatePicker from '../components/admin/TemplatePicker';
+import RoomSelect from '../components/admin/RoomSelect';
+import RoomConflictNotice from '../components/admin/RoomConflictNotice';
+import { getRoomConflicts, showRoomWarnings } from '../hooks/useRooms';
+import { useSessionTemplateMutations } from '../hooks/useSessionTemplates';
+import {
+  templateToFormState,
+  formStateToTemplate,
+  getTemplateActivationDateTime
+} from '../utils/sessionTemplates';
 import { ArrowLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import {
@@ -19,9 +34,9 @@ import { DateTimePicker } from '@/components/ui/datetime-picker';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Label } from '@/components/ui/label';
 import { convertTorontoToUTC, formatTorontoDateTime } from '../utils/dateTimeUtils';
+import { useLocationOptions } from '../hooks/useLocations';
 import {
   MOCK_TYPES,
-  LOCATIONS,
   DEFAULT_LOCATION,
   MOCK_SET_OPTIONS,
   MOCK_SET_APPLICABLE_TYPES
@@ -30,6 +45,7 @@ import {
 function MockExams() {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { locationNames } = useLocationOptions();
 
   const [showPreview, setShowPreview] = useState(false);
   const [formData, setFormData] = useState({
@@ -38,12 +54,21 @@ function MockExams() {
     exam_date: '',
     capacity: '',
     location: DEFAULT_LOCATION,
+    room_id: '', // Optional room at the location (checked for double bookings)
     is_active: 'true', // String values: 'true' | 'false' | 'scheduled' (matching HubSpot)
     activation_mode: 'immediate', // NEW: 'immediate' | 'scheduled'
-    scheduled_activation_datetime: null // NEW: ISO datetime string in UTC
+    scheduled_activation_datetime: null, // NEW: ISO datetime string in UTC
+    booking_cutoff_hours: '' // Empty = mock type cutoff
   });
   const [capacityMode, setCapacityMode] = useState('global'); // 'global' or 'per-slot'
   const [timeSlots, setTimeSlots] = useState([{ start_time: '', end_time: '', capacity: '' }]);
+  const [recurrence, setRecurrence] = useState(DEFAULT_RECURRENCE);
+  const [appliedTemplate, setAppliedTemplate] = useState(null);
+  const [templateName, setTemplateName] = useState('');
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [roomConflicts, setRoomConflicts] = useState(null);
+
+  const { create: createTemplateMutation } = useSessionTemplateMutations();
 
   // Mutation for single creation
   const createSingleMutation = useMutation({
@@ -52,6 +77,7 @@ function MockExams() {
       toast.success(`Successfully created mock exam (ID: ${data.mockExam.id})`, {
         duration: 4000
       });
+      showRoomWarnings(data);
       setShowPreview(false);
       resetForm();
 
@@ -61,6 +87,11 @@ function MockExams() {
       queryClient.invalidateQueries({ queryKey: ['mockExamsMetrics'] });
     },
     onError: (error) => {
+      const conflicts = getRoomConflicts(error);
+      if (conflicts) {
+        setRoomConflicts(conflicts);
+        return;
+      }
       toast.error(error.message || 'Failed to create mock exam', {
         duration: 6000
       });
@@ -69,13 +100,14 @@ function MockExams() {
 
   // Mutation for bulk creation
   const createBulkMutation = useMutation({
-    mutationFn: ({ commonProperties, timeSlots, capacityMode }) =>
-      mockExamsApi.createBulk(commonProperties, timeSlots, capacityMode),
+    mutationFn: ({ commonProperties, timeSlots, capacityMode, allowRoomOverlap }) =>
+      mockExamsApi.createBulk(commonProperties, timeSlots, capacityMode, { allowRoomOverlap }),
     onSuccess: (data) => {
       toast.success(
         `Successfully created ${data.created_count} mock exam${data.created_count > 1 ? 's' : ''}`,
         { duration: 4000 }
       );
+      showRoomWarnings(data);
       setShowPreview(false);
       resetForm();
 
@@ -85,14 +117,59 @@ function MockExams() {
       queryClient.invalidateQueries({ queryKey: ['mockExamsMetrics'] });
     },
     onError: (error) => {
+      const conflicts = getRoomConflicts(error);
+      if (conflicts) {
+        setRoomConflicts(conflicts);
+        return;
+      }
       toast.error(error.message || 'Failed to create mock exams', {
         duration: 6000
       });
     }
   });
 
+  // Mutation for recurring series creation
+  const createSeriesMutation = useMutation({
+    mutationFn: (data) => mockExamsApi.createSeries(data),
+    onSuccess: (data) => {
+      const skipped = data.skipped_dates?.length || 0;
+      toast.success(
+        `Successfully created a series of ${data.created_count} mock exam${data.created_count > 1 ? 's' : ''}${skipped > 0 ? ` (${skipped} date${skipped > 1 ? 's' : ''} skipped)` : ''}`,
+        { duration: 4000 }
+      );
+      showRoomWarnings(data);
+      setShowPreview(false);
+      resetForm();
+
+      // Invalidate dashboard queries to trigger refresh
+      queryClient.invalidateQueries({ queryKey: ['mockExams'] });
+      queryClient.invalidateQueries({ queryKey: ['mock-exam-aggregates'] });
+      queryClient.invalidateQueries({ queryKey: ['mockExamsMetrics'] });
+    },
+    onError: (error) => {
+      const conflicts = getRoomConflicts(error);
+      if (conflicts) {
+        setRoomConflicts(conflicts);
+        return;
+      }
+      toast.error(error.response?.data?.error?.message || error.message || 'Failed to create series', {
+        duration: 6000
+      });
+    }
+  });
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    submitSessions(false);
+  };
+
+  // allowRoomOverlap: the admin confirmed creating sessions in a room that is already in use
+  const submitSessions = (allowRoomOverlap) => {
+    setRoomConflicts(null);
+    const roomFields = {
+      ...(formData.room_id && { room_id: formData.room_id }),
+      ...(allowRoomOverlap && { allow_room_overlap: true })
+    };
 
     // Prepare scheduled activation datetime if needed
     let scheduledDateTime = null;
@@ -104,11 +181,33 @@ function MockExams() {
     // Determine mock_set value - clear for Mini-mock (defensive guard)
     const mockSetValue = formData.mock_type === 'Mini-mock' ? '' : formData.mock_set;
 
+    // Recurring series - every generated date gets all time slots
+    if (recurrence.enabled) {
+      createSeriesMutation.mutate({
+        commonProperties: {
+          mock_type: formData.mock_type,
+          mock_set: mockSetValue,
+          location: formData.location,
+          ...(formData.room_id && { room_id: formData.room_id }),
+          is_active: formData.activation_mode === 'scheduled' ? 'scheduled' : formData.is_active,
+          activation_mode: formData.activation_mode,
+          scheduled_activation_datetime: scheduledDateTime,
+          ...(capacityMode === 'global' && { capacity: formData.capacity })
+        },
+        timeSlots,
+        capacityMode,
+        recurrence: buildRecurrencePayload(recurrence, formData.exam_date),
+        ...(allowRoomOverlap && { allow_room_overlap: true })
+      });
+      return;
+    }
+
     // Automatically detect single vs bulk based on time slots count
     if (timeSlots.length === 1) {
       // Single session - determine capacity based on mode
       const singleSessionData = {
         ...formData,
+        ...roomFields,
         mock_set: mockSetValue, // Override with guarded value
         start_time: timeSlots[0].start_time,
         end_time: timeSlots[0].end_time,
@@ -126,15 +225,18 @@ function MockExams() {
         mock_set: mockSetValue, // Include mock_set for bulk creation
         exam_date: formData.exam_date,
         location: formData.location,
+        ...(formData.room_id && { room_id: formData.room_id }),
         is_active: formData.activation_mode === 'scheduled' ? 'scheduled' : formData.is_active,
         scheduled_activation_datetime: scheduledDateTime,
+        ...(formData.booking_cutoff_hours !== '' && { booking_cutoff_hours: Number(formData.booking_cutoff_hours) }),
         // Only include capacity in commonProperties if global mode
         ...(capacityMode === 'global' && { capacity: formData.capacity })
       };
       createBulkMutation.mutate({
         commonProperties,
         timeSlots,
-        capacityMode
+        capacityMode,
+        allowRoomOverlap
       });
     }
   };
@@ -146,12 +248,62 @@ function MockExams() {
       exam_date: '',
       capacity: '',
       location: DEFAULT_LOCATION,
+      room_id: '',
       is_active: 'true', // String value matching HubSpot
       activation_mode: 'immediate',
-      scheduled_activation_datetime: null
+      scheduled_activation_datetime: null,
+      booking_cutoff_hours: ''
     });
     setTimeSlots([{ start_time: '', end_time: '', capacity: '' }]);
     setCapacityMode('global');
+    setRecurrence(DEFAULT_RECURRENCE);
+    setAppliedTemplate(null);
+    setRoomConflicts(null);
+  };
+
+  const handleRoomChange = (room) => {
+    setFormData({
+      ...formData,
+      room_id: room?.id || '',
+      // Capacity defaults to the room's seats/stations
+      ...(room && capacityMode === 'global' && { capacity: room.capacity })
+    });
+  };
+
+  const handleApplyTemplate = (template) => {
+    setAppliedTemplate(template);
+    if (!template) return;
+
+    const state = templateToFormState(template, formData);
+    // A room belongs to one site
+    if (state.formData.location !== formData.location) {
+      state.formData.room_id = '';
+    }
+    setFormData(state.formData);
+    setTimeSlots(state.timeSlots);
+    setCapacityMode(state.capacityMode);
+  };
+
+  const canSaveTemplate = () => {
+    const capacityValid = capacityMode === 'global'
+      ? formData.capacity > 0
+      : timeSlots.every(slot => slot.capacity && slot.capacity > 0);
+
+    return formData.mock_type && formData.location && capacityValid &&
+      timeSlots.length > 0 && timeSlots.every(slot => slot.start_time && slot.end_time);
+  };
+
+  const handleSaveTemplate = () => {
+    createTemplateMutation.mutate(
+      { name: templateName.trim(), ...formStateToTemplate({ formData, timeSlots, capacityMode }) },
+      {
+        onSuccess: (response) => {
+          setAppliedTemplate(response?.data || null);
+          setTemplateName('');
+          setShowSaveTemplate(false);
+        }
+      }
+    );
   };
 
   const isFormValid = () => {
@@ -170,14 +322,15 @@ function MockExams() {
       ? !!formData.scheduled_activation_datetime
       : true;
 
-    return commonFieldsValid && capacityValid && timeSlotsValid && scheduledDateTimeValid;
+    return commonFieldsValid && capacityValid && timeSlotsValid && scheduledDateTimeValid &&
+      isRecurrenceValid(recurrence, formData.exam_date);
   };
 
   const handleBack = () => {
     navigate('/mock-exams');
   };
 
-  const isLoading = createSingleMutation.isPending || createBulkMutation.isPending;
+  const isLoading = createSingleMutation.isPending || createBulkMutation.isPending || createSeriesMutation.isPending;
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
@@ -197,6 +350,16 @@ function MockExams() {
         {/* Form Container with max-width */}
         <div className="max-w-4xl mx-auto">
           <div className="space-y-6">
+              {/* Template Section */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">Template</h3>
+                <TemplatePicker
+                  value={appliedTemplate?.id}
+                  onApply={handleApplyTemplate}
+                  helperText="Fill the form from a saved template. The exam date is kept."
+                />
+              </div>
+
               {/* Basic Information Section */}
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
                 <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">Basic Information</h3>
@@ -231,7 +394,14 @@ function MockExams() {
                     </Label>
                     <DatePicker
                       value={formData.exam_date}
-                      onChange={(value) => setFormData({ ...formData, exam_date: value })}
+                      onChange={(value) => setFormData({
+                        ...formData,
+                        exam_date: value,
+                        // A scheduled template activates relative to the exam date
+                        ...(appliedTemplate?.activation_mode === 'scheduled' && formData.activation_mode === 'scheduled' && {
+                          scheduled_activation_datetime: getTemplateActivationDateTime(appliedTemplate, value)
+                        })
+                      })}
                       placeholder="Select exam date"
                       required
                     />
@@ -273,14 +443,14 @@ function MockExams() {
                     </Label>
                     <Select
                       value={formData.location}
-                      onValueChange={(value) => setFormData({ ...formData, location: value })}
+                      onValueChange={(value) => setFormData({ ...formData, location: value, room_id: '' })}
                       required
                     >
                       <SelectTrigger>
                         <SelectValue placeholder="Select a location" />
                       </SelectTrigger>
                       <SelectContent>
-                        {LOCATIONS.map((loc) => (
+                        {locationNames.map((loc) => (
                           <SelectItem key={loc} value={loc}>
                             {loc}
                           </SelectItem>
@@ -288,6 +458,16 @@ function MockExams() {
                       </SelectContent>
                     </Select>
                   </div>
+
+                  {/* Row 3, Column 1: Room */}
+                  <div>
+                    <RoomSelect
+                      value={formData.room_id}
+                      onChange={handleRoomChange}
+                      site={formData.location}
+                      helperText="Optional - sets the capacity and is checked for double bookings"
+                    />
+                  </div>
                 </div>
             </div>
 
@@ -411,6 +591,25 @@ function MockExams() {
                   </p>
                 </div>
               )}
+
+              <div className="mt-6">
+                <Label htmlFor="booking_cutoff_hours" className="text-gray-700 dark:text-gray-300">
+                  Booking Cutoff (hours before start)
+                </Label>
+                <Input
+                  id="booking_cutoff_hours"
+                  type="number"
+                  min="0"
+                  max="720"
+                  value={formData.booking_cutoff_hours}
+                  onChange={(e) => setFormData({ ...formData, booking_cutoff_hours: e.target.value })}
+                  placeholder="Mock type default"
+                  className="mt-1"
+                />
+                <p className="mt-1.5 text-xs text-gray-500 dark:text-gray-400">
+                  Leave empty to close booking at the mock type's usual cutoff
+                </p>
+              </div>
             </div>
 
             {/* Capacity Settings Section */}
@@ -477,6 +676,16 @@ function MockExams() {
               />
             </div>
 
+            {/* Recurrence Section */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">Recurrence</h3>
+              <RecurrenceBuilder
+                recurrence={recurrence}
+                onChange={setRecurrence}
+                startDate={formData.exam_date}
+              />
+            </div>
+
             {/* Preview Section */}
             {showPreview && isFormValid() && (
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
@@ -503,6 +712,15 @@ function MockExams() {
                 </button>
 
                 <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setShowSaveTemplate(!showSaveTemplate)}
+                    disabled={!canSaveTemplate() || isLoading}
+                    className="inline-flex items-center px-5 py-2.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Save as Template
+                  </button>
+
                   <button
                     type="button"
                     onClick={resetForm}
@@ -528,12 +746,53 @@ function MockExams() {
                       </>
                     ) : (
                       <>
-                        Create {timeSlots.length} {timeSlots.length === 1 ? 'Session' : 'Sessions'}
+                        {recurrence.enabled
+                          ? 'Create Series'
+                          : `Create ${timeSlots.length} ${timeSlots.length === 1 ? 'Session' : 'Sessions'}`}
                       </>
                     )}
                   </button>
                 </div>
               </div>
+
+              {/* Room double booking - confirm or go back */}
+              {roomConflicts && (
+                <div className="mt-4">
+                  <RoomConflictNotice
+                    conflicts={roomConflicts}
+                    onConfirm={() => submitSessions(true)}
+                    onCancel={() => setRoomConflicts(null)}
+                    isSubmitting={isLoading}
+                    confirmLabel="Create Anyway"
+                  />
+                </div>
+              )}
+
+              {/* Save as Template - name prompt */}
+              {showSaveTemplate && (
+                <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 flex flex-col sm:flex-row sm:items-end gap-3">
+                  <div className="flex-1">
+                    <Label htmlFor="template_name" className="text-gray-700 dark:text-gray-300">
+                      Template Name <span className="text-red-500">*</span>
+                    </Label>
+                    <Input
+                      id="template_name"
+                      value={templateName}
+                      maxLength={100}
+                      onChange={(e) => setTemplateName(e.target.value)}
+                      placeholder="e.g. Saturday CS - Mississauga"
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleSaveTemplate}
+                    disabled={!templateName.trim() || createTemplateMutation.isPending}
+                    className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                  >
+                    {createTemplateMutation.isPending ? 'Saving...' : 'Save Template'}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
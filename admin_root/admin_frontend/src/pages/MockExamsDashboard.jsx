@@ -12,10 +12,13 @@ import DashboardMetrics from '../components/admin/DashboardMetrics';
 import FilterBar from '../components/admin/FilterBar';
 import MockExamsSelectionToolbar from '../components/admin/MockExamsSelectionToolbar';
 import MockExamsTable from '../components/admin/MockExamsTable';
+import SessionsCalendar from '../components/admin/SessionsCalendar';
 import BulkToggleActiveModal from '../components/admin/BulkToggleActiveModal';
 import BulkEditModal from '../components/admin/BulkEditModal';
 import CloneMockExamsModal from '../components/admin/CloneMockExamsModal';
 import MassDeleteModal from '../components/admin/MassDeleteModal';
+import SeriesActionsModal from '../components/admin/SeriesActionsModal';
+import SignInSheetModal from '../components/admin/SignInSheetModal';
 import { useMemo, useState, useCallback } from 'react';
 import toast from 'react-hot-toast';
 
@@ -23,7 +26,7 @@ function MockExamsDashboard() {
   const navigate = useNavigate();
 
   // State for view mode
-  const [viewMode, setViewMode] = useState('aggregate'); // 'list' or 'aggregate'
+  const [viewMode, setViewMode] = useState('aggregate'); // 'list', 'aggregate' or 'calendar'
 
   // State for pagination
   const [currentPage, setCurrentPage] = useState(1);
@@ -41,6 +44,12 @@ function MockExamsDashboard() {
   // State for mass delete modal
   const [isMassDeleteModalOpen, setIsMassDeleteModalOpen] = useState(false);
 
+  // State for sign-in sheet modal
+  const [isSignInSheetModalOpen, setIsSignInSheetModalOpen] = useState(false);
+
+  // State for series actions modal (session the action was started from)
+  const [seriesSession, setSeriesSession] = useState(null);
+
   // Initialize filter management
   const {
     filters,
@@ -292,6 +301,16 @@ function MockExamsDashboard() {
     setIsMassDeleteModalOpen(true);
   }, []);
 
+  // Handler for exporting the rosters of the selected sessions
+  const handleExportRosters = useCallback(() => {
+    navigate(`/data-management/exports?sessions=${bulkSelection.selectedIds.join(',')}`);
+  }, [navigate, bulkSelection.selectedIds]);
+
+  // Handler for opening the sign-in sheet modal
+  const handlePrintSignInSheets = useCallback(() => {
+    setIsSignInSheetModalOpen(true);
+  }, []);
+
   // Handler for successful bulk edit
   const handleBulkEditSuccess = useCallback(() => {
     setIsBulkEditModalOpen(false);
@@ -419,6 +438,8 @@ function MockExamsDashboard() {
             onBulkEdit={handleBulkEdit}
             onClone={handleClone}
             onDeleteSessions={handleDeleteSessions}
+            onExportRosters={handleExportRosters}
+            onPrintSignInSheets={handlePrintSignInSheets}
             selectedSessions={bulkSelection.selectedSessions}
             isSubmitting={bulkSelection.isSubmitting}
           />
@@ -442,28 +463,39 @@ function MockExamsDashboard() {
           </div>
         )}
 
+        {/* Sessions Calendar (fetches its own week / month of sessions) */}
+        {viewMode === 'calendar' && (
+          <SessionsCalendar
+            filters={filters}
+            onView={handleView}
+          />
+        )}
+
         {/* Mock Exams Table */}
-        <MockExamsTable
-          key={JSON.stringify(filterParamsOnly) + viewMode}
-          data={viewMode === 'aggregate' ? paginatedAggregates : mockExamsData}
-          isLoading={viewMode === 'aggregate' ? isLoadingAggregates : isLoadingExams}
-          onSort={viewMode === 'aggregate' ? handleAggregateSort : handleSort}
-          currentSort={viewMode === 'aggregate' ? getCurrentSortForAggregate() : {
-            sort_by: filters.sort_by,
-            sort_order: filters.sort_order
-          }}
-          viewMode={viewMode}
-          onView={handleView}
-          // Pagination props
-          currentPage={currentPage}
-          totalPages={viewMode === 'aggregate' ? aggregatesTotalPages : paginationInfo.total_pages}
-          totalItems={viewMode === 'aggregate' ? sortedAggregates.length : paginationInfo.total_records}
-          onPageChange={handlePageChange}
-          // Bulk selection props
-          isSelectionMode={bulkSelection.isSelectionMode}
-          onToggleSelection={bulkSelection.toggleSelection}
-          isSelected={bulkSelection.isSelected}
-        />
+        {viewMode !== 'calendar' && (
+          <MockExamsTable
+            key={JSON.stringify(filterParamsOnly) + viewMode}
+            data={viewMode === 'aggregate' ? paginatedAggregates : mockExamsData}
+            isLoading={viewMode === 'aggregate' ? isLoadingAggregates : isLoadingExams}
+            onSort={viewMode === 'aggregate' ? handleAggregateSort : handleSort}
+            currentSort={viewMode === 'aggregate' ? getCurrentSortForAggregate() : {
+              sort_by: filters.sort_by,
+              sort_order: filters.sort_order
+            }}
+            viewMode={viewMode}
+            onView={handleView}
+            onManageSeries={setSeriesSession}
+            // Pagination props
+            currentPage={currentPage}
+            totalPages={viewMode === 'aggregate' ? aggregatesTotalPages : paginationInfo.total_pages}
+            totalItems={viewMode === 'aggregate' ? sortedAggregates.length : paginationInfo.total_records}
+            onPageChange={handlePageChange}
+            // Bulk selection props
+            isSelectionMode={bulkSelection.isSelectionMode}
+            onToggleSelection={bulkSelection.toggleSelection}
+            isSelected={bulkSelection.isSelected}
+          />
+        )}
 
         {/* Bulk Toggle Active Modal */}
         <BulkToggleActiveModal
@@ -497,6 +529,21 @@ function MockExamsDashboard() {
           selectedSessions={bulkSelection.selectedSessions}
           onSuccess={handleMassDeleteSuccess}
         />
+
+        {/* Sign-in Sheet Modal */}
+        <SignInSheetModal
+          isOpen={isSignInSheetModalOpen}
+          onClose={() => setIsSignInSheetModalOpen(false)}
+          sessions={bulkSelection.selectedSessions}
+        />
+
+        {/* Series Actions Modal */}
+        <SeriesActionsModal
+          isOpen={!!seriesSession}
+          onClose={() => setSeriesSession(null)}
+          seriesId={seriesSession?.series_id}
+          anchorSession={seriesSession}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,485 @@
+/**
+ * Rooms Page
+ * Room occupancy by date and room management
+ *
+ * Occupancy lists each room's sessions for a date range and highlights double
+ * bookings and sessions with more capacity than the room has seats. Rooms are
+ * assigned to sessions on the create page, the edit form and the clone modal.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  PencilIcon,
+  TrashIcon,
+  PlusIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { DatePicker } from '@/components/ui/date-picker';
+import { useRooms, useRoomOccupancy, useRoomMutations } from '../hooks/useRooms';
+import { useLocationOptions } from '../hooks/useLocations';
+import {
+  describeEquipment,
+  formatRoomTime,
+  groupSessionsByDate,
+  getOverlappingSessionIds
+} from '../utils/rooms';
+import { DEFAULT_LOCATION } from '../constants/examConstants';
+
+const ALL_SITES = '__all__';
+
+const EMPTY_ROOM = {
+  site: DEFAULT_LOCATION,
+  name: '',
+  capacity: '',
+  equipment: [],
+  is_active: true,
+  notes: ''
+};
+
+const todayInToronto = () =>
+  new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+
+/**
+ * API payload from the editor state
+ */
+const toPayload = (editor) => ({
+  site: editor.site,
+  name: editor.name.trim(),
+  capacity: parseInt(editor.capacity) || null,
+  equipment: editor.equipment
+    .filter(item => item.name.trim())
+    .map(item => ({ name: item.name.trim(), quantity: parseInt(item.quantity) || 1 })),
+  is_active: editor.is_active,
+  notes: editor.notes.trim()
+});
+
+function Rooms() {
+  const [startDate, setStartDate] = useState(todayInToronto());
+  const [endDate, setEndDate] = useState('');
+  const [siteFilter, setSiteFilter] = useState(ALL_SITES);
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+
+  const site = siteFilter === ALL_SITES ? undefined : siteFilter;
+  const { data: occupancy, isLoading: occupancyLoading, error: occupancyError } =
+    useRoomOccupancy({ startDate, endDate, site });
+  const { data: rooms = [], isLoading: roomsLoading, error: roomsError } =
+    useRooms({ includeInactive: true });
+  const { create, update, remove } = useRoomMutations();
+
+  // null = no editor open, 'new' = creating, otherwise the id being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editor, setEditor] = useState(EMPTY_ROOM);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  const isSaving = create.isPending || update.isPending;
+
+  const setField = (field, value) => setEditor(prev => ({ ...prev, [field]: value }));
+
+  const setEquipment = (index, field, value) => setEditor(prev => ({
+    ...prev,
+    equipment: prev.equipment.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+  }));
+
+  const startCreate = () => {
+    setEditor(EMPTY_ROOM);
+    setEditingId('new');
+  };
+
+  const startEdit = (room) => {
+    setEditor({
+      ...EMPTY_ROOM,
+      ...room,
+      equipment: room.equipment || [],
+      notes: room.notes || ''
+    });
+    setEditingId(room.id);
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setEditor(EMPTY_ROOM);
+  };
+
+  const isEditorValid = () =>
+    editor.site && editor.name.trim() && editor.capacity > 0 &&
+    editor.equipment.every(item => !item.name.trim() || item.quantity > 0);
+
+  const handleSave = () => {
+    const payload = toPayload(editor);
+    const options = { onSuccess: closeEditor };
+
+    if (editingId === 'new') {
+      create.mutate(payload, options);
+    } else {
+      update.mutate({ id: editingId, changes: payload }, options);
+    }
+  };
+
+  const handleDelete = (roomId) => {
+    remove.mutate(roomId, {
+      onSettled: () => setPendingDeleteId(null)
+    });
+    if (editingId === roomId) {
+      closeEditor();
+    }
+  };
+
+  const occupancyRooms = occupancy?.data || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Rooms</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              See which sessions use each room and manage the rooms sessions can be scheduled into
+            </p>
+          </div>
+          {editingId === null && (
+            <button
+              type="button"
+              onClick={startCreate}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 shadow-sm transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              New Room
+            </button>
+          )}
+        </div>
+
+        <div className="max-w-5xl mx-auto space-y-6">
+          {/* Editor */}
+          {editingId !== null && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">
+                {editingId === 'new' ? 'New Room' : 'Edit Room'}
+              </h3>
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Site <span className="text-red-500">*</span>
+                  </Label>
+                  <Select value={editor.site} onValueChange={(value) => setField('site', value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a site" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {locationNames.map((loc) => (
+                        <SelectItem key={loc} value={loc}>
+                          {loc}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Room Name <span className="text-red-500">*</span>
+                  </Label>
+                  <Input
+                    value={editor.name}
+                    maxLength={60}
+                    onChange={(e) => setField('name', e.target.value)}
+                    placeholder="e.g. Room 2"
+                  />
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Seats / Stations <span className="text-red-500">*</span>
+                  </Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={editor.capacity}
+                    onChange={(e) => setField('capacity', parseInt(e.target.value) || '')}
+                  />
+                </div>
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Equipment</Label>
+                <div className="mt-2 space-y-2">
+                  {editor.equipment.map((item, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <Input
+                        value={item.name}
+                        maxLength={60}
+                        onChange={(e) => setEquipment(index, 'name', e.target.value)}
+                        placeholder="e.g. Left-handed station"
+                        className="flex-1"
+                      />
+                      <Input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={item.quantity}
+                        onChange={(e) => setEquipment(index, 'quantity', parseInt(e.target.value) || '')}
+                        className="w-24"
+                        aria-label="Quantity"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setField('equipment', editor.equipment.filter((_, i) => i !== index))}
+                        aria-label="Remove equipment"
+                        className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  {editor.equipment.length < 20 && (
+                    <button
+                      type="button"
+                      onClick={() => setField('equipment', [...editor.equipment, { name: '', quantity: 1 }])}
+                      className="inline-flex items-center text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300"
+                    >
+                      <PlusIcon className="h-4 w-4 mr-1" />
+                      Add equipment
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="mt-6 grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div className="sm:col-span-2">
+                  <Label className="text-gray-700 dark:text-gray-300">Notes</Label>
+                  <Input
+                    value={editor.notes}
+                    maxLength={500}
+                    onChange={(e) => setField('notes', e.target.value)}
+                    placeholder="Optional"
+                  />
+                </div>
+                <div className="flex items-center space-x-2 sm:mt-6">
+                  <Checkbox
+                    id="room-is-active"
+                    checked={editor.is_active}
+                    onCheckedChange={(checked) => setField('is_active', !!checked)}
+                  />
+                  <label htmlFor="room-is-active" className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                    In use (shown in room pickers)
+                  </label>
+                </div>
+              </div>
+
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeEditor}
+                  disabled={isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!isEditorValid() || isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save Room'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Occupancy */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">Occupancy</h3>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3 mb-6">
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">From</Label>
+                <DatePicker value={startDate} onChange={(value) => setStartDate(value)} />
+              </div>
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">To (optional, up to 31 days)</Label>
+                <DatePicker value={endDate} onChange={(value) => setEndDate(value)} placeholder="Same day" />
+              </div>
+              <div>
+                <Label className="text-gray-700 dark:text-gray-300">Site</Label>
+                <Select value={siteFilter} onValueChange={setSiteFilter}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="All sites" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ALL_SITES}>All sites</SelectItem>
+                    {locationNames.map((loc) => (
+                      <SelectItem key={loc} value={loc}>
+                        {loc}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {occupancyLoading ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Loading occupancy...</p>
+            ) : occupancyError ? (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                Failed to load occupancy: {occupancyError.message}
+              </p>
+            ) : occupancyRooms.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No rooms set up{site ? ` for ${site}` : ''}.</p>
+            ) : (
+              <div className="space-y-4">
+                {occupancy.meta?.total_overlaps > 0 && (
+                  <div className="flex items-center text-sm text-amber-700 dark:text-amber-400">
+                    <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                    {occupancy.meta.total_overlaps} double booking{occupancy.meta.total_overlaps === 1 ? '' : 's'} in this range
+                  </div>
+                )}
+                {occupancyRooms.map(room => {
+                  const overlapping = getOverlappingSessionIds(room.overlaps);
+
+                  return (
+                    <div key={room.id} className="border border-gray-200 dark:border-gray-700 rounded-lg">
+                      <div className="px-4 py-3 bg-gray-50 dark:bg-gray-900/40 rounded-t-lg flex items-center justify-between">
+                        <p className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                          {room.site} / {room.name}
+                          {!room.is_active && <span className="ml-2 text-xs font-normal text-gray-500">(not in use)</span>}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {room.capacity} seats • {room.sessions.length} session{room.sessions.length === 1 ? '' : 's'}
+                        </p>
+                      </div>
+                      {room.sessions.length === 0 ? (
+                        <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">Free</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                          {groupSessionsByDate(room.sessions).flatMap(({ date, sessions }) =>
+                            sessions.map(session => (
+                              <li
+                                key={session.id}
+                                className={`px-4 py-2 flex items-center justify-between text-sm ${
+                                  overlapping.has(String(session.id)) ? 'bg-amber-50 dark:bg-amber-900/20' : ''
+                                }`}
+                              >
+                                <span className="text-gray-700 dark:text-gray-300">
+                                  {date} • {formatRoomTime(session.start_time)} - {formatRoomTime(session.end_time)} •{' '}
+                                  <Link
+                                    to={`/mock-exams/${session.id}`}
+                                    className="font-medium text-primary-600 dark:text-primary-400 hover:underline"
+                                  >
+                                    {session.mock_type}{session.mock_set ? ` (Set ${session.mock_set})` : ''}
+                                  </Link>
+                                </span>
+                                <span className="flex items-center gap-3 text-xs">
+                                  {overlapping.has(String(session.id)) && (
+                                    <span className="font-medium text-amber-700 dark:text-amber-400">Double booked</span>
+                                  )}
+                                  <span className={session.over_capacity ? 'font-medium text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}>
+                                    {session.total_bookings || 0}/{session.capacity}
+                                    {session.over_capacity && ' (over room seats)'}
+                                  </span>
+                                </span>
+                              </li>
+                            ))
+                          )}
+                        </ul>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Room list */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            {roomsLoading ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading rooms...</div>
+            ) : roomsError ? (
+              <div className="p-6 text-sm text-red-600 dark:text-red-400">
+                Failed to load rooms: {roomsError.message}
+              </div>
+            ) : rooms.length === 0 ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">
+                No rooms yet. Add the rooms at each site to check sessions for double bookings.
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rooms.map(room => (
+                  <li key={room.id} className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        {room.site} / {room.name}
+                        {!room.is_active && <span className="ml-2 text-xs font-normal text-gray-500">(not in use)</span>}
+                      </p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {room.capacity} seats/stations
+                        {room.equipment?.length > 0 && ` • ${describeEquipment(room.equipment)}`}
+                      </p>
+                      {room.notes && (
+                        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{room.notes}</p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      {pendingDeleteId === room.id ? (
+                        <>
+                          <span className="text-sm text-gray-600 dark:text-gray-300">Delete?</span>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(room.id)}
+                            disabled={remove.isPending}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                          >
+                            {remove.isPending ? 'Deleting...' : 'Delete'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(null)}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                          >
+                            Keep
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => startEdit(room)}
+                            aria-label={`Edit ${room.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(room.id)}
+                            aria-label={`Delete ${room.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Rooms;
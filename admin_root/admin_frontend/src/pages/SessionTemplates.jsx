@@ -0,0 +1,504 @@
+/**
+ * SessionTemplates Page
+ * Create, edit and delete named session templates
+ *
+ * Templates are applied on the create page, in the CSV import (Bulk Mocks)
+ * and in the clone modal.
+ */
+
+import { useState } from 'react';
+import { PencilIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import TimeSlotBuilder from '../components/admin/TimeSlotBuilder';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { TimePickerSelect } from '@/components/ui/time-picker';
+import { useSessionTemplates, useSessionTemplateMutations } from '../hooks/useSessionTemplates';
+import { useLocationOptions } from '../hooks/useLocations';
+import { describeTemplate } from '../utils/sessionTemplates';
+import {
+  MOCK_TYPES,
+  DEFAULT_LOCATION,
+  MOCK_SET_OPTIONS,
+  MOCK_SET_APPLICABLE_TYPES
+} from '../constants/examConstants';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  description: '',
+  mock_type: MOCK_TYPES[0],
+  mock_set: '',
+  location: DEFAULT_LOCATION,
+  capacity_mode: 'global',
+  capacity: '',
+  time_slots: [{ start_time: '', end_time: '', capacity: '' }],
+  activation_mode: 'immediate',
+  is_active: 'true',
+  activation_days_before: 3,
+  activation_time: '09:00'
+};
+
+/**
+ * Editor state from a stored template
+ */
+const toEditorState = (template) => ({
+  ...EMPTY_TEMPLATE,
+  ...template,
+  description: template.description || '',
+  mock_set: template.mock_set || '',
+  capacity: template.capacity || '',
+  time_slots: (template.time_slots || []).map(slot => ({ ...slot, capacity: slot.capacity || '' })),
+  activation_days_before: template.activation_days_before ?? EMPTY_TEMPLATE.activation_days_before,
+  activation_time: template.activation_time || EMPTY_TEMPLATE.activation_time
+});
+
+/**
+ * API payload from the editor state
+ */
+const toPayload = (editor) => {
+  const perSlot = editor.capacity_mode === 'per-slot';
+  const scheduled = editor.activation_mode === 'scheduled';
+
+  return {
+    name: editor.name.trim(),
+    description: editor.description.trim(),
+    mock_type: editor.mock_type,
+    mock_set: MOCK_SET_APPLICABLE_TYPES.includes(editor.mock_type) ? editor.mock_set : '',
+    location: editor.location,
+    capacity_mode: editor.capacity_mode,
+    capacity: perSlot ? null : parseInt(editor.capacity) || null,
+    time_slots: editor.time_slots.map(slot => ({
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      ...(perSlot && { capacity: parseInt(slot.capacity) || null })
+    })),
+    activation_mode: editor.activation_mode,
+    is_active: scheduled ? 'true' : editor.is_active,
+    ...(scheduled && {
+      activation_days_before: parseInt(editor.activation_days_before) || 0,
+      activation_time: editor.activation_time
+    })
+  };
+};
+
+function SessionTemplates() {
+  const { data: templates = [], isLoading, error } = useSessionTemplates();
+  const { create, update, remove } = useSessionTemplateMutations();
+  const { locationNames } = useLocationOptions();
+
+  // null = no editor open, 'new' = creating, otherwise the id being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editor, setEditor] = useState(EMPTY_TEMPLATE);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  const isSaving = create.isPending || update.isPending;
+
+  const setField = (field, value) => setEditor(prev => ({ ...prev, [field]: value }));
+
+  const startCreate = () => {
+    setEditor(EMPTY_TEMPLATE);
+    setEditingId('new');
+  };
+
+  const startEdit = (template) => {
+    setEditor(toEditorState(template));
+    setEditingId(template.id);
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setEditor(EMPTY_TEMPLATE);
+  };
+
+  const isEditorValid = () => {
+    const capacityValid = editor.capacity_mode === 'global'
+      ? editor.capacity > 0
+      : editor.time_slots.every(slot => slot.capacity && slot.capacity > 0);
+    const slotsValid = editor.time_slots.length > 0 &&
+      editor.time_slots.every(slot => slot.start_time && slot.end_time && slot.start_time < slot.end_time);
+    const activationValid = editor.activation_mode === 'immediate' ||
+      (editor.activation_days_before !== '' && !!editor.activation_time);
+
+    return editor.name.trim() && editor.mock_type && editor.location && capacityValid && slotsValid && activationValid;
+  };
+
+  const handleSave = () => {
+    const payload = toPayload(editor);
+    const options = { onSuccess: closeEditor };
+
+    if (editingId === 'new') {
+      create.mutate(payload, options);
+    } else {
+      update.mutate({ id: editingId, changes: payload }, options);
+    }
+  };
+
+  const handleDelete = (templateId) => {
+    remove.mutate(templateId, {
+      onSettled: () => setPendingDeleteId(null)
+    });
+    if (editingId === templateId) {
+      closeEditor();
+    }
+  };
+
+  const mockSetApplicable = MOCK_SET_APPLICABLE_TYPES.includes(editor.mock_type);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Session Templates</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              Save a full session setup once and apply it when creating, importing or cloning sessions
+            </p>
+          </div>
+          {editingId === null && (
+            <button
+              type="button"
+              onClick={startCreate}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 shadow-sm transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              New Template
+            </button>
+          )}
+        </div>
+
+        <div className="max-w-4xl mx-auto space-y-6">
+          {/* Editor */}
+          {editingId !== null && (
+            <>
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">
+                  {editingId === 'new' ? 'New Template' : 'Edit Template'}
+                </h3>
+                <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+                  <div>
+                    <Label className="text-gray-700 dark:text-gray-300">
+                      Name <span className="text-red-500">*</span>
+                    </Label>
+                    <Input
+                      value={editor.name}
+                      maxLength={100}
+                      onChange={(e) => setField('name', e.target.value)}
+                      placeholder="e.g. Saturday CS - Mississauga"
+                    />
+                  </div>
+
+                  <div>
+                    <Label className="text-gray-700 dark:text-gray-300">Description</Label>
+                    <Input
+                      value={editor.description}
+                      maxLength={500}
+                      onChange={(e) => setField('description', e.target.value)}
+                      placeholder="Optional"
+                    />
+                  </div>
+
+                  <div>
+                    <Label className="text-gray-700 dark:text-gray-300">
+                      Mock Type <span className="text-red-500">*</span>
+                    </Label>
+                    <Select
+                      value={editor.mock_type}
+                      onValueChange={(value) => setEditor(prev => ({ ...prev, mock_type: value, mock_set: '' }))}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a mock type" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {MOCK_TYPES.map((type) => (
+                          <SelectItem key={type} value={type}>
+                            {type}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div>
+                    <Label className="text-gray-700 dark:text-gray-300">
+                      Location <span className="text-red-500">*</span>
+                    </Label>
+                    <Select
+                      value={editor.location}
+                      onValueChange={(value) => setField('location', value)}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a location" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {locationNames.map((loc) => (
+                          <SelectItem key={loc} value={loc}>
+                            {loc}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div>
+                    <Label className={mockSetApplicable ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 dark:text-gray-500'}>
+                      Mock Set {mockSetApplicable ? '(Optional)' : ''}
+                    </Label>
+                    <Select
+                      value={editor.mock_set || '__none__'}
+                      onValueChange={(value) => setField('mock_set', value === '__none__' ? '' : value)}
+                      disabled={!mockSetApplicable}
+                    >
+                      <SelectTrigger className={!mockSetApplicable ? 'opacity-50 cursor-not-allowed' : ''}>
+                        <SelectValue placeholder={mockSetApplicable ? 'Select a mock set (optional)' : 'Not applicable'} />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="__none__">None</SelectItem>
+                        {MOCK_SET_OPTIONS.map((option) => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div>
+                    <Label className="text-gray-700 dark:text-gray-300">
+                      Capacity <span className="text-red-500">*</span>
+                    </Label>
+                    <Input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={editor.capacity}
+                      onChange={(e) => setField('capacity', parseInt(e.target.value) || '')}
+                      disabled={editor.capacity_mode === 'per-slot'}
+                      className={editor.capacity_mode === 'per-slot' ? 'opacity-50 cursor-not-allowed' : ''}
+                    />
+                    <div className="flex items-center space-x-2 mt-3">
+                      <Checkbox
+                        id="template-per-slot-capacity"
+                        checked={editor.capacity_mode === 'per-slot'}
+                        onCheckedChange={(checked) => setEditor(prev => ({
+                          ...prev,
+                          capacity_mode: checked ? 'per-slot' : 'global',
+                          capacity: checked ? '' : prev.capacity
+                        }))}
+                      />
+                      <label
+                        htmlFor="template-per-slot-capacity"
+                        className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer"
+                      >
+                        Set capacity per time slot
+                      </label>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">Time Slots</h3>
+                <TimeSlotBuilder
+                  timeSlots={editor.time_slots}
+                  onChange={(slots) => setField('time_slots', slots)}
+                  capacityMode={editor.capacity_mode}
+                  globalCapacity={editor.capacity}
+                />
+              </div>
+
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">Activation</h3>
+                <div className="space-y-4">
+                  <div className="flex items-start">
+                    <input
+                      type="radio"
+                      id="template_immediate_activation"
+                      name="template_activation_mode"
+                      checked={editor.activation_mode === 'immediate'}
+                      onChange={() => setField('activation_mode', 'immediate')}
+                      className="mt-1 h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                    />
+                    <label htmlFor="template_immediate_activation" className="ml-3">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        Set status on creation
+                      </div>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Sessions are created active or inactive
+                      </p>
+                    </label>
+                  </div>
+
+                  <div className="flex items-start">
+                    <input
+                      type="radio"
+                      id="template_scheduled_activation"
+                      name="template_activation_mode"
+                      checked={editor.activation_mode === 'scheduled'}
+                      onChange={() => setField('activation_mode', 'scheduled')}
+                      className="mt-1 h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                    />
+                    <label htmlFor="template_scheduled_activation" className="ml-3">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        Schedule activation before the exam date
+                      </div>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        If that time has already passed, sessions are activated immediately
+                      </p>
+                    </label>
+                  </div>
+                </div>
+
+                {editor.activation_mode === 'immediate' ? (
+                  <div className="mt-6 pl-7 max-w-xs">
+                    <Label className="text-gray-700 dark:text-gray-300">Status</Label>
+                    <Select
+                      value={editor.is_active}
+                      onValueChange={(value) => setField('is_active', value)}
+                    >
+                      <SelectTrigger className="w-full mt-1">
+                        <SelectValue placeholder="Select status" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="true">Active</SelectItem>
+                        <SelectItem value="false">Inactive</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ) : (
+                  <div className="mt-6 pl-7 grid grid-cols-1 gap-6 sm:grid-cols-2">
+                    <div>
+                      <Label className="text-gray-700 dark:text-gray-300">
+                        Days before exam <span className="text-red-500">*</span>
+                      </Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        max="90"
+                        value={editor.activation_days_before}
+                        onChange={(e) => setField('activation_days_before', e.target.value === '' ? '' : parseInt(e.target.value))}
+                      />
+                    </div>
+                    <div>
+                      <Label className="text-gray-700 dark:text-gray-300">
+                        Time (Toronto) <span className="text-red-500">*</span>
+                      </Label>
+                      <TimePickerSelect
+                        value={editor.activation_time}
+                        onChange={(value) => setField('activation_time', value)}
+                        minuteStep={15}
+                        startHour={0}
+                        endHour={23}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeEditor}
+                  disabled={isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!isEditorValid() || isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </>
+          )}
+
+          {/* Template list */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            {isLoading ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading templates...</div>
+            ) : error ? (
+              <div className="p-6 text-sm text-red-600 dark:text-red-400">
+                Failed to load templates: {error.message}
+              </div>
+            ) : templates.length === 0 ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">
+                No templates yet. Create one here or use "Save as Template" on the create page.
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {templates.map(template => (
+                  <li key={template.id} className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-gray-100">{template.name}</p>
+                      {template.description && (
+                        <p className="text-sm text-gray-600 dark:text-gray-300">{template.description}</p>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{describeTemplate(template)}</p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {(template.time_slots || []).map(slot => `${slot.start_time}–${slot.end_time}`).join(', ')}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      {pendingDeleteId === template.id ? (
+                        <>
+                          <span className="text-sm text-gray-600 dark:text-gray-300">Delete?</span>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(template.id)}
+                            disabled={remove.isPending}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                          >
+                            {remove.isPending ? 'Deleting...' : 'Delete'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(null)}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                          >
+                            Keep
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => startEdit(template)}
+                            aria-label={`Edit ${template.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(template.id)}
+                            aria-label={`Delete ${template.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionTemplates;
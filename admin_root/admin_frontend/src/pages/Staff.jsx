@@ -0,0 +1,667 @@
+/**
+ * Staff Page
+ * Examiners and proctors, their schedules and the staffing ratios
+ *
+ * Staff are assigned to sessions from the mock exam detail page. The ratios
+ * set how many examiners/proctors a session of each mock type needs; sessions
+ * with fewer are flagged as understaffed on the dashboard.
+ */
+
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  PencilIcon,
+  TrashIcon,
+  PlusIcon,
+  ArrowDownTrayIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { DatePicker } from '@/components/ui/date-picker';
+import {
+  STAFF_ROLE_LABELS,
+  useStaffList,
+  useStaffSchedule,
+  useStaffingRatios,
+  useStaffMutations
+} from '../hooks/useStaff';
+import { staffApi } from '../services/adminApi';
+import { formatRoomTime, groupSessionsByDate } from '../utils/rooms';
+import { useLocationOptions } from '../hooks/useLocations';
+import { MOCK_TYPES } from '../constants/examConstants';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_STAFF = {
+  name: '',
+  email: '',
+  roles: ['examiner'],
+  sites: [],
+  available_weekdays: [],
+  unavailable_dates: [],
+  is_active: true,
+  notes: ''
+};
+
+const todayInToronto = () =>
+  new Date().toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+/**
+ * API payload from the editor state
+ */
+const toPayload = (editor) => ({
+  name: editor.name.trim(),
+  email: editor.email.trim(),
+  roles: editor.roles,
+  sites: editor.sites,
+  available_weekdays: [...editor.available_weekdays].sort(),
+  unavailable_dates: editor.unavailable_dates
+    .filter(range => range.start_date)
+    .map(range => ({
+      start_date: range.start_date,
+      ...(range.end_date && { end_date: range.end_date }),
+      ...(range.reason?.trim() && { reason: range.reason.trim() })
+    })),
+  is_active: editor.is_active,
+  notes: editor.notes.trim()
+});
+
+/**
+ * Editable ratio grid (mock type x role) from the stored ratios
+ */
+const toRatioGrid = (ratios = []) =>
+  MOCK_TYPES.flatMap(mockType => Object.keys(STAFF_ROLE_LABELS).map(role => {
+    const stored = ratios.find(ratio => ratio.mock_type === mockType && ratio.role === role);
+    return {
+      mock_type: mockType,
+      role,
+      trainees_per_staff: stored?.trainees_per_staff || '',
+      min_staff: stored?.min_staff || ''
+    };
+  }));
+
+const describeAvailability = (staff) => {
+  const parts = [];
+  if (staff.sites?.length) parts.push(staff.sites.join(', '));
+  if (staff.available_weekdays?.length) parts.push(staff.available_weekdays.map(day => WEEKDAYS[day]).join('/'));
+  if (staff.unavailable_dates?.length) parts.push(`${staff.unavailable_dates.length} unavailable range(s)`);
+  return parts.join(' • ') || 'Any site, any day';
+};
+
+function Staff() {
+  const { data: staffList = [], isLoading: staffLoading, error: staffError } =
+    useStaffList({ includeInactive: true });
+  const { data: ratios, isLoading: ratiosLoading } = useStaffingRatios();
+  const { create, update, remove, saveRatios } = useStaffMutations();
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+
+  // null = no editor open, 'new' = creating, otherwise the id being edited
+  const [editingId, setEditingId] = useState(null);
+  const [editor, setEditor] = useState(EMPTY_STAFF);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  // Schedule
+  const [scheduleStaffId, setScheduleStaffId] = useState('');
+  const [startDate, setStartDate] = useState(todayInToronto());
+  const [endDate, setEndDate] = useState(addDays(todayInToronto(), 27));
+  const [isExporting, setIsExporting] = useState(false);
+  const { data: schedule, isLoading: scheduleLoading, error: scheduleError } =
+    useStaffSchedule(scheduleStaffId, { startDate, endDate });
+
+  // Ratios
+  const [ratioGrid, setRatioGrid] = useState(toRatioGrid());
+  useEffect(() => {
+    if (ratios) setRatioGrid(toRatioGrid(ratios));
+  }, [ratios]);
+
+  const isSaving = create.isLoading || update.isLoading;
+
+  const setField = (field, value) => setEditor(prev => ({ ...prev, [field]: value }));
+
+  const setRange = (index, field, value) => setEditor(prev => ({
+    ...prev,
+    unavailable_dates: prev.unavailable_dates.map((range, i) => (i === index ? { ...range, [field]: value } : range))
+  }));
+
+  const startCreate = () => {
+    setEditor(EMPTY_STAFF);
+    setEditingId('new');
+  };
+
+  const startEdit = (staff) => {
+    setEditor({
+      ...EMPTY_STAFF,
+      ...staff,
+      sites: staff.sites || [],
+      available_weekdays: staff.available_weekdays || [],
+      unavailable_dates: staff.unavailable_dates || [],
+      notes: staff.notes || ''
+    });
+    setEditingId(staff.id);
+  };
+
+  const closeEditor = () => {
+    setEditingId(null);
+    setEditor(EMPTY_STAFF);
+  };
+
+  const isEditorValid = () =>
+    editor.name.trim() && editor.email.trim() && editor.roles.length > 0 &&
+    editor.unavailable_dates.every(range => !range.end_date || range.end_date >= range.start_date);
+
+  const handleSave = () => {
+    const payload = toPayload(editor);
+    const options = { onSuccess: closeEditor };
+
+    if (editingId === 'new') {
+      create.mutate(payload, options);
+    } else {
+      update.mutate({ id: editingId, changes: payload }, options);
+    }
+  };
+
+  const handleDelete = (staffId) => {
+    remove.mutate(staffId, {
+      onSettled: () => setPendingDeleteId(null)
+    });
+    if (editingId === staffId) {
+      closeEditor();
+    }
+    if (scheduleStaffId === staffId) {
+      setScheduleStaffId('');
+    }
+  };
+
+  const setRatio = (index, field, value) => setRatioGrid(prev =>
+    prev.map((ratio, i) => (i === index ? { ...ratio, [field]: value } : ratio))
+  );
+
+  const handleSaveRatios = () => {
+    saveRatios.mutate(ratioGrid
+      .filter(ratio => ratio.trainees_per_staff || ratio.min_staff)
+      .map(ratio => ({
+        mock_type: ratio.mock_type,
+        role: ratio.role,
+        trainees_per_staff: parseInt(ratio.trainees_per_staff) || null,
+        min_staff: parseInt(ratio.min_staff) || 0
+      })));
+  };
+
+  const handleExport = async () => {
+    if (!scheduleStaffId || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const blob = await staffApi.exportSchedule(scheduleStaffId, {
+        start_date: startDate,
+        end_date: endDate || startDate
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+
+      const name = (schedule?.data?.staff?.name || 'staff').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      link.download = `staff-schedule-${name}-${startDate}-to-${endDate || startDate}.csv`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      toast.success(`✓ Exported ${schedule?.meta?.total_sessions || 0} session(s) to CSV`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error(`✗ Export Failed: ${error.message || 'Failed to export schedule'}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const scheduleSessions = schedule?.data?.sessions || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Staff</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              Manage examiners and proctors, see their schedules and set how many each session needs
+            </p>
+          </div>
+          {editingId === null && (
+            <button
+              type="button"
+              onClick={startCreate}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 shadow-sm transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              New Staff Member
+            </button>
+          )}
+        </div>
+
+        <div className="max-w-5xl mx-auto space-y-6">
+          {/* Editor */}
+          {editingId !== null && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6">
+                {editingId === 'new' ? 'New Staff Member' : 'Edit Staff Member'}
+              </h3>
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Name <span className="text-red-500">*</span>
+                  </Label>
+                  <Input
+                    value={editor.name}
+                    maxLength={100}
+                    onChange={(e) => setField('name', e.target.value)}
+                    placeholder="e.g. Dr. Jane Doe"
+                  />
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Email <span className="text-red-500">*</span>
+                  </Label>
+                  <Input
+                    type="email"
+                    value={editor.email}
+                    onChange={(e) => setField('email', e.target.value)}
+                  />
+                </div>
+
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">
+                    Roles <span className="text-red-500">*</span>
+                  </Label>
+                  <div className="mt-2 flex items-center gap-4">
+                    {Object.entries(STAFF_ROLE_LABELS).map(([role, label]) => (
+                      <div key={role} className="flex items-center space-x-2">
+                        <Checkbox
+                          id={`staff-role-${role}`}
+                          checked={editor.roles.includes(role)}
+                          onCheckedChange={() => setField('roles', toggle(editor.roles, role))}
+                        />
+                        <label htmlFor={`staff-role-${role}`} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                          {label}
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Sites (none selected = any site)</Label>
+                <div className="mt-2 flex flex-wrap gap-x-4 gap-y-2">
+                  {locationNames.map(loc => (
+                    <div key={loc} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`staff-site-${loc}`}
+                        checked={editor.sites.includes(loc)}
+                        onCheckedChange={() => setField('sites', toggle(editor.sites, loc))}
+                      />
+                      <label htmlFor={`staff-site-${loc}`} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                        {loc}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Works on (none selected = any day)</Label>
+                <div className="mt-2 flex flex-wrap gap-x-4 gap-y-2">
+                  {WEEKDAYS.map((day, index) => (
+                    <div key={day} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`staff-weekday-${index}`}
+                        checked={editor.available_weekdays.includes(index)}
+                        onCheckedChange={() => setField('available_weekdays', toggle(editor.available_weekdays, index))}
+                      />
+                      <label htmlFor={`staff-weekday-${index}`} className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                        {day}
+                      </label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mt-6">
+                <Label className="text-gray-700 dark:text-gray-300">Unavailable</Label>
+                <div className="mt-2 space-y-2">
+                  {editor.unavailable_dates.map((range, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <DatePicker value={range.start_date} onChange={(value) => setRange(index, 'start_date', value)} placeholder="From" />
+                      <DatePicker value={range.end_date || ''} onChange={(value) => setRange(index, 'end_date', value)} placeholder="To (same day)" />
+                      <Input
+                        value={range.reason || ''}
+                        maxLength={100}
+                        onChange={(e) => setRange(index, 'reason', e.target.value)}
+                        placeholder="Reason (optional)"
+                        className="flex-1"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setField('unavailable_dates', editor.unavailable_dates.filter((_, i) => i !== index))}
+                        aria-label="Remove unavailable range"
+                        className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setField('unavailable_dates', [...editor.unavailable_dates, { start_date: '', end_date: '', reason: '' }])}
+                    className="inline-flex items-center text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-1" />
+                    Add unavailable dates
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-6 grid grid-cols-1 gap-6 sm:grid-cols-3">
+                <div className="sm:col-span-2">
+                  <Label className="text-gray-700 dark:text-gray-300">Notes</Label>
+                  <Input
+                    value={editor.notes}
+                    maxLength={500}
+                    onChange={(e) => setField('notes', e.target.value)}
+                    placeholder="Optional"
+                  />
+                </div>
+                <div className="flex items-center space-x-2 sm:mt-6">
+                  <Checkbox
+                    id="staff-is-active"
+                    checked={editor.is_active}
+                    onCheckedChange={(checked) => setField('is_active', !!checked)}
+                  />
+                  <label htmlFor="staff-is-active" className="text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                    Active (can be assigned to sessions)
+                  </label>
+                </div>
+              </div>
+
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeEditor}
+                  disabled={isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!isEditorValid() || isSaving}
+                  className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                >
+                  {isSaving ? 'Saving...' : 'Save Staff Member'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Staff list */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            {staffLoading ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading staff...</div>
+            ) : staffError ? (
+              <div className="p-6 text-sm text-red-600 dark:text-red-400">
+                Failed to load staff: {staffError.message}
+              </div>
+            ) : staffList.length === 0 ? (
+              <div className="p-6 text-sm text-gray-500 dark:text-gray-400">
+                No staff yet. Add examiners and proctors to assign them to sessions.
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {staffList.map(staff => (
+                  <li key={staff.id} className="p-4 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        {staff.name}
+                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                          {(staff.roles || []).map(role => STAFF_ROLE_LABELS[role] || role).join(', ')}
+                        </span>
+                        {!staff.is_active && <span className="ml-2 text-xs font-normal text-gray-500">(inactive)</span>}
+                      </p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {staff.email} • {describeAvailability(staff)}
+                      </p>
+                      {staff.notes && (
+                        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{staff.notes}</p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center space-x-2 flex-shrink-0">
+                      {pendingDeleteId === staff.id ? (
+                        <>
+                          <span className="text-sm text-gray-600 dark:text-gray-300">Delete?</span>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(staff.id)}
+                            disabled={remove.isLoading}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                          >
+                            {remove.isLoading ? 'Deleting...' : 'Delete'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(null)}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                          >
+                            Keep
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => setScheduleStaffId(staff.id)}
+                            className="px-3 py-1.5 text-sm font-medium rounded-md text-primary-600 dark:text-primary-400 bg-primary-50 hover:bg-primary-100 dark:bg-primary-900/20 dark:hover:bg-primary-900/30"
+                          >
+                            Schedule
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => startEdit(staff)}
+                            aria-label={`Edit ${staff.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-primary-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setPendingDeleteId(staff.id)}
+                            aria-label={`Delete ${staff.name}`}
+                            className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Schedule */}
+          {scheduleStaffId && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                  Schedule{schedule?.data?.staff ? `: ${schedule.data.staff.name}` : ''}
+                </h3>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={handleExport}
+                    disabled={isExporting || scheduleSessions.length === 0}
+                    className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                    {isExporting ? 'Exporting...' : 'Export CSV'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setScheduleStaffId('')}
+                    className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 mb-6">
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">From</Label>
+                  <DatePicker value={startDate} onChange={(value) => setStartDate(value)} />
+                </div>
+                <div>
+                  <Label className="text-gray-700 dark:text-gray-300">To (up to 92 days)</Label>
+                  <DatePicker value={endDate} onChange={(value) => setEndDate(value)} placeholder="Same day" />
+                </div>
+              </div>
+
+              {scheduleLoading ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading schedule...</p>
+              ) : scheduleError ? (
+                <p className="text-sm text-red-600 dark:text-red-400">
+                  Failed to load schedule: {scheduleError.message}
+                </p>
+              ) : scheduleSessions.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No sessions assigned in this range.</p>
+              ) : (
+                <div className="space-y-2">
+                  {schedule.meta?.total_overlaps > 0 && (
+                    <div className="flex items-center text-sm text-amber-700 dark:text-amber-400">
+                      <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                      {schedule.meta.total_overlaps} overlapping session{schedule.meta.total_overlaps === 1 ? '' : 's'} in this range
+                    </div>
+                  )}
+                  <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    {groupSessionsByDate(scheduleSessions).flatMap(({ date, sessions }) =>
+                      sessions.map(session => (
+                        <li
+                          key={session.id}
+                          className={`px-4 py-2 flex items-center justify-between text-sm ${
+                            session.overlaps_with?.length > 0 ? 'bg-amber-50 dark:bg-amber-900/20' : ''
+                          }`}
+                        >
+                          <span className="text-gray-700 dark:text-gray-300">
+                            {date} • {formatRoomTime(session.start_time)} - {formatRoomTime(session.end_time)} •{' '}
+                            <Link
+                              to={`/mock-exams/${session.id}`}
+                              className="font-medium text-primary-600 dark:text-primary-400 hover:underline"
+                            >
+                              {session.mock_type}{session.mock_set ? ` (Set ${session.mock_set})` : ''}
+                            </Link>
+                            {' '}• {session.location}
+                          </span>
+                          <span className="flex items-center gap-3 text-xs">
+                            {session.overlaps_with?.length > 0 && (
+                              <span className="font-medium text-amber-700 dark:text-amber-400">Overlaps</span>
+                            )}
+                            <span className="text-gray-500 dark:text-gray-400">
+                              {STAFF_ROLE_LABELS[session.role] || session.role}
+                            </span>
+                          </span>
+                        </li>
+                      ))
+                    )}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Staffing ratios */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Staffing Ratios</h3>
+            <p className="mt-1 mb-4 text-sm text-gray-500 dark:text-gray-400">
+              A session needs the larger of the minimum and one staff member per N booked trainees.
+              Leave both empty when a role isn't needed.
+            </p>
+            {ratiosLoading ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Loading ratios...</p>
+            ) : (
+              <>
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                  <thead>
+                    <tr>
+                      <th className="py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Mock Type</th>
+                      <th className="py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Role</th>
+                      <th className="py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Trainees per staff</th>
+                      <th className="py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Minimum</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                    {ratioGrid.map((ratio, index) => (
+                      <tr key={`${ratio.mock_type}-${ratio.role}`}>
+                        <td className="py-2 pr-4 text-sm text-gray-900 dark:text-gray-100">{ratio.mock_type}</td>
+                        <td className="py-2 pr-4 text-sm text-gray-700 dark:text-gray-300">{STAFF_ROLE_LABELS[ratio.role]}</td>
+                        <td className="py-2 pr-4">
+                          <Input
+                            type="number"
+                            min="1"
+                            max="100"
+                            value={ratio.trainees_per_staff}
+                            onChange={(e) => setRatio(index, 'trainees_per_staff', parseInt(e.target.value) || '')}
+                            className="w-28"
+                            aria-label={`${ratio.mock_type} trainees per ${ratio.role}`}
+                          />
+                        </td>
+                        <td className="py-2">
+                          <Input
+                            type="number"
+                            min="0"
+                            max="20"
+                            value={ratio.min_staff}
+                            onChange={(e) => setRatio(index, 'min_staff', parseInt(e.target.value) || '')}
+                            className="w-24"
+                            aria-label={`${ratio.mock_type} minimum ${ratio.role}s`}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-4 flex justify-end">
+                  <button
+                    type="button"
+                    onClick={handleSaveRatios}
+                    disabled={saveRatios.isLoading}
+                    className="inline-flex items-center px-5 py-2.5 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-sm transition-colors"
+                  >
+                    {saveRatios.isLoading ? 'Saving...' : 'Save Ratios'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Staff;
@@ -3,6 +3,7 @@ import { useQuery } from '@tanstack/react-query';
 import { Search } from 'lucide-react';
 import TraineeInfoCard from '../components/admin/TraineeInfoCard';
 import BookingsSection from '../components/admin/BookingsSection';
+import TokenHistorySection from '../components/admin/TokenHistorySection';
 import EmptyState from '../components/shared/EmptyState';
 import { traineeApi } from '../services/adminApi';
 import { Button } from '../components/ui/button';
@@ -11,6 +12,7 @@ import { Input } from '../components/ui/input';
 function TraineeDashboard() {
   const [searchTerm, setSearchTerm] = useState('');
   const [submittedSearch, setSubmittedSearch] = useState('');
+  const [activeTab, setActiveTab] = useState('bookings');
 
   // Handle search form submission
   const handleSearch = (e) => {
@@ -149,17 +151,48 @@ function TraineeDashboard() {
         {trainee && (
           <>
             {/* Trainee Information Card */}
-            <TraineeInfoCard trainee={trainee} searchQuery={submittedSearch} />
+            <TraineeInfoCard
+              trainee={trainee}
+              searchQuery={submittedSearch}
+              setHistory={bookingsSummary?.set_history}
+            />
+
+            {/* Tabs */}
+            <div className="flex gap-6 border-b border-gray-200 dark:border-gray-700">
+              {[
+                { id: 'bookings', label: 'Bookings' },
+                { id: 'token-history', label: 'Token history' }
+              ].map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`pb-2 text-sm font-medium border-b-2 -mb-px ${
+                    activeTab === tab.id
+                      ? 'border-primary-600 text-primary-600 dark:text-primary-400 dark:border-primary-400'
+                      : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
 
             {/* Bookings Section */}
-            <BookingsSection
-              bookings={bookings}
-              summary={bookingsSummary}
-              loading={isLoadingBookings}
-              error={bookingsError}
-              onRefresh={refetchBookings}
-              contactId={contactId}
-            />
+            {activeTab === 'bookings' && (
+              <BookingsSection
+                bookings={bookings}
+                summary={bookingsSummary}
+                loading={isLoadingBookings}
+                error={bookingsError}
+                onRefresh={refetchBookings}
+                contactId={contactId}
+              />
+            )}
+
+            {/* Token History Section */}
+            {activeTab === 'token-history' && (
+              <TokenHistorySection contactId={contactId} />
+            )}
           </>
         )}
       </div>
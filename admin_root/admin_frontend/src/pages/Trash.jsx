@@ -0,0 +1,275 @@
+/**
+ * Trash Page
+ * Mock exam sessions that were deleted (single, mass or series delete) and can
+ * still be restored. Sessions are purged for good once their retention window
+ * ends; they can also be deleted permanently from here.
+ *
+ * Restoring puts back the session's status, its Supabase copy and its
+ * prerequisite links.
+ */
+
+import { useState } from 'react';
+import { formatDateShort } from '../utils/dateUtils';
+import { formatRoomTime } from '../utils/rooms';
+import { formatAuditTimestamp } from '../hooks/useAuditLog';
+import { TRASH_PAGE_SIZE, daysUntilPurge, useTrash, useTrashMutations } from '../hooks/useTrash';
+
+const describeDaysLeft = (days) => {
+  if (days === null) return '—';
+  if (days === 0) return 'Purged today';
+  return `${days} day${days !== 1 ? 's' : ''} left`;
+};
+
+function Trash() {
+  const [offset, setOffset] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [confirmingPurge, setConfirmingPurge] = useState(false);
+
+  const { data, isLoading, isFetching, error } = useTrash(offset);
+  const { restore, purge } = useTrashMutations();
+
+  const entries = data?.data || [];
+  const pagination = data?.pagination || { total: 0, has_more: false };
+  const retentionDays = data?.retention_days;
+
+  const allSelected = entries.length > 0 && entries.every(entry => selectedIds.includes(entry.mock_exam_id));
+  const isBusy = restore.isPending || purge.isPending;
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]);
+    setConfirmingPurge(false);
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : entries.map(entry => entry.mock_exam_id));
+    setConfirmingPurge(false);
+  };
+
+  const changePage = (nextOffset) => {
+    setOffset(nextOffset);
+    setSelectedIds([]);
+    setConfirmingPurge(false);
+  };
+
+  const handleRestore = (ids) => {
+    restore.mutate(ids, {
+      onSuccess: () => setSelectedIds(prev => prev.filter(id => !ids.includes(id)))
+    });
+  };
+
+  const handlePurge = () => {
+    purge.mutate(selectedIds, {
+      onSettled: () => {
+        setSelectedIds([]);
+        setConfirmingPurge(false);
+      }
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <div className="mb-8">
+          <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Trash</h1>
+          <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+            Deleted sessions are hidden from students and dashboards
+            {retentionDays ? ` and can be restored for ${retentionDays} days` : ' and can be restored until they are purged'}
+          </p>
+        </div>
+
+        <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex flex-wrap gap-3 justify-between items-center">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              Deleted sessions ({pagination.total})
+              {isFetching && !isLoading && (
+                <span className="ml-3 text-xs font-normal text-gray-500 dark:text-gray-400">Updating…</span>
+              )}
+            </h2>
+
+            {selectedIds.length > 0 && (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-600 dark:text-gray-300">{selectedIds.length} selected</span>
+                <button
+                  type="button"
+                  onClick={() => handleRestore(selectedIds)}
+                  disabled={isBusy}
+                  className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {restore.isPending ? 'Restoring...' : 'Restore'}
+                </button>
+                {confirmingPurge ? (
+                  <>
+                    <span className="text-sm text-red-700 dark:text-red-400">Delete permanently? This cannot be undone.</span>
+                    <button
+                      type="button"
+                      onClick={handlePurge}
+                      disabled={isBusy}
+                      className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {purge.isPending ? 'Deleting...' : 'Delete'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setConfirmingPurge(false)}
+                      className="px-3 py-1.5 text-sm font-medium rounded-md text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      Keep
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setConfirmingPurge(true)}
+                    disabled={isBusy}
+                    className="px-3 py-1.5 text-sm font-medium rounded-md text-red-600 dark:text-red-400 border border-red-300 dark:border-red-700 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                  >
+                    Delete permanently
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="p-6">
+            {isLoading && (
+              <div className="animate-pulse">
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full mb-4"></div>
+                <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-full"></div>
+              </div>
+            )}
+
+            {error && !isLoading && (
+              <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+                <p className="text-sm text-red-800 dark:text-red-300">
+                  {error.response?.data?.error?.message || error.message || 'Failed to load trash'}
+                </p>
+              </div>
+            )}
+
+            {!isLoading && !error && entries.length === 0 && (
+              <div className="flex items-center justify-center py-16 min-h-[200px]">
+                <p className="text-gray-500 dark:text-gray-400">The trash is empty</p>
+              </div>
+            )}
+
+            {!isLoading && !error && entries.length > 0 && (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                    <thead>
+                      <tr>
+                        <th className="px-4 py-2 text-left">
+                          <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={toggleAll}
+                            aria-label="Select all sessions"
+                            className="rounded border-gray-300 dark:border-gray-600"
+                          />
+                        </th>
+                        {['Session', 'Date & Time', 'Location', 'Deleted', 'Purge', ''].map(heading => (
+                          <th
+                            key={heading}
+                            className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                      {entries.map((entry) => {
+                        const properties = entry.properties || {};
+                        const daysLeft = daysUntilPurge(entry.purge_after);
+
+                        return (
+                          <tr key={entry.mock_exam_id} className="align-top">
+                            <td className="px-4 py-2">
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.includes(entry.mock_exam_id)}
+                                onChange={() => toggleSelected(entry.mock_exam_id)}
+                                aria-label={`Select session ${entry.mock_exam_id}`}
+                                className="rounded border-gray-300 dark:border-gray-600"
+                              />
+                            </td>
+                            <td className="px-4 py-2 text-sm">
+                              <span className="block font-medium text-gray-900 dark:text-gray-100">
+                                {properties.mock_exam_name || properties.mock_type || 'Mock exam'}
+                              </span>
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">{entry.mock_exam_id}</span>
+                              {entry.required_by_exam_ids?.length > 0 && (
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                  Prerequisite of {entry.required_by_exam_ids.length} exam{entry.required_by_exam_ids.length !== 1 ? 's' : ''}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                              {formatDateShort(properties.exam_date)}
+                              {properties.start_time && (
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                  {formatRoomTime(properties.start_time)} – {formatRoomTime(properties.end_time)}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                              {properties.location || '—'}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                              {formatAuditTimestamp(entry.deleted_at)}
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">{entry.deleted_by || 'Unknown'}</span>
+                            </td>
+                            <td className={`px-4 py-2 text-sm whitespace-nowrap ${daysLeft !== null && daysLeft <= 3 ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-700 dark:text-gray-300'}`}>
+                              {describeDaysLeft(daysLeft)}
+                            </td>
+                            <td className="px-4 py-2 text-right">
+                              <button
+                                type="button"
+                                onClick={() => handleRestore([entry.mock_exam_id])}
+                                disabled={isBusy}
+                                className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+                              >
+                                Restore
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                {(offset > 0 || pagination.has_more) && (
+                  <div className="flex justify-between items-center mt-4">
+                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                      {offset + 1}–{offset + entries.length} of {pagination.total}
+                    </span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => changePage(Math.max(0, offset - TRASH_PAGE_SIZE))}
+                        disabled={offset === 0}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => changePage(offset + TRASH_PAGE_SIZE)}
+                        disabled={!pagination.has_more}
+                        className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Trash;
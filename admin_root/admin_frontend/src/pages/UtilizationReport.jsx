@@ -0,0 +1,330 @@
+/**
+ * UtilizationReport Page
+ * Sessions, capacity, bookings, cancellations and fill rate per week or month,
+ * compared with the range of the same length just before it
+ *
+ * The series can be split by location or mock type, and downloaded as CSV
+ * with the filters applied.
+ */
+
+import { useState } from 'react';
+import { ArrowDownTrayIcon, ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import ReportsNav from '../components/admin/ReportsNav';
+import { UtilizationChart, GroupFillRateChart } from '../components/admin/UtilizationCharts';
+import { MOCK_TYPE_OPTIONS } from '../constants/examConstants';
+import { formatDateShort } from '../utils/dateUtils';
+import { useLocationOptions } from '../hooks/useLocations';
+import { useDebounce } from '../hooks/useDebounce';
+import { useUtilizationReport, useReportExport } from '../hooks/useReports';
+
+const EMPTY_FILTERS = {
+  start_date: '',
+  end_date: '',
+  mock_type: '',
+  location: '',
+  interval: 'week',
+  group_by: 'none',
+  compare: true
+};
+
+const GROUP_BY_LABELS = {
+  location: 'Location',
+  mock_type: 'Mock Type'
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const selectClassName = 'mt-1 w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300';
+const exportButtonClassName = 'inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50';
+
+/**
+ * Change from the previous period, green when it's good news
+ * @param {number|null} value - Percent change, or points for rates
+ * @param {string} unit - '%' or ' pts'
+ * @param {boolean} lowerIsBetter - e.g. cancellations
+ */
+function Change({ value, unit = '%', lowerIsBetter = false }) {
+  if (value === null || value === undefined) {
+    return <span className="text-xs text-gray-400 dark:text-gray-500">—</span>;
+  }
+  if (value === 0) {
+    return <span className="text-xs text-gray-500 dark:text-gray-400">No change</span>;
+  }
+
+  const good = lowerIsBetter ? value < 0 : value > 0;
+  const Icon = value > 0 ? ArrowUpIcon : ArrowDownIcon;
+
+  return (
+    <span className={`inline-flex items-center text-xs font-medium ${good ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+      <Icon className="h-3 w-3 mr-0.5" />
+      {Math.abs(value)}{unit}
+    </span>
+  );
+}
+
+function SeriesTable({ series, interval, formatPeriod }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead>
+          <tr>
+            {[interval === 'month' ? 'Month' : 'Week Of', 'Sessions', 'Capacity', 'Bookings', 'Full', 'Cancellations', 'Fill Rate', 'Cancel Rate', 'vs Prior'].map(heading => (
+              <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                {heading}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {series.map(point => (
+            <tr key={point.period_start}>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-gray-100 whitespace-nowrap">{formatPeriod(point.period_start)}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{point.sessions}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{point.capacity}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{point.bookings}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{point.full_sessions}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{point.cancellations}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{formatRate(point.fill_rate)}</td>
+              <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{formatRate(point.cancellation_rate)}</td>
+              <td className="px-4 py-2 text-sm">
+                <Change value={point.change?.fill_rate_points} unit=" pts" />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function UtilizationReport() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const { locationNames } = useLocationOptions({ includeInactive: true });
+  const debouncedFilters = useDebounce(filters, 400);
+
+  const utilization = useUtilizationReport(debouncedFilters);
+  const { exportCsv, exporting } = useReportExport();
+
+  const report = utilization.data?.data;
+  const meta = utilization.data?.meta;
+  const summary = report?.summary;
+  const comparison = report?.comparison;
+  const rangeLabel = meta ? `${meta.start_date}-to-${meta.end_date}` : 'report';
+
+  const formatPeriod = (period) => (report?.interval === 'month' ? period.slice(0, 7) : formatDateShort(period));
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const cards = [
+    { label: 'Sessions', value: summary?.sessions, change: comparison?.sessions },
+    { label: 'Seats Booked', value: summary ? `${summary.bookings} / ${summary.capacity}` : undefined, change: comparison?.bookings },
+    { label: 'Fill Rate', value: formatRate(summary?.fill_rate), change: comparison?.fill_rate_points, unit: ' pts' },
+    {
+      label: 'Cancellations',
+      value: summary ? `${summary.cancellations} (${formatRate(summary.cancellation_rate)})` : undefined,
+      change: comparison?.cancellations,
+      lowerIsBetter: true
+    }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
+      <div className="container-app py-8">
+        <ReportsNav />
+
+        <div className="mb-8 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="font-headline text-3xl font-bold text-navy-900 dark:text-gray-100">Utilization Report</h1>
+            <p className="mt-2 font-body text-base text-gray-600 dark:text-gray-300">
+              {meta
+                ? `Sessions from ${formatDateShort(meta.start_date)} to ${formatDateShort(meta.end_date)}`
+                : 'Capacity, bookings and cancellations over time'}
+              {meta?.previous_start_date && (
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {` · compared with ${formatDateShort(meta.previous_start_date)} to ${formatDateShort(meta.previous_end_date)}`}
+                </span>
+              )}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => exportCsv('utilization', debouncedFilters, `utilization-report-${rangeLabel}.csv`)}
+            disabled={!!exporting || !report}
+            className={exportButtonClassName}
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1.5" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 mb-6">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-6">
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">From</Label>
+              <Input
+                type="date"
+                value={filters.start_date}
+                onChange={(e) => setFilter('start_date', e.target.value)}
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">To</Label>
+              <Input
+                type="date"
+                value={filters.end_date}
+                min={filters.start_date || undefined}
+                onChange={(e) => setFilter('end_date', e.target.value)}
+              />
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Mock Type</Label>
+              <select
+                value={filters.mock_type}
+                onChange={(e) => setFilter('mock_type', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">All mock types</option>
+                {MOCK_TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Location</Label>
+              <select
+                value={filters.location}
+                onChange={(e) => setFilter('location', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">All locations</option>
+                {locationNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Trend By</Label>
+              <select
+                value={filters.interval}
+                onChange={(e) => setFilter('interval', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="week">Week</option>
+                <option value="month">Month</option>
+              </select>
+            </div>
+
+            <div>
+              <Label className="text-gray-700 dark:text-gray-300">Split By</Label>
+              <select
+                value={filters.group_by}
+                onChange={(e) => setFilter('group_by', e.target.value)}
+                className={selectClassName}
+              >
+                <option value="none">Nothing</option>
+                <option value="location">Location</option>
+                <option value="mock_type">Mock Type</option>
+              </select>
+            </div>
+          </div>
+
+          <label className="mt-4 flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={filters.compare}
+              onChange={(e) => setFilter('compare', e.target.checked)}
+              className="rounded border-gray-300 dark:border-gray-600"
+            />
+            Compare with the previous period
+          </label>
+        </div>
+
+        {utilization.error && (
+          <div className="mb-6 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4">
+            <p className="text-sm text-red-800 dark:text-red-300">
+              {utilization.error.message || 'Failed to load utilization report'}
+            </p>
+          </div>
+        )}
+
+        {/* Summary with the previous period comparison */}
+        <div className="grid grid-cols-2 gap-4 lg:grid-cols-4 mb-6">
+          {cards.map(card => (
+            <div key={card.label} className="bg-white dark:bg-dark-card rounded-lg shadow-sm p-5">
+              <p className="text-sm text-gray-500 dark:text-gray-400">{card.label}</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900 dark:text-gray-100">
+                {utilization.isLoading ? '…' : (card.value ?? '—')}
+              </p>
+              {comparison && (
+                <p className="mt-1 flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400">
+                  <Change value={card.change} unit={card.unit} lowerIsBetter={card.lowerIsBetter} />
+                  <span>vs previous period</span>
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {report && (
+          <>
+            {/* Trend */}
+            <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mb-6">
+              <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  Trend by {report.interval === 'month' ? 'Month' : 'Week'}
+                </h3>
+              </div>
+              {summary.sessions === 0 ? (
+                <p className="px-6 py-6 text-sm text-gray-500 dark:text-gray-400">No sessions in this range</p>
+              ) : (
+                <>
+                  <div className="px-6 py-4">
+                    <UtilizationChart series={report.series} formatPeriod={formatPeriod} />
+                  </div>
+                  <SeriesTable series={report.series} interval={report.interval} formatPeriod={formatPeriod} />
+                </>
+              )}
+            </div>
+
+            {/* Per group */}
+            {report.groups.length > 0 && (
+              <>
+                <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm mb-6">
+                  <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700">
+                    <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                      Fill Rate by {GROUP_BY_LABELS[report.group_by]}
+                    </h3>
+                  </div>
+                  <div className="px-6 py-4">
+                    <GroupFillRateChart groups={report.groups} formatPeriod={formatPeriod} />
+                  </div>
+                </div>
+
+                {report.groups.map(group => (
+                  <div key={group.key} className="bg-white dark:bg-dark-card rounded-lg shadow-sm mb-6">
+                    <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700 flex flex-wrap justify-between gap-2">
+                      <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">{group.key}</h3>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {group.summary.sessions} session{group.summary.sessions !== 1 ? 's' : ''}, {formatRate(group.summary.fill_rate)} filled, {group.summary.cancellations} cancellation{group.summary.cancellations !== 1 ? 's' : ''}
+                      </span>
+                    </div>
+                    <SeriesTable series={group.series} interval={report.interval} formatPeriod={formatPeriod} />
+                  </div>
+                ))}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UtilizationReport;
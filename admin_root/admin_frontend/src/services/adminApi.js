@@ -71,7 +71,17 @@ api.interceptors.response.use(
       const errorData = error.response.data;
       const message = errorData?.error?.message || errorData?.message || 'An error occurred';
 
-      throw new Error(message);
+      const apiError = new Error(message);
+      apiError.code = errorData?.error?.code;
+      // Structured TIME_CONFLICT details (lets callers offer an override)
+      if (errorData?.error?.conflicts) {
+        apiError.conflicts = errorData.error.conflicts;
+      }
+      // Structured MOCK_SET_REPEAT details (lets callers offer an override)
+      if (errorData?.error?.set_repeat) {
+        apiError.setRepeat = errorData.error.set_repeat;
+      }
+      throw apiError;
     } else if (error.request) {
       // Request made but no response
       throw new Error('No response from server. Please check your connection.');
@@ -101,13 +111,15 @@ export const mockExamsApi = {
    * @param {Object} commonProperties - Properties shared across all exams
    * @param {Array} timeSlots - Array of {start_time, end_time, capacity?} objects
    * @param {string} capacityMode - Either 'global' or 'per-slot'
+   * @param {Object} options - { allowRoomOverlap } to create even if the room is already in use
    * @returns {Promise<Object>} Bulk creation results
    */
-  createBulk: async (commonProperties, timeSlots, capacityMode = 'global') => {
+  createBulk: async (commonProperties, timeSlots, capacityMode = 'global', { allowRoomOverlap = false } = {}) => {
     const response = await api.post('/admin/mock-exams/bulk-create', {
       commonProperties,
       timeSlots,
-      capacityMode
+      capacityMode,
+      ...(allowRoomOverlap && { allow_room_overlap: true })
     });
     return response.data;
   },
@@ -197,7 +209,7 @@ export const mockExamsApi = {
   /**
    * Cancel multiple bookings for a mock exam with optional token refund
    * @param {string} id - Mock exam ID
-   * @param {Object} requestBody - Request body with bookings array and refundTokens flag
+   * @param {Object} requestBody - Request body with bookings array, refundTokens flag and refundPolicy ('full' | 'policy')
    * @returns {Promise<Object>} Cancellation results
    */
   cancelBookings: async (id, requestBody) => {
@@ -294,6 +306,97 @@ export const mockExamsApi = {
     }
     const response = await api.post('/admin/bookings/create', bookingData);
     return response.data;
+  },
+
+  /**
+   * Get the waitlist for a mock exam (waiting queue plus recent history)
+   * @param {string} id - Mock exam ID
+   * @returns {Promise<Object>} Waiting entries in queue order and history
+   */
+  getWaitlist: async (id) => {
+    const response = await api.get(`/admin/mock-exams/${id}/waitlist`);
+    return response.data;
+  },
+
+  /**
+   * Reorder the waiting entries of a mock exam's waitlist
+   * @param {string} id - Mock exam ID
+   * @param {Array<string>} entryIds - Waiting entry IDs in the new queue order
+   * @returns {Promise<Object>} Reordered waiting entries
+   */
+  reorderWaitlist: async (id, entryIds) => {
+    const response = await api.patch(`/admin/mock-exams/${id}/waitlist`, {
+      entry_ids: entryIds
+    });
+    return response.data;
+  },
+
+  /**
+   * Remove a student from a mock exam's waitlist
+   * @param {string} id - Mock exam ID
+   * @param {string} entryId - Waitlist entry ID
+   * @returns {Promise<Object>} Removed entry
+   */
+  removeWaitlistEntry: async (id, entryId) => {
+    const response = await api.delete(`/admin/mock-exams/${id}/waitlist`, {
+      params: { entry_id: entryId }
+    });
+    return response.data;
+  },
+
+  /**
+   * Fill any free seats from the waitlist now
+   * @param {string} id - Mock exam ID
+   * @returns {Promise<Object>} Promotion result (promoted, skipped, deferred)
+   */
+  promoteWaitlist: async (id) => {
+    const response = await api.post(`/admin/mock-exams/${id}/waitlist`);
+    return response.data;
+  },
+
+  /**
+   * Create a recurring series of mock exams
+   * @param {Object} seriesData - {name?, commonProperties, timeSlots, capacityMode, recurrence}
+   * @returns {Promise<Object>} Created series, sessions and skipped dates
+   */
+  createSeries: async (seriesData) => {
+    const response = await api.post('/admin/mock-exams/create-series', seriesData);
+    return response.data;
+  },
+
+  /**
+   * Get a recurring series and its sessions
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object>} Series definition and sessions in date order
+   */
+  getSeries: async (seriesId) => {
+    const response = await api.get(`/admin/mock-exams/series/${seriesId}`);
+    return response.data;
+  },
+
+  /**
+   * Edit, reschedule, activate or deactivate sessions of a series
+   * @param {string} seriesId - Series ID
+   * @param {Object} update - {scope: 'this'|'following'|'all', anchor_id, changes}
+   * @returns {Promise<Object>} Update summary and per-session results
+   */
+  updateSeries: async (seriesId, update) => {
+    const response = await api.patch(`/admin/mock-exams/series/${seriesId}`, update);
+    return response.data;
+  },
+
+  /**
+   * Delete sessions of a series
+   * @param {string} seriesId - Series ID
+   * @param {string} scope - 'this' | 'following' | 'all'
+   * @param {string} [anchorId] - Session the action was started from
+   * @returns {Promise<Object>} Delete summary and per-session results
+   */
+  deleteSeries: async (seriesId, scope, anchorId) => {
+    const response = await api.delete(`/admin/mock-exams/series/${seriesId}`, {
+      params: { scope, anchor_id: anchorId }
+    });
+    return response.data;
   }
 };
 /**
@@ -331,6 +434,20 @@ export const traineeApi = {
     return response.data;
   },
 
+  /**
+   * Get the credit ledger for a specific trainee (with ledger/balance consistency check)
+   * @param {string} contactId - HubSpot contact ID
+   * @param {Object} params - { credit_field, limit, offset }
+   * @returns {Promise<Object>} { entries, consistency } and pagination
+   */
+  getTokenHistory: async (contactId, params = {}) => {
+    if (!contactId) {
+      throw new Error('Contact ID is required');
+    }
+    const response = await api.get(`/admin/trainees/${contactId}/token-history`, { params });
+    return response.data;
+  },
+
   /**
    * Batch cancel multiple bookings (admin-authenticated)
    * @param {Array} bookings - Array of booking objects with id, student_id, email, reason
@@ -339,7 +456,7 @@ export const traineeApi = {
   /**
    * Update token balances for a specific trainee
    * @param {string} contactId - HubSpot contact ID
-   * @param {Object} tokens - Token balances to update
+   * @param {Object} tokens - Token balances to update (plus optional expires_at for added tokens)
    * @returns {Promise<Object>} Update result with new token values
    */
   updateTokens: async (contactId, tokens) => {
@@ -350,10 +467,13 @@ export const traineeApi = {
       throw new Error('Token data is required');
     }
 
+    // expires_at (optional) applies to the tokens this edit adds
+    const { expires_at, ...balances } = tokens;
+
     // Note: Authentication token is automatically added by axios interceptor
     const response = await api.patch(
       `/admin/trainees/${contactId}/tokens`,
-      { tokens }
+      expires_at ? { tokens: balances, expires_at } : { tokens }
     );
 
     if (!response.data.success) {
@@ -363,13 +483,14 @@ export const traineeApi = {
     return response.data;
   },
 
-  batchCancelBookings: async (bookings, refundTokens = true) => {
+  batchCancelBookings: async (bookings, refundTokens = true, refundPolicy = 'full') => {
     if (!bookings || bookings.length === 0) {
       throw new Error('Bookings array is required');
     }
     const response = await api.post('/bookings/batch-cancel', {
       bookings,
-      refundTokens
+      refundTokens,
+      refundPolicy
     });
     return response.data;
   },
@@ -411,9 +532,11 @@ export const traineeApi = {
    *
    * @param {string} bookingId - Booking UUID or HubSpot ID
    * @param {string} newMockExamId - Target exam HubSpot ID
+   * @param {Object} [options]
+   * @param {boolean} [options.overrideSetRepeat] - Rebook even if the trainee has seen the exam set
    * @returns {Promise<Object>} Response with updated booking data
    */
-  rebookBooking: async (bookingId, newMockExamId) => {
+  rebookBooking: async (bookingId, newMockExamId, { overrideSetRepeat = false } = {}) => {
     if (!bookingId) {
       throw new Error('Booking ID is required');
     }
@@ -422,7 +545,8 @@ export const traineeApi = {
     }
     const response = await api.patch('/bookings/rebook', {
       booking_id: bookingId,
-      new_mock_exam_id: newMockExamId
+      new_mock_exam_id: newMockExamId,
+      ...(overrideSetRepeat && { override_set_repeat: true })
     });
     return response.data.data;
   }
@@ -458,20 +582,522 @@ export const bulkMockExamsApi = {
   /**
    * Preview/validate bulk mock exams from CSV data without creating them
    * @param {string} csvData - CSV string with required columns
+   * @param {string} [templateId] - Session template that fills blank columns
    * @returns {Promise<Object>} Validation result with valid_rows and invalid_rows
    */
-  previewFromCSV: async (csvData) => {
-    const response = await api.post('/admin/mock-exams/bulk-create-csv?preview=true', { csv_data: csvData });
+  previewFromCSV: async (csvData, templateId) => {
+    const response = await api.post('/admin/mock-exams/bulk-create-csv?preview=true', {
+      csv_data: csvData,
+      ...(templateId && { template_id: templateId })
+    });
     return response.data;
   },
 
   /**
    * Create multiple mock exams from CSV data
    * @param {string} csvData - CSV string with required columns
+   * @param {string} [templateId] - Session template that fills blank columns
    * @returns {Promise<Object>} Result with created exams and skipped rows
    */
-  createFromCSV: async (csvData) => {
-    const response = await api.post('/admin/mock-exams/bulk-create-csv', { csv_data: csvData });
+  createFromCSV: async (csvData, templateId) => {
+    const response = await api.post('/admin/mock-exams/bulk-create-csv', {
+      csv_data: csvData,
+      ...(templateId && { template_id: templateId })
+    });
+    return response.data;
+  }
+};
+
+/**
+ * Session Templates API endpoints
+ * Named session configurations reused by the create flows, CSV import and clone
+ */
+export const sessionTemplatesApi = {
+  /**
+   * List all session templates
+   * @returns {Promise<Object>} Templates sorted by name
+   */
+  list: async () => {
+    const response = await api.get('/admin/session-templates');
+    return response.data;
+  },
+
+  /**
+   * Create a session template
+   * @param {Object} template - Template fields (name, mock_type, location, time_slots, ...)
+   * @returns {Promise<Object>} Created template
+   */
+  create: async (template) => {
+    const response = await api.post('/admin/session-templates', template);
+    return response.data;
+  },
+
+  /**
+   * Update a session template
+   * @param {string} id - Template ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated template
+   */
+  update: async (id, changes) => {
+    const response = await api.patch(`/admin/session-templates/${id}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Delete a session template
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/admin/session-templates/${id}`);
+    return response.data;
+  }
+};
+
+/**
+ * Locations API endpoints
+ * Admin-managed catalog of exam sites (name, address, time zone, directions)
+ */
+export const locationsApi = {
+  /**
+   * List locations
+   * @param {Object} params - { include_inactive }
+   * @returns {Promise<Object>} Locations in display order (meta.using_defaults while none are saved)
+   */
+  list: async (params = {}) => {
+    const response = await api.get('/admin/locations', { params });
+    return response.data;
+  },
+
+  /**
+   * Create a location
+   * @param {Object} location - Location fields (name, address, time_zone, directions, ...)
+   * @returns {Promise<Object>} Created location
+   */
+  create: async (location) => {
+    const response = await api.post('/admin/locations', location);
+    return response.data;
+  },
+
+  /**
+   * Update a location (the name cannot change)
+   * @param {string} id - Location ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated location
+   */
+  update: async (id, changes) => {
+    const response = await api.patch(`/admin/locations/${id}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Delete a location that no session or room uses
+   * @param {string} id - Location ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/admin/locations/${id}`);
+    return response.data;
+  }
+};
+
+/**
+ * Audit Log API endpoints
+ * Who created, edited, toggled, cloned or deleted each mock exam, with field-level changes
+ */
+export const auditLogApi = {
+  /**
+   * List audit entries across all mock exams, newest first
+   * @param {Object} params - { mock_exam_id, action, actor, request_id, date_from, date_to, limit, offset }
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  list: async (params = {}) => {
+    const response = await api.get('/admin/audit-log', { params });
+    return response.data;
+  },
+
+  /**
+   * Audit entries of one mock exam, newest first
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} params - { action, limit, offset }
+   * @returns {Promise<Object>} { mock_exam_id, entries } and pagination
+   */
+  getExamHistory: async (mockExamId, params = {}) => {
+    if (!mockExamId) {
+      throw new Error('Mock exam ID is required');
+    }
+    const response = await api.get(`/admin/mock-exams/${mockExamId}/history`, { params });
+    return response.data;
+  }
+};
+
+/**
+ * Mock Exam Trash API
+ * Deleted sessions can be restored until their retention window ends
+ */
+export const trashApi = {
+  /**
+   * List trashed sessions, most recently deleted first
+   * @param {Object} params - { limit, offset }
+   * @returns {Promise<Object>} Trash entries, retention_days and pagination
+   */
+  list: async (params = {}) => {
+    const response = await api.get('/admin/mock-exams/trash', { params });
+    return response.data;
+  },
+
+  /**
+   * Restore sessions from the trash
+   * @param {Array<string>} ids - Mock exam IDs
+   * @returns {Promise<Object>} { restored, failed }
+   */
+  restore: async (ids) => {
+    const response = await api.post('/admin/mock-exams/trash/restore', { ids });
+    return response.data;
+  },
+
+  /**
+   * Permanently delete sessions from the trash
+   * @param {Array<string>} ids - Mock exam IDs
+   * @returns {Promise<Object>} { purged, failed }
+   */
+  purge: async (ids) => {
+    const response = await api.post('/admin/mock-exams/trash/purge', { ids });
+    return response.data;
+  }
+};
+
+/**
+ * Reports API endpoints
+ * Attendance, no-show and utilization analytics
+ */
+export const reportsApi = {
+  /**
+   * Attendance rates by mock type, location, weekday and time slot, with the trend
+   * @param {Object} params - { start_date, end_date, mock_type, location, interval }
+   * @returns {Promise<Object>} Report and meta (range, truncated)
+   */
+  getAttendance: async (params = {}) => {
+    const response = await api.get('/admin/reports/attendance', { params });
+    return response.data;
+  },
+
+  /**
+   * No-shows per trainee and the chronic no-show list
+   * @param {Object} params - { start_date, end_date, mock_type, location, min_no_shows, min_no_show_rate }
+   * @returns {Promise<Object>} Trainees, chronic no-shows and meta
+   */
+  getNoShows: async (params = {}) => {
+    const response = await api.get('/admin/reports/no-shows', { params });
+    return response.data;
+  },
+
+  /**
+   * Sessions, capacity, bookings, cancellations and fill rate per week or month
+   * @param {Object} params - { start_date, end_date, mock_type, location, interval, group_by, compare }
+   * @returns {Promise<Object>} Report (series, groups, comparison) and meta
+   */
+  getUtilization: async (params = {}) => {
+    const response = await api.get('/admin/reports/utilization', { params });
+    return response.data;
+  },
+
+  /**
+   * Download a report as CSV
+   * @param {'attendance'|'no-shows'|'utilization'} report - Report endpoint
+   * @param {Object} params - Same filters as the JSON report (plus chronic_only for no-shows)
+   * @returns {Promise<Blob>} CSV file
+   */
+  exportCsv: async (report, params = {}) => {
+    const response = await api.get(`/admin/reports/${report}`, {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+};
+
+/**
+ * Request a file export, keeping the server's error message (blob error bodies
+ * aren't parsed by the response interceptor)
+ * @returns {Promise<{blob: Blob, filename: string|null}>}
+ */
+const downloadExport = async (url, params) => {
+  const response = await api.get(url, {
+    params,
+    responseType: 'blob',
+    validateStatus: () => true
+  });
+
+  if (response.status >= 400) {
+    let message = 'Export failed';
+    try {
+      const errorData = JSON.parse(await response.data.text());
+      message = errorData?.error?.message || message;
+    } catch {
+      // Not JSON - keep the generic message
+    }
+    throw new Error(message);
+  }
+
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || null;
+
+  return { blob: response.data, filename };
+};
+
+/**
+ * Exports API endpoints
+ * Server-generated CSV / XLSX files read straight from Supabase, and PDF sign-in sheets
+ */
+export const exportsApi = {
+  /**
+   * Session rosters, or every booking in a date range
+   * @param {Object} params - { exam_ids, start_date, end_date, mock_type, location, status, columns, sheet_per_session, format }
+   * @returns {Promise<{blob: Blob, filename: string|null}>}
+   */
+  bookings: async (params = {}) => downloadExport('/admin/exports/bookings', params),
+
+  /**
+   * Trainees with their token balances
+   * @param {Object} params - { with_tokens, columns, format }
+   * @returns {Promise<{blob: Blob, filename: string|null}>}
+   */
+  trainees: async (params = {}) => downloadExport('/admin/exports/trainees', params),
+
+  /**
+   * Sign-in sheets or door lists of sessions
+   * @param {Object} params - { exam_ids } or { location, exam_date }, plus { type, group_by, sort_by, include_barcodes }
+   * @returns {Promise<{blob: Blob, filename: string|null}>} PDF file
+   */
+  signInSheets: async (params = {}) => downloadExport('/admin/mock-exams/sign-in-sheets', params)
+};
+
+/**
+ * Rooms API endpoints
+ * Rooms sessions are scheduled into, and their occupancy
+ */
+export const roomsApi = {
+  /**
+   * List rooms
+   * @param {Object} params - { include_inactive, site }
+   * @returns {Promise<Object>} Rooms sorted by site and name
+   */
+  list: async (params = {}) => {
+    const response = await api.get('/admin/rooms', { params });
+    return response.data;
+  },
+
+  /**
+   * Create a room
+   * @param {Object} room - Room fields (site, name, capacity, equipment, ...)
+   * @returns {Promise<Object>} Created room
+   */
+  create: async (room) => {
+    const response = await api.post('/admin/rooms', room);
+    return response.data;
+  },
+
+  /**
+   * Update a room
+   * @param {string} id - Room ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated room
+   */
+  update: async (id, changes) => {
+    const response = await api.patch(`/admin/rooms/${id}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Delete a room that no session uses
+   * @param {string} id - Room ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/admin/rooms/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Sessions per room for a date range, with double bookings
+   * @param {Object} params - { start_date, end_date, site }
+   * @returns {Promise<Object>} Rooms with their sessions and overlaps
+   */
+  getOccupancy: async (params) => {
+    const response = await api.get('/admin/rooms/occupancy', { params });
+    return response.data;
+  }
+};
+
+/**
+ * Staff (examiners / proctors) API endpoints
+ */
+export const staffApi = {
+  /**
+   * List staff
+   * @param {Object} params - { include_inactive, role }
+   * @returns {Promise<Object>} Staff sorted by name
+   */
+  list: async (params = {}) => {
+    const response = await api.get('/admin/staff', { params });
+    return response.data;
+  },
+
+  /**
+   * Create a staff member
+   * @param {Object} staff - Staff fields (name, email, roles, sites, availability, ...)
+   * @returns {Promise<Object>} Created staff member
+   */
+  create: async (staff) => {
+    const response = await api.post('/admin/staff', staff);
+    return response.data;
+  },
+
+  /**
+   * Update a staff member
+   * @param {string} id - Staff ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated staff member
+   */
+  update: async (id, changes) => {
+    const response = await api.patch(`/admin/staff/${id}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Delete a staff member who was never assigned to a session
+   * @param {string} id - Staff ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete: async (id) => {
+    const response = await api.delete(`/admin/staff/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Sessions a staff member is assigned to
+   * @param {string} id - Staff ID
+   * @param {Object} params - { start_date, end_date }
+   * @returns {Promise<Object>} Staff member and their sessions
+   */
+  getSchedule: async (id, params) => {
+    const response = await api.get(`/admin/staff/${id}/schedule`, { params });
+    return response.data;
+  },
+
+  /**
+   * Download a staff member's schedule as CSV
+   * @param {string} id - Staff ID
+   * @param {Object} params - { start_date, end_date }
+   * @returns {Promise<Blob>} CSV file
+   */
+  exportSchedule: async (id, params) => {
+    const response = await api.get(`/admin/staff/${id}/schedule`, {
+      params: { ...params, format: 'csv' },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  /**
+   * Staffing ratios per mock type and role
+   * @returns {Promise<Object>} Ratios
+   */
+  getRatios: async () => {
+    const response = await api.get('/admin/staff/ratios');
+    return response.data;
+  },
+
+  /**
+   * Replace the staffing ratios
+   * @param {Array} ratios - [{ mock_type, role, trainees_per_staff, min_staff }]
+   * @returns {Promise<Object>} Saved ratios
+   */
+  saveRatios: async (ratios) => {
+    const response = await api.put('/admin/staff/ratios', { ratios });
+    return response.data;
+  },
+
+  /**
+   * Staff assigned to a session and its staffing requirement
+   * @param {string} mockExamId - Mock exam ID
+   * @returns {Promise<Object>} Assignments and staffing summary
+   */
+  getSessionStaff: async (mockExamId) => {
+    const response = await api.get(`/admin/mock-exams/${mockExamId}/staff`);
+    return response.data;
+  },
+
+  /**
+   * Assign a staff member to a session
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} assignment - { staff_id, role, allow_overlap }
+   * @returns {Promise<Object>} Updated assignments, plus staff_warnings when conflicts were allowed
+   */
+  assign: async (mockExamId, assignment) => {
+    const response = await api.post(`/admin/mock-exams/${mockExamId}/staff`, assignment);
+    return response.data;
+  },
+
+  /**
+   * Remove a staff member from a session
+   * @param {string} mockExamId - Mock exam ID
+   * @param {string} assignmentId - Assignment ID
+   * @returns {Promise<Object>} Updated assignments
+   */
+  unassign: async (mockExamId, assignmentId) => {
+    const response = await api.delete(`/admin/mock-exams/${mockExamId}/staff`, {
+      params: { assignment_id: assignmentId }
+    });
+    return response.data;
+  }
+};
+
+/**
+ * Clinical Skills stations / seat assignment API endpoints
+ */
+export const stationsApi = {
+  /**
+   * Stations of a session, the trainees seated at them and those without a seat
+   * @param {string} mockExamId - Mock exam ID
+   * @returns {Promise<Object>} Layout, seats, unassigned trainees and summary
+   */
+  get: async (mockExamId) => {
+    const response = await api.get(`/admin/mock-exams/${mockExamId}/stations`);
+    return response.data;
+  },
+
+  /**
+   * Save the stations of a session
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} layout - { stations: [{ id?, label, left_handed }], rotation_groups }
+   * @returns {Promise<Object>} Updated seating plan
+   */
+  saveLayout: async (mockExamId, layout) => {
+    const response = await api.put(`/admin/mock-exams/${mockExamId}/stations`, layout);
+    return response.data;
+  },
+
+  /**
+   * Seat the booked trainees automatically
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} options - { reset_manual }
+   * @returns {Promise<Object>} Updated seating plan, plus assignment_warnings
+   */
+  autoAssign: async (mockExamId, options = {}) => {
+    const response = await api.post(`/admin/mock-exams/${mockExamId}/stations`, options);
+    return response.data;
+  },
+
+  /**
+   * Move a trainee to another seat (swapping with its occupant), or unseat them
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} move - { booking_id, station_id, rotation_group }
+   * @returns {Promise<Object>} Updated seating plan, plus assignment_warnings
+   */
+  move: async (mockExamId, move) => {
+    const response = await api.patch(`/admin/mock-exams/${mockExamId}/stations`, move);
     return response.data;
   }
 };
@@ -483,20 +1109,28 @@ export const bulkBookingsApi = {
   /**
    * Preview/validate bulk bookings from CSV data without creating them
    * @param {string} csvData - CSV string with student_id, mock_exam_id, token_used columns
+   * @param {boolean} overrideTimeConflicts - Accept rows that overlap the trainee's other bookings
    * @returns {Promise<Object>} Validation result with valid_rows and invalid_rows
    */
-  previewFromCSV: async (csvData) => {
-    const response = await api.post('/admin/bookings/bulk-create?preview=true', { csv_data: csvData });
+  previewFromCSV: async (csvData, overrideTimeConflicts = false) => {
+    const response = await api.post('/admin/bookings/bulk-create?preview=true', {
+      csv_data: csvData,
+      override_time_conflicts: overrideTimeConflicts
+    });
     return response.data;
   },
 
   /**
    * Create multiple bookings from CSV data
    * @param {string} csvData - CSV string with student_id, mock_exam_id, token_used columns
+   * @param {boolean} overrideTimeConflicts - Create rows that overlap the trainee's other bookings
    * @returns {Promise<Object>} Result with created bookings and skipped rows
    */
-  createFromCSV: async (csvData) => {
-    const response = await api.post('/admin/bookings/bulk-create', { csv_data: csvData });
+  createFromCSV: async (csvData, overrideTimeConflicts = false) => {
+    const response = await api.post('/admin/bookings/bulk-create', {
+      csv_data: csvData,
+      override_time_conflicts: overrideTimeConflicts
+    });
     return response.data;
   }
 };
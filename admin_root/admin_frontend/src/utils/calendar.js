@@ -0,0 +1,112 @@
+/**
+ * Calendar Utilities
+ * Date grid and color helpers for the sessions calendar (week / month view)
+ */
+
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+
+// Block colors per mock type (same palette as the mock type badges)
+export const MOCK_TYPE_CALENDAR_COLORS = {
+  'Situational Judgment': 'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-200 border-blue-300 dark:border-blue-700',
+  'Clinical Skills': 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-200 border-green-300 dark:border-green-700',
+  'Mini-mock': 'bg-purple-100 dark:bg-purple-900/30 text-purple-800 dark:text-purple-200 border-purple-300 dark:border-purple-700',
+  'Mock Discussion': 'bg-orange-100 dark:bg-orange-900/30 text-orange-800 dark:text-orange-200 border-orange-300 dark:border-orange-700'
+};
+
+const FALLBACK_CALENDAR_COLOR = 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600';
+
+/**
+ * Block color classes for a mock type
+ * @param {string} mockType
+ * @returns {string}
+ */
+export const getMockTypeCalendarColor = (mockType) =>
+  MOCK_TYPE_CALENDAR_COLORS[mockType] || FALLBACK_CALENDAR_COLOR;
+
+/**
+ * Fill rate bar color - same thresholds as the dashboard utilization column
+ * @param {number} utilizationRate - 0-100
+ * @returns {string}
+ */
+export const getFillRateColor = (utilizationRate = 0) => {
+  if (utilizationRate >= 80) return 'bg-red-500';
+  if (utilizationRate >= 50) return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+/**
+ * Format a day as the YYYY-MM-DD key used by exam_date
+ * @param {Date} day
+ * @returns {string}
+ */
+export const toDateKey = (day) => format(day, 'yyyy-MM-dd');
+
+/**
+ * Days shown for a calendar view (full weeks, Sunday first)
+ * @param {'week'|'month'} view
+ * @param {Date} anchorDate - Any day in the period
+ * @returns {{ days: Array<Date>, dateFrom: string, dateTo: string }}
+ */
+export const getCalendarDays = (view, anchorDate) => {
+  const start = view === 'month' ? startOfWeek(startOfMonth(anchorDate)) : startOfWeek(anchorDate);
+  const end = view === 'month' ? endOfWeek(endOfMonth(anchorDate)) : endOfWeek(anchorDate);
+  const days = eachDayOfInterval({ start, end });
+
+  return {
+    days,
+    dateFrom: toDateKey(start),
+    dateTo: toDateKey(end)
+  };
+};
+
+/**
+ * Move the anchor date one period forward or back
+ * @param {'week'|'month'} view
+ * @param {Date} anchorDate
+ * @param {number} step - 1 or -1
+ * @returns {Date}
+ */
+export const shiftCalendarPeriod = (view, anchorDate, step) =>
+  view === 'month' ? addMonths(anchorDate, step) : addWeeks(anchorDate, step);
+
+/**
+ * Heading for the visible period, e.g. "March 2026" or "Mar 8 – Mar 14, 2026"
+ * @param {'week'|'month'} view
+ * @param {Date} anchorDate
+ * @returns {string}
+ */
+export const formatCalendarTitle = (view, anchorDate) => {
+  if (view === 'month') return format(anchorDate, 'MMMM yyyy');
+
+  const start = startOfWeek(anchorDate);
+  const end = endOfWeek(anchorDate);
+  return `${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}`;
+};
+
+/**
+ * Group sessions by exam date, each day sorted by start time
+ * @param {Array<Object>} sessions - Rows from /admin/mock-exams/list
+ * @returns {Object<string, Array<Object>>} Sessions keyed by YYYY-MM-DD
+ */
+export const groupSessionsByDay = (sessions = []) => {
+  const byDay = sessions.reduce((groups, session) => {
+    if (!session.exam_date) return groups;
+    (groups[session.exam_date] = groups[session.exam_date] || []).push(session);
+    return groups;
+  }, {});
+
+  Object.values(byDay).forEach(daySessions => {
+    daySessions.sort((a, b) => String(a.start_time || '').localeCompare(String(b.start_time || '')));
+  });
+
+  return byDay;
+};
@@ -101,19 +101,9 @@ export const validationRules = {
 
   location: {
     required: true,
-    validate: (value) => {
-      const validLocations = [
-        'Mississauga',
-        'Mississauga - B9',
-        'Mississauga - Lab D',
-        'Vancouver',
-        'Montreal',
-        'Calgary',
-        'Richmond Hill',
-        'Online'
-      ];
-      return validLocations.includes(value);
-    },
+    // Sites come from the location catalog - the picker only offers valid ones
+    // and the server checks the catalog on save
+    validate: (value) => typeof value === 'string' && value.trim().length > 0,
     errorMessage: 'Please select a valid location'
   },
 
@@ -160,6 +150,48 @@ export const validationRules = {
     errorMessage: 'Please select a valid mock set (A-H)'
   },
 
+  room_id: {
+    required: false,
+    // Chosen from the room list; empty means no room
+    validate: () => true,
+    errorMessage: 'Please select a valid room'
+  },
+
+  booking_cutoff_hours: {
+    required: false,
+    // Empty means the mock type cutoff applies
+    validate: (value) => {
+      if (value === '' || value === null || value === undefined) return true;
+
+      const hours = Number(value);
+      if (!Number.isFinite(hours) || hours < 0) {
+        return 'Booking cutoff must be 0 or more hours';
+      }
+      if (hours > 720) {
+        return 'Booking cutoff cannot exceed 720 hours (30 days)';
+      }
+      return true;
+    },
+    errorMessage: 'Please enter the booking cutoff in hours'
+  },
+
+  scheduled_deactivation_datetime: {
+    required: false,
+    validate: (value) => {
+      if (!value) return true;
+
+      const date = typeof value === 'string' ? parseISO(value) : value;
+      if (!isValid(date)) {
+        return 'Please enter a valid date/time';
+      }
+      if (isBefore(date, new Date())) {
+        return 'Scheduled deactivation must be in the future';
+      }
+      return true;
+    },
+    errorMessage: 'Please enter a valid scheduled deactivation date/time'
+  },
+
   scheduled_activation_datetime: {
     required: false,
     validate: (value, formData) => {
@@ -312,6 +344,18 @@ export function formatFormDataForApi(formData) {
     formatted.capacity = parseInt(formatted.capacity);
   }
 
+  // An empty room_id moves the session out of its room
+  if (formData.room_id === '') {
+    formatted.room_id = '';
+  }
+
+  // An empty booking cutoff falls back to the mock type cutoff
+  if (formData.booking_cutoff_hours === '') {
+    formatted.booking_cutoff_hours = null;
+  } else if (formatted.booking_cutoff_hours !== undefined && formatted.booking_cutoff_hours !== null) {
+    formatted.booking_cutoff_hours = Number(formatted.booking_cutoff_hours);
+  }
+
   return formatted;
 }
 
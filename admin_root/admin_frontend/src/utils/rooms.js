@@ -0,0 +1,53 @@
+/**
+ * Room Utilities
+ * Display helpers for rooms and the room occupancy view
+ */
+
+/**
+ * Short equipment summary, e.g. "2 × Left-handed station, 1 × Projector"
+ * @param {Array<{name: string, quantity: number}>} equipment
+ * @returns {string}
+ */
+export const describeEquipment = (equipment = []) =>
+  equipment
+    .map(item => `${item.quantity || 1} × ${item.name}`)
+    .join(', ');
+
+/**
+ * Session time (ISO or Unix ms) as Toronto clock time, e.g. "9:00 AM"
+ * @param {string|number} value
+ * @returns {string}
+ */
+export const formatRoomTime = (value) => {
+  if (!value) return '';
+  const date = /^\d+$/.test(String(value)) ? new Date(parseInt(value, 10)) : new Date(value);
+  return date.toLocaleTimeString('en-US', {
+    timeZone: 'America/Toronto',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Group a room's sessions by exam date (dates ascending)
+ * @param {Array<Object>} sessions - Occupancy sessions
+ * @returns {Array<{date: string, sessions: Array<Object>}>}
+ */
+export const groupSessionsByDate = (sessions = []) => {
+  const byDate = sessions.reduce((groups, session) => {
+    (groups[session.exam_date] = groups[session.exam_date] || []).push(session);
+    return groups;
+  }, {});
+
+  return Object.keys(byDate)
+    .sort()
+    .map(date => ({ date, sessions: byDate[date] }));
+};
+
+/**
+ * Ids of the sessions involved in a double booking
+ * @param {Array<{session_ids: Array<string>}>} overlaps
+ * @returns {Set<string>}
+ */
+export const getOverlappingSessionIds = (overlaps = []) =>
+  new Set(overlaps.flatMap(overlap => overlap.session_ids.map(String)));
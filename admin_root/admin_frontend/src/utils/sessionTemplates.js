@@ -0,0 +1,159 @@
+/**
+ * Session Template Utilities
+ * Convert between session templates and the create/clone form state
+ *
+ * Templates store scheduled activation relative to the exam date
+ * (activation_days_before + activation_time, Toronto time).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const shiftDate = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Scheduled activation of a template for one exam date
+ * @param {Object} template - Session template
+ * @param {string} examDate - Date in YYYY-MM-DD format
+ * @returns {string|null} Toronto datetime-local value (YYYY-MM-DDTHH:mm), null if not scheduled or no date yet
+ */
+export const getTemplateActivationDateTime = (template, examDate) => {
+  if (template?.activation_mode !== 'scheduled' || !examDate) return null;
+
+  const activationDate = shiftDate(examDate, -(template.activation_days_before || 0));
+  return `${activationDate}T${template.activation_time || '00:00'}`;
+};
+
+/**
+ * Form state of the create page (MockExams) from a template
+ * The exam date is kept; everything else comes from the template.
+ *
+ * @param {Object} template - Session template
+ * @param {Object} currentFormData - Current form data (for exam_date)
+ * @returns {{formData: Object, timeSlots: Array, capacityMode: string}}
+ */
+export const templateToFormState = (template, currentFormData = {}) => {
+  const capacityMode = template.capacity_mode || 'global';
+  const isScheduled = template.activation_mode === 'scheduled';
+
+  return {
+    formData: {
+      ...currentFormData,
+      mock_type: template.mock_type,
+      mock_set: template.mock_type === 'Mini-mock' ? '' : template.mock_set || '',
+      location: template.location,
+      capacity: capacityMode === 'global' ? template.capacity || '' : '',
+      activation_mode: isScheduled ? 'scheduled' : 'immediate',
+      is_active: isScheduled ? 'scheduled' : template.is_active || 'true',
+      scheduled_activation_datetime: getTemplateActivationDateTime(template, currentFormData.exam_date)
+    },
+    timeSlots: (template.time_slots || []).map(slot => ({
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      capacity: capacityMode === 'per-slot' ? slot.capacity || '' : template.capacity || ''
+    })),
+    capacityMode
+  };
+};
+
+/**
+ * Template fields from the create page form state
+ *
+ * A scheduled activation is turned into "N days before at HH:MM" using the
+ * exam date the admin picked; without an exam date it falls back to the day
+ * before at the picked time.
+ *
+ * @param {Object} state - {formData, timeSlots, capacityMode}
+ * @returns {Object} Template fields (without name/description)
+ */
+export const formStateToTemplate = ({ formData, timeSlots, capacityMode }) => {
+  const template = {
+    mock_type: formData.mock_type,
+    mock_set: formData.mock_type === 'Mini-mock' ? '' : formData.mock_set || '',
+    location: formData.location,
+    capacity_mode: capacityMode,
+    time_slots: timeSlots.map(slot => ({
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      ...(capacityMode === 'per-slot' && { capacity: parseInt(slot.capacity) || null })
+    })),
+    activation_mode: formData.activation_mode === 'scheduled' ? 'scheduled' : 'immediate',
+    is_active: formData.is_active === 'false' ? 'false' : 'true'
+  };
+
+  if (capacityMode === 'global') {
+    template.capacity = parseInt(formData.capacity) || null;
+  }
+
+  if (template.activation_mode === 'scheduled') {
+    const [activationDate, activationTime] = (formData.scheduled_activation_datetime || '').split('T');
+    let daysBefore = 1;
+
+    if (activationDate && formData.exam_date) {
+      const [examYear, examMonth, examDay] = formData.exam_date.split('-').map(Number);
+      const [year, month, day] = activationDate.split('-').map(Number);
+      daysBefore = Math.round((Date.UTC(examYear, examMonth - 1, examDay) - Date.UTC(year, month - 1, day)) / DAY_MS);
+    }
+
+    template.activation_days_before = Math.max(daysBefore, 0);
+    template.activation_time = (activationTime || '09:00').slice(0, 5);
+  }
+
+  return template;
+};
+
+/**
+ * Clone modal form fields from a template
+ * Clones copy one time slot, so the template's first slot is used. The clone
+ * modal uses 'active' / 'inactive' / 'scheduled' for the status.
+ *
+ * @param {Object} template - Session template
+ * @param {string} examDate - New exam date of the clones (YYYY-MM-DD)
+ * @returns {Object} Clone form fields
+ */
+export const templateToCloneFields = (template, examDate) => {
+  const firstSlot = template.time_slots?.[0] || {};
+  const capacity = template.capacity_mode === 'per-slot' ? firstSlot.capacity : template.capacity;
+  const isScheduled = template.activation_mode === 'scheduled';
+
+  return {
+    mock_type: template.mock_type,
+    mock_set: template.mock_type === 'Mini-mock' ? '__clear__' : template.mock_set || '__clear__',
+    location: template.location,
+    capacity: capacity ? String(capacity) : '',
+    start_time: firstSlot.start_time || '',
+    end_time: firstSlot.end_time || '',
+    is_active: isScheduled ? 'scheduled' : template.is_active === 'false' ? 'inactive' : 'active',
+    scheduled_activation_datetime: getTemplateActivationDateTime(template, examDate) || ''
+  };
+};
+
+/**
+ * One-line summary of a template ("Clinical Skills · Mississauga · 2 slots · cap 12")
+ * @param {Object} template - Session template
+ * @returns {string}
+ */
+export const describeTemplate = (template) => {
+  const slots = template.time_slots?.length || 0;
+  const capacity = template.capacity_mode === 'per-slot' ? 'per-slot capacity' : `cap ${template.capacity}`;
+  const activation = template.activation_mode === 'scheduled'
+    ? `opens ${template.activation_days_before}d before at ${template.activation_time}`
+    : template.is_active === 'false' ? 'created inactive' : 'active on creation';
+
+  return [
+    template.mock_type,
+    template.mock_set ? `Set ${template.mock_set}` : null,
+    template.location,
+    `${slots} slot${slots === 1 ? '' : 's'}`,
+    capacity,
+    activation
+  ].filter(Boolean).join(' · ');
+};
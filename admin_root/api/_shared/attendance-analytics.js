@@ -0,0 +1,420 @@
+/**
+ * Attendance Analytics
+ * Aggregates the attendance recorded per booking (mock-exams/[id]/attendance.js)
+ * into rates by mock type, location, weekday and time slot, trends over time,
+ * and per-trainee no-show counts.
+ *
+ * Reads hubspot_bookings (attendance 'Yes' | 'No' | null) for sessions that have
+ * already taken place; cancelled bookings are left out. A booking's location is
+ * its session's location (hubspot_mock_exams), falling back to attending_location.
+ *
+ * Rates are percentages of the bookings whose attendance was marked - unmarked
+ * bookings are counted but don't move the rate:
+ *   attendance_rate = attended / (attended + no_shows)
+ *
+ * A trainee is a chronic no-show with at least min_no_shows no-shows that make
+ * up at least min_no_show_rate percent of their marked bookings in the range.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { addDays, getTorontoToday } = require('./exam-series');
+const { escapeCSV } = require('./csv');
+
+const ATTENDED = 'Yes';
+const NO_SHOW = 'No';
+
+const DEFAULT_CHRONIC_NO_SHOW = {
+  min_no_shows: 3,
+  min_no_show_rate: 50
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+// Stop reading past this many bookings (the report says it was truncated)
+const MAX_RECORDS = 50000;
+const EXAM_LOOKUP_CHUNK = 200;
+
+// Reports cover the last DEFAULT_RANGE_DAYS days unless a range is given
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Date range a report covers - defaults to the last DEFAULT_RANGE_DAYS days
+ * @param {Object} query - { start_date, end_date } (YYYY-MM-DD, both optional)
+ * @param {Date} [now]
+ * @returns {{ startDate: string, endDate: string }}
+ * @throws {Error} - 400 RANGE_TOO_LARGE past MAX_RANGE_DAYS
+ */
+function resolveReportRange({ start_date, end_date } = {}, now = new Date()) {
+  const endDate = end_date || (start_date ? addDays(start_date, DEFAULT_RANGE_DAYS - 1) : getTorontoToday(now));
+  const startDate = start_date || addDays(endDate, -(DEFAULT_RANGE_DAYS - 1));
+
+  if (endDate > addDays(startDate, MAX_RANGE_DAYS - 1)) {
+    const error = new Error(`A report can cover at most ${MAX_RANGE_DAYS} days at a time`);
+    error.status = 400;
+    error.code = 'RANGE_TOO_LARGE';
+    throw error;
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Attendance status of a booking
+ * @param {string|null} attendance - HubSpot attendance value
+ * @returns {'attended'|'no_show'|'unmarked'}
+ */
+function toAttendanceStatus(attendance) {
+  if (attendance === ATTENDED) return 'attended';
+  if (attendance === NO_SHOW) return 'no_show';
+  return 'unmarked';
+}
+
+/**
+ * Round a ratio to a percentage with one decimal, null when there is nothing to divide by
+ */
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Weekday name of a YYYY-MM-DD date
+ * @param {string} examDate
+ * @returns {string|null}
+ */
+function getWeekday(examDate) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(examDate || '')) return null;
+  const [year, month, day] = examDate.slice(0, 10).split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Hour a session starts in Toronto, e.g. "08:00"
+ * @param {string|number} startTime - ISO string or Unix ms
+ * @returns {string|null}
+ */
+function getTimeSlot(startTime) {
+  if (!startTime) return null;
+
+  const date = /^\d+$/.test(String(startTime)) ? new Date(parseInt(startTime, 10)) : new Date(startTime);
+  if (isNaN(date.getTime())) return null;
+
+  const hour = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Toronto',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+
+  return `${hour.padStart(2, '0')}:00`;
+}
+
+/**
+ * First day of the trend period a date falls in
+ * @param {string} examDate - YYYY-MM-DD
+ * @param {'week'|'month'} interval - Weeks start on Monday
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function getPeriodStart(examDate, interval) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(examDate || '')) return null;
+  if (interval === 'month') return `${examDate.slice(0, 7)}-01`;
+
+  const [year, month, day] = examDate.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Counts and rates for a set of bookings
+ * @param {Array<Object>} records - Normalized attendance records
+ * @returns {{bookings: number, attended: number, no_shows: number, unmarked: number, attendance_rate: number|null, no_show_rate: number|null}}
+ */
+function summarizeAttendance(records) {
+  const counts = { bookings: records.length, attended: 0, no_shows: 0, unmarked: 0 };
+
+  records.forEach(record => {
+    if (record.status === 'attended') counts.attended++;
+    else if (record.status === 'no_show') counts.no_shows++;
+    else counts.unmarked++;
+  });
+
+  const marked = counts.attended + counts.no_shows;
+  return {
+    ...counts,
+    attendance_rate: toPercent(counts.attended, marked),
+    no_show_rate: toPercent(counts.no_shows, marked)
+  };
+}
+
+/**
+ * Summaries per group
+ * @param {Array<Object>} records
+ * @param {Function} keyFn - record => group key (null/undefined go under 'Unknown')
+ * @param {Function} [compare] - Sort for the keys (defaults to alphabetical)
+ * @returns {Array<Object>} - [{ key, bookings, attended, no_shows, unmarked, attendance_rate, no_show_rate }]
+ */
+function groupAttendance(records, keyFn, compare) {
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = keyFn(record) || 'Unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  return [...groups.keys()]
+    .sort(compare || ((a, b) => a.localeCompare(b)))
+    .map(key => ({ key, ...summarizeAttendance(groups.get(key)) }));
+}
+
+const byWeekday = (a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b);
+
+/**
+ * Attendance rates by mock type, location, weekday and time slot, plus the trend
+ * @param {Array<Object>} records - Normalized attendance records
+ * @param {Object} [options] - { interval: 'week'|'month' }
+ * @returns {Object}
+ */
+function buildAttendanceReport(records, { interval = 'week' } = {}) {
+  return {
+    summary: summarizeAttendance(records),
+    by_mock_type: groupAttendance(records, record => record.mock_type),
+    by_location: groupAttendance(records, record => record.location),
+    by_weekday: groupAttendance(records, record => getWeekday(record.exam_date), byWeekday),
+    by_time_slot: groupAttendance(records, record => getTimeSlot(record.start_time)),
+    trend: groupAttendance(records, record => getPeriodStart(record.exam_date, interval))
+      .map(({ key, ...summary }) => ({ period_start: key, ...summary })),
+    interval
+  };
+}
+
+/**
+ * Bookings and no-shows per trainee, most no-shows first
+ * @param {Array<Object>} records - Normalized attendance records
+ * @returns {Array<Object>}
+ */
+function getTraineeNoShows(records) {
+  const trainees = new Map();
+
+  records.forEach(record => {
+    const key = record.contact_id || record.student_id || record.email;
+    if (!key) return;
+
+    if (!trainees.has(key)) {
+      trainees.set(key, {
+        contact_id: record.contact_id || null,
+        student_id: record.student_id || null,
+        name: record.name || null,
+        email: record.email || null,
+        records: []
+      });
+    }
+    trainees.get(key).records.push(record);
+  });
+
+  return [...trainees.values()]
+    .map(({ records: traineeRecords, ...trainee }) => {
+      const noShowDates = traineeRecords
+        .filter(record => record.status === 'no_show')
+        .map(record => record.exam_date)
+        .sort();
+
+      return {
+        ...trainee,
+        ...summarizeAttendance(traineeRecords),
+        last_no_show: noShowDates[noShowDates.length - 1] || null
+      };
+    })
+    .filter(trainee => trainee.attended + trainee.no_shows > 0)
+    .sort((a, b) =>
+      b.no_shows - a.no_shows ||
+      (b.no_show_rate || 0) - (a.no_show_rate || 0) ||
+      String(a.name || '').localeCompare(String(b.name || ''))
+    );
+}
+
+/**
+ * Trainees who keep missing their sessions
+ * @param {Array<Object>} trainees - Result of getTraineeNoShows
+ * @param {Object} [thresholds] - { min_no_shows, min_no_show_rate }
+ * @returns {Array<Object>}
+ */
+function getChronicNoShows(trainees, thresholds = {}) {
+  const minNoShows = thresholds.min_no_shows ?? DEFAULT_CHRONIC_NO_SHOW.min_no_shows;
+  const minRate = thresholds.min_no_show_rate ?? DEFAULT_CHRONIC_NO_SHOW.min_no_show_rate;
+
+  return trainees.filter(trainee =>
+    trainee.no_shows >= minNoShows && (trainee.no_show_rate || 0) >= minRate
+  );
+}
+
+/**
+ * Session location and start time for each exam id
+ * @param {Array<string>} examIds - hubspot_mock_exams.hubspot_id values
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getExamDetails(examIds) {
+  const details = new Map();
+
+  for (let i = 0; i < examIds.length; i += EXAM_LOOKUP_CHUNK) {
+    const chunk = examIds.slice(i, i + EXAM_LOOKUP_CHUNK);
+    const { data, error } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, location, start_time, mock_type')
+      .in('hubspot_id', chunk);
+
+    if (error) {
+      console.error('❌ [ATTENDANCE-REPORT] Failed to read sessions:', error.message);
+      throw error;
+    }
+
+    (data || []).forEach(exam => details.set(String(exam.hubspot_id), exam));
+  }
+
+  return details;
+}
+
+/**
+ * Load the attendance records of past sessions in a date range
+ *
+ * @param {Object} filters - { startDate, endDate, mockType, location }
+ * @returns {Promise<{records: Array<Object>, truncated: boolean}>}
+ */
+async function loadAttendanceRecords({ startDate, endDate, mockType, location } = {}) {
+  // Only sessions that have taken place can have attendance
+  const today = getTorontoToday();
+  const lastDate = endDate && endDate < today ? endDate : today;
+
+  const rows = [];
+  let truncated = false;
+
+  for (let start = 0; ; start += PAGE_SIZE) {
+    let query = supabaseAdmin
+      .from('hubspot_bookings')
+      .select('hubspot_id, associated_mock_exam, associated_contact_id, student_id, name, student_email, is_active, attendance, attending_location, exam_date, mock_type, start_time')
+      .lte('exam_date', lastDate)
+      .order('exam_date', { ascending: true })
+      .order('hubspot_id', { ascending: true })
+      .range(start, start + PAGE_SIZE - 1);
+
+    if (startDate) query = query.gte('exam_date', startDate);
+    if (mockType) query = query.eq('mock_type', mockType);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ [ATTENDANCE-REPORT] Failed to read bookings:', error.message);
+      throw error;
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) break;
+    if (rows.length >= MAX_RECORDS) {
+      truncated = true;
+      console.warn(`⚠️ [ATTENDANCE-REPORT] Stopped reading at ${rows.length} bookings`);
+      break;
+    }
+  }
+
+  const bookings = rows.filter(row => String(row.is_active || '').toLowerCase() !== 'cancelled');
+  const examIds = [...new Set(bookings.map(row => row.associated_mock_exam).filter(Boolean).map(String))];
+  const exams = await getExamDetails(examIds);
+
+  const records = bookings
+    .map(row => {
+      const exam = exams.get(String(row.associated_mock_exam)) || {};
+
+      return {
+        booking_id: row.hubspot_id,
+        mock_exam_id: row.associated_mock_exam || null,
+        contact_id: row.associated_contact_id || null,
+        student_id: row.student_id || null,
+        name: row.name || null,
+        email: row.student_email || null,
+        mock_type: row.mock_type || exam.mock_type || null,
+        location: exam.location || row.attending_location || null,
+        exam_date: row.exam_date ? String(row.exam_date).slice(0, 10) : null,
+        start_time: row.start_time || exam.start_time || null,
+        status: toAttendanceStatus(row.attendance)
+      };
+    })
+    .filter(record => !location || String(record.location || '').toLowerCase() === location.toLowerCase());
+
+  console.log(`📊 [ATTENDANCE-REPORT] ${records.length} bookings from ${startDate || 'the start'} to ${lastDate}`);
+
+  return { records, truncated };
+}
+
+const SUMMARY_COLUMNS = ['Bookings', 'Attended', 'No-shows', 'Unmarked', 'Attendance Rate (%)', 'No-show Rate (%)'];
+const summaryCells = (summary) => [
+  summary.bookings,
+  summary.attended,
+  summary.no_shows,
+  summary.unmarked,
+  summary.attendance_rate,
+  summary.no_show_rate
+];
+
+/**
+ * One row per group, all breakdowns in one sheet
+ * @param {Object} report - Result of buildAttendanceReport
+ * @returns {string}
+ */
+function attendanceReportToCsv(report) {
+  const sections = [
+    ['Overall', [{ key: 'All bookings', ...report.summary }]],
+    ['Mock Type', report.by_mock_type],
+    ['Location', report.by_location],
+    ['Weekday', report.by_weekday],
+    ['Time Slot', report.by_time_slot],
+    [report.interval === 'month' ? 'Month' : 'Week Of', report.trend.map(({ period_start, ...summary }) => ({ key: period_start, ...summary }))]
+  ];
+
+  const header = ['Breakdown', 'Group', ...SUMMARY_COLUMNS];
+  const rows = sections.flatMap(([breakdown, groups]) =>
+    groups.map(group => [breakdown, group.key, ...summaryCells(group)].map(escapeCSV).join(','))
+  );
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+/**
+ * One row per trainee
+ * @param {Array<Object>} trainees - Result of getTraineeNoShows / getChronicNoShows
+ * @returns {string}
+ */
+function noShowsToCsv(trainees) {
+  const header = ['Name', 'Email', 'Student ID', 'Contact ID', ...SUMMARY_COLUMNS, 'Last No-show'];
+  const rows = trainees.map(trainee => [
+    trainee.name,
+    trainee.email,
+    trainee.student_id,
+    trainee.contact_id,
+    ...summaryCells(trainee),
+    trainee.last_no_show
+  ].map(escapeCSV).join(','));
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+  DEFAULT_CHRONIC_NO_SHOW,
+  MAX_RANGE_DAYS,
+  WEEKDAYS,
+  resolveReportRange,
+  toAttendanceStatus,
+  getWeekday,
+  getTimeSlot,
+  getPeriodStart,
+  summarizeAttendance,
+  groupAttendance,
+  buildAttendanceReport,
+  getTraineeNoShows,
+  getChronicNoShows,
+  loadAttendanceRecords,
+  attendanceReportToCsv,
+  noShowsToCsv
+};
@@ -0,0 +1,306 @@
+/**
+ * Mock Exam Audit Log
+ * Who changed which mock exam, when, and what exactly changed
+ *
+ * Every admin endpoint that creates, edits, toggles, clones, deletes, restores
+ * or purges a mock exam (or changes its prerequisites) appends one row per affected exam. Rows
+ * written by the same request share a request_id, so a bulk action can be
+ * followed back to everything it touched. HubSpot timeline notes are still
+ * created where they were before - this table is the queryable copy.
+ *
+ * Supabase table: mock_exam_audit_log
+ *   id              uuid primary key default gen_random_uuid()
+ *   mock_exam_id    text not null      -- hubspot_mock_exams.hubspot_id
+ *   action          text not null      -- one of AUDIT_ACTIONS
+ *   actor_email     text
+ *   actor_id        text               -- Supabase auth user id
+ *   request_id      text not null      -- shared by every row of one request
+ *   changes         jsonb              -- { field: { from, to } }
+ *   metadata        jsonb              -- action specific context (source exam, series scope, counts...)
+ *   created_at      timestamptz default now()
+ *   index (mock_exam_id, created_at)
+ *   index (created_at)
+ *
+ * Rows are never updated or deleted - the service role is only granted INSERT
+ * and SELECT on the table. Audit writes never block the change they describe:
+ * a failed insert is logged and the request carries on.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+
+const AUDIT_TABLE = 'mock_exam_audit_log';
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  BULK_UPDATE: 'bulk_update',
+  STATUS_CHANGE: 'status_change',
+  CLONE: 'clone',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  PREREQUISITES_CHANGE: 'prerequisites_change'
+};
+
+// Mock exam properties whose before/after values are kept in `changes`
+const AUDITED_FIELDS = [
+  'mock_type',
+  'mock_set',
+  'exam_date',
+  'start_time',
+  'end_time',
+  'location',
+  'address',
+  'capacity',
+  'is_active',
+  'scheduled_activation_datetime',
+  'booking_cutoff_hours',
+  'scheduled_deactivation_datetime',
+  'mock_exam_name',
+  'room_id',
+  'series_id'
+];
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Normalize a property value for comparison - HubSpot returns strings, callers
+ * often pass numbers/booleans, and null/undefined/'' all mean "not set"
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * Field-level diff of two property snapshots
+ *
+ * Only fields present in `after` are compared, so a partial update never shows
+ * untouched fields as cleared.
+ *
+ * @param {Object} before - Properties before the change ({} for a new exam)
+ * @param {Object} after - Properties written by the change ({} for a deletion)
+ * @param {Array<string>} fields - Fields to compare (defaults to AUDITED_FIELDS)
+ * @returns {Object} - { field: { from, to } } for every changed field
+ */
+function diffChanges(before, after, fields = AUDITED_FIELDS) {
+  const changes = {};
+
+  for (const field of fields) {
+    if (!after || after[field] === undefined) {
+      continue;
+    }
+
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after[field]);
+
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Snapshot of every audited field, recorded as { field: { from: null, to } } for
+ * a new exam or { field: { from, to: null } } for a deleted one
+ *
+ * @param {Object} properties - Mock exam properties
+ * @param {'created'|'deleted'} direction
+ * @returns {Object}
+ */
+function snapshotChanges(properties, direction = 'created') {
+  const changes = {};
+
+  for (const field of AUDITED_FIELDS) {
+    const value = normalizeValue(properties?.[field]);
+    if (value === null) {
+      continue;
+    }
+    changes[field] = direction === 'deleted'
+      ? { from: value, to: null }
+      : { from: null, to: value };
+  }
+
+  return changes;
+}
+
+/**
+ * Request id shared by every audit row written while handling one request
+ *
+ * Uses the caller's x-request-id (or Vercel's x-vercel-id) when present and
+ * falls back to a random UUID. The id is stored on the request so repeated
+ * calls return the same value.
+ *
+ * @param {Object} req - HTTP request
+ * @returns {string}
+ */
+function getRequestId(req) {
+  if (!req) {
+    return crypto.randomUUID();
+  }
+
+  if (!req.auditRequestId) {
+    const headers = req.headers || {};
+    req.auditRequestId = headers['x-request-id'] || headers['x-vercel-id'] || crypto.randomUUID();
+  }
+
+  return req.auditRequestId;
+}
+
+/**
+ * Record audit entries for one or more mock exams
+ *
+ * Updates whose diff is empty are skipped; every other action is always written.
+ *
+ * @param {Object} context - { req, user, action }
+ * @param {Array<Object>} entries - { mockExamId, changes, metadata }
+ * @returns {Promise<boolean>} - True if written (or nothing to write), false if the insert failed
+ */
+async function recordAuditEntries({ req, user, action }, entries) {
+  const requestId = getRequestId(req);
+
+  const rows = (entries || [])
+    .filter(entry => entry && entry.mockExamId)
+    .filter(entry => ![AUDIT_ACTIONS.UPDATE, AUDIT_ACTIONS.BULK_UPDATE].includes(action) ||
+      Object.keys(entry.changes || {}).length > 0)
+    .map(entry => ({
+      mock_exam_id: String(entry.mockExamId),
+      action,
+      actor_email: user?.email || null,
+      actor_id: user?.id || null,
+      request_id: requestId,
+      changes: entry.changes || {},
+      metadata: entry.metadata || {}
+    }));
+
+  if (rows.length === 0) {
+    return true;
+  }
+
+  try {
+    const { error } = await supabaseAdmin.from(AUDIT_TABLE).insert(rows);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`🧾 [AUDIT-LOG] Recorded ${rows.length} ${action} entr${rows.length === 1 ? 'y' : 'ies'} by ${rows[0].actor_email || 'unknown'} (${requestId})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️ [AUDIT-LOG] Failed to record ${rows.length} ${action} entr${rows.length === 1 ? 'y' : 'ies'} (non-blocking):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Record an audit entry for a single mock exam
+ *
+ * @param {Object} context - { req, user, action }
+ * @param {Object} entry - { mockExamId, changes, metadata }
+ * @returns {Promise<boolean>}
+ */
+async function recordAudit(context, entry) {
+  return recordAuditEntries(context, [entry]);
+}
+
+/**
+ * Record a change to a Mock Discussion's prerequisite exams
+ *
+ * Stored as changes.prerequisite_exam_ids = { from: [...], to: [...] } with the
+ * added/removed IDs in metadata. Nothing is written when the set is unchanged.
+ *
+ * @param {Object} context - { req, user }
+ * @param {string} mockExamId - Mock Discussion exam ID
+ * @param {Array<string>} beforeIds - Prerequisite exam IDs before the change
+ * @param {Array<string>} afterIds - Prerequisite exam IDs after the change
+ * @returns {Promise<boolean>}
+ */
+async function recordPrerequisiteChange({ req, user }, mockExamId, beforeIds, afterIds) {
+  const before = [...new Set((beforeIds || []).map(String))].sort();
+  const after = [...new Set((afterIds || []).map(String))].sort();
+  const added = after.filter(id => !before.includes(id));
+  const removed = before.filter(id => !after.includes(id));
+
+  if (added.length === 0 && removed.length === 0) {
+    return true;
+  }
+
+  return recordAudit({ req, user, action: AUDIT_ACTIONS.PREREQUISITES_CHANGE }, {
+    mockExamId,
+    changes: { prerequisite_exam_ids: { from: before, to: after } },
+    metadata: { added, removed }
+  });
+}
+
+/**
+ * List audit entries, newest first
+ *
+ * @param {Object} filters - { mockExamId, action, actor, requestId, from, to, limit, offset }
+ *                           `actor` matches part of the email, `from`/`to` are ISO dates (inclusive)
+ * @returns {Promise<{entries: Array, total: number}>}
+ */
+async function listAuditEntries({
+  mockExamId = null,
+  action = null,
+  actor = null,
+  requestId = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0
+} = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  let query = supabaseAdmin
+    .from(AUDIT_TABLE)
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (mockExamId) {
+    query = query.eq('mock_exam_id', String(mockExamId));
+  }
+  if (action) {
+    query = query.eq('action', action);
+  }
+  if (actor) {
+    query = query.ilike('actor_email', `%${actor}%`);
+  }
+  if (requestId) {
+    query = query.eq('request_id', requestId);
+  }
+  if (from) {
+    query = query.gte('created_at', `${from}T00:00:00.000Z`);
+  }
+  if (to) {
+    query = query.lte('created_at', `${to}T23:59:59.999Z`);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error('❌ [AUDIT-LOG] Failed to read audit entries:', error.message);
+    throw error;
+  }
+
+  return { entries: data || [], total: count || 0 };
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  AUDIT_ACTIONS,
+  AUDITED_FIELDS,
+  diffChanges,
+  snapshotChanges,
+  getRequestId,
+  recordAuditEntries,
+  recordAudit,
+  recordPrerequisiteChange,
+  listAuditEntries
+};
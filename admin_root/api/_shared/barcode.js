@@ -0,0 +1,79 @@
+/**
+ * Code 128 Barcodes
+ * Encodes a value as Code 128 bar / space widths for drawing (see pdf.js)
+ *
+ * Even-length digit strings use code set C (two digits per symbol, half as wide),
+ * everything else code set B (printable ASCII). Only the widths are produced -
+ * the caller scales them to the module width it prints at and adds the quiet zones.
+ */
+
+// Widths (bar, space, bar, space, bar, space) of symbols 0-105, in modules
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+];
+
+const START_B = 104;
+const START_C = 105;
+const STOP_PATTERN = '2331112';
+
+// Quiet zone on each side of the bars, in modules
+const QUIET_ZONE = 10;
+
+/**
+ * Symbol values for a value
+ * @param {string} text
+ * @returns {Array<number>} - Start symbol, data and check symbol
+ * @throws {Error} - For characters Code 128 B can't encode
+ */
+function toSymbols(text) {
+  const useCodeC = /^\d+$/.test(text) && text.length >= 4 && text.length % 2 === 0;
+  const start = useCodeC ? START_C : START_B;
+
+  const data = useCodeC
+    ? text.match(/\d{2}/g).map(Number)
+    : [...text].map(char => {
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 126) {
+        throw new Error(`Cannot encode "${char}" in a Code 128 barcode`);
+      }
+      return code - 32;
+    });
+
+  const checksum = data.reduce((sum, value, index) => sum + value * (index + 1), start) % 103;
+  return [start, ...data, checksum];
+}
+
+/**
+ * Bar and space widths of a value, starting with a bar
+ * @param {string|number} value
+ * @returns {{ widths: Array<number>, modules: number }} - modules is the total width without quiet zones
+ */
+function encodeCode128(value) {
+  const text = String(value ?? '');
+  if (!text) {
+    throw new Error('Cannot encode an empty barcode');
+  }
+
+  const pattern = toSymbols(text).map(symbol => PATTERNS[symbol]).join('') + STOP_PATTERN;
+  const widths = [...pattern].map(Number);
+
+  return {
+    widths,
+    modules: widths.reduce((sum, width) => sum + width, 0)
+  };
+}
+
+module.exports = {
+  QUIET_ZONE,
+  encodeCode128
+};
@@ -0,0 +1,424 @@
+/**
+ * Credit Lots
+ * Token grants that expire
+ *
+ * The balances in hubspot_contact_credits are plain integers. A lot records that
+ * part of one balance was granted together and expires on a given date. Bookings
+ * draw from the earliest-expiring lot first, and the expire-credit-lots cron takes
+ * whatever is left of a lot off the balance once it expires.
+ *
+ * Balance not covered by any lot (purchases synced from HubSpot, grants without an
+ * expiry date) never expires and is used last. If tokens were used without going
+ * through the lots (so the lots add up to more than the balance), the balance is
+ * assumed to have come out of the earliest-expiring lots - see summarizeLots.
+ *
+ * Supabase table: credit_lots
+ *   id                uuid primary key default gen_random_uuid()
+ *   contact_id        text not null      -- hubspot_contact_credits.hubspot_id
+ *   student_id        text
+ *   credit_field      text not null      -- one of CREDIT_FIELDS (credit-ledger.js)
+ *   quantity          integer not null   -- tokens granted
+ *   remaining         integer not null   -- tokens not used yet
+ *   expires_at        timestamptz not null
+ *   granted_by        text               -- admin email or job name
+ *   note              text
+ *   created_at        timestamptz default now()
+ *   expired_at        timestamptz        -- set by the expiry job
+ *   expired_quantity  integer            -- tokens taken off the balance at expiry
+ *   index (contact_id, credit_field, expires_at) where expired_at is null
+ *
+ * Lot bookkeeping never blocks the balance change it follows: failures are logged
+ * and the balance stays authoritative.
+ *
+ * NOTE: Keep in sync with user_root/api/_shared/credit-lots.js
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { CREDIT_FIELDS } = require('./credit-ledger');
+
+const LOTS_TABLE = 'credit_lots';
+
+const EXPIRING_SOON_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the lots that still hold tokens (including lots past their expiry date the
+ * expiry job has not processed yet), earliest expiry first
+ *
+ * @param {string|Array<string>} contactIds - Contact HubSpot ID(s)
+ * @param {Array<string>} creditFields - Credit fields to include
+ * @returns {Promise<Array>} - Lot rows, [] if they could not be read
+ */
+async function getOpenLots(contactIds, creditFields = CREDIT_FIELDS) {
+  const ids = (Array.isArray(contactIds) ? contactIds : [contactIds])
+    .filter(Boolean)
+    .map(String);
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from(LOTS_TABLE)
+      .select('id, contact_id, credit_field, quantity, remaining, expires_at')
+      .in('contact_id', ids)
+      .in('credit_field', creditFields)
+      .is('expired_at', null)
+      .gt('remaining', 0)
+      .order('expires_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LOTS] Failed to read lots for ${ids.join(', ')} (non-blocking):`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Work out which part of each balance expires when
+ *
+ * The balance is matched against the lots from the latest expiry backwards; what
+ * is left after the last lot never expires. Lots past their expiry date still
+ * count towards the balance until the expiry job removes them, but are not usable.
+ *
+ * @param {Array} lots - Open lots of ONE contact (see getOpenLots)
+ * @param {Object} balances - hubspot_contact_credits row (or any object with CREDIT_FIELDS)
+ * @param {Object} options - { now, expiringSoonDays }
+ * @returns {Object} - Per credit field: { balance, usable_balance, non_expiring, lots, due,
+ *                     next_expiry, expiring_soon }
+ */
+function summarizeLots(lots, balances, { now = new Date(), expiringSoonDays = EXPIRING_SOON_DAYS } = {}) {
+  const nowMs = new Date(now).getTime();
+  const soonMs = nowMs + expiringSoonDays * DAY_MS;
+  const summary = {};
+
+  for (const field of CREDIT_FIELDS) {
+    const balance = Math.max(parseInt(balances?.[field]) || 0, 0);
+    const fieldLots = (lots || [])
+      .filter(lot => lot.credit_field === field && lot.remaining > 0)
+      .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+
+    let uncovered = balance;
+    const covered = [];
+
+    for (let i = fieldLots.length - 1; i >= 0 && uncovered > 0; i--) {
+      const lot = fieldLots[i];
+      const amount = Math.min(lot.remaining, uncovered);
+      covered.unshift({ id: lot.id, amount, expires_at: lot.expires_at });
+      uncovered -= amount;
+    }
+
+    const due = covered.filter(lot => new Date(lot.expires_at).getTime() <= nowMs);
+    const active = covered.filter(lot => new Date(lot.expires_at).getTime() > nowMs);
+    const dueTotal = due.reduce((sum, lot) => sum + lot.amount, 0);
+
+    summary[field] = {
+      balance,
+      usable_balance: balance - dueTotal,
+      non_expiring: uncovered,
+      lots: active,
+      due,
+      next_expiry: active[0] ? { expires_at: active[0].expires_at, amount: active[0].amount } : null,
+      expiring_soon: active
+        .filter(lot => new Date(lot.expires_at).getTime() <= soonMs)
+        .map(lot => ({ amount: lot.amount, expires_at: lot.expires_at }))
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Flatten the expiring-soon tokens of some credit fields, earliest first
+ *
+ * @param {Object} summary - Result of summarizeLots
+ * @param {Array<string>} creditFields - Fields to include
+ * @returns {Array<{credit_field: string, amount: number, expires_at: string}>}
+ */
+function listExpiringSoon(summary, creditFields = CREDIT_FIELDS) {
+  return creditFields
+    .flatMap(field => (summary?.[field]?.expiring_soon || []).map(lot => ({ credit_field: field, ...lot })))
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+/**
+ * Flatten every lot still holding usable tokens, earliest first
+ *
+ * @param {Object} summary - Result of summarizeLots
+ * @param {Array<string>} creditFields - Fields to include
+ * @returns {Array<{credit_field: string, amount: number, expires_at: string}>}
+ */
+function listActiveLots(summary, creditFields = CREDIT_FIELDS) {
+  return creditFields
+    .flatMap(field => (summary?.[field]?.lots || []).map(lot => ({
+      credit_field: field,
+      amount: lot.amount,
+      expires_at: lot.expires_at
+    })))
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+/**
+ * Choose which credit field a booking should use: the one whose tokens expire
+ * first. Fields with no expiring tokens come last; ties keep the order given.
+ *
+ * @param {Array<string>} candidateFields - Fields that can pay for the booking, in preference order
+ * @param {Object} summary - Result of summarizeLots
+ * @returns {string|null} - Credit field, or null if none has a usable token
+ */
+function pickCreditField(candidateFields, summary) {
+  const usable = candidateFields.filter(field => (summary?.[field]?.usable_balance || 0) > 0);
+
+  if (usable.length === 0) {
+    return null;
+  }
+
+  const expiryOf = field => {
+    const next = summary[field].next_expiry;
+    return next ? new Date(next.expires_at).getTime() : Infinity;
+  };
+
+  return usable.reduce((best, field) => (expiryOf(field) < expiryOf(best) ? field : best));
+}
+
+/**
+ * Read a contact's lots and summarize them against its balances
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @param {Object} balances - hubspot_contact_credits row
+ * @param {Object} options - See summarizeLots
+ * @returns {Promise<Object>}
+ */
+async function getCreditExpiry(contactId, balances, options = {}) {
+  const lots = await getOpenLots(contactId);
+  return summarizeLots(lots, balances, options);
+}
+
+/**
+ * Create a lot for tokens that were just added to a balance
+ *
+ * @param {Object} lot - { contactId, studentId, creditField, quantity, expiresAt, grantedBy, note }
+ * @returns {Promise<Object|null>} - Inserted row, or null if it could not be written
+ */
+async function grantLot({ contactId, studentId, creditField, quantity, expiresAt, grantedBy, note }) {
+  if (!contactId || !CREDIT_FIELDS.includes(creditField) || !(quantity > 0) || !expiresAt) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from(LOTS_TABLE)
+      .insert({
+        contact_id: String(contactId),
+        student_id: studentId || null,
+        credit_field: creditField,
+        quantity,
+        remaining: quantity,
+        expires_at: new Date(expiresAt).toISOString(),
+        granted_by: grantedBy || null,
+        note: note || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`🎟️ [CREDIT-LOTS] Granted ${quantity} ${creditField} to contact ${contactId}, expiring ${data.expires_at}`);
+    return data;
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LOTS] Failed to grant ${quantity} ${creditField} to contact ${contactId} (non-blocking):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Take used tokens out of a contact's lots, earliest expiry first
+ * Call after the balance itself has been decremented.
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @param {string} creditField - Credit field the tokens were taken from
+ * @param {number} amount - Tokens used
+ * @returns {Promise<Array<{lot_id: string, amount: number}>>} - What was taken from which lot
+ */
+async function consumeFromLots(contactId, creditField, amount = 1) {
+  const consumed = [];
+  let left = amount;
+
+  try {
+    const now = Date.now();
+    const lots = (await getOpenLots(contactId, [creditField]))
+      .filter(lot => new Date(lot.expires_at).getTime() > now);
+
+    for (const lot of lots) {
+      if (left <= 0) {
+        break;
+      }
+
+      const take = Math.min(lot.remaining, left);
+
+      // Compare-and-set on remaining so two concurrent bookings can't both take the same token
+      const { data, error } = await supabaseAdmin
+        .from(LOTS_TABLE)
+        .update({ remaining: lot.remaining - take })
+        .eq('id', lot.id)
+        .eq('remaining', lot.remaining)
+        .select('id');
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        continue; // Lot changed underneath us - take from the next one
+      }
+
+      consumed.push({ lot_id: lot.id, amount: take });
+      left -= take;
+    }
+
+    if (consumed.length > 0) {
+      console.log(`🎟️ [CREDIT-LOTS] Used ${amount - left} ${creditField} from ${consumed.length} lot(s) for contact ${contactId}`);
+    }
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LOTS] Failed to use ${creditField} lots for contact ${contactId} (non-blocking):`, error.message);
+  }
+
+  return consumed;
+}
+
+/**
+ * Put returned tokens (cancellations, refunds) back into the earliest-expiring
+ * lot that has room and has not expired. Tokens that fit in no lot become
+ * non-expiring balance.
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @param {string} creditField - Credit field the tokens were returned to
+ * @param {number} amount - Tokens returned
+ * @returns {Promise<number>} - Tokens put back into lots
+ */
+async function restoreToLots(contactId, creditField, amount = 1) {
+  let left = amount;
+
+  try {
+    const { data: lots, error } = await supabaseAdmin
+      .from(LOTS_TABLE)
+      .select('id, quantity, remaining, expires_at')
+      .eq('contact_id', String(contactId))
+      .eq('credit_field', creditField)
+      .is('expired_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    for (const lot of (lots || []).filter(row => row.remaining < row.quantity)) {
+      if (left <= 0) {
+        break;
+      }
+
+      const give = Math.min(lot.quantity - lot.remaining, left);
+
+      const { data, error: updateError } = await supabaseAdmin
+        .from(LOTS_TABLE)
+        .update({ remaining: lot.remaining + give })
+        .eq('id', lot.id)
+        .eq('remaining', lot.remaining)
+        .select('id');
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      if (data && data.length > 0) {
+        left -= give;
+      }
+    }
+
+    if (left < amount) {
+      console.log(`🎟️ [CREDIT-LOTS] Returned ${amount - left} ${creditField} to lots for contact ${contactId}`);
+    }
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LOTS] Failed to return ${creditField} to lots for contact ${contactId} (non-blocking):`, error.message);
+  }
+
+  return amount - left;
+}
+
+/**
+ * Get lots past their expiry date that still hold tokens
+ *
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Array>} - Lot rows, earliest expiry first
+ */
+async function getDueLots({ now = new Date(), limit = 500 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from(LOTS_TABLE)
+    .select('id, contact_id, student_id, credit_field, quantity, remaining, expires_at')
+    .is('expired_at', null)
+    .gt('remaining', 0)
+    .lte('expires_at', new Date(now).toISOString())
+    .order('expires_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('❌ [CREDIT-LOTS] Failed to list expired lots:', error.message);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Close an expired lot before its tokens are taken off the balance
+ * Compare-and-set on remaining/expired_at so overlapping runs expire a lot once.
+ *
+ * @param {Object} lot - Lot row (id, remaining)
+ * @param {number} expiredQuantity - Tokens that will be taken off the balance
+ * @returns {Promise<boolean>} - False if another run got there first
+ */
+async function closeExpiredLot(lot, expiredQuantity) {
+  const { data, error } = await supabaseAdmin
+    .from(LOTS_TABLE)
+    .update({
+      remaining: 0,
+      expired_at: new Date().toISOString(),
+      expired_quantity: expiredQuantity
+    })
+    .eq('id', lot.id)
+    .eq('remaining', lot.remaining)
+    .is('expired_at', null)
+    .select('id');
+
+  if (error) {
+    console.error(`❌ [CREDIT-LOTS] Failed to close lot ${lot.id}:`, error.message);
+    throw error;
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+module.exports = {
+  LOTS_TABLE,
+  EXPIRING_SOON_DAYS,
+  getOpenLots,
+  summarizeLots,
+  listExpiringSoon,
+  listActiveLots,
+  pickCreditField,
+  getCreditExpiry,
+  grantLot,
+  consumeFromLots,
+  restoreToLots,
+  getDueLots,
+  closeExpiredLot
+};
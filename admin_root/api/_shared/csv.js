@@ -0,0 +1,36 @@
+/**
+ * CSV Helpers
+ * Cell escaping shared by every CSV download
+ */
+
+// A text cell starting with one of these is read as a formula by Excel / Sheets
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Escape one CSV cell
+ *
+ * Quotes cells containing a comma, quote or line break, and prefixes text cells
+ * that would start a formula with a single quote so spreadsheets show them as text.
+ * Numbers are written as they are (negative numbers stay numbers).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+
+  if (typeof value !== 'number' && FORMULA_PREFIXES.includes(str[0])) {
+    str = `'${str}`;
+  }
+
+  // Escape quotes and wrap in quotes if contains comma, quote, or newline
+  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+module.exports = {
+  escapeCSV
+};
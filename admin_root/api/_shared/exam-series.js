@@ -0,0 +1,526 @@
+/**
+ * Recurring Session Series
+ * Sessions generated from one recurrence rule and managed together
+ *
+ * A series is created from a recurrence ("every Saturday for 10 weeks, skipping
+ * holidays") plus the usual time slots. Every generated session is an ordinary
+ * mock exam that carries the series id in its series_id property (HubSpot, source
+ * of truth) and column (hubspot_mock_exams). Edits, reschedules, deactivation and
+ * deletion can then target one session, a session and the ones after it, or the
+ * whole series - see SERIES_SCOPES.
+ *
+ * Supabase table: exam_series
+ *   id              uuid primary key     -- also written to each session's series_id
+ *   name            text
+ *   mock_type       text not null
+ *   mock_set        text
+ *   location        text not null
+ *   capacity        integer              -- null when capacity is set per slot
+ *   time_slots      jsonb not null       -- [{ start_time: 'HH:MM', end_time: 'HH:MM', capacity? }]
+ *   weekdays        integer[] not null   -- 0 = Sunday ... 6 = Saturday
+ *   interval_weeks  integer default 1
+ *   start_date      date not null
+ *   end_date        date not null
+ *   skip_dates      date[]
+ *   skip_holidays   boolean default false
+ *   created_by      text
+ *   created_at      timestamptz default now()
+ *   updated_at      timestamptz default now()
+ *
+ * Supabase column: hubspot_mock_exams.series_id uuid (index)
+ * HubSpot property: mock_exams.series_id (single-line text)
+ *
+ * The series row describes how the sessions were generated and is kept as a
+ * reference; the sessions themselves are always read by series_id.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const hubspot = require('./hubspot');
+const { HUBSPOT_OBJECTS } = require('./hubspot');
+
+const SERIES_TABLE = 'exam_series';
+
+const SERIES_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  ALL: 'all'
+};
+
+// One HubSpot batch create
+const MAX_SERIES_SESSIONS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============== DATES ==============
+
+const toUTCDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function addDays(dateString, days) {
+  return formatDate(new Date(toUTCDate(dateString).getTime() + days * DAY_MS));
+}
+
+/**
+ * Today's date in Toronto (sessions are scheduled in Toronto time)
+ * @param {Date} [now]
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getTorontoToday(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: 'America/Toronto' });
+}
+
+// nth weekday of a month (n = 1 for the first)
+const nthWeekday = (year, month, weekday, n) => {
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+};
+
+// Anonymous Gregorian algorithm
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Ontario holidays the campuses close for (on the day itself, not the observed day)
+ * @param {number} year
+ * @returns {Map<string, string>} - YYYY-MM-DD -> holiday name
+ */
+function getHolidays(year) {
+  const easter = getEasterSunday(year);
+  // Victoria Day: the Monday before May 25
+  const may24 = new Date(Date.UTC(year, 4, 24));
+  const victoriaDay = new Date(may24.getTime() - ((may24.getUTCDay() + 6) % 7) * DAY_MS);
+
+  return new Map([
+    [`${year}-01-01`, "New Year's Day"],
+    [formatDate(nthWeekday(year, 1, 1, 3)), 'Family Day'],
+    [formatDate(new Date(easter.getTime() - 2 * DAY_MS)), 'Good Friday'],
+    [formatDate(victoriaDay), 'Victoria Day'],
+    [`${year}-07-01`, 'Canada Day'],
+    [formatDate(nthWeekday(year, 7, 1, 1)), 'Civic Holiday'],
+    [formatDate(nthWeekday(year, 8, 1, 1)), 'Labour Day'],
+    [formatDate(nthWeekday(year, 9, 1, 2)), 'Thanksgiving'],
+    [`${year}-12-25`, 'Christmas Day'],
+    [`${year}-12-26`, 'Boxing Day']
+  ]);
+}
+
+/**
+ * Get the end date of a recurrence (end_date, or start_date plus a number of weeks)
+ * @param {Object} recurrence - { start_date, end_date?, weeks? }
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getRecurrenceEndDate(recurrence) {
+  if (recurrence.end_date) {
+    return recurrence.end_date;
+  }
+  return addDays(recurrence.start_date, (recurrence.weeks || 1) * 7 - 1);
+}
+
+/**
+ * Generate the session dates of a recurrence
+ *
+ * Weeks are counted from start_date, so with interval_weeks = 2 the dates fall in
+ * the 1st, 3rd, 5th... week after the start date.
+ *
+ * @param {Object} recurrence
+ * @param {string} recurrence.start_date - First possible date (YYYY-MM-DD)
+ * @param {Array<number>} recurrence.weekdays - Days of the week (0 = Sunday ... 6 = Saturday)
+ * @param {number} [recurrence.interval_weeks=1] - Repeat every N weeks
+ * @param {number} [recurrence.weeks] - How many weeks the series runs (when no end_date)
+ * @param {string} [recurrence.end_date] - Last possible date (YYYY-MM-DD)
+ * @param {Array<string>} [recurrence.skip_dates] - Dates to leave out
+ * @param {boolean} [recurrence.skip_holidays] - Leave out holidays (see getHolidays)
+ * @returns {{dates: Array<string>, skipped: Array<{date: string, reason: string, name?: string}>}}
+ */
+function generateSeriesDates(recurrence) {
+  const {
+    start_date: startDate,
+    weekdays = [],
+    interval_weeks: intervalWeeks = 1,
+    skip_dates: skipDates = [],
+    skip_holidays: skipHolidays = false
+  } = recurrence;
+
+  const endDate = getRecurrenceEndDate(recurrence);
+  const skipSet = new Set(skipDates);
+  const holidaysByYear = new Map();
+
+  const dates = [];
+  const skipped = [];
+
+  const start = toUTCDate(startDate).getTime();
+  const end = toUTCDate(endDate).getTime();
+
+  for (let time = start; time <= end; time += DAY_MS) {
+    const day = new Date(time);
+    const weekIndex = Math.floor((time - start) / (7 * DAY_MS));
+
+    if (weekIndex % intervalWeeks !== 0 || !weekdays.includes(day.getUTCDay())) {
+      continue;
+    }
+
+    const date = formatDate(day);
+
+    if (skipSet.has(date)) {
+      skipped.push({ date, reason: 'skip_date' });
+      continue;
+    }
+
+    if (skipHolidays) {
+      const year = day.getUTCFullYear();
+      if (!holidaysByYear.has(year)) {
+        holidaysByYear.set(year, getHolidays(year));
+      }
+      const holiday = holidaysByYear.get(year).get(date);
+      if (holiday) {
+        skipped.push({ date, reason: 'holiday', name: holiday });
+        continue;
+      }
+    }
+
+    dates.push(date);
+  }
+
+  return { dates, skipped };
+}
+
+// ============== SCOPES ==============
+
+const sessionDate = (session) => String(session.properties?.exam_date || '').split('T')[0];
+
+const sessionStart = (session) => {
+  const value = session.properties?.start_time;
+  if (!value) return 0;
+  const time = /^\d+$/.test(String(value)) ? parseInt(value) : new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+/**
+ * Sort series sessions by date, then start time
+ * @param {Array} sessions - Sessions in { id, properties } form
+ * @returns {Array} - New sorted array
+ */
+function sortSessions(sessions) {
+  return [...sessions].sort((a, b) =>
+    sessionDate(a).localeCompare(sessionDate(b)) || sessionStart(a) - sessionStart(b)
+  );
+}
+
+/**
+ * Pick the sessions a scoped action applies to
+ * @param {Array} sessions - All sessions of the series in { id, properties } form
+ * @param {string} anchorId - Session the action was started from
+ * @param {string} scope - One of SERIES_SCOPES
+ * @returns {Array} - Sessions in date order, [] if the anchor is not in the series
+ */
+function selectScopedSessions(sessions, anchorId, scope) {
+  const sorted = sortSessions(sessions);
+  const anchorIndex = sorted.findIndex(session => String(session.id) === String(anchorId));
+
+  if (scope === SERIES_SCOPES.ALL) {
+    return sorted;
+  }
+
+  if (anchorIndex === -1) {
+    return [];
+  }
+
+  if (scope === SERIES_SCOPES.FOLLOWING) {
+    return sorted.slice(anchorIndex);
+  }
+
+  return [sorted[anchorIndex]];
+}
+
+// ============== UPDATES ==============
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const mapIsActiveToHubSpot = (value) => {
+  if (value === true || value === 'true' || value === 'active') return 'true';
+  if (value === false || value === 'false' || value === 'inactive') return 'false';
+  return value;
+};
+
+/**
+ * Build the HubSpot properties for one session of a series-level change
+ *
+ * @param {Object} session - Session in { id, properties } form
+ * @param {Object} changes
+ * @param {number} [changes.shift_days] - Move the session by N days (reschedule)
+ * @param {string} [changes.start_time] - New start time (HH:MM)
+ * @param {string} [changes.end_time] - New end time (HH:MM)
+ * @param {string} [changes.location]
+ * @param {string} [changes.mock_set] - '' to clear
+ * @param {number} [changes.capacity]
+ * @param {string} [changes.is_active] - 'true' | 'false' (or 'active' | 'inactive')
+ * @returns {{properties?: Object, error?: string}}
+ */
+function buildSessionUpdate(session, changes) {
+  const props = session.properties || {};
+  const properties = {};
+
+  const currentDate = sessionDate(session);
+  const newDate = changes.shift_days ? addDays(currentDate, changes.shift_days) : currentDate;
+
+  if (changes.shift_days || changes.start_time || changes.end_time) {
+    const startTime = changes.start_time || hubspot.extractTimeFromTimestamp(props.start_time);
+    const endTime = changes.end_time || hubspot.extractTimeFromTimestamp(props.end_time);
+
+    if (!startTime || !endTime) {
+      return { error: 'Could not read the current session times' };
+    }
+
+    if (toMinutes(endTime) <= toMinutes(startTime)) {
+      return { error: `End time (${endTime}) must be after start time (${startTime})` };
+    }
+
+    properties.start_time = hubspot.convertToTimestamp(newDate, startTime).toString();
+    properties.end_time = hubspot.convertToTimestamp(newDate, endTime).toString();
+
+    if (newDate !== currentDate) {
+      properties.exam_date = newDate;
+    }
+  }
+
+  if (changes.capacity !== undefined) {
+    const totalBookings = parseInt(props.total_bookings) || 0;
+    if (changes.capacity < totalBookings) {
+      return { error: `Capacity (${changes.capacity}) cannot be less than total bookings (${totalBookings})` };
+    }
+    properties.capacity = changes.capacity.toString();
+  }
+
+  if (changes.location) {
+    properties.location = changes.location;
+  }
+
+  if (changes.mock_set !== undefined) {
+    properties.mock_set = changes.mock_set || '';
+  }
+
+  if (changes.is_active !== undefined) {
+    properties.is_active = mapIsActiveToHubSpot(changes.is_active);
+
+    // Leaving 'scheduled' - the activation date no longer applies
+    if (props.is_active === 'scheduled' && properties.is_active !== 'scheduled') {
+      properties.scheduled_activation_datetime = '';
+    }
+  }
+
+  // Format: {mock_type}-{location}-{exam_date}
+  if (properties.location || properties.exam_date) {
+    properties.mock_exam_name = `${props.mock_type}-${properties.location || props.location}-${properties.exam_date || currentDate}`;
+  }
+
+  return { properties };
+}
+
+// ============== STORAGE ==============
+
+/**
+ * Save a series definition
+ * @param {Object} series - Row for the exam_series table (id included)
+ * @returns {Promise<Object|null>} - Saved row, null if it could not be saved
+ */
+async function createSeriesRecord(series) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from(SERIES_TABLE)
+      .insert(series)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error(`⚠️ [SERIES] Failed to save series ${series.id} (non-blocking):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a series definition
+ * @param {string} seriesId
+ * @returns {Promise<Object|null>} - Series row, null if missing or unreadable
+ */
+async function getSeriesRecord(seriesId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from(SERIES_TABLE)
+      .select('*')
+      .eq('id', seriesId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error(`⚠️ [SERIES] Failed to read series ${seriesId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Update a series definition (non-blocking)
+ * @param {string} seriesId
+ * @param {Object} patch - Columns to change
+ * @returns {Promise<boolean>} - Whether the row was updated
+ */
+async function updateSeriesRecord(seriesId, patch) {
+  try {
+    const { error } = await supabaseAdmin
+      .from(SERIES_TABLE)
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', seriesId);
+
+    if (error) {
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`⚠️ [SERIES] Failed to update series ${seriesId} (non-blocking):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a series definition once it has no sessions left (non-blocking)
+ * @param {string} seriesId
+ * @returns {Promise<boolean>} - Whether the row was deleted
+ */
+async function deleteSeriesRecord(seriesId) {
+  try {
+    const { error } = await supabaseAdmin
+      .from(SERIES_TABLE)
+      .delete()
+      .eq('id', seriesId);
+
+    if (error) {
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`⚠️ [SERIES] Failed to delete series ${seriesId} (non-blocking):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the sessions of a series (Supabase first, HubSpot search as fallback)
+ * @param {string} seriesId
+ * @returns {Promise<Array>} - Sessions in { id, createdAt, updatedAt, properties } form, in date order
+ */
+async function getSeriesSessions(seriesId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('*')
+      .eq('series_id', seriesId);
+
+    if (error) {
+      throw error;
+    }
+
+    return sortSessions((data || []).map(exam => ({
+      id: exam.hubspot_id,
+      createdAt: exam.created_at,
+      updatedAt: exam.updated_at,
+      properties: {
+        mock_type: exam.mock_type,
+        mock_set: exam.mock_set,
+        exam_date: exam.exam_date,
+        start_time: exam.start_time,
+        end_time: exam.end_time,
+        capacity: exam.capacity?.toString(),
+        total_bookings: exam.total_bookings?.toString(),
+        location: exam.location,
+        is_active: exam.is_active,
+        mock_exam_name: exam.mock_exam_name,
+        scheduled_activation_datetime: exam.scheduled_activation_datetime,
+        series_id: exam.series_id,
+        booking_cutoff_hours: exam.booking_cutoff_hours?.toString(),
+        scheduled_deactivation_datetime: exam.scheduled_deactivation_datetime
+      }
+    })));
+  } catch (error) {
+    console.error(`⚠️ [SERIES] Supabase read failed for series ${seriesId}, falling back to HubSpot:`, error.message);
+  }
+
+  const sessions = [];
+  let after;
+
+  do {
+    const response = await hubspot.apiCall('POST', `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/search`, {
+      filterGroups: [{ filters: [{ propertyName: 'series_id', operator: 'EQ', value: seriesId }] }],
+      properties: [
+        'mock_type', 'mock_set', 'exam_date', 'start_time', 'end_time', 'capacity',
+        'total_bookings', 'location', 'is_active', 'mock_exam_name',
+        'scheduled_activation_datetime', 'series_id',
+        'booking_cutoff_hours', 'scheduled_deactivation_datetime'
+      ],
+      limit: 100,
+      ...(after && { after })
+    });
+
+    sessions.push(...(response.results || []));
+    after = response.paging?.next?.after;
+  } while (after);
+
+  return sortSessions(sessions);
+}
+
+module.exports = {
+  SERIES_TABLE,
+  SERIES_SCOPES,
+  MAX_SERIES_SESSIONS,
+  addDays,
+  getTorontoToday,
+  getHolidays,
+  getRecurrenceEndDate,
+  generateSeriesDates,
+  sortSessions,
+  selectScopedSessions,
+  buildSessionUpdate,
+  createSeriesRecord,
+  getSeriesRecord,
+  updateSeriesRecord,
+  deleteSeriesRecord,
+  getSeriesSessions
+};
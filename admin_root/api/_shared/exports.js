@@ -0,0 +1,441 @@
+/**
+ * Data Exports
+ * Server-side booking and trainee exports, read straight from Supabase
+ *
+ * - Rosters: the bookings of one or many sessions (hubspot_bookings.associated_mock_exam)
+ * - Bookings: every booking in a date range, filtered by location, mock type and status
+ * - Trainees: hubspot_contact_credits with their token balances
+ *
+ * Column ids for bookings are the ones the bookings table's column picker uses
+ * (useColumnVisibility.js), plus a few export-only ones. Whatever columns are
+ * asked for, they always come out in the order of the definitions below so
+ * spreadsheets built on top of an export don't shift around - add new columns
+ * at the end.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { getTorontoToday } = require('./exam-series');
+const { CREDIT_FIELDS } = require('./credit-ledger');
+const { buildXlsx, XLSX_CONTENT_TYPE } = require('./xlsx');
+const { getSeatLabels } = require('./stations');
+const { escapeCSV } = require('./csv');
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+// Larger exports have to be narrowed down rather than silently cut off
+const MAX_EXPORT_ROWS = 50000;
+const MAX_EXPORT_SESSIONS = 100;
+
+/**
+ * Time of day in Toronto, e.g. "8:30 AM"
+ * @param {string|number} value - ISO string or Unix ms
+ * @returns {string|null}
+ */
+function formatTime(value) {
+  if (!value) return null;
+
+  const date = /^\d+$/.test(String(value)) ? new Date(parseInt(value, 10)) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: 'America/Toronto'
+  });
+}
+
+function formatDate(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function formatDominantHand(hand) {
+  if (hand === null || hand === undefined || hand === '') return null;
+  if (hand === true || hand === 'true') return 'Right Hand';
+  if (hand === false || hand === 'false') return 'Left Hand';
+  return hand;
+}
+
+/**
+ * Status shown in the bookings table: cancelled, completed once the session date
+ * has passed, otherwise active
+ */
+function getBookingStatus(booking, today) {
+  if (String(booking.is_active || '').toLowerCase() === 'cancelled') return 'Cancelled';
+  if (booking.exam_date && booking.exam_date < today) return 'Completed';
+  return 'Active';
+}
+
+const BOOKING_EXPORT_COLUMNS = [
+  { id: 'name', header: 'Name', value: row => row.name },
+  { id: 'email', header: 'Email', value: row => row.email },
+  { id: 'student_id', header: 'Student ID', value: row => row.student_id },
+  { id: 'mock_type', header: 'Mock Type', value: row => row.mock_type },
+  { id: 'mock_set', header: 'Set', value: row => row.mock_set },
+  { id: 'exam_date', header: 'Exam Date', value: row => row.exam_date },
+  {
+    id: 'time',
+    header: 'Time',
+    value: row => (row.start_time && row.end_time ? `${formatTime(row.start_time)} - ${formatTime(row.end_time)}` : null)
+  },
+  { id: 'location', header: 'Session Location', value: row => row.location },
+  { id: 'attending_location', header: 'Attending Location', value: row => row.attending_location },
+  { id: 'dominant_hand', header: 'Dominant Hand', value: row => formatDominantHand(row.dominant_hand) },
+  { id: 'status', header: 'Booking Status', value: row => row.status },
+  { id: 'attendance', header: 'Attendance', value: row => row.attendance },
+  { id: 'token_used', header: 'Token Used', value: row => row.token_used },
+  { id: 'booking_date', header: 'Booking Date', value: row => formatDate(row.booking_date) },
+  { id: 'ndecc_exam_date', header: 'NDECC Exam Date', value: row => formatDate(row.ndecc_exam_date) },
+  { id: 'booking_id', header: 'Booking ID', value: row => row.booking_id },
+  { id: 'mock_exam_id', header: 'Session ID', value: row => row.mock_exam_id },
+  { id: 'contact_id', header: 'Contact ID', value: row => row.contact_id },
+  { id: 'system_record_id', header: 'System Record ID', value: row => row.system_record_id },
+  { id: 'station', header: 'Station', value: row => row.station }
+];
+
+const DEFAULT_BOOKING_COLUMNS = [
+  'name', 'email', 'student_id', 'mock_type', 'exam_date', 'time', 'location', 'status', 'token_used', 'booking_date'
+];
+
+const CREDIT_HEADERS = {
+  sj_credits: 'SJ Tokens',
+  cs_credits: 'CS Tokens',
+  sjmini_credits: 'Mini-mock Tokens',
+  mock_discussion_token: 'Mock Discussion Tokens',
+  shared_mock_credits: 'Shared Mock Tokens'
+};
+
+const TRAINEE_EXPORT_COLUMNS = [
+  { id: 'name', header: 'Name', value: row => row.name },
+  { id: 'email', header: 'Email', value: row => row.email },
+  { id: 'student_id', header: 'Student ID', value: row => row.student_id },
+  { id: 'ndecc_exam_date', header: 'NDECC Exam Date', value: row => formatDate(row.ndecc_exam_date) },
+  ...CREDIT_FIELDS.map(field => ({ id: field, header: CREDIT_HEADERS[field] || field, value: row => row[field] })),
+  { id: 'total_tokens', header: 'Total Tokens', value: row => row.total_tokens },
+  { id: 'contact_id', header: 'Contact ID', value: row => row.contact_id }
+];
+
+const DEFAULT_TRAINEE_COLUMNS = TRAINEE_EXPORT_COLUMNS
+  .map(column => column.id)
+  .filter(id => id !== 'contact_id');
+
+/**
+ * Column definitions to export, in definition order
+ *
+ * @param {Array<Object>} definitions - BOOKING_EXPORT_COLUMNS or TRAINEE_EXPORT_COLUMNS
+ * @param {string|Array<string>} requested - Column ids (comma-separated or array); defaults when empty
+ * @param {Array<string>} defaults - Column ids used when none are requested
+ * @returns {Array<Object>}
+ * @throws {Error} - 400 INVALID_COLUMNS for unknown ids
+ */
+function resolveColumns(definitions, requested, defaults) {
+  const ids = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+
+  const wanted = new Set(ids.length > 0 ? ids : defaults);
+  const unknown = [...wanted].filter(id => !definitions.some(column => column.id === id));
+
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown export columns: ${unknown.join(', ')}`);
+    error.status = 400;
+    error.code = 'INVALID_COLUMNS';
+    throw error;
+  }
+
+  return definitions.filter(column => wanted.has(column.id));
+}
+
+function tooLarge() {
+  const error = new Error(`Exports are limited to ${MAX_EXPORT_ROWS} rows - narrow the filters`);
+  error.status = 400;
+  error.code = 'EXPORT_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Read every row of a Supabase query, PAGE_SIZE at a time
+ * @param {Function} buildQuery - () => query builder (a new one per page)
+ * @param {number} alreadyRead - Rows read by earlier queries of the same export
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} - 400 EXPORT_TOO_LARGE past MAX_EXPORT_ROWS
+ */
+async function readAllRows(buildQuery, alreadyRead = 0) {
+  const rows = [];
+
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('❌ [EXPORT] Supabase read failed:', error.message);
+      throw error;
+    }
+
+    rows.push(...(data || []));
+    if (alreadyRead + rows.length > MAX_EXPORT_ROWS) throw tooLarge();
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Sessions by id
+ * @param {Array<string>} examIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getSessions(examIds) {
+  const sessions = new Map();
+
+  for (let i = 0; i < examIds.length; i += ID_CHUNK) {
+    const chunk = examIds.slice(i, i + ID_CHUNK);
+    const { data, error } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, mock_type, mock_set, exam_date, start_time, end_time, location')
+      .in('hubspot_id', chunk);
+
+    if (error) {
+      console.error('❌ [EXPORT] Failed to read sessions:', error.message);
+      throw error;
+    }
+
+    (data || []).forEach(exam => sessions.set(String(exam.hubspot_id), exam));
+  }
+
+  return sessions;
+}
+
+const BOOKING_SELECT = 'id, hubspot_id, booking_id, associated_mock_exam, associated_contact_id, student_id, name, student_email, ' +
+  'is_active, attendance, attending_location, exam_date, dominant_hand, token_used, mock_type, mock_set, ' +
+  'start_time, end_time, ndecc_exam_date, created_at';
+
+/**
+ * Load the bookings to export, either the rosters of some sessions or every
+ * booking in a date range
+ *
+ * @param {Object} filters
+ * @param {Array<string>} [filters.examIds] - Sessions to export the rosters of
+ * @param {string} [filters.startDate] - YYYY-MM-DD (range exports)
+ * @param {string} [filters.endDate] - YYYY-MM-DD (range exports)
+ * @param {string} [filters.mockType]
+ * @param {string} [filters.location] - Session location (attending location when the session is gone)
+ * @param {'active'|'cancelled'|'all'} [filters.status] - 'active' leaves cancelled bookings out
+ * @returns {Promise<{rows: Array<Object>, sessions: Array<Object>}>} - rows sorted by session then name;
+ *   sessions are the requested sessions (rosters) in date order
+ * @throws {Error} - 404 SESSION_NOT_FOUND for unknown session ids, 400 EXPORT_TOO_LARGE
+ */
+async function loadBookingExportRows({ examIds = [], startDate, endDate, mockType, location, status = 'active' } = {}) {
+  const today = getTorontoToday();
+  let bookingRows = [];
+  let requestedSessions = null;
+
+  if (examIds.length > 0) {
+    requestedSessions = await getSessions(examIds);
+    const missing = examIds.filter(id => !requestedSessions.has(String(id)));
+
+    if (missing.length > 0) {
+      const error = new Error(`Sessions not found: ${missing.join(', ')}`);
+      error.status = 404;
+      error.code = 'SESSION_NOT_FOUND';
+      throw error;
+    }
+
+    for (let i = 0; i < examIds.length; i += ID_CHUNK) {
+      const chunk = examIds.slice(i, i + ID_CHUNK);
+      bookingRows.push(...await readAllRows(() => supabaseAdmin
+        .from('hubspot_bookings')
+        .select(BOOKING_SELECT)
+        .in('associated_mock_exam', chunk)
+        .order('hubspot_id', { ascending: true }), bookingRows.length));
+    }
+  } else {
+    bookingRows = await readAllRows(() => {
+      let query = supabaseAdmin
+        .from('hubspot_bookings')
+        .select(BOOKING_SELECT)
+        .gte('exam_date', startDate)
+        .lte('exam_date', endDate)
+        .order('exam_date', { ascending: true })
+        .order('hubspot_id', { ascending: true });
+
+      if (mockType) query = query.eq('mock_type', mockType);
+      return query;
+    });
+  }
+
+  const sessions = requestedSessions || await getSessions(
+    [...new Set(bookingRows.map(row => row.associated_mock_exam).filter(Boolean).map(String))]
+  );
+
+  const rows = bookingRows
+    .filter(row => {
+      const cancelled = String(row.is_active || '').toLowerCase() === 'cancelled';
+      if (status === 'active') return !cancelled;
+      if (status === 'cancelled') return cancelled;
+      return true;
+    })
+    .map(row => {
+      const session = sessions.get(String(row.associated_mock_exam)) || {};
+      const examDate = formatDate(row.exam_date || session.exam_date);
+
+      return {
+        name: row.name || null,
+        email: row.student_email || null,
+        student_id: row.student_id || null,
+        mock_type: row.mock_type || session.mock_type || null,
+        mock_set: row.mock_set || session.mock_set || null,
+        exam_date: examDate,
+        start_time: row.start_time || session.start_time || null,
+        end_time: row.end_time || session.end_time || null,
+        location: session.location || row.attending_location || null,
+        attending_location: row.attending_location || null,
+        dominant_hand: row.dominant_hand,
+        status: getBookingStatus({ ...row, exam_date: examDate }, today),
+        attendance: row.attendance || null,
+        token_used: row.token_used || null,
+        booking_date: row.created_at || null,
+        ndecc_exam_date: row.ndecc_exam_date || null,
+        booking_id: row.booking_id || null,
+        mock_exam_id: row.associated_mock_exam ? String(row.associated_mock_exam) : null,
+        contact_id: row.associated_contact_id || null,
+        system_record_id: row.id || row.hubspot_id || null,
+        hubspot_id: row.hubspot_id ? String(row.hubspot_id) : null,
+        station: null
+      };
+    })
+    .filter(row => !mockType || row.mock_type === mockType)
+    .filter(row => !location || String(row.location || '').toLowerCase() === location.toLowerCase());
+
+  // Clinical Skills seats (station_assignments are keyed by hubspot_bookings.id)
+  const seatLabels = await getSeatLabels(rows.map(row => row.system_record_id));
+  rows.forEach(row => {
+    row.station = seatLabels.get(String(row.system_record_id)) || null;
+  });
+
+  rows.sort((a, b) =>
+    String(a.exam_date || '').localeCompare(String(b.exam_date || '')) ||
+    String(a.start_time || '').localeCompare(String(b.start_time || '')) ||
+    String(a.mock_exam_id || '').localeCompare(String(b.mock_exam_id || '')) ||
+    String(a.name || '').localeCompare(String(b.name || ''), 'en', { sensitivity: 'base' }) ||
+    String(a.system_record_id || '').localeCompare(String(b.system_record_id || ''))
+  );
+
+  const sessionList = requestedSessions
+    ? examIds
+      .map(id => requestedSessions.get(String(id)))
+      .sort((a, b) =>
+        String(a.exam_date || '').localeCompare(String(b.exam_date || '')) ||
+        String(a.start_time || '').localeCompare(String(b.start_time || '')))
+    : [];
+
+  console.log(`📥 [EXPORT] ${rows.length} bookings${examIds.length > 0 ? ` from ${examIds.length} sessions` : ` from ${startDate} to ${endDate}`}`);
+
+  return { rows, sessions: sessionList };
+}
+
+/**
+ * Load trainees with their token balances
+ *
+ * @param {Object} filters - { withTokens: only trainees holding at least one token }
+ * @returns {Promise<Array<Object>>} - Sorted by name, then email
+ */
+async function loadTraineeExportRows({ withTokens = false } = {}) {
+  const contacts = await readAllRows(() => supabaseAdmin
+    .from('hubspot_contact_credits')
+    .select(['hubspot_id', 'firstname', 'lastname', 'email', 'student_id', 'ndecc_exam_date', ...CREDIT_FIELDS].join(', '))
+    .order('hubspot_id', { ascending: true }));
+
+  const rows = contacts
+    .map(contact => {
+      const balances = Object.fromEntries(CREDIT_FIELDS.map(field => [field, parseInt(contact[field]) || 0]));
+
+      return {
+        contact_id: contact.hubspot_id,
+        name: [contact.firstname, contact.lastname].filter(Boolean).join(' ') || null,
+        email: contact.email || null,
+        student_id: contact.student_id || null,
+        ndecc_exam_date: contact.ndecc_exam_date || null,
+        ...balances,
+        total_tokens: Object.values(balances).reduce((sum, count) => sum + count, 0)
+      };
+    })
+    .filter(row => !withTokens || row.total_tokens > 0);
+
+  rows.sort((a, b) =>
+    String(a.name || '').localeCompare(String(b.name || ''), 'en', { sensitivity: 'base' }) ||
+    String(a.email || '').localeCompare(String(b.email || '')));
+
+  console.log(`📥 [EXPORT] ${rows.length} trainees${withTokens ? ' with tokens' : ''}`);
+
+  return rows;
+}
+
+/**
+ * Header and cell values of the export rows
+ * @param {Array<Object>} columns - From resolveColumns
+ * @param {Array<Object>} rows
+ * @returns {{ headers: Array<string>, values: Array<Array<*>> }}
+ */
+function toTable(columns, rows) {
+  return {
+    headers: columns.map(column => column.header),
+    values: rows.map(row => columns.map(column => {
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    }))
+  };
+}
+
+/**
+ * Build the export file
+ *
+ * @param {Object} options
+ * @param {'csv'|'xlsx'} options.format
+ * @param {Array<Object>} options.columns - From resolveColumns
+ * @param {Array<{name: string, rows: Array<Object>}>} options.sheets - One sheet per entry in XLSX;
+ *   CSV has a single table so the rows of all sheets are written one after the other
+ * @returns {{ content: Buffer|string, contentType: string, extension: string }}
+ */
+function buildExportFile({ format, columns, sheets }) {
+  if (format === 'xlsx') {
+    return {
+      content: buildXlsx(sheets.map(sheet => {
+        const { headers, values } = toTable(columns, sheet.rows);
+        return { name: sheet.name, headers, rows: values };
+      })),
+      contentType: XLSX_CONTENT_TYPE,
+      extension: 'xlsx'
+    };
+  }
+
+  const { headers, values } = toTable(columns, sheets.flatMap(sheet => sheet.rows));
+  return {
+    content: [headers, ...values].map(row => row.map(escapeCSV).join(',')).join('\n'),
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  };
+}
+
+/**
+ * Sheet name for a session roster, e.g. "2026-03-03 8.00 AM Calgary" (sheet names can't contain ':')
+ */
+function getRosterSheetName(session) {
+  return [formatDate(session.exam_date), formatTime(session.start_time)?.replace(':', '.'), session.location]
+    .filter(Boolean)
+    .join(' ') || String(session.hubspot_id);
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  MAX_EXPORT_SESSIONS,
+  BOOKING_EXPORT_COLUMNS,
+  DEFAULT_BOOKING_COLUMNS,
+  TRAINEE_EXPORT_COLUMNS,
+  DEFAULT_TRAINEE_COLUMNS,
+  resolveColumns,
+  loadBookingExportRows,
+  loadTraineeExportRows,
+  buildExportFile,
+  getRosterSheetName,
+  formatTime,
+  formatDominantHand
+};
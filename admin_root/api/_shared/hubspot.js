@@ -16,6 +16,7 @@
  */
 
 const axios = require('axios');
+const { resolveLocationName } = require('./locations');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -67,28 +68,15 @@ function mapDominantHandToHubSpot(dominantHand) {
 }
 
 /**
- * Transform location to HubSpot format (proper case)
- * HubSpot expects: "Mississauga", "Calgary", "Vancouver", "Montreal", "Richmond Hill", "Online"
- * Supabase may store: "mississauga", "calgary", etc.
+ * Transform location to HubSpot format (the site name from the location catalog)
+ * Supabase may store the booking code: "mississauga", "richmond_hill", etc.
  * @param {string} location - The location from Supabase
  * @returns {string} - HubSpot-compatible properly-cased location
  */
 function mapLocationToHubSpot(location) {
   if (!location) return location;
-  
-  const normalizedLocation = String(location).toLowerCase().trim();
-  
-  const locationMapping = {
-    'mississauga': 'Mississauga',
-    'calgary': 'Calgary',
-    'vancouver': 'Vancouver',
-    'montreal': 'Montreal',
-    'richmond_hill': 'Richmond Hill',
-    'richmond hill': 'Richmond Hill',
-    'online': 'Online'
-  };
-  
-  return locationMapping[normalizedLocation] || location;
+
+  return resolveLocationName(location, { includeInactive: true }) || location;
 }
 
 /**
@@ -782,7 +770,7 @@ class HubSpotService {
   async getMockExam(mockExamId) {
     try {
       const response = await this.apiCall('GET',
-        `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/${mockExamId}?properties=mock_type,exam_date,start_time,end_time,location,capacity,total_bookings,is_active,mock_exam_name,scheduled_activation_datetime`
+        `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/${mockExamId}?properties=mock_type,exam_date,start_time,end_time,location,capacity,total_bookings,is_active,mock_exam_name,scheduled_activation_datetime,series_id,room_id,booking_cutoff_hours,scheduled_deactivation_datetime`
       );
       return response;
     } catch (error) {
@@ -1226,6 +1214,19 @@ class HubSpotService {
         console.log(`Setting scheduled activation for: ${mockExamData.scheduled_activation_datetime} (${scheduledTimestamp})`);
       }
 
+      // Booking window (booking-cutoff.js) - per-session cutoff and scheduled deactivation
+      if (mockExamData.booking_cutoff_hours !== undefined && mockExamData.booking_cutoff_hours !== null && mockExamData.booking_cutoff_hours !== '') {
+        examData.booking_cutoff_hours = String(mockExamData.booking_cutoff_hours);
+      }
+      if (mockExamData.scheduled_deactivation_datetime) {
+        examData.scheduled_deactivation_datetime = new Date(mockExamData.scheduled_deactivation_datetime).getTime();
+      }
+
+      // Room the session is held in (rooms.js)
+      if (mockExamData.room_id) {
+        examData.room_id = mockExamData.room_id;
+      }
+
       const response = await this.apiCall('POST', `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}`, {
         properties: examData
       });
@@ -1241,6 +1242,9 @@ class HubSpotService {
   /**
    * Batch create multiple mock exams
    * Efficient method for creating multiple exam sessions at once
+   *
+   * Time slots may carry their own exam_date (recurring series create several
+   * dates in one batch); otherwise commonProperties.exam_date is used.
    */
   async batchCreateMockExams(commonProperties, timeSlots, capacityMode = 'global') {
     try {
@@ -1254,9 +1258,8 @@ class HubSpotService {
 
       // Prepare batch inputs using correct HubSpot property names and timestamp format
       const inputs = timeSlots.map((slot, index) => {
-        // IMPORTANT: exam_date is in commonProperties, NOT in individual time slots
-        // Time slots only contain start_time and end_time
-        const examDate = commonProperties.exam_date;
+        // exam_date normally comes from commonProperties - only series slots carry their own
+        const examDate = slot.exam_date || commonProperties.exam_date;
 
         // Convert time strings to Unix timestamps
         const startTimestamp = this.convertToTimestamp(examDate, slot.start_time);
@@ -1294,6 +1297,21 @@ class HubSpotService {
           properties.scheduled_activation_datetime = scheduledTimestamp;
         }
 
+        // Per-session booking cutoff (booking-cutoff.js)
+        if (commonProperties.booking_cutoff_hours !== undefined && commonProperties.booking_cutoff_hours !== null && commonProperties.booking_cutoff_hours !== '') {
+          properties.booking_cutoff_hours = String(commonProperties.booking_cutoff_hours);
+        }
+
+        // Link sessions generated from a recurring series (exam-series.js)
+        if (commonProperties.series_id) {
+          properties.series_id = commonProperties.series_id;
+        }
+
+        // Room the sessions are held in (rooms.js)
+        if (commonProperties.room_id) {
+          properties.room_id = commonProperties.room_id;
+        }
+
         return { properties };
       });
 
@@ -1989,7 +2007,8 @@ class HubSpotService {
             properties: [
               'mock_type', 'mock_set', 'exam_date', 'start_time', 'end_time',
               'capacity', 'total_bookings', 'location', 'is_active',
-              'mock_exam_name', 'scheduled_activation_datetime',
+              'mock_exam_name', 'scheduled_activation_datetime', 'series_id', 'room_id',
+              'booking_cutoff_hours', 'scheduled_deactivation_datetime',
               'hs_createdate', 'hs_lastmodifieddate'
             ],
             inputs: batchIds.map(id => ({ id }))
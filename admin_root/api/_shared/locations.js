@@ -0,0 +1,401 @@
+/**
+ * Locations
+ * Admin-managed catalog of exam sites (name, address, time zone, directions)
+ *
+ * Sessions keep storing the site name in `location` (HubSpot / hubspot_mock_exams),
+ * and bookings store the lowercase code in `attending_location` (e.g.
+ * 'richmond_hill'), so a site's name is fixed once created - retire it with
+ * is_active=false and add a new one instead of renaming.
+ *
+ * Validation runs synchronously (Joi), so the catalog is held in memory and
+ * refreshed from Supabase at most once a minute (refreshLocationCatalog, called
+ * by validateInput). Until the table has rows, or when Supabase is unreachable,
+ * the built-in DEFAULT_LOCATIONS are used.
+ *
+ * NOTE: Keep in sync with user_root/api/_shared/locations.js
+ *
+ * Supabase table: locations
+ *   id            uuid primary key default gen_random_uuid()
+ *   name          text not null unique               -- e.g. 'Mississauga - Lab D'
+ *   address       text
+ *   time_zone     text not null default 'America/Toronto'  -- IANA zone
+ *   directions    text                               -- parking / entrance instructions shown to trainees
+ *   is_active     boolean not null default true      -- retired sites stay valid for filters only
+ *   sort_order    integer not null default 0
+ *   created_by    text
+ *   updated_by    text
+ *   created_at    timestamptz default now()
+ *   updated_at    timestamptz default now()
+ */
+
+// Required on first use - validation.js loads this module, and schemas must stay
+// usable without a Supabase configuration (unit tests, scripts)
+const getSupabase = () => require('./supabase').supabaseAdmin;
+
+const LOCATIONS_TABLE = 'locations';
+
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+
+// Columns an admin can set (name only on create)
+const LOCATION_FIELDS = ['name', 'address', 'time_zone', 'directions', 'is_active', 'sort_order'];
+
+// Sites that existed before the catalog - used until the table is populated
+const DEFAULT_LOCATIONS = [
+  { name: 'Mississauga', time_zone: 'America/Toronto' },
+  { name: 'Mississauga - B9', time_zone: 'America/Toronto' },
+  { name: 'Mississauga - Lab D', time_zone: 'America/Toronto' },
+  { name: 'Calgary', time_zone: 'America/Edmonton' },
+  { name: 'Vancouver', time_zone: 'America/Vancouver' },
+  { name: 'Montreal', time_zone: 'America/Toronto' },
+  { name: 'Richmond Hill', time_zone: 'America/Toronto' },
+  { name: 'Online', time_zone: 'America/Toronto' }
+].map((location, index) => ({
+  id: null,
+  address: null,
+  directions: null,
+  is_active: true,
+  sort_order: index,
+  ...location
+}));
+
+const CATALOG_TTL_MS = 60 * 1000;
+
+let catalog = DEFAULT_LOCATIONS;
+let catalogLoadedAt = 0;
+
+/**
+ * Turn a Supabase error into one that carries a status/code for the handlers
+ */
+function toLocationError(error, fallbackMessage) {
+  if (error.code === '23505') {
+    const duplicate = new Error('A location with this name already exists');
+    duplicate.status = 409;
+    duplicate.code = 'LOCATION_NAME_TAKEN';
+    return duplicate;
+  }
+
+  const wrapped = new Error(fallbackMessage);
+  wrapped.status = 500;
+  wrapped.code = 'LOCATION_STORAGE_ERROR';
+  return wrapped;
+}
+
+function pickLocationFields(data) {
+  return LOCATION_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+// ============== CATALOG ==============
+
+/**
+ * Booking code for a site, e.g. 'Richmond Hill' -> 'richmond_hill'
+ * @param {string} name
+ * @returns {string}
+ */
+function toLocationCode(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Reload the catalog from Supabase when it is older than a minute
+ * Failures keep the previous catalog (validation must not depend on Supabase being up).
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Reload even if fresh
+ * @returns {Promise<Array>} - The catalog in use
+ */
+async function refreshLocationCatalog({ force = false } = {}) {
+  if (!force && Date.now() - catalogLoadedAt < CATALOG_TTL_MS) {
+    return catalog;
+  }
+
+  try {
+    const { data, error } = await getSupabase()
+      .from(LOCATIONS_TABLE)
+      .select('*')
+      .order('sort_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    catalog = data && data.length > 0 ? data : DEFAULT_LOCATIONS;
+  } catch (error) {
+    console.error('⚠️ [LOCATIONS] Failed to refresh location catalog, keeping previous list:', error.message);
+  }
+
+  catalogLoadedAt = Date.now();
+  return catalog;
+}
+
+/**
+ * Drop the in-memory catalog so the next refresh reloads it (after admin edits)
+ */
+function invalidateLocationCatalog() {
+  catalogLoadedAt = 0;
+}
+
+/**
+ * Locations from the in-memory catalog
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Array<Object>}
+ */
+function getCatalogLocations({ includeInactive = false } = {}) {
+  return includeInactive ? catalog : catalog.filter(location => location.is_active);
+}
+
+/**
+ * Site names from the in-memory catalog
+ * @param {Object} [options] - { includeInactive }
+ * @returns {Array<string>}
+ */
+function getLocationNames(options = {}) {
+  return getCatalogLocations(options).map(location => location.name);
+}
+
+/**
+ * Catalog entry for a name or booking code, matched case-insensitively
+ * ('mississauga', 'richmond_hill' and 'Richmond Hill' all resolve)
+ * @param {string} value
+ * @param {Object} [options] - { includeInactive }
+ * @returns {Object|null}
+ */
+function findLocation(value, options = {}) {
+  if (!value) return null;
+
+  const code = toLocationCode(value);
+  return getCatalogLocations(options).find(location => toLocationCode(location.name) === code) || null;
+}
+
+/**
+ * Canonical site name for a name or booking code
+ * @param {string} value
+ * @param {Object} [options] - { includeInactive }
+ * @returns {string|null}
+ */
+function resolveLocationName(value, options = {}) {
+  return findLocation(value, options)?.name || null;
+}
+
+/**
+ * IANA time zone of a site (America/Toronto when unknown)
+ * @param {string} value - Name or booking code
+ * @returns {string}
+ */
+function getLocationTimeZone(value) {
+  return findLocation(value, { includeInactive: true })?.time_zone || DEFAULT_TIME_ZONE;
+}
+
+// ============== STORAGE ==============
+
+/**
+ * List locations straight from Supabase (admin screens - not the cached catalog)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Promise<Array>}
+ */
+async function listLocations({ includeInactive = false } = {}) {
+  let query = getSupabase()
+    .from(LOCATIONS_TABLE)
+    .select('*')
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ [LOCATIONS] Failed to list locations:', error.message);
+    throw toLocationError(error, 'Failed to load locations');
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one location
+ * @param {string} locationId
+ * @returns {Promise<Object>}
+ * @throws {Error} - 404 LOCATION_NOT_FOUND when missing
+ */
+async function getLocation(locationId) {
+  const { data, error } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .select('*')
+    .eq('id', locationId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ [LOCATIONS] Failed to read location ${locationId}:`, error.message);
+    throw toLocationError(error, 'Failed to load location');
+  }
+
+  if (!data) {
+    const notFound = new Error('Location not found');
+    notFound.status = 404;
+    notFound.code = 'LOCATION_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data;
+}
+
+/**
+ * Save the built-in sites when the table is still empty, so the first location an
+ * admin adds extends the catalog rather than replacing it
+ * @param {string} adminEmail
+ */
+async function seedDefaultLocations(adminEmail) {
+  const { count, error: countError } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .select('id', { count: 'exact', head: true });
+
+  if (countError) {
+    console.error('❌ [LOCATIONS] Failed to count locations:', countError.message);
+    throw toLocationError(countError, 'Failed to save location');
+  }
+
+  if (count > 0) return;
+
+  const { error } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .insert(DEFAULT_LOCATIONS.map(location => ({
+      ...pickLocationFields(location),
+      created_by: adminEmail || null,
+      updated_by: adminEmail || null
+    })));
+
+  if (error) {
+    console.error('❌ [LOCATIONS] Failed to seed built-in locations:', error.message);
+    throw toLocationError(error, 'Failed to save location');
+  }
+
+  console.log(`📍 [LOCATIONS] Saved ${DEFAULT_LOCATIONS.length} built-in locations to the catalog`);
+}
+
+/**
+ * Create a location (the built-in sites are saved first if the table is empty)
+ * @param {Object} location - Validated location (location schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function createLocation(location, adminEmail) {
+  await seedDefaultLocations(adminEmail);
+
+  const { data, error } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .insert({
+      ...pickLocationFields(location),
+      created_by: adminEmail || null,
+      updated_by: adminEmail || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ [LOCATIONS] Failed to create location:', error.message);
+    throw toLocationError(error, 'Failed to save location');
+  }
+
+  invalidateLocationCatalog();
+  return data;
+}
+
+/**
+ * Replace the editable columns of a location (the name never changes)
+ * @param {string} locationId
+ * @param {Object} location - Validated, merged location (location schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function updateLocation(locationId, location, adminEmail) {
+  const { name, ...fields } = pickLocationFields(location);
+
+  const { data, error } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .update({
+      ...fields,
+      updated_by: adminEmail || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', locationId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ [LOCATIONS] Failed to update location ${locationId}:`, error.message);
+    throw toLocationError(error, 'Failed to update location');
+  }
+
+  invalidateLocationCatalog();
+  return data;
+}
+
+/**
+ * Delete a location no session or room uses
+ * @param {Object} location - The stored location
+ * @throws {Error} - 409 LOCATION_IN_USE when sessions or rooms still reference it (deactivate it instead)
+ */
+async function deleteLocation(location) {
+  const [sessions, rooms] = await Promise.all([
+    getSupabase()
+      .from('hubspot_mock_exams')
+      .select('hubspot_id', { count: 'exact', head: true })
+      .eq('location', location.name),
+    getSupabase()
+      .from('rooms')
+      .select('id', { count: 'exact', head: true })
+      .eq('site', location.name)
+  ]);
+
+  const countError = sessions.error || rooms.error;
+  if (countError) {
+    console.error(`❌ [LOCATIONS] Failed to check usage of ${location.name}:`, countError.message);
+    throw toLocationError(countError, 'Failed to delete location');
+  }
+
+  if (sessions.count > 0 || rooms.count > 0) {
+    const inUse = new Error(`${location.name} is used by ${sessions.count || 0} session(s) and ${rooms.count || 0} room(s). Deactivate it instead.`);
+    inUse.status = 409;
+    inUse.code = 'LOCATION_IN_USE';
+    throw inUse;
+  }
+
+  const { error } = await getSupabase()
+    .from(LOCATIONS_TABLE)
+    .delete()
+    .eq('id', location.id);
+
+  if (error) {
+    console.error(`❌ [LOCATIONS] Failed to delete location ${location.id}:`, error.message);
+    throw toLocationError(error, 'Failed to delete location');
+  }
+
+  invalidateLocationCatalog();
+}
+
+module.exports = {
+  LOCATIONS_TABLE,
+  LOCATION_FIELDS,
+  DEFAULT_LOCATIONS,
+  DEFAULT_TIME_ZONE,
+  toLocationCode,
+  refreshLocationCatalog,
+  invalidateLocationCatalog,
+  getCatalogLocations,
+  getLocationNames,
+  findLocation,
+  resolveLocationName,
+  getLocationTimeZone,
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
@@ -0,0 +1,268 @@
+/**
+ * PDF Writer
+ * Builds simple printable PDFs (sign-in sheets) without a PDF library
+ *
+ * Supports what printed lists need: pages, Helvetica / Helvetica-Bold text,
+ * lines, rectangles and Code 128 barcodes. Coordinates are in points from the
+ * TOP-left corner of the page (converted to PDF's bottom-left origin here).
+ * Text is written in WinAnsi encoding, so characters outside Latin-1 print as '?'.
+ */
+
+const zlib = require('zlib');
+const { encodeCode128, QUIET_ZONE } = require('./barcode');
+
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+
+// Advance widths of characters 32-126 (per 1000 units of font size), from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Latin-1 letters and anything else outside 32-126
+const DEFAULT_CHAR_WIDTH = 556;
+
+/**
+ * Text as WinAnsi bytes (Latin-1 for the characters we print)
+ */
+function toWinAnsi(text) {
+  return String(text ?? '')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} options
+   * @param {'letter'|'a4'} [options.size] - Default letter
+   * @param {'portrait'|'landscape'} [options.orientation] - Default portrait
+   */
+  constructor({ size = 'letter', orientation = 'portrait' } = {}) {
+    const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    this.width = orientation === 'landscape' ? height : width;
+    this.height = orientation === 'landscape' ? width : height;
+    this.pages = [];
+    this.current = null;
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw on every page after the fact, e.g. "Page X of Y" footers
+   * @param {Function} callback - (page, index) with the page made current
+   */
+  forEachPage(callback) {
+    const current = this.current;
+    this.pages.forEach((page, index) => {
+      this.current = page;
+      callback(page, index);
+    });
+    this.current = current;
+    return this;
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text
+   * @param {number} size - Font size
+   * @param {boolean} bold
+   * @returns {number}
+   */
+  textWidth(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = [...toWinAnsi(text)].reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      return sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_CHAR_WIDTH);
+    }, 0);
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Shorten text with an ellipsis so it fits a width
+   */
+  fitText(text, maxWidth, size, bold = false) {
+    const value = toWinAnsi(text);
+    if (this.textWidth(value, size, bold) <= maxWidth) return value;
+
+    let fitted = value;
+    while (fitted.length > 0 && this.textWidth(`${fitted}...`, size, bold) > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return fitted ? `${fitted.trimEnd()}...` : '';
+  }
+
+  /**
+   * Draw text with its baseline at y
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} options - { size = 10, bold = false, align: 'left'|'center'|'right', maxWidth, gray: 0-1 }
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left', maxWidth = null, gray = 0 } = {}) {
+    const value = maxWidth ? this.fitText(text, maxWidth, size, bold) : toWinAnsi(text);
+    if (!value) return this;
+
+    const width = this.textWidth(value, size, bold);
+    const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+
+    this.current.push(
+      `BT ${formatNumber(gray)} g /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+      `${formatNumber(left)} ${formatNumber(this.height - y)} Td (${escapePdfString(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * @param {Object} options - { width = 0.5, gray = 0 }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+    this.current.push(
+      `${formatNumber(gray)} G ${formatNumber(width)} w ` +
+      `${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * @param {Object} options - { fill: gray 0-1 or null, stroke: gray 0-1 or null, width = 0.5 }
+   */
+  rect(x, y, w, h, { fill = null, stroke = 0, width = 0.5 } = {}) {
+    const ops = [];
+    if (fill !== null) ops.push(`${formatNumber(fill)} g`);
+    if (stroke !== null) ops.push(`${formatNumber(stroke)} G ${formatNumber(width)} w`);
+    ops.push(`${formatNumber(x)} ${formatNumber(this.height - y - h)} ${formatNumber(w)} ${formatNumber(h)} re`);
+    ops.push(fill !== null && stroke !== null ? 'B' : fill !== null ? 'f' : 'S');
+
+    this.current.push(ops.join(' '));
+    return this;
+  }
+
+  /**
+   * Draw a Code 128 barcode (no human-readable text) that fits in maxWidth
+   * together with its quiet zones
+   * @param {string} value
+   * @param {number} x - Left edge of the quiet zone
+   * @param {number} y - Top edge
+   * @param {Object} options - { height = 20, maxWidth = 120, moduleWidth = 0.9 }
+   * @returns {number} - Width taken, quiet zones included
+   */
+  barcode(value, x, y, { height = 20, maxWidth = 120, moduleWidth = 0.9 } = {}) {
+    const { widths, modules } = encodeCode128(value);
+    const module = Math.min(moduleWidth, maxWidth / (modules + QUIET_ZONE * 2));
+
+    let cursor = x + QUIET_ZONE * module;
+    const bars = ['0 g'];
+    widths.forEach((width, index) => {
+      if (index % 2 === 0) {
+        bars.push(`${formatNumber(cursor)} ${formatNumber(this.height - y - height)} ${formatNumber(width * module)} ${formatNumber(height)} re`);
+      }
+      cursor += width * module;
+    });
+    bars.push('f');
+
+    this.current.push(bars.join(' '));
+    return (modules + QUIET_ZONE * 2) * module;
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1'));
+    const boldFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>', 'latin1'));
+
+    const pageIds = (this.pages.length > 0 ? this.pages : [[]]).map(operations => {
+      const stream = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+        'latin1'
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, 'latin1');
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+      'latin1'
+    );
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        body,
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      offsets.push(length);
+      parts.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    parts.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+    return Buffer.concat(parts);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES
+};
@@ -0,0 +1,345 @@
+/**
+ * Distributed Rate Limiting - Redis sliding window shared by all serverless instances
+ *
+ * Every hit is stored in a Redis sorted set (RedisLockService.slidingWindowHit), so
+ * limits hold across cold starts and concurrent Vercel instances. If Redis is not
+ * configured or a call fails, the same sliding window runs in process memory
+ * (per-instance, best effort) so requests are never rejected because Redis is down.
+ *
+ * Policies are per route and can key on several dimensions - each dimension has its
+ * own bucket and the request is rejected if any of them is exhausted. A hit is only
+ * recorded once every bucket has room, so a rejected request costs nothing:
+ * - ip:         client IP (x-forwarded-for)
+ * - session:    student_id of the signed-in student (Bearer token); the client IP
+ *               for unauthenticated calls
+ * - student_id: student_id from the body or query (login routes only)
+ * - email:      email from the body or query (login routes only)
+ *
+ * Responses carry the standard RateLimit-Limit / RateLimit-Remaining /
+ * RateLimit-Reset / RateLimit-Policy headers, plus Retry-After on 429.
+ *
+ * NOTE: Keep in sync with user_root/api/_shared/rate-limit.js
+ */
+
+const RedisLockService = require('./redis');
+
+const MINUTE_MS = 60 * 1000;
+
+const RATE_LIMIT_POLICIES = {
+  // Fallback for routes without a dedicated policy
+  default: { limit: 60, windowMs: MINUTE_MS, keyBy: ['ip'] },
+
+  // Student app
+  login: { limit: 10, windowMs: MINUTE_MS, keyBy: ['ip', 'student_id', 'email'] },
+  'login-otp': { limit: 10, windowMs: 10 * MINUTE_MS, keyBy: ['ip', 'student_id'] },
+  'session-refresh': { limit: 30, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  credits: { limit: 20, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  availability: { limit: 30, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  capacity: { limit: 60, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  'bookings-read': { limit: 60, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  'bookings-write': { limit: 20, windowMs: MINUTE_MS, keyBy: ['session'] },
+  calendar: { limit: 30, windowMs: MINUTE_MS, keyBy: ['ip'] },
+  // Subscribed calendars poll from their providers' shared servers
+  'calendar-feed': { limit: 120, windowMs: MINUTE_MS, keyBy: ['ip'] },
+
+  // Admin app - only failed sign-ins are counted
+  'admin-login': { limit: 5, windowMs: 15 * MINUTE_MS, keyBy: ['ip', 'email'] }
+};
+
+// In-memory fallback store: bucket key -> array of hit timestamps
+const memoryStore = new Map();
+
+let redisService = null;
+let redisUnavailableLogged = false;
+
+/**
+ * Get the shared Redis client, or null if Redis is not configured
+ * @returns {RedisLockService|null}
+ */
+function getRedis() {
+  // Drop a client whose connection has given up so the next request reconnects
+  if (redisService && redisService.redis?.status === 'end') {
+    redisService = null;
+  }
+
+  if (!redisService) {
+    try {
+      redisService = new RedisLockService();
+    } catch (error) {
+      if (!redisUnavailableLogged) {
+        console.error(`⚠️ [RATE-LIMIT] Redis unavailable, using in-memory limiter: ${error.message}`);
+        redisUnavailableLogged = true;
+      }
+      return null;
+    }
+  }
+
+  return redisService;
+}
+
+/**
+ * Resolve a policy by name, or build one from legacy { maxRequests, windowMs } options
+ * @param {string|object} policyOrOptions
+ * @returns {{ name: string, limit: number, windowMs: number, keyBy: string[] }}
+ */
+function resolvePolicy(policyOrOptions = {}) {
+  if (typeof policyOrOptions === 'string') {
+    const policy = RATE_LIMIT_POLICIES[policyOrOptions];
+    if (!policy) {
+      throw new Error(`Rate limit policy '${policyOrOptions}' not found`);
+    }
+    return { name: policyOrOptions, ...policy };
+  }
+
+  if (policyOrOptions.policy) {
+    return resolvePolicy(policyOrOptions.policy);
+  }
+
+  // Already resolved
+  if (policyOrOptions.limit && policyOrOptions.keyBy) {
+    return policyOrOptions;
+  }
+
+  const fallback = RATE_LIMIT_POLICIES.default;
+  return {
+    name: policyOrOptions.name || 'custom',
+    limit: policyOrOptions.maxRequests || fallback.limit,
+    windowMs: policyOrOptions.windowMs || fallback.windowMs,
+    keyBy: policyOrOptions.keyBy || fallback.keyBy
+  };
+}
+
+/**
+ * Get the client IP of a request
+ * @param {object} req
+ * @returns {string}
+ */
+function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Get the student_id of the request's verified student session
+ * @param {object} req
+ * @returns {string|null} - Null if the request carries no valid access token
+ */
+function getSessionStudentId(req) {
+  try {
+    // Required lazily - student sessions only exist in the student app
+    const { requireStudentSession } = require('./student-session');
+    return requireStudentSession(req).studentId;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the bucket keys for a request under a policy (dimensions with no value are skipped)
+ * @param {object} req
+ * @param {string|object} policyOrOptions - Policy name or legacy options
+ * @returns {string[]}
+ */
+function getRateLimitKeys(req, policyOrOptions) {
+  const policy = resolvePolicy(policyOrOptions);
+  const source = { ...(req.query || {}), ...(req.body || {}) };
+
+  const keys = policy.keyBy
+    .map((dimension) => {
+      let value;
+      if (dimension === 'ip') {
+        value = getClientIp(req);
+      } else if (dimension === 'session') {
+        const studentId = getSessionStudentId(req);
+        if (!studentId) {
+          return `ratelimit:${policy.name}:ip:${getClientIp(req)}`;
+        }
+        value = String(studentId).trim().toUpperCase();
+      } else if (dimension === 'email') {
+        value = source.email ? String(source.email).trim().toLowerCase() : null;
+      } else {
+        value = source[dimension] ? String(source[dimension]).trim().toUpperCase() : null;
+      }
+      return value ? `ratelimit:${policy.name}:${dimension}:${value}` : null;
+    })
+    .filter(Boolean);
+
+  // A session falling back to the IP must not count the IP bucket twice
+  return [...new Set(keys)];
+}
+
+/**
+ * Sliding window in process memory (fallback when Redis is unavailable)
+ */
+function memoryHit(key, limit, windowMs, consume) {
+  const now = Date.now();
+  const hits = (memoryStore.get(key) || []).filter((time) => time > now - windowMs);
+
+  const allowed = hits.length < limit;
+  if (allowed && consume) {
+    hits.push(now);
+  }
+  memoryStore.set(key, hits);
+
+  // Clean up idle buckets periodically
+  if (memoryStore.size > 1000) {
+    for (const [k, v] of memoryStore.entries()) {
+      if (v.length === 0 || v[v.length - 1] <= now - windowMs) {
+        memoryStore.delete(k);
+      }
+    }
+  }
+
+  return { allowed, count: hits.length, oldestMs: hits.length > 0 ? hits[0] : now };
+}
+
+/**
+ * Check (and optionally record) one bucket
+ * @returns {Promise<{ allowed: boolean, count: number, oldestMs: number }>}
+ */
+async function hitBucket(key, policy, consume) {
+  const redis = getRedis();
+
+  if (redis) {
+    try {
+      return await redis.slidingWindowHit(key, policy.limit, policy.windowMs, consume);
+    } catch (error) {
+      console.error(`⚠️ [RATE-LIMIT] Redis error for ${key}, using in-memory limiter:`, error.message);
+    }
+  }
+
+  return memoryHit(key, policy.limit, policy.windowMs, consume);
+}
+
+/**
+ * Apply a policy to a set of bucket keys
+ *
+ * Every bucket is checked before any is consumed, so a request rejected by one
+ * bucket does not use up the others.
+ *
+ * @param {string[]} keys - From getRateLimitKeys
+ * @param {string|object} policyOrOptions - Policy name or legacy options
+ * @param {object} [options]
+ * @param {boolean} [options.consume=true] - Record the hit (false = only check)
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfter: number, windowMs: number }>}
+ */
+async function checkRateLimit(keys, policyOrOptions, { consume = true } = {}) {
+  const policy = resolvePolicy(policyOrOptions);
+  const now = Date.now();
+
+  let result = {
+    allowed: true,
+    limit: policy.limit,
+    remaining: policy.limit,
+    resetSeconds: 0,
+    retryAfter: 0,
+    windowMs: policy.windowMs
+  };
+
+  const checks = [];
+  for (const key of keys) {
+    checks.push({ key, bucket: await hitBucket(key, policy, false) });
+  }
+
+  if (consume && checks.every(check => check.bucket.allowed)) {
+    for (const check of checks) {
+      check.bucket = await hitBucket(check.key, policy, true);
+    }
+  }
+
+  for (const { key, bucket } of checks) {
+    const remaining = Math.max(0, policy.limit - bucket.count);
+    const resetSeconds = Math.max(0, Math.ceil((bucket.oldestMs + policy.windowMs - now) / 1000));
+
+    // Report the most restrictive bucket
+    if (!bucket.allowed || remaining < result.remaining) {
+      result = {
+        ...result,
+        allowed: bucket.allowed,
+        remaining,
+        resetSeconds,
+        retryAfter: bucket.allowed ? 0 : Math.max(1, resetSeconds)
+      };
+    }
+
+    if (!bucket.allowed) {
+      console.log(`🚫 [RATE-LIMIT] ${key} exceeded ${policy.limit} requests per ${policy.windowMs / 1000}s`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Clear buckets (e.g. after a successful sign-in)
+ * @param {string[]} keys
+ */
+async function resetRateLimit(keys) {
+  for (const key of keys) {
+    memoryStore.delete(key);
+
+    const redis = getRedis();
+    if (redis) {
+      await redis.del(key);
+    }
+  }
+}
+
+/**
+ * Set the standard RateLimit-* headers (and Retry-After when limited)
+ * @param {object} res
+ * @param {object} result - From checkRateLimit
+ */
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.resetSeconds);
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfter);
+  }
+}
+
+/**
+ * Express-style middleware for rate limiting in Vercel functions
+ *
+ * Usage:
+ *   if (await rateLimitMiddleware({ policy: 'login' })(req, res)) return;
+ *
+ * @param {string|object} policyOrOptions - Policy name, { policy }, or legacy { maxRequests, windowMs }
+ * @returns {function(req, res): Promise<boolean>} - Resolves true if a 429 was sent
+ */
+function rateLimitMiddleware(policyOrOptions = {}) {
+  const policy = resolvePolicy(policyOrOptions);
+
+  return async (req, res) => {
+    const result = await checkRateLimit(getRateLimitKeys(req, policy), policy);
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later',
+        code: 'RATE_LIMITED',
+        retryAfter: result.retryAfter
+      });
+      return true; // Request handled
+    }
+
+    return false; // Continue processing
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  getClientIp,
+  getRateLimitKeys,
+  checkRateLimit,
+  resetRateLimit,
+  setRateLimitHeaders,
+  rateLimitMiddleware
+};
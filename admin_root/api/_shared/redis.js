@@ -9,6 +9,7 @@
  * - Safe lock release with ownership verification (Lua script)
  * - Exponential backoff retry strategy
  * - Auto-expiration via TTL (prevents orphaned locks)
+ * - Counting the temporary seat holds placed by the student app
  *
  * @see PRDs/booking-race-condition-redis-locking.md
  */
@@ -171,6 +172,76 @@ class RedisLockService {
     return null;
   }
 
+  /**
+   * Sliding-window rate limit counter (atomic Lua script)
+   *
+   * Each hit is a member of a sorted set scored by its timestamp; hits older
+   * than the window are dropped before counting.
+   *
+   * @param {string} key - Redis key for this limiter bucket
+   * @param {number} limit - Max hits allowed within the window
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {boolean} consume - Record this hit if allowed (false = only check)
+   * @returns {Promise<{allowed: boolean, count: number, oldestMs: number}>}
+   */
+  async slidingWindowHit(key, limit, windowMs, consume = true) {
+    const script = `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+      local count = redis.call("ZCARD", KEYS[1])
+      local allowed = 0
+      if count < limit then
+        allowed = 1
+        if ARGV[4] == "1" then
+          redis.call("ZADD", KEYS[1], now, ARGV[5])
+          redis.call("PEXPIRE", KEYS[1], window)
+          count = count + 1
+        end
+      end
+      local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+      local oldestMs = now
+      if oldest[2] then oldestMs = tonumber(oldest[2]) end
+      return { allowed, count, oldestMs }
+    `;
+
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    const [allowed, count, oldestMs] = await this.redis.eval(
+      script, 1, key, now, windowMs, limit, consume ? '1' : '0', member
+    );
+
+    return { allowed: allowed === 1, count, oldestMs: Number(oldestMs) };
+  }
+
+  /**
+   * Count active seat holds on an exam
+   *
+   * Holds are placed by user_root (exam:{id}:holds, scored by expiry time) while
+   * a student fills in the booking form. Same logic as user_root/api/_shared/redis.js.
+   *
+   * @param {string} mockExamId - The mock exam ID
+   * @param {string|null} excludeStudentId - Leave this student's own hold out of the count
+   * @returns {Promise<{count: number, ownExpiresAt: number|null}>}
+   */
+  async countSeatHolds(mockExamId, excludeStudentId = null) {
+    const holdsKey = `exam:${mockExamId}:holds`;
+
+    await this.redis.zremrangebyscore(holdsKey, '-inf', Date.now());
+    const count = await this.redis.zcard(holdsKey);
+
+    if (!excludeStudentId) {
+      return { count, ownExpiresAt: null };
+    }
+
+    const ownScore = await this.redis.zscore(holdsKey, excludeStudentId);
+    return {
+      count: ownScore !== null ? count - 1 : count,
+      ownExpiresAt: ownScore !== null ? Number(ownScore) : null
+    };
+  }
+
   /**
    * Health check - verify Redis connection
    *
@@ -21,6 +21,8 @@
  * - Cascading booking lookup (hubspot_id, UUID, booking_id)
  * - Batch contact token updates (optimized for HubSpot API limits)
  * - Eligibility validation (idempotent refunds)
+ * - Optional cancellation policy: refundPolicy 'policy' forfeits tokens for late
+ *   cancellations (same rules as the student cancel endpoint), 'full' always refunds
  * - Detailed result tracking (successful, failed, skipped)
  * - Error handling with partial failure support
  * - Automatic rollback on Supabase failures
@@ -33,6 +35,9 @@
  *
  * // Batch refund (HubSpot-first) - For large batches
  * const results = await refundService.processRefunds(bookings, 'admin@example.com');
+ *
+ * // Apply the cancellation policy (late cancellations are skipped as forfeited)
+ * await refundService.processRefunds(bookings, 'admin@example.com', { refundPolicy: 'policy' });
  */
 
 const hubspot = require('./hubspot');
@@ -41,8 +46,12 @@ const {
   updateContactCreditsInSupabase,
   getBookingCascading,
   getContactByStudentIdFromSupabase,
-  getContactByIdFromSupabase
+  getContactByIdFromSupabase,
+  getExamByIdFromSupabase
 } = require('./supabase-data');
+const { evaluateCancellation, withSessionStarts } = require('./cancellation-policy');
+const { recordCreditChange, LEDGER_REASONS, ACTOR_TYPES } = require('./credit-ledger');
+const { restoreToLots } = require('./credit-lots');
 
 // HubSpot object type IDs
 const HUBSPOT_OBJECTS = {
@@ -53,6 +62,18 @@ const HUBSPOT_OBJECTS = {
 // HubSpot batch API limit
 const HUBSPOT_BATCH_SIZE = 100;
 
+/**
+ * REFUND POLICIES
+ * - full: always refund the token (admin override, default)
+ * - policy: apply the per-mock-type cancellation policy (late cancellations forfeit the token)
+ */
+const REFUND_POLICIES = {
+  FULL: 'full',
+  POLICY: 'policy'
+};
+
+const LATE_CANCELLATION_REASON = 'Late cancellation - token forfeited per policy';
+
 /**
  * TOKEN PROPERTY MAPPING (FR-4)
  * Maps display names (stored in booking.token_used) to HubSpot contact property names
@@ -88,10 +109,13 @@ function getTokenPropertyName(tokenUsedValue) {
 
 /**
  * Validate if a booking is eligible for token refund
- * @param {Object} booking - Booking object with properties
- * @returns {Object} { eligible: boolean, reason: string }
+ * @param {Object} booking - Booking object with properties (mock_type/start_time needed for the policy check)
+ * @param {Object} [options]
+ * @param {string} [options.refundPolicy='full'] - 'full' or 'policy'
+ * @param {Date} [options.now] - Cancellation time used for the policy check
+ * @returns {Object} { eligible: boolean, reason: string, forfeited?: boolean }
  */
-function validateRefundEligibility(booking) {
+function validateRefundEligibility(booking, { refundPolicy = REFUND_POLICIES.FULL, now = new Date() } = {}) {
   const properties = booking.properties || booking;
 
   // Check if already refunded (idempotency)
@@ -127,6 +151,18 @@ function validateRefundEligibility(booking) {
     };
   }
 
+  // Check the cancellation policy (late cancellations forfeit the token)
+  if (refundPolicy === REFUND_POLICIES.POLICY) {
+    const evaluation = evaluateCancellation(properties, now);
+    if (!evaluation.refund_eligible) {
+      return {
+        eligible: false,
+        forfeited: true,
+        reason: LATE_CANCELLATION_REASON
+      };
+    }
+  }
+
   return {
     eligible: true,
     reason: 'Eligible for refund'
@@ -234,9 +270,10 @@ function calculateTokenUpdates(currentTokenValues, tokenPropertyName) {
  * Batch update contact token properties in HubSpot
  * @param {Array} updates - Array of update objects { id, properties }
  * @param {string} tokenPropertyName - Token property name for Supabase sync (optional)
+ * @param {string} adminEmail - Admin processing the refunds (recorded in the credit ledger)
  * @returns {Promise<Object>} { successful: Array, failed: Array }
  */
-async function batchUpdateContactTokens(updates, tokenPropertyName = null) {
+async function batchUpdateContactTokens(updates, tokenPropertyName = null, adminEmail = 'system') {
   const results = {
     successful: [],
     failed: []
@@ -294,7 +331,12 @@ async function batchUpdateContactTokens(updates, tokenPropertyName = null) {
                 // The updateContactCreditsInSupabase will handle the proper update
               }
 
-              updateContactCreditsInSupabase(result.id, mockType, newSpecificCredits, newSharedCredits)
+              updateContactCreditsInSupabase(result.id, mockType, newSpecificCredits, newSharedCredits, {
+                reason: LEDGER_REASONS.REFUND,
+                actorType: ACTOR_TYPES.ADMIN,
+                actor: adminEmail,
+                note: 'Bulk refund'
+              })
                 .then(() => {
                   console.log(`✅ [SUPABASE SYNC] Contact ${result.id} credits synced (bulk refund)`);
                 })
@@ -398,10 +440,13 @@ async function markBookingsAsRefunded(bookingIds, adminEmail = 'system') {
  * @param {string} identifier - Booking identifier (any of the 3 types: hubspot_id, UUID, or booking_id)
  * @param {string} adminEmail - Admin performing the refund
  * @param {string} tokenType - Credit field to restore (optional - will be auto-detected from booking.token_used)
+ * @param {Object} [options]
+ * @param {string} [options.refundPolicy='full'] - 'policy' skips late cancellations (token forfeited)
  * @returns {Promise<Object>} { success, booking_id, id, hubspot_id, credits_restored }
+ *   or { success: false, forfeited: true, reason } when the policy forfeits the token
  */
-async function refundToken(identifier, adminEmail, tokenType = null) {
-  console.log('[REFUND] Starting Supabase-first refund:', { identifier, adminEmail, tokenType });
+async function refundToken(identifier, adminEmail, tokenType = null, { refundPolicy = REFUND_POLICIES.FULL } = {}) {
+  console.log('[REFUND] Starting Supabase-first refund:', { identifier, adminEmail, tokenType, refundPolicy });
 
   // Step 1: Cascading lookup from Supabase
   const booking = await getBookingCascading(identifier);
@@ -427,6 +472,43 @@ async function refundToken(identifier, adminEmail, tokenType = null) {
     throw new Error('No token used for this booking - nothing to refund');
   }
 
+  // Step 2.5: Apply the cancellation policy if requested
+  if (refundPolicy === REFUND_POLICIES.POLICY) {
+    // Booking rows may not carry start_time - fall back to the mock exam's times
+    let startTime = booking.start_time;
+    let location = booking.attending_location;
+    if (!startTime && booking.associated_mock_exam) {
+      const exam = await getExamByIdFromSupabase(booking.associated_mock_exam);
+      startTime = exam?.start_time || null;
+      location = exam?.location || location;
+    }
+
+    const evaluation = evaluateCancellation({
+      mock_type: booking.mock_type,
+      start_time: startTime,
+      exam_date: booking.exam_date,
+      location
+    });
+
+    if (!evaluation.refund_eligible) {
+      console.log(`[REFUND] ⏭️ ${LATE_CANCELLATION_REASON}:`, {
+        bookingId: booking.booking_id,
+        window: evaluation.window,
+        free_until: evaluation.free_until
+      });
+
+      return {
+        success: false,
+        forfeited: true,
+        reason: LATE_CANCELLATION_REASON,
+        booking_id: booking.booking_id,
+        id: booking.id,
+        hubspot_id: booking.hubspot_id,
+        cancellation_policy: evaluation
+      };
+    }
+  }
+
   // Step 3: Determine token type from booking if not provided
   const effectiveTokenType = tokenType || getTokenPropertyName(booking.token_used);
   if (!effectiveTokenType) {
@@ -514,6 +596,21 @@ async function refundToken(identifier, adminEmail, tokenType = null) {
 
   console.log('[REFUND] ✅ Credits restored in Supabase');
 
+  await recordCreditChange({
+    contactId: contact.hubspot_id,
+    studentId: contact.student_id,
+    creditField: effectiveTokenType,
+    balanceBefore: currentCredits,
+    balanceAfter: restoredCredits,
+    reason: LEDGER_REASONS.REFUND,
+    bookingId: booking.booking_id,
+    actorType: ACTOR_TYPES.ADMIN,
+    actor: adminEmail
+  });
+
+  // Return the token to its expiring lot if that lot is still open (non-blocking)
+  await restoreToLots(contact.hubspot_id, effectiveTokenType, 1);
+
   // Step 7: Sync to HubSpot (fire-and-forget for resilience)
   // HubSpot sync is non-blocking - Supabase is source of truth
   syncRefundToHubSpot(booking, contact, effectiveTokenType, adminEmail, restoredCredits)
@@ -601,12 +698,16 @@ async function syncRefundToHubSpot(booking, contact, tokenPropertyName, adminEma
  *
  * @param {Array} bookings - Array of booking objects to process
  * @param {string} adminEmail - Email of admin processing refunds (for audit trail)
+ * @param {Object} [options]
+ * @param {string} [options.refundPolicy='full'] - 'policy' skips late cancellations (bookings need mock_type and
+ *   start_time, or an associated_mock_exam to read it from)
  * @returns {Promise<Object>} { successful: Array, failed: Array, skipped: Array }
  */
-async function processRefunds(bookings, adminEmail = 'system') {
+async function processRefunds(bookings, adminEmail = 'system', { refundPolicy = REFUND_POLICIES.FULL } = {}) {
   console.log('\n🎯 Starting token refund processing...');
   console.log(`📋 Processing ${bookings.length} bookings`);
   console.log(`👤 Admin: ${adminEmail}`);
+  console.log(`📜 Refund policy: ${refundPolicy}`);
 
   const results = {
     successful: [],
@@ -616,15 +717,22 @@ async function processRefunds(bookings, adminEmail = 'system') {
 
   // Step 1: Validate eligibility and filter
   const eligibleBookings = [];
+  const now = new Date();
 
-  bookings.forEach(booking => {
-    const validation = validateRefundEligibility(booking);
+  // Booking rows may not carry start_time - the policy needs the real session start
+  const policyBookings = refundPolicy === REFUND_POLICIES.POLICY
+    ? await withSessionStarts(bookings)
+    : bookings;
+
+  policyBookings.forEach(booking => {
+    const validation = validateRefundEligibility(booking, { refundPolicy, now });
 
     if (!validation.eligible) {
       console.log(`⏭️ Skipping booking ${booking.id}: ${validation.reason}`);
       results.skipped.push({
         bookingId: booking.id,
-        reason: validation.reason
+        reason: validation.reason,
+        ...(validation.forfeited && { forfeited: true })
       });
     } else {
       eligibleBookings.push(booking);
@@ -662,7 +770,7 @@ async function processRefunds(bookings, adminEmail = 'system') {
       const tokenUpdates = calculateTokenUpdates(currentTokenValues, tokenPropertyName);
 
       // Step 3.4: Update contact tokens in HubSpot (with Supabase sync)
-      const updateResults = await batchUpdateContactTokens(tokenUpdates, tokenPropertyName);
+      const updateResults = await batchUpdateContactTokens(tokenUpdates, tokenPropertyName, adminEmail);
 
       // Step 3.5: Mark bookings as refunded
       const bookingIds = tokenBookings.map(b => b.id);
@@ -673,7 +781,7 @@ async function processRefunds(bookings, adminEmail = 'system') {
       const successfulContactIds = new Set(updateResults.successful.map(r => r.contactId));
       const successfulBookingIds = new Set(markResults.successful.map(r => r.bookingId));
 
-      tokenBookings.forEach(booking => {
+      for (const booking of tokenBookings) {
         const contactId = (booking.properties || booking).associated_contact_id;
         const bookingId = booking.id;
 
@@ -681,6 +789,9 @@ async function processRefunds(bookings, adminEmail = 'system') {
         const markSuccess = successfulBookingIds.has(bookingId);
 
         if (tokenUpdateSuccess && markSuccess) {
+          // Return the token to its expiring lot if that lot is still open (non-blocking)
+          await restoreToLots(contactId, tokenPropertyName, 1);
+
           results.successful.push({
             bookingId,
             contactId,
@@ -695,7 +806,7 @@ async function processRefunds(bookings, adminEmail = 'system') {
             error: !tokenUpdateSuccess ? 'Token update failed' : 'Marking booking failed'
           });
         }
-      });
+      }
 
     } catch (error) {
       console.error(`❌ Critical error processing ${tokenPropertyName}:`, error);
@@ -741,6 +852,7 @@ module.exports = {
   markBookingsAsRefunded,
 
   // Constants
+  REFUND_POLICIES,
   TOKEN_PROPERTY_MAP,
   HUBSPOT_OBJECTS,
   HUBSPOT_BATCH_SIZE
@@ -0,0 +1,489 @@
+/**
+ * Rooms
+ * Physical rooms sessions are scheduled into, and double-booking detection
+ *
+ * `location` on a mock exam stays the site (e.g. 'Mississauga - Lab D'); a room
+ * is a bookable space at that site with a seat/station count and equipment
+ * (e.g. 2 left-handed stations). Sessions reference their room via the
+ * `room_id` property (HubSpot) / column (hubspot_mock_exams).
+ *
+ * Two sessions in the same room overlap when start1 < end2 AND end1 > start2
+ * (back-to-back is fine). Create, bulk-create, clone, series and update reject
+ * overlaps with 409 ROOM_CONFLICT unless the admin passes allow_room_overlap,
+ * in which case the overlaps are returned as warnings.
+ *
+ * Supabase table: rooms
+ *   id          uuid primary key default gen_random_uuid()
+ *   site        text not null                  -- one of the mock exam locations
+ *   name        text not null                  -- unique per site
+ *   capacity    integer not null               -- seats / stations
+ *   equipment   jsonb not null default '[]'    -- [{ name: 'Left-handed station', quantity: 2 }]
+ *   is_active   boolean not null default true  -- retired rooms are hidden from pickers
+ *   notes       text
+ *   created_by  text
+ *   updated_by  text
+ *   created_at  timestamptz default now()
+ *   updated_at  timestamptz default now()
+ *   unique (site, name)
+ *
+ * Supabase column: hubspot_mock_exams.room_id uuid references rooms(id)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const hubspot = require('./hubspot');
+const { checkTimeOverlap } = require('./time-conflicts');
+
+const ROOMS_TABLE = 'rooms';
+
+// Columns an admin can set (everything else is managed here)
+const ROOM_FIELDS = ['site', 'name', 'capacity', 'equipment', 'is_active', 'notes'];
+
+// Session columns needed for occupancy and overlap checks
+const SESSION_COLUMNS = 'hubspot_id, mock_type, mock_set, exam_date, start_time, end_time, location, capacity, total_bookings, is_active, room_id';
+
+/**
+ * Turn a Supabase error into one that carries a status/code for the handlers
+ */
+function toRoomError(error, fallbackMessage) {
+  if (error.code === '23505') {
+    const duplicate = new Error('A room with this name already exists at this site');
+    duplicate.status = 409;
+    duplicate.code = 'ROOM_NAME_TAKEN';
+    return duplicate;
+  }
+
+  const wrapped = new Error(fallbackMessage);
+  wrapped.status = 500;
+  wrapped.code = 'ROOM_STORAGE_ERROR';
+  return wrapped;
+}
+
+function pickRoomFields(data) {
+  return ROOM_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Display label, e.g. "Mississauga - Lab D / Room 2"
+ */
+function roomLabel(room) {
+  return room ? `${room.site} / ${room.name}` : 'Unknown room';
+}
+
+// ============== STORAGE ==============
+
+/**
+ * List rooms, by site then name
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @param {string} [options.site]
+ * @returns {Promise<Array>}
+ */
+async function listRooms({ includeInactive = false, site } = {}) {
+  let query = supabaseAdmin
+    .from(ROOMS_TABLE)
+    .select('*')
+    .order('site', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  if (site) {
+    query = query.eq('site', site);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ [ROOMS] Failed to list rooms:', error.message);
+    throw toRoomError(error, 'Failed to load rooms');
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one room
+ * @param {string} roomId
+ * @returns {Promise<Object>}
+ * @throws {Error} - 404 ROOM_NOT_FOUND when missing
+ */
+async function getRoom(roomId) {
+  const { data, error } = await supabaseAdmin
+    .from(ROOMS_TABLE)
+    .select('*')
+    .eq('id', roomId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ [ROOMS] Failed to read room ${roomId}:`, error.message);
+    throw toRoomError(error, 'Failed to load room');
+  }
+
+  if (!data) {
+    const notFound = new Error('Room not found');
+    notFound.status = 404;
+    notFound.code = 'ROOM_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data;
+}
+
+/**
+ * Get several rooms by id
+ * @param {Array<string>} roomIds
+ * @returns {Promise<Map<string, Object>>} - room id -> room
+ */
+async function getRoomsByIds(roomIds) {
+  const ids = [...new Set(roomIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from(ROOMS_TABLE)
+    .select('*')
+    .in('id', ids);
+
+  if (error) {
+    console.error('❌ [ROOMS] Failed to read rooms:', error.message);
+    throw toRoomError(error, 'Failed to load rooms');
+  }
+
+  return new Map((data || []).map(room => [room.id, room]));
+}
+
+/**
+ * Create a room
+ * @param {Object} room - Validated room (room schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function createRoom(room, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(ROOMS_TABLE)
+    .insert({
+      ...pickRoomFields(room),
+      created_by: adminEmail || null,
+      updated_by: adminEmail || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ [ROOMS] Failed to create room:', error.message);
+    throw toRoomError(error, 'Failed to save room');
+  }
+
+  return data;
+}
+
+/**
+ * Replace the editable columns of a room
+ * @param {string} roomId
+ * @param {Object} room - Validated, merged room (room schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function updateRoom(roomId, room, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(ROOMS_TABLE)
+    .update({
+      ...pickRoomFields(room),
+      updated_by: adminEmail || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', roomId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ [ROOMS] Failed to update room ${roomId}:`, error.message);
+    throw toRoomError(error, 'Failed to update room');
+  }
+
+  return data;
+}
+
+/**
+ * Delete a room that no session uses
+ * @param {string} roomId
+ * @throws {Error} - 409 ROOM_IN_USE when sessions are still assigned (deactivate it instead)
+ */
+async function deleteRoom(roomId) {
+  const { count, error: countError } = await supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select('hubspot_id', { count: 'exact', head: true })
+    .eq('room_id', roomId);
+
+  if (countError) {
+    console.error(`❌ [ROOMS] Failed to count sessions in room ${roomId}:`, countError.message);
+    throw toRoomError(countError, 'Failed to delete room');
+  }
+
+  if (count > 0) {
+    const inUse = new Error(`${count} session(s) are assigned to this room. Deactivate the room instead.`);
+    inUse.status = 409;
+    inUse.code = 'ROOM_IN_USE';
+    throw inUse;
+  }
+
+  const { error } = await supabaseAdmin
+    .from(ROOMS_TABLE)
+    .delete()
+    .eq('id', roomId);
+
+  if (error) {
+    console.error(`❌ [ROOMS] Failed to delete room ${roomId}:`, error.message);
+    throw toRoomError(error, 'Failed to delete room');
+  }
+}
+
+/**
+ * Sessions assigned to rooms on the given dates
+ * @param {Array<string>} roomIds
+ * @param {Object} range - { dates: ['YYYY-MM-DD'] } or { startDate, endDate }
+ * @returns {Promise<Array>} - hubspot_mock_exams rows
+ */
+async function getRoomSessions(roomIds, { dates, startDate, endDate }) {
+  const ids = [...new Set(roomIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  let query = supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select(SESSION_COLUMNS)
+    .in('room_id', ids)
+    .order('start_time', { ascending: true });
+
+  if (dates) {
+    query = query.in('exam_date', [...new Set(dates)]);
+  } else {
+    query = query.gte('exam_date', startDate).lte('exam_date', endDate);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ [ROOMS] Failed to load room sessions:', error.message);
+    throw toRoomError(error, 'Failed to check room availability');
+  }
+
+  return data || [];
+}
+
+// ============== ASSIGNMENT ==============
+
+/**
+ * Load the room a session is being assigned to
+ * @param {string} roomId
+ * @returns {Promise<Object>}
+ * @throws {Error} - 400 INVALID_ROOM when the room is missing or retired
+ */
+async function getAssignableRoom(roomId) {
+  let room;
+  try {
+    room = await getRoom(roomId);
+  } catch (error) {
+    if (error.code !== 'ROOM_NOT_FOUND') throw error;
+    room = null;
+  }
+
+  if (!room || !room.is_active) {
+    const invalid = new Error(room ? `Room ${roomLabel(room)} is no longer in use` : 'Room not found');
+    invalid.status = 400;
+    invalid.code = 'INVALID_ROOM';
+    throw invalid;
+  }
+
+  return room;
+}
+
+/**
+ * Session capacity above the room's seat/station count
+ * @param {Object} room
+ * @param {number|string} capacity
+ * @returns {string|null} - Warning message
+ */
+function getCapacityWarning(room, capacity) {
+  const requested = parseInt(capacity);
+  if (!room || !requested || requested <= room.capacity) return null;
+
+  return `Capacity ${requested} exceeds the ${room.capacity} seats/stations of ${roomLabel(room)}`;
+}
+
+// ============== OVERLAP DETECTION ==============
+
+/**
+ * Find room overlaps for sessions about to be written
+ *
+ * Each candidate is checked against the existing sessions in its room and
+ * against the other candidates of the same request.
+ *
+ * @param {Array<Object>} candidates - [{ room_id, exam_date, start_time, end_time, label?, session_id? }]
+ *   times as Unix ms or ISO; session_id is set when an existing session is being moved
+ * @param {Array<Object>} existingSessions - hubspot_mock_exams rows (getRoomSessions)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeIds] - Session ids being rewritten by this request
+ * @param {Map<string, Object>} [options.rooms] - room id -> room, for messages
+ * @returns {Array<Object>} - Conflicts
+ */
+function findRoomOverlaps(candidates, existingSessions, { excludeIds = [], rooms = new Map() } = {}) {
+  const excluded = new Set(excludeIds.map(String));
+  const conflicts = [];
+
+  const describe = (roomId, examDate, start, end, other) => {
+    const timeRange = `${hubspot.extractTimeFromTimestamp(start)}-${hubspot.extractTimeFromTimestamp(end)}`;
+    const otherRange = `${hubspot.extractTimeFromTimestamp(other.start_time)}-${hubspot.extractTimeFromTimestamp(other.end_time)}`;
+    const otherName = other.session_id
+      ? `${other.mock_type || 'session'} ${other.session_id}`
+      : 'another session in this request';
+
+    return `${roomLabel(rooms.get(roomId))} is already in use on ${examDate} ${timeRange} (${otherName}, ${otherRange})`;
+  };
+
+  candidates.forEach((candidate, index) => {
+    if (!candidate.room_id) return;
+
+    existingSessions
+      .filter(session =>
+        session.room_id === candidate.room_id &&
+        !excluded.has(String(session.hubspot_id)) &&
+        String(session.hubspot_id) !== String(candidate.session_id) &&
+        checkTimeOverlap(candidate.start_time, candidate.end_time, session.start_time, session.end_time)
+      )
+      .forEach(session => {
+        const other = {
+          session_id: session.hubspot_id,
+          mock_type: session.mock_type,
+          start_time: session.start_time,
+          end_time: session.end_time
+        };
+        conflicts.push({
+          room_id: candidate.room_id,
+          exam_date: candidate.exam_date,
+          label: candidate.label || null,
+          session_id: candidate.session_id || null,
+          conflicting_session: other,
+          message: describe(candidate.room_id, candidate.exam_date, candidate.start_time, candidate.end_time, other)
+        });
+      });
+
+    candidates.slice(index + 1)
+      .filter(other =>
+        other.room_id === candidate.room_id &&
+        checkTimeOverlap(candidate.start_time, candidate.end_time, other.start_time, other.end_time)
+      )
+      .forEach(other => {
+        conflicts.push({
+          room_id: candidate.room_id,
+          exam_date: candidate.exam_date,
+          label: candidate.label || null,
+          session_id: candidate.session_id || null,
+          conflicting_session: {
+            session_id: other.session_id || null,
+            label: other.label || null,
+            start_time: other.start_time,
+            end_time: other.end_time
+          },
+          message: describe(candidate.room_id, candidate.exam_date, candidate.start_time, candidate.end_time, {
+            ...other,
+            session_id: null
+          })
+        });
+      });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Pairs of already-scheduled sessions that overlap in the same room
+ * (double bookings made before rooms were checked, or allowed on purpose)
+ * @param {Array<Object>} sessions - hubspot_mock_exams rows
+ * @returns {Array<{room_id: string, session_ids: Array<string>}>}
+ */
+function findOccupancyOverlaps(sessions) {
+  const overlaps = [];
+
+  sessions.forEach((session, index) => {
+    sessions.slice(index + 1)
+      .filter(other =>
+        other.room_id === session.room_id &&
+        checkTimeOverlap(session.start_time, session.end_time, other.start_time, other.end_time)
+      )
+      .forEach(other => {
+        overlaps.push({
+          room_id: session.room_id,
+          exam_date: session.exam_date,
+          session_ids: [session.hubspot_id, other.hubspot_id]
+        });
+      });
+  });
+
+  return overlaps;
+}
+
+/**
+ * Check candidate sessions against the rooms' current bookings
+ * @param {Array<Object>} candidates - See findRoomOverlaps
+ * @param {Object} [options] - { excludeIds, rooms }
+ * @returns {Promise<Array<Object>>} - Conflicts (empty when the rooms are free)
+ */
+async function checkRoomConflicts(candidates, options = {}) {
+  const inRooms = candidates.filter(candidate => candidate.room_id);
+  if (inRooms.length === 0) return [];
+
+  const existingSessions = await getRoomSessions(
+    inRooms.map(candidate => candidate.room_id),
+    { dates: inRooms.map(candidate => candidate.exam_date) }
+  );
+
+  const conflicts = findRoomOverlaps(inRooms, existingSessions, options);
+
+  if (conflicts.length > 0) {
+    console.warn(`⚠️ [ROOMS] ${conflicts.length} room overlap(s) detected`);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Standard 409 body for rejected room overlaps
+ * @param {Array<Object>} conflicts
+ */
+function roomConflictResponse(conflicts) {
+  return {
+    success: false,
+    error: {
+      code: 'ROOM_CONFLICT',
+      message: conflicts.length === 1
+        ? conflicts[0].message
+        : `${conflicts.length} sessions overlap with existing sessions in the same room`,
+      conflicts
+    }
+  };
+}
+
+module.exports = {
+  ROOMS_TABLE,
+  ROOM_FIELDS,
+  roomLabel,
+  listRooms,
+  getRoom,
+  getRoomsByIds,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  getRoomSessions,
+  getAssignableRoom,
+  getCapacityWarning,
+  findRoomOverlaps,
+  findOccupancyOverlaps,
+  checkRoomConflicts,
+  roomConflictResponse
+};
@@ -4,6 +4,9 @@
  * 1. Cron job: /api/admin/cron/activate-scheduled-exams
  * 2. Manual trigger: /api/admin/mock-exams/trigger-scheduled-activation
  *
+ * Also closes sessions whose scheduled_deactivation_datetime has passed
+ * (booking-cutoff.js) - the cron runs both.
+ *
  * This keeps the logic DRY and testable.
  */
 
@@ -164,24 +167,153 @@ async function findOverdueSessions() {
   }
 }
 
+/**
+ * Find and deactivate all active sessions whose scheduled deactivation is due
+ * Booking already stops at scheduled_deactivation_datetime (booking-cutoff.js);
+ * this turns the session off so it also leaves the admin and student lists.
+ * @returns {Promise<Object>} Deactivation summary
+ */
+async function deactivateScheduledSessions() {
+  const startTime = Date.now();
+
+  try {
+    console.log(`🔍 [SCHEDULED-DEACTIVATION] Querying Supabase for sessions to deactivate...`);
+
+    const sessionsToDeactivate = await findDueDeactivations();
+
+    console.log(`📊 [SCHEDULED-DEACTIVATION] Found ${sessionsToDeactivate.length} session(s) to deactivate`);
+
+    if (sessionsToDeactivate.length === 0) {
+      return {
+        deactivated: 0,
+        failed: 0,
+        total: 0,
+        timestamp: new Date().toISOString(),
+        executionTime: Date.now() - startTime
+      };
+    }
+
+    const results = await batchUpdateSessions(sessionsToDeactivate, {
+      is_active: 'false',
+      scheduled_deactivation_datetime: ''
+    });
+
+    // Same as activation: merge the Supabase properties with the update
+    let supabaseSynced = 0;
+    if (results.successful.length > 0) {
+      const sessionMap = new Map(sessionsToDeactivate.map(s => [s.id, s]));
+
+      for (const successfulResult of results.successful) {
+        const originalSession = sessionMap.get(successfulResult.id);
+        if (!originalSession) {
+          console.warn(`⚠️ [SCHEDULED-DEACTIVATION] Session ${successfulResult.id} not found in original data`);
+          continue;
+        }
+
+        try {
+          await syncExamToSupabase({
+            id: successfulResult.id,
+            properties: {
+              ...originalSession.properties,
+              is_active: 'false',
+              scheduled_deactivation_datetime: null
+            }
+          });
+          supabaseSynced++;
+        } catch (supabaseError) {
+          console.error(`❌ [SCHEDULED-DEACTIVATION] Failed to sync exam ${successfulResult.id} to Supabase:`, supabaseError.message);
+        }
+      }
+
+      await invalidateSessionCaches();
+      console.log(`🗑️ [SCHEDULED-DEACTIVATION] Caches invalidated`);
+    }
+
+    const executionTime = Date.now() - startTime;
+
+    console.log(`✅ [SCHEDULED-DEACTIVATION] Complete: ${results.successful.length} deactivated, ${results.failed.length} failed, ${supabaseSynced} synced to Supabase in ${executionTime}ms`);
+
+    return {
+      deactivated: results.successful.length,
+      failed: results.failed.length,
+      supabase_synced: supabaseSynced,
+      total: sessionsToDeactivate.length,
+      successful_ids: results.successful.map(s => s.id),
+      failed_ids: results.failed.map(f => f.id),
+      timestamp: new Date().toISOString(),
+      executionTime
+    };
+
+  } catch (error) {
+    console.error('❌ [SCHEDULED-DEACTIVATION] Error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Query Supabase for active sessions whose scheduled deactivation has passed
+ * @returns {Promise<Array>} Array of session objects in HubSpot format
+ */
+async function findDueDeactivations() {
+  const now = new Date().toISOString();
+  const { supabaseAdmin } = require('./supabase');
+
+  const { data, error } = await supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select('*')
+    .eq('is_active', 'true')
+    .not('scheduled_deactivation_datetime', 'is', null)
+    .lte('scheduled_deactivation_datetime', now)
+    .limit(100);
+
+  if (error) {
+    console.error('Error querying Supabase for due deactivations:', error);
+    throw error;
+  }
+
+  return (data || []).map(record => ({
+    id: record.hubspot_id,
+    properties: {
+      is_active: record.is_active,
+      scheduled_deactivation_datetime: record.scheduled_deactivation_datetime,
+      booking_cutoff_hours: record.booking_cutoff_hours,
+      mock_type: record.mock_type,
+      mock_exam_name: record.mock_exam_name,
+      exam_date: record.exam_date,
+      start_time: record.start_time,
+      end_time: record.end_time,
+      location: record.location,
+      capacity: record.capacity?.toString(),
+      total_bookings: record.total_bookings?.toString()
+    }
+  }));
+}
+
 /**
  * Activate sessions in batches
  * @param {Array} sessions - Sessions to activate
  * @returns {Promise<Object>} Results with successful and failed arrays
  */
 async function batchActivateSessions(sessions) {
+  // HubSpot stores ALL values as STRINGS: 'true' for active
+  return batchUpdateSessions(sessions, { is_active: 'true' });
+}
+
+/**
+ * Write the same properties to every session, in batches of 100
+ * @param {Array} sessions - Sessions to update
+ * @param {Object} properties - HubSpot properties to set
+ * @returns {Promise<Object>} Results with successful and failed arrays
+ */
+async function batchUpdateSessions(sessions, properties) {
   const results = {
     successful: [],
     failed: []
   };
 
-  // Prepare batch updates
-  // HubSpot stores ALL values as STRINGS: 'true' for active
   const updates = sessions.map(session => ({
     id: session.id,
-    properties: {
-      is_active: 'true'  // Set to string 'true' for active
-    }
+    properties: { ...properties }
   }));
 
   // Process in batches of 100 (HubSpot limit)
@@ -210,7 +342,7 @@ async function batchActivateSessions(sessions) {
         }
       }
     } catch (error) {
-      console.error(`Error activating batch:`, error);
+      console.error(`Error updating batch:`, error);
 
       // Mark all items in this chunk as failed
       for (const update of chunk) {
@@ -246,7 +378,9 @@ async function invalidateSessionCaches() {
 
 module.exports = {
   activateScheduledSessions,
+  deactivateScheduledSessions,
   findOverdueSessions,
+  findDueDeactivations,
   batchActivateSessions,
   invalidateSessionCaches
 };
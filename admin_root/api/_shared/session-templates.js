@@ -0,0 +1,298 @@
+/**
+ * Session Templates
+ * Named, reusable session configurations for the admin create flows
+ *
+ * A template captures everything an admin would otherwise re-enter every week:
+ * mock type, mock set, location, capacity (global or per slot), the time slots
+ * and how the sessions get activated. Templates are applied when creating
+ * sessions (single, bulk or series), in the CSV import and in the clone modal.
+ *
+ * Scheduled activation is stored relative to the exam date ("3 days before at
+ * 09:00", Toronto time) so the same template works for any date.
+ *
+ * Supabase table: session_templates
+ *   id                      uuid primary key default gen_random_uuid()
+ *   name                    text not null unique
+ *   description             text
+ *   mock_type               text not null
+ *   mock_set                text
+ *   location                text not null
+ *   capacity_mode           text not null default 'global'   -- global | per-slot
+ *   capacity                integer                          -- null in per-slot mode
+ *   time_slots              jsonb not null                   -- [{ start_time: 'HH:MM', end_time: 'HH:MM', capacity? }]
+ *   activation_mode         text not null default 'immediate' -- immediate | scheduled
+ *   is_active               text not null default 'true'      -- status for immediate activation
+ *   activation_days_before  integer                          -- scheduled: days before the exam date
+ *   activation_time         text                             -- scheduled: HH:MM, Toronto time
+ *   created_by              text
+ *   updated_by              text
+ *   created_at              timestamptz default now()
+ *   updated_at              timestamptz default now()
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const hubspot = require('./hubspot');
+const { addDays } = require('./exam-series');
+
+const TEMPLATES_TABLE = 'session_templates';
+
+// Columns an admin can set (everything else is managed here)
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'mock_type',
+  'mock_set',
+  'location',
+  'capacity_mode',
+  'capacity',
+  'time_slots',
+  'activation_mode',
+  'is_active',
+  'activation_days_before',
+  'activation_time'
+];
+
+/**
+ * Turn a Supabase error into one that carries a status/code for the handlers
+ */
+function toTemplateError(error, fallbackMessage) {
+  if (error.code === '23505') {
+    const duplicate = new Error('A template with this name already exists');
+    duplicate.status = 409;
+    duplicate.code = 'TEMPLATE_NAME_TAKEN';
+    return duplicate;
+  }
+
+  const wrapped = new Error(fallbackMessage);
+  wrapped.status = 500;
+  wrapped.code = 'TEMPLATE_STORAGE_ERROR';
+  return wrapped;
+}
+
+/**
+ * Pick only the editable template columns, clearing the settings of the modes
+ * that are not in use
+ */
+function pickTemplateFields(data) {
+  const picked = TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+
+  if (picked.capacity_mode === 'per-slot') {
+    picked.capacity = null;
+  }
+
+  if (picked.activation_mode === 'immediate') {
+    picked.activation_days_before = null;
+    picked.activation_time = null;
+  }
+
+  return picked;
+}
+
+// ============== STORAGE ==============
+
+/**
+ * List all templates, by name
+ * @returns {Promise<Array>}
+ */
+async function listTemplates() {
+  const { data, error } = await supabaseAdmin
+    .from(TEMPLATES_TABLE)
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('❌ [TEMPLATES] Failed to list templates:', error.message);
+    throw toTemplateError(error, 'Failed to load session templates');
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one template
+ * @param {string} templateId
+ * @returns {Promise<Object>} - Template row
+ * @throws {Error} - 404 TEMPLATE_NOT_FOUND when missing
+ */
+async function getTemplate(templateId) {
+  const { data, error } = await supabaseAdmin
+    .from(TEMPLATES_TABLE)
+    .select('*')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ [TEMPLATES] Failed to read template ${templateId}:`, error.message);
+    throw toTemplateError(error, 'Failed to load session template');
+  }
+
+  if (!data) {
+    const notFound = new Error('Session template not found');
+    notFound.status = 404;
+    notFound.code = 'TEMPLATE_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data;
+}
+
+/**
+ * Create a template
+ * @param {Object} template - Validated template (sessionTemplate schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>} - Created row
+ */
+async function createTemplate(template, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(TEMPLATES_TABLE)
+    .insert({
+      ...pickTemplateFields(template),
+      created_by: adminEmail || null,
+      updated_by: adminEmail || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ [TEMPLATES] Failed to create template:', error.message);
+    throw toTemplateError(error, 'Failed to save session template');
+  }
+
+  return data;
+}
+
+/**
+ * Replace the editable columns of a template
+ * @param {string} templateId
+ * @param {Object} template - Validated, merged template (sessionTemplate schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>} - Updated row
+ */
+async function updateTemplate(templateId, template, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(TEMPLATES_TABLE)
+    .update({
+      ...pickTemplateFields(template),
+      updated_by: adminEmail || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', templateId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ [TEMPLATES] Failed to update template ${templateId}:`, error.message);
+    throw toTemplateError(error, 'Failed to update session template');
+  }
+
+  return data;
+}
+
+/**
+ * Delete a template (sessions created from it are not affected)
+ * @param {string} templateId
+ */
+async function deleteTemplate(templateId) {
+  const { error } = await supabaseAdmin
+    .from(TEMPLATES_TABLE)
+    .delete()
+    .eq('id', templateId);
+
+  if (error) {
+    console.error(`❌ [TEMPLATES] Failed to delete template ${templateId}:`, error.message);
+    throw toTemplateError(error, 'Failed to delete session template');
+  }
+}
+
+// ============== APPLYING ==============
+
+/**
+ * Activation settings of a template for one exam date
+ *
+ * A scheduled activation that would already be in the past activates the
+ * session immediately instead.
+ *
+ * @param {Object} template
+ * @param {string} examDate - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {{is_active: string, scheduled_activation_datetime: string|null}}
+ */
+function resolveTemplateActivation(template, examDate, now = new Date()) {
+  if (template.activation_mode !== 'scheduled' || !examDate) {
+    return { is_active: template.is_active || 'true', scheduled_activation_datetime: null };
+  }
+
+  const activationDate = addDays(examDate, -(template.activation_days_before || 0));
+  const activationTimestamp = hubspot.convertToTimestamp(activationDate, template.activation_time || '00:00');
+
+  if (activationTimestamp <= now.getTime()) {
+    return { is_active: 'true', scheduled_activation_datetime: null };
+  }
+
+  return {
+    is_active: 'scheduled',
+    scheduled_activation_datetime: new Date(activationTimestamp).toISOString()
+  };
+}
+
+/**
+ * Fill CSV import rows from a template
+ *
+ * Blank cells take the template value. A row without start/end times becomes
+ * one row per template time slot (same row number, so errors still point at
+ * the CSV line). Rows that already have values keep them.
+ *
+ * @param {Array<Object>} rows - Parsed CSV rows (bulk-create-csv parseCSV)
+ * @param {Object} template
+ * @returns {Array<Object>} - Rows ready for validateRow
+ */
+function applyTemplateToCsvRows(rows, template) {
+  const slots = Array.isArray(template.time_slots) ? template.time_slots : [];
+
+  return rows.flatMap(row => {
+    const base = {
+      ...row,
+      mock_type: row.mock_type || template.mock_type,
+      location: row.location || template.location,
+      mock_set: row.mock_set || (template.mock_type === 'Mini-mock' ? '' : template.mock_set || '')
+    };
+
+    if (!row.is_active && /^\d{4}-\d{2}-\d{2}$/.test(row.exam_date || '')) {
+      const activation = resolveTemplateActivation(template, row.exam_date);
+      base.is_active = activation.is_active;
+      base.scheduled_activation_datetime = row.scheduled_activation_datetime || activation.scheduled_activation_datetime || '';
+    }
+
+    const slotCapacity = (slot) => String(
+      template.capacity_mode === 'per-slot' ? slot.capacity || '' : template.capacity || ''
+    );
+
+    if (row.start_time || row.end_time || slots.length === 0) {
+      return [{ ...base, capacity: row.capacity || slotCapacity(slots[0] || {}) }];
+    }
+
+    return slots.map(slot => ({
+      ...base,
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      capacity: row.capacity || slotCapacity(slot)
+    }));
+  });
+}
+
+module.exports = {
+  TEMPLATES_TABLE,
+  TEMPLATE_FIELDS,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  resolveTemplateActivation,
+  applyTemplateToCsvRows
+};
@@ -0,0 +1,351 @@
+/**
+ * Sign-in Sheets
+ * Printable exam-day lists of a session's active bookings, as PDF
+ *
+ * - Sign-in sheet: one row per trainee with a signature box, for trainees to sign on arrival
+ * - Door list: compact checklist for staff checking trainees in at the door
+ *
+ * Both print name, student ID, dominant hand and exam set, plus a Code 128 barcode
+ * of the student ID (the booking id when a trainee has none) so staff can scan a
+ * row straight into the trainee search. Every group starts on a new page with its
+ * session header, and pages are numbered across the whole document.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { PdfDocument } = require('./pdf');
+const { loadBookingExportRows, formatTime, formatDominantHand } = require('./exports');
+
+const GROUP_BY_OPTIONS = ['session', 'dominant_hand', 'mock_set', 'none'];
+const SORT_BY_OPTIONS = ['name', 'student_id', 'booking_date'];
+const SHEET_TYPES = ['sign_in', 'door_list'];
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 78;
+const FOOTER_HEIGHT = 24;
+const TABLE_HEADER_HEIGHT = 18;
+
+const LAYOUTS = {
+  sign_in: { title: 'Sign-in Sheet', rowHeight: 32, fontSize: 9.5 },
+  door_list: { title: 'Door List', rowHeight: 22, fontSize: 9 }
+};
+
+/**
+ * Sessions at a location on a date, in start time order
+ * @param {string} location
+ * @param {string} examDate - YYYY-MM-DD
+ * @returns {Promise<Array<string>>} - Session ids
+ * @throws {Error} - 404 SESSION_NOT_FOUND when there are none
+ */
+async function findSessionIds(location, examDate) {
+  const { data, error } = await supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select('hubspot_id, start_time')
+    .eq('exam_date', examDate)
+    .eq('location', location)
+    .order('start_time', { ascending: true });
+
+  if (error) {
+    console.error('❌ [SIGN-IN] Failed to read sessions:', error.message);
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    const notFound = new Error(`No sessions at ${location} on ${examDate}`);
+    notFound.status = 404;
+    notFound.code = 'SESSION_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data.map(exam => String(exam.hubspot_id));
+}
+
+function compareText(a, b) {
+  return String(a || '').localeCompare(String(b || ''), 'en', { sensitivity: 'base', numeric: true });
+}
+
+const SORTERS = {
+  name: (a, b) => compareText(a.name, b.name) || compareText(a.student_id, b.student_id),
+  student_id: (a, b) => compareText(a.student_id, b.student_id) || compareText(a.name, b.name),
+  booking_date: (a, b) => compareText(a.booking_date, b.booking_date) || compareText(a.name, b.name)
+};
+
+/**
+ * "Tuesday, March 3, 2026"
+ */
+function formatLongDate(value) {
+  if (!value) return null;
+
+  const date = new Date(`${String(value).slice(0, 10)}T12:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+
+  return date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function describeSession(session) {
+  const start = formatTime(session.start_time);
+  const end = formatTime(session.end_time);
+
+  return [
+    formatLongDate(session.exam_date),
+    start && end ? `${start} - ${end}` : start,
+    session.location
+  ].filter(Boolean).join('  |  ');
+}
+
+/**
+ * Split the rows into printed groups
+ *
+ * @param {Array<Object>} rows - Export rows (see exports.js)
+ * @param {Array<Object>} sessions - Sessions in date order
+ * @param {Object} options - { groupBy, sortBy }
+ * @returns {Array<{ title: string, subtitle: string, label: string|null, rows: Array<Object> }>}
+ *   Sessions without bookings still get a (blank) group so nobody thinks a sheet is missing
+ */
+function buildGroups(rows, sessions, { groupBy = 'session', sortBy = 'name' } = {}) {
+  const sorter = SORTERS[sortBy] || SORTERS.name;
+
+  if (groupBy === 'none') {
+    const mockTypes = [...new Set(sessions.map(session => session.mock_type).filter(Boolean))];
+    const locations = [...new Set(sessions.map(session => session.location).filter(Boolean))];
+    const dates = [...new Set(sessions.map(session => formatLongDate(session.exam_date)).filter(Boolean))];
+
+    return [{
+      title: mockTypes.join(' / ') || 'Mock Exams',
+      subtitle: [dates.join(', '), `${sessions.length} session${sessions.length === 1 ? '' : 's'}`, locations.join(', ')]
+        .filter(Boolean)
+        .join('  |  '),
+      label: null,
+      rows: [...rows].sort(sorter)
+    }];
+  }
+
+  return sessions.flatMap(session => {
+    const sessionRows = rows.filter(row => row.mock_exam_id === String(session.hubspot_id)).sort(sorter);
+    const base = {
+      title: [session.mock_type, session.mock_set ? `Set ${session.mock_set}` : null].filter(Boolean).join(' - ') || 'Mock Exam',
+      subtitle: describeSession(session)
+    };
+
+    if (groupBy === 'session' || sessionRows.length === 0) {
+      return [{ ...base, label: null, rows: sessionRows }];
+    }
+
+    const labelOf = groupBy === 'dominant_hand'
+      ? row => formatDominantHand(row.dominant_hand) || 'Dominant hand not set'
+      : row => (row.mock_set ? `Set ${row.mock_set}` : 'No exam set');
+
+    const subGroups = new Map();
+    sessionRows.forEach(row => {
+      const label = labelOf(row);
+      if (!subGroups.has(label)) subGroups.set(label, []);
+      subGroups.get(label).push(row);
+    });
+
+    return [...subGroups.keys()]
+      .sort(compareText)
+      .map(label => ({ ...base, label, rows: subGroups.get(label) }));
+  });
+}
+
+/**
+ * Columns of the printed table; the name column takes whatever width is left
+ */
+function getColumns(type, { includeBarcodes, includeTime, pageWidth }) {
+  const columns = [
+    { id: 'number', header: '#', width: 22, align: 'right' },
+    ...(type === 'door_list' ? [{ id: 'check', header: '', width: 22 }] : []),
+    { id: 'name', header: 'Name', width: 0 },
+    { id: 'student_id', header: 'Student ID', width: 64 },
+    ...(includeTime ? [{ id: 'time', header: 'Time', width: 52 }] : []),
+    { id: 'dominant_hand', header: 'Dominant Hand', width: 66 },
+    { id: 'mock_set', header: 'Exam Set', width: 44 },
+    ...(includeBarcodes ? [{ id: 'barcode', header: 'Barcode', width: 100 }] : []),
+    ...(type === 'sign_in' ? [{ id: 'signature', header: 'Signature', width: 120 }] : [])
+  ];
+
+  const fixedWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  columns.find(column => column.id === 'name').width = pageWidth - MARGIN * 2 - fixedWidth;
+
+  let x = MARGIN;
+  columns.forEach(column => {
+    column.x = x;
+    x += column.width;
+  });
+
+  return columns;
+}
+
+function getBarcodeValue(row) {
+  return row.student_id || row.hubspot_id || row.booking_id || null;
+}
+
+/**
+ * Render the groups as a PDF
+ *
+ * @param {Array<Object>} groups - From buildGroups()
+ * @param {Object} options
+ * @param {'sign_in'|'door_list'} [options.type]
+ * @param {boolean} [options.includeBarcodes]
+ * @param {boolean} [options.includeTime] - Add a session time column (combined lists)
+ * @param {string} [options.generatedOn] - Printed in the footer
+ * @returns {Buffer}
+ */
+function renderSignInSheets(groups, { type = 'sign_in', includeBarcodes = true, includeTime = false, generatedOn = '' } = {}) {
+  const layout = LAYOUTS[type] || LAYOUTS.sign_in;
+  // A sign-in sheet's extra time column only fits across a landscape page
+  const doc = new PdfDocument({ size: 'letter', orientation: includeTime && type === 'sign_in' ? 'landscape' : 'portrait' });
+  const columns = getColumns(type, { includeBarcodes, includeTime, pageWidth: doc.width });
+  const tableRight = columns[columns.length - 1].x + columns[columns.length - 1].width;
+  const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+
+  const startPage = (group, continued) => {
+    doc.addPage();
+
+    doc.text(layout.title, MARGIN, MARGIN + 12, { size: 16, bold: true });
+    doc.text(`${group.title}${continued ? ' (continued)' : ''}`, MARGIN, MARGIN + 32, { size: 12, bold: true, maxWidth: tableRight - MARGIN });
+    doc.text(group.subtitle, MARGIN, MARGIN + 48, { size: 10, maxWidth: tableRight - MARGIN });
+    if (group.label) {
+      doc.text(group.label, MARGIN, MARGIN + 63, { size: 10, bold: true });
+    }
+    doc.text(`${group.rows.length} trainee${group.rows.length === 1 ? '' : 's'}`, tableRight, MARGIN + 12, { size: 10, align: 'right', gray: 0.3 });
+
+    const headerTop = MARGIN + HEADER_HEIGHT;
+    doc.rect(MARGIN, headerTop, tableRight - MARGIN, TABLE_HEADER_HEIGHT, { fill: 0.9, stroke: null });
+    columns.forEach(column => {
+      if (!column.header) return;
+      doc.text(column.header, column.align === 'right' ? column.x + column.width - 4 : column.x + 4, headerTop + 12.5, {
+        size: 8.5,
+        bold: true,
+        align: column.align || 'left'
+      });
+    });
+
+    return headerTop + TABLE_HEADER_HEIGHT;
+  };
+
+  const drawCell = (column, row, index, top) => {
+    const baseline = top + layout.rowHeight / 2 + 3.5;
+    const textOptions = { size: layout.fontSize, maxWidth: column.width - 8 };
+
+    switch (column.id) {
+      case 'number':
+        return doc.text(String(index + 1), column.x + column.width - 4, baseline, { ...textOptions, align: 'right', gray: 0.4 });
+      case 'check':
+        return doc.rect(column.x + 6, top + layout.rowHeight / 2 - 5, 10, 10, { width: 0.8 });
+      case 'name':
+        return doc.text(row.name || '-', column.x + 4, baseline, { ...textOptions, bold: true });
+      case 'student_id':
+        return doc.text(row.student_id || '-', column.x + 4, baseline, textOptions);
+      case 'time':
+        return doc.text(formatTime(row.start_time) || '-', column.x + 4, baseline, textOptions);
+      case 'dominant_hand':
+        return doc.text(formatDominantHand(row.dominant_hand) || '-', column.x + 4, baseline, textOptions);
+      case 'mock_set':
+        return doc.text(row.mock_set || '-', column.x + 4, baseline, textOptions);
+      case 'barcode': {
+        const value = getBarcodeValue(row);
+        if (!value) return null;
+        try {
+          return doc.barcode(value, column.x, top + 4, { height: layout.rowHeight - 8, maxWidth: column.width });
+        } catch (error) {
+          // Values Code 128 can't encode print as text instead
+          return doc.text(value, column.x + 4, baseline, { ...textOptions, size: 7 });
+        }
+      }
+      default:
+        return null;
+    }
+  };
+
+  groups.forEach(group => {
+    let y = startPage(group, false);
+
+    if (group.rows.length === 0) {
+      doc.text('No active bookings', MARGIN + 4, y + 16, { size: 10, gray: 0.4 });
+      return;
+    }
+
+    group.rows.forEach((row, index) => {
+      if (y + layout.rowHeight > bottom) {
+        y = startPage(group, true);
+      }
+
+      if (index % 2 === 1) {
+        doc.rect(MARGIN, y, tableRight - MARGIN, layout.rowHeight, { fill: 0.96, stroke: null });
+      }
+      columns.forEach(column => drawCell(column, row, index, y));
+      doc.line(MARGIN, y + layout.rowHeight, tableRight, y + layout.rowHeight, { gray: 0.75 });
+
+      y += layout.rowHeight;
+    });
+  });
+
+  if (doc.pages.length === 0) {
+    doc.addPage();
+  }
+
+  doc.forEachPage((page, index) => {
+    const footerY = doc.height - MARGIN;
+    if (generatedOn) {
+      doc.text(`Printed ${generatedOn}`, MARGIN, footerY, { size: 8, gray: 0.4 });
+    }
+    doc.text(`Page ${index + 1} of ${doc.pages.length}`, tableRight, footerY, { size: 8, align: 'right', gray: 0.4 });
+  });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Build the sign-in sheets of some sessions, or of every session at a location on a date
+ *
+ * @param {Object} options
+ * @param {Array<string>} [options.examIds]
+ * @param {string} [options.location] - With examDate, instead of examIds
+ * @param {string} [options.examDate] - YYYY-MM-DD
+ * @param {'sign_in'|'door_list'} [options.type]
+ * @param {'session'|'dominant_hand'|'mock_set'|'none'} [options.groupBy]
+ * @param {'name'|'student_id'|'booking_date'} [options.sortBy]
+ * @param {boolean} [options.includeBarcodes]
+ * @param {string} [options.generatedOn]
+ * @returns {Promise<{ content: Buffer, sessions: Array<Object>, traineeCount: number }>}
+ * @throws {Error} - 404 SESSION_NOT_FOUND
+ */
+async function generateSignInSheets({
+  examIds = [],
+  location,
+  examDate,
+  type = 'sign_in',
+  groupBy = 'session',
+  sortBy = 'name',
+  includeBarcodes = true,
+  generatedOn
+} = {}) {
+  const ids = examIds.length > 0 ? examIds : await findSessionIds(location, examDate);
+
+  const { rows, sessions } = await loadBookingExportRows({ examIds: ids, status: 'active' });
+  const groups = buildGroups(rows, sessions, { groupBy, sortBy });
+
+  const content = renderSignInSheets(groups, {
+    type,
+    includeBarcodes,
+    includeTime: groupBy === 'none' && sessions.length > 1,
+    generatedOn
+  });
+
+  return { content, sessions, traineeCount: rows.length };
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  SORT_BY_OPTIONS,
+  SHEET_TYPES,
+  buildGroups,
+  renderSignInSheets,
+  generateSignInSheets
+};
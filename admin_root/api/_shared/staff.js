@@ -0,0 +1,686 @@
+/**
+ * Staff
+ * Examiners and proctors, their assignment to sessions, and the staffing
+ * ratios that say how many of each a session needs
+ *
+ * A staff member can hold both roles; each assignment picks the role they
+ * fill for that session. Before assigning, the session is checked against the
+ * person's availability (weekdays, unavailable date ranges, sites) and their
+ * other sessions that day - start1 < end2 AND end1 > start2 is an overlap,
+ * back-to-back is fine. Conflicts are rejected with 409 STAFF_CONFLICT unless
+ * the admin passes allow_overlap, in which case they come back as warnings.
+ *
+ * Required staff per role = max(min_staff, ceil(total_bookings / trainees_per_staff)),
+ * e.g. one examiner per 6 Clinical Skills trainees. A session with fewer
+ * assigned staff than required is understaffed.
+ *
+ * Supabase table: staff
+ *   id                  uuid primary key default gen_random_uuid()
+ *   name                text not null
+ *   email               text not null unique
+ *   roles               text[] not null              -- 'examiner' and/or 'proctor'
+ *   sites               text[] not null default '{}' -- empty = works at any site
+ *   available_weekdays  integer[] not null default '{}' -- 0 (Sun) - 6 (Sat), empty = any day
+ *   unavailable_dates   jsonb not null default '[]'  -- [{ start_date, end_date, reason }]
+ *   is_active           boolean not null default true
+ *   notes               text
+ *   created_by          text
+ *   updated_by          text
+ *   created_at          timestamptz default now()
+ *   updated_at          timestamptz default now()
+ *
+ * Supabase table: session_staff
+ *   id            uuid primary key default gen_random_uuid()
+ *   mock_exam_id  text not null                      -- hubspot_mock_exams.hubspot_id
+ *   staff_id      uuid not null references staff(id)
+ *   role          text not null                      -- 'examiner' | 'proctor'
+ *   assigned_by   text
+ *   created_at    timestamptz default now()
+ *   unique (mock_exam_id, staff_id)
+ *
+ * Supabase table: staffing_ratios
+ *   mock_type          text not null
+ *   role               text not null                 -- 'examiner' | 'proctor'
+ *   trainees_per_staff integer                       -- null = fixed min_staff only
+ *   min_staff          integer not null default 0
+ *   updated_by         text
+ *   updated_at         timestamptz default now()
+ *   primary key (mock_type, role)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const hubspot = require('./hubspot');
+const { checkTimeOverlap } = require('./time-conflicts');
+
+const STAFF_TABLE = 'staff';
+const ASSIGNMENTS_TABLE = 'session_staff';
+const RATIOS_TABLE = 'staffing_ratios';
+
+const STAFF_ROLES = ['examiner', 'proctor'];
+
+// Columns an admin can set (everything else is managed here)
+const STAFF_FIELDS = ['name', 'email', 'roles', 'sites', 'available_weekdays', 'unavailable_dates', 'is_active', 'notes'];
+
+// Session columns needed for schedules and overlap checks
+const SESSION_COLUMNS = 'hubspot_id, mock_type, mock_set, exam_date, start_time, end_time, location, capacity, total_bookings, is_active, room_id';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Turn a Supabase error into one that carries a status/code for the handlers
+ */
+function toStaffError(error, fallbackMessage) {
+  if (error.code === '23505') {
+    const duplicate = new Error(error.message?.includes('mock_exam_id')
+      ? 'This person is already assigned to the session'
+      : 'A staff member with this email already exists');
+    duplicate.status = 409;
+    duplicate.code = error.message?.includes('mock_exam_id') ? 'STAFF_ALREADY_ASSIGNED' : 'STAFF_EMAIL_TAKEN';
+    return duplicate;
+  }
+
+  const wrapped = new Error(fallbackMessage);
+  wrapped.status = 500;
+  wrapped.code = 'STAFF_STORAGE_ERROR';
+  return wrapped;
+}
+
+function pickStaffFields(data) {
+  return STAFF_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+// ============== STAFF RECORDS ==============
+
+/**
+ * List staff, by name
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @param {string} [options.role] - Only staff who can fill this role
+ * @returns {Promise<Array>}
+ */
+async function listStaff({ includeInactive = false, role } = {}) {
+  let query = supabaseAdmin
+    .from(STAFF_TABLE)
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  if (role) {
+    query = query.contains('roles', [role]);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('❌ [STAFF] Failed to list staff:', error.message);
+    throw toStaffError(error, 'Failed to load staff');
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one staff member
+ * @param {string} staffId
+ * @returns {Promise<Object>}
+ * @throws {Error} - 404 STAFF_NOT_FOUND when missing
+ */
+async function getStaff(staffId) {
+  const { data, error } = await supabaseAdmin
+    .from(STAFF_TABLE)
+    .select('*')
+    .eq('id', staffId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to read staff member ${staffId}:`, error.message);
+    throw toStaffError(error, 'Failed to load staff member');
+  }
+
+  if (!data) {
+    const notFound = new Error('Staff member not found');
+    notFound.status = 404;
+    notFound.code = 'STAFF_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data;
+}
+
+/**
+ * Create a staff member
+ * @param {Object} staff - Validated staff member (staffMember schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function createStaff(staff, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(STAFF_TABLE)
+    .insert({
+      ...pickStaffFields(staff),
+      created_by: adminEmail || null,
+      updated_by: adminEmail || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ [STAFF] Failed to create staff member:', error.message);
+    throw toStaffError(error, 'Failed to save staff member');
+  }
+
+  return data;
+}
+
+/**
+ * Replace the editable columns of a staff member
+ * @param {string} staffId
+ * @param {Object} staff - Validated, merged staff member (staffMember schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Object>}
+ */
+async function updateStaff(staffId, staff, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(STAFF_TABLE)
+    .update({
+      ...pickStaffFields(staff),
+      updated_by: adminEmail || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', staffId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to update staff member ${staffId}:`, error.message);
+    throw toStaffError(error, 'Failed to update staff member');
+  }
+
+  return data;
+}
+
+/**
+ * Delete a staff member who was never assigned to a session
+ * @param {string} staffId
+ * @throws {Error} - 409 STAFF_IN_USE when assignments exist (deactivate them instead)
+ */
+async function deleteStaff(staffId) {
+  const { count, error: countError } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .select('id', { count: 'exact', head: true })
+    .eq('staff_id', staffId);
+
+  if (countError) {
+    console.error(`❌ [STAFF] Failed to count assignments of ${staffId}:`, countError.message);
+    throw toStaffError(countError, 'Failed to delete staff member');
+  }
+
+  if (count > 0) {
+    const inUse = new Error(`This person has ${count} session assignment(s). Deactivate them instead.`);
+    inUse.status = 409;
+    inUse.code = 'STAFF_IN_USE';
+    throw inUse;
+  }
+
+  const { error } = await supabaseAdmin
+    .from(STAFF_TABLE)
+    .delete()
+    .eq('id', staffId);
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to delete staff member ${staffId}:`, error.message);
+    throw toStaffError(error, 'Failed to delete staff member');
+  }
+}
+
+// ============== STAFFING RATIOS ==============
+
+/**
+ * All staffing ratios, by mock type then role
+ * @returns {Promise<Array>}
+ */
+async function listRatios() {
+  const { data, error } = await supabaseAdmin
+    .from(RATIOS_TABLE)
+    .select('*')
+    .order('mock_type', { ascending: true })
+    .order('role', { ascending: true });
+
+  if (error) {
+    console.error('❌ [STAFF] Failed to list staffing ratios:', error.message);
+    throw toStaffError(error, 'Failed to load staffing ratios');
+  }
+
+  return data || [];
+}
+
+/**
+ * Replace the staffing ratios - mock type/role pairs missing from the list are removed
+ * @param {Array<Object>} ratios - Validated ratios (staffingRatios schema)
+ * @param {string} adminEmail
+ * @returns {Promise<Array>} - The stored ratios
+ */
+async function saveRatios(ratios, adminEmail) {
+  const existing = await listRatios();
+  const keep = new Set(ratios.map(ratio => `${ratio.mock_type}|${ratio.role}`));
+
+  for (const ratio of existing.filter(row => !keep.has(`${row.mock_type}|${row.role}`))) {
+    const { error } = await supabaseAdmin
+      .from(RATIOS_TABLE)
+      .delete()
+      .match({ mock_type: ratio.mock_type, role: ratio.role });
+
+    if (error) {
+      console.error(`❌ [STAFF] Failed to remove ratio ${ratio.mock_type}/${ratio.role}:`, error.message);
+      throw toStaffError(error, 'Failed to save staffing ratios');
+    }
+  }
+
+  if (ratios.length > 0) {
+    const { error } = await supabaseAdmin
+      .from(RATIOS_TABLE)
+      .upsert(ratios.map(ratio => ({
+        mock_type: ratio.mock_type,
+        role: ratio.role,
+        trainees_per_staff: ratio.trainees_per_staff || null,
+        min_staff: ratio.min_staff || 0,
+        updated_by: adminEmail || null,
+        updated_at: new Date().toISOString()
+      })), { onConflict: 'mock_type,role' });
+
+    if (error) {
+      console.error('❌ [STAFF] Failed to save staffing ratios:', error.message);
+      throw toStaffError(error, 'Failed to save staffing ratios');
+    }
+  }
+
+  return listRatios();
+}
+
+/**
+ * Staff of one role a session needs
+ * @param {Object|undefined} ratio - staffing_ratios row for the session's mock type and the role
+ * @param {number|string} totalBookings
+ * @returns {number}
+ */
+function getRequiredStaff(ratio, totalBookings) {
+  if (!ratio) return 0;
+
+  const minimum = parseInt(ratio.min_staff) || 0;
+  const perStaff = parseInt(ratio.trainees_per_staff) || 0;
+  const trainees = parseInt(totalBookings) || 0;
+
+  if (!perStaff || trainees === 0) return minimum;
+
+  return Math.max(minimum, Math.ceil(trainees / perStaff));
+}
+
+/**
+ * Required vs assigned staff for a session
+ * @param {Object} session - { mock_type, total_bookings }
+ * @param {Array<Object>} ratios - staffing_ratios rows
+ * @param {Array<Object>} assignments - The session's session_staff rows ({ role })
+ * @returns {{required: Object, assigned: Object, shortfall: Object, understaffed: boolean}}
+ *   required/assigned/shortfall are keyed by role
+ */
+function summarizeStaffing(session, ratios, assignments) {
+  const summary = { required: {}, assigned: {}, shortfall: {}, understaffed: false };
+
+  STAFF_ROLES.forEach(role => {
+    const ratio = ratios.find(row => row.mock_type === session.mock_type && row.role === role);
+    const required = getRequiredStaff(ratio, session.total_bookings);
+    const assigned = assignments.filter(assignment => assignment.role === role).length;
+
+    summary.required[role] = required;
+    summary.assigned[role] = assigned;
+    summary.shortfall[role] = Math.max(0, required - assigned);
+
+    if (assigned < required) {
+      summary.understaffed = true;
+    }
+  });
+
+  return summary;
+}
+
+// ============== ASSIGNMENTS ==============
+
+/**
+ * Staff assigned to a session, with their staff record
+ * @param {string} mockExamId
+ * @returns {Promise<Array>}
+ */
+async function getSessionAssignments(mockExamId) {
+  const { data, error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .select('id, mock_exam_id, staff_id, role, assigned_by, created_at, staff:staff_id (id, name, email, roles, is_active)')
+    .eq('mock_exam_id', String(mockExamId))
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to load staff for session ${mockExamId}:`, error.message);
+    throw toStaffError(error, 'Failed to load session staff');
+  }
+
+  return data || [];
+}
+
+/**
+ * Assignments (role only) for several sessions
+ * @param {Array<string>} mockExamIds
+ * @returns {Promise<Array<{mock_exam_id: string, role: string}>>}
+ */
+async function getAssignmentsForSessions(mockExamIds) {
+  const ids = [...new Set(mockExamIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .select('mock_exam_id, role')
+    .in('mock_exam_id', ids);
+
+  if (error) {
+    console.error('❌ [STAFF] Failed to load session staff:', error.message);
+    throw toStaffError(error, 'Failed to load session staff');
+  }
+
+  return data || [];
+}
+
+/**
+ * Sessions a staff member is assigned to, with the role they fill
+ * @param {string} staffId
+ * @param {Object} range - { dates: ['YYYY-MM-DD'] } or { startDate, endDate }
+ * @returns {Promise<Array>} - hubspot_mock_exams rows plus assignment_id and role, by start time
+ */
+async function getStaffSessions(staffId, { dates, startDate, endDate }) {
+  const { data: assignments, error: assignmentError } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .select('id, mock_exam_id, role')
+    .eq('staff_id', staffId);
+
+  if (assignmentError) {
+    console.error(`❌ [STAFF] Failed to load assignments of ${staffId}:`, assignmentError.message);
+    throw toStaffError(assignmentError, 'Failed to load staff schedule');
+  }
+
+  if (!assignments || assignments.length === 0) return [];
+
+  let query = supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select(SESSION_COLUMNS)
+    .in('hubspot_id', assignments.map(assignment => assignment.mock_exam_id))
+    .order('exam_date', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  if (dates) {
+    query = query.in('exam_date', [...new Set(dates)]);
+  } else {
+    query = query.gte('exam_date', startDate).lte('exam_date', endDate);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to load sessions of ${staffId}:`, error.message);
+    throw toStaffError(error, 'Failed to load staff schedule');
+  }
+
+  const byExam = new Map(assignments.map(assignment => [String(assignment.mock_exam_id), assignment]));
+
+  return (data || []).map(session => ({
+    ...session,
+    assignment_id: byExam.get(String(session.hubspot_id))?.id || null,
+    role: byExam.get(String(session.hubspot_id))?.role || null
+  }));
+}
+
+/**
+ * Assign a staff member to a session
+ * @param {Object} assignment - { mockExamId, staffId, role }
+ * @param {string} adminEmail
+ * @returns {Promise<Object>} - session_staff row
+ */
+async function assignStaff({ mockExamId, staffId, role }, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .insert({
+      mock_exam_id: String(mockExamId),
+      staff_id: staffId,
+      role,
+      assigned_by: adminEmail || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to assign ${staffId} to session ${mockExamId}:`, error.message);
+    throw toStaffError(error, 'Failed to assign staff member');
+  }
+
+  return data;
+}
+
+/**
+ * Remove an assignment from a session
+ * @param {string} mockExamId
+ * @param {string} assignmentId
+ * @returns {Promise<Object>} - The removed session_staff row
+ * @throws {Error} - 404 ASSIGNMENT_NOT_FOUND when it is not on this session
+ */
+async function unassignStaff(mockExamId, assignmentId) {
+  const { data, error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .delete()
+    .eq('id', assignmentId)
+    .eq('mock_exam_id', String(mockExamId))
+    .select();
+
+  if (error) {
+    console.error(`❌ [STAFF] Failed to remove assignment ${assignmentId}:`, error.message);
+    throw toStaffError(error, 'Failed to remove staff member');
+  }
+
+  if (!data || data.length === 0) {
+    const notFound = new Error('Staff assignment not found for this session');
+    notFound.status = 404;
+    notFound.code = 'ASSIGNMENT_NOT_FOUND';
+    throw notFound;
+  }
+
+  return data[0];
+}
+
+/**
+ * Staff member who can be assigned to a session in the given role
+ * @param {string} staffId
+ * @param {string} role
+ * @returns {Promise<Object>}
+ * @throws {Error} - 400 INVALID_STAFF when missing or inactive, 400 INVALID_STAFF_ROLE when
+ *   they don't fill that role
+ */
+async function getAssignableStaff(staffId, role) {
+  let staff;
+  try {
+    staff = await getStaff(staffId);
+  } catch (error) {
+    if (error.code !== 'STAFF_NOT_FOUND') throw error;
+    staff = null;
+  }
+
+  if (!staff || !staff.is_active) {
+    const invalid = new Error(staff ? `${staff.name} is no longer active` : 'Staff member not found');
+    invalid.status = 400;
+    invalid.code = 'INVALID_STAFF';
+    throw invalid;
+  }
+
+  if (!(staff.roles || []).includes(role)) {
+    const invalidRole = new Error(`${staff.name} is not set up as a ${role}`);
+    invalidRole.status = 400;
+    invalidRole.code = 'INVALID_STAFF_ROLE';
+    throw invalidRole;
+  }
+
+  return staff;
+}
+
+// ============== AVAILABILITY ==============
+
+/**
+ * Reasons a staff member can't run a session
+ *
+ * @param {Object} staff - staff row
+ * @param {Object} session - hubspot_mock_exams row (hubspot_id, exam_date, start_time, end_time, location)
+ * @param {Array<Object>} otherSessions - Sessions the person is already assigned to (getStaffSessions)
+ * @returns {Array<{type: string, message: string, session_id?: string}>}
+ *   type is 'overlap', 'unavailable', 'weekday' or 'site'
+ */
+function findStaffConflicts(staff, session, otherSessions = []) {
+  const conflicts = [];
+  const examDate = session.exam_date;
+
+  const unavailable = (staff.unavailable_dates || []).find(range =>
+    examDate >= range.start_date && examDate <= (range.end_date || range.start_date)
+  );
+  if (unavailable) {
+    conflicts.push({
+      type: 'unavailable',
+      message: `${staff.name} is unavailable on ${examDate}${unavailable.reason ? ` (${unavailable.reason})` : ''}`
+    });
+  }
+
+  const weekdays = staff.available_weekdays || [];
+  const weekday = new Date(`${examDate}T00:00:00Z`).getUTCDay();
+  if (weekdays.length > 0 && !weekdays.includes(weekday)) {
+    conflicts.push({
+      type: 'weekday',
+      message: `${staff.name} does not work on ${WEEKDAY_NAMES[weekday]}s`
+    });
+  }
+
+  const sites = staff.sites || [];
+  if (sites.length > 0 && session.location && !sites.includes(session.location)) {
+    conflicts.push({
+      type: 'site',
+      message: `${staff.name} does not work at ${session.location}`
+    });
+  }
+
+  otherSessions
+    .filter(other =>
+      String(other.hubspot_id) !== String(session.hubspot_id) &&
+      other.exam_date === examDate &&
+      checkTimeOverlap(session.start_time, session.end_time, other.start_time, other.end_time)
+    )
+    .forEach(other => {
+      const otherRange = `${hubspot.extractTimeFromTimestamp(other.start_time)}-${hubspot.extractTimeFromTimestamp(other.end_time)}`;
+      conflicts.push({
+        type: 'overlap',
+        session_id: other.hubspot_id,
+        message: `${staff.name} is already assigned to ${other.mock_type || 'session'} ${other.hubspot_id} on ${examDate} ${otherRange}${other.location ? ` at ${other.location}` : ''}`
+      });
+    });
+
+  return conflicts;
+}
+
+/**
+ * Check a staff member against a session
+ * @param {Object} staff
+ * @param {Object} session - hubspot_mock_exams row
+ * @returns {Promise<Array<Object>>} - Conflicts (empty when they are free)
+ */
+async function checkStaffConflicts(staff, session) {
+  const otherSessions = await getStaffSessions(staff.id, { dates: [session.exam_date] });
+  const conflicts = findStaffConflicts(staff, session, otherSessions);
+
+  if (conflicts.length > 0) {
+    console.warn(`⚠️ [STAFF] ${conflicts.length} availability conflict(s) for ${staff.email} on session ${session.hubspot_id}`);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Standard 409 body for rejected staff assignments
+ * @param {Array<Object>} conflicts
+ */
+function staffConflictResponse(conflicts) {
+  return {
+    success: false,
+    error: {
+      code: 'STAFF_CONFLICT',
+      message: conflicts.length === 1
+        ? conflicts[0].message
+        : `${conflicts.length} availability conflicts for this staff member`,
+      conflicts
+    }
+  };
+}
+
+// ============== DASHBOARD ==============
+
+/**
+ * Add a `staffing` summary to listed sessions (null when staffing can't be loaded -
+ * the listing itself must not fail because of it)
+ * @param {Array<Object>} sessions - { id, mock_type, total_bookings }
+ * @returns {Promise<Array<Object>>}
+ */
+async function attachStaffing(sessions) {
+  if (sessions.length === 0) return sessions;
+
+  try {
+    const [ratios, assignments] = await Promise.all([
+      listRatios(),
+      getAssignmentsForSessions(sessions.map(session => session.id))
+    ]);
+
+    return sessions.map(session => ({
+      ...session,
+      staffing: summarizeStaffing(
+        session,
+        ratios,
+        assignments.filter(assignment => String(assignment.mock_exam_id) === String(session.id))
+      )
+    }));
+  } catch (error) {
+    console.error('⚠️ [STAFF] Failed to load staffing for listed sessions (non-blocking):', error.message);
+    return sessions.map(session => ({ ...session, staffing: null }));
+  }
+}
+
+module.exports = {
+  STAFF_TABLE,
+  ASSIGNMENTS_TABLE,
+  RATIOS_TABLE,
+  STAFF_ROLES,
+  STAFF_FIELDS,
+  listStaff,
+  getStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff,
+  listRatios,
+  saveRatios,
+  getRequiredStaff,
+  summarizeStaffing,
+  getSessionAssignments,
+  getAssignmentsForSessions,
+  getStaffSessions,
+  assignStaff,
+  unassignStaff,
+  getAssignableStaff,
+  findStaffConflicts,
+  checkStaffConflicts,
+  staffConflictResponse,
+  attachStaffing
+};
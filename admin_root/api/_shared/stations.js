@@ -0,0 +1,561 @@
+/**
+ * Stations
+ * Station / seat layouts of Clinical Skills sessions and which trainee sits where
+ *
+ * A session defines its stations (some of them set up for left-handed trainees)
+ * and how many rotation groups go through them. Every station is used once per
+ * rotation group, so a seat is a (station, rotation group) pair and the session
+ * seats stations x rotation_groups trainees.
+ *
+ * Auto-assignment keeps manual placements, then seats left-handed trainees
+ * (dominant_hand 'false', captured at booking time) at left-handed stations
+ * before everyone else takes the remaining seats, always filling the emptiest
+ * rotation group first so groups stay even. A trainee who can't get a station
+ * for their hand still gets a seat, with a warning for the admin.
+ *
+ * Supabase table: session_station_layouts
+ *   mock_exam_id     text primary key                  -- hubspot_mock_exams.hubspot_id
+ *   stations         jsonb not null default '[]'       -- [{ id, label, left_handed }] in display order
+ *   rotation_groups  integer not null default 1
+ *   updated_by       text
+ *   updated_at       timestamptz default now()
+ *
+ * Supabase table: station_assignments
+ *   id                 uuid primary key default gen_random_uuid()
+ *   mock_exam_id       text not null
+ *   booking_record_id  text not null                   -- hubspot_bookings.id
+ *   station_id         text not null                   -- id within the session's layout
+ *   rotation_group     integer not null                -- 1 - rotation_groups
+ *   seat_label         text not null                   -- e.g. "Station 3 - Group B", shown to the trainee
+ *   is_manual          boolean not null default false  -- placed by an admin, kept by auto-assignment
+ *   assigned_by        text
+ *   updated_at         timestamptz default now()
+ *   unique (mock_exam_id, booking_record_id)
+ *   unique (mock_exam_id, station_id, rotation_group)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+
+const LAYOUTS_TABLE = 'session_station_layouts';
+const ASSIGNMENTS_TABLE = 'station_assignments';
+
+const STATION_MOCK_TYPES = ['Clinical Skills'];
+const ID_CHUNK = 200;
+
+function stationsError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function isLeftHanded(hand) {
+  return hand === false || hand === 'false';
+}
+
+function isCancelled(booking) {
+  return String(booking.is_active || '').toLowerCase() === 'cancelled';
+}
+
+/**
+ * Rotation group 1 is "A", 2 is "B"...
+ */
+function getRotationGroupLabel(group) {
+  return String.fromCharCode(64 + group);
+}
+
+/**
+ * What the trainee is shown, e.g. "Station 3" or "Station 3 - Group B"
+ */
+function formatSeatLabel(station, rotationGroup, rotationGroups) {
+  return rotationGroups > 1
+    ? `${station.label} - Group ${getRotationGroupLabel(rotationGroup)}`
+    : station.label;
+}
+
+/**
+ * Check that a session can have stations
+ * @throws {Error} - 400 STATIONS_NOT_SUPPORTED for other mock types
+ */
+function assertStationSession(session) {
+  if (!STATION_MOCK_TYPES.includes(session.mock_type)) {
+    throw stationsError(400, 'STATIONS_NOT_SUPPORTED', `Stations can only be set up for ${STATION_MOCK_TYPES.join(', ')} sessions`);
+  }
+}
+
+// ============== LAYOUTS ==============
+
+/**
+ * A session's layout, or an empty one
+ * @param {string} mockExamId
+ * @returns {Promise<{ stations: Array<Object>, rotation_groups: number, updated_by: string|null, updated_at: string|null }>}
+ */
+async function getLayout(mockExamId) {
+  const { data, error } = await supabaseAdmin
+    .from(LAYOUTS_TABLE)
+    .select('stations, rotation_groups, updated_by, updated_at')
+    .eq('mock_exam_id', String(mockExamId))
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ [STATIONS] Failed to load the layout of session ${mockExamId}:`, error.message);
+    throw stationsError(500, 'STATIONS_STORAGE_ERROR', 'Failed to load the station layout');
+  }
+
+  return {
+    stations: data?.stations || [],
+    rotation_groups: data?.rotation_groups || 1,
+    updated_by: data?.updated_by || null,
+    updated_at: data?.updated_at || null
+  };
+}
+
+/**
+ * Give new stations an id and check the labels are unique
+ * @param {Array<Object>} stations - [{ id?, label, left_handed }]
+ * @returns {Array<Object>}
+ * @throws {Error} - 400 DUPLICATE_STATION_LABEL
+ */
+function normalizeStations(stations) {
+  const seen = new Set();
+
+  return stations.map(station => {
+    const label = station.label.trim();
+    const key = label.toLowerCase();
+
+    if (seen.has(key)) {
+      throw stationsError(400, 'DUPLICATE_STATION_LABEL', `Station "${label}" is listed more than once`);
+    }
+    seen.add(key);
+
+    return {
+      id: station.id || crypto.randomUUID(),
+      label,
+      left_handed: !!station.left_handed
+    };
+  });
+}
+
+/**
+ * Save a session's layout. Seats that no longer exist (removed stations, fewer
+ * rotation groups) lose their trainees, and the remaining seat labels are rewritten.
+ *
+ * @param {Object} session - hubspot_mock_exams row
+ * @param {Object} layout - { stations, rotation_groups }
+ * @param {string} actor - Admin email
+ * @returns {Promise<{ layout: Object, removed: number }>} - removed = trainees who lost their seat
+ */
+async function saveLayout(session, { stations, rotation_groups: rotationGroups }, actor) {
+  assertStationSession(session);
+
+  const mockExamId = String(session.hubspot_id);
+  const normalized = normalizeStations(stations);
+
+  const { error } = await supabaseAdmin
+    .from(LAYOUTS_TABLE)
+    .upsert({
+      mock_exam_id: mockExamId,
+      stations: normalized,
+      rotation_groups: rotationGroups,
+      updated_by: actor || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'mock_exam_id' });
+
+  if (error) {
+    console.error(`❌ [STATIONS] Failed to save the layout of session ${mockExamId}:`, error.message);
+    throw stationsError(500, 'STATIONS_STORAGE_ERROR', 'Failed to save the station layout');
+  }
+
+  const layout = { stations: normalized, rotation_groups: rotationGroups };
+  const existing = await getAssignments(mockExamId);
+  const kept = existing.filter(assignment => isValidSeat(layout, assignment.station_id, assignment.rotation_group));
+
+  await replaceAssignments(mockExamId, layout, kept, actor);
+
+  return { layout, removed: existing.length - kept.length };
+}
+
+function isValidSeat(layout, stationId, rotationGroup) {
+  return rotationGroup >= 1 &&
+    rotationGroup <= layout.rotation_groups &&
+    layout.stations.some(station => station.id === stationId);
+}
+
+// ============== ASSIGNMENTS ==============
+
+/**
+ * @param {string} mockExamId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAssignments(mockExamId) {
+  const { data, error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .select('booking_record_id, station_id, rotation_group, seat_label, is_manual, assigned_by, updated_at')
+    .eq('mock_exam_id', String(mockExamId));
+
+  if (error) {
+    console.error(`❌ [STATIONS] Failed to load the seats of session ${mockExamId}:`, error.message);
+    throw stationsError(500, 'STATIONS_STORAGE_ERROR', 'Failed to load station assignments');
+  }
+
+  return data || [];
+}
+
+/**
+ * Seat labels of bookings, for exports
+ * @param {Array<string>} bookingRecordIds - hubspot_bookings.id
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getSeatLabels(bookingRecordIds) {
+  const ids = [...new Set(bookingRecordIds.filter(Boolean).map(String))];
+  const labels = new Map();
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { data, error } = await supabaseAdmin
+      .from(ASSIGNMENTS_TABLE)
+      .select('booking_record_id, seat_label')
+      .in('booking_record_id', ids.slice(i, i + ID_CHUNK));
+
+    if (error) {
+      console.error('❌ [STATIONS] Failed to load seat labels:', error.message);
+      throw error;
+    }
+
+    (data || []).forEach(row => labels.set(String(row.booking_record_id), row.seat_label));
+  }
+
+  return labels;
+}
+
+/**
+ * Replace every seat of a session
+ * @param {string} mockExamId
+ * @param {Object} layout - { stations, rotation_groups }
+ * @param {Array<Object>} assignments - [{ booking_record_id, station_id, rotation_group, is_manual }]
+ * @param {string} actor
+ */
+async function replaceAssignments(mockExamId, layout, assignments, actor) {
+  const { error: deleteError } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .delete()
+    .eq('mock_exam_id', String(mockExamId));
+
+  if (deleteError) {
+    console.error(`❌ [STATIONS] Failed to clear the seats of session ${mockExamId}:`, deleteError.message);
+    throw stationsError(500, 'STATIONS_STORAGE_ERROR', 'Failed to save station assignments');
+  }
+
+  if (assignments.length === 0) return;
+
+  const now = new Date().toISOString();
+  const rows = assignments.map(assignment => {
+    const station = layout.stations.find(candidate => candidate.id === assignment.station_id);
+
+    return {
+      mock_exam_id: String(mockExamId),
+      booking_record_id: String(assignment.booking_record_id),
+      station_id: assignment.station_id,
+      rotation_group: assignment.rotation_group,
+      seat_label: formatSeatLabel(station, assignment.rotation_group, layout.rotation_groups),
+      is_manual: !!assignment.is_manual,
+      assigned_by: assignment.assigned_by || actor || null,
+      updated_at: assignment.updated_at || now
+    };
+  });
+
+  const { error } = await supabaseAdmin
+    .from(ASSIGNMENTS_TABLE)
+    .insert(rows);
+
+  if (error) {
+    console.error(`❌ [STATIONS] Failed to save the seats of session ${mockExamId}:`, error.message);
+    throw stationsError(500, 'STATIONS_STORAGE_ERROR', 'Failed to save station assignments');
+  }
+}
+
+/**
+ * Active bookings of a session, by name
+ * @param {string} mockExamId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getSessionTrainees(mockExamId) {
+  const { data, error } = await supabaseAdmin
+    .from('hubspot_bookings')
+    .select('id, name, student_id, student_email, dominant_hand, is_active')
+    .eq('associated_mock_exam', String(mockExamId));
+
+  if (error) {
+    console.error(`❌ [STATIONS] Failed to load the bookings of session ${mockExamId}:`, error.message);
+    throw error;
+  }
+
+  return (data || [])
+    .filter(booking => !isCancelled(booking))
+    .map(booking => ({
+      booking_record_id: String(booking.id),
+      name: booking.name || null,
+      student_id: booking.student_id || null,
+      email: booking.student_email || null,
+      dominant_hand: booking.dominant_hand ?? null,
+      left_handed: isLeftHanded(booking.dominant_hand)
+    }))
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'en', { sensitivity: 'base' }));
+}
+
+/**
+ * Work out where every trainee sits
+ *
+ * @param {Object} options
+ * @param {Object} options.layout - { stations, rotation_groups }
+ * @param {Array<Object>} options.trainees - From getSessionTrainees(), in the order to seat them
+ * @param {Array<Object>} options.existing - Current assignments
+ * @param {boolean} [options.resetManual=false] - Re-seat manually placed trainees too
+ * @returns {{ assignments: Array<Object>, unassigned: Array<string>, warnings: Array<string> }}
+ *   assignments: [{ booking_record_id, station_id, rotation_group, is_manual }]
+ */
+function planAssignments({ layout, trainees, existing = [], resetManual = false }) {
+  const bookingIds = new Set(trainees.map(trainee => trainee.booking_record_id));
+  const taken = new Set();
+  const assignments = [];
+  const warnings = [];
+
+  // Manual placements of trainees still booked stay where they are
+  existing
+    .filter(assignment => assignment.is_manual && !resetManual)
+    .filter(assignment => bookingIds.has(String(assignment.booking_record_id)))
+    .filter(assignment => isValidSeat(layout, assignment.station_id, assignment.rotation_group))
+    .forEach(assignment => {
+      const seat = `${assignment.station_id}:${assignment.rotation_group}`;
+      if (taken.has(seat)) return;
+
+      taken.add(seat);
+      assignments.push({
+        booking_record_id: String(assignment.booking_record_id),
+        station_id: assignment.station_id,
+        rotation_group: assignment.rotation_group,
+        is_manual: true
+      });
+    });
+
+  const seated = new Set(assignments.map(assignment => assignment.booking_record_id));
+  const groupSizes = Array.from({ length: layout.rotation_groups }, (_, index) =>
+    assignments.filter(assignment => assignment.rotation_group === index + 1).length);
+
+  // Free seat at a station matching the filter, in the emptiest rotation group
+  const findSeat = (matches) => {
+    const groups = groupSizes
+      .map((size, index) => ({ group: index + 1, size }))
+      .sort((a, b) => a.size - b.size || a.group - b.group);
+
+    for (const { group } of groups) {
+      const station = layout.stations.find(candidate =>
+        matches(candidate) && !taken.has(`${candidate.id}:${group}`));
+      if (station) return { station, group };
+    }
+    return null;
+  };
+
+  const unassigned = [];
+  const waiting = trainees.filter(trainee => !seated.has(trainee.booking_record_id));
+
+  // Left-handed trainees first - their stations are the scarce ones
+  [...waiting.filter(trainee => trainee.left_handed), ...waiting.filter(trainee => !trainee.left_handed)]
+    .forEach(trainee => {
+      const seat = findSeat(station => station.left_handed === trainee.left_handed) || findSeat(() => true);
+      const name = trainee.name || trainee.student_id || trainee.booking_record_id;
+
+      if (!seat) {
+        unassigned.push(trainee.booking_record_id);
+        warnings.push(`No free seat for ${name}`);
+        return;
+      }
+
+      if (seat.station.left_handed !== trainee.left_handed) {
+        warnings.push(trainee.left_handed
+          ? `${name} is left-handed but no left-handed station was free - seated at ${seat.station.label}`
+          : `${name} was seated at left-handed station ${seat.station.label} - no other station was free`);
+      }
+
+      taken.add(`${seat.station.id}:${seat.group}`);
+      groupSizes[seat.group - 1] += 1;
+      assignments.push({
+        booking_record_id: trainee.booking_record_id,
+        station_id: seat.station.id,
+        rotation_group: seat.group,
+        is_manual: false
+      });
+    });
+
+  return { assignments, unassigned, warnings };
+}
+
+/**
+ * Seat every trainee without a seat (or everyone, keeping manual placements unless resetManual)
+ *
+ * @param {Object} session - hubspot_mock_exams row
+ * @param {Object} options - { resetManual }
+ * @param {string} actor
+ * @returns {Promise<{ assigned: number, unassigned: number, warnings: Array<string> }>}
+ * @throws {Error} - 400 NO_STATIONS when the session has no layout yet
+ */
+async function autoAssign(session, { resetManual = false } = {}, actor) {
+  assertStationSession(session);
+
+  const mockExamId = String(session.hubspot_id);
+  const [layout, trainees, existing] = await Promise.all([
+    getLayout(mockExamId),
+    getSessionTrainees(mockExamId),
+    getAssignments(mockExamId)
+  ]);
+
+  if (layout.stations.length === 0) {
+    throw stationsError(400, 'NO_STATIONS', 'Set up the stations of this session first');
+  }
+
+  const plan = planAssignments({ layout, trainees, existing, resetManual });
+  await replaceAssignments(mockExamId, layout, plan.assignments, actor);
+
+  return {
+    assigned: plan.assignments.length,
+    unassigned: plan.unassigned.length,
+    warnings: plan.warnings
+  };
+}
+
+/**
+ * Move a trainee to a seat, swapping with whoever sits there; a null station unseats them
+ *
+ * @param {Object} session - hubspot_mock_exams row
+ * @param {Object} move - { bookingId, stationId, rotationGroup }
+ * @param {string} actor
+ * @returns {Promise<{ warnings: Array<string> }>}
+ * @throws {Error} - 404 BOOKING_NOT_FOUND, 400 INVALID_SEAT
+ */
+async function moveTrainee(session, { bookingId, stationId, rotationGroup }, actor) {
+  assertStationSession(session);
+
+  const mockExamId = String(session.hubspot_id);
+  const [layout, trainees, existing] = await Promise.all([
+    getLayout(mockExamId),
+    getSessionTrainees(mockExamId),
+    getAssignments(mockExamId)
+  ]);
+
+  const trainee = trainees.find(candidate => candidate.booking_record_id === String(bookingId));
+  if (!trainee) {
+    throw stationsError(404, 'BOOKING_NOT_FOUND', 'This trainee has no active booking for the session');
+  }
+
+  // Seats of cancelled bookings are free to take
+  const bookingIds = new Set(trainees.map(candidate => candidate.booking_record_id));
+  const active = existing.filter(assignment => bookingIds.has(String(assignment.booking_record_id)));
+
+  const current = active.find(assignment => String(assignment.booking_record_id) === trainee.booking_record_id);
+  const others = active.filter(assignment => assignment !== current);
+  const warnings = [];
+
+  if (!stationId) {
+    await replaceAssignments(mockExamId, layout, others, actor);
+    return { warnings };
+  }
+
+  if (!isValidSeat(layout, stationId, rotationGroup)) {
+    throw stationsError(400, 'INVALID_SEAT', 'That station or rotation group does not exist');
+  }
+
+  const station = layout.stations.find(candidate => candidate.id === stationId);
+  const occupant = others.find(assignment => assignment.station_id === stationId && assignment.rotation_group === rotationGroup);
+  const now = new Date().toISOString();
+
+  const updated = others.filter(assignment => assignment !== occupant);
+  updated.push({
+    booking_record_id: trainee.booking_record_id,
+    station_id: stationId,
+    rotation_group: rotationGroup,
+    is_manual: true,
+    assigned_by: actor,
+    updated_at: now
+  });
+
+  // Whoever sat there takes the trainee's old seat (or loses theirs)
+  if (occupant && current) {
+    updated.push({
+      ...occupant,
+      station_id: current.station_id,
+      rotation_group: current.rotation_group,
+      is_manual: true,
+      assigned_by: actor,
+      updated_at: now
+    });
+  }
+
+  if (station.left_handed !== trainee.left_handed) {
+    warnings.push(`${trainee.name || 'This trainee'} is ${trainee.left_handed ? 'left' : 'right'}-handed but ${station.label} is ${station.left_handed ? 'a left' : 'a right'}-handed station`);
+  }
+  if (occupant && !current) {
+    const displaced = trainees.find(candidate => candidate.booking_record_id === String(occupant.booking_record_id));
+    warnings.push(`${displaced?.name || 'The trainee who sat there'} no longer has a seat`);
+  }
+
+  await replaceAssignments(mockExamId, layout, updated, actor);
+  return { warnings };
+}
+
+/**
+ * Everything the seating board shows: the layout, who sits where and who has no seat
+ *
+ * @param {Object} session - hubspot_mock_exams row
+ * @returns {Promise<Object>}
+ */
+async function getSeatingPlan(session) {
+  const mockExamId = String(session.hubspot_id);
+  const [layout, trainees, existing] = await Promise.all([
+    getLayout(mockExamId),
+    getSessionTrainees(mockExamId),
+    getAssignments(mockExamId)
+  ]);
+
+  const byBooking = new Map(trainees.map(trainee => [trainee.booking_record_id, trainee]));
+
+  // Seats of cancelled bookings are left over until the next save - don't show them
+  const seats = existing
+    .filter(assignment => byBooking.has(String(assignment.booking_record_id)))
+    .map(assignment => ({
+      ...assignment,
+      booking_record_id: String(assignment.booking_record_id),
+      trainee: byBooking.get(String(assignment.booking_record_id))
+    }));
+
+  const seatedIds = new Set(seats.map(seat => seat.booking_record_id));
+  const seatCount = layout.stations.length * layout.rotation_groups;
+
+  return {
+    mock_exam_id: mockExamId,
+    supported: STATION_MOCK_TYPES.includes(session.mock_type),
+    layout,
+    seats,
+    unassigned: trainees.filter(trainee => !seatedIds.has(trainee.booking_record_id)),
+    summary: {
+      seat_count: seatCount,
+      trainees: trainees.length,
+      assigned: seats.length,
+      left_handed_trainees: trainees.filter(trainee => trainee.left_handed).length,
+      left_handed_seats: layout.stations.filter(station => station.left_handed).length * layout.rotation_groups,
+      over_capacity: layout.stations.length > 0 && trainees.length > seatCount
+    }
+  };
+}
+
+module.exports = {
+  STATION_MOCK_TYPES,
+  getRotationGroupLabel,
+  formatSeatLabel,
+  getLayout,
+  saveLayout,
+  getSeatLabels,
+  planAssignments,
+  autoAssign,
+  moveTrainee,
+  getSeatingPlan
+};
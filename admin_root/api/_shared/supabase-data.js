@@ -6,6 +6,14 @@
  */
 
 const { supabaseAdmin } = require('./supabase');
+const { getCreditSnapshot, recordBalanceDiff, LEDGER_REASONS, ACTOR_TYPES } = require('./credit-ledger');
+
+// Ledger attribution for balances pulled from HubSpot (purchases, manual HubSpot edits)
+const HUBSPOT_SYNC_LEDGER = {
+  reason: LEDGER_REASONS.HUBSPOT_SYNC,
+  actorType: ACTOR_TYPES.SYSTEM,
+  actor: 'hubspot-sync'
+};
 
 // ============== READ OPERATIONS (from Supabase) ==============
 
@@ -125,9 +133,11 @@ async function checkExistingActiveBookingFromSupabase(bookingId) {
 
 /**
  * Sync contact to Supabase (auto-populate on cache miss)
+ * Balance differences from the previous row are written to the credit ledger
  * @param {object} contact - Contact object from HubSpot
+ * @param {object} ledger - Ledger attribution { reason, actorType, actor, bookingId, note }
  */
-async function syncContactToSupabase(contact) {
+async function syncContactToSupabase(contact, ledger = HUBSPOT_SYNC_LEDGER) {
   if (!contact || !contact.properties) {
     console.error('[SYNC] Cannot sync contact - missing properties');
     return;
@@ -152,6 +162,8 @@ async function syncContactToSupabase(contact) {
     synced_at: new Date().toISOString()
   };
 
+  const previous = await getCreditSnapshot(contact.id);
+
   const { error } = await supabaseAdmin
     .from('hubspot_contact_credits')
     .upsert(record, { onConflict: 'hubspot_id' });
@@ -161,6 +173,11 @@ async function syncContactToSupabase(contact) {
     throw error;
   }
 
+  // First sync of a contact has nothing to compare against - its balances are the opening balance
+  if (previous) {
+    await recordBalanceDiff({ contactId: contact.id, studentId: record.student_id }, previous, record, ledger);
+  }
+
   console.log(`✅ Synced contact ${contact.id} to Supabase`);
 }
 
@@ -285,6 +302,10 @@ async function getExamsByIdsFromSupabase(hubspotIds) {
       is_active: exam.is_active,
       mock_exam_name: exam.mock_exam_name,
       scheduled_activation_datetime: exam.scheduled_activation_datetime,
+      series_id: exam.series_id || null,
+      room_id: exam.room_id || null,
+      booking_cutoff_hours: exam.booking_cutoff_hours ?? null,
+      scheduled_deactivation_datetime: exam.scheduled_deactivation_datetime || null,
       hs_createdate: exam.created_at,
       hs_lastmodifieddate: exam.updated_at
     }
@@ -554,6 +575,26 @@ async function syncExamToSupabase(exam) {
     synced_at: now
   };
 
+  // Only write series_id when the caller knows it - partial HubSpot reads must not unlink a session
+  if (props.series_id !== undefined) {
+    record.series_id = props.series_id || null;
+  }
+
+  // Same for room_id - only written when the caller knows it
+  if (props.room_id !== undefined) {
+    record.room_id = props.room_id || null;
+  }
+
+  // And for the booking window fields (booking-cutoff.js)
+  if (props.booking_cutoff_hours !== undefined) {
+    record.booking_cutoff_hours = props.booking_cutoff_hours === null || props.booking_cutoff_hours === ''
+      ? null
+      : Number(props.booking_cutoff_hours);
+  }
+  if (props.scheduled_deactivation_datetime !== undefined) {
+    record.scheduled_deactivation_datetime = convertTimestamp(props.scheduled_deactivation_datetime);
+  }
+
   const { error, data } = await supabaseAdmin
     .from('hubspot_mock_exams')
     .upsert(record, { onConflict: 'hubspot_id' })
@@ -753,8 +794,9 @@ async function deleteExamFromSupabase(examId) {
  * @param {string} mockType - Mock type to update credits for
  * @param {number} newSpecificCredits - New specific credit value
  * @param {number} newSharedCredits - New shared credit value
+ * @param {object} ledger - Ledger attribution { reason, actorType, actor, bookingId, note }
  */
-async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCredits, newSharedCredits) {
+async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCredits, newSharedCredits, ledger = HUBSPOT_SYNC_LEDGER) {
   const updateData = {
     updated_at: new Date().toISOString(),
     synced_at: new Date().toISOString()
@@ -778,6 +820,8 @@ async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCr
       break;
   }
 
+  const previous = await getCreditSnapshot(contactId);
+
   const { error } = await supabaseAdmin
     .from('hubspot_contact_credits')
     .update(updateData)
@@ -788,6 +832,10 @@ async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCr
     throw error;
   }
 
+  if (previous) {
+    await recordBalanceDiff({ contactId, studentId: previous.student_id }, previous, updateData, ledger);
+  }
+
   console.log(`✅ [SUPABASE SYNC] Updated secondary DB for contact ${contactId} (${mockType})`);
 }
 
@@ -37,6 +37,29 @@ const HUBSPOT_OBJECTS = {
   contacts: '0-1'
 };
 
+/**
+ * IDs of the given exams that are in the trash (see trash.js)
+ * @param {string[]} examIds
+ * @returns {Promise<Set<string>>}
+ */
+async function fetchTrashedExamIds(examIds) {
+  if (examIds.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('mock_exam_trash')
+    .select('mock_exam_id')
+    .in('mock_exam_id', examIds);
+
+  if (error) {
+    // Without the trash list a trashed exam could be re-added - fail the run instead
+    throw new Error(`Failed to read trashed exams: ${error.message}`);
+  }
+
+  return new Set((data || []).map(row => row.mock_exam_id));
+}
+
 /**
  * Make HubSpot API call with error handling
  */
@@ -163,6 +186,7 @@ async function fetchModifiedMockExams(sinceTimestamp) {
   const properties = [
     'mock_exam_name', 'mock_type', 'mock_set', 'exam_date', 'start_time', 'end_time',
     'location', 'capacity', 'is_active', 'scheduled_activation_datetime',
+    'booking_cutoff_hours', 'scheduled_deactivation_datetime',
     'hs_createdate', 'hs_lastmodifieddate'
     // NOTE: total_bookings removed - we calculate it from actual bookings count
   ];
@@ -326,6 +350,10 @@ async function syncExamToSupabase(exam) {
     // Do NOT sync total_bookings - it's managed by atomic operations in booking endpoints
     is_active: props.is_active,
     scheduled_activation_datetime: props.scheduled_activation_datetime || null,
+    booking_cutoff_hours: props.booking_cutoff_hours === undefined || props.booking_cutoff_hours === null || props.booking_cutoff_hours === ''
+      ? null
+      : Number(props.booking_cutoff_hours),
+    scheduled_deactivation_datetime: props.scheduled_deactivation_datetime || null,
     prerequisite_exam_ids: prerequisiteExamIds,
     created_at: props.hs_createdate,
     updated_at: props.hs_lastmodifieddate,
@@ -536,9 +564,16 @@ async function syncAllData() {
     }
 
     // Step 1: Fetch only MODIFIED exams since last sync
-    const exams = await fetchModifiedMockExams(lastExamSync);
+    // Trashed exams are deactivated in HubSpot (so they show up as modified) but must stay out of Supabase
+    const modifiedExams = await fetchModifiedMockExams(lastExamSync);
+    const trashedIds = await fetchTrashedExamIds(modifiedExams.map(exam => exam.id));
+    const exams = modifiedExams.filter(exam => !trashedIds.has(exam.id));
     totalExams = exams.length;
 
+    if (trashedIds.size > 0) {
+      console.log(`🗑️ Skipping ${trashedIds.size} trashed exam(s)`);
+    }
+
     if (exams.length === 0) {
       console.log('✨ No modified exams found - skipping exam sync');
     } else {
@@ -0,0 +1,234 @@
+/**
+ * Booking Time Conflict Detection (server-side)
+ *
+ * Applies the same overlap rules as the student frontend (timeConflictUtils.js)
+ * against the student's active bookings in Supabase, so direct API callers
+ * cannot hold two overlapping sessions.
+ *
+ * Rules:
+ * - Only active bookings count (Active/Scheduled); cancelled, completed and failed are ignored
+ * - Two sessions overlap when start1 < end2 AND end1 > start2 (back-to-back is allowed)
+ * - Bookings without start/end times fall back to their mock exam's times
+ *
+ * NOTE: Keep in sync with user_root/api/_shared/time-conflicts.js
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const ACTIVE_BOOKING_STATUSES = ['Active', 'active', 'Scheduled', 'scheduled', 'true'];
+
+// ============== PURE HELPERS ==============
+
+/**
+ * Parse a session time - ISO 8601 string or Unix milliseconds (HubSpot format)
+ * @param {string|number} value
+ * @returns {Date}
+ */
+function toDate(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return new Date(parseInt(value, 10));
+  }
+  return new Date(value);
+}
+
+/**
+ * Check if two time ranges overlap
+ * @param {string|number} start1 - Start time of range 1 (ISO 8601 or Unix ms)
+ * @param {string|number} end1 - End time of range 1
+ * @param {string|number} start2 - Start time of range 2
+ * @param {string|number} end2 - End time of range 2
+ * @returns {boolean} - True if ranges overlap
+ */
+function checkTimeOverlap(start1, end1, start2, end2) {
+  if (!start1 || !end1 || !start2 || !end2) {
+    return false;
+  }
+
+  const start1Date = toDate(start1);
+  const end1Date = toDate(end1);
+  const start2Date = toDate(start2);
+  const end2Date = toDate(end2);
+
+  if (isNaN(start1Date.getTime()) || isNaN(end1Date.getTime()) ||
+      isNaN(start2Date.getTime()) || isNaN(end2Date.getTime())) {
+    return false;
+  }
+
+  return start1Date < end2Date && end1Date > start2Date;
+}
+
+/**
+ * Check whether a booking status counts towards conflicts
+ * @param {string|boolean} status - Booking is_active value
+ * @returns {boolean}
+ */
+function isActiveBookingStatus(status) {
+  return status === true || ACTIVE_BOOKING_STATUSES.includes(status);
+}
+
+/**
+ * Shape a booking for the TIME_CONFLICT error payload
+ * Field names match what the frontend TimeConflictWarning expects
+ * @param {object} booking - hubspot_bookings row (times already resolved)
+ * @returns {object}
+ */
+function formatConflict(booking) {
+  return {
+    id: booking.id || null,
+    booking_id: booking.booking_id || null,
+    mock_exam_id: booking.associated_mock_exam || null,
+    mock_type: booking.mock_type || null,
+    exam_date: booking.exam_date || null,
+    start_time: booking.start_time,
+    end_time: booking.end_time,
+    location: booking.attending_location || booking.location || null,
+    is_active: booking.is_active
+  };
+}
+
+/**
+ * Find bookings that overlap a session
+ * @param {Array} existingBookings - Bookings with start_time/end_time resolved
+ * @param {object} session - { start_time, end_time }
+ * @param {object} [options]
+ * @param {Array<string>} [options.excludeBookingIds] - Booking UUIDs/booking_ids to ignore (e.g. the booking being rescheduled)
+ * @returns {Array} - Conflicting bookings (formatted)
+ */
+function findConflictingBookings(existingBookings, session, { excludeBookingIds = [] } = {}) {
+  if (!Array.isArray(existingBookings) || !session?.start_time || !session?.end_time) {
+    return [];
+  }
+
+  const excluded = new Set(excludeBookingIds.filter(Boolean).map(String));
+
+  return existingBookings
+    .filter(booking => {
+      if (!isActiveBookingStatus(booking.is_active)) return false;
+      if (excluded.has(String(booking.id)) || excluded.has(String(booking.booking_id))) return false;
+
+      return checkTimeOverlap(session.start_time, session.end_time, booking.start_time, booking.end_time);
+    })
+    .map(formatConflict);
+}
+
+/**
+ * Build the structured TIME_CONFLICT error
+ * @param {Array} conflicts - Formatted conflicts from findConflictingBookings
+ * @returns {Error} - Error with status 409, code TIME_CONFLICT and conflicts list
+ */
+function createTimeConflictError(conflicts) {
+  const error = new Error(
+    conflicts.length === 1
+      ? 'You already have a booking that overlaps with this session time.'
+      : `You already have ${conflicts.length} bookings that overlap with this session time.`
+  );
+  error.status = 409;
+  error.code = 'TIME_CONFLICT';
+  error.conflicts = conflicts;
+  return error;
+}
+
+// ============== SUPABASE LOOKUPS ==============
+
+/**
+ * Get active bookings for contacts on the given exam dates, with start/end times
+ * resolved from the mock exam when the booking row doesn't carry them
+ * @param {Array<string>} contactIds - HubSpot contact IDs (associated_contact_id)
+ * @param {Array<string>} examDates - Exam dates (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Booking rows
+ */
+async function getActiveBookingsForConflictCheck(contactIds, examDates) {
+  const ids = [...new Set(contactIds.filter(Boolean).map(String))];
+  const dates = [...new Set(examDates.filter(Boolean).map(date => String(date).split('T')[0]))];
+
+  if (ids.length === 0 || dates.length === 0) {
+    return [];
+  }
+
+  const { data: bookings, error } = await supabaseAdmin
+    .from('hubspot_bookings')
+    .select('id, booking_id, associated_contact_id, associated_mock_exam, mock_type, exam_date, start_time, end_time, attending_location, is_active')
+    .in('associated_contact_id', ids)
+    .in('exam_date', dates)
+    .in('is_active', ACTIVE_BOOKING_STATUSES);
+
+  if (error) {
+    console.error(`❌ [TIME-CONFLICT] Supabase booking read error:`, error.message);
+    throw error;
+  }
+
+  if (!bookings || bookings.length === 0) {
+    return [];
+  }
+
+  // Fill missing times from the associated mock exam
+  const missingExamIds = [...new Set(
+    bookings
+      .filter(booking => (!booking.start_time || !booking.end_time) && booking.associated_mock_exam)
+      .map(booking => booking.associated_mock_exam)
+  )];
+
+  if (missingExamIds.length === 0) {
+    return bookings;
+  }
+
+  const { data: exams, error: examsError } = await supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select('hubspot_id, start_time, end_time, location')
+    .in('hubspot_id', missingExamIds);
+
+  if (examsError) {
+    console.error(`❌ [TIME-CONFLICT] Supabase exam read error:`, examsError.message);
+    throw examsError;
+  }
+
+  const examsById = new Map((exams || []).map(exam => [exam.hubspot_id, exam]));
+
+  return bookings.map(booking => {
+    const exam = examsById.get(booking.associated_mock_exam);
+    if (!exam || (booking.start_time && booking.end_time)) {
+      return booking;
+    }
+
+    return {
+      ...booking,
+      start_time: booking.start_time || exam.start_time,
+      end_time: booking.end_time || exam.end_time,
+      attending_location: booking.attending_location || exam.location
+    };
+  });
+}
+
+/**
+ * Find a contact's active bookings that overlap a mock exam session
+ * @param {string} contactId - HubSpot contact ID
+ * @param {object} exam - Session being booked ({ exam_date, start_time, end_time })
+ * @param {object} [options] - See findConflictingBookings
+ * @returns {Promise<Array>} - Conflicting bookings (formatted)
+ */
+async function findTimeConflictsForContact(contactId, exam, options = {}) {
+  if (!exam?.start_time || !exam?.end_time) {
+    console.warn(`⚠️ [TIME-CONFLICT] Session has no start/end time - skipping conflict check`);
+    return [];
+  }
+
+  const examDate = exam.exam_date || exam.start_time;
+  const bookings = await getActiveBookingsForConflictCheck([contactId], [examDate]);
+  const conflicts = findConflictingBookings(bookings, exam, options);
+
+  if (conflicts.length > 0) {
+    console.log(`⚠️ [TIME-CONFLICT] Contact ${contactId} has ${conflicts.length} overlapping booking(s):`,
+      conflicts.map(conflict => conflict.booking_id || conflict.id));
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  checkTimeOverlap,
+  isActiveBookingStatus,
+  findConflictingBookings,
+  createTimeConflictError,
+  getActiveBookingsForConflictCheck,
+  findTimeConflictsForContact
+};
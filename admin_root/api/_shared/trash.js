@@ -0,0 +1,604 @@
+/**
+ * Mock Exam Trash
+ * Soft delete, restore and purge of mock exam sessions
+ *
+ * Deleting a session (single delete, batch delete, series delete) no longer
+ * archives it in HubSpot straight away. Instead the session is moved to the
+ * trash:
+ *   - a snapshot of its properties and prerequisite links is stored here
+ *   - it is deactivated in HubSpot (is_active 'false', scheduled activation cleared)
+ *   - Mock Discussions that require it lose that prerequisite (HubSpot + Supabase)
+ *   - it is removed from hubspot_mock_exams (and its cancelled bookings from
+ *     hubspot_bookings), so students, dashboards and lists no longer see it
+ *
+ * Restoring puts the activation state, the Supabase rows and both directions of
+ * prerequisite links back. Once purge_after has passed the purge cron archives
+ * the session in HubSpot for good.
+ *
+ * The hourly exam sync and the forced Supabase sync skip trashed sessions, so a
+ * trashed session is not re-added to Supabase behind the admin's back.
+ *
+ * Retention: MOCK_EXAM_TRASH_RETENTION_DAYS (default 30)
+ *
+ * Supabase table: mock_exam_trash
+ *   mock_exam_id           text primary key   -- HubSpot mock exam ID
+ *   properties             jsonb not null     -- HubSpot properties when trashed
+ *   prerequisite_exam_ids  text[] default '{}' -- exams this session requires (Mock Discussions)
+ *   required_by_exam_ids   text[] default '{}' -- Mock Discussions that required this session
+ *   deleted_by             text
+ *   deleted_at             timestamptz default now()
+ *   purge_after            timestamptz not null
+ *   request_id             text               -- same as the audit log rows of the delete
+ *   index (purge_after)
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const hubspot = require('./hubspot');
+const {
+  syncExamToSupabase,
+  syncBookingsToSupabase,
+  deleteExamFromSupabase
+} = require('./supabase-data');
+const {
+  recordAuditEntries,
+  snapshotChanges,
+  getRequestId,
+  AUDIT_ACTIONS
+} = require('./audit-log');
+
+const TRASH_TABLE = 'mock_exam_trash';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_PAGE_SIZE = 200;
+const HUBSPOT_BATCH_SIZE = 100;
+
+const MOCK_EXAMS_OBJECT = '2-50158913';
+const PREREQUISITE_ASSOCIATION_TYPE_ID = 1340;
+
+// Properties read back from HubSpot when a session is restored
+const EXAM_PROPERTIES = [
+  'mock_exam_name', 'mock_type', 'mock_set', 'exam_date', 'start_time', 'end_time',
+  'location', 'address', 'capacity', 'total_bookings', 'is_active',
+  'scheduled_activation_datetime', 'series_id', 'room_id',
+  'booking_cutoff_hours', 'scheduled_deactivation_datetime',
+  'hs_createdate', 'hs_lastmodifieddate'
+];
+
+/**
+ * Days a trashed session can still be restored
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.MOCK_EXAM_TRASH_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function toTrashError(error, fallbackMessage) {
+  const wrapped = new Error(fallbackMessage);
+  wrapped.status = 500;
+  wrapped.code = 'TRASH_STORAGE_ERROR';
+  wrapped.cause = error;
+  return wrapped;
+}
+
+function prerequisiteType() {
+  return [{
+    associationCategory: 'USER_DEFINED',
+    associationTypeId: PREREQUISITE_ASSOCIATION_TYPE_ID
+  }];
+}
+
+/**
+ * Update mock exams in HubSpot in batches of 100
+ *
+ * @param {Array<{id: string, properties: Object}>} inputs
+ * @returns {Promise<{successful: Array<string>, failed: Array<Object>}>}
+ */
+async function batchUpdateExams(inputs) {
+  const successful = [];
+  const failed = [];
+
+  for (let i = 0; i < inputs.length; i += HUBSPOT_BATCH_SIZE) {
+    const chunk = inputs.slice(i, i + HUBSPOT_BATCH_SIZE);
+
+    try {
+      const response = await hubspot.apiCall('POST',
+        `/crm/v3/objects/${MOCK_EXAMS_OBJECT}/batch/update`,
+        { inputs: chunk }
+      );
+
+      const errorIds = new Set();
+      for (const error of response?.errors || []) {
+        const ids = error.context?.ids || [error.context?.id];
+        ids.filter(Boolean).forEach(id => errorIds.add(id));
+        ids.filter(Boolean).forEach(id => failed.push({
+          id,
+          error: 'HUBSPOT_API_ERROR',
+          message: error.message || 'Failed to update session'
+        }));
+      }
+      successful.push(...chunk.map(input => input.id).filter(id => !errorIds.has(id)));
+    } catch (error) {
+      console.error(`❌ [TRASH] HubSpot batch update failed:`, error.message);
+      failed.push(...chunk.map(input => ({
+        id: input.id,
+        error: 'HUBSPOT_API_ERROR',
+        message: error.message || 'Failed to update session'
+      })));
+    }
+  }
+
+  return { successful, failed };
+}
+
+/**
+ * Own prerequisites and dependent Mock Discussions of the given sessions,
+ * read from hubspot_mock_exams.prerequisite_exam_ids
+ *
+ * @param {Array<string>} ids - Session IDs
+ * @returns {Promise<Map<string, {prerequisiteIds: Array<string>, requiredByIds: Array<string>}>>}
+ */
+async function getPrerequisiteLinks(ids) {
+  const links = new Map(ids.map(id => [id, { prerequisiteIds: [], requiredByIds: [] }]));
+
+  const [own, dependents] = await Promise.all([
+    supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, prerequisite_exam_ids')
+      .in('hubspot_id', ids),
+    supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, prerequisite_exam_ids')
+      .overlaps('prerequisite_exam_ids', ids)
+  ]);
+
+  if (own.error || dependents.error) {
+    throw toTrashError(own.error || dependents.error, 'Failed to read prerequisite links');
+  }
+
+  for (const exam of own.data || []) {
+    links.get(exam.hubspot_id).prerequisiteIds = (exam.prerequisite_exam_ids || []).map(String);
+  }
+
+  for (const exam of dependents.data || []) {
+    for (const prerequisiteId of exam.prerequisite_exam_ids || []) {
+      if (links.has(String(prerequisiteId))) {
+        links.get(String(prerequisiteId)).requiredByIds.push(String(exam.hubspot_id));
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Add/remove one prerequisite on each dependent Mock Discussion in Supabase (non-blocking)
+ */
+async function updateDependentPrerequisites(dependentIds, prerequisiteId, operation) {
+  await Promise.allSettled(dependentIds.map(async (dependentId) => {
+    const { error } = await supabaseAdmin.rpc('update_exam_prerequisites', {
+      p_exam_id: dependentId,
+      p_add_ids: operation === 'add' ? [prerequisiteId] : [],
+      p_remove_ids: operation === 'remove' ? [prerequisiteId] : []
+    });
+
+    if (error) {
+      console.error(`⚠️ [TRASH] Failed to ${operation} prerequisite ${prerequisiteId} on ${dependentId} in Supabase:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Which of the given IDs are in the trash
+ *
+ * @param {Array<string>} ids - Mock exam IDs (all trashed IDs when omitted)
+ * @returns {Promise<Set<string>>}
+ */
+async function getTrashedIds(ids = null) {
+  if (Array.isArray(ids) && ids.length === 0) {
+    return new Set();
+  }
+
+  let query = supabaseAdmin.from(TRASH_TABLE).select('mock_exam_id');
+  if (ids) {
+    query = query.in('mock_exam_id', ids.map(String));
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw toTrashError(error, 'Failed to read trash');
+  }
+
+  return new Set((data || []).map(row => row.mock_exam_id));
+}
+
+/**
+ * List trashed sessions, most recently deleted first
+ *
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{entries: Array, total: number}>}
+ */
+async function listTrash({ limit = 50, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  const { data, error, count } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .select('*', { count: 'exact' })
+    .order('deleted_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) {
+    throw toTrashError(error, 'Failed to list trash');
+  }
+
+  return { entries: data || [], total: count || 0 };
+}
+
+/**
+ * Move sessions to the trash
+ *
+ * Callers check booking protection first - only sessions without active or
+ * completed bookings may be trashed.
+ *
+ * @param {Array<{id: string, properties: Object}>} sessions - Sessions with their current properties
+ * @param {Object} context - { req, user }
+ * @returns {Promise<{trashed: Array<string>, failed: Array<Object>, purgeAfter: string, supabaseSynced: boolean}>}
+ */
+async function moveToTrash(sessions, { req, user } = {}) {
+  const purgeAfter = new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+  const result = { trashed: [], failed: [], purgeAfter, supabaseSynced: true };
+
+  if (!sessions || sessions.length === 0) {
+    return result;
+  }
+
+  const ids = sessions.map(session => String(session.id));
+
+  // ====== STEP 1: SNAPSHOT ======
+  const links = await getPrerequisiteLinks(ids);
+
+  const rows = sessions.map(session => ({
+    mock_exam_id: String(session.id),
+    properties: session.properties || {},
+    prerequisite_exam_ids: links.get(String(session.id)).prerequisiteIds,
+    required_by_exam_ids: links.get(String(session.id)).requiredByIds,
+    deleted_by: user?.email || null,
+    deleted_at: new Date().toISOString(),
+    purge_after: purgeAfter,
+    request_id: getRequestId(req)
+  }));
+
+  const { error: insertError } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .upsert(rows, { onConflict: 'mock_exam_id' });
+
+  if (insertError) {
+    throw toTrashError(insertError, 'Failed to move sessions to trash');
+  }
+
+  // ====== STEP 2: DEACTIVATE IN HUBSPOT ======
+  const { successful, failed } = await batchUpdateExams(ids.map(id => ({
+    id,
+    properties: { is_active: 'false', scheduled_activation_datetime: '' }
+  })));
+
+  result.trashed = successful;
+  result.failed = failed;
+
+  if (failed.length > 0) {
+    // Still live in HubSpot - take them back out of the trash
+    await supabaseAdmin
+      .from(TRASH_TABLE)
+      .delete()
+      .in('mock_exam_id', failed.map(failure => failure.id));
+  }
+
+  // ====== STEP 3: DETACH FROM DEPENDENT MOCK DISCUSSIONS ======
+  for (const id of successful) {
+    const requiredByIds = links.get(id).requiredByIds;
+    if (requiredByIds.length === 0) {
+      continue;
+    }
+
+    try {
+      await hubspot.batchDeleteAssociations(MOCK_EXAMS_OBJECT, MOCK_EXAMS_OBJECT,
+        requiredByIds.map(dependentId => ({
+          from: { id: dependentId },
+          to: [{ id }],
+          types: prerequisiteType()
+        }))
+      );
+    } catch (error) {
+      console.error(`⚠️ [TRASH] Failed to remove prerequisite ${id} from ${requiredByIds.length} exam(s) in HubSpot:`, error.message);
+    }
+
+    await updateDependentPrerequisites(requiredByIds, id, 'remove');
+  }
+
+  // ====== STEP 4: REMOVE FROM SUPABASE ======
+  // Cancelled bookings go first (FK to hubspot_mock_exams); HubSpot keeps them for a restore
+  const removals = await Promise.allSettled(successful.map(async (id) => {
+    const { error } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .delete()
+      .eq('associated_mock_exam', id);
+
+    if (error) {
+      throw error;
+    }
+
+    await deleteExamFromSupabase(id);
+  }));
+
+  removals.forEach((removal, index) => {
+    if (removal.status === 'rejected') {
+      result.supabaseSynced = false;
+      console.error(`❌ [TRASH] Failed to remove exam ${successful[index]} from Supabase:`, removal.reason?.message);
+    }
+  });
+
+  console.log(`🗑️ [TRASH] Moved ${successful.length} session(s) to trash until ${purgeAfter} (${failed.length} failed)`);
+
+  return result;
+}
+
+/**
+ * Restore sessions from the trash
+ *
+ * The activation state from the snapshot is written back to HubSpot, the
+ * session and its cancelled bookings are synced to Supabase again and the
+ * prerequisite links are recreated - only towards sessions that still exist
+ * outside the trash.
+ *
+ * @param {Array<string>} ids - Mock exam IDs
+ * @param {Object} context - { req, user }
+ * @returns {Promise<{restored: Array<string>, failed: Array<Object>}>}
+ */
+async function restoreFromTrash(ids, { req, user } = {}) {
+  const requestedIds = [...new Set((ids || []).map(String))];
+  const failed = [];
+
+  const { data: rows, error } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .select('*')
+    .in('mock_exam_id', requestedIds);
+
+  if (error) {
+    throw toTrashError(error, 'Failed to read trash');
+  }
+
+  const rowsById = new Map((rows || []).map(row => [row.mock_exam_id, row]));
+  for (const id of requestedIds) {
+    if (!rowsById.has(id)) {
+      failed.push({ id, error: 'NOT_IN_TRASH', message: 'Session is not in the trash' });
+    }
+  }
+
+  // ====== STEP 1: REACTIVATE IN HUBSPOT ======
+  const update = await batchUpdateExams([...rowsById.values()].map(row => ({
+    id: row.mock_exam_id,
+    properties: {
+      is_active: row.properties?.is_active || 'false',
+      scheduled_activation_datetime: row.properties?.scheduled_activation_datetime || ''
+    }
+  })));
+  failed.push(...update.failed);
+
+  const restored = update.successful;
+  if (restored.length === 0) {
+    return { restored, failed };
+  }
+
+  // ====== STEP 2: SYNC BACK TO SUPABASE ======
+  const response = await hubspot.apiCall('POST', `/crm/v3/objects/${MOCK_EXAMS_OBJECT}/batch/read`, {
+    properties: EXAM_PROPERTIES,
+    inputs: restored.map(id => ({ id }))
+  });
+
+  await Promise.allSettled((response?.results || []).map(async (exam) => {
+    try {
+      await syncExamToSupabase(exam);
+
+      if ((parseInt(exam.properties.total_bookings) || 0) > 0) {
+        const { bookings } = await hubspot.getMockExamWithBookings(exam.id);
+        await syncBookingsToSupabase(bookings, exam.id);
+      }
+    } catch (syncError) {
+      console.error(`⚠️ [TRASH] Failed to sync restored exam ${exam.id} to Supabase:`, syncError.message);
+    }
+  }));
+
+  // ====== STEP 3: RECREATE PREREQUISITE LINKS ======
+  const linkedIds = [...new Set(restored.flatMap(id => [
+    ...(rowsById.get(id).prerequisite_exam_ids || []),
+    ...(rowsById.get(id).required_by_exam_ids || [])
+  ]))];
+
+  const { data: liveExams } = linkedIds.length > 0
+    ? await supabaseAdmin.from('hubspot_mock_exams').select('hubspot_id').in('hubspot_id', linkedIds)
+    : { data: [] };
+  const liveIds = new Set((liveExams || []).map(exam => String(exam.hubspot_id)));
+
+  for (const id of restored) {
+    const row = rowsById.get(id);
+    const prerequisiteIds = (row.prerequisite_exam_ids || []).filter(prerequisiteId => liveIds.has(prerequisiteId));
+    const requiredByIds = (row.required_by_exam_ids || []).filter(dependentId => liveIds.has(dependentId));
+
+    if (prerequisiteIds.length > 0) {
+      const { error: rpcError } = await supabaseAdmin.rpc('set_exam_prerequisites', {
+        p_exam_id: id,
+        p_prerequisite_ids: prerequisiteIds
+      });
+      if (rpcError) {
+        console.error(`⚠️ [TRASH] Failed to restore prerequisites of ${id} in Supabase:`, rpcError.message);
+      }
+    }
+
+    if (requiredByIds.length > 0) {
+      try {
+        await hubspot.batchCreateAssociations(MOCK_EXAMS_OBJECT, MOCK_EXAMS_OBJECT,
+          requiredByIds.map(dependentId => ({
+            from: { id: dependentId },
+            to: { id },
+            types: prerequisiteType()
+          }))
+        );
+      } catch (associationError) {
+        console.error(`⚠️ [TRASH] Failed to re-link ${id} to ${requiredByIds.length} exam(s) in HubSpot:`, associationError.message);
+      }
+
+      await updateDependentPrerequisites(requiredByIds, id, 'add');
+    }
+  }
+
+  // ====== STEP 4: EMPTY THE TRASH ROWS ======
+  const { error: deleteError } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .delete()
+    .in('mock_exam_id', restored);
+
+  if (deleteError) {
+    console.error(`❌ [TRASH] Restored ${restored.length} session(s) but failed to clear their trash rows:`, deleteError.message);
+  }
+
+  await recordAuditEntries(
+    { req, user, action: AUDIT_ACTIONS.RESTORE },
+    restored.map(id => ({
+      mockExamId: id,
+      changes: snapshotChanges(rowsById.get(id).properties, 'created'),
+      metadata: {
+        deleted_at: rowsById.get(id).deleted_at,
+        deleted_by: rowsById.get(id).deleted_by
+      }
+    }))
+  );
+
+  console.log(`♻️ [TRASH] Restored ${restored.length} session(s) (${failed.length} failed)`);
+
+  return { restored, failed };
+}
+
+/**
+ * Permanently delete trashed sessions (HubSpot archive + trash row)
+ *
+ * @param {Array<Object>} rows - Trash rows
+ * @param {Object} context - { req, user, source }
+ * @returns {Promise<{purged: Array<string>, failed: Array<Object>}>}
+ */
+async function purgeRows(rows, { req, user, source }) {
+  const purged = [];
+  const failed = [];
+  const ids = rows.map(row => row.mock_exam_id);
+
+  for (let i = 0; i < ids.length; i += HUBSPOT_BATCH_SIZE) {
+    const chunk = ids.slice(i, i + HUBSPOT_BATCH_SIZE);
+
+    try {
+      const response = await hubspot.apiCall('POST',
+        `/crm/v3/objects/${MOCK_EXAMS_OBJECT}/batch/archive`,
+        { inputs: chunk.map(id => ({ id })) }
+      );
+
+      // Batch archive returns an empty body on success
+      const errorIds = new Set((response?.errors || []).map(error => error.context?.id));
+      for (const error of response?.errors || []) {
+        failed.push({ id: error.context?.id || 'unknown', error: 'HUBSPOT_API_ERROR', message: error.message || 'Failed to purge session' });
+      }
+      purged.push(...chunk.filter(id => !errorIds.has(id)));
+    } catch (error) {
+      console.error(`❌ [TRASH] HubSpot batch archive failed:`, error.message);
+      failed.push(...chunk.map(id => ({ id, error: 'HUBSPOT_API_ERROR', message: error.message || 'Failed to purge session' })));
+    }
+  }
+
+  if (purged.length > 0) {
+    const { error } = await supabaseAdmin
+      .from(TRASH_TABLE)
+      .delete()
+      .in('mock_exam_id', purged);
+
+    if (error) {
+      console.error(`❌ [TRASH] Purged ${purged.length} session(s) in HubSpot but failed to clear their trash rows:`, error.message);
+    }
+
+    await recordAuditEntries(
+      { req, user, action: AUDIT_ACTIONS.PURGE },
+      purged.map(id => {
+        const row = rows.find(trashRow => trashRow.mock_exam_id === id);
+        return {
+          mockExamId: id,
+          changes: snapshotChanges(row?.properties, 'deleted'),
+          metadata: { source, deleted_at: row?.deleted_at, deleted_by: row?.deleted_by }
+        };
+      })
+    );
+  }
+
+  console.log(`🔥 [TRASH] Purged ${purged.length} session(s) (${failed.length} failed, source: ${source})`);
+
+  return { purged, failed };
+}
+
+/**
+ * Permanently delete selected sessions from the trash before their retention ends
+ *
+ * @param {Array<string>} ids - Mock exam IDs
+ * @param {Object} context - { req, user }
+ * @returns {Promise<{purged: Array<string>, failed: Array<Object>}>}
+ */
+async function purgeFromTrash(ids, { req, user } = {}) {
+  const requestedIds = [...new Set((ids || []).map(String))];
+
+  const { data: rows, error } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .select('*')
+    .in('mock_exam_id', requestedIds);
+
+  if (error) {
+    throw toTrashError(error, 'Failed to read trash');
+  }
+
+  const found = new Set((rows || []).map(row => row.mock_exam_id));
+  const missing = requestedIds
+    .filter(id => !found.has(id))
+    .map(id => ({ id, error: 'NOT_IN_TRASH', message: 'Session is not in the trash' }));
+
+  const result = await purgeRows(rows || [], { req, user, source: 'manual' });
+
+  return { purged: result.purged, failed: [...missing, ...result.failed] };
+}
+
+/**
+ * Permanently delete sessions whose retention window has ended (cron)
+ *
+ * @param {Object} options - { limit }
+ * @returns {Promise<{due: number, purged: Array<string>, failed: Array<Object>}>}
+ */
+async function purgeExpiredTrash({ limit = 200 } = {}) {
+  const { data: rows, error } = await supabaseAdmin
+    .from(TRASH_TABLE)
+    .select('*')
+    .lte('purge_after', new Date().toISOString())
+    .order('purge_after', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw toTrashError(error, 'Failed to read expired trash');
+  }
+
+  const result = await purgeRows(rows || [], { source: 'cron' });
+
+  return { due: (rows || []).length, ...result };
+}
+
+module.exports = {
+  TRASH_TABLE,
+  getRetentionDays,
+  getTrashedIds,
+  listTrash,
+  moveToTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpiredTrash
+};
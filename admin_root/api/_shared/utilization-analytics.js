@@ -0,0 +1,323 @@
+/**
+ * Utilization Analytics
+ * Time series of sessions, capacity, bookings, cancellations and fill rate per
+ * week or month, optionally split by location or mock type, with a comparison
+ * against the period of the same length just before the range.
+ *
+ * Computed from Supabase rather than HubSpot (metrics.js / hubspot.calculateMetrics
+ * only give totals for a range):
+ *   hubspot_mock_exams  sessions, capacity, total_bookings (active bookings)
+ *   hubspot_bookings    cancellations - is_active 'Cancelled', counted on the session date
+ *
+ * fill_rate         = bookings / capacity
+ * cancellation_rate = cancellations / (bookings + cancellations)
+ *
+ * Sessions in the trash are not in hubspot_mock_exams and are left out.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { addDays } = require('./exam-series');
+const { getPeriodStart } = require('./attendance-analytics');
+const { escapeCSV } = require('./csv');
+
+const GROUP_BY_FIELDS = {
+  location: 'location',
+  mock_type: 'mock_type'
+};
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Round a ratio to a percentage with one decimal, null when there is nothing to divide by
+ */
+function toPercent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Relative change in percent, null without a previous value
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null}
+ */
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Every period start between two dates, so periods without sessions still show
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {'week'|'month'} interval
+ * @returns {Array<string>}
+ */
+function listPeriods(startDate, endDate, interval) {
+  const periods = [];
+  let period = getPeriodStart(startDate, interval);
+
+  while (period <= endDate) {
+    periods.push(period);
+    if (interval === 'month') {
+      const [year, month] = period.split('-').map(Number);
+      period = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    } else {
+      period = addDays(period, 7);
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * Date range just before a range, of the same length
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {{ startDate: string, endDate: string }}
+ */
+function getPreviousRange(startDate, endDate) {
+  const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+  return {
+    startDate: addDays(startDate, -days),
+    endDate: addDays(startDate, -1)
+  };
+}
+
+/**
+ * Totals and rates for a set of sessions and cancellations
+ * @param {Array<Object>} sessions - Normalized sessions
+ * @param {Array<Object>} cancellations - Normalized cancelled bookings
+ * @returns {Object}
+ */
+function summarizeUtilization(sessions, cancellations) {
+  const totals = sessions.reduce((sum, session) => ({
+    sessions: sum.sessions + 1,
+    capacity: sum.capacity + session.capacity,
+    bookings: sum.bookings + session.bookings,
+    full_sessions: sum.full_sessions + (session.capacity > 0 && session.bookings >= session.capacity ? 1 : 0)
+  }), { sessions: 0, capacity: 0, bookings: 0, full_sessions: 0 });
+
+  return {
+    ...totals,
+    cancellations: cancellations.length,
+    fill_rate: toPercent(totals.bookings, totals.capacity),
+    cancellation_rate: toPercent(cancellations.length, totals.bookings + cancellations.length)
+  };
+}
+
+/**
+ * Change from the previous figures: percent for counts, points for rates
+ * @param {Object} current - summarizeUtilization result
+ * @param {Object} previous - summarizeUtilization result
+ * @returns {Object}
+ */
+function compareUtilization(current, previous) {
+  const pointChange = (field) =>
+    current[field] === null || previous[field] === null
+      ? null
+      : Math.round((current[field] - previous[field]) * 10) / 10;
+
+  return {
+    sessions: percentChange(current.sessions, previous.sessions),
+    capacity: percentChange(current.capacity, previous.capacity),
+    bookings: percentChange(current.bookings, previous.bookings),
+    cancellations: percentChange(current.cancellations, previous.cancellations),
+    fill_rate_points: pointChange('fill_rate'),
+    cancellation_rate_points: pointChange('cancellation_rate')
+  };
+}
+
+/**
+ * Period-by-period figures, each compared with the period before it
+ * @param {Array<Object>} sessions
+ * @param {Array<Object>} cancellations
+ * @param {Array<string>} periods - From listPeriods
+ * @param {'week'|'month'} interval
+ * @returns {Array<Object>}
+ */
+function buildSeries(sessions, cancellations, periods, interval) {
+  let previous = null;
+
+  return periods.map(period => {
+    const summary = summarizeUtilization(
+      sessions.filter(session => getPeriodStart(session.exam_date, interval) === period),
+      cancellations.filter(cancellation => getPeriodStart(cancellation.exam_date, interval) === period)
+    );
+    const point = {
+      period_start: period,
+      ...summary,
+      change: previous ? compareUtilization(summary, previous) : null
+    };
+    previous = summary;
+    return point;
+  });
+}
+
+/**
+ * Utilization report for a range
+ *
+ * @param {Object} data - { sessions, cancellations, previous: { sessions, cancellations } | null }
+ * @param {Object} options - { startDate, endDate, interval, groupBy: 'location'|'mock_type'|null }
+ * @returns {Object} - { summary, previous_summary, comparison, series, groups, interval, group_by }
+ */
+function buildUtilizationReport({ sessions, cancellations, previous = null }, { startDate, endDate, interval = 'week', groupBy = null }) {
+  const periods = listPeriods(startDate, endDate, interval);
+  const summary = summarizeUtilization(sessions, cancellations);
+  const previousSummary = previous ? summarizeUtilization(previous.sessions, previous.cancellations) : null;
+
+  let groups = [];
+  const field = GROUP_BY_FIELDS[groupBy];
+  if (field) {
+    const keys = [...new Set([...sessions, ...cancellations].map(item => item[field] || 'Unknown'))].sort();
+    groups = keys.map(key => {
+      const groupSessions = sessions.filter(session => (session[field] || 'Unknown') === key);
+      const groupCancellations = cancellations.filter(cancellation => (cancellation[field] || 'Unknown') === key);
+
+      return {
+        key,
+        summary: summarizeUtilization(groupSessions, groupCancellations),
+        series: buildSeries(groupSessions, groupCancellations, periods, interval)
+      };
+    });
+  }
+
+  return {
+    summary,
+    previous_summary: previousSummary,
+    comparison: previousSummary ? compareUtilization(summary, previousSummary) : null,
+    series: buildSeries(sessions, cancellations, periods, interval),
+    groups,
+    interval,
+    group_by: field ? groupBy : null
+  };
+}
+
+/**
+ * Read every row of a Supabase query, PAGE_SIZE at a time
+ * @param {Function} buildQuery - () => query builder (a new one per page)
+ * @returns {Promise<Array<Object>>}
+ */
+async function readAllRows(buildQuery) {
+  const rows = [];
+
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('❌ [UTILIZATION-REPORT] Supabase read failed:', error.message);
+      throw error;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Load the sessions and cancelled bookings of a date range
+ *
+ * @param {Object} filters - { startDate, endDate, mockType, location }
+ * @returns {Promise<{sessions: Array<Object>, cancellations: Array<Object>}>}
+ */
+async function loadUtilizationData({ startDate, endDate, mockType, location }) {
+  const examRows = await readAllRows(() => {
+    let query = supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, mock_type, location, exam_date, capacity, total_bookings')
+      .gte('exam_date', startDate)
+      .lte('exam_date', endDate)
+      .order('exam_date', { ascending: true })
+      .order('hubspot_id', { ascending: true });
+
+    if (mockType) query = query.eq('mock_type', mockType);
+    if (location) query = query.eq('location', location);
+    return query;
+  });
+
+  const cancelledRows = await readAllRows(() => {
+    let query = supabaseAdmin
+      .from('hubspot_bookings')
+      .select('hubspot_id, associated_mock_exam, mock_type, attending_location, exam_date')
+      .eq('is_active', 'Cancelled')
+      .gte('exam_date', startDate)
+      .lte('exam_date', endDate)
+      .order('hubspot_id', { ascending: true });
+
+    if (mockType) query = query.eq('mock_type', mockType);
+    return query;
+  });
+
+  const sessions = examRows.map(exam => ({
+    id: exam.hubspot_id,
+    mock_type: exam.mock_type || null,
+    location: exam.location || null,
+    exam_date: String(exam.exam_date).slice(0, 10),
+    capacity: parseInt(exam.capacity) || 0,
+    bookings: parseInt(exam.total_bookings) || 0
+  }));
+  const sessionsById = new Map(sessions.map(session => [String(session.id), session]));
+
+  const cancellations = cancelledRows
+    .map(booking => {
+      const session = sessionsById.get(String(booking.associated_mock_exam));
+      return {
+        id: booking.hubspot_id,
+        mock_exam_id: booking.associated_mock_exam || null,
+        mock_type: booking.mock_type || session?.mock_type || null,
+        location: session?.location || booking.attending_location || null,
+        exam_date: String(booking.exam_date).slice(0, 10)
+      };
+    })
+    .filter(cancellation => !location || String(cancellation.location || '').toLowerCase() === location.toLowerCase());
+
+  console.log(`📊 [UTILIZATION-REPORT] ${sessions.length} sessions, ${cancellations.length} cancellations from ${startDate} to ${endDate}`);
+
+  return { sessions, cancellations };
+}
+
+/**
+ * One row per period (and group), with the change from the period before
+ * @param {Object} report - Result of buildUtilizationReport
+ * @returns {string}
+ */
+function utilizationReportToCsv(report) {
+  const groupLabel = report.group_by === 'location' ? 'Location' : report.group_by === 'mock_type' ? 'Mock Type' : null;
+  const header = [
+    report.interval === 'month' ? 'Month' : 'Week Of',
+    ...(groupLabel ? [groupLabel] : []),
+    'Sessions', 'Capacity', 'Bookings', 'Full Sessions', 'Cancellations',
+    'Fill Rate (%)', 'Cancellation Rate (%)', 'Bookings Change (%)', 'Fill Rate Change (pts)'
+  ];
+
+  const toRow = (point, groupKey) => [
+    point.period_start,
+    ...(groupLabel ? [groupKey] : []),
+    point.sessions,
+    point.capacity,
+    point.bookings,
+    point.full_sessions,
+    point.cancellations,
+    point.fill_rate,
+    point.cancellation_rate,
+    point.change?.bookings,
+    point.change?.fill_rate_points
+  ].map(escapeCSV).join(',');
+
+  const rows = groupLabel
+    ? report.groups.flatMap(group => group.series.map(point => toRow(point, group.key)))
+    : report.series.map(point => toRow(point));
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+module.exports = {
+  GROUP_BY_FIELDS,
+  listPeriods,
+  getPreviousRange,
+  summarizeUtilization,
+  compareUtilization,
+  buildUtilizationReport,
+  loadUtilizationData,
+  utilizationReportToCsv
+};
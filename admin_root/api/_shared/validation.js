@@ -1,4 +1,86 @@
 const Joi = require('joi');
+const {
+  refreshLocationCatalog,
+  resolveLocationName,
+  getLocationNames,
+  toLocationCode
+} = require('./locations');
+
+/**
+ * Site name checked against the location catalog (_shared/locations.js)
+ * Matches case-insensitively and returns the catalog spelling. Unknown sites fail
+ * with 'location.unknown', whose message lists the sites currently configured.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false] - Also accept retired sites (filters, edits of existing records)
+ */
+function locationName({ includeInactive = false } = {}) {
+  return Joi.string()
+    .custom((value, helpers) => {
+      const name = resolveLocationName(value, { includeInactive });
+      if (!name) {
+        return helpers.error('location.unknown', {
+          locations: getLocationNames({ includeInactive }).join(', ')
+        });
+      }
+      return name;
+    })
+    .messages({
+      'location.unknown': '{#label} must be one of: {#locations}'
+    });
+}
+
+/**
+ * Booking attending_location - a catalog site given as its code ('richmond_hill')
+ * or its name ('Richmond Hill'). The value is kept as sent.
+ */
+function attendingLocation() {
+  return Joi.string()
+    .custom((value, helpers) => {
+      if (!resolveLocationName(toLocationCode(value))) {
+        return helpers.error('location.unknown', {
+          locations: getLocationNames().join(', ')
+        });
+      }
+      return value;
+    })
+    .messages({
+      'location.unknown': 'Location must be one of: {#locations}'
+    });
+}
+
+/**
+ * Per-session booking cutoff in hours before the start (booking-cutoff.js)
+ * null or '' clears it so the mock type cutoff applies again.
+ */
+function bookingCutoffHours() {
+  return Joi.number()
+    .min(0)
+    .max(720)
+    .allow(null, '')
+    .optional()
+    .messages({
+      'number.base': 'Booking cutoff must be a number of hours',
+      'number.min': 'Booking cutoff cannot be negative',
+      'number.max': 'Booking cutoff cannot exceed 720 hours (30 days)'
+    });
+}
+
+/**
+ * When the session stops taking bookings and is deactivated by the activation cron
+ * null or '' removes the scheduled deactivation.
+ */
+function scheduledDeactivationDatetime() {
+  return Joi.date()
+    .iso()
+    .greater('now')
+    .allow(null, '')
+    .optional()
+    .messages({
+      'date.base': 'Scheduled deactivation datetime must be a valid date',
+      'date.format': 'Scheduled deactivation datetime must be in ISO format',
+      'date.greater': 'Scheduled deactivation datetime must be in the future'
+    });
+}
 
 // Validation schemas for different operations
 const schemas = {
@@ -127,13 +209,12 @@ const schemas = {
         }),
         otherwise: Joi.optional().strip()
       }),
-    attending_location: Joi.string()
-      .valid('mississauga', 'calgary', 'vancouver', 'montreal', 'richmond_hill')
+    attending_location: attendingLocation()
       .when('mock_type', {
         is: Joi.string().valid('Situational Judgment', 'Mini-mock'),
         then: Joi.required().messages({
           'any.required': 'Attending location is required for Situational Judgment and Mini-mock exams',
-          'any.only': 'Location must be one of: Mississauga, Calgary, Vancouver, Montreal, or Richmond Hill'
+          'location.unknown': 'Location must be one of: {#locations}'
         }),
         otherwise: Joi.optional().strip()
       })
@@ -232,6 +313,10 @@ const schemas = {
       .min(1)
       .max(100)
       .required()
+      .when('room_id', {
+        is: Joi.string().uuid().required(),
+        then: Joi.optional()  // Defaults from the assigned room
+      })
       .messages({
         'number.base': 'Capacity must be a number',
         'number.integer': 'Capacity must be an integer',
@@ -239,11 +324,14 @@ const schemas = {
         'number.max': 'Capacity cannot exceed 100',
         'any.required': 'Capacity is required'
       }),
-    location: Joi.string()
-      .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+    location: locationName()
       .required()
+      .when('room_id', {
+        is: Joi.string().uuid().required(),
+        then: Joi.optional()  // Defaults from the assigned room
+      })
       .messages({
-        'any.only': 'Location must be one of: Mississauga, Mississauga - B9, Mississauga - Lab D, Calgary, Vancouver, Montreal, Richmond Hill, or Online',
+        'location.unknown': 'Location must be one of: {#locations}',
         'any.required': 'Location is required'
       }),
     mock_set: Joi.string()
@@ -295,6 +383,8 @@ const schemas = {
         'date.iso': 'Invalid datetime format. Use ISO 8601 format (e.g., 2025-01-20T14:00:00Z)',
         'date.min': 'Scheduled activation date must be today or in the future'
       }),
+    booking_cutoff_hours: bookingCutoffHours(),
+    scheduled_deactivation_datetime: scheduledDeactivationDatetime(),
     start_time: Joi.string()
       .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
       .required()
@@ -308,7 +398,18 @@ const schemas = {
       .messages({
         'string.pattern.base': 'End time must be in HH:MM format (24-hour)',
         'any.required': 'End time is required'
-      })
+      }),
+    // Room assignment (rooms.js) - location and capacity default from the room
+    room_id: Joi.string()
+      .uuid()
+      .allow(null, '')
+      .optional()
+      .messages({
+        'string.guid': 'Room ID must be a valid UUID'
+      }),
+    // Create even if the room is already in use at that time (overlaps come back as warnings)
+    allow_room_overlap: Joi.boolean()
+      .default(false)
   }).custom((value, helpers) => {
     // Custom validation: end_time must be after start_time
     const startParts = value.start_time.split(':');
@@ -354,13 +455,24 @@ const schemas = {
           'number.min': 'Capacity must be at least 1',
           'number.max': 'Capacity cannot exceed 100'
         }),
-      location: Joi.string()
-        .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+      location: locationName()
         .required()
+        .when('room_id', {
+          is: Joi.string().uuid().required(),
+          then: Joi.optional()  // Defaults from the assigned room
+        })
         .messages({
-          'any.only': 'Location must be one of: Mississauga, Mississauga - B9, Mississauga - Lab D, Calgary, Vancouver, Montreal, Richmond Hill, or Online',
+          'location.unknown': 'Location must be one of: {#locations}',
           'any.required': 'Location is required'
         }),
+      // Room assignment (rooms.js) - location and capacity default from the room
+      room_id: Joi.string()
+        .uuid()
+        .allow(null, '')
+        .optional()
+        .messages({
+          'string.guid': 'Room ID must be a valid UUID'
+        }),
       mock_set: Joi.string()
         .valid('A', 'B', 'C', 'D', 'E', 'F', 'G', 'H')
         .allow(null, '')
@@ -404,7 +516,8 @@ const schemas = {
         .messages({
           'date.iso': 'Invalid datetime format. Use ISO 8601 format (e.g., 2025-01-20T14:00:00Z)',
           'date.min': 'Scheduled activation date must be today or in the future'
-        })
+        }),
+      booking_cutoff_hours: bookingCutoffHours()
     }).required(),
     timeSlots: Joi.array()
       .items(
@@ -458,6 +571,9 @@ const schemas = {
         'any.required': 'Time slots are required',
         'custom.endTimeBeforeStart': 'End time must be after start time for all time slots'
       }),
+    // Create even if the room is already in use at that time (overlaps come back as warnings)
+    allow_room_overlap: Joi.boolean()
+      .default(false),
     // New capacity mode parameter
     capacityMode: Joi.string()
       .valid('global', 'per-slot')
@@ -468,7 +584,7 @@ const schemas = {
   }).custom((value, helpers) => {
     // Custom validation: Ensure capacity is provided based on mode
     if (value.capacityMode === 'global') {
-      if (!value.commonProperties.capacity) {
+      if (!value.commonProperties.capacity && !value.commonProperties.room_id) {
         return helpers.error('custom.globalCapacityRequired');
       }
       // In global mode, time slots should not have individual capacities
@@ -544,11 +660,10 @@ const schemas = {
       .messages({
         'any.only': 'sort_order must be either asc or desc'
       }),
-    filter_location: Joi.string()
-      .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+    filter_location: locationName({ includeInactive: true })
       .optional()
       .messages({
-        'any.only': 'filter_location must be one of: Mississauga, Mississauga - B9, Mississauga - Lab D, Calgary, Vancouver, Montreal, Richmond Hill, or Online'
+        'location.unknown': 'filter_location must be one of: {#locations}'
       }),
     filter_mock_type: Joi.alternatives()
       .try(
@@ -618,11 +733,10 @@ const schemas = {
         'number.min': 'Capacity must be at least 1',
         'number.max': 'Capacity cannot exceed 100'
       }),
-    location: Joi.string()
-      .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+    location: locationName({ includeInactive: true })
       .optional()
       .messages({
-        'any.only': 'Location must be one of: Mississauga, Mississauga - B9, Mississauga - Lab D, Calgary, Vancouver, Montreal, Richmond Hill, or Online'
+        'location.unknown': 'Location must be one of: {#locations}'
       }),
     mock_set: Joi.string()
       .valid('A', 'B', 'C', 'D', 'E', 'F', 'G', 'H')
@@ -657,6 +771,8 @@ const schemas = {
         'date.greater': 'Scheduled activation datetime must be in the future',
         'any.required': 'Scheduled activation datetime is required when status is scheduled'
       }),
+    booking_cutoff_hours: bookingCutoffHours(),
+    scheduled_deactivation_datetime: scheduledDeactivationDatetime(),
     start_time: Joi.string()
       .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
       .optional()
@@ -668,7 +784,18 @@ const schemas = {
       .optional()
       .messages({
         'string.pattern.base': 'End time must be in HH:MM format (24-hour)'
-      })
+      }),
+    // Room assignment (rooms.js) - null or empty string removes the session from its room
+    room_id: Joi.string()
+      .uuid()
+      .allow(null, '')
+      .optional()
+      .messages({
+        'string.guid': 'Room ID must be a valid UUID'
+      }),
+    // Save even if the room is already in use at that time (overlaps come back as warnings)
+    allow_room_overlap: Joi.boolean()
+      .optional()
   }).min(1).custom((value, helpers) => {
     // Custom validation: if both start_time and end_time are provided, end_time must be after start_time
     if (value.start_time && value.end_time) {
@@ -748,13 +875,11 @@ const schemas = {
 
     // Updates to apply to all sessions
     updates: Joi.object({
-      location: Joi.string()
-        .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D',
-               'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+      location: locationName()
         .optional()
         .allow('')
         .messages({
-          'any.only': 'Invalid location specified'
+          'location.unknown': 'Invalid location specified'
         }),
 
       mock_type: Joi.string()
@@ -878,7 +1003,8 @@ const schemas = {
           start_time: Joi.string().allow('').optional(),
           end_time: Joi.string().allow('').optional(),
           is_active: Joi.string().valid('active', 'inactive', 'scheduled', 'Active', 'Inactive', 'Scheduled', 'true', 'false').allow('').optional(),
-          scheduled_activation_datetime: Joi.string().allow('', null).optional()
+          scheduled_activation_datetime: Joi.string().allow('', null).optional(),
+          room_id: Joi.string().uuid().allow('', null).optional()
         }).required()
       }))
       .min(1)
@@ -898,10 +1024,7 @@ const schemas = {
           'any.required': 'New exam date is required for cloning'
         }),
 
-      location: Joi.string().valid(
-        'Mississauga', 'Mississauga - B9', 'Mississauga - Lab D',
-        'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online'
-      ).optional().allow(''),
+      location: locationName().optional().allow(''),
 
       mock_type: Joi.string().valid(
         'Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion'
@@ -923,7 +1046,10 @@ const schemas = {
 
       is_active: Joi.string().valid('active', 'inactive', 'scheduled').optional().allow(''),
 
-      scheduled_activation_datetime: Joi.date().iso().optional().allow('')
+      scheduled_activation_datetime: Joi.date().iso().optional().allow(''),
+
+      // Empty string moves the clones out of any room
+      room_id: Joi.string().uuid().optional().allow('')
     })
       .custom((value, helpers) => {
         // Validate time range
@@ -954,7 +1080,10 @@ const schemas = {
         'custom.timeRange': 'Start time must be before end time',
         'custom.scheduledDateRequired': 'Scheduled activation datetime is required when status is scheduled',
         'custom.scheduledDatePast': 'Scheduled activation datetime must be in the future'
-      })
+      }),
+
+    // Clone even if a room is already in use at that time (overlaps come back as warnings)
+    allow_room_overlap: Joi.boolean().default(false)
   }).options({ stripUnknown: true }),
 
   // Schema for batch attendance update (Admin)
@@ -1090,6 +1219,13 @@ const schemas = {
       .optional()
       .messages({
         'boolean.base': 'refundTokens must be a boolean value'
+      }),
+    refundPolicy: Joi.string()
+      .valid('full', 'policy')
+      .default('full')
+      .optional()
+      .messages({
+        'any.only': 'refundPolicy must be either "full" or "policy"'
       })
   }),
 
@@ -1159,15 +1295,28 @@ const schemas = {
         }),
         otherwise: Joi.optional().strip()
       }),
-    attending_location: Joi.string()
-      .valid('mississauga', 'calgary', 'vancouver', 'montreal', 'richmond_hill', 'Mississauga', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill')
+    attending_location: attendingLocation()
       .when('mock_type', {
         is: Joi.string().valid('Situational Judgment', 'Mini-mock'),
         then: Joi.required().messages({
           'any.required': 'Attending location is required for Situational Judgment and Mini-mock exams',
-          'any.only': 'Location must be one of: Mississauga, Calgary, Vancouver, Montreal, or Richmond Hill'
+          'location.unknown': 'Location must be one of: {#locations}'
         }),
         otherwise: Joi.optional().strip()
+      }),
+    // Admin override: book even if the trainee has an overlapping session
+    override_time_conflicts: Joi.boolean()
+      .optional()
+      .default(false)
+      .messages({
+        'boolean.base': 'override_time_conflicts must be a boolean value'
+      }),
+    // Admin override: book even if the rule blocks the trainee from repeating this exam set
+    override_set_repeat: Joi.boolean()
+      .optional()
+      .default(false)
+      .messages({
+        'boolean.base': 'override_set_repeat must be a boolean value'
       })
   }),
 
@@ -1193,6 +1342,41 @@ const schemas = {
       })
   }),
 
+  // Schema for a trainee's credit ledger (Admin)
+  traineeTokenHistory: Joi.object({
+    contactId: Joi.string()
+      .pattern(/^\d+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Contact ID must be numeric',
+        'any.required': 'Contact ID is required'
+      }),
+    credit_field: Joi.string()
+      .valid('sj_credits', 'cs_credits', 'sjmini_credits', 'mock_discussion_token', 'shared_mock_credits')
+      .optional()
+      .messages({
+        'any.only': 'Credit field must be one of: sj_credits, cs_credits, sjmini_credits, mock_discussion_token, shared_mock_credits'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .optional()
+      .default(50)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.max': 'Limit cannot exceed 200'
+      }),
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .default(0)
+      .messages({
+        'number.base': 'Offset must be a number'
+      })
+  }),
+
   // Schema for rebooking a booking to a different exam (Admin)
   // Note: No "reason" field - rebooking doesn't require a reason per PRD
   rebookBooking: Joi.object({
@@ -1210,98 +1394,1226 @@ const schemas = {
       })
   }),
 
-  // Schema for updating trainee tokens (Admin)
-  updateTraineeTokens: Joi.object({
-    tokens: Joi.object({
-      mock_discussion: Joi.number()
-        .integer()
-        .min(0)
-        .max(9999)
+  // Schema for reordering a mock exam waitlist (Admin)
+  waitlistReorder: Joi.object({
+    entry_ids: Joi.array()
+      .items(Joi.string().guid({ version: ['uuidv4', 'uuidv5'] }))
+      .min(1)
+      .max(500)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one waitlist entry is required',
+        'array.max': 'Cannot reorder more than 500 waitlist entries at once',
+        'array.unique': 'Waitlist entry IDs must be unique',
+        'string.guid': 'Waitlist entry IDs must be valid UUIDs',
+        'any.required': 'entry_ids array is required'
+      })
+  }),
+
+  // Schema for creating a recurring session series (Admin)
+  mockExamSeriesCreation: Joi.object({
+    name: Joi.string()
+      .max(200)
+      .optional()
+      .allow('')
+      .messages({
+        'string.max': 'Series name cannot exceed 200 characters'
+      }),
+    commonProperties: Joi.object({
+      mock_type: Joi.string()
+        .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
         .required()
         .messages({
-          'number.base': 'Mock discussion tokens must be a number',
-          'number.integer': 'Mock discussion tokens must be an integer',
-          'number.min': 'Mock discussion tokens cannot be negative',
-          'number.max': 'Mock discussion tokens cannot exceed 9999',
-          'any.required': 'Mock discussion tokens is required'
+          'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, or Mock Discussion',
+          'any.required': 'Mock type is required'
         }),
-      clinical_skills: Joi.number()
+      capacity: Joi.number()
         .integer()
-        .min(0)
-        .max(9999)
+        .min(1)
+        .max(100)
+        .optional()
+        .messages({
+          'number.base': 'Capacity must be a number',
+          'number.min': 'Capacity must be at least 1',
+          'number.max': 'Capacity cannot exceed 100'
+        }),
+      location: locationName()
         .required()
+        .when('room_id', {
+          is: Joi.string().uuid().required(),
+          then: Joi.optional()  // Defaults from the assigned room
+        })
         .messages({
-          'number.base': 'Clinical skills credits must be a number',
-          'number.integer': 'Clinical skills credits must be an integer',
-          'number.min': 'Clinical skills credits cannot be negative',
-          'number.max': 'Clinical skills credits cannot exceed 9999',
-          'any.required': 'Clinical skills credits is required'
+          'location.unknown': 'Location must be one of: {#locations}',
+          'any.required': 'Location is required'
         }),
-      situational_judgment: Joi.number()
-        .integer()
-        .min(0)
-        .max(9999)
+      // Room assignment (rooms.js) - location and capacity default from the room
+      room_id: Joi.string()
+        .uuid()
+        .allow(null, '')
+        .optional()
+        .messages({
+          'string.guid': 'Room ID must be a valid UUID'
+        }),
+      mock_set: Joi.string()
+        .valid('A', 'B', 'C', 'D', 'E', 'F', 'G', 'H')
+        .allow(null, '')
+        .optional()
+        .messages({
+          'any.only': 'Mock set must be one of: A, B, C, D, E, F, G, H'
+        }),
+      activation_mode: Joi.string()
+        .valid('immediate', 'scheduled')
+        .optional()
+        .default('immediate')
+        .messages({
+          'any.only': 'Activation mode must be either "immediate" or "scheduled"'
+        }),
+      is_active: Joi.string()
+        .valid('true', 'false', 'scheduled')
+        .optional(),
+      scheduled_activation_datetime: Joi.date()
+        .iso()
+        .when('activation_mode', {
+          is: 'scheduled',
+          then: Joi.required(),
+          otherwise: Joi.optional().allow(null, '')
+        })
+        .messages({
+          'date.format': 'Invalid datetime format. Use ISO 8601 format (e.g., 2025-01-20T14:00:00Z)',
+          'any.required': 'Scheduled activation date/time is required when using scheduled activation mode'
+        })
+    }).required(),
+    timeSlots: Joi.array()
+      .items(
+        Joi.object({
+          start_time: Joi.string()
+            .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+            .required(),
+          end_time: Joi.string()
+            .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+            .required(),
+          capacity: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .optional()
+        })
+      )
+      .min(1)
+      .max(20)
+      .required()
+      .messages({
+        'string.pattern.base': 'Times must be in HH:MM format (24-hour)',
+        'array.min': 'At least one time slot is required',
+        'array.max': 'Cannot repeat more than 20 time slots per day',
+        'any.required': 'Time slots are required'
+      }),
+    capacityMode: Joi.string()
+      .valid('global', 'per-slot')
+      .default('global'),
+    // Create even if the room is already in use at that time (overlaps come back as warnings)
+    allow_room_overlap: Joi.boolean()
+      .default(false),
+    recurrence: Joi.object({
+      start_date: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
         .required()
         .messages({
-          'number.base': 'Situational judgment credits must be a number',
-          'number.integer': 'Situational judgment credits must be an integer',
-          'number.min': 'Situational judgment credits cannot be negative',
-          'number.max': 'Situational judgment credits cannot exceed 9999',
-          'any.required': 'Situational judgment credits is required'
+          'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+          'any.required': 'Start date is required'
         }),
-      mini_mock: Joi.number()
-        .integer()
-        .min(0)
-        .max(9999)
+      weekdays: Joi.array()
+        .items(Joi.number().integer().min(0).max(6))
+        .min(1)
+        .unique()
         .required()
         .messages({
-          'number.base': 'Mini mock credits must be a number',
-          'number.integer': 'Mini mock credits must be an integer',
-          'number.min': 'Mini mock credits cannot be negative',
-          'number.max': 'Mini mock credits cannot exceed 9999',
-          'any.required': 'Mini mock credits is required'
+          'array.min': 'Pick at least one day of the week',
+          'any.required': 'Days of the week are required'
         }),
-      shared_mock: Joi.number()
+      interval_weeks: Joi.number()
         .integer()
-        .min(0)
-        .max(9999)
-        .optional()
-        .default(0)
+        .min(1)
+        .max(8)
+        .default(1)
         .messages({
-          'number.base': 'Shared mock credits must be a number',
-          'number.integer': 'Shared mock credits must be an integer',
-          'number.min': 'Shared mock credits cannot be negative',
-          'number.max': 'Shared mock credits cannot exceed 9999'
-        })
-    }).required()
+          'number.min': 'Repeat interval must be at least 1 week',
+          'number.max': 'Repeat interval cannot exceed 8 weeks'
+        }),
+      weeks: Joi.number()
+        .integer()
+        .min(1)
+        .max(52)
+        .messages({
+          'number.min': 'A series must run for at least 1 week',
+          'number.max': 'A series cannot run for more than 52 weeks'
+        }),
+      end_date: Joi.string()
+        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+          'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+        }),
+      skip_dates: Joi.array()
+        .items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/))
+        .max(100)
+        .default([])
+        .messages({
+          'string.pattern.base': 'Skipped dates must be in YYYY-MM-DD format'
+        }),
+      skip_holidays: Joi.boolean()
+        .default(false)
+    }).xor('weeks', 'end_date')
+      .required()
       .messages({
-        'any.required': 'Tokens object is required'
+        'object.xor': 'Provide either the number of weeks or an end date',
+        'object.missing': 'Provide either the number of weeks or an end date'
       })
-  })
+  }).custom((value, helpers) => {
+    // HH:MM strings compare correctly as text
+    if (value.timeSlots.some(slot => slot.end_time <= slot.start_time)) {
+      return helpers.error('custom.endTimeBeforeStart');
+    }
 
-};
+    if (value.recurrence.end_date && value.recurrence.end_date < value.recurrence.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
 
-/**
- * Validate input data against a schema
- * @param {object} data - Data to validate
- * @param {string} schemaName - Name of the schema to use
- * @returns {object} Validated data
- * @throws {Error} Validation error with details
- */
-async function validateInput(data, schemaName) {
-  const schema = schemas[schemaName];
+    if (value.capacityMode === 'global' && !value.commonProperties.capacity && !value.commonProperties.room_id) {
+      return helpers.error('custom.globalCapacityRequired');
+    }
 
-  if (!schema) {
-    throw new Error(`Validation schema '${schemaName}' not found`);
-  }
+    if (value.capacityMode === 'per-slot' && value.timeSlots.some(slot => !slot.capacity)) {
+      return helpers.error('custom.perSlotCapacityRequired');
+    }
 
-  const { error, value } = schema.validate(data, {
-    abortEarly: false,
-    stripUnknown: true
-  });
+    return value;
+  }, 'series validation')
+  .messages({
+    'custom.endTimeBeforeStart': 'End time must be after start time for all time slots',
+    'custom.endDateBeforeStart': 'End date must be on or after the start date',
+    'custom.globalCapacityRequired': 'Capacity is required in commonProperties when capacityMode is "global"',
+    'custom.perSlotCapacityRequired': 'Each time slot must have a capacity when capacityMode is "per-slot"'
+  }),
 
-  if (error) {
-    const errorMessages = error.details.map(detail => detail.message);
+  // Schema for editing sessions of a recurring series (Admin)
+  mockExamSeriesUpdate: Joi.object({
+    scope: Joi.string()
+      .valid('this', 'following', 'all')
+      .required()
+      .messages({
+        'any.only': 'Scope must be one of: this, following, all',
+        'any.required': 'Scope is required'
+      }),
+    anchor_id: Joi.string()
+      .pattern(/^\d+$/)
+      .when('scope', {
+        is: 'all',
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      })
+      .messages({
+        'string.pattern.base': 'Invalid session ID format',
+        'any.required': 'anchor_id is required for this scope'
+      }),
+    changes: Joi.object({
+      shift_days: Joi.number()
+        .integer()
+        .min(-60)
+        .max(60)
+        .invalid(0)
+        .optional()
+        .messages({
+          'number.min': 'Sessions cannot be moved more than 60 days',
+          'number.max': 'Sessions cannot be moved more than 60 days',
+          'any.invalid': 'Move sessions by at least one day'
+        }),
+      start_time: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+        .optional()
+        .messages({
+          'string.pattern.base': 'Start time must be in HH:MM format (24-hour)'
+        }),
+      end_time: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+        .optional()
+        .messages({
+          'string.pattern.base': 'End time must be in HH:MM format (24-hour)'
+        }),
+      location: locationName({ includeInactive: true })
+        .optional()
+        .messages({
+          'location.unknown': 'Location must be one of: {#locations}'
+        }),
+      mock_set: Joi.string()
+        .valid('A', 'B', 'C', 'D', 'E', 'F', 'G', 'H')
+        .allow('')
+        .optional()
+        .messages({
+          'any.only': 'Mock set must be one of: A, B, C, D, E, F, G, H'
+        }),
+      capacity: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .messages({
+          'number.min': 'Capacity must be at least 1',
+          'number.max': 'Capacity cannot exceed 100'
+        }),
+      is_active: Joi.string()
+        .valid('true', 'false', 'active', 'inactive')
+        .optional()
+        .messages({
+          'any.only': 'is_active must be one of: "true", "false", "active", "inactive"'
+        })
+    }).min(1)
+      .required()
+      .messages({
+        'object.min': 'At least one change is required',
+        'any.required': 'Changes are required'
+      })
+  }),
+
+  // Schema for a reusable session template (Admin)
+  // PATCH merges the changes into the stored template and validates the result with this schema
+  sessionTemplate: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Template name is required',
+        'string.max': 'Template name cannot exceed 100 characters',
+        'any.required': 'Template name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description cannot exceed 500 characters'
+      }),
+    mock_type: Joi.string()
+      .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
+      .required()
+      .messages({
+        'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, or Mock Discussion',
+        'any.required': 'Mock type is required'
+      }),
+    mock_set: Joi.string()
+      .valid('A', 'B', 'C', 'D', 'E', 'F', 'G', 'H')
+      .allow(null, '')
+      .optional()
+      .messages({
+        'any.only': 'Mock set must be one of: A, B, C, D, E, F, G, H'
+      }),
+    location: locationName()
+      .required()
+      .messages({
+        'location.unknown': 'Location must be one of: {#locations}',
+        'any.required': 'Location is required'
+      }),
+    capacity_mode: Joi.string()
+      .valid('global', 'per-slot')
+      .default('global'),
+    capacity: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Capacity must be a number',
+        'number.min': 'Capacity must be at least 1',
+        'number.max': 'Capacity cannot exceed 100'
+      }),
+    time_slots: Joi.array()
+      .items(
+        Joi.object({
+          start_time: Joi.string()
+            .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+            .required(),
+          end_time: Joi.string()
+            .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+            .required(),
+          capacity: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .allow(null)
+            .optional()
+        })
+      )
+      .min(1)
+      .max(20)
+      .required()
+      .messages({
+        'string.pattern.base': 'Times must be in HH:MM format (24-hour)',
+        'array.min': 'At least one time slot is required',
+        'array.max': 'A template cannot have more than 20 time slots',
+        'any.required': 'Time slots are required'
+      }),
+    activation_mode: Joi.string()
+      .valid('immediate', 'scheduled')
+      .default('immediate')
+      .messages({
+        'any.only': 'Activation mode must be either "immediate" or "scheduled"'
+      }),
+    is_active: Joi.string()
+      .valid('true', 'false')
+      .default('true')
+      .messages({
+        'any.only': 'Status must be "true" or "false"'
+      }),
+    activation_days_before: Joi.number()
+      .integer()
+      .min(0)
+      .max(90)
+      .allow(null)
+      .when('activation_mode', {
+        is: 'scheduled',
+        then: Joi.required()
+      })
+      .messages({
+        'number.min': 'Activation cannot be after the exam date',
+        'number.max': 'Activation cannot be more than 90 days before the exam',
+        'any.required': 'Days before the exam is required for scheduled activation'
+      }),
+    activation_time: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):([0-5]\d)$/)
+      .allow(null)
+      .when('activation_mode', {
+        is: 'scheduled',
+        then: Joi.required()
+      })
+      .messages({
+        'string.pattern.base': 'Activation time must be in HH:MM format (24-hour)',
+        'any.required': 'Activation time is required for scheduled activation'
+      })
+  }).custom((value, helpers) => {
+    // HH:MM strings compare correctly as text
+    if (value.time_slots.some(slot => slot.end_time <= slot.start_time)) {
+      return helpers.error('custom.endTimeBeforeStart');
+    }
+
+    if (value.capacity_mode === 'global' && !value.capacity) {
+      return helpers.error('custom.globalCapacityRequired');
+    }
+
+    if (value.capacity_mode === 'per-slot' && value.time_slots.some(slot => !slot.capacity)) {
+      return helpers.error('custom.perSlotCapacityRequired');
+    }
+
+    return value;
+  }, 'template validation')
+  .messages({
+    'custom.endTimeBeforeStart': 'End time must be after start time for all time slots',
+    'custom.globalCapacityRequired': 'Capacity is required when capacity_mode is "global"',
+    'custom.perSlotCapacityRequired': 'Each time slot must have a capacity when capacity_mode is "per-slot"'
+  }),
+
+  // Schema for creating / editing a room (Admin) - PATCH validates the merged room
+  room: Joi.object({
+    site: locationName({ includeInactive: true })
+      .required()
+      .messages({
+        'location.unknown': 'Site must be one of: {#locations}',
+        'any.required': 'Site is required'
+      }),
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.empty': 'Room name is required',
+        'string.max': 'Room name cannot exceed 60 characters',
+        'any.required': 'Room name is required'
+      }),
+    capacity: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'number.base': 'Seat/station count must be a number',
+        'number.min': 'Seat/station count must be at least 1',
+        'number.max': 'Seat/station count cannot exceed 100',
+        'any.required': 'Seat/station count is required'
+      }),
+    equipment: Joi.array()
+      .items(Joi.object({
+        name: Joi.string().trim().min(1).max(60).required(),
+        quantity: Joi.number().integer().min(1).max(100).default(1)
+      }))
+      .max(20)
+      .default([])
+      .messages({
+        'array.max': 'A room can list at most 20 equipment items'
+      }),
+    is_active: Joi.boolean()
+      .default(true),
+    notes: Joi.string()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Notes cannot exceed 500 characters'
+      })
+  }),
+
+  // Schema for the room occupancy view (Admin)
+  roomOccupancy: Joi.object({
+    start_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+        'any.required': 'Start date is required'
+      }),
+    end_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+      }),
+    site: Joi.string()
+      .optional()
+  }).custom((value, helpers) => {
+    if (value.end_date && value.end_date < value.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
+
+    return value;
+  }, 'occupancy range validation')
+  .messages({
+    'custom.endDateBeforeStart': 'End date must be on or after the start date'
+  }),
+
+  // Schema for creating / editing a staff member (Admin) - PATCH validates the merged record
+  staffMember: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Name is required',
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    email: Joi.string()
+      .trim()
+      .lowercase()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+    roles: Joi.array()
+      .items(Joi.string().valid('examiner', 'proctor'))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'Select at least one role (examiner or proctor)',
+        'any.only': 'Role must be examiner or proctor',
+        'any.required': 'Select at least one role (examiner or proctor)'
+      }),
+    // Empty = works at any site
+    sites: Joi.array()
+      .items(locationName({ includeInactive: true }).messages({
+        'location.unknown': 'Sites must be from: {#locations}'
+      }))
+      .unique()
+      .default([]),
+    // 0 (Sunday) - 6 (Saturday), empty = any day
+    available_weekdays: Joi.array()
+      .items(Joi.number().integer().min(0).max(6))
+      .unique()
+      .default([])
+      .messages({
+        'number.min': 'Weekdays must be between 0 (Sunday) and 6 (Saturday)',
+        'number.max': 'Weekdays must be between 0 (Sunday) and 6 (Saturday)'
+      }),
+    unavailable_dates: Joi.array()
+      .items(Joi.object({
+        start_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+        end_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+        reason: Joi.string().max(100).allow('', null).optional()
+      }).custom((value, helpers) => {
+        if (value.end_date && value.end_date < value.start_date) {
+          return helpers.error('custom.endDateBeforeStart');
+        }
+        return value;
+      }))
+      .max(100)
+      .default([])
+      .messages({
+        'string.pattern.base': 'Unavailable dates must be in YYYY-MM-DD format',
+        'custom.endDateBeforeStart': 'Unavailable ranges must end on or after they start',
+        'array.max': 'A staff member can have at most 100 unavailable ranges'
+      }),
+    is_active: Joi.boolean()
+      .default(true),
+    notes: Joi.string()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Notes cannot exceed 500 characters'
+      })
+  }),
+
+  // Schema for replacing the staffing ratios (Admin)
+  staffingRatios: Joi.object({
+    ratios: Joi.array()
+      .items(Joi.object({
+        mock_type: Joi.string()
+          .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
+          .required()
+          .messages({
+            'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, or Mock Discussion'
+          }),
+        role: Joi.string()
+          .valid('examiner', 'proctor')
+          .required()
+          .messages({
+            'any.only': 'Role must be examiner or proctor'
+          }),
+        trainees_per_staff: Joi.number()
+          .integer()
+          .min(1)
+          .max(100)
+          .allow(null)
+          .optional()
+          .messages({
+            'number.min': 'Trainees per staff member must be at least 1'
+          }),
+        min_staff: Joi.number()
+          .integer()
+          .min(0)
+          .max(20)
+          .default(0)
+      }))
+      .unique((a, b) => a.mock_type === b.mock_type && a.role === b.role)
+      .required()
+      .messages({
+        'array.unique': 'Each mock type can have only one ratio per role'
+      })
+  }),
+
+  // Schema for assigning a staff member to a session (Admin)
+  staffAssignment: Joi.object({
+    staff_id: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.guid': 'Staff ID must be a valid UUID',
+        'any.required': 'Staff member is required'
+      }),
+    role: Joi.string()
+      .valid('examiner', 'proctor')
+      .required()
+      .messages({
+        'any.only': 'Role must be examiner or proctor',
+        'any.required': 'Role is required'
+      }),
+    // Assign even if the person is busy or unavailable (conflicts come back as warnings)
+    allow_overlap: Joi.boolean()
+      .default(false)
+  }),
+
+  // Schema for a Clinical Skills session's stations (Admin) - see _shared/stations.js
+  stationLayout: Joi.object({
+    stations: Joi.array()
+      .items(Joi.object({
+        // Existing stations keep their id so their trainees keep their seats
+        id: Joi.string()
+          .max(64)
+          .optional(),
+        label: Joi.string()
+          .trim()
+          .max(40)
+          .required()
+          .messages({
+            'string.empty': 'Station name is required',
+            'string.max': 'Station name cannot exceed 40 characters',
+            'any.required': 'Station name is required'
+          }),
+        left_handed: Joi.boolean()
+          .default(false)
+      }))
+      .max(60)
+      .required()
+      .messages({
+        'array.max': 'A session can have at most 60 stations',
+        'any.required': 'Stations are required'
+      }),
+    rotation_groups: Joi.number()
+      .integer()
+      .min(1)
+      .max(10)
+      .default(1)
+      .messages({
+        'number.min': 'At least one rotation group is required',
+        'number.max': 'A session can have at most 10 rotation groups'
+      })
+  }),
+
+  // Schema for auto-assigning trainees to stations (Admin)
+  stationAutoAssign: Joi.object({
+    // Re-seat trainees an admin placed by hand too
+    reset_manual: Joi.boolean()
+      .default(false)
+  }),
+
+  // Schema for moving a trainee to a station (Admin) - a null station_id unseats them
+  stationMove: Joi.object({
+    booking_id: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Booking ID is required'
+      }),
+    station_id: Joi.string()
+      .max(64)
+      .allow(null)
+      .required()
+      .messages({
+        'any.required': 'Station is required'
+      }),
+    rotation_group: Joi.number()
+      .integer()
+      .min(1)
+      .max(10)
+      .when('station_id', {
+        is: Joi.string(),
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+      .messages({
+        'any.required': 'Rotation group is required'
+      })
+  }),
+
+  // Schema for a staff member's schedule (Admin)
+  staffSchedule: Joi.object({
+    start_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+        'any.required': 'Start date is required'
+      }),
+    end_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+      }),
+    format: Joi.string()
+      .valid('json', 'csv')
+      .default('json')
+  }).custom((value, helpers) => {
+    if (value.end_date && value.end_date < value.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
+
+    return value;
+  }, 'schedule range validation')
+  .messages({
+    'custom.endDateBeforeStart': 'End date must be on or after the start date'
+  }),
+
+  // Schema for the attendance and no-show reports (Admin)
+  attendanceReport: Joi.object({
+    start_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+      }),
+    end_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+      }),
+    mock_type: Joi.string()
+      .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
+      .optional()
+      .messages({
+        'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, Mock Discussion'
+      }),
+    location: locationName({ includeInactive: true })
+      .optional()
+      .messages({
+        'location.unknown': 'Location must be one of: {#locations}'
+      }),
+    interval: Joi.string()
+      .valid('week', 'month')
+      .default('week'),
+    min_no_shows: Joi.number()
+      .integer()
+      .min(1)
+      .optional(),
+    min_no_show_rate: Joi.number()
+      .min(0)
+      .max(100)
+      .optional(),
+    chronic_only: Joi.boolean()
+      .default(false),
+    format: Joi.string()
+      .valid('json', 'csv')
+      .default('json')
+  }).custom((value, helpers) => {
+    if (value.start_date && value.end_date && value.end_date < value.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
+
+    return value;
+  }, 'report range validation')
+  .messages({
+    'custom.endDateBeforeStart': 'End date must be on or after the start date'
+  }),
+
+  // Schema for the utilization report (Admin)
+  utilizationReport: Joi.object({
+    start_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+      }),
+    end_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+      }),
+    mock_type: Joi.string()
+      .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
+      .optional()
+      .messages({
+        'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, Mock Discussion'
+      }),
+    location: locationName({ includeInactive: true })
+      .optional()
+      .messages({
+        'location.unknown': 'Location must be one of: {#locations}'
+      }),
+    interval: Joi.string()
+      .valid('week', 'month')
+      .default('week'),
+    group_by: Joi.string()
+      .valid('none', 'location', 'mock_type')
+      .default('none'),
+    compare: Joi.boolean()
+      .default(true),
+    format: Joi.string()
+      .valid('json', 'csv')
+      .default('json')
+  }).custom((value, helpers) => {
+    if (value.start_date && value.end_date && value.end_date < value.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
+
+    return value;
+  }, 'report range validation')
+  .messages({
+    'custom.endDateBeforeStart': 'End date must be on or after the start date'
+  }),
+
+  // Schema for server-side booking exports (Admin) - session rosters or a date range
+  bookingExport: Joi.object({
+    exam_ids: Joi.string()
+      .pattern(/^\d+(,\d+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Session IDs must be a comma-separated list of numeric IDs'
+      }),
+    start_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+      }),
+    end_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+      }),
+    mock_type: Joi.string()
+      .valid('Situational Judgment', 'Clinical Skills', 'Mini-mock', 'Mock Discussion')
+      .optional()
+      .messages({
+        'any.only': 'Mock type must be one of: Situational Judgment, Clinical Skills, Mini-mock, Mock Discussion'
+      }),
+    location: locationName({ includeInactive: true })
+      .optional()
+      .messages({
+        'location.unknown': 'Location must be one of: {#locations}'
+      }),
+    status: Joi.string()
+      .valid('active', 'cancelled', 'all')
+      .default('active')
+      .messages({
+        'any.only': 'Status must be one of: active, cancelled, all'
+      }),
+    columns: Joi.string()
+      .pattern(/^[a-z_]+(,[a-z_]+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Columns must be a comma-separated list of column IDs'
+      }),
+    sheet_per_session: Joi.boolean()
+      .default(false),
+    format: Joi.string()
+      .valid('csv', 'xlsx')
+      .default('csv')
+  }).custom((value, helpers) => {
+    if (!value.exam_ids && (!value.start_date || !value.end_date)) {
+      return helpers.error('custom.sessionsOrRange');
+    }
+    if (value.start_date && value.end_date && value.end_date < value.start_date) {
+      return helpers.error('custom.endDateBeforeStart');
+    }
+
+    return value;
+  }, 'export scope validation')
+  .messages({
+    'custom.sessionsOrRange': 'Either session IDs or both a start and end date are required',
+    'custom.endDateBeforeStart': 'End date must be on or after the start date'
+  }),
+
+  // Schema for printable sign-in sheets / door lists (Admin)
+  signInSheet: Joi.object({
+    exam_ids: Joi.string()
+      .pattern(/^\d+(,\d+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Session IDs must be a comma-separated list of numeric IDs'
+      }),
+    location: locationName({ includeInactive: true })
+      .optional()
+      .messages({
+        'location.unknown': 'Location must be one of: {#locations}'
+      }),
+    exam_date: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Exam date must be in YYYY-MM-DD format'
+      }),
+    type: Joi.string()
+      .valid('sign_in', 'door_list')
+      .default('sign_in')
+      .messages({
+        'any.only': 'Type must be one of: sign_in, door_list'
+      }),
+    group_by: Joi.string()
+      .valid('session', 'dominant_hand', 'mock_set', 'none')
+      .default('session')
+      .messages({
+        'any.only': 'Group by must be one of: session, dominant_hand, mock_set, none'
+      }),
+    sort_by: Joi.string()
+      .valid('name', 'student_id', 'booking_date')
+      .default('name')
+      .messages({
+        'any.only': 'Sort by must be one of: name, student_id, booking_date'
+      }),
+    include_barcodes: Joi.boolean()
+      .default(true)
+  }).custom((value, helpers) => {
+    if (!value.exam_ids && (!value.location || !value.exam_date)) {
+      return helpers.error('custom.sessionsOrLocationDate');
+    }
+
+    return value;
+  }, 'sign-in sheet scope validation')
+  .messages({
+    'custom.sessionsOrLocationDate': 'Either session IDs or both a location and exam date are required'
+  }),
+
+  // Schema for the trainee export with token balances (Admin)
+  traineeExport: Joi.object({
+    with_tokens: Joi.boolean()
+      .default(false),
+    columns: Joi.string()
+      .pattern(/^[a-z_]+(,[a-z_]+)*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Columns must be a comma-separated list of column IDs'
+      }),
+    format: Joi.string()
+      .valid('csv', 'xlsx')
+      .default('csv')
+  }),
+
+  // Schema for creating / editing a location (Admin) - PATCH validates the merged location
+  location: Joi.object({
+    name: Joi.string()
+      .trim()
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'Location name is required',
+        'string.max': 'Location name cannot exceed 100 characters',
+        'any.required': 'Location name is required'
+      }),
+    address: Joi.string()
+      .trim()
+      .max(500)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Address cannot exceed 500 characters'
+      }),
+    time_zone: Joi.string()
+      .custom((value, helpers) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (error) {
+          return helpers.error('custom.invalidTimeZone');
+        }
+        return value;
+      }, 'IANA time zone validation')
+      .default('America/Toronto')
+      .messages({
+        'custom.invalidTimeZone': 'Time zone must be an IANA time zone (e.g. America/Toronto)'
+      }),
+    directions: Joi.string()
+      .trim()
+      .max(2000)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Directions cannot exceed 2000 characters'
+      }),
+    is_active: Joi.boolean()
+      .default(true),
+    sort_order: Joi.number()
+      .integer()
+      .min(0)
+      .default(0)
+      .messages({
+        'number.base': 'Sort order must be a number',
+        'number.min': 'Sort order cannot be negative'
+      })
+  }),
+
+  // Schema for listing mock exam audit log entries (Admin)
+  auditLogList: Joi.object({
+    mock_exam_id: Joi.string()
+      .pattern(/^\d+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Mock exam ID must be numeric'
+      }),
+    action: Joi.string()
+      .valid('create', 'update', 'bulk_update', 'status_change', 'clone', 'delete', 'restore', 'purge', 'prerequisites_change')
+      .optional()
+      .messages({
+        'any.only': 'Action must be one of: create, update, bulk_update, status_change, clone, delete, restore, purge, prerequisites_change'
+      }),
+    actor: Joi.string()
+      .trim()
+      .max(255)
+      .optional()
+      .allow(''),
+    request_id: Joi.string()
+      .trim()
+      .max(255)
+      .optional(),
+    date_from: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'date_from must be in YYYY-MM-DD format'
+      }),
+    date_to: Joi.string()
+      .pattern(/^\d{4}-\d{2}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'date_to must be in YYYY-MM-DD format'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .optional()
+      .default(50)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.max': 'Limit cannot exceed 200'
+      }),
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .default(0)
+      .messages({
+        'number.base': 'Offset must be a number'
+      })
+  }),
+
+  // Schema for listing trashed mock exams (Admin)
+  trashList: Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .optional()
+      .default(50)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.max': 'Limit cannot exceed 200'
+      }),
+    offset: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .default(0)
+      .messages({
+        'number.base': 'Offset must be a number'
+      })
+  }),
+
+  // Schema for restoring or purging trashed mock exams (Admin)
+  trashAction: Joi.object({
+    ids: Joi.array()
+      .items(Joi.string().pattern(/^\d+$/))
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one session ID is required',
+        'array.max': 'Maximum 100 sessions per request',
+        'array.unique': 'Session IDs must be unique',
+        'string.pattern.base': 'Invalid session ID format',
+        'any.required': 'Session IDs are required'
+      })
+  }),
+
+  // Schema for updating trainee tokens (Admin)
+  updateTraineeTokens: Joi.object({
+    tokens: Joi.object({
+      mock_discussion: Joi.number()
+        .integer()
+        .min(0)
+        .max(9999)
+        .required()
+        .messages({
+          'number.base': 'Mock discussion tokens must be a number',
+          'number.integer': 'Mock discussion tokens must be an integer',
+          'number.min': 'Mock discussion tokens cannot be negative',
+          'number.max': 'Mock discussion tokens cannot exceed 9999',
+          'any.required': 'Mock discussion tokens is required'
+        }),
+      clinical_skills: Joi.number()
+        .integer()
+        .min(0)
+        .max(9999)
+        .required()
+        .messages({
+          'number.base': 'Clinical skills credits must be a number',
+          'number.integer': 'Clinical skills credits must be an integer',
+          'number.min': 'Clinical skills credits cannot be negative',
+          'number.max': 'Clinical skills credits cannot exceed 9999',
+          'any.required': 'Clinical skills credits is required'
+        }),
+      situational_judgment: Joi.number()
+        .integer()
+        .min(0)
+        .max(9999)
+        .required()
+        .messages({
+          'number.base': 'Situational judgment credits must be a number',
+          'number.integer': 'Situational judgment credits must be an integer',
+          'number.min': 'Situational judgment credits cannot be negative',
+          'number.max': 'Situational judgment credits cannot exceed 9999',
+          'any.required': 'Situational judgment credits is required'
+        }),
+      mini_mock: Joi.number()
+        .integer()
+        .min(0)
+        .max(9999)
+        .required()
+        .messages({
+          'number.base': 'Mini mock credits must be a number',
+          'number.integer': 'Mini mock credits must be an integer',
+          'number.min': 'Mini mock credits cannot be negative',
+          'number.max': 'Mini mock credits cannot exceed 9999',
+          'any.required': 'Mini mock credits is required'
+        }),
+      shared_mock: Joi.number()
+        .integer()
+        .min(0)
+        .max(9999)
+        .optional()
+        .default(0)
+        .messages({
+          'number.base': 'Shared mock credits must be a number',
+          'number.integer': 'Shared mock credits must be an integer',
+          'number.min': 'Shared mock credits cannot be negative',
+          'number.max': 'Shared mock credits cannot exceed 9999'
+        })
+    }).required()
+      .messages({
+        'any.required': 'Tokens object is required'
+      }),
+    reason: Joi.string()
+      .max(500)
+      .optional()
+      .allow('')
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
+      }),
+    // Tokens added by this edit expire on this date (omit for tokens that never expire)
+    expires_at: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.base': 'Expiry date must be a valid date',
+        'date.format': 'Expiry date must be an ISO date',
+        'date.greater': 'Expiry date must be in the future'
+      })
+  })
+
+};
+
+/**
+ * Validate input data against a schema
+ * @param {object} data - Data to validate
+ * @param {string} schemaName - Name of the schema to use
+ * @returns {object} Validated data
+ * @throws {Error} Validation error with details
+ */
+async function validateInput(data, schemaName) {
+  const schema = schemas[schemaName];
+
+  if (!schema) {
+    throw new Error(`Validation schema '${schemaName}' not found`);
+  }
+
+  // Location fields check against the catalog held in memory
+  await refreshLocationCatalog();
+
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errorMessages = error.details.map(detail => detail.message);
     const validationError = new Error(errorMessages.join(', '));
     validationError.status = 400;
     validationError.validationErrors = errorMessages;
@@ -1420,9 +2732,28 @@ module.exports = {
     }).required()
       .messages({
         'any.required': 'Tokens object is required'
+      }),
+    reason: Joi.string()
+      .max(500)
+      .optional()
+      .allow('')
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
+      }),
+    // Tokens added by this edit expire on this date (omit for tokens that never expire)
+    expires_at: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.base': 'Expiry date must be a valid date',
+        'date.format': 'Expiry date must be an ISO date',
+        'date.greater': 'Expiry date must be in the future'
       })
   }),
   schemas,
+  locationName,
+  attendingLocation,
   validateInput,
   validationMiddleware
 };
\ No newline at end of file
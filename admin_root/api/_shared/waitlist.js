@@ -0,0 +1,652 @@
+/**
+ * Waitlist Service
+ * Per-session waitlists with automatic promotion when a seat frees up
+ *
+ * Admin side: view / reorder / remove waitlist entries and promote after
+ * admin-triggered seat releases.
+ *
+ * Students join the waitlist of a FULL mock exam session. Whenever a seat is
+ * released (student cancellation, admin cancellation, capacity increase) the
+ * next eligible student is booked automatically via create_booking_atomic,
+ * which deducts their token exactly like a regular booking.
+ *
+ * Supabase table: mock_exam_waitlist
+ *   id                 uuid primary key default gen_random_uuid()
+ *   mock_exam_id       text not null      -- hubspot_mock_exams.hubspot_id
+ *   contact_id         text not null      -- hubspot_contact_credits.hubspot_id
+ *   student_id         text not null
+ *   student_email      text not null
+ *   student_name       text
+ *   attending_location text
+ *   dominant_hand      text
+ *   position           integer not null   -- queue order within the session (lowest first)
+ *   status             text not null default 'waiting'  -- waiting | promoted | skipped | left | removed
+ *   status_reason      text               -- why an entry was skipped/removed
+ *   booking_id         uuid               -- hubspot_bookings.id once promoted
+ *   promoted_at        timestamptz
+ *   created_at         timestamptz default now()
+ *   updated_at         timestamptz default now()
+ *   unique (mock_exam_id, contact_id) where status = 'waiting'
+ *
+ * NOTE: user_root/api/_shared/waitlist.js contains the same promotion logic
+ * for student cancellations. Keep both files in sync.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+const { updateExamBookingCountInSupabase } = require('./supabase-data');
+const { findTimeConflictsForContact } = require('./time-conflicts');
+const { recordCreditChange, LEDGER_REASONS, ACTOR_TYPES } = require('./credit-ledger');
+const { summarizeLots, pickCreditField, getCreditExpiry, consumeFromLots } = require('./credit-lots');
+const { evaluateBookingWindow } = require('./booking-cutoff');
+const { checkSetRepeat } = require('./mock-set-repeats');
+
+const WAITLIST_TABLE = 'mock_exam_waitlist';
+
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  PROMOTED: 'promoted',
+  SKIPPED: 'skipped',
+  LEFT: 'left',
+  REMOVED: 'removed'
+};
+
+// Redis counter TTL - matches bookings/create.js
+const TTL_1_HOUR = 60 * 60;
+
+// ============== HELPERS ==============
+
+/**
+ * Resolve which credit a waitlisted student would spend on promotion
+ * Mirrors bookings/create.js (earliest-expiring usable credit, specific before shared;
+ * Mini-mock has no shared fallback) and mock-discussions/create-booking.js (mock_discussion_token only)
+ *
+ * @param {Object} contact - hubspot_contact_credits row
+ * @param {string} mockType - Mock exam type
+ * @param {Object} [creditExpiry] - Lot summary from getCreditExpiry (defaults to no lots)
+ * @returns {{creditField: string, tokenUsed: string, newCreditValue: number}|null} - null if no credits
+ */
+function resolveWaitlistCredit(contact, mockType, creditExpiry = summarizeLots([], contact)) {
+  const specificMap = {
+    'Situational Judgment': { field: 'sj_credits', token: 'Situational Judgment Token' },
+    'Clinical Skills': { field: 'cs_credits', token: 'Clinical Skills Token' },
+    'Mini-mock': { field: 'sjmini_credits', token: 'Mini-mock Token' },
+    'Mock Discussion': { field: 'mock_discussion_token', token: 'Mock Discussion Token' }
+  };
+
+  const specific = specificMap[mockType];
+  if (!specific || !contact) {
+    return null;
+  }
+
+  // Tokens in lots past their expiry date can't be used, even before the expiry job takes them off
+  const sharedAllowed = mockType === 'Situational Judgment' || mockType === 'Clinical Skills';
+  const creditField = pickCreditField(
+    sharedAllowed ? [specific.field, 'shared_mock_credits'] : [specific.field],
+    creditExpiry
+  );
+
+  if (!creditField) {
+    return null;
+  }
+
+  return {
+    creditField,
+    tokenUsed: creditField === specific.field ? specific.token : 'Shared Token',
+    newCreditValue: (parseInt(contact[creditField]) || 0) - 1
+  };
+}
+
+/**
+ * Build the human-readable booking code used across the app
+ * Format matches bookings/create.js: "{mock_type}-{student_id}-{Month D, YYYY}"
+ */
+function buildBookingCode(mockType, studentId, examDate) {
+  const formattedDate = new Date(examDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  return `${mockType}-${studentId}-${formattedDate}`;
+}
+
+/**
+ * Normalize exam_date to YYYY-MM-DD (Supabase may return ISO timestamps)
+ */
+function normalizeExamDate(examDate) {
+  if (!examDate) return examDate;
+  return examDate.includes('T') ? examDate.split('T')[0] : examDate;
+}
+
+/**
+ * Check whether an exam can still receive promotions
+ * Promotion is a booking, so it stops at the booking cutoff / scheduled deactivation too
+ * @param {Object} exam - hubspot_mock_exams row
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {boolean}
+ */
+function isExamPromotable(exam, now = new Date()) {
+  if (!exam) return false;
+
+  const isActive = exam.is_active === true || exam.is_active === 'true';
+  if (!isActive) return false;
+
+  const today = now.toISOString().split('T')[0];
+  if (normalizeExamDate(exam.exam_date) < today) return false;
+
+  return evaluateBookingWindow(exam, now).open;
+}
+
+// ============== READ OPERATIONS ==============
+
+/**
+ * Get waiting entries for an exam, ordered by queue position
+ * @param {string} mockExamId - Mock exam HubSpot ID
+ * @returns {Array} - Waitlist entries
+ */
+async function getWaitingEntriesForExam(mockExamId) {
+  const { data, error } = await supabaseAdmin
+    .from(WAITLIST_TABLE)
+    .select('*')
+    .eq('mock_exam_id', mockExamId)
+    .eq('status', WAITLIST_STATUS.WAITING)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error(`❌ [WAITLIST] Supabase read error for exam ${mockExamId}:`, error.message);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get an exam's waitlist for the admin view
+ * Waiting entries come first in queue order; history (promoted/skipped/left/removed) follows, newest first
+ *
+ * @param {string} mockExamId - Mock exam HubSpot ID
+ * @param {Object} options
+ * @param {boolean} [options.includeHistory=true] - Include non-waiting entries
+ * @returns {{waiting: Array, history: Array}}
+ */
+async function getWaitlistForExam(mockExamId, { includeHistory = true } = {}) {
+  const waiting = await getWaitingEntriesForExam(mockExamId);
+
+  let history = [];
+  if (includeHistory) {
+    const { data, error } = await supabaseAdmin
+      .from(WAITLIST_TABLE)
+      .select('*')
+      .eq('mock_exam_id', mockExamId)
+      .neq('status', WAITLIST_STATUS.WAITING)
+      .order('updated_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      console.error(`❌ [WAITLIST] Supabase history read error for exam ${mockExamId}:`, error.message);
+      throw error;
+    }
+
+    history = data || [];
+  }
+
+  return {
+    waiting: waiting.map((entry, index) => ({ ...entry, queue_position: index + 1 })),
+    history
+  };
+}
+
+// ============== WRITE OPERATIONS ==============
+
+/**
+ * Reorder an exam's waitlist
+ * The submitted list must contain exactly the entries currently waiting
+ *
+ * @param {string} mockExamId - Mock exam HubSpot ID
+ * @param {Array<string>} orderedEntryIds - Waiting entry UUIDs in their new order
+ * @returns {Array} - Waiting entries in the new order
+ */
+async function reorderWaitlist(mockExamId, orderedEntryIds) {
+  const waiting = await getWaitingEntriesForExam(mockExamId);
+  const waitingIds = new Set(waiting.map(entry => entry.id));
+  const submittedIds = new Set(orderedEntryIds);
+
+  const sameEntries = waitingIds.size === submittedIds.size &&
+    submittedIds.size === orderedEntryIds.length &&
+    orderedEntryIds.every(id => waitingIds.has(id));
+
+  if (!sameEntries) {
+    const error = new Error('Waitlist has changed since it was loaded. Please refresh and try again.');
+    error.status = 409;
+    error.code = 'WAITLIST_CHANGED';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const results = await Promise.allSettled(
+    orderedEntryIds.map((entryId, index) =>
+      supabaseAdmin
+        .from(WAITLIST_TABLE)
+        .update({ position: index + 1, updated_at: now })
+        .eq('id', entryId)
+        .eq('mock_exam_id', mockExamId)
+        .then(({ error }) => {
+          if (error) throw error;
+        })
+    )
+  );
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length > 0) {
+    console.error(`❌ [WAITLIST] ${failed.length} position updates failed for exam ${mockExamId}:`, failed[0].reason?.message);
+    throw new Error('Failed to reorder waitlist');
+  }
+
+  console.log(`✅ [WAITLIST] Reordered ${orderedEntryIds.length} entries for exam ${mockExamId}`);
+
+  return (await getWaitlistForExam(mockExamId, { includeHistory: false })).waiting;
+}
+
+/**
+ * Remove a waiting entry from an exam's waitlist (admin-initiated)
+ *
+ * @param {string} mockExamId - Mock exam HubSpot ID
+ * @param {string} entryId - Waitlist entry UUID
+ * @param {string} adminEmail - Admin performing the removal (stored as status_reason)
+ * @returns {Object} - Updated entry
+ */
+async function removeWaitlistEntry(mockExamId, entryId, adminEmail) {
+  const { data, error } = await supabaseAdmin
+    .from(WAITLIST_TABLE)
+    .update({
+      status: WAITLIST_STATUS.REMOVED,
+      status_reason: `Removed by ${adminEmail}`,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', entryId)
+    .eq('mock_exam_id', mockExamId)
+    .eq('status', WAITLIST_STATUS.WAITING)
+    .select()
+    .single();
+
+  if (error || !data) {
+    const notFoundError = new Error('Waiting entry not found for this mock exam');
+    notFoundError.status = 404;
+    notFoundError.code = 'WAITLIST_ENTRY_NOT_FOUND';
+    throw notFoundError;
+  }
+
+  console.log(`✅ [WAITLIST] Entry ${entryId} removed from exam ${mockExamId} by ${adminEmail}`);
+  return data;
+}
+
+/**
+ * Mark a waitlist entry with a terminal status
+ */
+async function updateEntryStatus(entryId, status, extra = {}) {
+  const { error } = await supabaseAdmin
+    .from(WAITLIST_TABLE)
+    .update({
+      status,
+      ...extra,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', entryId);
+
+  if (error) {
+    console.error(`❌ [WAITLIST] Failed to update entry ${entryId} to ${status}:`, error.message);
+    throw error;
+  }
+}
+
+// ============== PROMOTION ==============
+
+/**
+ * Promote waitlisted students into any free seats of a mock exam
+ *
+ * Walks the queue in position order. Students who can no longer be booked
+ * (no credits, already booked that mock type on that date, overlapping booking,
+ * contact missing) are marked 'skipped' and the next student is tried.
+ *
+ * Uses the same distributed lock as bookings/create.js so promotions never
+ * race regular bookings for the freed seat.
+ *
+ * @param {string} mockExamId - Mock exam HubSpot ID
+ * @param {Object} options
+ * @param {Object} options.redis - RedisLockService instance (caller owns the connection)
+ * @param {string} [options.source] - What freed the seat (for logs)
+ * @returns {Object} - { mock_exam_id, free_seats, promoted: [], skipped: [], deferred }
+ */
+async function promoteFromWaitlist(mockExamId, { redis, source = 'unknown' } = {}) {
+  const summary = {
+    mock_exam_id: mockExamId,
+    free_seats: 0,
+    promoted: [],
+    skipped: [],
+    deferred: false
+  };
+
+  if (!mockExamId || !redis) {
+    return summary;
+  }
+
+  let lockToken = null;
+
+  try {
+    const queue = await getWaitingEntriesForExam(mockExamId);
+    if (queue.length === 0) {
+      return summary;
+    }
+
+    console.log(`⏫ [WAITLIST] Promotion triggered by ${source} for exam ${mockExamId} (${queue.length} waiting)`);
+
+    lockToken = await redis.acquireLockWithRetry(mockExamId, 5, 100, 10);
+    if (!lockToken) {
+      console.warn(`⚠️ [WAITLIST] Could not acquire lock for exam ${mockExamId} - promotion deferred to cron`);
+      summary.deferred = true;
+      return summary;
+    }
+
+    const { data: exam, error: examError } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('*')
+      .eq('hubspot_id', mockExamId)
+      .single();
+
+    if (examError || !exam) {
+      console.error(`❌ [WAITLIST] Exam ${mockExamId} not found:`, examError?.message);
+      return summary;
+    }
+
+    if (!isExamPromotable(exam)) {
+      console.log(`ℹ️ [WAITLIST] Exam ${mockExamId} is inactive, in the past or closed for booking - skipping promotion`);
+      return summary;
+    }
+
+    // Authoritative active count (same approach as bookings/create.js STEP 4)
+    const { count: activeCount, error: countError } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .select('*', { count: 'exact', head: true })
+      .eq('associated_mock_exam', mockExamId)
+      .eq('is_active', 'Active');
+
+    if (countError) {
+      console.error(`❌ [WAITLIST] Failed to count bookings for ${mockExamId}:`, countError.message);
+      return summary;
+    }
+
+    // Seats held by students still filling in the booking form are taken (same as bookings/create.js)
+    const { count: heldSeats } = await redis.countSeatHolds(mockExamId);
+
+    const capacity = parseInt(exam.capacity) || 0;
+    let freeSeats = Math.max(0, capacity - activeCount - heldSeats);
+    summary.free_seats = freeSeats;
+
+    if (freeSeats === 0) {
+      console.log(`ℹ️ [WAITLIST] No free seats for exam ${mockExamId} (${activeCount} + ${heldSeats} held/${capacity})`);
+      return summary;
+    }
+
+    const normalizedExamDate = normalizeExamDate(exam.exam_date);
+
+    for (const entry of queue) {
+      if (freeSeats === 0) break;
+
+      // Contact + credits
+      const { data: contact, error: contactError } = await supabaseAdmin
+        .from('hubspot_contact_credits')
+        .select('*')
+        .eq('hubspot_id', entry.contact_id)
+        .single();
+
+      if (contactError || !contact) {
+        await updateEntryStatus(entry.id, WAITLIST_STATUS.SKIPPED, { status_reason: 'CONTACT_NOT_FOUND' });
+        summary.skipped.push({ entry_id: entry.id, student_id: entry.student_id, reason: 'CONTACT_NOT_FOUND' });
+        continue;
+      }
+
+      // Same date + same mock type duplicate rule
+      const { data: existingBookings, error: duplicateError } = await supabaseAdmin
+        .from('hubspot_bookings')
+        .select('id')
+        .eq('associated_contact_id', entry.contact_id)
+        .eq('exam_date', normalizedExamDate)
+        .eq('mock_type', exam.mock_type)
+        .neq('is_active', 'Cancelled')
+        .neq('is_active', 'cancelled')
+        .limit(1);
+
+      if (duplicateError) {
+        console.error(`❌ [WAITLIST] Duplicate check failed for ${entry.student_id}:`, duplicateError.message);
+        break;
+      }
+
+      if (existingBookings && existingBookings.length > 0) {
+        await updateEntryStatus(entry.id, WAITLIST_STATUS.SKIPPED, { status_reason: 'DUPLICATE_BOOKING' });
+        summary.skipped.push({ entry_id: entry.id, student_id: entry.student_id, reason: 'DUPLICATE_BOOKING' });
+        continue;
+      }
+
+      // Overlap rule (any mock type) - same check as the booking endpoints
+      let timeConflicts;
+      try {
+        timeConflicts = await findTimeConflictsForContact(entry.contact_id, exam);
+      } catch (conflictError) {
+        console.error(`❌ [WAITLIST] Time conflict check failed for ${entry.student_id}:`, conflictError.message);
+        break;
+      }
+
+      if (timeConflicts.length > 0) {
+        await updateEntryStatus(entry.id, WAITLIST_STATUS.SKIPPED, { status_reason: 'TIME_CONFLICT' });
+        summary.skipped.push({ entry_id: entry.id, student_id: entry.student_id, reason: 'TIME_CONFLICT' });
+        continue;
+      }
+
+      // Exam set rule - same check as the booking endpoints (only 'block' stops a promotion)
+      let setRepeat;
+      try {
+        setRepeat = await checkSetRepeat(entry.contact_id, exam);
+      } catch (setRepeatError) {
+        console.error(`❌ [WAITLIST] Exam set check failed for ${entry.student_id}:`, setRepeatError.message);
+        break;
+      }
+
+      if (setRepeat.repeats.length > 0 && setRepeat.rule === 'block') {
+        await updateEntryStatus(entry.id, WAITLIST_STATUS.SKIPPED, { status_reason: 'MOCK_SET_REPEAT' });
+        summary.skipped.push({
+          entry_id: entry.id,
+          student_id: entry.student_id,
+          reason: 'MOCK_SET_REPEAT',
+          message: setRepeat.message
+        });
+        continue;
+      }
+
+      const creditExpiry = await getCreditExpiry(entry.contact_id, contact);
+      const credit = resolveWaitlistCredit(contact, exam.mock_type, creditExpiry);
+      if (!credit) {
+        await updateEntryStatus(entry.id, WAITLIST_STATUS.SKIPPED, { status_reason: 'INSUFFICIENT_CREDITS' });
+        summary.skipped.push({ entry_id: entry.id, student_id: entry.student_id, reason: 'INSUFFICIENT_CREDITS' });
+        continue;
+      }
+
+      const { data: bookingResult, error: bookingError } = await supabaseAdmin.rpc('create_booking_atomic', {
+        p_booking_id: buildBookingCode(exam.mock_type, entry.student_id, exam.exam_date),
+        p_mock_exam_id: mockExamId,
+        p_student_id: entry.student_id,
+        p_student_name: entry.student_name || 'Unknown',
+        p_student_email: entry.student_email,
+        p_attending_location: entry.attending_location || exam.location || 'TBD',
+        p_dominant_hand: entry.dominant_hand || 'Right',
+        p_token_used: credit.tokenUsed,
+        p_credit_field: credit.creditField,
+        p_idempotency_key: `waitlist_${entry.id}`,
+        p_new_credit_value: credit.newCreditValue,
+        p_mock_set: exam.mock_set || null
+      });
+
+      if (bookingError) {
+        // Leave the entry waiting - a transient failure should not cost the student their place
+        console.error(`❌ [WAITLIST] Atomic booking failed for ${entry.student_id}:`, bookingError.message);
+        break;
+      }
+
+      await updateEntryStatus(entry.id, WAITLIST_STATUS.PROMOTED, {
+        booking_id: bookingResult?.booking_id || null,
+        promoted_at: new Date().toISOString(),
+        status_reason: null
+      });
+
+      await recordCreditChange({
+        contactId: entry.contact_id,
+        studentId: entry.student_id,
+        creditField: credit.creditField,
+        balanceBefore: credit.newCreditValue + 1,
+        balanceAfter: credit.newCreditValue,
+        reason: LEDGER_REASONS.WAITLIST_PROMOTED,
+        bookingId: bookingResult?.booking_code || null,
+        actorType: ACTOR_TYPES.SYSTEM,
+        actor: 'waitlist'
+      });
+
+      // Take the token out of its expiring lot, if it came from one (non-blocking)
+      await consumeFromLots(entry.contact_id, credit.creditField, 1);
+
+      const creditsAfterDeduction = {
+        sj_credits: parseInt(contact.sj_credits) || 0,
+        cs_credits: parseInt(contact.cs_credits) || 0,
+        sjmini_credits: parseInt(contact.sjmini_credits) || 0,
+        mock_discussion_token: parseInt(contact.mock_discussion_token) || 0,
+        shared_mock_credits: parseInt(contact.shared_mock_credits) || 0,
+        [credit.creditField]: credit.newCreditValue
+      };
+
+      summary.promoted.push({
+        entry_id: entry.id,
+        student_id: entry.student_id,
+        student_email: entry.student_email,
+        contact_id: entry.contact_id,
+        booking_id: bookingResult?.booking_id || null,
+        booking_code: bookingResult?.booking_code || null,
+        token_used: credit.tokenUsed,
+        credits_after_deduction: creditsAfterDeduction
+      });
+
+      // Duplicate-detection cache key used by bookings/create.js STEP 11
+      await redis.setex(`booking:${entry.contact_id}:${normalizedExamDate}:${exam.mock_type}`, 86400, bookingResult?.hubspot_id || entry.id);
+      await redis.cacheDeletePattern(`contact:credits:${entry.student_id}:*`);
+
+      freeSeats--;
+      console.log(`✅ [WAITLIST] Promoted ${entry.student_id} into exam ${mockExamId} (${credit.tokenUsed})`);
+    }
+
+    if (summary.promoted.length > 0) {
+      const newTotalBookings = activeCount + summary.promoted.length;
+
+      // Reset Redis counter to the authoritative value
+      await redis.setex(`exam:${mockExamId}:bookings`, TTL_1_HOUR, newTotalBookings);
+
+      try {
+        await updateExamBookingCountInSupabase(mockExamId, newTotalBookings);
+      } catch (countUpdateError) {
+        console.error(`⚠️ [WAITLIST] Failed to update total_bookings (non-blocking):`, countUpdateError.message);
+      }
+
+      syncPromotionsToHubSpot(mockExamId, newTotalBookings, summary.promoted);
+    }
+
+    console.log(`⏫ [WAITLIST] Promotion complete for exam ${mockExamId}: ${summary.promoted.length} promoted, ${summary.skipped.length} skipped`);
+    return summary;
+
+  } catch (error) {
+    // Promotion must never fail the operation that freed the seat
+    console.error(`❌ [WAITLIST] Promotion error for exam ${mockExamId}:`, error.message);
+    return summary;
+  } finally {
+    if (lockToken) {
+      try {
+        await redis.releaseLock(mockExamId, lockToken);
+      } catch (releaseError) {
+        console.error(`❌ [WAITLIST] Failed to release lock:`, releaseError.message);
+      }
+    }
+  }
+}
+
+/**
+ * Sweep every exam that has students waiting and fill any free seats
+ * Safety net for promotions deferred by lock contention or missed triggers
+ * (e.g. seats freed by the reconciliation cron). Used by the promote-waitlists cron.
+ *
+ * @param {Object} options
+ * @param {Object} options.redis - RedisLockService instance
+ * @returns {Object} - { exams_checked, promoted, skipped, deferred }
+ */
+async function promoteAllWaitlists({ redis }) {
+  const { data, error } = await supabaseAdmin
+    .from(WAITLIST_TABLE)
+    .select('mock_exam_id')
+    .eq('status', WAITLIST_STATUS.WAITING);
+
+  if (error) {
+    console.error(`❌ [WAITLIST] Failed to load waiting entries for sweep:`, error.message);
+    throw error;
+  }
+
+  const examIds = [...new Set((data || []).map(entry => entry.mock_exam_id))];
+  const totals = { exams_checked: examIds.length, promoted: 0, skipped: 0, deferred: 0 };
+
+  for (const mockExamId of examIds) {
+    const summary = await promoteFromWaitlist(mockExamId, { redis, source: 'cron-sweep' });
+    totals.promoted += summary.promoted.length;
+    totals.skipped += summary.skipped.length;
+    if (summary.deferred) totals.deferred++;
+  }
+
+  console.log(`⏫ [WAITLIST] Sweep complete: ${totals.exams_checked} exams, ${totals.promoted} promoted, ${totals.skipped} skipped`);
+  return totals;
+}
+
+/**
+ * Fire-and-forget HubSpot sync for promoted bookings
+ * (exam total_bookings + each promoted contact's credits)
+ */
+function syncPromotionsToHubSpot(mockExamId, totalBookings, promoted) {
+  const { HubSpotWebhookService } = require('./hubspot-webhook');
+
+  process.nextTick(() => {
+    (async () => {
+      const examSyncResult = await HubSpotWebhookService.syncWithRetry(mockExamId, totalBookings, 3);
+      if (!examSyncResult.success) {
+        console.error(`❌ [WEBHOOK-EXAM] Exam sync failed after waitlist promotion: ${examSyncResult.message}`);
+      }
+
+      for (const promotion of promoted) {
+        const creditsSyncResult = await HubSpotWebhookService.syncContactCredits(
+          promotion.contact_id,
+          promotion.student_email,
+          promotion.credits_after_deduction
+        );
+
+        if (!creditsSyncResult.success) {
+          console.error(`❌ [WEBHOOK-CREDITS] Credits sync failed after waitlist promotion: ${creditsSyncResult.message}`);
+        }
+      }
+    })().catch(err => {
+      console.error('❌ [WEBHOOK] Unexpected error in waitlist webhook sync:', err.message);
+    });
+  });
+}
+
+module.exports = {
+  WAITLIST_TABLE,
+  WAITLIST_STATUS,
+  resolveWaitlistCredit,
+  isExamPromotable,
+  getWaitingEntriesForExam,
+  getWaitlistForExam,
+  reorderWaitlist,
+  removeWaitlistEntry,
+  promoteFromWaitlist,
+  promoteAllWaitlists
+};
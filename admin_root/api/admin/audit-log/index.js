@@ -0,0 +1,96 @@
+/**
+ * GET /api/admin/audit-log
+ * Mock exam audit log across all exams, newest first (see _shared/audit-log.js)
+ *
+ * Query Parameters (all optional):
+ * - mock_exam_id: Only entries for one exam
+ * - action: create | update | bulk_update | status_change | clone | delete | restore | purge | prerequisites_change
+ * - actor: Part of the admin's email
+ * - request_id: Every entry written by one request (e.g. one bulk update)
+ * - date_from / date_to: YYYY-MM-DD, inclusive (UTC)
+ * - limit: Page size (default 50, max 200)
+ * - offset: Entries to skip (default 0)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { listAuditEntries } = require('../../_shared/audit-log');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed`
+        }
+      });
+    }
+
+    await requirePermission(req, 'exams.view');
+
+    const filters = await validateInput(req.query, 'auditLogList');
+
+    if (filters.date_from && filters.date_to && filters.date_to < filters.date_from) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'date_to must be on or after date_from'
+        }
+      });
+    }
+
+    const { entries, total } = await listAuditEntries({
+      mockExamId: filters.mock_exam_id,
+      action: filters.action,
+      actor: filters.actor || null,
+      requestId: filters.request_id,
+      from: filters.date_from,
+      to: filters.date_to,
+      limit: filters.limit,
+      offset: filters.offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        has_more: filters.offset + entries.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [AUDIT-LOG] Failed to list audit entries:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to load audit log'
+      }
+    });
+  }
+};
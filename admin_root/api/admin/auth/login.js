@@ -5,6 +5,12 @@
 
 const { supabasePublic } = require('../../_shared/supabase');
 const Joi = require('joi');
+const {
+  getRateLimitKeys,
+  checkRateLimit,
+  resetRateLimit,
+  setRateLimitHeaders
+} = require('../../_shared/rate-limit');
 
 // Login request validation schema
 const loginSchema = Joi.object({
@@ -13,12 +19,6 @@ const loginSchema = Joi.object({
   rememberMe: Joi.boolean().default(false)
 });
 
-// Rate limiting configuration
-const loginAttempts = new Map();
-const RATE_LIMIT_MAX = 5;
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
-const BLOCK_DURATION = 60 * 60 * 1000; // 1 hour
-
 module.exports = async (req, res) => {
   // Only allow POST requests
   if (req.method !== 'POST') {
@@ -47,30 +47,22 @@ module.exports = async (req, res) => {
 
     const { email, password, rememberMe } = value;
 
-    // Check rate limiting
-    const clientIp = req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
-    const attemptKey = `${clientIp}:${email}`;
-    const attemptData = loginAttempts.get(attemptKey) || { count: 0, firstAttempt: Date.now(), blocked: false };
+    // Check rate limiting - failed sign-ins per IP and per email, shared across instances
+    const rateLimitKeys = getRateLimitKeys(req, 'admin-login');
+    const rateLimitStatus = await checkRateLimit(rateLimitKeys, 'admin-login', { consume: false });
 
-    // Check if blocked
-    if (attemptData.blocked && Date.now() - attemptData.blockedAt < BLOCK_DURATION) {
+    if (!rateLimitStatus.allowed) {
+      setRateLimitHeaders(res, rateLimitStatus);
       return res.status(429).json({
         success: false,
         error: {
           code: 'TOO_MANY_ATTEMPTS',
           message: 'Too many failed login attempts. Please try again later.',
-          retryAfter: Math.ceil((BLOCK_DURATION - (Date.now() - attemptData.blockedAt)) / 1000)
+          retryAfter: rateLimitStatus.retryAfter
         }
       });
     }
 
-    // Reset attempts if window has passed
-    if (Date.now() - attemptData.firstAttempt > RATE_LIMIT_WINDOW) {
-      attemptData.count = 0;
-      attemptData.firstAttempt = Date.now();
-      attemptData.blocked = false;
-    }
-
     // Sign in with Supabase
     const { data, error } = await supabasePublic.auth.signInWithPassword({
       email,
@@ -78,23 +70,16 @@ module.exports = async (req, res) => {
     });
 
     if (error) {
-      // Increment failed attempts
-      attemptData.count++;
-
-      // Block if max attempts reached
-      if (attemptData.count >= RATE_LIMIT_MAX) {
-        attemptData.blocked = true;
-        attemptData.blockedAt = Date.now();
-      }
-
-      loginAttempts.set(attemptKey, attemptData);
+      // Record the failed attempt
+      const failedStatus = await checkRateLimit(rateLimitKeys, 'admin-login');
+      setRateLimitHeaders(res, failedStatus);
 
       return res.status(401).json({
         success: false,
         error: {
           code: 'INVALID_CREDENTIALS',
           message: 'Invalid email or password',
-          attemptsRemaining: Math.max(0, RATE_LIMIT_MAX - attemptData.count)
+          attemptsRemaining: failedStatus.remaining
         }
       });
     }
@@ -105,7 +90,7 @@ module.exports = async (req, res) => {
     // Any authenticated Supabase user can access the admin panel
 
     // Clear failed attempts on successful login
-    loginAttempts.delete(attemptKey);
+    await resetRateLimit(rateLimitKeys);
 
     // Set session cookie if Remember Me is checked
     if (rememberMe && session?.refresh_token) {
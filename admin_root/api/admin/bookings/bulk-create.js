@@ -9,9 +9,14 @@
  * Query Parameters:
  * - preview=true: Returns validation results only without creating bookings
  *
+ * Body:
+ * - csv_data: CSV string (student_id, mock_exam_id, token_used)
+ * - override_time_conflicts: true to create rows that overlap the trainee's other bookings
+ *
  * Features:
  * - Token name normalization (accepts flexible input like "SJ", "situational judgment", etc.)
  * - Per-row credit validation (checks specific credit type, no shared fallback for bulk)
+ * - Time conflict detection against existing bookings and earlier rows (admin override flag)
  * - Preview mode to validate before actual creation
  * - Processes only valid rows, reports all errors
  */
@@ -19,6 +24,8 @@
 const { requirePermission } = require('../middleware/requirePermission');
 const { supabaseAdmin } = require('../../_shared/supabase');
 const { getCache } = require('../../_shared/cache');
+const { getActiveBookingsForConflictCheck, findConflictingBookings } = require('../../_shared/time-conflicts');
+const { recordCreditChanges, LEDGER_REASONS, ACTOR_TYPES } = require('../../_shared/credit-ledger');
 
 // ============== CONSTANTS ==============
 
@@ -277,6 +284,7 @@ async function bulkCreateBookingsHandler(req, res) {
 
     // Validate request body
     const { csv_data } = req.body;
+    const overrideTimeConflicts = req.body.override_time_conflicts === true;
     if (!csv_data || typeof csv_data !== 'string') {
       return res.status(400).json({
         success: false,
@@ -404,6 +412,17 @@ async function bulkCreateBookingsHandler(req, res) {
 
     const existingBookingIds = new Set((existingBookings || []).map(b => b.booking_id));
 
+    // Active bookings for overlap detection, grouped by contact
+    const conflictCandidates = await getActiveBookingsForConflictCheck(
+      Object.values(contactMap).map(c => c.hubspot_id),
+      Object.values(examMap).map(e => e.exam_date)
+    );
+
+    const bookingsByContact = {};
+    conflictCandidates.forEach(b => {
+      (bookingsByContact[b.associated_contact_id] = bookingsByContact[b.associated_contact_id] || []).push(b);
+    });
+
     // ========== STEP 5: Full validation with credit checking ==========
     // Track credit usage per contact to handle multiple bookings for same contact
     const creditUsageTracker = {};
@@ -488,6 +507,24 @@ async function bulkCreateBookingsHandler(req, res) {
         continue;
       }
 
+      // ========== TIME CONFLICT VALIDATION ==========
+      // Includes rows accepted earlier in this import (added to bookingsByContact below)
+      const timeConflicts = findConflictingBookings(bookingsByContact[contact.hubspot_id] || [], exam);
+
+      if (timeConflicts.length > 0 && !overrideTimeConflicts) {
+        invalidRows.push({
+          row: row._rowNumber,
+          student_id: row.student_id,
+          mock_exam_id: row.mock_exam_id,
+          token_used: row.token_used,
+          token_used_normalized: normalizedTokenType,
+          error_code: 'TIME_CONFLICT',
+          error_message: `Overlaps existing booking(s) for student '${row.student_id}': ${timeConflicts.map(c => c.booking_id || c.mock_exam_id).join(', ')}`,
+          conflicts: timeConflicts
+        });
+        continue;
+      }
+
       // ========== CREDIT VALIDATION ==========
       // Initialize credit usage tracker for this contact if not exists
       if (!creditUsageTracker[row.student_id]) {
@@ -528,6 +565,18 @@ async function bulkCreateBookingsHandler(req, res) {
       // Add to set to prevent duplicates within same upload
       existingBookingIds.add(bookingId);
 
+      // Track for overlap checks against later rows in this upload
+      (bookingsByContact[contact.hubspot_id] = bookingsByContact[contact.hubspot_id] || []).push({
+        booking_id: bookingId,
+        associated_mock_exam: row.mock_exam_id,
+        mock_type: exam.mock_type,
+        exam_date: exam.exam_date,
+        start_time: exam.start_time,
+        end_time: exam.end_time,
+        attending_location: exam.location,
+        is_active: 'Active'
+      });
+
       // Build valid row object with all needed data
       validRows.push({
         row,
@@ -536,7 +585,8 @@ async function bulkCreateBookingsHandler(req, res) {
         exam,
         bookingId,
         creditsBeforeBooking,
-        creditsAfterBooking
+        creditsAfterBooking,
+        timeConflicts
       });
     }
 
@@ -568,12 +618,14 @@ async function bulkCreateBookingsHandler(req, res) {
           token_display_name: getTokenDisplayName(v.normalizedTokenType),
           booking_id: v.bookingId,
           credits_before: v.creditsBeforeBooking,
-          credits_after: v.creditsAfterBooking
+          credits_after: v.creditsAfterBooking,
+          time_conflicts: v.timeConflicts
         })),
         invalid_rows: invalidRows.sort((a, b) => a.row - b.row),
         meta: {
           validated_by: adminEmail,
           validated_at: now,
+          override_time_conflicts: overrideTimeConflicts,
           duration_ms: duration
         }
       });
@@ -647,10 +699,12 @@ async function bulkCreateBookingsHandler(req, res) {
           creditUpdates[key] = {
             student_id: booking.student_id,
             token_type: tokenType,
-            count: 0
+            count: 0,
+            booking_ids: []
           };
         }
         creditUpdates[key].count += 1;
+        creditUpdates[key].booking_ids.push(booking.booking_id);
       }
 
       // Apply credit decrements
@@ -671,6 +725,19 @@ async function bulkCreateBookingsHandler(req, res) {
             console.warn(`[BULK-CREATE] Failed to update credits for ${update.student_id}:`, creditError.message);
           } else {
             console.log(`[BULK-CREATE] Decremented ${update.token_type} for ${update.student_id}: ${currentCredits} -> ${newCredits}`);
+
+            // One ledger entry per booking so each debit links to its booking
+            await recordCreditChanges(update.booking_ids.map((bookingId, index) => ({
+              contactId: contact.hubspot_id,
+              studentId: update.student_id,
+              creditField: update.token_type,
+              balanceBefore: Math.max(0, currentCredits - index),
+              balanceAfter: Math.max(0, currentCredits - index - 1),
+              reason: LEDGER_REASONS.BULK_BOOKING,
+              bookingId,
+              actorType: ACTOR_TYPES.ADMIN,
+              actor: adminEmail
+            })));
           }
         } catch (creditErr) {
           console.warn(`[BULK-CREATE] Credit update error for ${update.student_id}:`, creditErr.message);
@@ -742,6 +809,7 @@ async function bulkCreateBookingsHandler(req, res) {
       meta: {
         created_by: adminEmail,
         created_at: now,
+        override_time_conflicts: overrideTimeConflicts,
         duration_ms: duration
       }
     });
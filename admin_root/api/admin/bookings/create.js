@@ -8,6 +8,8 @@
  * - NO token validation (admin override)
  * - NO capacity enforcement (warning only)
  * - NO Redis locks (admin action is deliberate)
+ * - Time conflicts block unless override_time_conflicts is set
+ * - Repeated exam sets block (per the mock type's rule) unless override_set_repeat is set
  * - Manual contact search (not from auth)
  * - Enhanced audit trail with admin attribution
  *
@@ -27,6 +29,8 @@ const {
   getExamByIdFromSupabase,
   checkExistingActiveBookingFromSupabase
 } = require('../../_shared/supabase-data');
+const { findTimeConflictsForContact, createTimeConflictError } = require('../../_shared/time-conflicts');
+const { checkSetRepeat, createSetRepeatError } = require('../../_shared/mock-set-repeats');
 
 module.exports = async (req, res) => {
   let bookingCreated = false;
@@ -57,7 +61,9 @@ module.exports = async (req, res) => {
       mock_type,
       exam_date,
       dominant_hand,
-      attending_location
+      attending_location,
+      override_time_conflicts,
+      override_set_repeat
     } = validatedData;
 
     console.log(`🔧 [ADMIN BOOKING] Creating booking for student_id: ${student_id}, email: ${email}`);
@@ -184,6 +190,41 @@ module.exports = async (req, res) => {
 
     console.log(`✅ [ADMIN BOOKING] No active duplicate found`);
 
+    // ========================================================================
+    // STEP 5b: Check for Overlapping Bookings (explicit admin override)
+    // ========================================================================
+    const timeConflicts = await findTimeConflictsForContact(contactId, mockExam);
+
+    if (timeConflicts.length > 0) {
+      if (!override_time_conflicts) {
+        throw createTimeConflictError(timeConflicts);
+      }
+
+      console.warn(`⚠️ [ADMIN OVERRIDE] Creating booking despite ${timeConflicts.length} time conflict(s):`, {
+        conflicts: timeConflicts.map(conflict => conflict.booking_id || conflict.id),
+        mockExamId: mock_exam_id,
+        adminEmail
+      });
+    }
+
+    // ========================================================================
+    // STEP 5c: Check the exam set against the trainee's set history (explicit admin override)
+    // ========================================================================
+    const setRepeat = await checkSetRepeat(contactId, mockExam);
+
+    if (setRepeat.repeats.length > 0 && setRepeat.rule === 'block') {
+      if (!override_set_repeat) {
+        throw createSetRepeatError(mockExam, setRepeat.repeats, setRepeat.rule);
+      }
+
+      console.warn(`⚠️ [ADMIN OVERRIDE] Creating booking despite repeated exam set:`, {
+        mockSet: mockExam.mock_set,
+        previous: setRepeat.repeats.map(repeat => repeat.booking_id || repeat.id),
+        mockExamId: mock_exam_id,
+        adminEmail
+      });
+    }
+
     // ========================================================================
     // STEP 6: Create Booking Object (NO TOKEN CHECK, NO CAPACITY BLOCK)
     // ========================================================================
@@ -376,6 +417,7 @@ module.exports = async (req, res) => {
           <li><strong>Token Check:</strong> Bypassed (Admin Override)</li>
           <li><strong>Capacity Check:</strong> Bypassed (Admin Override)</li>
           <li><strong>Capacity Status:</strong> ${totalBookings + 1}/${capacity}</li>
+          ${timeConflicts.length > 0 ? `<li><strong>Time Conflict Check:</strong> Bypassed - overlaps ${timeConflicts.map(conflict => conflict.booking_id || conflict.id).join(', ')}</li>` : ''}
         </ul>
 
         <hr style="margin: 15px 0; border: 0; border-top: 1px solid #e0e0e0;">
@@ -485,7 +527,12 @@ module.exports = async (req, res) => {
         created_by: adminEmail,
         created_at: new Date().toISOString(),
         admin_override: true,
-        bypass_warnings: totalBookings >= capacity ? ['Capacity limit bypassed'] : []
+        bypass_warnings: [
+          ...(totalBookings >= capacity ? ['Capacity limit bypassed'] : []),
+          ...(timeConflicts.length > 0 ? ['Time conflict bypassed'] : []),
+          ...(setRepeat.message ? [setRepeat.rule === 'block' ? 'Exam set repeat bypassed' : setRepeat.message] : [])
+        ],
+        time_conflicts: timeConflicts
       },
       supabase_synced: supabaseSynced
     });
@@ -516,7 +563,9 @@ module.exports = async (req, res) => {
       error: {
         code: errorCode,
         message: error.message || 'An error occurred while creating the booking',
-        ...(error.details && { details: error.details })
+        ...(error.details && { details: error.details }),
+        ...(error.conflicts && { conflicts: error.conflicts }),
+        ...(error.setRepeat && { set_repeat: error.setRepeat })
       }
     });
   } finally {
@@ -1,16 +1,17 @@
 /**
  * GET /api/admin/cron/activate-scheduled-exams
- * Vercel Cron Job - Automatically activate scheduled mock exam sessions
+ * Vercel Cron Job - Automatically activate and deactivate scheduled mock exam sessions
  *
  * Schedule: Runs twice daily - configured in vercel.json
  *   - 5:00 PM UTC (0 17 * * *) = 12:00 PM EST / 1:00 PM EDT
  *   - 6:00 PM UTC (0 18 * * *) = 1:00 PM EST / 2:00 PM EDT
- * Purpose: Finds sessions where scheduled_activation_datetime <= now() and activates them
+ * Purpose: Finds sessions where scheduled_activation_datetime <= now() and activates them,
+ *          then closes active sessions where scheduled_deactivation_datetime <= now()
  *
  * Security: Requires CRON_SECRET from Vercel (set in environment variables)
  */
 
-const { activateScheduledSessions } = require('../../_shared/scheduledActivation');
+const { activateScheduledSessions, deactivateScheduledSessions } = require('../../_shared/scheduledActivation');
 
 module.exports = async (req, res) => {
   const startTime = Date.now();
@@ -47,6 +48,9 @@ module.exports = async (req, res) => {
     // Call shared activation logic
     const result = await activateScheduledSessions();
 
+    // Then close sessions whose scheduled deactivation is due
+    const deactivation = await deactivateScheduledSessions();
+
     // Check for timeout (Vercel 60s limit)
     if (Date.now() - startTime > 55000) {
       console.warn(`⚠️ [CRON] Operation approaching timeout`);
@@ -56,7 +60,8 @@ module.exports = async (req, res) => {
     return res.status(200).json({
       success: true,
       triggered_by: 'cron',
-      ...result
+      ...result,
+      deactivation
     });
 
   } catch (error) {
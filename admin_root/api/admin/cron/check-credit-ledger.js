@@ -0,0 +1,105 @@
+/**
+ * GET /api/admin/cron/check-credit-ledger
+ * Vercel Cron Job - Replay the credit ledger against current token balances
+ *
+ * Schedule: Daily at 08:00 UTC (0 8 * * *) - configured in vercel.json
+ * Purpose: Every contact whose balance changed in the last 25 hours has its
+ * full ledger replayed; any contact whose replayed balance differs from
+ * hubspot_contact_credits (or whose ledger has gaps) is logged and returned.
+ *
+ * Query Parameters:
+ * - hours (optional): Look-back window in hours (default 25, max 720)
+ *
+ * Security: Requires CRON_SECRET from Vercel (set in environment variables)
+ */
+
+const { checkRecentLedgerConsistency } = require('../../_shared/credit-ledger');
+
+const DEFAULT_LOOKBACK_HOURS = 25; // Overlaps the previous run so nothing slips between runs
+const MAX_LOOKBACK_HOURS = 720;
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // Only allow GET requests (Vercel cron uses GET)
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use GET.`
+        }
+      });
+    }
+
+    // Verify CRON_SECRET (Vercel automatically adds this header)
+    const authHeader = req.headers.authorization;
+    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+
+    if (authHeader !== expectedAuth) {
+      console.warn('⚠️ [CRON] Unauthorized attempt to trigger cron job');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Invalid or missing CRON_SECRET'
+        }
+      });
+    }
+
+    const hours = Math.min(
+      Math.max(parseInt(req.query?.hours) || DEFAULT_LOOKBACK_HOURS, 1),
+      MAX_LOOKBACK_HOURS
+    );
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    console.log(`🕐 [CRON] Starting credit ledger check for changes since ${since}`);
+
+    const result = await checkRecentLedgerConsistency({ since });
+
+    for (const mismatch of result.inconsistent) {
+      console.error(`❌ [CRON] Ledger mismatch for contact ${mismatch.contact_id}:`, {
+        fields: mismatch.fields,
+        gaps: mismatch.gaps.length
+      });
+    }
+
+    console.log(`✅ [CRON] Credit ledger check complete: ${result.consistent}/${result.checked} contacts consistent`);
+
+    // Check for timeout (Vercel 60s limit)
+    if (Date.now() - startTime > 55000) {
+      console.warn(`⚠️ [CRON] Operation approaching timeout`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      triggered_by: 'cron',
+      since,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Error in credit ledger check:', error);
+
+    // Handle timeout errors
+    if (Date.now() - startTime > 55000) {
+      return res.status(504).json({
+        success: false,
+        error: {
+          code: 'TIMEOUT',
+          message: 'Cron job timeout'
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to check credit ledger',
+        details: error.message
+      }
+    });
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * GET /api/admin/cron/expire-credit-lots
+ * Vercel Cron Job - Take expired tokens off student balances
+ *
+ * Schedule: Every hour at :30 (30 * * * *) - configured in vercel.json
+ * Purpose: Tokens granted with an expiry date are tracked as lots
+ * (credit-lots.js). Once a lot expires, whatever is left of it is removed from
+ * the balance in HubSpot (source of truth) and synced to Supabase; the change is
+ * recorded in the credit ledger as token_expired.
+ *
+ * Bookings already refuse expired tokens before this job runs - it only makes
+ * the stored balances match.
+ *
+ * Query Parameters:
+ * - limit (optional): Max lots to process per run (default 200, max 1000)
+ *
+ * Security: Requires CRON_SECRET from Vercel (set in environment variables)
+ */
+
+const hubspot = require('../../_shared/hubspot');
+const { getCache } = require('../../_shared/cache');
+const { syncContactToSupabase } = require('../../_shared/supabase-data');
+const { CREDIT_FIELDS, LEDGER_REASONS, ACTOR_TYPES } = require('../../_shared/credit-ledger');
+const {
+  getDueLots,
+  getOpenLots,
+  summarizeLots,
+  closeExpiredLot
+} = require('../../_shared/credit-lots');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+const CONTACT_PROPERTIES = [
+  'firstname', 'lastname', 'email', 'student_id',
+  ...CREDIT_FIELDS,
+  'ndecc_exam_date', 'createdate', 'hs_lastmodifieddate'
+];
+
+/**
+ * Expire the due lots of one contact
+ *
+ * Each lot is closed first (compare-and-set, so overlapping runs can't expire it
+ * twice), then the balances are reduced in one HubSpot update.
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @param {Array} dueLots - Due lots of this contact (from getDueLots)
+ * @returns {Promise<{lots: number, expired: Object}>} - Lots closed and tokens removed per credit field
+ */
+async function expireContactLots(contactId, dueLots) {
+  const contact = await hubspot.apiCall(
+    'GET',
+    `/crm/v3/objects/contacts/${contactId}?properties=${CONTACT_PROPERTIES.join(',')}`
+  );
+
+  // Only what is really left of a lot comes off the balance (see summarizeLots)
+  const openLots = await getOpenLots(contactId);
+  const summary = summarizeLots(openLots, contact.properties);
+
+  const expired = {};
+  let closed = 0;
+
+  for (const dueLot of dueLots) {
+    const lot = openLots.find(row => row.id === dueLot.id) || dueLot;
+    const amount = summary[lot.credit_field]?.due.find(entry => entry.id === lot.id)?.amount || 0;
+
+    if (await closeExpiredLot(lot, amount)) {
+      closed += 1;
+      expired[lot.credit_field] = (expired[lot.credit_field] || 0) + amount;
+    }
+  }
+
+  const properties = {};
+  for (const [creditField, amount] of Object.entries(expired)) {
+    if (amount > 0) {
+      const balance = parseInt(contact.properties[creditField]) || 0;
+      properties[creditField] = Math.max(balance - amount, 0).toString();
+    }
+  }
+
+  if (Object.keys(properties).length === 0) {
+    return { lots: closed, expired };
+  }
+
+  try {
+    await hubspot.apiCall('PATCH', `/crm/v3/objects/contacts/${contactId}`, { properties });
+  } catch (error) {
+    // Lots are already closed - the balance has to be corrected by hand
+    console.error(`❌ [CRON] Closed lots for contact ${contactId} but failed to update HubSpot:`, {
+      properties,
+      lots: dueLots.map(lot => lot.id),
+      error: error.message
+    });
+    throw error;
+  }
+
+  const updatedContact = await hubspot.apiCall(
+    'GET',
+    `/crm/v3/objects/contacts/${contactId}?properties=${CONTACT_PROPERTIES.join(',')}`
+  );
+
+  await syncContactToSupabase(updatedContact, {
+    reason: LEDGER_REASONS.TOKEN_EXPIRED,
+    actorType: ACTOR_TYPES.CRON,
+    actor: 'expire-credit-lots'
+  }).catch(error => {
+    console.error(`⚠️ [CRON] Supabase sync failed for contact ${contactId} (non-blocking):`, error.message);
+  });
+
+  // Invalidate cached balances (non-blocking)
+  const cache = getCache();
+  const cachePatterns = [
+    'admin:trainee:search:*',
+    `trainee:credits:${contactId}`,
+    `contact:credits:${contact.properties.student_id}:*`
+  ];
+
+  for (const pattern of cachePatterns) {
+    cache.deletePattern(pattern).catch(error => {
+      console.error(`⚠️ [CRON] Failed to delete cache pattern ${pattern}:`, error.message);
+    });
+  }
+
+  console.log(`⌛ [CRON] Expired tokens for contact ${contactId}:`, expired);
+
+  return { lots: closed, expired };
+}
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // Only allow GET requests (Vercel cron uses GET)
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use GET.`
+        }
+      });
+    }
+
+    // Verify CRON_SECRET (Vercel automatically adds this header)
+    const authHeader = req.headers.authorization;
+    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+
+    if (authHeader !== expectedAuth) {
+      console.warn('⚠️ [CRON] Unauthorized attempt to trigger cron job');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Invalid or missing CRON_SECRET'
+        }
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query?.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    console.log(`🕐 [CRON] Starting credit lot expiry at ${new Date().toISOString()}`);
+
+    const dueLots = await getDueLots({ limit });
+
+    const lotsByContact = new Map();
+    for (const lot of dueLots) {
+      if (!lotsByContact.has(lot.contact_id)) {
+        lotsByContact.set(lot.contact_id, []);
+      }
+      lotsByContact.get(lot.contact_id).push(lot);
+    }
+
+    const results = {
+      due_lots: dueLots.length,
+      contacts_processed: 0,
+      lots_closed: 0,
+      tokens_expired: 0,
+      failed: [],
+      remaining_contacts: 0
+    };
+
+    for (const [contactId, lots] of lotsByContact) {
+      // Leave the rest for the next run rather than hit the Vercel 60s limit
+      if (Date.now() - startTime > 50000) {
+        results.remaining_contacts = lotsByContact.size - results.contacts_processed - results.failed.length;
+        console.warn(`⚠️ [CRON] Stopping early, ${results.remaining_contacts} contact(s) left for the next run`);
+        break;
+      }
+
+      try {
+        const { lots: closed, expired } = await expireContactLots(contactId, lots);
+        results.contacts_processed += 1;
+        results.lots_closed += closed;
+        results.tokens_expired += Object.values(expired).reduce((sum, amount) => sum + amount, 0);
+      } catch (error) {
+        console.error(`❌ [CRON] Failed to expire lots for contact ${contactId}:`, error.message);
+        results.failed.push({ contact_id: contactId, error: error.message });
+      }
+    }
+
+    console.log(`✅ [CRON] Credit lot expiry complete:`, {
+      contacts: results.contacts_processed,
+      lots: results.lots_closed,
+      tokens: results.tokens_expired,
+      failed: results.failed.length
+    });
+
+    return res.status(200).json({
+      success: true,
+      triggered_by: 'cron',
+      ...results
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Error in credit lot expiry:', error);
+
+    // Handle timeout errors
+    if (Date.now() - startTime > 55000) {
+      return res.status(504).json({
+        success: false,
+        error: {
+          code: 'TIMEOUT',
+          message: 'Cron job timeout'
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to expire credit lots',
+        details: error.message
+      }
+    });
+  }
+};
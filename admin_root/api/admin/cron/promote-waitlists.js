@@ -0,0 +1,90 @@
+/**
+ * GET /api/admin/cron/promote-waitlists
+ * Vercel Cron Job - Fill free seats from session waitlists
+ *
+ * Schedule: Every 15 minutes (*\/15 * * * *) - configured in vercel.json
+ * Purpose: Promotion normally runs right after a seat is released. This sweep
+ * catches promotions that were deferred (lock held by another booking) or
+ * seats freed by paths that don't trigger promotion (e.g. count reconciliation).
+ *
+ * Security: Requires CRON_SECRET from Vercel (set in environment variables)
+ */
+
+const RedisLockService = require('../../_shared/redis');
+const { promoteAllWaitlists } = require('../../_shared/waitlist');
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // Only allow GET requests (Vercel cron uses GET)
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use GET.`
+        }
+      });
+    }
+
+    // Verify CRON_SECRET (Vercel automatically adds this header)
+    const authHeader = req.headers.authorization;
+    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+
+    if (authHeader !== expectedAuth) {
+      console.warn('⚠️ [CRON] Unauthorized attempt to trigger cron job');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Invalid or missing CRON_SECRET'
+        }
+      });
+    }
+
+    console.log(`🕐 [CRON] Starting waitlist promotion sweep at ${new Date().toISOString()}`);
+
+    const redis = new RedisLockService();
+    let result;
+    try {
+      result = await promoteAllWaitlists({ redis });
+    } finally {
+      await redis.close();
+    }
+
+    // Check for timeout (Vercel 60s limit)
+    if (Date.now() - startTime > 55000) {
+      console.warn(`⚠️ [CRON] Operation approaching timeout`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      triggered_by: 'cron',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Error in waitlist promotion sweep:', error);
+
+    // Handle timeout errors
+    if (Date.now() - startTime > 55000) {
+      return res.status(504).json({
+        success: false,
+        error: {
+          code: 'TIMEOUT',
+          message: 'Cron job timeout'
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to promote waitlisted students',
+        details: error.message
+      }
+    });
+  }
+};
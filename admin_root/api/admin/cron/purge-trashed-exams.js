@@ -0,0 +1,103 @@
+/**
+ * GET /api/admin/cron/purge-trashed-exams
+ * Vercel Cron Job - Permanently delete sessions whose trash retention has ended
+ *
+ * Schedule: Daily at 09:00 UTC (0 9 * * *) - configured in vercel.json
+ * Purpose: Deleted sessions are kept in the trash (_shared/trash.js) for
+ * MOCK_EXAM_TRASH_RETENTION_DAYS (default 30) so a mistaken delete can be
+ * restored. Afterwards this job archives them in HubSpot and records a purge
+ * entry in the audit log.
+ *
+ * Query Parameters:
+ * - limit (optional): Max sessions to purge per run (default 200, max 1000)
+ *
+ * Security: Requires CRON_SECRET from Vercel (set in environment variables)
+ */
+
+const { getCache } = require('../../_shared/cache');
+const { purgeExpiredTrash } = require('../../_shared/trash');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // Only allow GET requests (Vercel cron uses GET)
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use GET.`
+        }
+      });
+    }
+
+    // Verify CRON_SECRET (Vercel automatically adds this header)
+    const authHeader = req.headers.authorization;
+    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+
+    if (authHeader !== expectedAuth) {
+      console.warn('⚠️ [CRON] Unauthorized attempt to trigger cron job');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Invalid or missing CRON_SECRET'
+        }
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query?.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    console.log(`🕐 [CRON] Starting trash purge at ${new Date().toISOString()}`);
+
+    const { due, purged, failed } = await purgeExpiredTrash({ limit });
+
+    if (purged.length > 0) {
+      const cache = getCache();
+      await cache.deletePattern('admin:mock-exam:*').catch(error => {
+        console.error('⚠️ [CRON] Failed to invalidate mock exam caches:', error.message);
+      });
+    }
+
+    console.log(`✅ [CRON] Trash purge complete:`, {
+      due,
+      purged: purged.length,
+      failed: failed.length
+    });
+
+    return res.status(200).json({
+      success: true,
+      triggered_by: 'cron',
+      due,
+      purged,
+      failed
+    });
+
+  } catch (error) {
+    console.error('❌ [CRON] Error in trash purge:', error);
+
+    // Handle timeout errors
+    if (Date.now() - startTime > 55000) {
+      return res.status(504).json({
+        success: false,
+        error: {
+          code: 'TIMEOUT',
+          message: 'Cron job timeout'
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Failed to purge trashed sessions',
+        details: error.message
+      }
+    });
+  }
+};
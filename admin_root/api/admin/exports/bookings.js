@@ -0,0 +1,124 @@
+/**
+ * GET /api/admin/exports/bookings
+ * Download session rosters, or every booking in a date range, as CSV or XLSX
+ * (see _shared/exports.js)
+ *
+ * Query Parameters:
+ * - exam_ids (optional): Comma-separated session IDs to export the rosters of (at most 100)
+ * - start_date / end_date (required without exam_ids): YYYY-MM-DD, at most 366 days apart
+ * - mock_type (optional): Only this mock type
+ * - location (optional): Only sessions at this site
+ * - status (optional): 'active' (default, leaves cancelled bookings out), 'cancelled' or 'all'
+ * - columns (optional): Comma-separated column IDs - always written in the same order
+ * - sheet_per_session (optional): XLSX rosters get one sheet per session (default false)
+ * - format (optional): 'csv' (default) or 'xlsx'
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { resolveReportRange } = require('../../_shared/attendance-analytics');
+const { getTorontoToday } = require('../../_shared/exam-series');
+const {
+  MAX_EXPORT_SESSIONS,
+  BOOKING_EXPORT_COLUMNS,
+  DEFAULT_BOOKING_COLUMNS,
+  resolveColumns,
+  loadBookingExportRows,
+  buildExportFile,
+  getRosterSheetName
+} = require('../../_shared/exports');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    const admin = await requirePermission(req, 'bookings.export');
+
+    const query = await validateInput(req.query, 'bookingExport');
+
+    // ====== STEP 1: RESOLVE SCOPE AND COLUMNS ======
+    const examIds = query.exam_ids ? [...new Set(query.exam_ids.split(','))] : [];
+    if (examIds.length > MAX_EXPORT_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_SESSIONS',
+          message: `At most ${MAX_EXPORT_SESSIONS} sessions can be exported at once`
+        }
+      });
+    }
+
+    const range = examIds.length > 0 ? {} : resolveReportRange(query);
+    const columns = resolveColumns(BOOKING_EXPORT_COLUMNS, query.columns, DEFAULT_BOOKING_COLUMNS);
+
+    // ====== STEP 2: LOAD BOOKINGS ======
+    const { rows, sessions } = await loadBookingExportRows({
+      examIds,
+      ...range,
+      mockType: query.mock_type,
+      location: query.location,
+      status: query.status
+    });
+
+    // ====== STEP 3: BUILD FILE ======
+    const sheets = query.sheet_per_session && examIds.length > 0
+      ? sessions.map(session => ({
+        name: getRosterSheetName(session),
+        rows: rows.filter(row => row.mock_exam_id === String(session.hubspot_id))
+      }))
+      : [{ name: examIds.length > 0 ? 'Rosters' : 'Bookings', rows }];
+
+    const file = buildExportFile({ format: query.format, columns, sheets });
+
+    const filename = examIds.length === 1
+      ? `roster-${examIds[0]}-${getTorontoToday()}.${file.extension}`
+      : examIds.length > 1
+        ? `rosters-${examIds.length}-sessions-${getTorontoToday()}.${file.extension}`
+        : `bookings-${range.startDate}-to-${range.endDate}.${file.extension}`;
+
+    console.log(`📥 [EXPORT] ${admin?.email || 'admin'} exported ${rows.length} bookings as ${filename}`);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', Buffer.byteLength(file.content));
+
+    return res.status(200).send(file.content);
+
+  } catch (error) {
+    console.error('❌ [EXPORT] Failed to export bookings:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to export bookings'
+      }
+    });
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * GET /api/admin/exports/trainees
+ * Download the trainee list with token balances as CSV or XLSX
+ * (see _shared/exports.js)
+ *
+ * Query Parameters:
+ * - with_tokens (optional): Only trainees holding at least one token (default false)
+ * - columns (optional): Comma-separated column IDs - always written in the same order
+ * - format (optional): 'csv' (default) or 'xlsx'
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getTorontoToday } = require('../../_shared/exam-series');
+const {
+  TRAINEE_EXPORT_COLUMNS,
+  DEFAULT_TRAINEE_COLUMNS,
+  resolveColumns,
+  loadTraineeExportRows,
+  buildExportFile
+} = require('../../_shared/exports');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    const admin = await requirePermission(req, 'bookings.export');
+
+    const query = await validateInput(req.query, 'traineeExport');
+
+    // ====== STEP 1: LOAD TRAINEES ======
+    const columns = resolveColumns(TRAINEE_EXPORT_COLUMNS, query.columns, DEFAULT_TRAINEE_COLUMNS);
+    const rows = await loadTraineeExportRows({ withTokens: query.with_tokens });
+
+    // ====== STEP 2: BUILD FILE ======
+    const file = buildExportFile({
+      format: query.format,
+      columns,
+      sheets: [{ name: 'Trainees', rows }]
+    });
+    const filename = `trainees${query.with_tokens ? '-with-tokens' : ''}-${getTorontoToday()}.${file.extension}`;
+
+    console.log(`📥 [EXPORT] ${admin?.email || 'admin'} exported ${rows.length} trainees as ${filename}`);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', Buffer.byteLength(file.content));
+
+    return res.status(200).send(file.content);
+
+  } catch (error) {
+    console.error('❌ [EXPORT] Failed to export trainees:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to export trainees'
+      }
+    });
+  }
+};
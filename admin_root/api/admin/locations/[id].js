@@ -0,0 +1,131 @@
+/**
+ * GET /api/admin/locations/[id]
+ * Get one location
+ *
+ * PATCH /api/admin/locations/[id]
+ * Update a location - the changes are merged into the stored location. The name
+ * cannot change (sessions and bookings store it); set is_active=false to retire a site.
+ *
+ * DELETE /api/admin/locations/[id]
+ * Delete a location no session or room uses (409 LOCATION_IN_USE otherwise)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const {
+  LOCATION_FIELDS,
+  getLocation,
+  updateLocation,
+  deleteLocation
+} = require('../../_shared/locations');
+
+module.exports = async (req, res) => {
+  const locationId = req.query.id;
+
+  if (!locationId || !/^[0-9a-f-]{36}$/i.test(locationId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid location ID is required'
+      }
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const location = await getLocation(locationId);
+
+      return res.status(200).json({
+        success: true,
+        data: location
+      });
+    }
+
+    if (req.method === 'PATCH') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getLocation(locationId);
+
+      if (req.body?.name !== undefined && req.body.name !== existing.name) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'LOCATION_NAME_LOCKED',
+            message: 'A location cannot be renamed. Deactivate it and create a new one instead.'
+          }
+        });
+      }
+
+      // Merge onto the stored editable columns, then validate the complete location
+      const merged = LOCATION_FIELDS.reduce((location, field) => {
+        const value = req.body?.[field] !== undefined ? req.body[field] : existing[field];
+        if (value !== undefined && value !== null) {
+          location[field] = value;
+        }
+        return location;
+      }, {});
+      const location = await validateInput(merged, 'location');
+
+      const updated = await updateLocation(locationId, location, user?.email);
+      console.log(`📍 [LOCATIONS] Updated location "${updated.name}" (${locationId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        data: updated,
+        message: `Location "${updated.name}" updated`
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getLocation(locationId);
+
+      await deleteLocation(existing);
+      console.log(`🗑️ [LOCATIONS] Deleted location "${existing.name}" (${locationId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Location "${existing.name}" deleted`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [LOCATIONS] ${req.method} failed for location ${locationId}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process location request'
+      }
+    });
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * GET /api/admin/locations
+ * List locations (active only unless include_inactive=true). While the table is
+ * empty the built-in sites are returned with meta.using_defaults=true.
+ *
+ * POST /api/admin/locations
+ * Create a location
+ *
+ * Request Body (POST):
+ * {
+ *   "name": "Mississauga - Lab E",
+ *   "address": "2 Robert Speck Pkwy, Mississauga, ON",   // optional
+ *   "time_zone": "America/Toronto",                       // IANA zone, defaults to Eastern
+ *   "directions": "Park in lot B, enter through door 3",  // optional, shown to trainees
+ *   "sort_order": 8                                       // optional
+ * }
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { DEFAULT_LOCATIONS, listLocations, createLocation } = require('../../_shared/locations');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const stored = await listLocations({
+        includeInactive: req.query.include_inactive === 'true'
+      });
+      const usingDefaults = stored.length === 0 && (await listLocations({ includeInactive: true })).length === 0;
+      const locations = usingDefaults ? DEFAULT_LOCATIONS : stored;
+
+      return res.status(200).json({
+        success: true,
+        data: locations,
+        meta: {
+          total: locations.length,
+          using_defaults: usingDefaults,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const user = await requirePermission(req, 'exams.create');
+      const location = await validateInput(req.body, 'location');
+
+      const created = await createLocation(location, user?.email);
+      console.log(`📍 [LOCATIONS] Created location "${created.name}" (${created.id}) by ${user?.email}`);
+
+      return res.status(201).json({
+        success: true,
+        data: created,
+        message: `Location "${created.name}" created`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [LOCATIONS] ${req.method} failed:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process locations request'
+      }
+    });
+  }
+};
@@ -3,7 +3,7 @@
  * Get single mock exam details by ID
  *
  * PATCH /api/admin/mock-exams/[id]
- * Update mock exam properties
+ * Update mock exam properties (recorded in the mock exam audit log)
  *
  * Implements Redis caching with 2-minute TTL for performance optimization.
  * Returns complete mock exam details including calculated fields.
@@ -12,9 +12,12 @@
 const { requirePermission } = require('../middleware/requirePermission');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
-const { validateInput } = require('../../_shared/validation');
+const { validateInput, locationName } = require('../../_shared/validation');
+const { refreshLocationCatalog } = require('../../_shared/locations');
 const { HUBSPOT_OBJECTS } = require('../../_shared/hubspot');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
+const { recordAudit, diffChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
+const { evaluateBookingWindow } = require('../../_shared/booking-cutoff');
 
 module.exports = async (req, res) => {
   // Handle PATCH request for updating mock exam
@@ -96,8 +99,7 @@ async function handlePatchRequest(req, res) {
         .integer()
         .min(1)
         .optional(),
-      location: Joi.string()
-        .valid('Mississauga', 'Mississauga - B9', 'Mississauga - Lab D', 'Calgary', 'Vancouver', 'Montreal', 'Richmond Hill', 'Online')
+      location: locationName({ includeInactive: true })
         .optional(),
       address: Joi.string()
         .max(500)
@@ -133,6 +135,7 @@ async function handlePatchRequest(req, res) {
     });
 
     // Validate request body
+    await refreshLocationCatalog();
     const { error: validationError, value: updateData } = updateSchema.validate(req.body);
     if (validationError) {
       const details = {};
@@ -287,6 +290,11 @@ async function handlePatchRequest(req, res) {
       // Don't fail the update if note creation fails
     });
 
+    await recordAudit({ req, user, action: AUDIT_ACTIONS.UPDATE }, {
+      mockExamId,
+      changes: diffChanges(originalValues, propertiesToUpdate)
+    });
+
     // Sync to Supabase
     // Use existing currentExam (already fetched at line 156 for validation)
     // This avoids redundant re-fetches or frontend pass-through complexity
@@ -447,6 +455,10 @@ async function handleGetRequest(req, res) {
             total_bookings: supabaseExam.total_bookings,
             is_active: supabaseExam.is_active,
             scheduled_activation_datetime: supabaseExam.scheduled_activation_datetime,
+            booking_cutoff_hours: supabaseExam.booking_cutoff_hours,
+            scheduled_deactivation_datetime: supabaseExam.scheduled_deactivation_datetime,
+            series_id: supabaseExam.series_id,
+            room_id: supabaseExam.room_id,
             status: supabaseExam.status,
             hs_createdate: supabaseExam.created_at,
             hs_lastmodifieddate: supabaseExam.updated_at
@@ -468,7 +480,7 @@ async function handleGetRequest(req, res) {
         console.log(`📧 [HUBSPOT] Fetching exam ${mockExamId}`);
         // Fetch with extended properties including timestamps, address, and scheduled activation
         const response = await hubspot.apiCall('GET',
-          `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/${mockExamId}?properties=mock_type,mock_set,exam_date,start_time,end_time,location,address,capacity,total_bookings,is_active,scheduled_activation_datetime,status,hs_createdate,hs_lastmodifieddate`
+          `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/${mockExamId}?properties=mock_type,mock_set,exam_date,start_time,end_time,location,address,capacity,total_bookings,is_active,scheduled_activation_datetime,booking_cutoff_hours,scheduled_deactivation_datetime,series_id,room_id,status,hs_createdate,hs_lastmodifieddate`
         );
         mockExam = response;
         dataSource = 'hubspot';
@@ -694,6 +706,9 @@ function formatMockExamResponse(mockExam) {
     }
   }
 
+  // When students can no longer book (booking-cutoff.js)
+  const bookingWindow = evaluateBookingWindow(properties);
+
   // Build response
   return {
     success: true,
@@ -711,6 +726,22 @@ function formatMockExamResponse(mockExam) {
       address: properties.address || null,
       is_active: properties.is_active || 'false', // Keep as string: 'true', 'false', or 'scheduled'
       scheduled_activation_datetime: properties.scheduled_activation_datetime || null,
+      booking_cutoff_hours: properties.booking_cutoff_hours === null || properties.booking_cutoff_hours === undefined || properties.booking_cutoff_hours === ''
+        ? null
+        : Number(properties.booking_cutoff_hours),
+      scheduled_deactivation_datetime: formatTimestamp(
+        /^\d+$/.test(String(properties.scheduled_deactivation_datetime))
+          ? parseInt(properties.scheduled_deactivation_datetime, 10)
+          : properties.scheduled_deactivation_datetime
+      ),
+      booking_cutoff: {
+        hours: bookingWindow.cutoff_hours,
+        source: bookingWindow.source,
+        closes_at: bookingWindow.closes_at,
+        open: bookingWindow.open
+      },
+      series_id: properties.series_id || null,
+      room_id: properties.room_id || null,
       status: status,
       created_at: formatTimestamp(properties.hs_createdate),
       updated_at: formatTimestamp(properties.hs_lastmodifieddate)
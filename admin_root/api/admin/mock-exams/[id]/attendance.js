@@ -639,6 +639,9 @@ async function invalidateAttendanceCaches(mockExamId) {
 
     // Invalidate mock exams list cache (as attendance affects statistics)
     await cache.deletePattern('admin:mock-exams:list:*');
+
+    // Invalidate attendance and no-show reports
+    await cache.deletePattern('admin:reports:*');
   } catch (error) {
     console.error('Error invalidating caches:', error);
     // Don't fail the request if cache invalidation fails
@@ -7,10 +7,12 @@
  * - Idempotent operations - safe to retry
  * - Soft delete: sets is_active = "Cancelled"
  * - Token refund processing (configurable via refundTokens flag)
+ * - Optional cancellation policy on refunds (refundPolicy: 'policy' forfeits late cancellations)
  * - Partial failure handling with detailed error reporting
  * - HubSpot batch API optimization with automatic chunking
  * - Supabase-only booking support (bookings not yet synced to HubSpot)
  * - Cache invalidation for affected resources
+ * - Waitlist promotion into freed seats
  * - Audit logging with booking names and refund results
  *
  * Request Body:
@@ -25,7 +27,8 @@
  *       "email": "string (optional)"
  *     }
  *   ],
- *   "refundTokens": boolean (optional, default: true)
+ *   "refundTokens": boolean (optional, default: true),
+ *   "refundPolicy": "full" | "policy" (optional, default: "full")
  * }
  *
  * Path Parameters:
@@ -42,7 +45,12 @@ const { validationMiddleware } = require('../../../_shared/validation');
 const { getCache } = require('../../../_shared/cache');
 const hubspot = require('../../../_shared/hubspot');
 const RedisLockService = require('../../../_shared/redis');
-const { updateBookingStatusInSupabase, updateExamBookingCountInSupabase } = require('../../../_shared/supabase-data');
+const {
+  updateBookingStatusInSupabase,
+  updateExamBookingCountInSupabase,
+  getExamByIdFromSupabase
+} = require('../../../_shared/supabase-data');
+const { promoteFromWaitlist } = require('../../../_shared/waitlist');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -99,7 +107,7 @@ module.exports = async (req, res) => {
       });
     });
 
-    const { bookings, refundTokens = true } = req.validatedData;
+    const { bookings, refundTokens = true, refundPolicy = 'full' } = req.validatedData;
 
     // Updated naming convention:
     // - id: Supabase UUID (primary identifier)
@@ -110,7 +118,7 @@ module.exports = async (req, res) => {
 
     console.log(`🗑️ [CANCEL] Processing batch cancellation for mock exam ${mockExamId}`);
     console.log(`🗑️ [CANCEL] Total bookings: ${bookings.length} (HubSpot: ${hubspotBookings.length}, Supabase-only: ${supabaseOnlyBookings.length})`);
-    console.log(`🔄 [CANCEL] Token refunds enabled: ${refundTokens}`);
+    console.log(`🔄 [CANCEL] Token refunds enabled: ${refundTokens} (policy: ${refundPolicy})`);
 
     // Extract HubSpot booking IDs for processing
     const bookingIds = hubspotBookings.map(b => b.hubspot_id);
@@ -484,14 +492,26 @@ module.exports = async (req, res) => {
       // Note: result.bookingId can be HubSpot ID or Supabase UUID, result.id is always Supabase UUID
       const successfulBookingIds = results.successful.map(r => r.bookingId);
       const successfulSupabaseIds = results.successful.filter(r => r.id).map(r => r.id);
-      const bookingsToRefund = bookings.filter(b =>
+      let bookingsToRefund = bookings.filter(b =>
         successfulBookingIds.includes(b.hubspot_id) ||
         successfulBookingIds.includes(b.id) ||
         successfulSupabaseIds.includes(b.id)
       );
 
       try {
-        refundResults = await refundService.processRefunds(bookingsToRefund, adminEmail);
+        // The cancellation policy is evaluated against this exam's type and start time
+        if (refundPolicy === 'policy') {
+          const exam = await getExamByIdFromSupabase(mockExamId);
+          bookingsToRefund = bookingsToRefund.map(b => ({
+            ...b,
+            mock_type: exam?.mock_type,
+            start_time: exam?.start_time,
+            exam_date: exam?.exam_date,
+            location: exam?.location
+          }));
+        }
+
+        refundResults = await refundService.processRefunds(bookingsToRefund, adminEmail, { refundPolicy });
 
         console.log(`✅ [REFUND] Refunded: ${refundResults.successful.length}, Failed: ${refundResults.failed.length}, Skipped: ${refundResults.skipped.length}`);
       } catch (error) {
@@ -553,6 +573,19 @@ module.exports = async (req, res) => {
       }
     }
 
+    // WAITLIST: Promote waitlisted students into the freed seats
+    let waitlistPromotion = null;
+    if (newlyCancelledCount > 0) {
+      waitlistPromotion = await promoteFromWaitlist(mockExamId, {
+        redis,
+        source: `admin-cancellation (${adminEmail})`
+      });
+
+      if (waitlistPromotion.promoted.length > 0) {
+        await invalidateCancellationCaches(mockExamId);
+      }
+    }
+
     // Calculate summary
     const summary = {
       total: bookings.length,  // All bookings (both HubSpot and Supabase-only)
@@ -588,6 +621,8 @@ module.exports = async (req, res) => {
         summary,
         refundSummary: refundResults ? {
           enabled: true,
+          policy: refundPolicy,
+          forfeited: refundResults.skipped.filter(s => s.forfeited).length,
           successful: refundResults.successful.length,
           failed: refundResults.failed.length,
           skipped: refundResults.skipped.length,
@@ -595,7 +630,8 @@ module.exports = async (req, res) => {
         } : {
           enabled: false
         },
-        results
+        results,
+        waitlistPromotions: waitlistPromotion ? waitlistPromotion.promoted.length : 0
       },
       meta: {
         timestamp: new Date().toISOString(),
@@ -809,7 +845,8 @@ async function createAuditLog(mockExamId, summary, adminEmail, bookingDetails, r
       • Refund Enabled: Yes<br/>
       • Successfully Refunded: ${refundResults.successful.length}<br/>
       • Failed Refunds: ${refundResults.failed.length}<br/>
-      • Skipped (no token): ${refundResults.skipped.length}<br/>
+      • Skipped (no token or forfeited): ${refundResults.skipped.length}<br/>
+      • Forfeited (late cancellation): ${refundResults.skipped.filter(s => s.forfeited).length}<br/>
       <br/>` : ''}
       <strong>Cancelled Bookings:</strong><br/>
       ${bookingsList}<br/>
@@ -0,0 +1,93 @@
+/**
+ * GET /api/admin/mock-exams/[id]/history
+ * Audit log of one mock exam - who created, edited, toggled, cloned or deleted it
+ * and which fields changed (see _shared/audit-log.js)
+ *
+ * Query Parameters:
+ * - action (optional): Only one kind of change (e.g. update, status_change)
+ * - limit (optional): Page size (default 50, max 200)
+ * - offset (optional): Entries to skip (default 0)
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { listAuditEntries } = require('../../../_shared/audit-log');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: 'Method not allowed'
+        }
+      });
+    }
+
+    // Verify admin authentication and permission
+    await requirePermission(req, 'exams.view');
+
+    const mockExamId = req.query.id;
+
+    if (!mockExamId || !/^\d+$/.test(mockExamId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Valid mock exam ID is required'
+        }
+      });
+    }
+
+    const { action, limit, offset } = await validateInput(
+      { action: req.query.action, limit: req.query.limit, offset: req.query.offset },
+      'auditLogList'
+    );
+
+    const { entries, total } = await listAuditEntries({ mockExamId, action, limit, offset });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        mock_exam_id: mockExamId,
+        entries
+      },
+      pagination: {
+        total,
+        limit,
+        offset,
+        has_more: offset + entries.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [EXAM-HISTORY] Failed to load history for ${req.query?.id}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to load mock exam history'
+      }
+    });
+  }
+};
@@ -3,10 +3,11 @@
  * Remove a single prerequisite association from a Mock Discussion exam
  */
 
-const { requirePermission } = require('../../../../middleware/requirePermission');
-const hubspot = require('../../../../../_shared/hubspot');
-const { HUBSPOT_OBJECTS } = require('../../../../../_shared/hubspot');
-const { getCache } = require('../../../../../_shared/cache');
+const { requirePermission } = require('../../../middleware/requirePermission');
+const hubspot = require('../../../../_shared/hubspot');
+const { HUBSPOT_OBJECTS } = require('../../../../_shared/hubspot');
+const { getCache } = require('../../../../_shared/cache');
+const { recordPrerequisiteChange } = require('../../../../_shared/audit-log');
 
 // Association type ID for "requires attendance at" relationship
 const PREREQUISITE_ASSOCIATION_TYPE_ID = 1340;
@@ -119,6 +120,12 @@ module.exports = async (req, res) => {
 
     // Get updated list of prerequisites
     const remainingPrerequisites = existingPrerequisites.filter(p => p.id !== prerequisiteId);
+    await recordPrerequisiteChange(
+      { req, user },
+      mockExamId,
+      existingPrerequisites.map(p => p.id),
+      remainingPrerequisites.map(p => p.id)
+    );
 
     return res.status(200).json({
       success: true,
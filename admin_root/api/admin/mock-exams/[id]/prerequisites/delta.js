@@ -9,6 +9,7 @@
 
 const { requireAdmin } = require('../../../middleware/requireAdmin');
 const { supabaseAdmin } = require('../../../../_shared/supabase');
+const { recordPrerequisiteChange } = require('../../../../_shared/audit-log');
 const hubspot = require('../../../../_shared/hubspot');
 const { HUBSPOT_OBJECTS } = require('../../../../_shared/hubspot');
 const Joi = require('joi');
@@ -128,6 +129,14 @@ module.exports = async (req, res) => {
     // Log the operation for audit trail
     console.log(`Admin ${adminEmail} delta-updated prerequisites for exam ${mockExamId}: +${rpcResult.added_count}, -${rpcResult.removed_count}`);
 
+    // The RPC only returns the resulting list - rebuild the previous one from the delta
+    const currentIds = (rpcResult.prerequisite_exam_ids || []).map(String);
+    const previousIds = [
+      ...currentIds.filter(id => !add_prerequisites.includes(id)),
+      ...(rpcResult.removed_count > 0 ? remove_prerequisites : [])
+    ];
+    await recordPrerequisiteChange({ req, user }, mockExamId, previousIds, currentIds);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -14,6 +14,7 @@ const hubspot = require('../../../../_shared/hubspot');
 const { HUBSPOT_OBJECTS } = require('../../../../_shared/hubspot');
 const Joi = require('joi');
 const { supabaseAdmin } = require('../../../../_shared/supabase');
+const { recordPrerequisiteChange } = require('../../../../_shared/audit-log');
 
 // Association type ID for "requires attendance at" relationship
 const PREREQUISITE_ASSOCIATION_TYPE_ID = 1340;
@@ -87,7 +88,7 @@ module.exports = async (req, res) => {
         // POST requires exams.edit permission
         const postUser = await requirePermission(req, 'exams.edit');
         const postAdminEmail = postUser?.email || 'admin@prepdoctors.ca';
-        return handlePostRequest(req, res, mockExamId, postAdminEmail);
+        return handlePostRequest(req, res, mockExamId, postAdminEmail, postUser);
       case 'GET':
         // GET requires exams.view permission
         await requirePermission(req, 'exams.view');
@@ -124,7 +125,7 @@ module.exports = async (req, res) => {
 /**
  * Handle POST request to create prerequisite associations
  */
-async function handlePostRequest(req, res, mockExamId, adminEmail) {
+async function handlePostRequest(req, res, mockExamId, adminEmail, user) {
   try {
 
     // Parse request body
@@ -195,6 +196,7 @@ async function handlePostRequest(req, res, mockExamId, adminEmail) {
       console.log(`🗑️ Cache invalidated for mock exam ${mockExamId}`);
 
       console.log(`Admin ${adminEmail} cleared all prerequisites from Mock Discussion ${mockExamId}`);
+      await recordPrerequisiteChange({ req, user }, mockExamId, existingPrereqs.map(p => p.id), []);
 
       // Sync to Supabase (fire-and-forget)
       setPrerequisitesInSupabase(mockExamId, []).catch(err => {
@@ -354,6 +356,7 @@ async function handlePostRequest(req, res, mockExamId, adminEmail) {
 
     // Log the operation for audit trail
     console.log(`Admin ${adminEmail} updated prerequisites for Mock Discussion ${mockExamId}: added ${toCreate.length}, removed ${toDelete.length}`);
+    await recordPrerequisiteChange({ req, user }, mockExamId, [...existingIds], prerequisite_exam_ids);
 
     // Sync to Supabase using delta-based approach (fire-and-forget)
     syncPrerequisitesToSupabase(mockExamId, toCreate, toDelete).catch(err => {
@@ -0,0 +1,197 @@
+/**
+ * API Endpoints for the examiners and proctors running a mock exam
+ *
+ * GET /api/admin/mock-exams/[id]/staff
+ * - Assigned staff plus required vs assigned counts per role (staffing ratios)
+ *
+ * POST /api/admin/mock-exams/[id]/staff
+ * - Assign a staff member. Body: { staff_id, role: 'examiner'|'proctor', allow_overlap? }
+ * - 409 STAFF_CONFLICT when the person is busy or unavailable, unless allow_overlap
+ *   is set - then the conflicts come back as staff_warnings
+ *
+ * DELETE /api/admin/mock-exams/[id]/staff?assignment_id=<uuid>
+ * - Remove a staff member from the session
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getCache } = require('../../../_shared/cache');
+const { getExamByIdFromSupabase } = require('../../../_shared/supabase-data');
+const {
+  listRatios,
+  summarizeStaffing,
+  getSessionAssignments,
+  getAssignableStaff,
+  checkStaffConflicts,
+  staffConflictResponse,
+  assignStaff,
+  unassignStaff
+} = require('../../../_shared/staff');
+
+module.exports = async (req, res) => {
+  try {
+    // Extract ID from query params (Vercel provides dynamic route params via req.query)
+    const mockExamId = req.query.id;
+
+    if (!mockExamId || !/^\d+$/.test(mockExamId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Valid mock exam ID is required'
+        }
+      });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        await requirePermission(req, 'exams.view');
+        const session = await getSession(mockExamId);
+
+        return res.status(200).json({
+          success: true,
+          data: await buildStaffingData(session)
+        });
+      }
+
+      case 'POST': {
+        const user = await requirePermission(req, 'exams.edit');
+        const { staff_id: staffId, role, allow_overlap: allowOverlap } = await validateInput(req.body || {}, 'staffAssignment');
+
+        // ====== STEP 1: LOAD SESSION AND STAFF MEMBER ======
+        const session = await getSession(mockExamId);
+        const staff = await getAssignableStaff(staffId, role);
+
+        // ====== STEP 2: CHECK AVAILABILITY ======
+        const conflicts = await checkStaffConflicts(staff, session);
+
+        if (conflicts.length > 0 && !allowOverlap) {
+          return res.status(409).json(staffConflictResponse(conflicts));
+        }
+
+        // ====== STEP 3: ASSIGN ======
+        const assignment = await assignStaff({ mockExamId, staffId, role }, user?.email);
+        console.log(`🧑‍⚕️ [STAFF] ${staff.email} assigned as ${role} to exam ${mockExamId} by ${user?.email}${conflicts.length > 0 ? ` (${conflicts.length} conflict(s) allowed)` : ''}`);
+
+        await invalidateStaffingCaches();
+
+        return res.status(201).json({
+          success: true,
+          message: `${staff.name} assigned as ${role}`,
+          data: {
+            assignment,
+            ...(await buildStaffingData(session))
+          },
+          ...(conflicts.length > 0 && { staff_warnings: conflicts.map(conflict => conflict.message) })
+        });
+      }
+
+      case 'DELETE': {
+        const user = await requirePermission(req, 'exams.edit');
+        const assignmentId = req.query.assignment_id;
+
+        if (!assignmentId || !/^[0-9a-f-]{36}$/i.test(assignmentId)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'MISSING_ASSIGNMENT_ID',
+              message: 'A valid assignment_id query parameter is required'
+            }
+          });
+        }
+
+        const session = await getSession(mockExamId);
+        const removed = await unassignStaff(mockExamId, assignmentId);
+        console.log(`🗑️ [STAFF] Assignment ${assignmentId} (${removed.role}) removed from exam ${mockExamId} by ${user?.email}`);
+
+        await invalidateStaffingCaches();
+
+        return res.status(200).json({
+          success: true,
+          message: 'Staff member removed from the session',
+          data: await buildStaffingData(session)
+        });
+      }
+
+      default:
+        return res.status(405).json({
+          success: false,
+          error: `Method ${req.method} not allowed`
+        });
+    }
+  } catch (error) {
+    console.error('❌ [STAFF] Session staff endpoint error:', error);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'An error occurred processing the request'
+      }
+    });
+  }
+};
+
+/**
+ * Load the session from Supabase
+ * @throws {Error} - 404 EXAM_NOT_FOUND
+ */
+async function getSession(mockExamId) {
+  const session = await getExamByIdFromSupabase(mockExamId);
+
+  if (!session) {
+    const notFound = new Error('Mock exam not found');
+    notFound.status = 404;
+    notFound.code = 'EXAM_NOT_FOUND';
+    throw notFound;
+  }
+
+  return session;
+}
+
+/**
+ * Assigned staff and the staffing summary for a session
+ */
+async function buildStaffingData(session) {
+  const [assignments, ratios] = await Promise.all([
+    getSessionAssignments(session.hubspot_id),
+    listRatios()
+  ]);
+
+  return {
+    mock_exam_id: session.hubspot_id,
+    assignments,
+    staffing: summarizeStaffing(session, ratios, assignments)
+  };
+}
+
+/**
+ * Listings carry understaffed flags - drop them after an assignment changes
+ */
+async function invalidateStaffingCaches() {
+  try {
+    const cache = getCache();
+    await cache.deletePattern('admin:mock-exams:list:*');
+    await cache.deletePattern('admin:aggregate:sessions:*');
+  } catch (cacheError) {
+    console.error('⚠️ [CACHE] Failed to invalidate caches after staff change:', cacheError.message);
+  }
+}
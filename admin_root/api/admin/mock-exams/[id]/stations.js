@@ -0,0 +1,162 @@
+/**
+ * API Endpoints for the stations of a Clinical Skills session and the trainees seated at them
+ * (see _shared/stations.js)
+ *
+ * GET /api/admin/mock-exams/[id]/stations
+ * - Layout, seats, trainees without a seat and a summary
+ *
+ * PUT /api/admin/mock-exams/[id]/stations
+ * - Save the layout. Body: { stations: [{ id?, label, left_handed }], rotation_groups }
+ * - Trainees at removed stations / rotation groups lose their seat
+ *
+ * POST /api/admin/mock-exams/[id]/stations
+ * - Auto-assign trainees. Body: { reset_manual? }
+ * - Handedness problems and trainees left without a seat come back as assignment_warnings
+ *
+ * PATCH /api/admin/mock-exams/[id]/stations
+ * - Move one trainee. Body: { booking_id, station_id, rotation_group } - swaps with
+ *   whoever sits there; station_id null unseats the trainee
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getExamByIdFromSupabase } = require('../../../_shared/supabase-data');
+const {
+  getSeatingPlan,
+  saveLayout,
+  autoAssign,
+  moveTrainee
+} = require('../../../_shared/stations');
+
+module.exports = async (req, res) => {
+  try {
+    // Extract ID from query params (Vercel provides dynamic route params via req.query)
+    const mockExamId = req.query.id;
+
+    if (!mockExamId || !/^\d+$/.test(mockExamId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Valid mock exam ID is required'
+        }
+      });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        await requirePermission(req, 'exams.view');
+        const session = await getSession(mockExamId);
+
+        return res.status(200).json({
+          success: true,
+          data: await getSeatingPlan(session)
+        });
+      }
+
+      case 'PUT': {
+        const user = await requirePermission(req, 'exams.edit');
+        const layout = await validateInput(req.body || {}, 'stationLayout');
+        const session = await getSession(mockExamId);
+
+        const { removed } = await saveLayout(session, layout, user?.email);
+        console.log(`🪑 [STATIONS] Layout of exam ${mockExamId} saved by ${user?.email}: ${layout.stations.length} stations x ${layout.rotation_groups} groups${removed > 0 ? `, ${removed} trainee(s) unseated` : ''}`);
+
+        return res.status(200).json({
+          success: true,
+          message: removed > 0
+            ? `Stations saved - ${removed} trainee${removed === 1 ? '' : 's'} lost their seat`
+            : 'Stations saved',
+          data: await getSeatingPlan(session)
+        });
+      }
+
+      case 'POST': {
+        const user = await requirePermission(req, 'exams.edit');
+        const { reset_manual: resetManual } = await validateInput(req.body || {}, 'stationAutoAssign');
+        const session = await getSession(mockExamId);
+
+        const result = await autoAssign(session, { resetManual }, user?.email);
+        console.log(`🪑 [STATIONS] Exam ${mockExamId} auto-assigned by ${user?.email}: ${result.assigned} seated, ${result.unassigned} without a seat`);
+
+        return res.status(200).json({
+          success: true,
+          message: `${result.assigned} trainee${result.assigned === 1 ? '' : 's'} seated`,
+          data: await getSeatingPlan(session),
+          ...(result.warnings.length > 0 && { assignment_warnings: result.warnings })
+        });
+      }
+
+      case 'PATCH': {
+        const user = await requirePermission(req, 'exams.edit');
+        const move = await validateInput(req.body || {}, 'stationMove');
+        const session = await getSession(mockExamId);
+
+        const { warnings } = await moveTrainee(session, {
+          bookingId: move.booking_id,
+          stationId: move.station_id,
+          rotationGroup: move.rotation_group
+        }, user?.email);
+        console.log(`🪑 [STATIONS] Booking ${move.booking_id} of exam ${mockExamId} ${move.station_id ? `moved to station ${move.station_id} group ${move.rotation_group}` : 'unseated'} by ${user?.email}`);
+
+        return res.status(200).json({
+          success: true,
+          message: move.station_id ? 'Trainee moved' : 'Trainee unseated',
+          data: await getSeatingPlan(session),
+          ...(warnings.length > 0 && { assignment_warnings: warnings })
+        });
+      }
+
+      default:
+        return res.status(405).json({
+          success: false,
+          error: `Method ${req.method} not allowed`
+        });
+    }
+  } catch (error) {
+    console.error('❌ [STATIONS] Session stations endpoint error:', error);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'An error occurred processing the request'
+      }
+    });
+  }
+};
+
+/**
+ * Load the session from Supabase
+ * @throws {Error} - 404 EXAM_NOT_FOUND
+ */
+async function getSession(mockExamId) {
+  const session = await getExamByIdFromSupabase(mockExamId);
+
+  if (!session) {
+    const notFound = new Error('Mock exam not found');
+    notFound.status = 404;
+    notFound.code = 'EXAM_NOT_FOUND';
+    throw notFound;
+  }
+
+  return session;
+}
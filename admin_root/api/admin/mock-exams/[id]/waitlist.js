@@ -0,0 +1,175 @@
+/**
+ * API Endpoints for managing a mock exam's waitlist
+ *
+ * GET /api/admin/mock-exams/[id]/waitlist
+ * - Waiting entries in queue order plus recent history (promoted/skipped/left/removed)
+ *
+ * PATCH /api/admin/mock-exams/[id]/waitlist
+ * - Reorder waiting entries. Body: { entry_ids: [uuid, ...] } in the new order
+ *
+ * DELETE /api/admin/mock-exams/[id]/waitlist?entry_id=<uuid>
+ * - Remove a waiting entry from the queue
+ *
+ * POST /api/admin/mock-exams/[id]/waitlist
+ * - Run promotion now (fills any free seats from the queue)
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getCache } = require('../../../_shared/cache');
+const RedisLockService = require('../../../_shared/redis');
+const {
+  getWaitlistForExam,
+  reorderWaitlist,
+  removeWaitlistEntry,
+  promoteFromWaitlist
+} = require('../../../_shared/waitlist');
+
+module.exports = async (req, res) => {
+  try {
+    // Extract ID from query params (Vercel provides dynamic route params via req.query)
+    const mockExamId = req.query.id;
+
+    if (!mockExamId || !/^\d+$/.test(mockExamId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Valid mock exam ID is required'
+        }
+      });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        await requirePermission(req, 'exams.view');
+        const waitlist = await getWaitlistForExam(mockExamId);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            mock_exam_id: mockExamId,
+            waiting: waitlist.waiting,
+            history: waitlist.history,
+            total_waiting: waitlist.waiting.length
+          }
+        });
+      }
+
+      case 'PATCH': {
+        const user = await requirePermission(req, 'exams.edit');
+        const { entry_ids: entryIds } = await validateInput(req.body || {}, 'waitlistReorder');
+
+        const waiting = await reorderWaitlist(mockExamId, entryIds);
+        console.log(`✅ [WAITLIST] Admin ${user?.email} reordered waitlist for exam ${mockExamId}`);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Waitlist reordered successfully',
+          data: {
+            mock_exam_id: mockExamId,
+            waiting,
+            total_waiting: waiting.length
+          }
+        });
+      }
+
+      case 'DELETE': {
+        const user = await requirePermission(req, 'exams.edit');
+        const entryId = req.query.entry_id;
+
+        if (!entryId) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'MISSING_ENTRY_ID',
+              message: 'entry_id query parameter is required'
+            }
+          });
+        }
+
+        const entry = await removeWaitlistEntry(mockExamId, entryId, user?.email || 'admin@prepdoctors.ca');
+
+        return res.status(200).json({
+          success: true,
+          message: 'Waitlist entry removed',
+          data: entry
+        });
+      }
+
+      case 'POST': {
+        const user = await requirePermission(req, 'exams.edit');
+        const redis = new RedisLockService();
+
+        let promotion;
+        try {
+          promotion = await promoteFromWaitlist(mockExamId, {
+            redis,
+            source: `admin-manual (${user?.email})`
+          });
+        } finally {
+          await redis.close();
+        }
+
+        if (promotion.promoted.length > 0) {
+          await invalidateWaitlistPromotionCaches(mockExamId);
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: promotion.deferred
+            ? 'Another booking is in progress for this exam. Please try again.'
+            : `${promotion.promoted.length} student(s) promoted from the waitlist`,
+          data: promotion
+        });
+      }
+
+      default:
+        return res.status(405).json({
+          success: false,
+          error: `Method ${req.method} not allowed`
+        });
+    }
+  } catch (error) {
+    console.error('❌ [WAITLIST] Endpoint error:', error);
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    const statusCode = error.statusCode || error.status || 500;
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message || 'An error occurred processing the request'
+      }
+    });
+  }
+};
+
+/**
+ * Invalidate caches affected by promoted bookings
+ * (same keys as cancel-bookings.js invalidateCancellationCaches)
+ */
+async function invalidateWaitlistPromotionCaches(mockExamId) {
+  try {
+    const cache = getCache();
+    await cache.deletePattern(`admin:mock-exam:${mockExamId}:bookings:*`);
+    await cache.delete(`admin:mock-exam:${mockExamId}`);
+    await cache.delete(`admin:mock-exam:details:${mockExamId}`);
+    await cache.deletePattern('admin:mock-exams:list:*');
+    await cache.deletePattern('admin:mock-exams:aggregates:*');
+    await cache.deletePattern('admin:aggregate:sessions:*');
+    await cache.deletePattern('admin:metrics:*');
+  } catch (cacheError) {
+    console.error('⚠️ [CACHE] Failed to invalidate caches after waitlist promotion:', cacheError.message);
+  }
+}
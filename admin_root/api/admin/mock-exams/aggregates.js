@@ -121,7 +121,9 @@ module.exports = async (req, res) => {
             available_slots: Math.max(0, capacity - totalBookings),
             utilization_rate: utilizationRate,
             is_active: exam.is_active,
-            scheduled_activation_datetime: exam.scheduled_activation_datetime || null  // For tooltip on "Scheduled" status
+            scheduled_activation_datetime: exam.scheduled_activation_datetime || null,  // For tooltip on "Scheduled" status
+            series_id: exam.series_id || null,  // For series actions from the dashboard
+            room_id: exam.room_id || null  // Kept when cloning
           });
         });
 
@@ -9,6 +9,7 @@ const { requirePermission } = require('../../../middleware/requirePermission');
 const hubspot = require('../../../../_shared/hubspot');
 const { getCache } = require('../../../../_shared/cache');
 const { getExamsByIdsFromSupabase } = require('../../../../_shared/supabase-data');
+const { attachStaffing } = require('../../../../_shared/staff');
 
 module.exports = async (req, res) => {
   try {
@@ -176,7 +177,7 @@ module.exports = async (req, res) => {
     }
 
     // Transform sessions to include additional calculated fields
-    const transformedSessions = sessions.map(session => {
+    const sessionRows = sessions.map(session => {
       const capacity = parseInt(session.properties.capacity) || 0;
       const totalBookings = parseInt(session.properties.total_bookings) || 0;
 
@@ -195,11 +196,16 @@ module.exports = async (req, res) => {
           ? Math.round((totalBookings / capacity) * 100)
           : 0,
         status: session.properties.is_active === 'true' ? 'active' : 'inactive',
+        series_id: session.properties.series_id || null,
+        room_id: session.properties.room_id || null,
         created_at: session.properties.hs_createdate,
         updated_at: session.properties.hs_lastmodifieddate
       };
     });
 
+    // Required vs assigned examiners/proctors (understaffed flag on the dashboard)
+    const transformedSessions = await attachStaffing(sessionRows);
+
     const response = {
       success: true,
       aggregate_key: key,
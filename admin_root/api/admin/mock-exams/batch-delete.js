@@ -7,7 +7,7 @@
  * - Booking protection - prevents deletion of sessions with active/completed bookings
  * - Idempotent operations - safe to retry
  * - Partial failure handling with detailed error reporting
- * - HubSpot batch archive API optimization
+ * - Sessions go to the trash (restorable until purge_after, then purged by cron)
  * - Cache invalidation for affected resources
  * - Audit logging for each bulk operation
  *
@@ -32,6 +32,7 @@
  *     "notFound": 0,
  *     "errors": 0
  *   },
+ *   "purge_after": "2025-02-13T12:00:00Z",   // Deleted sessions can be restored until then
  *   "meta": {
  *     "timestamp": "2025-01-14T12:00:00Z",
  *     "processedBy": "admin@prepdoctors.com",
@@ -52,8 +53,8 @@ const { requirePermission } = require('../middleware/requirePermission');
 const { validationMiddleware } = require('../../_shared/validation');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
-const { deleteExamFromSupabase } = require('../../_shared/supabase-data');
-const { supabaseAdmin } = require('../../_shared/supabase');
+const { moveToTrash } = require('../../_shared/trash');
+const { recordAuditEntries, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -176,27 +177,36 @@ module.exports = async (req, res) => {
       }
     }
 
-    // Step 3: Delete sessions in batches using HubSpot batch archive API
-    if (deletableSessions.length > 0) {
-      console.log(`⚡ [BATCH-DELETE] Deleting ${deletableSessions.length} sessions...`);
+    // Step 3: Move sessions to the trash (restorable until purge_after, see _shared/trash.js)
+    let supabaseSynced = false;
+    let purgeAfter = null;
 
-      const deleteResults = await batchArchiveSessions(deletableSessions);
-      console.log(`✅ [BATCH-DELETE] HubSpot deletion complete. Results:`, {
-        successful: deleteResults.successful.length,
-        failed: deleteResults.failed.length
+    if (deletableSessions.length > 0) {
+      console.log(`⚡ [BATCH-DELETE] Moving ${deletableSessions.length} sessions to trash...`);
+
+      const trashResults = await moveToTrash(
+        deletableSessions.map(sessionId => ({
+          id: sessionId,
+          properties: validationResults.find(result => result.sessionId === sessionId)?.properties
+        })),
+        { req, user }
+      );
+      console.log(`✅ [BATCH-DELETE] Trash complete. Results:`, {
+        successful: trashResults.trashed.length,
+        failed: trashResults.failed.length
       });
 
       // Process successful deletions
-      for (const sessionId of deleteResults.successful) {
+      for (const sessionId of trashResults.trashed) {
         results.deleted.push(sessionId);
         summary.deleted++;
       }
 
       // Process deletion failures
-      for (const failure of deleteResults.failed) {
-        results.failed.push(failure.sessionId);
+      for (const failure of trashResults.failed) {
+        results.failed.push(failure.id);
         results.errors.push({
-          id: failure.sessionId,
+          id: failure.id,
           error: failure.error,
           message: failure.message
         });
@@ -204,6 +214,9 @@ module.exports = async (req, res) => {
         summary.errors++;
       }
 
+      supabaseSynced = trashResults.supabaseSynced;
+      purgeAfter = trashResults.purgeAfter;
+
       console.log(`📊 [BATCH-DELETE] Processed deletion results. Total deleted: ${results.deleted.length}, Total failed: ${results.failed.length}`);
     } else {
       console.log(`⚠️ [BATCH-DELETE] No deletable sessions found`);
@@ -215,63 +228,6 @@ module.exports = async (req, res) => {
       console.log(`🗑️ [BATCH-DELETE] Caches invalidated`);
     }
 
-    // Step 4.5: Sync deletions to Supabase
-    let supabaseSynced = false;
-    console.log(`🔍 [BATCH-DELETE] Checking if Supabase sync needed. Deleted count: ${results.deleted.length}`);
-
-    if (results.deleted.length > 0) {
-      console.log(`🔍 [BATCH-DELETE] Starting Supabase sync for ${results.deleted.length} deleted exams...`);
-      try {
-        // CRITICAL: Delete associated bookings BEFORE deleting exams to avoid FK constraint violations
-        console.log(`🗑️ [BATCH-DELETE] Deleting associated bookings from Supabase for ${results.deleted.length} exams...`);
-
-        const bookingDeletes = results.deleted.map(async (sessionId) => {
-          try {
-            // Delete all bookings (including cancelled) for this exam session
-            const { error } = await supabaseAdmin
-              .from('hubspot_bookings')
-              .delete()
-              .eq('associated_mock_exam', sessionId);
-
-            if (error) {
-              console.error(`❌ [BATCH-DELETE] Failed to delete bookings for exam ${sessionId}:`, error.message);
-              // Don't throw - continue with other deletions
-            } else {
-              console.log(`✅ [BATCH-DELETE] Deleted bookings for exam ${sessionId} from Supabase`);
-            }
-          } catch (error) {
-            console.error(`❌ [BATCH-DELETE] Error deleting bookings for exam ${sessionId}:`, error.message);
-          }
-        });
-
-        await Promise.allSettled(bookingDeletes);
-        console.log(`✅ [BATCH-DELETE] Finished deleting associated bookings from Supabase`);
-
-        // Now delete the exams themselves
-        console.log(`🗑️ [BATCH-DELETE] Deleting ${results.deleted.length} exams from Supabase...`);
-        const supabaseDeletes = results.deleted.map(sessionId =>
-          deleteExamFromSupabase(sessionId)
-        );
-
-        const supabaseResults = await Promise.allSettled(supabaseDeletes);
-        const syncedCount = supabaseResults.filter(r => r.status === 'fulfilled').length;
-
-        // Log individual failures for debugging
-        supabaseResults.forEach((result, index) => {
-          if (result.status === 'rejected') {
-            const sessionId = results.deleted[index];
-            console.error(`❌ [BATCH-DELETE] Failed to delete exam ${sessionId} from Supabase:`, result.reason);
-          }
-        });
-
-        console.log(`✅ [BATCH-DELETE] Deleted ${syncedCount}/${results.deleted.length} exams from Supabase`);
-        supabaseSynced = syncedCount === results.deleted.length;
-      } catch (supabaseError) {
-        console.error('❌ Supabase batch delete sync failed:', supabaseError.message);
-        // Continue - HubSpot is source of truth
-      }
-    }
-
     // Step 5: Create audit log (non-blocking)
     if (results.deleted.length > 0) {
       console.log(`✅ [BATCH-DELETE] Successfully deleted ${results.deleted.length} session(s)`);
@@ -280,6 +236,18 @@ module.exports = async (req, res) => {
       createAuditLog(summary, adminEmail, sessionIds, results).catch(error => {
         console.error('Failed to create audit log:', error);
       });
+
+      await recordAuditEntries(
+        { req, user, action: AUDIT_ACTIONS.DELETE },
+        results.deleted.map(sessionId => ({
+          mockExamId: sessionId,
+          changes: snapshotChanges(
+            validationResults.find(result => result.sessionId === sessionId)?.properties,
+            'deleted'
+          ),
+          metadata: { session_count: results.deleted.length, trashed: true, purge_after: purgeAfter }
+        }))
+      );
     }
 
     // Check for timeout before response
@@ -301,7 +269,8 @@ module.exports = async (req, res) => {
         processedBy: adminEmail,
         executionTime
       },
-      supabase_synced: supabaseSynced
+      supabase_synced: supabaseSynced,
+      purge_after: purgeAfter
     });
 
   } catch (error) {
@@ -406,7 +375,8 @@ async function validateSessionsForDeletion(sessionIds) {
         // Only cancelled bookings - safe to delete
         validationResults.push({
           sessionId,
-          canDelete: true
+          canDelete: true,
+          properties: session.properties
         });
       } catch (error) {
         console.error(`Error fetching bookings for session ${sessionId}:`, error);
@@ -421,7 +391,8 @@ async function validateSessionsForDeletion(sessionIds) {
       // No bookings - safe to delete
       validationResults.push({
         sessionId,
-        canDelete: true
+        canDelete: true,
+        properties: session.properties
       });
     }
   }
@@ -443,11 +414,21 @@ async function fetchSessionsBatch(sessionIds) {
       const response = await hubspot.apiCall('POST', `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/batch/read`, {
         properties: [
           'mock_type',
+          'mock_set',
           'exam_date',
+          'start_time',
+          'end_time',
           'location',
+          'address',
           'capacity',
           'total_bookings',
-          'is_active'
+          'is_active',
+          'scheduled_activation_datetime',
+          'mock_exam_name',
+          'room_id',
+          'series_id',
+          'booking_cutoff_hours',
+          'scheduled_deactivation_datetime'
         ],
         inputs: chunk.map(id => ({ id }))
       });
@@ -466,83 +447,6 @@ async function fetchSessionsBatch(sessionIds) {
   return sessionsMap;
 }
 
-/**
- * Delete sessions using HubSpot batch archive API
- * Returns { successful: string[], failed: object[] }
- */
-async function batchArchiveSessions(sessionIds) {
-  console.log(`🔧 [batchArchiveSessions] Starting deletion of ${sessionIds.length} sessions`);
-  const results = {
-    successful: [],
-    failed: []
-  };
-
-  // Split into chunks of 100 (HubSpot batch limit)
-  for (let i = 0; i < sessionIds.length; i += HUBSPOT_BATCH_SIZE) {
-    const chunk = sessionIds.slice(i, i + HUBSPOT_BATCH_SIZE);
-    console.log(`🔧 [batchArchiveSessions] Processing chunk ${i / HUBSPOT_BATCH_SIZE + 1} with ${chunk.length} sessions`);
-
-    try {
-      const response = await hubspot.apiCall(
-        'POST',
-        `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/batch/archive`,
-        { inputs: chunk.map(id => ({ id })) }
-      );
-      console.log(`🔧 [batchArchiveSessions] HubSpot API response received:`, {
-        status: response.status || 'unknown',
-        hasResults: !!response.results,
-        resultsCount: response.results?.length || 0,
-        hasErrors: !!response.errors,
-        errorsCount: response.errors?.length || 0,
-        fullResponse: response
-      });
-
-      // HubSpot batch archive API may return empty response on success
-      // If no errors and API call succeeded, assume all in chunk were deleted
-      if (response.results && response.results.length > 0) {
-        // Standard response with results
-        for (const result of response.results) {
-          results.successful.push(result.id);
-        }
-      } else if (!response.errors || response.errors.length === 0) {
-        // No results but also no errors - API succeeded, assume all deleted
-        console.log(`🔧 [batchArchiveSessions] No results returned but no errors either - assuming success for ${chunk.length} sessions`);
-        for (const sessionId of chunk) {
-          results.successful.push(sessionId);
-        }
-      }
-
-      // Process partial failures
-      if (response.errors && response.errors.length > 0) {
-        for (const error of response.errors) {
-          results.failed.push({
-            sessionId: error.context?.id || 'unknown',
-            error: 'HUBSPOT_API_ERROR',
-            message: error.message || 'Failed to delete session'
-          });
-        }
-      }
-    } catch (error) {
-      console.error(`❌ [batchArchiveSessions] Error deleting session batch:`, error);
-
-      // Mark all items in this chunk as failed
-      for (const sessionId of chunk) {
-        results.failed.push({
-          sessionId,
-          error: 'BATCH_DELETE_FAILED',
-          message: error.message || 'Batch delete operation failed'
-        });
-      }
-    }
-  }
-
-  console.log(`🔧 [batchArchiveSessions] Deletion complete. Returning results:`, {
-    successful: results.successful.length,
-    failed: results.failed.length
-  });
-  return results;
-}
-
 /**
  * Invalidate caches affected by session deletions
  */
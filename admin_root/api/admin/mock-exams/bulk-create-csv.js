@@ -12,7 +12,7 @@
  * - mock_type: Situational Judgment, Clinical Skills, Mini-mock, Mock Discussion
  * - exam_date: YYYY-MM-DD format
  * - capacity: 1-100
- * - location: Mississauga, Calgary, Vancouver, Montreal, Richmond Hill, Online, etc.
+ * - location: any active site in the location catalog (aliases like miss, b9, rhill accepted)
  * - start_time: HH:MM (24-hour format)
  * - end_time: HH:MM (24-hour format)
  *
@@ -20,12 +20,20 @@
  * - mock_set: A-H (not applicable for Mini-mock)
  * - is_active: true, false, scheduled (default: true)
  * - scheduled_activation_datetime: ISO datetime (required if is_active = scheduled)
+ *
+ * Session Template (optional):
+ * - template_id in the request body applies a session template (session-templates.js).
+ *   Only exam_date is then required: blank cells take the template values, and a
+ *   row without start_time/end_time becomes one session per template time slot.
  */
 
 const { requirePermission } = require('../middleware/requirePermission');
 const { HubSpotService } = require('../../_shared/hubspot');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
 const { getCache } = require('../../_shared/cache');
+const { getTemplate, applyTemplateToCsvRows } = require('../../_shared/session-templates');
+const { refreshLocationCatalog, getLocationNames, resolveLocationName } = require('../../_shared/locations');
+const { recordAuditEntries, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 // ============== CONSTANTS ==============
 
@@ -74,18 +82,9 @@ const MOCK_TYPE_ALIASES = {
   'disc': 'Mock Discussion'
 };
 
-const VALID_LOCATIONS = [
-  'Mississauga',
-  'Mississauga - B9',
-  'Mississauga - Lab D',
-  'Calgary',
-  'Vancouver',
-  'Montreal',
-  'Richmond Hill',
-  'Online'
-];
-
-// Location aliases for flexible input (all lowercase for matching)
+// Valid locations come from the location catalog (_shared/locations.js).
+// Location aliases for flexible input (all lowercase for matching) - only used
+// while the site they point at is active in the catalog
 const LOCATION_ALIASES = {
   // Mississauga main
   'mississauga': 'Mississauga',
@@ -165,7 +164,7 @@ function normalizeMockType(input) {
 }
 
 /**
- * Normalize location input
+ * Normalize location input against the active sites of the location catalog
  */
 function normalizeLocation(input) {
   if (!input) return null;
@@ -173,12 +172,11 @@ function normalizeLocation(input) {
 
   // Check aliases first
   if (LOCATION_ALIASES[normalized]) {
-    return LOCATION_ALIASES[normalized];
+    return resolveLocationName(LOCATION_ALIASES[normalized]);
   }
 
-  // Check exact match (case-insensitive)
-  const exactMatch = VALID_LOCATIONS.find(l => l.toLowerCase() === normalized);
-  return exactMatch || null;
+  // Check catalog match (case-insensitive, booking codes too)
+  return resolveLocationName(normalized);
 }
 
 /**
@@ -347,7 +345,7 @@ function validateRow(row) {
       errors.push({
         field: 'location',
         code: 'INVALID_LOCATION',
-        message: `Invalid location '${row.location}'. Valid locations: ${VALID_LOCATIONS.join(', ')}`
+        message: `Invalid location '${row.location}'. Valid locations: ${getLocationNames().join(', ')}`
       });
     } else {
       normalized.location = location;
@@ -496,7 +494,7 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
     console.log(`[BULK-EXAMS-${modeLabel}] Admin authenticated: ${adminEmail}`);
 
     // Validate request body
-    const { csv_data } = req.body;
+    const { csv_data, template_id } = req.body;
     if (!csv_data || typeof csv_data !== 'string') {
       return res.status(400).json({
         success: false,
@@ -509,10 +507,29 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
 
     // Parse CSV
     console.log(`[BULK-EXAMS-${modeLabel}] Parsing CSV data...`);
-    const { headers, rows } = parseCSV(csv_data);
+    const { headers, rows: csvRows } = parseCSV(csv_data);
+
+    // Load the session template, if one was picked
+    let template = null;
+    if (template_id) {
+      try {
+        template = await getTemplate(template_id);
+        console.log(`[BULK-EXAMS-${modeLabel}] Applying template "${template.name}"`);
+      } catch (templateError) {
+        return res.status(templateError.status === 404 ? 400 : 500).json({
+          success: false,
+          error: {
+            code: templateError.code || 'TEMPLATE_ERROR',
+            message: templateError.message
+          }
+        });
+      }
+    }
 
-    // Validate required headers
-    const requiredHeaders = ['mock_type', 'exam_date', 'capacity', 'location', 'start_time', 'end_time'];
+    // Validate required headers (a template supplies everything but the date)
+    const requiredHeaders = template
+      ? ['exam_date']
+      : ['mock_type', 'exam_date', 'capacity', 'location', 'start_time', 'end_time'];
     const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
     if (missingHeaders.length > 0) {
       return res.status(400).json({
@@ -524,6 +541,8 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
       });
     }
 
+    const rows = template ? applyTemplateToCsvRows(csvRows, template) : csvRows;
+
     // Validate row count
     if (rows.length === 0) {
       return res.status(400).json({
@@ -540,7 +559,9 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
         success: false,
         error: {
           code: 'PAYLOAD_TOO_LARGE',
-          message: `CSV exceeds maximum of ${MAX_ROWS} rows. Got ${rows.length} rows.`
+          message: template && rows.length !== csvRows.length
+            ? `CSV expands to ${rows.length} sessions with the template's time slots. Maximum is ${MAX_ROWS}.`
+            : `CSV exceeds maximum of ${MAX_ROWS} rows. Got ${rows.length} rows.`
         }
       });
     }
@@ -548,6 +569,7 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
     console.log(`[BULK-EXAMS-${modeLabel}] Processing ${rows.length} rows...`);
 
     // ========== STEP 1: Validate all rows ==========
+    await refreshLocationCatalog();
     const validationResults = rows.map(row => {
       const validation = validateRow(row);
       return {
@@ -694,6 +716,15 @@ async function bulkCreateMockExamsCSVHandler(req, res) {
 
       supabaseSynced = syncResults.filter(r => r.status === 'fulfilled').length;
       console.log(`[BULK-EXAMS-CREATE] Synced ${supabaseSynced}/${createdExams.length} exams to Supabase`);
+
+      await recordAuditEntries(
+        { req, user, action: AUDIT_ACTIONS.CREATE },
+        createdExams.map(exam => ({
+          mockExamId: exam.id,
+          changes: snapshotChanges(exam.properties),
+          metadata: { source: 'csv-import', ...(template_id && { template_id }) }
+        }))
+      );
     }
 
     // ========== STEP 3: Invalidate caches ==========
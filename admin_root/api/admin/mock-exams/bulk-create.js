@@ -4,6 +4,10 @@
  *
  * Allows admin users to create multiple mock exam sessions with different time slots
  * Invalidates related caches after successful creation.
+ *
+ * With commonProperties.room_id the room's site becomes the location and its
+ * seat count the default capacity. Slots that overlap existing sessions in the
+ * room are rejected with 409 ROOM_CONFLICT unless allow_room_overlap is true.
  */
 
 const { HubSpotService } = require('../../_shared/hubspot');
@@ -11,6 +15,13 @@ const { validateInput } = require('../../_shared/validation');
 const { requirePermission } = require('../middleware/requirePermission');
 const { getCache } = require('../../_shared/cache');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
+const { recordAuditEntries, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
+const {
+  getAssignableRoom,
+  getCapacityWarning,
+  checkRoomConflicts,
+  roomConflictResponse
+} = require('../../_shared/rooms');
 
 /**
  * Handler for bulk creating mock exams
@@ -85,6 +96,46 @@ async function bulkCreateMockExamsHandler(req, res) {
     const hubspot = new HubSpotService();
     console.log('✅ [BULK-CREATE] HubSpot service initialized');
 
+    // Resolve the room and check it is free for every slot
+    const roomWarnings = [];
+    if (commonProperties.room_id) {
+      console.log('🔍 [BULK-CREATE] Checking room availability...');
+      const room = await getAssignableRoom(commonProperties.room_id);
+      commonProperties.location = room.site;
+
+      if (capacityMode === 'per-slot') {
+        timeSlots.forEach(slot => {
+          slot.capacity = slot.capacity || room.capacity;
+        });
+      } else {
+        commonProperties.capacity = commonProperties.capacity || room.capacity;
+      }
+
+      const conflicts = await checkRoomConflicts(timeSlots.map(slot => ({
+        room_id: room.id,
+        exam_date: commonProperties.exam_date,
+        start_time: hubspot.convertToTimestamp(commonProperties.exam_date, slot.start_time),
+        end_time: hubspot.convertToTimestamp(commonProperties.exam_date, slot.end_time),
+        label: `${slot.start_time}-${slot.end_time}`
+      })), { rooms: new Map([[room.id, room]]) });
+
+      if (conflicts.length > 0 && !validatedData.allow_room_overlap) {
+        console.error(`❌ [BULK-CREATE] ${conflicts.length} room overlap(s), nothing created`);
+        return res.status(409).json(roomConflictResponse(conflicts));
+      }
+
+      roomWarnings.push(...conflicts.map(conflict => conflict.message));
+      const capacities = capacityMode === 'per-slot'
+        ? timeSlots.map(slot => slot.capacity)
+        : [commonProperties.capacity];
+      [...new Set(capacities)].forEach(capacity => {
+        const capacityWarning = getCapacityWarning(room, capacity);
+        if (capacityWarning) roomWarnings.push(capacityWarning);
+      });
+    } else {
+      delete commonProperties.room_id;
+    }
+
     // Create mock exams in HubSpot using batch API
     console.log('🔍 [BULK-CREATE] Step 4: Calling batchCreateMockExams...');
     console.log('📤 [BULK-CREATE] Sending to HubSpot:', {
@@ -102,9 +153,19 @@ async function bulkCreateMockExamsHandler(req, res) {
       firstItem: Array.isArray(result) && result.length > 0 ? result[0] : 'N/A'
     });
 
+    const auditCreated = (exams) => recordAuditEntries(
+      { req, user: req.user, action: AUDIT_ACTIONS.CREATE },
+      (exams || []).map(exam => ({
+        mockExamId: exam.id,
+        changes: snapshotChanges(exam.properties),
+        metadata: { source: 'bulk-create' }
+      }))
+    );
+
     // Check result status
     if (!result.success && result.status === 'PARTIAL') {
       console.warn(`⚠️ [BULK-CREATE] Partial success: ${result.created_count}/${timeSlots.length} mock exams created`);
+      await auditCreated(result.mockExams);
 
       return res.status(207).json({ // 207 Multi-Status
         success: false,
@@ -141,6 +202,8 @@ async function bulkCreateMockExamsHandler(req, res) {
       }
     }
 
+    await auditCreated(mockExamsArray);
+
     // Invalidate caches after successful bulk creation
     console.log('🔍 [BULK-CREATE] Step 6: Invalidating caches...');
     const cache = getCache();
@@ -161,6 +224,7 @@ async function bulkCreateMockExamsHandler(req, res) {
         id: exam.id,
         properties: exam.properties
       })),
+      ...(roomWarnings.length > 0 && { room_warnings: roomWarnings }),
       message: `Successfully created ${mockExams.length} mock exam${mockExams.length > 1 ? 's' : ''}`,
       supabase_synced: supabaseSynced
     });
@@ -180,7 +244,7 @@ async function bulkCreateMockExamsHandler(req, res) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'VALIDATION_ERROR',
+          code: error.code || 'VALIDATION_ERROR',
           message: error.message,
           details: error.validationErrors || []
         }
@@ -192,7 +256,7 @@ async function bulkCreateMockExamsHandler(req, res) {
       return res.status(error.status).json({
         success: false,
         error: {
-          code: 'HUBSPOT_ERROR',
+          code: error.code || 'HUBSPOT_ERROR',
           message: error.message
         }
       });
@@ -258,7 +322,7 @@ module.exports = async (req, res) => {
 
   try {
     // Require admin authentication and permission
-    await requirePermission(req, 'exams.create');
+    req.user = await requirePermission(req, 'exams.create');
 
     // Call handler
     return await bulkCreateMockExamsHandler(req, res);
@@ -27,6 +27,7 @@ const { validationMiddleware } = require('../../_shared/validation');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
 const { supabaseAdmin } = require('../../_shared/supabase');
+const { recordAuditEntries, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -242,6 +243,15 @@ module.exports = async (req, res) => {
       createAuditLog(summary, adminEmail, sessionIds).catch(error => {
         console.error('Failed to create audit log:', error);
       });
+
+      await recordAuditEntries(
+        { req, user, action: AUDIT_ACTIONS.STATUS_CHANGE },
+        results.successful.map(result => ({
+          mockExamId: result.sessionId,
+          changes: { is_active: { from: result.previousState || null, to: result.newState } },
+          metadata: { session_count: results.successful.length }
+        }))
+      );
     }
 
     // Check for timeout (Vercel 60s limit)
@@ -462,7 +472,7 @@ async function createAuditLog(summary, adminEmail, sessionIds) {
 
     // Note: Unlike the attendance endpoint, we don't create notes on individual sessions
     // as this could create hundreds of notes. Instead, we just log the operation.
-    // In a production environment, this could be written to an audit log table or service.
+    // The per-session before/after states go to the mock exam audit log (audit-log.js).
 
   } catch (error) {
     console.error('Failed to create audit log:', error);
@@ -34,6 +34,7 @@ const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
 const { syncExamToSupabase, getExamsByIdsFromSupabase } = require('../../_shared/supabase-data');
 const { triggerExamCascade, shouldCascadeUpdate, extractCascadeProperties } = require('../../_shared/supabase-webhook');
+const { recordAuditEntries, diffChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 // HubSpot Object Type ID for mock exams
 const HUBSPOT_OBJECTS = {
@@ -325,6 +326,17 @@ module.exports = async (req, res) => {
       createAuditTrails(results.successful, cleanedUpdates, user).catch(err => {
         console.error('[BULK-UPDATE] Audit trail creation failed:', err);
       });
+
+      await recordAuditEntries(
+        { req, user, action: AUDIT_ACTIONS.BULK_UPDATE },
+        validUpdates
+          .filter(update => results.successful.includes(update.id))
+          .map(update => ({
+            mockExamId: update.id,
+            changes: diffChanges(update.currentState, update.properties),
+            metadata: { session_count: results.successful.length }
+          }))
+      );
     }
 
     // Step 8.5: Sync updates to Supabase
@@ -15,6 +15,9 @@
  * - Partial failure handling with detailed error reporting
  * - Comprehensive cache invalidation
  * - Audit trail creation for source sessions
+ * - Room overlap detection: clones stay in the source room unless overrides.room_id
+ *   moves them ('' clears the room); overlaps are rejected with 409 ROOM_CONFLICT
+ *   unless allow_room_overlap is true
  *
  * Request Body:
  * {
@@ -50,6 +53,14 @@ const { validationMiddleware } = require('../../_shared/validation');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
+const { recordAuditEntries, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
+const {
+  getAssignableRoom,
+  getRoomsByIds,
+  getCapacityWarning,
+  checkRoomConflicts,
+  roomConflictResponse
+} = require('../../_shared/rooms');
 
 // HubSpot Object Type ID for mock exams
 const HUBSPOT_OBJECTS = {
@@ -93,10 +104,14 @@ module.exports = async (req, res) => {
       });
     });
 
-    const { cloneSources, overrides } = req.validatedData;
+    const { cloneSources, overrides, allow_room_overlap: allowRoomOverlap } = req.validatedData;
 
     console.log(`📋 [CLONE] Processing ${cloneSources.length} clone requests with provided source data...`);
 
+    // A room override moves every clone to that room (and its site)
+    const overrideRoom = overrides.room_id ? await getAssignableRoom(overrides.room_id) : null;
+    const overrideLocation = overrideRoom ? overrideRoom.site : overrides.location;
+
     // Step 3: Get max mock_exam_id for auto-incrementing new IDs
     console.log(`🔢 [CLONE] Fetching max mock_exam_id for ID generation...`);
     const maxMockExamId = await hubspot.getMaxMockExamIndex();
@@ -105,6 +120,7 @@ module.exports = async (req, res) => {
     // Step 4: Build properties for cloned sessions using provided source data
     const clonedSessionInputs = [];
     const validationErrors = [];
+    const sourceIdByMockExamId = new Map(); // new mock_exam_id -> source session, for the audit log
 
     for (let i = 0; i < cloneSources.length; i++) {
       const source = cloneSources[i];
@@ -140,7 +156,8 @@ module.exports = async (req, res) => {
 
         // Apply overrides (only non-empty values)
         ...(overrides.exam_date && { exam_date: overrides.exam_date }),
-        ...(overrides.location && { location: overrides.location }),
+        ...(overrideLocation && { location: overrideLocation }),
+        ...(overrides.room_id !== undefined && { room_id: overrides.room_id }),
         ...(overrides.mock_type && { mock_type: overrides.mock_type }),
         ...(overrides.capacity && { capacity: overrides.capacity.toString() }),
         ...(overrides.is_active && { is_active: mapIsActiveToHubSpot(overrides.is_active) }),
@@ -158,7 +175,7 @@ module.exports = async (req, res) => {
         total_bookings: '0',
 
         // Auto-generate new mock_exam_name
-        mock_exam_name: `${overrides.mock_type || sourceProps.mock_type}-${overrides.location || sourceProps.location}-${overrides.exam_date}`
+        mock_exam_name: `${overrides.mock_type || sourceProps.mock_type}-${overrideLocation || sourceProps.location}-${overrides.exam_date}`
       };
 
       // Convert start_time and end_time to use the new exam_date
@@ -238,11 +255,47 @@ module.exports = async (req, res) => {
         clonedProperties.capacity = clonedProperties.capacity.toString();
       }
 
+      if (!clonedProperties.room_id) {
+        delete clonedProperties.room_id;
+      }
+
+      sourceIdByMockExamId.set(clonedProperties.mock_exam_id, sessionId);
       clonedSessionInputs.push({
         properties: clonedProperties
       });
     }
 
+    // Step 4.5: Check the clones' rooms are free at the new date/times
+    const roomWarnings = [];
+    const roomIds = clonedSessionInputs.map(input => input.properties.room_id).filter(Boolean);
+
+    if (roomIds.length > 0) {
+      const rooms = await getRoomsByIds(roomIds);
+      const conflicts = await checkRoomConflicts(
+        clonedSessionInputs.map((input, index) => ({
+          room_id: input.properties.room_id,
+          exam_date: input.properties.exam_date,
+          start_time: input.properties.start_time,
+          end_time: input.properties.end_time,
+          label: `Clone ${index + 1} (${hubspot.extractTimeFromTimestamp(input.properties.start_time)})`
+        })),
+        { rooms }
+      );
+
+      if (conflicts.length > 0 && !allowRoomOverlap) {
+        console.error(`❌ [CLONE] ${conflicts.length} room overlap(s), nothing cloned`);
+        return res.status(409).json(roomConflictResponse(conflicts));
+      }
+
+      roomWarnings.push(...conflicts.map(conflict => conflict.message));
+      clonedSessionInputs.forEach(input => {
+        const capacityWarning = getCapacityWarning(rooms.get(input.properties.room_id), input.properties.capacity);
+        if (capacityWarning && !roomWarnings.includes(capacityWarning)) {
+          roomWarnings.push(capacityWarning);
+        }
+      });
+    }
+
     console.log(`📋 [CLONE] Creating ${clonedSessionInputs.length} cloned sessions (${validationErrors.length} skipped)...`);
 
     // Step 5: Create cloned sessions using batch API (chunks of 100)
@@ -292,6 +345,15 @@ module.exports = async (req, res) => {
       createCloneAuditTrails(sourceSessionIds, results.successful.length, user).catch(err => {
         console.error('[CLONE] Audit trail creation failed:', err);
       });
+
+      await recordAuditEntries(
+        { req, user, action: AUDIT_ACTIONS.CLONE },
+        results.successful.map(exam => ({
+          mockExamId: exam.id,
+          changes: snapshotChanges(exam.properties),
+          metadata: { source_session_id: sourceIdByMockExamId.get(exam.properties?.mock_exam_id) || null }
+        }))
+      );
     }
 
     // Step 6.5: Sync cloned exams to Supabase
@@ -355,6 +417,7 @@ module.exports = async (req, res) => {
         })),
         failed: [...results.failed, ...validationErrors]
       },
+      ...(roomWarnings.length > 0 && { room_warnings: roomWarnings }),
       meta: {
         timestamp: new Date().toISOString(),
         processedBy: adminEmail,
@@ -0,0 +1,320 @@
+/**
+ * Create Recurring Session Series Endpoint
+ * POST /api/admin/mock-exams/create-series
+ *
+ * Generates linked sessions from a recurrence rule, e.g. "every Saturday
+ * 09:00-12:00 at Mississauga - Lab D for 10 weeks, skipping holidays". Each date
+ * gets every time slot, and all sessions share a series id so they can later be
+ * edited, rescheduled, deactivated or deleted together
+ * (see /api/admin/mock-exams/series/[seriesId]).
+ *
+ * Request Body:
+ * {
+ *   "name": "Saturday CS - Spring",                    // optional
+ *   "commonProperties": {                               // as bulk-create, without exam_date
+ *     "mock_type": "Clinical Skills",
+ *     "location": "Mississauga - Lab D",
+ *     "capacity": 12,
+ *     "mock_set": "A",
+ *     "activation_mode": "immediate"
+ *   },
+ *   "timeSlots": [{ "start_time": "09:00", "end_time": "12:00" }],
+ *   "capacityMode": "global",
+ *   "recurrence": {
+ *     "start_date": "2026-03-07",
+ *     "weekdays": [6],                                  // 0 = Sunday ... 6 = Saturday
+ *     "interval_weeks": 1,
+ *     "weeks": 10,                                      // or "end_date": "2026-05-09"
+ *     "skip_dates": ["2026-04-04"],
+ *     "skip_holidays": true
+ *   }
+ * }
+ *
+ * With commonProperties.room_id every generated session is checked against the
+ * room's existing bookings (409 ROOM_CONFLICT unless allow_room_overlap).
+ *
+ * Invalidates related caches after successful creation.
+ */
+
+const crypto = require('crypto');
+const { HubSpotService } = require('../../_shared/hubspot');
+const { validateInput } = require('../../_shared/validation');
+const { requirePermission } = require('../middleware/requirePermission');
+const { getCache } = require('../../_shared/cache');
+const { syncExamToSupabase } = require('../../_shared/supabase-data');
+const { recordAuditEntries, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
+const {
+  MAX_SERIES_SESSIONS,
+  generateSeriesDates,
+  getRecurrenceEndDate,
+  createSeriesRecord
+} = require('../../_shared/exam-series');
+const {
+  getAssignableRoom,
+  getCapacityWarning,
+  checkRoomConflicts,
+  roomConflictResponse
+} = require('../../_shared/rooms');
+
+/**
+ * Handler for creating a recurring series
+ */
+async function createSeriesHandler(req, res, user) {
+  try {
+    // ====== STEP 1: VALIDATE INPUT ======
+    const validatedData = await validateInput(req.body, 'mockExamSeriesCreation');
+    const { name, commonProperties, timeSlots, capacityMode, recurrence } = validatedData;
+
+    if (commonProperties.activation_mode === 'scheduled') {
+      commonProperties.is_active = 'scheduled';
+    } else {
+      commonProperties.is_active = commonProperties.is_active === 'false' ? 'false' : 'true';
+      commonProperties.scheduled_activation_datetime = null;
+    }
+
+    if (checkTimeSlotOverlaps(timeSlots)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Time slots cannot overlap',
+          details: ['Please ensure all time slots are non-overlapping']
+        }
+      });
+    }
+
+    // ====== STEP 2: GENERATE DATES ======
+    const { dates, skipped } = generateSeriesDates(recurrence);
+    const sessionCount = dates.length * timeSlots.length;
+
+    console.log(`🔁 [SERIES] ${dates.length} date(s) x ${timeSlots.length} slot(s), ${skipped.length} date(s) skipped`);
+
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_SESSIONS',
+          message: 'The recurrence does not produce any session dates',
+          details: skipped
+        }
+      });
+    }
+
+    if (sessionCount > MAX_SERIES_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SERIES_TOO_LARGE',
+          message: `A series can have at most ${MAX_SERIES_SESSIONS} sessions (this one would have ${sessionCount})`
+        }
+      });
+    }
+
+    // ====== STEP 3: CHECK ROOM AVAILABILITY ======
+    const hubspot = new HubSpotService();
+    const roomWarnings = [];
+
+    if (commonProperties.room_id) {
+      const room = await getAssignableRoom(commonProperties.room_id);
+      commonProperties.location = room.site;
+
+      if (capacityMode === 'per-slot') {
+        timeSlots.forEach(slot => {
+          slot.capacity = slot.capacity || room.capacity;
+        });
+      } else {
+        commonProperties.capacity = commonProperties.capacity || room.capacity;
+      }
+
+      const conflicts = await checkRoomConflicts(
+        dates.flatMap(examDate => timeSlots.map(slot => ({
+          room_id: room.id,
+          exam_date: examDate,
+          start_time: hubspot.convertToTimestamp(examDate, slot.start_time),
+          end_time: hubspot.convertToTimestamp(examDate, slot.end_time),
+          label: `${examDate} ${slot.start_time}-${slot.end_time}`
+        }))),
+        { rooms: new Map([[room.id, room]]) }
+      );
+
+      if (conflicts.length > 0 && !validatedData.allow_room_overlap) {
+        return res.status(409).json(roomConflictResponse(conflicts));
+      }
+
+      roomWarnings.push(...conflicts.map(conflict => conflict.message));
+      const capacities = capacityMode === 'per-slot'
+        ? timeSlots.map(slot => slot.capacity)
+        : [commonProperties.capacity];
+      [...new Set(capacities)].forEach(capacity => {
+        const capacityWarning = getCapacityWarning(room, capacity);
+        if (capacityWarning) roomWarnings.push(capacityWarning);
+      });
+    } else {
+      delete commonProperties.room_id;
+    }
+
+    // ====== STEP 4: CREATE SESSIONS IN HUBSPOT ======
+    const seriesId = crypto.randomUUID();
+    const seriesSlots = dates.flatMap(examDate =>
+      timeSlots.map(slot => ({ ...slot, exam_date: examDate }))
+    );
+
+    const created = await hubspot.batchCreateMockExams(
+      { ...commonProperties, series_id: seriesId },
+      seriesSlots,
+      capacityMode
+    );
+    const mockExams = Array.isArray(created) ? created : [];
+
+    console.log(`✅ [SERIES] Created ${mockExams.length} session(s) for series ${seriesId}`);
+
+    // ====== STEP 5: SAVE SERIES DEFINITION ======
+    const series = await createSeriesRecord({
+      id: seriesId,
+      name: name || `${commonProperties.mock_type} - ${commonProperties.location}`,
+      mock_type: commonProperties.mock_type,
+      mock_set: commonProperties.mock_set || null,
+      location: commonProperties.location,
+      capacity: capacityMode === 'global' ? commonProperties.capacity : null,
+      time_slots: timeSlots,
+      weekdays: recurrence.weekdays,
+      interval_weeks: recurrence.interval_weeks,
+      start_date: recurrence.start_date,
+      end_date: getRecurrenceEndDate(recurrence),
+      skip_dates: recurrence.skip_dates,
+      skip_holidays: recurrence.skip_holidays,
+      created_by: user?.email || null
+    });
+
+    // ====== STEP 6: SYNC TO SUPABASE ======
+    let supabaseSynced = false;
+    if (mockExams.length > 0) {
+      const syncResults = await Promise.allSettled(
+        mockExams.map(exam => syncExamToSupabase({
+          id: exam.id,
+          createdAt: exam.createdAt,
+          updatedAt: exam.updatedAt,
+          properties: exam.properties
+        }))
+      );
+      const syncedCount = syncResults.filter(r => r.status === 'fulfilled').length;
+      console.log(`✅ [SERIES] Synced ${syncedCount}/${mockExams.length} sessions to Supabase`);
+      supabaseSynced = syncedCount === mockExams.length;
+    }
+
+    await recordAuditEntries(
+      { req, user, action: AUDIT_ACTIONS.CREATE },
+      mockExams.map(exam => ({
+        mockExamId: exam.id,
+        changes: snapshotChanges(exam.properties),
+        metadata: { source: 'series', series_id: seriesId }
+      }))
+    );
+
+    // ====== STEP 7: INVALIDATE CACHES ======
+    const cache = getCache();
+    await cache.deletePattern('admin:mock-exams:list:*');
+    await cache.deletePattern('admin:mock-exams:aggregates:*');
+    await cache.deletePattern('admin:aggregate:sessions:*');
+
+    return res.status(201).json({
+      success: true,
+      series_id: seriesId,
+      series: series || null,
+      created_count: mockExams.length,
+      skipped_dates: skipped,
+      mockExams: mockExams.map(exam => ({
+        id: exam.id,
+        properties: exam.properties
+      })),
+      ...(roomWarnings.length > 0 && { room_warnings: roomWarnings }),
+      message: `Created ${mockExams.length} session${mockExams.length === 1 ? '' : 's'} on ${dates.length} date${dates.length === 1 ? '' : 's'}`,
+      supabase_synced: supabaseSynced
+    });
+
+  } catch (error) {
+    console.error('❌ [SERIES] Error creating series:', error.message);
+
+    if (error.status === 400 || error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code || 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors || []
+        }
+      });
+    }
+
+    if (error.code === 'ROOM_NOT_FOUND' || error.code === 'ROOM_STORAGE_ERROR') {
+      return res.status(error.status).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An error occurred while creating the session series'
+      }
+    });
+  }
+}
+
+/**
+ * Check if any time slots overlap
+ * @param {Array} timeSlots - Array of {start_time, end_time} objects
+ * @returns {boolean} True if overlaps exist
+ */
+function checkTimeSlotOverlaps(timeSlots) {
+  const toMinutes = (timeStr) => {
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const sorted = timeSlots.map(slot => ({
+    start: toMinutes(slot.start_time),
+    end: toMinutes(slot.end_time)
+  })).sort((a, b) => a.start - b.start);
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    if (sorted[i].end > sorted[i + 1].start) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Export with admin protection middleware
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only POST method is allowed'
+      }
+    });
+  }
+
+  let user;
+  try {
+    user = await requirePermission(req, 'exams.create');
+  } catch (error) {
+    const statusCode = error.statusCode || 401;
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || (statusCode === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED'),
+        message: error.message || 'Access denied'
+      }
+    });
+  }
+
+  return createSeriesHandler(req, res, user);
+};
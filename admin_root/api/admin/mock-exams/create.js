@@ -4,6 +4,11 @@
  *
  * Allows admin users to create a single mock exam session
  * Invalidates related caches after successful creation.
+ *
+ * When room_id is given the room's site becomes the location and its seat
+ * count the default capacity. A session that overlaps another one in the same
+ * room is rejected with 409 ROOM_CONFLICT unless allow_room_overlap is true,
+ * in which case the overlaps come back as room_warnings.
  */
 
 const { HubSpotService } = require('../../_shared/hubspot');
@@ -11,6 +16,13 @@ const { validateInput } = require('../../_shared/validation');
 const { requirePermission } = require('../middleware/requirePermission');
 const { getCache } = require('../../_shared/cache');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
+const {
+  getAssignableRoom,
+  getCapacityWarning,
+  checkRoomConflicts,
+  roomConflictResponse
+} = require('../../_shared/rooms');
+const { recordAudit, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 /**
  * Handler for creating a single mock exam
@@ -20,6 +32,38 @@ async function createMockExamHandler(req, res) {
     // Validate request body
     const validatedData = await validateInput(req.body, 'mockExamCreation');
 
+    // Initialize HubSpot service
+    const hubspot = new HubSpotService();
+
+    // Resolve the room and check it is free at this time
+    const allowRoomOverlap = validatedData.allow_room_overlap;
+    delete validatedData.allow_room_overlap;
+    const roomWarnings = [];
+
+    if (validatedData.room_id) {
+      const room = await getAssignableRoom(validatedData.room_id);
+      validatedData.location = room.site;
+      validatedData.capacity = validatedData.capacity || room.capacity;
+
+      const conflicts = await checkRoomConflicts([{
+        room_id: room.id,
+        exam_date: validatedData.exam_date,
+        start_time: hubspot.convertToTimestamp(validatedData.exam_date, validatedData.start_time),
+        end_time: hubspot.convertToTimestamp(validatedData.exam_date, validatedData.end_time),
+        label: `${validatedData.start_time}-${validatedData.end_time}`
+      }], { rooms: new Map([[room.id, room]]) });
+
+      if (conflicts.length > 0 && !allowRoomOverlap) {
+        return res.status(409).json(roomConflictResponse(conflicts));
+      }
+
+      roomWarnings.push(...conflicts.map(conflict => conflict.message));
+      const capacityWarning = getCapacityWarning(room, validatedData.capacity);
+      if (capacityWarning) roomWarnings.push(capacityWarning);
+    } else {
+      delete validatedData.room_id;
+    }
+
     // Handle scheduled activation mode
     if (validatedData.activation_mode === 'scheduled') {
       // Set status to "scheduled" (string) when scheduling activation
@@ -52,9 +96,6 @@ async function createMockExamHandler(req, res) {
       });
     }
 
-    // Initialize HubSpot service
-    const hubspot = new HubSpotService();
-
     // Create mock exam in HubSpot
     const result = await hubspot.createMockExam(validatedData);
 
@@ -78,6 +119,11 @@ async function createMockExamHandler(req, res) {
       console.error(`⚠️ Supabase sync failed (non-blocking):`, supabaseError.message);
     }
 
+    await recordAudit({ req, user: req.user, action: AUDIT_ACTIONS.CREATE }, {
+      mockExamId: result.id,
+      changes: snapshotChanges(result.properties)
+    });
+
     // Invalidate caches after successful creation
     const cache = getCache();
     await cache.deletePattern('admin:mock-exams:list:*');
@@ -93,6 +139,7 @@ async function createMockExamHandler(req, res) {
         id: result.id,
         properties: result.properties
       },
+      ...(roomWarnings.length > 0 && { room_warnings: roomWarnings }),
       message: 'Mock exam created successfully'
     });
 
@@ -108,19 +155,19 @@ async function createMockExamHandler(req, res) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'VALIDATION_ERROR',
+          code: error.code || 'VALIDATION_ERROR',
           message: error.message,
           details: error.validationErrors || []
         }
       });
     }
 
-    // Handle HubSpot API errors
+    // Room lookups (rooms.js) and HubSpot API errors
     if (error.status) {
       return res.status(error.status).json({
         success: false,
         error: {
-          code: 'HUBSPOT_ERROR',
+          code: error.code || 'HUBSPOT_ERROR',
           message: error.message
         }
       });
@@ -154,7 +201,7 @@ module.exports = async (req, res) => {
 
   try {
     // Require admin authentication and permission
-    await requirePermission(req, 'exams.create');
+    req.user = await requirePermission(req, 'exams.create');
 
     // Call handler
     return await createMockExamHandler(req, res);
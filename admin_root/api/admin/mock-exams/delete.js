@@ -2,13 +2,15 @@
  * DELETE /api/admin/mock-exams/:id
  * Delete a mock exam
  *
- * Invalidates related caches after successful deletion.
+ * The exam is moved to the trash and can be restored until purge_after (see
+ * _shared/trash.js). Invalidates related caches after successful deletion.
  */
 
 const { requirePermission } = require('../middleware/requirePermission');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
-const { deleteExamFromSupabase } = require('../../_shared/supabase-data');
+const { moveToTrash } = require('../../_shared/trash');
+const { recordAudit, snapshotChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 module.exports = async (req, res) => {
   try {
@@ -56,24 +58,24 @@ module.exports = async (req, res) => {
       console.log(`🗑️ Deleting mock exam ${mockExamId} with no bookings`);
     }
 
-    // Delete mock exam from HubSpot
-    await hubspot.deleteMockExam(mockExamId);
-
-    // Sync deletion to Supabase
-    let supabaseSynced = false;
-    try {
-      // Delete the exam from Supabase (cancelled bookings are left orphaned)
-      await deleteExamFromSupabase(mockExamId);
-      console.log(`✅ Mock exam ${mockExamId} deleted from Supabase`);
-      if (cancelledCount > 0) {
-        console.log(`ℹ️ ${cancelledCount} cancelled booking(s) left orphaned in Supabase`);
-      }
-      supabaseSynced = true;
-    } catch (supabaseError) {
-      console.error('❌ Failed to sync deletion to Supabase:', supabaseError.message);
-      // Continue - HubSpot is source of truth
+    // Move mock exam to the trash (deactivated in HubSpot, removed from Supabase)
+    const { failed, purgeAfter, supabaseSynced } = await moveToTrash(
+      [{ id: mockExamId, properties: mockExamDetails.mockExam?.properties }],
+      { req, user }
+    );
+
+    if (failed.length > 0) {
+      const trashError = new Error(failed[0].message || 'Failed to delete mock exam');
+      trashError.status = 502;
+      throw trashError;
     }
 
+    await recordAudit({ req, user, action: AUDIT_ACTIONS.DELETE }, {
+      mockExamId,
+      changes: snapshotChanges(mockExamDetails.mockExam?.properties, 'deleted'),
+      metadata: { cancelled_bookings: cancelledCount, trashed: true, purge_after: purgeAfter }
+    });
+
     // Invalidate caches after successful deletion
     const cache = getCache();
     await cache.deletePattern('admin:mock-exams:list:*');
@@ -86,9 +88,10 @@ module.exports = async (req, res) => {
     res.status(200).json({
       success: true,
       message: totalBookings > 0 && cancelledCount > 0
-        ? `Mock exam deleted successfully (${cancelledCount} cancelled booking(s) removed)`
-        : 'Mock exam deleted successfully',
+        ? `Mock exam moved to trash (${cancelledCount} cancelled booking(s) removed)`
+        : 'Mock exam moved to trash',
       deleted_id: mockExamId,
+      purge_after: purgeAfter,
       bookings_info: {
         total: totalBookings,
         cancelled: cancelledCount,
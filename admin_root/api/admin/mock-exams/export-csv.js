@@ -7,6 +7,7 @@
 
 const Joi = require('joi');
 const { requirePermission } = require('../middleware/requirePermission');
+const { escapeCSV } = require('../../_shared/csv');
 
 // Validation schema
 const bookingSchema = Joi.object({
@@ -38,17 +39,6 @@ const exportCsvSchema = Joi.object({
   examId: Joi.string().pattern(/^\d+$/).required()
 });
 
-// Helper function to escape CSV values
-function escapeCSV(value) {
-  if (value === null || value === undefined) return '';
-  const str = String(value);
-  // Escape quotes and wrap in quotes if contains comma, quote, or newline
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
-}
-
 // Helper function to format time to EST (e.g., "8:30 AM EST")
 function formatTimeEST(timeStr) {
   if (!timeStr) return '';
@@ -13,6 +13,7 @@ const { validationMiddleware } = require('../../_shared/validation');
 const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
 const { getExamsFromSupabase, syncExamToSupabase } = require('../../_shared/supabase-data');
+const { attachStaffing } = require('../../_shared/staff');
 
 module.exports = async (req, res) => {
   try {
@@ -128,6 +129,8 @@ module.exports = async (req, res) => {
               total_bookings: String(exam.total_bookings || 0),
               location: exam.location,
               is_active: exam.is_active,
+              series_id: exam.series_id || null,
+              room_id: exam.room_id || null,
               hs_createdate: exam.created_at,
               hs_lastmodifieddate: exam.updated_at
             }
@@ -211,7 +214,7 @@ module.exports = async (req, res) => {
       }
     };
 
-    const transformedResults = result.results.map(exam => {
+    const examRows = result.results.map(exam => {
       const properties = exam.properties;
       const capacity = parseInt(properties.capacity) || 0;
       const totalBookings = parseInt(properties.total_bookings) || 0;
@@ -250,12 +253,17 @@ module.exports = async (req, res) => {
         utilization_rate: utilizationRate,
         location: properties.location || '',
         is_active: isActiveValue,  // Return the raw string value
+        series_id: properties.series_id || null,
+        room_id: properties.room_id || null,
         status,
         created_at: properties.hs_createdate || '',
         updated_at: properties.hs_lastmodifieddate || ''
       };
     });
 
+    // Required vs assigned examiners/proctors (understaffed flag on the dashboard)
+    const transformedResults = await attachStaffing(examRows);
+
     // Calculate pagination metadata
     const totalRecords = result.total;
     const totalPages = Math.ceil(totalRecords / limit);
@@ -0,0 +1,472 @@
+/**
+ * GET /api/admin/mock-exams/series/[seriesId]
+ * Get a recurring series and its sessions
+ *
+ * PATCH /api/admin/mock-exams/series/[seriesId]
+ * Edit, reschedule, activate or deactivate sessions of a series
+ *
+ * DELETE /api/admin/mock-exams/series/[seriesId]?scope=following&anchor_id=123
+ * Delete sessions of a series (sessions with active bookings are kept). Deleted
+ * sessions go to the trash and can be restored until purge_after.
+ *
+ * Scopes (relative to the anchor session the action was started from):
+ * - this:      only the anchor session
+ * - following: the anchor session and every later session of the series
+ * - all:       every session of the series
+ *
+ * For "following" and "all", sessions that already took place are left alone.
+ *
+ * PATCH Request Body:
+ * {
+ *   "scope": "following",
+ *   "anchor_id": "123456",
+ *   "changes": {
+ *     "shift_days": 1,            // reschedule: move the sessions by N days
+ *     "start_time": "10:00",      // HH:MM, Toronto time
+ *     "end_time": "13:00",
+ *     "location": "Calgary",
+ *     "mock_set": "B",
+ *     "capacity": 14,
+ *     "is_active": "false"        // deactivate ("true" to activate)
+ *   }
+ * }
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getCache } = require('../../../_shared/cache');
+const hubspot = require('../../../_shared/hubspot');
+const { HUBSPOT_OBJECTS } = require('../../../_shared/hubspot');
+const { syncExamToSupabase } = require('../../../_shared/supabase-data');
+const { moveToTrash } = require('../../../_shared/trash');
+const { triggerExamCascade, shouldCascadeUpdate, extractCascadeProperties } = require('../../../_shared/supabase-webhook');
+const { recordAuditEntries, diffChanges, snapshotChanges, AUDIT_ACTIONS } = require('../../../_shared/audit-log');
+const {
+  SERIES_SCOPES,
+  getTorontoToday,
+  selectScopedSessions,
+  buildSessionUpdate,
+  getSeriesRecord,
+  updateSeriesRecord,
+  deleteSeriesRecord,
+  getSeriesSessions
+} = require('../../../_shared/exam-series');
+
+const HUBSPOT_BATCH_SIZE = 100;
+
+module.exports = async (req, res) => {
+  const seriesId = req.query.seriesId;
+
+  if (!seriesId || !/^[0-9a-f-]{36}$/i.test(seriesId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid series ID is required'
+      }
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+      return await handleGet(seriesId, res);
+    }
+
+    if (req.method === 'PATCH') {
+      const user = await requirePermission(req, 'exams.edit');
+      return await handlePatch(seriesId, req, res, user);
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await requirePermission(req, 'exams.delete');
+      return await handleDelete(seriesId, req, res, user);
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [SERIES] ${req.method} failed for series ${seriesId}:`, error.message);
+
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: error.message }
+      });
+    }
+
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(401).json({
+        success: false,
+        error: { code: 'UNAUTHORIZED', message: 'Authentication required' }
+      });
+    }
+
+    if (error.status === 400 || error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors || []
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'SERIES_ERROR',
+        message: error.message || 'Failed to process series request'
+      }
+    });
+  }
+};
+
+/**
+ * Series definition plus its sessions in date order
+ */
+async function handleGet(seriesId, res) {
+  const [series, sessions] = await Promise.all([
+    getSeriesRecord(seriesId),
+    getSeriesSessions(seriesId)
+  ]);
+
+  if (!series && sessions.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Series not found' }
+    });
+  }
+
+  const today = getTorontoToday();
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      series,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        exam_date: String(session.properties.exam_date || '').split('T')[0],
+        start_time: session.properties.start_time,
+        end_time: session.properties.end_time,
+        location: session.properties.location,
+        mock_set: session.properties.mock_set || null,
+        capacity: parseInt(session.properties.capacity) || 0,
+        total_bookings: parseInt(session.properties.total_bookings) || 0,
+        is_active: session.properties.is_active,
+        is_past: String(session.properties.exam_date || '') < today
+      }))
+    }
+  });
+}
+
+/**
+ * Pick the scoped sessions for a request, leaving out past sessions for multi-session scopes
+ * @returns {{targets: Array, skipped: Array}}
+ */
+function resolveTargets(sessions, anchorId, scope) {
+  const scoped = selectScopedSessions(sessions, anchorId, scope);
+
+  if (scope === SERIES_SCOPES.THIS) {
+    return { targets: scoped, skipped: [] };
+  }
+
+  const today = getTorontoToday();
+  const targets = [];
+  const skipped = [];
+
+  for (const session of scoped) {
+    if (String(session.properties.exam_date || '').split('T')[0] < today) {
+      skipped.push({ id: session.id, reason: 'Session already took place' });
+    } else {
+      targets.push(session);
+    }
+  }
+
+  return { targets, skipped };
+}
+
+/**
+ * Apply one set of changes to the scoped sessions
+ */
+async function handlePatch(seriesId, req, res, user) {
+  const startTime = Date.now();
+  const { scope, anchor_id: anchorId, changes } = await validateInput(req.body, 'mockExamSeriesUpdate');
+
+  // ====== STEP 1: RESOLVE SESSIONS ======
+  const sessions = await getSeriesSessions(seriesId);
+  const { targets, skipped } = resolveTargets(sessions, anchorId, scope);
+
+  if (targets.length === 0 && skipped.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'No sessions of this series match the request' }
+    });
+  }
+
+  console.log(`🔁 [SERIES] Updating ${targets.length} session(s) of series ${seriesId} (scope: ${scope}) by ${user?.email}`);
+
+  // ====== STEP 2: BUILD PER-SESSION UPDATES ======
+  const updates = [];
+  const invalid = [...skipped];
+
+  for (const session of targets) {
+    const { properties, error } = buildSessionUpdate(session, changes);
+    if (error) {
+      invalid.push({ id: session.id, reason: error });
+    } else {
+      updates.push({ id: session.id, properties, currentState: session.properties });
+    }
+  }
+
+  // ====== STEP 3: BATCH UPDATE HUBSPOT ======
+  const successful = [];
+  const failed = [];
+
+  for (let i = 0; i < updates.length; i += HUBSPOT_BATCH_SIZE) {
+    const chunk = updates.slice(i, i + HUBSPOT_BATCH_SIZE);
+
+    try {
+      const response = await hubspot.apiCall('POST',
+        `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/batch/update`,
+        { inputs: chunk.map(({ id, properties }) => ({ id, properties })) }
+      );
+
+      successful.push(...(response.results || []));
+
+      for (const error of response.errors || []) {
+        failed.push({ id: error.context?.id || 'unknown', reason: error.message || 'HubSpot API error' });
+      }
+    } catch (error) {
+      console.error(`❌ [SERIES] Batch update failed:`, error.message);
+      failed.push(...chunk.map(update => ({ id: update.id, reason: error.message || 'HubSpot batch update failed' })));
+    }
+  }
+
+  // ====== STEP 4: SYNC TO SUPABASE AND CASCADE TO BOOKINGS ======
+  const syncResults = await Promise.allSettled(successful.map(exam => {
+    const update = updates.find(u => u.id === exam.id);
+    return syncExamToSupabase({
+      id: exam.id,
+      createdAt: exam.createdAt,
+      updatedAt: exam.updatedAt,
+      properties: { ...update?.currentState, ...update?.properties, series_id: seriesId }
+    });
+  }));
+  const supabaseSynced = syncResults.every(result => result.status === 'fulfilled');
+
+  for (const exam of successful) {
+    const update = updates.find(u => u.id === exam.id);
+    if (update && shouldCascadeUpdate(update.properties)) {
+      triggerExamCascade(exam.id, extractCascadeProperties(update.properties));
+    }
+  }
+
+  await recordAuditEntries(
+    { req, user, action: AUDIT_ACTIONS.UPDATE },
+    successful.map(exam => {
+      const update = updates.find(u => u.id === exam.id);
+      return {
+        mockExamId: exam.id,
+        changes: diffChanges(update?.currentState, update?.properties),
+        metadata: { source: 'series', series_id: seriesId, scope }
+      };
+    })
+  );
+
+  // ====== STEP 5: KEEP SERIES DEFAULTS IN STEP ======
+  if (scope !== SERIES_SCOPES.THIS && successful.length > 0) {
+    const series = await getSeriesRecord(seriesId);
+    if (series) {
+      await updateSeriesRecord(seriesId, buildSeriesPatch(series, changes));
+    }
+  }
+
+  await invalidateSeriesCaches();
+
+  const summary = {
+    total: targets.length + skipped.length,
+    updated: successful.length,
+    failed: failed.length + invalid.length,
+    skipped: invalid.length
+  };
+
+  console.log(`✅ [SERIES] Update complete: ${summary.updated} updated, ${summary.failed} not updated (${Date.now() - startTime}ms)`);
+
+  return res.status(200).json({
+    success: true,
+    summary,
+    results: {
+      successful: successful.map(exam => exam.id),
+      failed: [...failed, ...invalid]
+    },
+    meta: {
+      timestamp: new Date().toISOString(),
+      processedBy: user?.email,
+      executionTime: Date.now() - startTime
+    },
+    supabase_synced: supabaseSynced
+  });
+}
+
+/**
+ * Series-level defaults that follow a "following"/"all" change
+ */
+function buildSeriesPatch(series, changes) {
+  const patch = {};
+
+  if (changes.location) patch.location = changes.location;
+  if (changes.mock_set !== undefined) patch.mock_set = changes.mock_set || null;
+  if (changes.capacity !== undefined && series.capacity !== null) patch.capacity = changes.capacity;
+
+  if (changes.shift_days && Array.isArray(series.weekdays)) {
+    patch.weekdays = series.weekdays.map(day => (((day + changes.shift_days) % 7) + 7) % 7);
+  }
+
+  if ((changes.start_time || changes.end_time) && Array.isArray(series.time_slots) && series.time_slots.length === 1) {
+    patch.time_slots = [{
+      ...series.time_slots[0],
+      ...(changes.start_time && { start_time: changes.start_time }),
+      ...(changes.end_time && { end_time: changes.end_time })
+    }];
+  }
+
+  return patch;
+}
+
+/**
+ * Delete the scoped sessions that have no active or completed bookings
+ */
+async function handleDelete(seriesId, req, res, user) {
+  const startTime = Date.now();
+  const scope = req.query.scope || req.body?.scope;
+  const anchorId = req.query.anchor_id || req.body?.anchor_id;
+
+  if (!Object.values(SERIES_SCOPES).includes(scope) || (scope !== SERIES_SCOPES.ALL && !anchorId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'scope must be one of: this, following, all (anchor_id is required unless scope is all)'
+      }
+    });
+  }
+
+  // ====== STEP 1: RESOLVE SESSIONS ======
+  const sessions = await getSeriesSessions(seriesId);
+  const { targets, skipped } = resolveTargets(sessions, anchorId, scope);
+
+  if (targets.length === 0 && skipped.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'No sessions of this series match the request' }
+    });
+  }
+
+  console.log(`🗑️ [SERIES] Deleting ${targets.length} session(s) of series ${seriesId} (scope: ${scope}) by ${user?.email}`);
+
+  // ====== STEP 2: BOOKING PROTECTION ======
+  const deletable = [];
+  const kept = [...skipped];
+
+  for (const session of targets) {
+    if ((parseInt(session.properties.total_bookings) || 0) === 0) {
+      deletable.push(session.id);
+      continue;
+    }
+
+    try {
+      const details = await hubspot.getMockExamWithBookings(session.id);
+      const activeOrCompleted = details.bookings.filter(booking =>
+        booking.properties.is_active === 'Active' || booking.properties.is_active === 'Completed'
+      );
+
+      if (activeOrCompleted.length > 0) {
+        kept.push({
+          id: session.id,
+          reason: `Session has ${activeOrCompleted.length} active or completed booking(s). Cancel bookings first.`
+        });
+      } else {
+        deletable.push(session.id);
+      }
+    } catch (error) {
+      kept.push({ id: session.id, reason: 'Failed to validate booking status' });
+    }
+  }
+
+  // ====== STEP 3: MOVE TO TRASH ======
+  const trashResults = await moveToTrash(
+    deletable.map(id => ({ id, properties: targets.find(session => session.id === id)?.properties })),
+    { req, user }
+  );
+
+  const deleted = trashResults.trashed;
+  const failed = trashResults.failed.map(failure => ({ id: failure.id, reason: failure.message }));
+  const supabaseSynced = trashResults.supabaseSynced;
+
+  await recordAuditEntries(
+    { req, user, action: AUDIT_ACTIONS.DELETE },
+    deleted.map(id => ({
+      mockExamId: id,
+      changes: snapshotChanges(targets.find(session => session.id === id)?.properties, 'deleted'),
+      metadata: { source: 'series', series_id: seriesId, scope, trashed: true, purge_after: trashResults.purgeAfter }
+    }))
+  );
+
+  const remaining = sessions.length - deleted.length;
+  if (remaining === 0) {
+    await deleteSeriesRecord(seriesId);
+  }
+
+  await invalidateSeriesCaches();
+
+  const summary = {
+    total: targets.length + skipped.length,
+    deleted: deleted.length,
+    failed: failed.length + kept.length,
+    remaining
+  };
+
+  console.log(`✅ [SERIES] Delete complete: ${summary.deleted} deleted, ${summary.failed} kept (${Date.now() - startTime}ms)`);
+
+  return res.status(200).json({
+    success: true,
+    summary,
+    results: {
+      deleted,
+      failed: [...failed, ...kept]
+    },
+    meta: {
+      timestamp: new Date().toISOString(),
+      processedBy: user?.email,
+      executionTime: Date.now() - startTime
+    },
+    supabase_synced: supabaseSynced,
+    purge_after: trashResults.purgeAfter
+  });
+}
+
+/**
+ * Invalidate caches affected by series changes
+ */
+async function invalidateSeriesCaches() {
+  const cache = getCache();
+
+  await Promise.all([
+    cache.deletePattern('admin:mock-exams:list:*'),
+    cache.deletePattern('admin:mock-exams:aggregates:*'),
+    cache.deletePattern('admin:aggregate:sessions:*'),
+    cache.deletePattern('admin:metrics:*'),
+    cache.deletePattern('admin:mock-exam:*'),
+    cache.deletePattern('admin:bookings:*')
+  ]).catch(error => {
+    console.error('[SERIES] Cache invalidation error:', error);
+  });
+}
@@ -0,0 +1,105 @@
+/**
+ * GET /api/admin/mock-exams/sign-in-sheets
+ * Download printable sign-in sheets or door lists as PDF (see _shared/sign-in-sheets.js)
+ *
+ * Query Parameters:
+ * - exam_ids (optional): Comma-separated session IDs (at most 100)
+ * - location / exam_date (required without exam_ids): Every session at a location on a date
+ * - type (optional): 'sign_in' (default, with a signature column) or 'door_list'
+ * - group_by (optional): 'session' (default), 'dominant_hand', 'mock_set' or 'none' (one combined list)
+ * - sort_by (optional): 'name' (default), 'student_id' or 'booking_date'
+ * - include_barcodes (optional): Print a barcode per row (default true)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getTorontoToday } = require('../../_shared/exam-series');
+const { MAX_EXPORT_SESSIONS } = require('../../_shared/exports');
+const { generateSignInSheets } = require('../../_shared/sign-in-sheets');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    const admin = await requirePermission(req, 'bookings.view');
+
+    const query = await validateInput(req.query, 'signInSheet');
+
+    // ====== STEP 1: RESOLVE SCOPE ======
+    const examIds = query.exam_ids ? [...new Set(query.exam_ids.split(','))] : [];
+    if (examIds.length > MAX_EXPORT_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_SESSIONS',
+          message: `At most ${MAX_EXPORT_SESSIONS} sessions can be printed at once`
+        }
+      });
+    }
+
+    // ====== STEP 2: BUILD PDF ======
+    const today = getTorontoToday();
+    const { content, sessions, traineeCount } = await generateSignInSheets({
+      examIds,
+      location: query.location,
+      examDate: query.exam_date,
+      type: query.type,
+      groupBy: query.group_by,
+      sortBy: query.sort_by,
+      includeBarcodes: query.include_barcodes,
+      generatedOn: today
+    });
+
+    const prefix = query.type === 'door_list' ? 'door-list' : 'sign-in';
+    const filename = examIds.length === 1
+      ? `${prefix}-${examIds[0]}.pdf`
+      : examIds.length > 1
+        ? `${prefix}-${examIds.length}-sessions-${today}.pdf`
+        : `${prefix}-${query.location.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${query.exam_date}.pdf`;
+
+    console.log(`🖨️ [SIGN-IN] ${admin?.email || 'admin'} printed ${traineeCount} trainees from ${sessions.length} sessions as ${filename}`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', content.length);
+
+    return res.status(200).send(content);
+
+  } catch (error) {
+    console.error('❌ [SIGN-IN] Failed to build sign-in sheets:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to build sign-in sheets'
+      }
+    });
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * GET /api/admin/mock-exams/trash
+ * Sessions that were deleted and can still be restored, most recently deleted
+ * first (see _shared/trash.js)
+ *
+ * Query Parameters:
+ * - limit (optional): Page size (default 50, max 200)
+ * - offset (optional): Entries to skip (default 0)
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { listTrash, getRetentionDays } = require('../../../_shared/trash');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed`
+        }
+      });
+    }
+
+    await requirePermission(req, 'exams.view');
+
+    const { limit, offset } = await validateInput(req.query, 'trashList');
+
+    const { entries, total } = await listTrash({ limit, offset });
+
+    return res.status(200).json({
+      success: true,
+      data: entries,
+      retention_days: getRetentionDays(),
+      pagination: {
+        total,
+        limit,
+        offset,
+        has_more: offset + entries.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [TRASH] Failed to list trash:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: 'Failed to load trash'
+      }
+    });
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * POST /api/admin/mock-exams/trash/purge
+ * Permanently delete sessions from the trash before their retention window ends
+ * (see _shared/trash.js). This cannot be undone.
+ *
+ * Request Body:
+ * {
+ *   "ids": ["123456", "123457"]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "purged": ["123456"],
+ *   "failed": [{ "id": "123457", "error": "NOT_IN_TRASH", "message": "Session is not in the trash" }]
+ * }
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { purgeFromTrash } = require('../../../_shared/trash');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use POST.`
+        }
+      });
+    }
+
+    const user = await requirePermission(req, 'exams.delete');
+
+    const { ids } = await validateInput(req.body || {}, 'trashAction');
+
+    console.log(`🔥 [TRASH] Purging ${ids.length} session(s) by ${user?.email}`);
+
+    const { purged, failed } = await purgeFromTrash(ids, { req, user });
+
+    return res.status(200).json({
+      success: true,
+      purged,
+      failed
+    });
+
+  } catch (error) {
+    console.error('❌ [TRASH] Failed to purge sessions:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: 'Failed to purge sessions'
+      }
+    });
+  }
+};
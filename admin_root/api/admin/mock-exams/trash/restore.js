@@ -0,0 +1,92 @@
+/**
+ * POST /api/admin/mock-exams/trash/restore
+ * Restore deleted sessions from the trash (see _shared/trash.js)
+ *
+ * The activation state the session had when it was deleted is put back, it is
+ * synced to Supabase again and its prerequisite links (both directions) are
+ * recreated towards sessions that still exist.
+ *
+ * Request Body:
+ * {
+ *   "ids": ["123456", "123457"]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "restored": ["123456"],
+ *   "failed": [{ "id": "123457", "error": "NOT_IN_TRASH", "message": "Session is not in the trash" }]
+ * }
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getCache } = require('../../../_shared/cache');
+const { restoreFromTrash } = require('../../../_shared/trash');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: `Method ${req.method} not allowed. Use POST.`
+        }
+      });
+    }
+
+    // Restoring undoes a delete, so it needs the same permission
+    const user = await requirePermission(req, 'exams.delete');
+
+    const { ids } = await validateInput(req.body || {}, 'trashAction');
+
+    console.log(`♻️ [TRASH] Restoring ${ids.length} session(s) by ${user?.email}`);
+
+    const { restored, failed } = await restoreFromTrash(ids, { req, user });
+
+    if (restored.length > 0) {
+      const cache = getCache();
+      await cache.deletePattern('admin:mock-exams:list:*');
+      await cache.deletePattern('admin:mock-exams:aggregates:*');
+      await cache.deletePattern('admin:aggregate:sessions:*');
+      await cache.deletePattern('admin:metrics:*');
+      await cache.deletePattern('admin:mock-exam:*');
+    }
+
+    return res.status(200).json({
+      success: true,
+      restored,
+      failed
+    });
+
+  } catch (error) {
+    console.error('❌ [TRASH] Failed to restore sessions:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: 'Failed to restore sessions'
+      }
+    });
+  }
+};
@@ -2,7 +2,12 @@
  * PATCH /api/admin/mock-exams/:id
  * Update a mock exam
  *
- * Invalidates related caches after successful update.
+ * Invalidates related caches after successful update. Every changed field is
+ * recorded in the mock exam audit log (audit-log.js).
+ *
+ * Moving a session into a room, or changing the date/times of a session that has
+ * one, is rejected with 409 ROOM_CONFLICT when it overlaps another session in
+ * that room, unless allow_room_overlap is true (overlaps come back as room_warnings).
  */
 
 const { requirePermission } = require('../middleware/requirePermission');
@@ -11,6 +16,16 @@ const { getCache } = require('../../_shared/cache');
 const hubspot = require('../../_shared/hubspot');
 const { syncExamToSupabase } = require('../../_shared/supabase-data');
 const { triggerExamCascade, shouldCascadeUpdate, extractCascadeProperties } = require('../../_shared/supabase-webhook');
+const RedisLockService = require('../../_shared/redis');
+const { promoteFromWaitlist } = require('../../_shared/waitlist');
+const {
+  getAssignableRoom,
+  getRoomsByIds,
+  getCapacityWarning,
+  checkRoomConflicts,
+  roomConflictResponse
+} = require('../../_shared/rooms');
+const { recordAudit, diffChanges, AUDIT_ACTIONS } = require('../../_shared/audit-log');
 
 module.exports = async (req, res) => {
   try {
@@ -130,14 +145,59 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Room checks - a new room sets the location (its site); the target room must be free
+    const allowRoomOverlap = properties.allow_room_overlap;
+    delete properties.allow_room_overlap;
+    if (properties.room_id === null) {
+      properties.room_id = '';
+    }
+
+    const roomWarnings = [];
+    const roomChanged = properties.room_id !== undefined && properties.room_id !== (currentProps.room_id || '');
+    const targetRoomId = properties.room_id !== undefined ? properties.room_id : currentProps.room_id;
+    const scheduleChanged = roomChanged || properties.start_time || properties.end_time || updateData.capacity !== undefined;
+
+    if (targetRoomId && scheduleChanged) {
+      const room = roomChanged
+        ? await getAssignableRoom(targetRoomId)
+        : (await getRoomsByIds([targetRoomId])).get(targetRoomId);
+
+      if (room) {
+        if (roomChanged) {
+          properties.location = room.site;
+        }
+
+        const examDate = updateData.exam_date || currentProps.exam_date;
+        const conflicts = await checkRoomConflicts([{
+          room_id: room.id,
+          exam_date: examDate,
+          start_time: properties.start_time || currentProps.start_time,
+          end_time: properties.end_time || currentProps.end_time,
+          session_id: mockExamId
+        }], { excludeIds: [mockExamId], rooms: new Map([[room.id, room]]) });
+
+        if (conflicts.length > 0 && !allowRoomOverlap) {
+          console.error(`❌ [UPDATE] ${conflicts.length} room overlap(s) for mock exam ${mockExamId}`);
+          return res.status(409).json(roomConflictResponse(conflicts));
+        }
+
+        roomWarnings.push(...conflicts.map(conflict => conflict.message));
+        const capacityWarning = getCapacityWarning(
+          room,
+          updateData.capacity !== undefined ? updateData.capacity : currentProps.capacity
+        );
+        if (capacityWarning) roomWarnings.push(capacityWarning);
+      }
+    }
+
     // Regenerate mock_exam_name if any of its components changed
     // Format: {mock_type}-{location}-{exam_date}
-    if (updateData.mock_type || updateData.location || updateData.exam_date) {
+    if (updateData.mock_type || properties.location || updateData.exam_date) {
       console.log('📝 [UPDATE] Regenerating mock_exam_name due to change in mock_type, location, or exam_date');
 
       // Use updated values if provided, otherwise fall back to current values
       const mockType = updateData.mock_type || currentProps.mock_type;
-      const location = updateData.location || currentProps.location;
+      const location = properties.location || currentProps.location;
       const examDate = updateData.exam_date || currentProps.exam_date;
 
       properties.mock_exam_name = `${mockType}-${location}-${examDate}`;
@@ -182,9 +242,22 @@ module.exports = async (req, res) => {
       properties.capacity = updateData.capacity.toString();
     }
 
+    // Booking window (booking-cutoff.js) - empty values clear the session override / deactivation
+    if (updateData.booking_cutoff_hours !== undefined) {
+      properties.booking_cutoff_hours = updateData.booking_cutoff_hours === null || updateData.booking_cutoff_hours === ''
+        ? ''
+        : updateData.booking_cutoff_hours.toString();
+    }
+
+    if (updateData.scheduled_deactivation_datetime !== undefined) {
+      properties.scheduled_deactivation_datetime = updateData.scheduled_deactivation_datetime
+        ? new Date(updateData.scheduled_deactivation_datetime).getTime().toString()
+        : '';
+    }
+
     // Track changes between old and new values
     const changes = {};
-    const fieldsToTrack = ['mock_type', 'exam_date', 'start_time', 'end_time', 'location', 'capacity', 'is_active', 'scheduled_activation_datetime', 'mock_exam_name'];
+    const fieldsToTrack = ['mock_type', 'exam_date', 'start_time', 'end_time', 'location', 'capacity', 'is_active', 'scheduled_activation_datetime', 'booking_cutoff_hours', 'scheduled_deactivation_datetime', 'mock_exam_name', 'room_id'];
 
     fieldsToTrack.forEach(field => {
       if (properties[field] !== undefined) {
@@ -264,6 +337,12 @@ module.exports = async (req, res) => {
       console.log('ℹ️ [UPDATE] No changes detected, skipping audit trail note');
     }
 
+    await recordAudit({ req, user, action: AUDIT_ACTIONS.UPDATE }, {
+      mockExamId,
+      changes: diffChanges(currentProps, properties),
+      ...(roomWarnings.length > 0 && { metadata: { room_warnings: roomWarnings } })
+    });
+
     // Invalidate caches after successful update
     const cache = getCache();
     await cache.deletePattern('admin:mock-exams:list:*');
@@ -273,6 +352,30 @@ module.exports = async (req, res) => {
     console.log(`🗑️ Cache invalidated for mock exam ${mockExamId}`);
     console.log('🔄 [Cache] Invalidated aggregate caches after mutation');
 
+    // Capacity increase frees seats - promote waitlisted students (needs Supabase capacity in sync)
+    let waitlistPromotions = 0;
+    const capacityIncreased = updateData.capacity !== undefined &&
+      parseInt(updateData.capacity) > (parseInt(currentProps.capacity) || 0);
+
+    if (capacityIncreased && supabaseSynced) {
+      const redis = new RedisLockService();
+      try {
+        const promotion = await promoteFromWaitlist(mockExamId, {
+          redis,
+          source: `capacity-increase (${user?.email})`
+        });
+        waitlistPromotions = promotion.promoted.length;
+      } finally {
+        await redis.close();
+      }
+
+      if (waitlistPromotions > 0) {
+        await cache.deletePattern(`admin:mock-exam:${mockExamId}:bookings:*`);
+        await cache.delete(`admin:mock-exam:details:${mockExamId}`);
+        await cache.deletePattern('admin:metrics:*');
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Mock exam updated successfully',
@@ -280,7 +383,9 @@ module.exports = async (req, res) => {
         id: updatedMockExam.id,
         properties: updatedMockExam.properties
       },
-      supabase_synced: supabaseSynced
+      supabase_synced: supabaseSynced,
+      waitlist_promotions: waitlistPromotions,
+      ...(roomWarnings.length > 0 && { room_warnings: roomWarnings })
     });
 
   } catch (error) {
@@ -297,6 +402,17 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Room that cannot be assigned (missing or retired)
+    if (error.code === 'INVALID_ROOM') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     // Handle 404 for non-existent mock exam
     if (error.message?.includes('not found') || error.status === 404) {
       return res.status(404).json({
@@ -0,0 +1,118 @@
+/**
+ * GET /api/admin/reports/attendance
+ * Attendance rates of past sessions by mock type, location, weekday and time
+ * slot, with the trend over time (see _shared/attendance-analytics.js)
+ *
+ * Query Parameters:
+ * - start_date (optional): YYYY-MM-DD, defaults to 90 days before end_date
+ * - end_date (optional): YYYY-MM-DD, defaults to today; at most 366 days after start_date
+ * - mock_type (optional): Only this mock type
+ * - location (optional): Only sessions at this site
+ * - interval (optional): 'week' (default) or 'month' trend periods
+ * - format (optional): 'json' (default) or 'csv' to download the report
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getCache } = require('../../_shared/cache');
+const {
+  resolveReportRange,
+  loadAttendanceRecords,
+  buildAttendanceReport,
+  attendanceReportToCsv
+} = require('../../_shared/attendance-analytics');
+
+// Attendance changes clear admin:reports:*; this only covers new bookings syncing in
+const REPORT_CACHE_TTL = 300;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    // CSV downloads need the export permission
+    await requirePermission(req, req.query.format === 'csv' ? 'bookings.export' : 'bookings.view');
+
+    const query = await validateInput(req.query, 'attendanceReport');
+
+    // ====== STEP 1: RESOLVE RANGE ======
+    const { startDate, endDate } = resolveReportRange(query);
+    const filters = { startDate, endDate, mockType: query.mock_type, location: query.location };
+
+    // ====== STEP 2: BUILD REPORT (CACHED) ======
+    const cache = getCache();
+    const cacheKey = `admin:reports:attendance:${JSON.stringify({ ...filters, interval: query.interval })}`;
+
+    let payload = await cache.get(cacheKey);
+    if (!payload) {
+      const { records, truncated } = await loadAttendanceRecords(filters);
+      payload = {
+        report: buildAttendanceReport(records, { interval: query.interval }),
+        truncated
+      };
+      await cache.set(cacheKey, payload, REPORT_CACHE_TTL);
+    } else {
+      console.log(`🎯 [Cache HIT] ${cacheKey.substring(0, 80)}...`);
+    }
+
+    // ====== STEP 3: RESPOND ======
+    if (query.format === 'csv') {
+      const csvContent = attendanceReportToCsv(payload.report);
+      const filename = `attendance-report-${startDate}-to-${endDate}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+
+      return res.status(200).send(csvContent);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: payload.report,
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        mock_type: query.mock_type || null,
+        location: query.location || null,
+        truncated: payload.truncated
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [ATTENDANCE-REPORT] Failed to build attendance report:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to build attendance report'
+      }
+    });
+  }
+};
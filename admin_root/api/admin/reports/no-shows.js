@@ -0,0 +1,132 @@
+/**
+ * GET /api/admin/reports/no-shows
+ * No-show counts per trainee over past sessions, most no-shows first, and the
+ * chronic no-show list (see _shared/attendance-analytics.js)
+ *
+ * Query Parameters:
+ * - start_date (optional): YYYY-MM-DD, defaults to 90 days before end_date
+ * - end_date (optional): YYYY-MM-DD, defaults to today; at most 366 days after start_date
+ * - mock_type (optional): Only this mock type
+ * - location (optional): Only sessions at this site
+ * - min_no_shows (optional): Chronic threshold, no-shows in the range (default 3)
+ * - min_no_show_rate (optional): Chronic threshold, percent of marked bookings (default 50)
+ * - chronic_only (optional): Only list chronic no-shows
+ * - format (optional): 'json' (default) or 'csv' to download the listed trainees
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getCache } = require('../../_shared/cache');
+const {
+  DEFAULT_CHRONIC_NO_SHOW,
+  resolveReportRange,
+  loadAttendanceRecords,
+  getTraineeNoShows,
+  getChronicNoShows,
+  noShowsToCsv
+} = require('../../_shared/attendance-analytics');
+
+// Attendance changes clear admin:reports:*; this only covers new bookings syncing in
+const REPORT_CACHE_TTL = 300;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    // CSV downloads need the export permission
+    await requirePermission(req, req.query.format === 'csv' ? 'bookings.export' : 'bookings.view');
+
+    const query = await validateInput(req.query, 'attendanceReport');
+
+    // ====== STEP 1: RESOLVE RANGE AND THRESHOLDS ======
+    const { startDate, endDate } = resolveReportRange(query);
+    const filters = { startDate, endDate, mockType: query.mock_type, location: query.location };
+    const thresholds = {
+      min_no_shows: query.min_no_shows ?? DEFAULT_CHRONIC_NO_SHOW.min_no_shows,
+      min_no_show_rate: query.min_no_show_rate ?? DEFAULT_CHRONIC_NO_SHOW.min_no_show_rate
+    };
+
+    // ====== STEP 2: COUNT NO-SHOWS PER TRAINEE (CACHED) ======
+    const cache = getCache();
+    const cacheKey = `admin:reports:no-shows:${JSON.stringify(filters)}`;
+
+    let payload = await cache.get(cacheKey);
+    if (!payload) {
+      const { records, truncated } = await loadAttendanceRecords(filters);
+      payload = { trainees: getTraineeNoShows(records), truncated };
+      await cache.set(cacheKey, payload, REPORT_CACHE_TTL);
+    } else {
+      console.log(`🎯 [Cache HIT] ${cacheKey.substring(0, 80)}...`);
+    }
+
+    const chronic = getChronicNoShows(payload.trainees, thresholds);
+    const trainees = query.chronic_only ? chronic : payload.trainees;
+
+    // ====== STEP 3: RESPOND ======
+    if (query.format === 'csv') {
+      const csvContent = noShowsToCsv(trainees);
+      const filename = `${query.chronic_only ? 'chronic-no-shows' : 'no-shows'}-${startDate}-to-${endDate}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+
+      return res.status(200).send(csvContent);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        trainees,
+        chronic
+      },
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        mock_type: query.mock_type || null,
+        location: query.location || null,
+        thresholds,
+        total_trainees: payload.trainees.length,
+        total_chronic: chronic.length,
+        truncated: payload.truncated
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [ATTENDANCE-REPORT] Failed to build no-show report:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to build no-show report'
+      }
+    });
+  }
+};
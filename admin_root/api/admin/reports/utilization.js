@@ -0,0 +1,126 @@
+/**
+ * GET /api/admin/reports/utilization
+ * Sessions, capacity, bookings, cancellations and fill rate per week or month,
+ * with the change from the previous range of the same length
+ * (see _shared/utilization-analytics.js)
+ *
+ * Query Parameters:
+ * - start_date (optional): YYYY-MM-DD, defaults to 90 days before end_date
+ * - end_date (optional): YYYY-MM-DD, defaults to today; at most 366 days after start_date
+ * - mock_type (optional): Only this mock type
+ * - location (optional): Only sessions at this site
+ * - interval (optional): 'week' (default) or 'month' periods
+ * - group_by (optional): 'none' (default), 'location' or 'mock_type' - adds a series per group
+ * - compare (optional): Compare with the previous range (default true)
+ * - format (optional): 'json' (default) or 'csv' to download the series
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getCache } = require('../../_shared/cache');
+const { resolveReportRange } = require('../../_shared/attendance-analytics');
+const {
+  getPreviousRange,
+  loadUtilizationData,
+  buildUtilizationReport,
+  utilizationReportToCsv
+} = require('../../_shared/utilization-analytics');
+
+// Session edits don't clear this cache, so keep it short
+const REPORT_CACHE_TTL = 300;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    await requirePermission(req, 'exams.view');
+
+    const query = await validateInput(req.query, 'utilizationReport');
+
+    // ====== STEP 1: RESOLVE RANGES ======
+    const { startDate, endDate } = resolveReportRange(query);
+    const previousRange = query.compare ? getPreviousRange(startDate, endDate) : null;
+    const filters = { mockType: query.mock_type, location: query.location };
+    const groupBy = query.group_by === 'none' ? null : query.group_by;
+
+    // ====== STEP 2: BUILD REPORT (CACHED) ======
+    const cache = getCache();
+    const cacheKey = `admin:reports:utilization:${JSON.stringify({ startDate, endDate, ...filters, interval: query.interval, groupBy, compare: query.compare })}`;
+
+    let report = await cache.get(cacheKey);
+    if (!report) {
+      const current = await loadUtilizationData({ startDate, endDate, ...filters });
+      const previous = previousRange ? await loadUtilizationData({ ...previousRange, ...filters }) : null;
+
+      report = buildUtilizationReport(
+        { ...current, previous },
+        { startDate, endDate, interval: query.interval, groupBy }
+      );
+      await cache.set(cacheKey, report, REPORT_CACHE_TTL);
+    } else {
+      console.log(`🎯 [Cache HIT] ${cacheKey.substring(0, 80)}...`);
+    }
+
+    // ====== STEP 3: RESPOND ======
+    if (query.format === 'csv') {
+      const csvContent = utilizationReportToCsv(report);
+      const filename = `utilization-report-${startDate}-to-${endDate}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+
+      return res.status(200).send(csvContent);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        previous_start_date: previousRange?.startDate || null,
+        previous_end_date: previousRange?.endDate || null,
+        mock_type: query.mock_type || null,
+        location: query.location || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [UTILIZATION-REPORT] Failed to build utilization report:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to build utilization report'
+      }
+    });
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * GET /api/admin/rooms/[id]
+ * Get one room
+ *
+ * PATCH /api/admin/rooms/[id]
+ * Update a room - the changes are merged into the stored room and the result
+ * must still be a complete room. Set is_active=false to retire a room.
+ *
+ * DELETE /api/admin/rooms/[id]
+ * Delete a room no session was ever assigned to (409 ROOM_IN_USE otherwise)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const {
+  ROOM_FIELDS,
+  getRoom,
+  updateRoom,
+  deleteRoom
+} = require('../../_shared/rooms');
+
+module.exports = async (req, res) => {
+  const roomId = req.query.id;
+
+  if (!roomId || !/^[0-9a-f-]{36}$/i.test(roomId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid room ID is required'
+      }
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const room = await getRoom(roomId);
+
+      return res.status(200).json({
+        success: true,
+        data: room
+      });
+    }
+
+    if (req.method === 'PATCH') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getRoom(roomId);
+
+      // Merge onto the stored editable columns, then validate the complete room
+      const merged = ROOM_FIELDS.reduce((room, field) => {
+        const value = req.body?.[field] !== undefined ? req.body[field] : existing[field];
+        if (value !== undefined && value !== null) {
+          room[field] = value;
+        }
+        return room;
+      }, {});
+      const room = await validateInput(merged, 'room');
+
+      const updated = await updateRoom(roomId, room, user?.email);
+      console.log(`🚪 [ROOMS] Updated room "${updated.site} / ${updated.name}" (${roomId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        data: updated,
+        message: `Room "${updated.name}" updated`
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getRoom(roomId);
+
+      await deleteRoom(roomId);
+      console.log(`🗑️ [ROOMS] Deleted room "${existing.site} / ${existing.name}" (${roomId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Room "${existing.name}" deleted`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [ROOMS] ${req.method} failed for room ${roomId}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process room request'
+      }
+    });
+  }
+};
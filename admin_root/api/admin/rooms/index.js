@@ -0,0 +1,93 @@
+/**
+ * GET /api/admin/rooms
+ * List rooms (active only unless include_inactive=true, optionally for one site)
+ *
+ * POST /api/admin/rooms
+ * Create a room
+ *
+ * Request Body (POST):
+ * {
+ *   "site": "Mississauga - Lab D",
+ *   "name": "Room 2",
+ *   "capacity": 12,                                             // seats / stations
+ *   "equipment": [{ "name": "Left-handed station", "quantity": 2 }],
+ *   "notes": "Projector on the east wall"                       // optional
+ * }
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { listRooms, createRoom } = require('../../_shared/rooms');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const rooms = await listRooms({
+        includeInactive: req.query.include_inactive === 'true',
+        site: req.query.site || undefined
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: rooms,
+        meta: {
+          total: rooms.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const user = await requirePermission(req, 'exams.create');
+      const room = await validateInput(req.body, 'room');
+
+      const created = await createRoom(room, user?.email);
+      console.log(`🚪 [ROOMS] Created room "${created.site} / ${created.name}" (${created.id}) by ${user?.email}`);
+
+      return res.status(201).json({
+        success: true,
+        data: created,
+        message: `Room "${created.name}" created`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [ROOMS] ${req.method} failed:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process rooms request'
+      }
+    });
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * GET /api/admin/rooms/occupancy
+ * Room occupancy for a date range - which sessions use each room and where
+ * rooms are double-booked
+ *
+ * Query Parameters:
+ * - start_date (required): YYYY-MM-DD
+ * - end_date (optional): YYYY-MM-DD, defaults to start_date, at most 31 days after it
+ * - site (optional): only rooms at this site
+ *
+ * Returns active rooms (plus retired rooms that still have sessions in range),
+ * each with its sessions ordered by start time and the overlapping pairs.
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { addDays } = require('../../_shared/exam-series');
+const {
+  listRooms,
+  getRoomSessions,
+  findOccupancyOverlaps
+} = require('../../_shared/rooms');
+
+const MAX_RANGE_DAYS = 31;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  try {
+    await requirePermission(req, 'exams.view');
+
+    // ====== STEP 1: VALIDATE RANGE ======
+    const query = await validateInput(req.query, 'roomOccupancy');
+    const startDate = query.start_date;
+    const endDate = query.end_date || startDate;
+
+    if (endDate > addDays(startDate, MAX_RANGE_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RANGE_TOO_LARGE',
+          message: `Occupancy can be shown for at most ${MAX_RANGE_DAYS} days at a time`
+        }
+      });
+    }
+
+    // ====== STEP 2: LOAD ROOMS AND THEIR SESSIONS ======
+    const rooms = await listRooms({ includeInactive: true, site: query.site });
+    const sessions = await getRoomSessions(rooms.map(room => room.id), { startDate, endDate });
+    const overlaps = findOccupancyOverlaps(sessions);
+
+    // ====== STEP 3: GROUP BY ROOM ======
+    const data = rooms
+      .map(room => ({
+        ...room,
+        sessions: sessions
+          .filter(session => session.room_id === room.id)
+          .map(session => ({
+            id: session.hubspot_id,
+            mock_type: session.mock_type,
+            mock_set: session.mock_set,
+            exam_date: session.exam_date,
+            start_time: session.start_time,
+            end_time: session.end_time,
+            capacity: session.capacity,
+            total_bookings: session.total_bookings,
+            is_active: session.is_active,
+            over_capacity: (parseInt(session.capacity) || 0) > room.capacity
+          })),
+        overlaps: overlaps.filter(overlap => overlap.room_id === room.id)
+      }))
+      .filter(room => room.is_active || room.sessions.length > 0);
+
+    console.log(`🚪 [ROOMS] Occupancy ${startDate}..${endDate}: ${data.length} room(s), ${sessions.length} session(s), ${overlaps.length} overlap(s)`);
+
+    return res.status(200).json({
+      success: true,
+      data,
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        total_sessions: sessions.length,
+        total_overlaps: overlaps.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [ROOMS] Occupancy failed:', error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to load room occupancy'
+      }
+    });
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * GET /api/admin/session-templates/[id]
+ * Get one session template
+ *
+ * PATCH /api/admin/session-templates/[id]
+ * Update a session template - the changes are merged into the stored template
+ * and the result must still be a complete template
+ *
+ * DELETE /api/admin/session-templates/[id]
+ * Delete a session template (sessions created from it are not affected)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const {
+  TEMPLATE_FIELDS,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../../_shared/session-templates');
+
+module.exports = async (req, res) => {
+  const templateId = req.query.id;
+
+  if (!templateId || !/^[0-9a-f-]{36}$/i.test(templateId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid template ID is required'
+      }
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const template = await getTemplate(templateId);
+
+      return res.status(200).json({
+        success: true,
+        data: template
+      });
+    }
+
+    if (req.method === 'PATCH') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getTemplate(templateId);
+
+      // Merge onto the stored editable columns, then validate the complete template
+      const merged = TEMPLATE_FIELDS.reduce((template, field) => {
+        const value = req.body?.[field] !== undefined ? req.body[field] : existing[field];
+        if (value !== undefined && value !== null) {
+          template[field] = value;
+        }
+        return template;
+      }, {});
+      const template = await validateInput(merged, 'sessionTemplate');
+
+      const updated = await updateTemplate(templateId, template, user?.email);
+      console.log(`📋 [TEMPLATES] Updated template "${updated.name}" (${templateId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        data: updated,
+        message: `Template "${updated.name}" updated`
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getTemplate(templateId);
+
+      await deleteTemplate(templateId);
+      console.log(`🗑️ [TEMPLATES] Deleted template "${existing.name}" (${templateId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `Template "${existing.name}" deleted`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [TEMPLATES] ${req.method} failed for template ${templateId}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process session template request'
+      }
+    });
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * GET /api/admin/session-templates
+ * List all session templates
+ *
+ * POST /api/admin/session-templates
+ * Create a session template
+ *
+ * Request Body (POST):
+ * {
+ *   "name": "Saturday CS - Lab D",
+ *   "description": "Morning and afternoon Clinical Skills",  // optional
+ *   "mock_type": "Clinical Skills",
+ *   "mock_set": "A",                                          // optional
+ *   "location": "Mississauga - Lab D",
+ *   "capacity_mode": "global",                                // or "per-slot"
+ *   "capacity": 12,                                           // global mode
+ *   "time_slots": [
+ *     { "start_time": "09:00", "end_time": "12:00" },
+ *     { "start_time": "13:00", "end_time": "16:00" }
+ *   ],
+ *   "activation_mode": "scheduled",                           // or "immediate"
+ *   "activation_days_before": 14,                             // scheduled mode
+ *   "activation_time": "09:00"                                // scheduled mode, Toronto time
+ * }
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { listTemplates, createTemplate } = require('../../_shared/session-templates');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const templates = await listTemplates();
+
+      return res.status(200).json({
+        success: true,
+        data: templates,
+        meta: {
+          total: templates.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const user = await requirePermission(req, 'exams.create');
+      const template = await validateInput(req.body, 'sessionTemplate');
+
+      const created = await createTemplate(template, user?.email);
+      console.log(`📋 [TEMPLATES] Created template "${created.name}" (${created.id}) by ${user?.email}`);
+
+      return res.status(201).json({
+        success: true,
+        data: created,
+        message: `Template "${created.name}" saved`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [TEMPLATES] ${req.method} failed:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process session templates request'
+      }
+    });
+  }
+};
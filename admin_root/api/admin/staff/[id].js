@@ -0,0 +1,121 @@
+/**
+ * GET /api/admin/staff/[id]
+ * Get one staff member
+ *
+ * PATCH /api/admin/staff/[id]
+ * Update a staff member - the changes are merged into the stored record and
+ * the result must still be complete. Set is_active=false when someone leaves.
+ *
+ * DELETE /api/admin/staff/[id]
+ * Delete a staff member who was never assigned to a session (409 STAFF_IN_USE otherwise)
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const {
+  STAFF_FIELDS,
+  getStaff,
+  updateStaff,
+  deleteStaff
+} = require('../../_shared/staff');
+
+module.exports = async (req, res) => {
+  const staffId = req.query.id;
+
+  if (!staffId || !/^[0-9a-f-]{36}$/i.test(staffId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid staff ID is required'
+      }
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const staff = await getStaff(staffId);
+
+      return res.status(200).json({
+        success: true,
+        data: staff
+      });
+    }
+
+    if (req.method === 'PATCH') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getStaff(staffId);
+
+      // Merge onto the stored editable columns, then validate the complete record
+      const merged = STAFF_FIELDS.reduce((staff, field) => {
+        const value = req.body?.[field] !== undefined ? req.body[field] : existing[field];
+        if (value !== undefined && value !== null) {
+          staff[field] = value;
+        }
+        return staff;
+      }, {});
+      const staff = await validateInput(merged, 'staffMember');
+
+      const updated = await updateStaff(staffId, staff, user?.email);
+      console.log(`🧑‍⚕️ [STAFF] Updated staff member ${updated.email} (${staffId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        data: updated,
+        message: `${updated.name} updated`
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const user = await requirePermission(req, 'exams.create');
+      const existing = await getStaff(staffId);
+
+      await deleteStaff(staffId);
+      console.log(`🗑️ [STAFF] Deleted staff member ${existing.email} (${staffId}) by ${user?.email}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `${existing.name} removed from staff`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [STAFF] ${req.method} failed for staff member ${staffId}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process staff request'
+      }
+    });
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * GET /api/admin/staff/[id]/schedule
+ * Sessions a staff member is assigned to in a date range
+ *
+ * Query Parameters:
+ * - start_date (required): YYYY-MM-DD
+ * - end_date (optional): YYYY-MM-DD, defaults to start_date, at most 92 days after it
+ * - format (optional): 'json' (default) or 'csv' to download the schedule
+ *
+ * Each session carries the role the person fills and the sessions it overlaps
+ * with (assignments made with allow_overlap).
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { addDays } = require('../../../_shared/exam-series');
+const hubspot = require('../../../_shared/hubspot');
+const { checkTimeOverlap } = require('../../../_shared/time-conflicts');
+const { getStaff, getStaffSessions } = require('../../../_shared/staff');
+const { escapeCSV } = require('../../../_shared/csv');
+
+const MAX_RANGE_DAYS = 92;
+
+/**
+ * One row per session, Toronto times
+ */
+function toScheduleCsv(sessions) {
+  const header = ['Date', 'Start', 'End', 'Role', 'Mock Type', 'Mock Set', 'Location', 'Bookings', 'Session ID'];
+  const rows = sessions.map(session => [
+    session.exam_date,
+    hubspot.extractTimeFromTimestamp(session.start_time),
+    hubspot.extractTimeFromTimestamp(session.end_time),
+    session.role,
+    session.mock_type,
+    session.mock_set,
+    session.location,
+    session.total_bookings || 0,
+    session.id
+  ].map(escapeCSV).join(','));
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only GET method is allowed'
+      }
+    });
+  }
+
+  const staffId = req.query.id;
+
+  if (!staffId || !/^[0-9a-f-]{36}$/i.test(staffId)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'A valid staff ID is required'
+      }
+    });
+  }
+
+  try {
+    await requirePermission(req, 'exams.view');
+
+    // ====== STEP 1: VALIDATE RANGE ======
+    const query = await validateInput(req.query, 'staffSchedule');
+    const startDate = query.start_date;
+    const endDate = query.end_date || startDate;
+
+    if (endDate > addDays(startDate, MAX_RANGE_DAYS)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RANGE_TOO_LARGE',
+          message: `A schedule can cover at most ${MAX_RANGE_DAYS} days at a time`
+        }
+      });
+    }
+
+    // ====== STEP 2: LOAD THE PERSON AND THEIR SESSIONS ======
+    const staff = await getStaff(staffId);
+    const rows = await getStaffSessions(staffId, { startDate, endDate });
+
+    const sessions = rows.map(session => ({
+      id: session.hubspot_id,
+      assignment_id: session.assignment_id,
+      role: session.role,
+      mock_type: session.mock_type,
+      mock_set: session.mock_set,
+      exam_date: session.exam_date,
+      start_time: session.start_time,
+      end_time: session.end_time,
+      location: session.location,
+      room_id: session.room_id,
+      capacity: session.capacity,
+      total_bookings: session.total_bookings,
+      is_active: session.is_active,
+      overlaps_with: rows
+        .filter(other =>
+          other.hubspot_id !== session.hubspot_id &&
+          other.exam_date === session.exam_date &&
+          checkTimeOverlap(session.start_time, session.end_time, other.start_time, other.end_time)
+        )
+        .map(other => other.hubspot_id)
+    }));
+
+    // ====== STEP 3: RESPOND ======
+    if (query.format === 'csv') {
+      const csvContent = toScheduleCsv(sessions);
+      const slug = staff.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const filename = `staff-schedule-${slug || staffId}-${startDate}-to-${endDate}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+
+      return res.status(200).send(csvContent);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        staff,
+        sessions
+      },
+      meta: {
+        start_date: startDate,
+        end_date: endDate,
+        total_sessions: sessions.length,
+        total_overlaps: sessions.filter(session => session.overlaps_with.length > 0).length
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [STAFF] Schedule failed for staff member ${staffId}:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to load staff schedule'
+      }
+    });
+  }
+};
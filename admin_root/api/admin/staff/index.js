@@ -0,0 +1,96 @@
+/**
+ * GET /api/admin/staff
+ * List staff (active only unless include_inactive=true, optionally only one role)
+ *
+ * POST /api/admin/staff
+ * Create a staff member
+ *
+ * Request Body (POST):
+ * {
+ *   "name": "Dr. Jane Doe",
+ *   "email": "jane.doe@example.com",
+ *   "roles": ["examiner", "proctor"],
+ *   "sites": ["Mississauga", "Mississauga - Lab D"],              // optional, empty = any site
+ *   "available_weekdays": [6, 0],                                 // optional, 0 = Sunday, empty = any day
+ *   "unavailable_dates": [{ "start_date": "2026-12-20", "end_date": "2027-01-03", "reason": "Holidays" }],
+ *   "notes": "Prefers morning sessions"                           // optional
+ * }
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { STAFF_ROLES, listStaff, createStaff } = require('../../_shared/staff');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const role = STAFF_ROLES.includes(req.query.role) ? req.query.role : undefined;
+      const staff = await listStaff({
+        includeInactive: req.query.include_inactive === 'true',
+        role
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: staff,
+        meta: {
+          total: staff.length,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const user = await requirePermission(req, 'exams.create');
+      const staff = await validateInput(req.body, 'staffMember');
+
+      const created = await createStaff(staff, user?.email);
+      console.log(`🧑‍⚕️ [STAFF] Created staff member ${created.email} (${created.id}) by ${user?.email}`);
+
+      return res.status(201).json({
+        success: true,
+        data: created,
+        message: `${created.name} added to staff`
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [STAFF] ${req.method} failed:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process staff request'
+      }
+    });
+  }
+};
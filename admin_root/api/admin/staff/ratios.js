@@ -0,0 +1,97 @@
+/**
+ * GET /api/admin/staff/ratios
+ * Staffing ratios per mock type and role
+ *
+ * PUT /api/admin/staff/ratios
+ * Replace the staffing ratios - pairs left out are removed
+ *
+ * Request Body (PUT):
+ * {
+ *   "ratios": [
+ *     { "mock_type": "Clinical Skills", "role": "examiner", "trainees_per_staff": 6, "min_staff": 1 },
+ *     { "mock_type": "Situational Judgment", "role": "proctor", "trainees_per_staff": null, "min_staff": 1 }
+ *   ]
+ * }
+ *
+ * A session needs max(min_staff, ceil(total_bookings / trainees_per_staff)) staff of each role.
+ */
+
+const { requirePermission } = require('../middleware/requirePermission');
+const { validateInput } = require('../../_shared/validation');
+const { getCache } = require('../../_shared/cache');
+const { listRatios, saveRatios } = require('../../_shared/staff');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      await requirePermission(req, 'exams.view');
+
+      const ratios = await listRatios();
+
+      return res.status(200).json({
+        success: true,
+        data: ratios
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const user = await requirePermission(req, 'exams.create');
+      const { ratios } = await validateInput(req.body, 'staffingRatios');
+
+      const saved = await saveRatios(ratios, user?.email);
+      console.log(`⚖️ [STAFF] ${saved.length} staffing ratio(s) saved by ${user?.email}`);
+
+      // Listings carry understaffed flags computed from the ratios
+      try {
+        const cache = getCache();
+        await cache.deletePattern('admin:mock-exams:list:*');
+        await cache.deletePattern('admin:aggregate:sessions:*');
+      } catch (cacheError) {
+        console.error('⚠️ [CACHE] Failed to invalidate caches after ratio change:', cacheError.message);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: saved,
+        message: 'Staffing ratios saved'
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: {
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Method ${req.method} not allowed`
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ [STAFF] Ratios ${req.method} failed:`, error.message);
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          details: error.validationErrors
+        }
+      });
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.status ? error.message : 'Failed to process staffing ratios'
+      }
+    });
+  }
+};
@@ -11,6 +11,7 @@
 
 const { requirePermission } = require('../middleware/requirePermission');
 const hubspot = require('../../_shared/hubspot');
+const { getTrashedIds } = require('../../_shared/trash');
 
 // Initialize Supabase client
 const { createClient } = require('@supabase/supabase-js');
@@ -126,8 +127,10 @@ module.exports = async (req, res) => {
     if (type === 'exams') {
       console.log('🔄 [SYNC] Forcing sync of all mock exams...');
 
-      // Get all exams from HubSpot
-      const exams = await hubspot.listMockExams({ limit: 1000 });
+      // Get all exams from HubSpot (trashed exams stay out of Supabase until restored)
+      const { results: allExams = [] } = await hubspot.listMockExams({ limit: 1000 });
+      const trashedIds = await getTrashedIds(allExams.map(exam => exam.id));
+      const exams = allExams.filter(exam => !trashedIds.has(exam.id));
 
       if (!exams || exams.length === 0) {
         return res.status(200).json({
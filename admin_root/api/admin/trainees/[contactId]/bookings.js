@@ -7,7 +7,7 @@
  * - Validates contact exists in HubSpot
  * - Returns detailed booking information with mock exam details
  * - Implements Redis caching with 5-minute TTL
- * - Calculates summary statistics
+ * - Calculates summary statistics, including the exam sets the trainee has attended or booked
  * - Filters Active and Completed bookings by default
  *
  * Query Parameters:
@@ -25,6 +25,7 @@ const {
   syncBookingsToSupabase,
   syncContactToSupabase
 } = require('../../../_shared/supabase-data');
+const { buildSetHistory } = require('../../../_shared/mock-set-repeats');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -380,7 +381,9 @@ module.exports = async (req, res) => {
       ).length,
       attended: transformedBookings.filter(b => b.attendance === 'Yes').length,
       no_show: transformedBookings.filter(b => b.attendance === 'No').length,
-      unmarked: transformedBookings.filter(b => !b.attendance || b.attendance === '').length
+      unmarked: transformedBookings.filter(b => !b.attendance || b.attendance === '').length,
+      // Raw properties carry booking_id, which the transformed rows don't
+      set_history: buildSetHistory(allBookings.map(booking => booking.properties))
     };
 
     // Build response
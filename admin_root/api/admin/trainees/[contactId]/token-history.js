@@ -0,0 +1,114 @@
+/**
+ * GET /api/admin/trainees/[contactId]/token-history
+ * Credit ledger for a trainee - every token debit/credit with reason, booking and actor
+ *
+ * Query Parameters:
+ * - credit_field (optional): Only entries for one balance (e.g. sj_credits)
+ * - limit (optional): Page size (default 50, max 200)
+ * - offset (optional): Entries to skip (default 0)
+ *
+ * The response includes a consistency check: the full ledger is replayed and
+ * compared with the current balances in hubspot_contact_credits.
+ */
+
+const { requirePermission } = require('../../middleware/requirePermission');
+const { validateInput } = require('../../../_shared/validation');
+const { getCreditHistory, checkLedgerConsistency } = require('../../../_shared/credit-ledger');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: {
+          code: 'METHOD_NOT_ALLOWED',
+          message: 'Method not allowed'
+        }
+      });
+    }
+
+    // Verify admin authentication and permission
+    await requirePermission(req, 'bookings.view');
+
+    const contactId = req.query.contactId;
+
+    if (!contactId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Contact ID is required'
+        }
+      });
+    }
+
+    const { credit_field, limit, offset } = await validateInput(req.query, 'traineeTokenHistory');
+
+    const [history, consistency] = await Promise.all([
+      getCreditHistory(contactId, { creditField: credit_field, limit, offset }),
+      checkLedgerConsistency(contactId)
+    ]);
+
+    if (!consistency.consistent) {
+      console.warn(`⚠️ [TOKEN HISTORY] Ledger does not match balances for contact ${contactId}`, {
+        gaps: consistency.gaps.length
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact_id: contactId,
+        entries: history.entries,
+        consistency
+      },
+      pagination: {
+        total: history.total,
+        limit,
+        offset,
+        has_more: offset + history.entries.length < history.total
+      }
+    });
+
+  } catch (error) {
+    console.error('[TOKEN HISTORY] Error:', error);
+
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.code === 'UNAUTHORIZED') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to load token history'
+      }
+    });
+  }
+};
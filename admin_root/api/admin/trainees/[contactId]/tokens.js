@@ -10,13 +10,18 @@
  *     situational_judgment: 2,
  *     mini_mock: 1,
  *     shared_mock: 0
- *   }
+ *   },
+ *   reason: 'Package renewal',           // optional, recorded in the credit ledger
+ *   expires_at: '2027-06-30T23:59:59Z'   // optional, tokens ADDED by this edit expire then
  * }
  *
  * Architecture:
  * 1. Write to HubSpot (source of truth)
- * 2. Sync to Supabase (fire-and-forget)
- * 3. Invalidate Redis cache
+ * 2. Keep expiring lots in step with the balances - increases become a lot when
+ *    expires_at is given, decreases use up the earliest-expiring lots first
+ * 3. Sync to Supabase (fire-and-forget) - balance changes are recorded in the
+ *    credit ledger as admin adjustments
+ * 4. Invalidate Redis cache
  */
 
 const { requirePermission } = require('../../middleware/requirePermission');
@@ -24,6 +29,13 @@ const { validateInput } = require('../../../_shared/validation');
 const hubspot = require('../../../_shared/hubspot');
 const { getCache } = require('../../../_shared/cache');
 const { syncContactToSupabase } = require('../../../_shared/supabase-data');
+const { LEDGER_REASONS, ACTOR_TYPES, CREDIT_FIELDS, getCreditSnapshot } = require('../../../_shared/credit-ledger');
+const {
+  grantLot,
+  consumeFromLots,
+  getCreditExpiry,
+  listActiveLots
+} = require('../../../_shared/credit-lots');
 
 module.exports = async (req, res) => {
   try {
@@ -59,6 +71,12 @@ module.exports = async (req, res) => {
       shared_mock_credits: tokens.shared_mock.toString()
     };
 
+    // Balances before the edit - lots follow the change in each balance
+    const previousBalances = await getCreditSnapshot(contactId) || (await hubspot.apiCall(
+      'GET',
+      `/crm/v3/objects/contacts/${contactId}?properties=${CREDIT_FIELDS.join(',')}`
+    ))?.properties;
+
     // 4. Update HubSpot (source of truth)
     console.log(`[TOKEN UPDATE] Updating tokens for contact ${contactId}:`, properties);
 
@@ -78,6 +96,29 @@ module.exports = async (req, res) => {
       });
     }
 
+    // 4b. Adjust expiring lots (non-blocking - the balances above are authoritative)
+    const grantedLots = [];
+    for (const [creditField, value] of Object.entries(properties)) {
+      const delta = parseInt(value) - (parseInt(previousBalances?.[creditField]) || 0);
+
+      if (delta > 0 && validatedData.expires_at) {
+        const lot = await grantLot({
+          contactId,
+          studentId: previousBalances?.student_id,
+          creditField,
+          quantity: delta,
+          expiresAt: validatedData.expires_at,
+          grantedBy: user.email,
+          note: validatedData.reason || null
+        });
+        if (lot) {
+          grantedLots.push(lot);
+        }
+      } else if (delta < 0) {
+        await consumeFromLots(contactId, creditField, -delta);
+      }
+    }
+
     // 5. Sync to Supabase (fire-and-forget, non-blocking)
     // We need to fetch the full contact to sync all required fields
     const propertiesToFetch = [
@@ -92,8 +133,13 @@ module.exports = async (req, res) => {
       `/crm/v3/objects/contacts/${contactId}?properties=${propertiesToFetch.join(',')}`
     );
 
-    // Fire and forget sync to Supabase
-    syncContactToSupabase(fullContact).catch(error => {
+    // Fire and forget sync to Supabase (the sync diffs against the previous balances for the ledger)
+    syncContactToSupabase(fullContact, {
+      reason: LEDGER_REASONS.ADMIN_ADJUSTMENT,
+      actorType: ACTOR_TYPES.ADMIN,
+      actor: user.email,
+      note: validatedData.reason || null
+    }).catch(error => {
       console.error('[TOKEN UPDATE] Supabase sync failed (non-blocking):', error.message);
     });
 
@@ -112,7 +158,9 @@ module.exports = async (req, res) => {
       });
     }
 
-    // 7. Return success response with updated tokens
+    // 7. Return success response with updated tokens and the lots they now hold
+    const tokenLots = listActiveLots(await getCreditExpiry(contactId, properties));
+
     return res.status(200).json({
       success: true,
       data: {
@@ -124,10 +172,12 @@ module.exports = async (req, res) => {
           mini_mock: parseInt(properties.sjmini_credits),
           shared_mock: parseInt(properties.shared_mock_credits)
         },
+        token_lots: tokenLots,
         metadata: {
           updated_at: new Date().toISOString(),
           updated_by: user.email,
           cache_invalidated: true,
+          lots_granted: grantedLots.length,
           supabase_sync_initiated: true
         }
       }
@@ -157,6 +207,17 @@ module.exports = async (req, res) => {
       });
     }
 
+    // Validation errors (e.g. an expiry date in the past)
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: error.message
+        }
+      });
+    }
+
     // HubSpot API errors
     if (error.response?.status === 404) {
       return res.status(404).json({
@@ -22,6 +22,7 @@ const {
   getContactByStudentIdFromSupabase,
   syncContactToSupabase
 } = require('../../_shared/supabase-data');
+const { getOpenLots, summarizeLots, listActiveLots } = require('../../_shared/credit-lots');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -215,7 +216,9 @@ module.exports = async (req, res) => {
       }
     }
 
-    // Step 4: Transform the results
+    // Step 4: Transform the results (with the expiring lots behind each balance)
+    const lots = await getOpenLots(allContacts.map(contact => contact.id));
+
     const transformedContacts = allContacts.map(contact => ({
       id: contact.id,
       firstname: contact.properties.firstname || '',
@@ -230,7 +233,11 @@ module.exports = async (req, res) => {
         situational_judgment: parseInt(contact.properties.sj_credits, 10) || 0,
         mini_mock: parseInt(contact.properties.sjmini_credits, 10) || 0,
         shared_mock: parseInt(contact.properties.shared_mock_credits, 10) || 0
-      }
+      },
+      token_lots: listActiveLots(summarizeLots(
+        lots.filter(lot => lot.contact_id === String(contact.id)),
+        contact.properties
+      ))
     }));
 
     // Build response
@@ -15,7 +15,8 @@
  *       reason?: string                // Optional cancellation reason
  *     }
  *   ],
- *   refundTokens?: boolean  // Whether to refund tokens (default: true)
+ *   refundTokens?: boolean, // Whether to refund tokens (default: true)
+ *   refundPolicy?: 'full' | 'policy' // 'policy' forfeits tokens for late cancellations (default: 'full')
  * }
  *
  * Returns:
@@ -41,6 +42,7 @@ const {
   getBookingCascading
 } = require('../_shared/supabase-data');
 const { getCache } = require('../_shared/cache');
+const { promoteFromWaitlist } = require('../_shared/waitlist');
 
 // Validation schema for batch cancellation
 // Updated to support cascading lookup pattern:
@@ -94,6 +96,13 @@ const batchCancelSchema = Joi.object({
     .default(true)
     .messages({
       'boolean.base': 'refundTokens must be a boolean'
+    }),
+  refundPolicy: Joi.string()
+    .valid('full', 'policy')
+    .optional()
+    .default('full')
+    .messages({
+      'any.only': 'refundPolicy must be either "full" or "policy"'
     })
 });
 
@@ -108,8 +117,9 @@ const batchCancelSchema = Joi.object({
  * @param {Object} bookingData - Booking data with id, hubspot_id, reason
  * @param {Object} redis - Redis service instance
  * @param {boolean} refundTokens - Whether to refund tokens (default: true)
+ * @param {string} refundPolicy - 'full' or 'policy' (late cancellations forfeit the token)
  */
-async function cancelSingleBooking(hubspot, bookingData, redis, refundTokens = true) {
+async function cancelSingleBooking(hubspot, bookingData, redis, refundTokens = true, refundPolicy = 'full') {
   const { id: supabaseId, hubspot_id: providedHubspotId, reason } = bookingData;
   const result = {
     booking_id: supabaseId,
@@ -370,9 +380,12 @@ async function cancelSingleBooking(hubspot, bookingData, redis, refundTokens = t
         // - Cascading lookup (Supabase UUID → HubSpot ID)
         // - Supabase-first credit update
         // - HubSpot sync (fire-and-forget)
-        const refundResult = await refundService.refundToken(supabaseId, 'admin@prepdoctors.com');
+        const refundResult = await refundService.refundToken(supabaseId, 'admin@prepdoctors.com', null, { refundPolicy });
 
-        if (refundResult.success) {
+        if (refundResult.forfeited) {
+          console.log(`⏭️ Token forfeited for booking ${supabaseId} (late cancellation)`);
+          result.credit_restoration = { skipped: true, forfeited: true, reason: refundResult.reason };
+        } else if (refundResult.success) {
           console.log(`✅ Credits restored successfully for booking ${supabaseId}`);
           result.actions_completed.credits_restored = true;
           result.credit_restoration = {
@@ -541,6 +554,7 @@ async function cancelSingleBooking(hubspot, bookingData, redis, refundTokens = t
     // Success!
     result.success = true;
     result.status = 'cancelled';
+    result.mock_exam_id = mockExamId;
     result.cancelled_at = new Date().toISOString();
 
     console.log(`✅ [Admin] Booking ${supabaseId} cancellation completed successfully`);
@@ -599,10 +613,10 @@ async function handler(req, res) {
     }
 
     // Extract refundTokens flag (defaults to true if not provided)
-    const { bookings, refundTokens = true } = validatedData;
+    const { bookings, refundTokens = true, refundPolicy = 'full' } = validatedData;
 
     console.log(`✅ [VALIDATION SUCCESS] Processing ${bookings.length} booking(s)`);
-    console.log(`🔄 [CANCEL] Token refunds enabled: ${refundTokens}`);
+    console.log(`🔄 [CANCEL] Token refunds enabled: ${refundTokens} (policy: ${refundPolicy})`);
 
     // Initialize HubSpot service and Redis
     const hubspot = new HubSpotService();
@@ -614,7 +628,7 @@ async function handler(req, res) {
     let failedCount = 0;
 
     for (const booking of bookings) {
-      const result = await cancelSingleBooking(hubspot, booking, redis, refundTokens);
+      const result = await cancelSingleBooking(hubspot, booking, redis, refundTokens, refundPolicy);
 
       if (result.success) {
         successCount++;
@@ -630,11 +644,29 @@ async function handler(req, res) {
       total: bookings.length,
       successful: successCount,
       failed: failedCount,
-      refundTokensEnabled: refundTokens
+      refundTokensEnabled: refundTokens,
+      refundPolicy,
+      tokensForfeited: results.filter(r => r.credit_restoration?.forfeited).length
     };
 
     console.log(`📊 [Admin] Batch cancellation summary:`, summary);
 
+    // Step: Promote waitlisted students into the freed seats (one pass per affected exam)
+    const affectedExamIds = [...new Set(
+      results.filter(r => r.success && r.mock_exam_id).map(r => r.mock_exam_id)
+    )];
+
+    let waitlistPromotions = 0;
+    for (const examId of affectedExamIds) {
+      const promotion = await promoteFromWaitlist(examId, {
+        redis,
+        source: 'admin-batch-cancel'
+      });
+      waitlistPromotions += promotion.promoted.length;
+    }
+
+    summary.waitlistPromotions = waitlistPromotions;
+
     // Step: Invalidate trainee bookings Redis cache for affected contacts
     // This ensures the frontend gets fresh data when re-fetching bookings
     if (successCount > 0) {
@@ -9,6 +9,8 @@
  * 4. Sync to HubSpot ONLY IF hubspot_id exists (SECONDARY - fire-and-forget)
  *
  * Note: No "reason" field - rebooking doesn't require a reason
+ * Note: A target session repeating an exam set the trainee has seen is refused with
+ *       409 MOCK_SET_REPEAT when the mock type's rule blocks, unless override_set_repeat is set
  * Note: No HubSpot note creation - audit trail via Supabase updated_at
  *
  * @developer express-backend-architect
@@ -20,6 +22,7 @@ const Joi = require('joi');
 const { requireAdmin } = require('../admin/middleware/requireAdmin');
 const { supabaseAdmin } = require('../_shared/supabase');
 const { getBookingCascading, getExamByIdFromSupabase } = require('../_shared/supabase-data');
+const { checkSetRepeat, createSetRepeatError } = require('../_shared/mock-set-repeats');
 const HubSpotService = require('../_shared/hubspot');
 const RedisLockService = require('../_shared/redis');
 
@@ -40,6 +43,12 @@ const rebookBookingSchema = Joi.object({
     .messages({
       'any.required': 'New mock exam ID is required',
       'string.base': 'New mock exam ID must be a string'
+    }),
+  // Admin override: rebook even if the rule blocks the trainee from repeating this exam set
+  override_set_repeat: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'override_set_repeat must be a boolean value'
     })
 });
 
@@ -162,7 +171,7 @@ async function handler(req, res) {
       });
     }
 
-    const { booking_id, new_mock_exam_id } = value;
+    const { booking_id, new_mock_exam_id, override_set_repeat } = value;
 
     console.log(`[REBOOK] Starting rebook: booking=${booking_id}, newExam=${new_mock_exam_id}`);
 
@@ -224,6 +233,29 @@ async function handler(req, res) {
       });
     }
 
+    // 8b. Check the exam set against the trainee's other bookings (the booking being moved doesn't count)
+    const setRepeat = await checkSetRepeat(booking.associated_contact_id, targetExam, {
+      excludeBookingIds: [booking.id, booking.booking_id]
+    });
+
+    if (setRepeat.repeats.length > 0 && setRepeat.rule === 'block') {
+      if (!override_set_repeat) {
+        const repeatError = createSetRepeatError(targetExam, setRepeat.repeats, setRepeat.rule);
+        return res.status(repeatError.status).json({
+          success: false,
+          error: {
+            code: repeatError.code,
+            message: repeatError.message,
+            set_repeat: repeatError.setRepeat
+          }
+        });
+      }
+
+      console.warn(`[REBOOK] Admin override: rebooking into repeated exam set ${targetExam.mock_set}`, {
+        previous: setRepeat.repeats.map(repeat => repeat.booking_id || repeat.id)
+      });
+    }
+
     // 9. Store previous exam info for response
     const previousExam = {
       id: booking.associated_mock_exam,
@@ -313,6 +345,7 @@ async function handler(req, res) {
         },
         previous_exam: previousExam,
         hubspot_synced: !!booking.hubspot_id,
+        ...(setRepeat.message && { set_repeat_warning: `${setRepeat.message}.` }),
         message: 'Booking successfully rebooked'
       }
     });
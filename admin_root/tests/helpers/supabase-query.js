@@ -0,0 +1,81 @@
+/**
+ * Supabase query stand-ins shared by the unit tests
+ *
+ * supabaseAdmin.from(table) returns a chainable query builder. These mocks record
+ * every builder call and, when awaited (or on single / maybeSingle), resolve to a
+ * canned result - a value, or a function of the recorded calls.
+ *
+ * jest.mock factories can't use variables from the test file, so require this
+ * module inside the factory:
+ *
+ *   const mockResults = {};
+ *
+ *   jest.mock('../../api/_shared/supabase', () => {
+ *     const { createTableQueries } = require('../helpers/supabase-query');
+ *     return { supabaseAdmin: { from: jest.fn(createTableQueries(mockResults)) } };
+ *   });
+ */
+
+const QUERY_METHODS = [
+  'select', 'insert', 'upsert', 'update', 'delete',
+  'eq', 'neq', 'not', 'is', 'in', 'gt', 'gte', 'lt', 'lte', 'overlaps',
+  'order', 'range', 'limit'
+];
+
+const EMPTY_RESULT = { data: [], error: null };
+
+/**
+ * Chainable stand-in for one Supabase query
+ * @param {Object|Function} result - What the query resolves to, or a function of the recorded calls
+ * @param {Object} [options]
+ * @param {Function} [options.onCall] - Called with every recorded call ([method, ...args])
+ * @returns {Object} - The query; its builder methods are jest.fn and `calls` lists every call
+ */
+function createQuery(result, { onCall } = {}) {
+  const calls = [];
+  const query = { calls };
+  const settle = () => Promise.resolve(typeof result === 'function' ? result(calls) : result);
+
+  QUERY_METHODS.forEach(method => {
+    query[method] = jest.fn((...args) => {
+      const call = [method, ...args];
+      calls.push(call);
+      if (onCall) onCall(call);
+      return query;
+    });
+  });
+
+  query.single = jest.fn(settle);
+  query.maybeSingle = jest.fn(settle);
+  query.then = (resolve, reject) => settle().then(resolve, reject);
+  return query;
+}
+
+/**
+ * supabaseAdmin.from implementation that answers each table from a results map
+ * Tables missing from the map resolve to no rows.
+ * @param {Object} results - { [table]: result or function of the recorded calls }, read when the query is awaited
+ * @param {Object} [options]
+ * @param {Function} [options.onQuery] - Called with (table, query) for every query started
+ * @param {Function} [options.onCall] - Called with (table, call) for every builder call
+ * @returns {Function} - (table) => query
+ */
+function createTableQueries(results, { onQuery, onCall } = {}) {
+  return table => {
+    const query = createQuery(
+      calls => {
+        const result = results[table];
+        return typeof result === 'function' ? result(calls) : (result || EMPTY_RESULT);
+      },
+      { onCall: onCall && (call => onCall(table, call)) }
+    );
+
+    if (onQuery) onQuery(table, query);
+    return query;
+  };
+}
+
+module.exports = {
+  createQuery,
+  createTableQueries
+};
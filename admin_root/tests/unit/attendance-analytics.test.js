@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for the attendance analytics
+ * Tests rates, breakdowns, trends, per-trainee no-shows and report loading
+ */
+
+const mockResults = {};
+
+// Queries resolve to mockResults[table] (a function of the recorded calls or a value)
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults))
+    }
+  };
+});
+
+const {
+  resolveReportRange,
+  getWeekday,
+  getTimeSlot,
+  getPeriodStart,
+  summarizeAttendance,
+  buildAttendanceReport,
+  getTraineeNoShows,
+  getChronicNoShows,
+  loadAttendanceRecords,
+  attendanceReportToCsv,
+  noShowsToCsv
+} = require('../../api/_shared/attendance-analytics');
+
+const record = (overrides) => ({
+  contact_id: '1',
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  mock_type: 'Clinical Skills',
+  location: 'Mississauga',
+  exam_date: '2026-03-02',
+  start_time: '2026-03-02T13:00:00.000Z',
+  status: 'attended',
+  ...overrides
+});
+
+describe('summarizeAttendance', () => {
+  test('rates only count marked bookings', () => {
+    const summary = summarizeAttendance([
+      record({ status: 'attended' }),
+      record({ status: 'attended' }),
+      record({ status: 'attended' }),
+      record({ status: 'no_show' }),
+      record({ status: 'unmarked' })
+    ]);
+
+    expect(summary).toEqual({
+      bookings: 5,
+      attended: 3,
+      no_shows: 1,
+      unmarked: 1,
+      attendance_rate: 75,
+      no_show_rate: 25
+    });
+  });
+
+  test('has no rate without marked bookings', () => {
+    expect(summarizeAttendance([record({ status: 'unmarked' })]).attendance_rate).toBeNull();
+  });
+});
+
+describe('grouping keys', () => {
+  test('weekday, Toronto time slot and trend period', () => {
+    expect(getWeekday('2026-03-02')).toBe('Monday');
+    expect(getTimeSlot('2026-03-02T13:30:00.000Z')).toBe('08:00');
+    expect(getTimeSlot(String(Date.parse('2026-07-02T13:30:00.000Z')))).toBe('09:00');
+    expect(getPeriodStart('2026-03-08', 'week')).toBe('2026-03-02');
+    expect(getPeriodStart('2026-03-08', 'month')).toBe('2026-03-01');
+  });
+});
+
+describe('buildAttendanceReport', () => {
+  test('breaks attendance down by mock type, location, weekday, time slot and period', () => {
+    const report = buildAttendanceReport([
+      record({ status: 'attended' }),
+      record({ status: 'no_show', mock_type: 'Mini-mock', location: 'Calgary', exam_date: '2026-03-10' }),
+      record({ status: 'attended', exam_date: '2026-03-09', location: null })
+    ]);
+
+    expect(report.by_mock_type.map(group => [group.key, group.attendance_rate])).toEqual([
+      ['Clinical Skills', 100],
+      ['Mini-mock', 0]
+    ]);
+    expect(report.by_location.map(group => group.key)).toEqual(['Calgary', 'Mississauga', 'Unknown']);
+    expect(report.by_weekday.map(group => [group.key, group.bookings])).toEqual([['Monday', 2], ['Tuesday', 1]]);
+    expect(report.by_time_slot).toEqual([expect.objectContaining({ key: '08:00', bookings: 3 })]);
+    expect(report.trend.map(period => [period.period_start, period.no_shows])).toEqual([
+      ['2026-03-02', 0],
+      ['2026-03-09', 1]
+    ]);
+  });
+});
+
+describe('no-shows per trainee', () => {
+  const records = [
+    record({ contact_id: '1', status: 'no_show', exam_date: '2026-03-02' }),
+    record({ contact_id: '1', status: 'no_show', exam_date: '2026-03-16' }),
+    record({ contact_id: '1', status: 'no_show', exam_date: '2026-03-09' }),
+    record({ contact_id: '1', status: 'attended' }),
+    record({ contact_id: '2', name: 'John Roe', status: 'no_show' }),
+    record({ contact_id: '3', name: 'Sam Poe', status: 'unmarked' })
+  ];
+
+  test('ranks trainees by no-shows and skips trainees without marked bookings', () => {
+    const trainees = getTraineeNoShows(records);
+
+    expect(trainees.map(trainee => [trainee.contact_id, trainee.no_shows, trainee.no_show_rate])).toEqual([
+      ['1', 3, 75],
+      ['2', 1, 100]
+    ]);
+    expect(trainees[0].last_no_show).toBe('2026-03-16');
+  });
+
+  test('flags chronic no-shows by count and rate', () => {
+    const trainees = getTraineeNoShows(records);
+
+    expect(getChronicNoShows(trainees).map(trainee => trainee.contact_id)).toEqual(['1']);
+    expect(getChronicNoShows(trainees, { min_no_shows: 1, min_no_show_rate: 80 }).map(trainee => trainee.contact_id)).toEqual(['2']);
+  });
+});
+
+describe('resolveReportRange', () => {
+  const now = new Date('2026-03-31T16:00:00.000Z');
+
+  test('defaults to the last 90 days', () => {
+    expect(resolveReportRange({}, now)).toEqual({ startDate: '2026-01-01', endDate: '2026-03-31' });
+    expect(resolveReportRange({ start_date: '2026-01-01' }, now)).toEqual({ startDate: '2026-01-01', endDate: '2026-03-31' });
+  });
+
+  test('rejects ranges over a year', () => {
+    expect(() => resolveReportRange({ start_date: '2025-01-01', end_date: '2026-03-01' }, now))
+      .toThrow(expect.objectContaining({ status: 400, code: 'RANGE_TOO_LARGE' }));
+  });
+});
+
+describe('loadAttendanceRecords', () => {
+  afterEach(() => {
+    delete mockResults.hubspot_bookings;
+    delete mockResults.hubspot_mock_exams;
+  });
+
+  test('skips cancelled bookings and takes the location from the session', async () => {
+    mockResults.hubspot_bookings = {
+      data: [
+        { hubspot_id: 'b1', associated_mock_exam: '100', associated_contact_id: '1', is_active: 'Completed', attendance: 'Yes', exam_date: '2026-03-02', mock_type: 'Clinical Skills' },
+        { hubspot_id: 'b2', associated_mock_exam: '100', associated_contact_id: '2', is_active: 'Cancelled', attendance: null, exam_date: '2026-03-02', mock_type: 'Clinical Skills' },
+        { hubspot_id: 'b3', associated_mock_exam: '200', associated_contact_id: '3', is_active: 'Active', attendance: null, attending_location: 'Calgary', exam_date: '2026-03-03', mock_type: 'Mini-mock' }
+      ],
+      error: null
+    };
+    mockResults.hubspot_mock_exams = {
+      data: [{ hubspot_id: '100', location: 'Mississauga', start_time: '2026-03-02T13:00:00.000Z' }],
+      error: null
+    };
+
+    const { records, truncated } = await loadAttendanceRecords({ startDate: '2026-03-01', endDate: '2026-03-31' });
+
+    expect(truncated).toBe(false);
+    expect(records.map(item => [item.booking_id, item.location, item.status])).toEqual([
+      ['b1', 'Mississauga', 'attended'],
+      ['b3', 'Calgary', 'unmarked']
+    ]);
+    expect(records[0].start_time).toBe('2026-03-02T13:00:00.000Z');
+
+    const filtered = await loadAttendanceRecords({ startDate: '2026-03-01', endDate: '2026-03-31', location: 'calgary' });
+    expect(filtered.records.map(item => item.booking_id)).toEqual(['b3']);
+  });
+});
+
+describe('CSV exports', () => {
+  test('report rows are grouped by breakdown', () => {
+    const csv = attendanceReportToCsv(buildAttendanceReport([record({})], { interval: 'month' }));
+    const lines = csv.split('\n');
+
+    expect(lines[0]).toBe('Breakdown,Group,Bookings,Attended,No-shows,Unmarked,Attendance Rate (%),No-show Rate (%)');
+    expect(lines).toContain('Overall,All bookings,1,1,0,0,100,0');
+    expect(lines).toContain('Month,2026-03-01,1,1,0,0,100,0');
+  });
+
+  test('trainee rows escape commas', () => {
+    const csv = noShowsToCsv(getTraineeNoShows([record({ name: 'Doe, Jane', status: 'no_show' })]));
+
+    expect(csv.split('\n')[1]).toBe('"Doe, Jane",jane@example.com,,1,1,0,1,0,0,100,2026-03-02');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the mock exam audit log
+ * Tests field diffs, create/delete snapshots, request ids and the rows written
+ */
+
+const mockInsert = jest.fn();
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn(() => ({ insert: mockInsert }))
+  }
+}));
+
+const {
+  AUDIT_ACTIONS,
+  diffChanges,
+  snapshotChanges,
+  getRequestId,
+  recordAuditEntries,
+  recordPrerequisiteChange
+} = require('../../api/_shared/audit-log');
+
+const user = { id: 'auth-user-1', email: 'admin@example.com' };
+
+describe('Audit Log', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockInsert.mockResolvedValue({ error: null });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('diffChanges', () => {
+    test('records only fields that were written and changed', () => {
+      const changes = diffChanges(
+        { capacity: '10', location: 'Calgary', exam_date: '2026-03-01' },
+        { capacity: 12, location: 'Calgary' }
+      );
+
+      expect(changes).toEqual({ capacity: { from: '10', to: '12' } });
+    });
+
+    test('treats null, undefined and empty strings as "not set"', () => {
+      expect(diffChanges({ room_id: null }, { room_id: '' })).toEqual({});
+      expect(diffChanges({}, { scheduled_activation_datetime: '' })).toEqual({});
+      expect(diffChanges({ room_id: 'r1' }, { room_id: '' })).toEqual({ room_id: { from: 'r1', to: null } });
+    });
+
+    test('ignores properties that are not audited', () => {
+      expect(diffChanges({ total_bookings: '1' }, { total_bookings: '2' })).toEqual({});
+    });
+  });
+
+  describe('snapshotChanges', () => {
+    test('records set fields as added for a new exam and removed for a deleted one', () => {
+      const properties = { mock_type: 'Mini-mock', capacity: '8', room_id: '', total_bookings: '0' };
+
+      expect(snapshotChanges(properties)).toEqual({
+        mock_type: { from: null, to: 'Mini-mock' },
+        capacity: { from: null, to: '8' }
+      });
+      expect(snapshotChanges(properties, 'deleted')).toEqual({
+        mock_type: { from: 'Mini-mock', to: null },
+        capacity: { from: '8', to: null }
+      });
+    });
+  });
+
+  describe('getRequestId', () => {
+    test('prefers the x-request-id header', () => {
+      expect(getRequestId({ headers: { 'x-request-id': 'req-1', 'x-vercel-id': 'vercel-1' } })).toBe('req-1');
+    });
+
+    test('returns the same generated id for every call on one request', () => {
+      const req = { headers: {} };
+      const first = getRequestId(req);
+
+      expect(first).toMatch(/^[0-9a-f-]{36}$/);
+      expect(getRequestId(req)).toBe(first);
+    });
+  });
+
+  describe('recordAuditEntries', () => {
+    test('writes one row per exam sharing the request id and actor', async () => {
+      const req = { headers: { 'x-request-id': 'bulk-42' } };
+
+      const result = await recordAuditEntries({ req, user, action: AUDIT_ACTIONS.STATUS_CHANGE }, [
+        { mockExamId: 101, changes: { is_active: { from: 'true', to: 'false' } } },
+        { mockExamId: '102', changes: { is_active: { from: 'false', to: 'true' } } }
+      ]);
+
+      expect(result).toBe(true);
+      expect(mockInsert).toHaveBeenCalledWith([
+        expect.objectContaining({ mock_exam_id: '101', action: 'status_change', actor_email: 'admin@example.com', actor_id: 'auth-user-1', request_id: 'bulk-42' }),
+        expect.objectContaining({ mock_exam_id: '102', request_id: 'bulk-42' })
+      ]);
+    });
+
+    test('skips updates that changed nothing', async () => {
+      const result = await recordAuditEntries({ req: {}, user, action: AUDIT_ACTIONS.UPDATE }, [
+        { mockExamId: '101', changes: {} }
+      ]);
+
+      expect(result).toBe(true);
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+
+    test('never throws when the insert fails', async () => {
+      mockInsert.mockResolvedValue({ error: { message: 'relation does not exist' } });
+
+      const result = await recordAuditEntries({ req: {}, user, action: AUDIT_ACTIONS.DELETE }, [
+        { mockExamId: '101', changes: {} }
+      ]);
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('recordPrerequisiteChange', () => {
+    test('stores the before/after lists with the added and removed ids', async () => {
+      await recordPrerequisiteChange({ req: {}, user }, '500', ['2', '1'], ['1', '3']);
+
+      expect(mockInsert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          mock_exam_id: '500',
+          action: 'prerequisites_change',
+          changes: { prerequisite_exam_ids: { from: ['1', '2'], to: ['1', '3'] } },
+          metadata: { added: ['3'], removed: ['2'] }
+        })
+      ]);
+    });
+
+    test('writes nothing when the set is unchanged', async () => {
+      await recordPrerequisiteChange({ req: {}, user }, '500', ['1', '2'], ['2', '1']);
+
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for the Booking Cutoff & Scheduled Deactivation
+ * Tests cutoff precedence, env overrides, deactivation and cached list filtering
+ */
+
+const {
+  getBookingCutoff,
+  evaluateBookingWindow,
+  filterBookableSessions,
+  createBookingClosedError
+} = require('../../api/_shared/booking-cutoff');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2026-03-10T14:00:00.000Z');
+const hoursBefore = (hours) => new Date(START.getTime() - hours * HOUR_MS);
+
+describe('getBookingCutoff', () => {
+  afterEach(() => {
+    delete process.env.BOOKING_CUTOFFS;
+  });
+
+  test('keeps sessions open until the start by default', () => {
+    expect(getBookingCutoff({ mock_type: 'Clinical Skills' })).toEqual({ cutoff_hours: 0, source: 'mock_type' });
+    expect(getBookingCutoff({ mock_type: 'Unknown' })).toEqual({ cutoff_hours: 0, source: 'default' });
+  });
+
+  test('applies BOOKING_CUTOFFS overrides and ignores malformed JSON', () => {
+    process.env.BOOKING_CUTOFFS = JSON.stringify({ 'Clinical Skills': 24 });
+    expect(getBookingCutoff({ mock_type: 'Clinical Skills' })).toEqual({ cutoff_hours: 24, source: 'mock_type' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.BOOKING_CUTOFFS = '{not json';
+    expect(getBookingCutoff({ mock_type: 'Clinical Skills' }).cutoff_hours).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test('prefers the session override, including HubSpot string values', () => {
+    process.env.BOOKING_CUTOFFS = JSON.stringify({ 'Clinical Skills': 24 });
+
+    expect(getBookingCutoff({ mock_type: 'Clinical Skills', booking_cutoff_hours: '6' })).toEqual({ cutoff_hours: 6, source: 'session' });
+    expect(getBookingCutoff({ mock_type: 'Clinical Skills', booking_cutoff_hours: '' }).source).toBe('mock_type');
+  });
+});
+
+describe('evaluateBookingWindow', () => {
+  const exam = { mock_type: 'Clinical Skills', start_time: START.toISOString(), booking_cutoff_hours: 24 };
+
+  test('closes booking the cutoff hours before the session start', () => {
+    expect(evaluateBookingWindow(exam, hoursBefore(25))).toMatchObject({
+      open: true,
+      closes_at: hoursBefore(24).toISOString(),
+      reason: 'cutoff'
+    });
+    expect(evaluateBookingWindow(exam, hoursBefore(24)).open).toBe(false);
+  });
+
+  test('closes once the session has started when there is no cutoff', () => {
+    const openUntilStart = { mock_type: 'Mini-mock', start_time: String(START.getTime()) };
+
+    expect(evaluateBookingWindow(openUntilStart, hoursBefore(1)).open).toBe(true);
+    expect(evaluateBookingWindow(openUntilStart, new Date(START.getTime() + HOUR_MS)).open).toBe(false);
+  });
+
+  test('closes at the scheduled deactivation when it comes first', () => {
+    const deactivated = { ...exam, scheduled_deactivation_datetime: String(hoursBefore(48).getTime()) };
+
+    expect(evaluateBookingWindow(deactivated, hoursBefore(49))).toMatchObject({
+      open: true,
+      closes_at: hoursBefore(48).toISOString(),
+      reason: 'deactivation'
+    });
+    expect(evaluateBookingWindow(deactivated, hoursBefore(30)).open).toBe(false);
+  });
+
+  test('stays open without any session time', () => {
+    expect(evaluateBookingWindow({ mock_type: 'Clinical Skills' })).toMatchObject({ open: true, closes_at: null, reason: null });
+  });
+});
+
+describe('filterBookableSessions', () => {
+  test('drops cached sessions whose booking has closed', () => {
+    const sessions = [
+      { mock_exam_id: '1', booking_closes_at: hoursBefore(2).toISOString() },
+      { mock_exam_id: '2', booking_closes_at: START.toISOString() },
+      { mock_exam_id: '3', booking_closes_at: null }
+    ];
+
+    expect(filterBookableSessions(sessions, hoursBefore(1)).map(session => session.mock_exam_id)).toEqual(['2', '3']);
+  });
+});
+
+describe('createBookingClosedError', () => {
+  test('returns a 409 BOOKING_CLOSED error that explains the cutoff', () => {
+    const evaluation = evaluateBookingWindow(
+      { mock_type: 'Clinical Skills', start_time: START.toISOString(), booking_cutoff_hours: 24 },
+      hoursBefore(2)
+    );
+    const error = createBookingClosedError(evaluation);
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('BOOKING_CLOSED');
+    expect(error.message).toContain('24 hours before');
+    expect(error.booking_window).toBe(evaluation);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for the Cancellation Cutoff Policy
+ * Tests window boundaries, env overrides and the refund eligibility integration
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+jest.mock('../../api/_shared/hubspot', () => ({
+  apiCall: jest.fn()
+}));
+
+const { supabaseAdmin } = require('../../api/_shared/supabase');
+const {
+  getCancellationPolicy,
+  evaluateCancellation,
+  createCancellationBlockedError,
+  withSessionStarts
+} = require('../../api/_shared/cancellation-policy');
+const { validateRefundEligibility } = require('../../api/_shared/refund');
+const { createQuery } = require('../helpers/supabase-query');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2026-03-10T14:00:00.000Z');
+const hoursBefore = (hours) => new Date(START.getTime() - hours * HOUR_MS);
+
+describe('getCancellationPolicy', () => {
+  afterEach(() => {
+    delete process.env.CANCELLATION_POLICIES;
+  });
+
+  test('returns the default policy per mock type', () => {
+    expect(getCancellationPolicy('Clinical Skills')).toMatchObject({ free_until_hours: 48, blocked_within_hours: 2 });
+    expect(getCancellationPolicy('Mini-mock')).toMatchObject({ free_until_hours: 24, blocked_within_hours: 2 });
+  });
+
+  test('falls back for unknown mock types', () => {
+    expect(getCancellationPolicy('Unknown')).toMatchObject({ free_until_hours: 48, blocked_within_hours: 2 });
+  });
+
+  test('applies CANCELLATION_POLICIES overrides', () => {
+    process.env.CANCELLATION_POLICIES = JSON.stringify({
+      'Clinical Skills': { free_until_hours: 72 }
+    });
+
+    expect(getCancellationPolicy('Clinical Skills')).toMatchObject({ free_until_hours: 72, blocked_within_hours: 2 });
+    expect(getCancellationPolicy('Mini-mock')).toMatchObject({ free_until_hours: 24 });
+  });
+
+  test('ignores malformed CANCELLATION_POLICIES', () => {
+    process.env.CANCELLATION_POLICIES = '{not json';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(getCancellationPolicy('Clinical Skills')).toMatchObject({ free_until_hours: 48 });
+
+    console.error.mockRestore();
+  });
+});
+
+describe('evaluateCancellation', () => {
+  const booking = { mock_type: 'Clinical Skills', start_time: START.toISOString() };
+
+  test('is free before the free-cancellation deadline', () => {
+    const result = evaluateCancellation(booking, hoursBefore(49));
+
+    expect(result).toMatchObject({ allowed: true, refund_eligible: true, window: 'free' });
+    expect(result.free_until).toBe(hoursBefore(48).toISOString());
+    expect(result.blocked_from).toBe(hoursBefore(2).toISOString());
+  });
+
+  test('is late from the free deadline until the blocked window', () => {
+    expect(evaluateCancellation(booking, hoursBefore(48))).toMatchObject({ allowed: true, refund_eligible: false, window: 'late' });
+    expect(evaluateCancellation(booking, hoursBefore(3))).toMatchObject({ window: 'late' });
+  });
+
+  test('is blocked inside the blocked window and after the start', () => {
+    expect(evaluateCancellation(booking, hoursBefore(2))).toMatchObject({ allowed: false, refund_eligible: false, window: 'blocked' });
+    expect(evaluateCancellation(booking, new Date(START.getTime() + HOUR_MS))).toMatchObject({ window: 'blocked' });
+  });
+
+  test('accepts Unix millisecond start times', () => {
+    const result = evaluateCancellation({ mock_type: 'Clinical Skills', start_time: String(START.getTime()) }, hoursBefore(49));
+
+    expect(result.session_start).toBe(START.toISOString());
+  });
+
+  test('reads a date-only session as midnight in the Toronto schedule', () => {
+    const result = evaluateCancellation({ mock_type: 'Situational Judgment', exam_date: '2026-07-10' }, new Date('2026-07-01T00:00:00Z'));
+
+    expect(result.session_start).toBe('2026-07-10T04:00:00.000Z');
+  });
+
+  test('reads a date-only Clinical Skills session in the site time zone', () => {
+    const result = evaluateCancellation(
+      { mock_type: 'Clinical Skills', exam_date: '2026-01-15T00:00:00+00:00', location: 'Calgary' },
+      new Date('2026-01-01T00:00:00Z')
+    );
+
+    expect(result.session_start).toBe('2026-01-15T07:00:00.000Z');
+  });
+
+  test('prefers start_time over exam_date', () => {
+    const result = evaluateCancellation({ ...booking, exam_date: '2026-03-10' }, hoursBefore(49));
+
+    expect(result.session_start).toBe(START.toISOString());
+  });
+
+  test('allows a free cancellation when the session time is unknown', () => {
+    expect(evaluateCancellation({ mock_type: 'Clinical Skills' })).toMatchObject({ allowed: true, refund_eligible: true, free_until: null });
+  });
+
+  test('builds a CANCELLATION_BLOCKED error with the deadlines', () => {
+    const evaluation = evaluateCancellation(booking, hoursBefore(1));
+    const error = createCancellationBlockedError(evaluation);
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('CANCELLATION_BLOCKED');
+    expect(error.cancellation_policy).toBe(evaluation);
+  });
+});
+
+describe('withSessionStarts', () => {
+  beforeEach(() => {
+    supabaseAdmin.from.mockReset();
+  });
+
+  test('fills start_time and location from the mock exam', async () => {
+    const query = createQuery({ data: [{ hubspot_id: 'exam-1', start_time: START.toISOString(), location: 'Calgary' }], error: null });
+    supabaseAdmin.from.mockReturnValue(query);
+
+    const [filled, untouched] = await withSessionStarts([
+      { id: 'b1', associated_mock_exam: 'exam-1', exam_date: '2026-03-10' },
+      { id: 'b2', associated_mock_exam: 'exam-2', start_time: '2026-03-11T14:00:00.000Z' }
+    ]);
+
+    expect(query.in).toHaveBeenCalledWith('hubspot_id', ['exam-1']);
+    expect(filled).toMatchObject({ start_time: START.toISOString(), location: 'Calgary' });
+    expect(untouched.start_time).toBe('2026-03-11T14:00:00.000Z');
+  });
+
+  test('skips the lookup when every booking has a start time', async () => {
+    const bookings = [{ id: 'b1', start_time: START.toISOString() }];
+
+    await expect(withSessionStarts(bookings)).resolves.toBe(bookings);
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+
+  test('returns the bookings unchanged when the exams cannot be read', async () => {
+    supabaseAdmin.from.mockReturnValue(createQuery({ data: null, error: { message: 'boom' } }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const bookings = [{ id: 'b1', associated_mock_exam: 'exam-1' }];
+    await expect(withSessionStarts(bookings)).resolves.toBe(bookings);
+
+    console.error.mockRestore();
+  });
+});
+
+describe('validateRefundEligibility with refundPolicy', () => {
+  const booking = {
+    id: 'booking-1',
+    token_used: 'Clinical Skills Token',
+    associated_contact_id: '123',
+    mock_type: 'Clinical Skills',
+    start_time: START.toISOString()
+  };
+
+  test('full refund ignores the cancellation window', () => {
+    expect(validateRefundEligibility(booking, { refundPolicy: 'full', now: hoursBefore(1) }).eligible).toBe(true);
+  });
+
+  test('policy refunds cancellations before the free deadline', () => {
+    expect(validateRefundEligibility(booking, { refundPolicy: 'policy', now: hoursBefore(72) }).eligible).toBe(true);
+  });
+
+  test('policy forfeits late cancellations', () => {
+    const result = validateRefundEligibility(booking, { refundPolicy: 'policy', now: hoursBefore(10) });
+
+    expect(result).toEqual({
+      eligible: false,
+      forfeited: true,
+      reason: 'Late cancellation - token forfeited per policy'
+    });
+  });
+
+  test('defaults to a full refund', () => {
+    expect(validateRefundEligibility(booking).eligible).toBe(true);
+  });
+});
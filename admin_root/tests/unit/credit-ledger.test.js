@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for the credit ledger
+ * Tests row building, balance diffs and replaying the ledger against current balances
+ */
+
+const mockInsert = jest.fn();
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn(() => ({ insert: mockInsert }))
+  }
+}));
+
+const {
+  LEDGER_REASONS,
+  ACTOR_TYPES,
+  recordCreditChanges,
+  diffCreditBalances,
+  replayLedger
+} = require('../../api/_shared/credit-ledger');
+
+describe('Credit Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockInsert.mockResolvedValue({ error: null });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('recordCreditChanges', () => {
+    test('inserts one row per change with the computed delta', async () => {
+      const result = await recordCreditChanges([{
+        contactId: 123,
+        studentId: 'PREP001',
+        creditField: 'sj_credits',
+        balanceBefore: 3,
+        balanceAfter: 2,
+        reason: LEDGER_REASONS.BULK_BOOKING,
+        bookingId: 'SJ-PREP001-2026-03-01',
+        actorType: ACTOR_TYPES.ADMIN,
+        actor: 'admin@example.com'
+      }]);
+
+      expect(result).toBe(true);
+      expect(mockInsert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          contact_id: '123',
+          credit_field: 'sj_credits',
+          delta: -1,
+          balance_before: 3,
+          balance_after: 2,
+          reason: 'bulk_booking',
+          actor_type: 'admin',
+          actor: 'admin@example.com'
+        })
+      ]);
+    });
+
+    test('skips zero-delta changes and unknown credit fields', async () => {
+      const result = await recordCreditChanges([
+        { contactId: '1', creditField: 'sj_credits', balanceBefore: 2, balanceAfter: 2, reason: 'refund' },
+        { contactId: '1', creditField: 'not_a_field', balanceBefore: 0, balanceAfter: 1, reason: 'refund' }
+      ]);
+
+      expect(result).toBe(true);
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+
+    test('returns false instead of throwing when the insert fails', async () => {
+      mockInsert.mockResolvedValue({ error: new Error('relation does not exist') });
+
+      const result = await recordCreditChanges([
+        { contactId: '1', creditField: 'cs_credits', balanceBefore: 0, balanceAfter: 1, reason: 'refund' }
+      ]);
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('diffCreditBalances', () => {
+    test('returns only the fields that changed', () => {
+      const changes = diffCreditBalances(
+        { sj_credits: 2, cs_credits: 1, shared_mock_credits: 0 },
+        { sj_credits: 2, cs_credits: 3, shared_mock_credits: 0 }
+      );
+
+      expect(changes).toEqual([
+        { creditField: 'cs_credits', balanceBefore: 1, balanceAfter: 3 }
+      ]);
+    });
+
+    test('ignores fields missing from the new snapshot', () => {
+      expect(diffCreditBalances({ sj_credits: 2 }, { cs_credits: 0 })).toEqual([]);
+    });
+  });
+
+  describe('replayLedger', () => {
+    const entries = [
+      { id: 1, credit_field: 'sj_credits', delta: -1, balance_before: 3, balance_after: 2 },
+      { id: 2, credit_field: 'sj_credits', delta: 1, balance_before: 2, balance_after: 3 },
+      { id: 3, credit_field: 'cs_credits', delta: -1, balance_before: 1, balance_after: 0 }
+    ];
+
+    test('is consistent when the replayed balances match', () => {
+      const result = replayLedger(entries, { sj_credits: 3, cs_credits: 0 });
+
+      expect(result.consistent).toBe(true);
+      expect(result.gaps).toEqual([]);
+      expect(result.fields.sj_credits).toMatchObject({
+        opening_balance: 3,
+        replayed_balance: 3,
+        entries: 2,
+        current_balance: 3,
+        consistent: true
+      });
+    });
+
+    test('flags a field whose current balance differs from the replay', () => {
+      const result = replayLedger(entries, { sj_credits: 5, cs_credits: 0 });
+
+      expect(result.consistent).toBe(false);
+      expect(result.fields.sj_credits.consistent).toBe(false);
+      expect(result.fields.cs_credits.consistent).toBe(true);
+    });
+
+    test('reports unrecorded changes between entries as gaps', () => {
+      const result = replayLedger([
+        { id: 1, credit_field: 'sj_credits', delta: -1, balance_before: 3, balance_after: 2 },
+        { id: 2, credit_field: 'sj_credits', delta: -1, balance_before: 5, balance_after: 4 }
+      ], { sj_credits: 4 });
+
+      expect(result.consistent).toBe(false);
+      expect(result.gaps).toEqual([
+        expect.objectContaining({ entry_id: 2, expected_before: 2, recorded_before: 5 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for expiring credit lots
+ * Tests how balances are split across lots, which credit a booking uses and
+ * which lots count as expiring soon
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const {
+  summarizeLots,
+  listExpiringSoon,
+  listActiveLots,
+  pickCreditField
+} = require('../../api/_shared/credit-lots');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const lot = (id, creditField, remaining, expiresAt) => ({
+  id,
+  contact_id: '123',
+  credit_field: creditField,
+  quantity: remaining,
+  remaining,
+  expires_at: expiresAt
+});
+
+describe('Credit Lots', () => {
+  describe('summarizeLots', () => {
+    test('balance beyond the lots never expires', () => {
+      const summary = summarizeLots(
+        [lot('a', 'sj_credits', 2, '2026-04-01T00:00:00Z')],
+        { sj_credits: 5 },
+        { now: NOW }
+      );
+
+      expect(summary.sj_credits).toMatchObject({
+        balance: 5,
+        usable_balance: 5,
+        non_expiring: 3,
+        next_expiry: { expires_at: '2026-04-01T00:00:00Z', amount: 2 }
+      });
+    });
+
+    test('tokens in a lot past its expiry date are not usable', () => {
+      const summary = summarizeLots(
+        [
+          lot('old', 'cs_credits', 2, '2026-02-01T00:00:00Z'),
+          lot('new', 'cs_credits', 1, '2026-06-01T00:00:00Z')
+        ],
+        { cs_credits: 4 },
+        { now: NOW }
+      );
+
+      expect(summary.cs_credits.usable_balance).toBe(2);
+      expect(summary.cs_credits.due).toEqual([
+        { id: 'old', amount: 2, expires_at: '2026-02-01T00:00:00Z' }
+      ]);
+    });
+
+    test('when lots add up to more than the balance, the earliest lots are treated as used', () => {
+      const summary = summarizeLots(
+        [
+          lot('old', 'sj_credits', 2, '2026-02-01T00:00:00Z'),
+          lot('new', 'sj_credits', 2, '2026-06-01T00:00:00Z')
+        ],
+        { sj_credits: 3 },
+        { now: NOW }
+      );
+
+      expect(summary.sj_credits.due).toEqual([
+        { id: 'old', amount: 1, expires_at: '2026-02-01T00:00:00Z' }
+      ]);
+      expect(summary.sj_credits.usable_balance).toBe(2);
+      expect(summary.sj_credits.non_expiring).toBe(0);
+    });
+
+    test('lists only lots inside the expiring-soon window', () => {
+      const summary = summarizeLots(
+        [
+          lot('soon', 'shared_mock_credits', 1, '2026-03-10T00:00:00Z'),
+          lot('later', 'shared_mock_credits', 2, '2026-09-01T00:00:00Z')
+        ],
+        { shared_mock_credits: 3 },
+        { now: NOW, expiringSoonDays: 30 }
+      );
+
+      expect(listExpiringSoon(summary)).toEqual([
+        { credit_field: 'shared_mock_credits', amount: 1, expires_at: '2026-03-10T00:00:00Z' }
+      ]);
+      expect(listActiveLots(summary)).toHaveLength(2);
+    });
+  });
+
+  describe('pickCreditField', () => {
+    test('prefers the specific credit when nothing expires', () => {
+      const summary = summarizeLots([], { sj_credits: 1, shared_mock_credits: 1 }, { now: NOW });
+
+      expect(pickCreditField(['sj_credits', 'shared_mock_credits'], summary)).toBe('sj_credits');
+    });
+
+    test('uses the credit that expires first', () => {
+      const summary = summarizeLots(
+        [
+          lot('sj', 'sj_credits', 1, '2026-08-01T00:00:00Z'),
+          lot('shared', 'shared_mock_credits', 1, '2026-04-01T00:00:00Z')
+        ],
+        { sj_credits: 1, shared_mock_credits: 1 },
+        { now: NOW }
+      );
+
+      expect(pickCreditField(['sj_credits', 'shared_mock_credits'], summary)).toBe('shared_mock_credits');
+    });
+
+    test('skips credits whose only tokens have expired', () => {
+      const summary = summarizeLots(
+        [lot('expired', 'sj_credits', 1, '2026-02-01T00:00:00Z')],
+        { sj_credits: 1, shared_mock_credits: 0 },
+        { now: NOW }
+      );
+
+      expect(pickCreditField(['sj_credits', 'shared_mock_credits'], summary)).toBeNull();
+    });
+  });
+});
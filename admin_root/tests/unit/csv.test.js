@@ -0,0 +1,32 @@
+/**
+ * Unit Tests for the CSV helpers
+ * Tests quoting and formula neutralization of CSV cells
+ */
+
+const { escapeCSV } = require('../../api/_shared/csv');
+
+describe('escapeCSV', () => {
+  test('writes empty cells for null and undefined and plain values as they are', () => {
+    expect(escapeCSV(null)).toBe('');
+    expect(escapeCSV(undefined)).toBe('');
+    expect(escapeCSV('Mock Discussion')).toBe('Mock Discussion');
+    expect(escapeCSV(0)).toBe('0');
+  });
+
+  test('quotes cells containing a comma, quote or line break', () => {
+    expect(escapeCSV('Toronto, ON')).toBe('"Toronto, ON"');
+    expect(escapeCSV('the "B" room')).toBe('"the ""B"" room"');
+    expect(escapeCSV('line one\nline two')).toBe('"line one\nline two"');
+    expect(escapeCSV('line one\r\nline two')).toBe('"line one\r\nline two"');
+  });
+
+  test.each(['=', '+', '-', '@'])('prefixes text starting with %s so it is not run as a formula', (prefix) => {
+    expect(escapeCSV(`${prefix}HYPERLINK("http://example.com")`))
+      .toBe(`"'${prefix}HYPERLINK(""http://example.com"")"`);
+    expect(escapeCSV(`${prefix}1`)).toBe(`'${prefix}1`);
+  });
+
+  test('keeps negative numbers numeric', () => {
+    expect(escapeCSV(-12.5)).toBe('-12.5');
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for recurring session series
+ * Tests date generation (intervals, skip dates, holidays), scope selection and
+ * the per-session properties built for series-level changes
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const hubspot = require('../../api/_shared/hubspot');
+const {
+  SERIES_SCOPES,
+  getHolidays,
+  getRecurrenceEndDate,
+  generateSeriesDates,
+  selectScopedSessions,
+  buildSessionUpdate
+} = require('../../api/_shared/exam-series');
+
+const session = (id, examDate, properties = {}) => ({
+  id,
+  properties: {
+    mock_type: 'Clinical Skills',
+    location: 'Mississauga - Lab D',
+    exam_date: examDate,
+    start_time: String(hubspot.convertToTimestamp(examDate, '09:00')),
+    end_time: String(hubspot.convertToTimestamp(examDate, '12:00')),
+    capacity: '12',
+    total_bookings: '0',
+    is_active: 'true',
+    ...properties
+  }
+});
+
+describe('Exam Series', () => {
+  describe('getHolidays', () => {
+    test('includes fixed and moving Ontario holidays', () => {
+      const holidays = getHolidays(2026);
+
+      expect(holidays.get('2026-01-01')).toBeDefined();
+      expect(holidays.get('2026-02-16')).toBeDefined(); // Family Day: 3rd Monday of February
+      expect(holidays.get('2026-04-03')).toBeDefined(); // Good Friday
+      expect(holidays.get('2026-05-18')).toBeDefined(); // Victoria Day: Monday before May 25
+      expect(holidays.get('2026-07-01')).toBeDefined();
+      expect(holidays.get('2026-09-07')).toBeDefined(); // Labour Day: 1st Monday of September
+      expect(holidays.get('2026-10-12')).toBeDefined(); // Thanksgiving: 2nd Monday of October
+      expect(holidays.get('2026-12-25')).toBeDefined();
+      expect(holidays.get('2026-03-02')).toBeUndefined();
+    });
+  });
+
+  describe('getRecurrenceEndDate', () => {
+    test('counts weeks from the start date', () => {
+      expect(getRecurrenceEndDate({ start_date: '2026-03-07', weeks: 10 })).toBe('2026-05-15');
+    });
+
+    test('prefers an explicit end date', () => {
+      expect(getRecurrenceEndDate({ start_date: '2026-03-07', end_date: '2026-04-01' })).toBe('2026-04-01');
+    });
+  });
+
+  describe('generateSeriesDates', () => {
+    test('every Saturday for 10 weeks', () => {
+      const { dates, skipped } = generateSeriesDates({
+        start_date: '2026-03-07',
+        weekdays: [6],
+        interval_weeks: 1,
+        weeks: 10
+      });
+
+      expect(dates).toHaveLength(10);
+      expect(dates[0]).toBe('2026-03-07');
+      expect(dates[9]).toBe('2026-05-09');
+      expect(skipped).toEqual([]);
+    });
+
+    test('several weekdays every other week', () => {
+      const { dates } = generateSeriesDates({
+        start_date: '2026-03-02', // Monday
+        weekdays: [1, 3],
+        interval_weeks: 2,
+        weeks: 4
+      });
+
+      expect(dates).toEqual(['2026-03-02', '2026-03-04', '2026-03-16', '2026-03-18']);
+    });
+
+    test('dates before the first matching weekday are not included', () => {
+      const { dates } = generateSeriesDates({
+        start_date: '2026-03-05', // Thursday
+        weekdays: [1],
+        end_date: '2026-03-20'
+      });
+
+      expect(dates).toEqual(['2026-03-09', '2026-03-16']);
+    });
+
+    test('leaves out skip dates and holidays and reports them', () => {
+      const { dates, skipped } = generateSeriesDates({
+        start_date: '2026-03-30', // Monday
+        weekdays: [5], // Fridays
+        weeks: 3,
+        skip_dates: ['2026-04-10'],
+        skip_holidays: true
+      });
+
+      expect(dates).toEqual(['2026-04-17']);
+      expect(skipped).toEqual([
+        expect.objectContaining({ date: '2026-04-03', reason: 'holiday' }),
+        { date: '2026-04-10', reason: 'skip_date' }
+      ]);
+    });
+
+    test('keeps holidays unless asked to skip them', () => {
+      const { dates } = generateSeriesDates({
+        start_date: '2026-04-03',
+        weekdays: [5],
+        weeks: 1
+      });
+
+      expect(dates).toEqual(['2026-04-03']);
+    });
+  });
+
+  describe('selectScopedSessions', () => {
+    const sessions = [
+      session('3', '2026-03-21'),
+      session('1', '2026-03-07'),
+      session('2', '2026-03-14')
+    ];
+
+    test('this: only the anchor session', () => {
+      expect(selectScopedSessions(sessions, '2', SERIES_SCOPES.THIS).map(s => s.id)).toEqual(['2']);
+    });
+
+    test('following: the anchor and later sessions in date order', () => {
+      expect(selectScopedSessions(sessions, '2', SERIES_SCOPES.FOLLOWING).map(s => s.id)).toEqual(['2', '3']);
+    });
+
+    test('all: every session in date order', () => {
+      expect(selectScopedSessions(sessions, '3', SERIES_SCOPES.ALL).map(s => s.id)).toEqual(['1', '2', '3']);
+    });
+
+    test('unknown anchor selects nothing', () => {
+      expect(selectScopedSessions(sessions, '99', SERIES_SCOPES.FOLLOWING)).toEqual([]);
+    });
+  });
+
+  describe('buildSessionUpdate', () => {
+    test('reschedule moves date and times and renames the session', () => {
+      const { properties } = buildSessionUpdate(session('1', '2026-03-07'), { shift_days: 7 });
+
+      expect(properties.exam_date).toBe('2026-03-14');
+      expect(properties.start_time).toBe(String(hubspot.convertToTimestamp('2026-03-14', '09:00')));
+      expect(properties.end_time).toBe(String(hubspot.convertToTimestamp('2026-03-14', '12:00')));
+      expect(properties.mock_exam_name).toBe('Clinical Skills-Mississauga - Lab D-2026-03-14');
+    });
+
+    test('new times keep the session date', () => {
+      const { properties } = buildSessionUpdate(session('1', '2026-03-07'), { start_time: '10:00', end_time: '13:00' });
+
+      expect(properties.exam_date).toBeUndefined();
+      expect(properties.start_time).toBe(String(hubspot.convertToTimestamp('2026-03-07', '10:00')));
+    });
+
+    test('rejects an end time before the current start time', () => {
+      const { error } = buildSessionUpdate(session('1', '2026-03-07'), { end_time: '08:00' });
+
+      expect(error).toMatch(/must be after start time/);
+    });
+
+    test('rejects capacity below the bookings already made', () => {
+      const { error } = buildSessionUpdate(session('1', '2026-03-07', { total_bookings: '8' }), { capacity: 6 });
+
+      expect(error).toMatch(/cannot be less than total bookings/);
+    });
+
+    test('deactivating a scheduled session clears its activation date', () => {
+      const { properties } = buildSessionUpdate(
+        session('1', '2026-03-07', { is_active: 'scheduled' }),
+        { is_active: 'false' }
+      );
+
+      expect(properties).toEqual({ is_active: 'false', scheduled_activation_datetime: '' });
+    });
+  });
+});
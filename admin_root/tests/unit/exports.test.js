@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for the server-side exports
+ * Tests column selection and order, roster / range loading, trainee balances,
+ * and the CSV and XLSX files
+ */
+
+const zlib = require('zlib');
+
+const mockResults = {};
+
+// Queries resolve to mockResults[table] (a function of the recorded calls or a value)
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults))
+    }
+  };
+});
+
+const {
+  BOOKING_EXPORT_COLUMNS,
+  DEFAULT_BOOKING_COLUMNS,
+  TRAINEE_EXPORT_COLUMNS,
+  DEFAULT_TRAINEE_COLUMNS,
+  resolveColumns,
+  loadBookingExportRows,
+  loadTraineeExportRows,
+  buildExportFile,
+  getRosterSheetName
+} = require('../../api/_shared/exports');
+const { columnLetter } = require('../../api/_shared/xlsx');
+
+/**
+ * Files in a zip archive written by buildXlsx (stored sizes in the local headers)
+ */
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+
+  return files;
+}
+
+const sessions = [
+  { hubspot_id: '200', mock_type: 'Clinical Skills', mock_set: 'B', exam_date: '2026-03-10', start_time: '2026-03-10T13:00:00Z', end_time: '2026-03-10T17:00:00Z', location: 'Calgary' },
+  { hubspot_id: '100', mock_type: 'Clinical Skills', mock_set: 'A', exam_date: '2026-03-03', start_time: '2026-03-03T13:00:00Z', end_time: '2026-03-03T17:00:00Z', location: 'Mississauga' }
+];
+
+const bookings = [
+  { id: 'u3', hubspot_id: 'b3', associated_mock_exam: '200', name: 'Cara', student_email: 'cara@example.com', is_active: 'Active', exam_date: '2026-03-10', dominant_hand: 'false' },
+  { id: 'u2', hubspot_id: 'b2', associated_mock_exam: '100', name: 'bob', student_email: 'bob@example.com', is_active: 'Cancelled', exam_date: '2026-03-03' },
+  { id: 'u1', hubspot_id: 'b1', associated_mock_exam: '100', name: 'Ann', student_email: 'ann@example.com', is_active: 'Active', exam_date: '2026-03-03', dominant_hand: 'true', token_used: 'Clinical Skills Token' }
+];
+
+afterEach(() => {
+  Object.keys(mockResults).forEach(table => delete mockResults[table]);
+});
+
+describe('resolveColumns', () => {
+  test('keeps the definition order whatever order columns are asked in', () => {
+    const columns = resolveColumns(BOOKING_EXPORT_COLUMNS, 'status,email,name', DEFAULT_BOOKING_COLUMNS);
+    expect(columns.map(column => column.id)).toEqual(['name', 'email', 'status']);
+  });
+
+  test('falls back to the defaults', () => {
+    expect(resolveColumns(TRAINEE_EXPORT_COLUMNS, '', DEFAULT_TRAINEE_COLUMNS).map(column => column.id))
+      .toEqual(DEFAULT_TRAINEE_COLUMNS);
+  });
+
+  test('rejects unknown columns', () => {
+    expect(() => resolveColumns(BOOKING_EXPORT_COLUMNS, 'name,password', DEFAULT_BOOKING_COLUMNS))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_COLUMNS' }));
+  });
+});
+
+describe('loadBookingExportRows', () => {
+  test('loads the rosters of sessions, sorted by session then name, without cancelled bookings', async () => {
+    mockResults.hubspot_mock_exams = { data: sessions, error: null };
+    mockResults.hubspot_bookings = (calls) => {
+      expect(calls).toContainEqual(['in', 'associated_mock_exam', ['200', '100']]);
+      return { data: bookings, error: null };
+    };
+
+    const result = await loadBookingExportRows({ examIds: ['200', '100'] });
+
+    expect(result.rows.map(row => [row.mock_exam_id, row.name, row.location, row.status])).toEqual([
+      ['100', 'Ann', 'Mississauga', 'Completed'],
+      ['200', 'Cara', 'Calgary', 'Completed']
+    ]);
+    expect(result.sessions.map(session => session.hubspot_id)).toEqual(['100', '200']);
+  });
+
+  test('can export only cancelled bookings', async () => {
+    mockResults.hubspot_mock_exams = { data: sessions, error: null };
+    mockResults.hubspot_bookings = { data: bookings, error: null };
+
+    const { rows } = await loadBookingExportRows({ examIds: ['100', '200'], status: 'cancelled' });
+    expect(rows.map(row => [row.name, row.status])).toEqual([['bob', 'Cancelled']]);
+  });
+
+  test('rejects unknown sessions', async () => {
+    mockResults.hubspot_mock_exams = { data: [sessions[0]], error: null };
+
+    await expect(loadBookingExportRows({ examIds: ['200', '999'] }))
+      .rejects.toMatchObject({ status: 404, code: 'SESSION_NOT_FOUND' });
+  });
+
+  test('filters a date range by the session location', async () => {
+    mockResults.hubspot_mock_exams = { data: sessions, error: null };
+    mockResults.hubspot_bookings = (calls) => {
+      expect(calls).toContainEqual(['gte', 'exam_date', '2026-03-01']);
+      expect(calls).toContainEqual(['lte', 'exam_date', '2026-03-31']);
+      return { data: bookings, error: null };
+    };
+
+    const { rows, sessions: rosterSessions } = await loadBookingExportRows({
+      startDate: '2026-03-01',
+      endDate: '2026-03-31',
+      location: 'calgary',
+      status: 'all'
+    });
+
+    expect(rows.map(row => row.name)).toEqual(['Cara']);
+    expect(rosterSessions).toEqual([]);
+  });
+});
+
+describe('loadTraineeExportRows', () => {
+  test('adds up the balances and can leave out trainees without tokens', async () => {
+    mockResults.hubspot_contact_credits = {
+      data: [
+        { hubspot_id: '1', firstname: 'Zed', lastname: 'Young', email: 'zed@example.com', sj_credits: 2, cs_credits: '1', shared_mock_credits: 0 },
+        { hubspot_id: '2', firstname: 'Amy', lastname: 'Lee', email: 'amy@example.com', sj_credits: 0, cs_credits: 0 }
+      ],
+      error: null
+    };
+
+    const all = await loadTraineeExportRows();
+    expect(all.map(row => [row.name, row.total_tokens])).toEqual([['Amy Lee', 0], ['Zed Young', 3]]);
+
+    const withTokens = await loadTraineeExportRows({ withTokens: true });
+    expect(withTokens.map(row => row.contact_id)).toEqual(['1']);
+    expect(withTokens[0]).toMatchObject({ sj_credits: 2, cs_credits: 1, sjmini_credits: 0 });
+  });
+});
+
+describe('buildExportFile', () => {
+  const rows = [
+    { name: 'Ann, "A"', email: 'ann@example.com', dominant_hand: 'true', exam_date: '2026-03-03', mock_exam_id: '100' },
+    { name: 'Cara', email: 'cara@example.com', dominant_hand: 'false', exam_date: '2026-03-10', mock_exam_id: '200' }
+  ];
+  const columns = resolveColumns(BOOKING_EXPORT_COLUMNS, ['dominant_hand', 'name', 'exam_date'], DEFAULT_BOOKING_COLUMNS);
+
+  test('writes CSV with escaped values', () => {
+    const file = buildExportFile({ format: 'csv', columns, sheets: [{ name: 'Bookings', rows }] });
+
+    expect(file.extension).toBe('csv');
+    expect(file.content.split('\n')).toEqual([
+      'Name,Exam Date,Dominant Hand',
+      '"Ann, ""A""",2026-03-03,Right Hand',
+      'Cara,2026-03-10,Left Hand'
+    ]);
+  });
+
+  test('writes an XLSX workbook with a sheet per roster', () => {
+    const file = buildExportFile({
+      format: 'xlsx',
+      columns,
+      sheets: [
+        { name: getRosterSheetName(sessions[1]), rows: [rows[0]] },
+        { name: getRosterSheetName(sessions[0]), rows: [rows[1]] }
+      ]
+    });
+
+    expect(file.extension).toBe('xlsx');
+    const files = unzip(file.content);
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="2026-03-03 8.00 AM Mississauga" sheetId="1" r:id="rId1"/>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ann, &quot;A&quot;</t></is></c>');
+    expect(files['xl/worksheets/sheet2.xml']).toContain('Left Hand');
+  });
+
+  test('column letters past Z', () => {
+    expect([0, 25, 26, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for locations
+ * Tests name/code resolution, the in-memory catalog (built-in fallback, refresh
+ * failures) and the validation schemas that check locations against it
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const { supabaseAdmin } = require('../../api/_shared/supabase');
+const {
+  DEFAULT_LOCATIONS,
+  toLocationCode,
+  refreshLocationCatalog,
+  invalidateLocationCatalog,
+  getLocationNames,
+  resolveLocationName,
+  getLocationTimeZone
+} = require('../../api/_shared/locations');
+const { schemas, validateInput } = require('../../api/_shared/validation');
+const { createQuery } = require('../helpers/supabase-query');
+
+// supabaseAdmin.from('locations').select('*').order().order() resolving to { data, error }
+const mockCatalogQuery = (result) => {
+  const query = createQuery(result);
+  supabaseAdmin.from.mockReturnValue(query);
+  return query;
+};
+
+const location = (name, overrides = {}) => ({
+  id: `id-${toLocationCode(name)}`,
+  name,
+  address: null,
+  time_zone: 'America/Toronto',
+  directions: null,
+  is_active: true,
+  sort_order: 0,
+  ...overrides
+});
+
+const loadCatalog = async (rows) => {
+  mockCatalogQuery({ data: rows, error: null });
+  await refreshLocationCatalog({ force: true });
+};
+
+describe('Locations', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    consoleErrorSpy.mockRestore();
+    // Back to the built-in catalog for the next test
+    await loadCatalog([]);
+  });
+
+  describe('toLocationCode', () => {
+    test('lowercases names and joins words with underscores', () => {
+      expect(toLocationCode('Richmond Hill')).toBe('richmond_hill');
+      expect(toLocationCode('Mississauga - Lab D')).toBe('mississauga_lab_d');
+      expect(toLocationCode('  Calgary ')).toBe('calgary');
+    });
+  });
+
+  describe('built-in catalog', () => {
+    test('offers the built-in sites before the catalog is loaded', () => {
+      expect(getLocationNames()).toEqual(DEFAULT_LOCATIONS.map(l => l.name));
+    });
+
+    test('resolves names and booking codes case-insensitively', () => {
+      expect(resolveLocationName('richmond_hill')).toBe('Richmond Hill');
+      expect(resolveLocationName('MISSISSAUGA - B9')).toBe('Mississauga - B9');
+      expect(resolveLocationName('Ottawa')).toBeNull();
+      expect(resolveLocationName('')).toBeNull();
+    });
+
+    test('knows the campus time zones', () => {
+      expect(getLocationTimeZone('Vancouver')).toBe('America/Vancouver');
+      expect(getLocationTimeZone('calgary')).toBe('America/Edmonton');
+      expect(getLocationTimeZone('Nowhere')).toBe('America/Toronto');
+    });
+  });
+
+  describe('refreshLocationCatalog', () => {
+    test('uses the stored locations once the table has rows', async () => {
+      await loadCatalog([
+        location('Ottawa'),
+        location('Winnipeg', { time_zone: 'America/Winnipeg' }),
+        location('Calgary', { is_active: false, time_zone: 'America/Edmonton' })
+      ]);
+
+      expect(getLocationNames()).toEqual(['Ottawa', 'Winnipeg']);
+      expect(getLocationNames({ includeInactive: true })).toEqual(['Ottawa', 'Winnipeg', 'Calgary']);
+      expect(resolveLocationName('Calgary')).toBeNull();
+      expect(resolveLocationName('Calgary', { includeInactive: true })).toBe('Calgary');
+      expect(getLocationTimeZone('winnipeg')).toBe('America/Winnipeg');
+    });
+
+    test('falls back to the built-in sites while the table is empty', async () => {
+      await loadCatalog([]);
+
+      expect(getLocationNames()).toContain('Richmond Hill');
+    });
+
+    test('keeps the previous catalog when Supabase fails', async () => {
+      await loadCatalog([location('Ottawa')]);
+
+      mockCatalogQuery({ data: null, error: { message: 'connection refused' } });
+      await refreshLocationCatalog({ force: true });
+
+      expect(getLocationNames()).toEqual(['Ottawa']);
+    });
+
+    test('does not query again while the catalog is fresh', async () => {
+      await loadCatalog([location('Ottawa')]);
+      supabaseAdmin.from.mockClear();
+
+      await refreshLocationCatalog();
+      expect(supabaseAdmin.from).not.toHaveBeenCalled();
+
+      invalidateLocationCatalog();
+      mockCatalogQuery({ data: [location('Ottawa')], error: null });
+      await refreshLocationCatalog();
+      expect(supabaseAdmin.from).toHaveBeenCalledWith('locations');
+    });
+  });
+
+  describe('validation against the catalog', () => {
+    const session = (overrides = {}) => ({
+      mock_type: 'Clinical Skills',
+      exam_date: '2099-04-11',
+      capacity: 10,
+      location: 'Ottawa',
+      start_time: '09:00',
+      end_time: '12:00',
+      ...overrides
+    });
+
+    test('accepts a site added to the catalog and returns its catalog spelling', async () => {
+      await loadCatalog([location('Ottawa')]);
+
+      const { error, value } = schemas.mockExamCreation.validate(session({ location: 'ottawa' }));
+
+      expect(error).toBeUndefined();
+      expect(value.location).toBe('Ottawa');
+    });
+
+    test('rejects sites that are not in the catalog, listing the valid ones', async () => {
+      await loadCatalog([location('Ottawa'), location('Winnipeg')]);
+
+      const { error } = schemas.mockExamCreation.validate(session({ location: 'Mississauga' }));
+
+      expect(error.details[0].message).toBe('Location must be one of: Ottawa, Winnipeg');
+    });
+
+    test('only accepts retired sites where existing records are edited or filtered', async () => {
+      await loadCatalog([location('Ottawa'), location('Calgary', { is_active: false })]);
+
+      expect(schemas.mockExamCreation.validate(session({ location: 'Calgary' })).error).toBeDefined();
+      expect(schemas.mockExamUpdate.validate({ location: 'Calgary' }).error).toBeUndefined();
+      expect(schemas.mockExamList.validate({ filter_location: 'Calgary' }).error).toBeUndefined();
+    });
+
+    test('accepts attending locations by code or name and keeps the value as sent', async () => {
+      await loadCatalog([location('Ottawa'), location('Richmond Hill')]);
+
+      const booking = {
+        mock_exam_id: '12345678',
+        student_id: 'ABC123',
+        email: 'test@example.com',
+        mock_type: 'Mini-mock',
+        exam_date: '2099-04-11'
+      };
+
+      const byCode = schemas.adminBookingCreation.validate({ ...booking, attending_location: 'richmond_hill' });
+      expect(byCode.error).toBeUndefined();
+      expect(byCode.value.attending_location).toBe('richmond_hill');
+
+      expect(schemas.adminBookingCreation.validate({ ...booking, attending_location: 'Ottawa' }).error).toBeUndefined();
+      expect(schemas.adminBookingCreation.validate({ ...booking, attending_location: 'Calgary' }).error).toBeDefined();
+    });
+
+    test('validateInput refreshes a stale catalog before validating', async () => {
+      invalidateLocationCatalog();
+      mockCatalogQuery({ data: [location('Halifax', { time_zone: 'America/Halifax' })], error: null });
+
+      const value = await validateInput(session({ location: 'Halifax' }), 'mockExamCreation');
+
+      expect(value.location).toBe('Halifax');
+    });
+  });
+});
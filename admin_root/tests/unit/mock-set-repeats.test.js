@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for the Exam Set Repeat Rule
+ * Tests rules and env overrides, set history grouping, repeat detection and
+ * the MOCK_SET_REPEAT error
+ */
+
+const mockResult = { data: [], error: null };
+const mockFilters = [];
+
+// Queries resolve to mockResult; eq / not calls are recorded in mockFilters
+jest.mock('../../api/_shared/supabase', () => {
+  const { createQuery } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(() => createQuery(() => mockResult, {
+        onCall: call => {
+          if (call[0] === 'eq' || call[0] === 'not') {
+            mockFilters.push(call);
+          }
+        }
+      }))
+    }
+  };
+});
+
+const {
+  getSetRepeatRule,
+  buildSetHistory,
+  findSetRepeats,
+  createSetRepeatError,
+  checkSetRepeat
+} = require('../../api/_shared/mock-set-repeats');
+
+const booking = (overrides) => ({
+  id: 'uuid-1',
+  booking_id: 'CS-1',
+  associated_mock_exam: '100',
+  mock_type: 'Clinical Skills',
+  mock_set: 'C',
+  exam_date: '2026-03-03',
+  attendance: '',
+  is_active: 'Active',
+  ...overrides
+});
+
+const exam = { mock_type: 'Clinical Skills', mock_set: 'C' };
+
+describe('getSetRepeatRule', () => {
+  afterEach(() => {
+    delete process.env.MOCK_SET_REPEAT_RULES;
+  });
+
+  test('returns the default rule per mock type', () => {
+    expect(getSetRepeatRule('Clinical Skills')).toBe('block');
+    expect(getSetRepeatRule('Mock Discussion')).toBe('warn');
+    expect(getSetRepeatRule('Mini-mock')).toBe('off');
+  });
+
+  test('applies MOCK_SET_REPEAT_RULES overrides and ignores invalid modes', () => {
+    process.env.MOCK_SET_REPEAT_RULES = JSON.stringify({
+      'Clinical Skills': 'warn',
+      'Situational Judgment': 'sometimes'
+    });
+
+    expect(getSetRepeatRule('Clinical Skills')).toBe('warn');
+    expect(getSetRepeatRule('Situational Judgment')).toBe('block');
+  });
+
+  test('ignores malformed MOCK_SET_REPEAT_RULES', () => {
+    process.env.MOCK_SET_REPEAT_RULES = '{not json';
+    expect(getSetRepeatRule('Clinical Skills')).toBe('block');
+  });
+});
+
+describe('buildSetHistory', () => {
+  test('groups sets per mock type, sorted and without cancelled bookings or no-shows', () => {
+    const history = buildSetHistory([
+      booking({ mock_set: 'D' }),
+      booking({ booking_id: 'CS-2', mock_set: 'A', attendance: 'Yes' }),
+      booking({ booking_id: 'CS-3', mock_set: 'B', is_active: 'Cancelled' }),
+      booking({ booking_id: 'CS-4', mock_set: 'E', attendance: 'No' }),
+      booking({ booking_id: 'SJ-1', mock_type: undefined, mock_exam_type: 'Situational Judgment', mock_set: 'F' }),
+      booking({ booking_id: 'MM-1', mock_type: 'Mini-mock', mock_set: null })
+    ]);
+
+    expect(Object.keys(history)).toEqual(['Clinical Skills', 'Situational Judgment']);
+    expect(history['Clinical Skills'].map(entry => entry.mock_set)).toEqual(['A', 'D']);
+    expect(history['Clinical Skills'][0]).toEqual({ mock_set: 'A', attended: true, exam_date: '2026-03-03', booking_id: 'CS-2' });
+    expect(history['Situational Judgment'][0].booking_id).toBe('SJ-1');
+  });
+
+  test('lists a set booked twice once, preferring the attended booking', () => {
+    const history = buildSetHistory([
+      booking({ booking_id: 'CS-1', exam_date: '2026-05-01' }),
+      booking({ booking_id: 'CS-2', exam_date: '2026-03-03', attendance: 'Yes' })
+    ]);
+
+    expect(history['Clinical Skills']).toEqual([
+      { mock_set: 'C', attended: true, exam_date: '2026-03-03', booking_id: 'CS-2' }
+    ]);
+  });
+});
+
+describe('findSetRepeats', () => {
+  test('matches mock type and set, skipping excluded bookings', () => {
+    const bookings = [
+      booking(),
+      booking({ id: 'uuid-2', booking_id: 'CS-2', mock_set: 'D' }),
+      booking({ id: 'uuid-3', booking_id: 'SJ-1', mock_type: 'Situational Judgment' })
+    ];
+
+    expect(findSetRepeats(bookings, exam)).toEqual([
+      { id: 'uuid-1', booking_id: 'CS-1', mock_exam_id: '100', exam_date: '2026-03-03', attended: false }
+    ]);
+    expect(findSetRepeats(bookings, exam, { excludeBookingIds: ['CS-1'] })).toEqual([]);
+    expect(findSetRepeats(bookings, { mock_type: 'Clinical Skills', mock_set: null })).toEqual([]);
+  });
+});
+
+describe('createSetRepeatError', () => {
+  test('builds a 409 MOCK_SET_REPEAT error naming the attended session', () => {
+    const repeats = [
+      { id: 'uuid-1', booking_id: 'CS-1', exam_date: '2026-05-01', attended: false },
+      { id: 'uuid-2', booking_id: 'CS-2', exam_date: '2026-03-03T00:00:00Z', attended: true }
+    ];
+
+    const error = createSetRepeatError(exam, repeats, 'block');
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('MOCK_SET_REPEAT');
+    expect(error.message).toBe('Set C of Clinical Skills was already attended on 2026-03-03. Please choose a session with a different exam set.');
+    expect(error.setRepeat).toEqual({ mock_type: 'Clinical Skills', mock_set: 'C', rule: 'block', previous: repeats });
+  });
+});
+
+describe('checkSetRepeat', () => {
+  beforeEach(() => {
+    mockResult.data = [];
+    mockResult.error = null;
+    mockFilters.length = 0;
+  });
+
+  afterEach(() => {
+    delete process.env.MOCK_SET_REPEAT_RULES;
+  });
+
+  test('reports repeats of the contact\'s bookings with the mock type\'s rule', async () => {
+    mockResult.data = [booking(), booking({ id: 'uuid-2', booking_id: 'CS-2', is_active: 'Cancelled' })];
+
+    const result = await checkSetRepeat('555', exam);
+
+    expect(result.rule).toBe('block');
+    expect(result.repeats.map(repeat => repeat.booking_id)).toEqual(['CS-1']);
+    expect(result.message).toBe('Set C of Clinical Skills was already booked on 2026-03-03');
+    expect(mockFilters).toEqual(expect.arrayContaining([
+      ['eq', 'associated_contact_id', '555'],
+      ['eq', 'mock_type', 'Clinical Skills']
+    ]));
+  });
+
+  test('skips the lookup when the rule is off or the session has no set', async () => {
+    process.env.MOCK_SET_REPEAT_RULES = JSON.stringify({ 'Clinical Skills': 'off' });
+    mockResult.data = [booking()];
+
+    expect(await checkSetRepeat('555', exam)).toEqual({ rule: 'off', repeats: [], message: null });
+    expect(await checkSetRepeat('555', { mock_type: 'Situational Judgment', mock_set: null }))
+      .toEqual({ rule: 'block', repeats: [], message: null });
+    expect(mockFilters).toEqual([]);
+  });
+
+  test('throws Supabase read errors', async () => {
+    mockResult.data = null;
+    mockResult.error = { message: 'connection refused' };
+
+    await expect(checkSetRepeat('555', exam)).rejects.toEqual({ message: 'connection refused' });
+  });
+});
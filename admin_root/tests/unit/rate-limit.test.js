@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for the distributed rate limiter
+ * Tests policy resolution, key building, the Redis path and the in-memory fallback
+ */
+
+const mockSlidingWindowHit = jest.fn();
+const mockDel = jest.fn().mockResolvedValue(1);
+let mockRedisAvailable = true;
+
+jest.mock('../../api/_shared/redis', () => {
+  return jest.fn().mockImplementation(() => {
+    if (!mockRedisAvailable) {
+      throw new Error('Redis URL not configured');
+    }
+    return {
+      redis: { status: 'ready' },
+      slidingWindowHit: mockSlidingWindowHit,
+      del: mockDel
+    };
+  });
+});
+
+/**
+ * Minimal Vercel-style response mock
+ */
+function createResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null
+  };
+  res.setHeader = jest.fn((name, value) => { res.headers[name] = value; });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+}
+
+function loadRateLimit() {
+  let rateLimit;
+  jest.isolateModules(() => {
+    rateLimit = require('../../api/_shared/rate-limit');
+  });
+  return rateLimit;
+}
+
+describe('rate-limit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedisAvailable = true;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRateLimitKeys', () => {
+    test('builds one key per dimension of the policy', () => {
+      const { getRateLimitKeys } = loadRateLimit();
+      const req = {
+        headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.1' },
+        body: { student_id: 'abc123', email: ' Jane@Example.com ' }
+      };
+
+      expect(getRateLimitKeys(req, 'login')).toEqual([
+        'ratelimit:login:ip:203.0.113.9',
+        'ratelimit:login:student_id:ABC123',
+        'ratelimit:login:email:jane@example.com'
+      ]);
+    });
+
+    test('skips dimensions the request does not provide', () => {
+      const { getRateLimitKeys } = loadRateLimit();
+      const req = { headers: {}, connection: { remoteAddress: '127.0.0.1' }, query: {} };
+
+      expect(getRateLimitKeys(req, 'login')).toEqual(['ratelimit:login:ip:127.0.0.1']);
+    });
+
+    test('keys session policies on the client IP without a student session', () => {
+      const { getRateLimitKeys } = loadRateLimit();
+      const req = { headers: { 'x-forwarded-for': '203.0.113.9' }, body: { student_id: 'abc123' } };
+
+      expect(getRateLimitKeys(req, 'bookings-write')).toEqual(['ratelimit:bookings-write:ip:203.0.113.9']);
+    });
+
+    test('throws for an unknown policy', () => {
+      const { getRateLimitKeys } = loadRateLimit();
+
+      expect(() => getRateLimitKeys({ headers: {} }, 'nope')).toThrow("Rate limit policy 'nope' not found");
+    });
+  });
+
+  describe('checkRateLimit with Redis', () => {
+    test('reports remaining requests from the sliding window', async () => {
+      const { checkRateLimit } = loadRateLimit();
+      mockSlidingWindowHit.mockResolvedValue({ allowed: true, count: 3, oldestMs: Date.now() });
+
+      const result = await checkRateLimit(['ratelimit:login:ip:1.1.1.1'], 'login');
+
+      expect(mockSlidingWindowHit).toHaveBeenCalledWith('ratelimit:login:ip:1.1.1.1', 10, 60000, true);
+      expect(result.allowed).toBe(true);
+      expect(result.remaining).toBe(7);
+      expect(result.retryAfter).toBe(0);
+    });
+
+    test('rejects when any bucket is exhausted without recording a hit in the others', async () => {
+      const { checkRateLimit } = loadRateLimit();
+      const oldest = Date.now() - 30000;
+      mockSlidingWindowHit
+        .mockResolvedValueOnce({ allowed: true, count: 2, oldestMs: oldest })
+        .mockResolvedValueOnce({ allowed: false, count: 10, oldestMs: oldest })
+        .mockResolvedValueOnce({ allowed: true, count: 0, oldestMs: oldest });
+
+      const result = await checkRateLimit(['a', 'b', 'c'], 'login');
+
+      expect(mockSlidingWindowHit.mock.calls).toEqual([
+        ['a', 10, 60000, false],
+        ['b', 10, 60000, false],
+        ['c', 10, 60000, false]
+      ]);
+      expect(result.allowed).toBe(false);
+      expect(result.remaining).toBe(0);
+      expect(result.retryAfter).toBeGreaterThanOrEqual(29);
+      expect(result.retryAfter).toBeLessThanOrEqual(30);
+    });
+
+    test('records the hit in every bucket once all of them have room', async () => {
+      const { checkRateLimit } = loadRateLimit();
+      mockSlidingWindowHit.mockImplementation((key, limit, windowMs, consume) =>
+        Promise.resolve({ allowed: true, count: consume ? 5 : 4, oldestMs: Date.now() }));
+
+      const result = await checkRateLimit(['a', 'b'], 'login');
+
+      expect(mockSlidingWindowHit.mock.calls.map(([key, , , consume]) => [key, consume])).toEqual([
+        ['a', false], ['b', false], ['a', true], ['b', true]
+      ]);
+      expect(result.allowed).toBe(true);
+      expect(result.remaining).toBe(5);
+    });
+
+    test('passes consume=false through for check-only calls', async () => {
+      const { checkRateLimit } = loadRateLimit();
+      mockSlidingWindowHit.mockResolvedValue({ allowed: true, count: 0, oldestMs: Date.now() });
+
+      await checkRateLimit(['k'], 'admin-login', { consume: false });
+
+      expect(mockSlidingWindowHit).toHaveBeenCalledWith('k', 5, 15 * 60 * 1000, false);
+    });
+
+    test('falls back to memory when a Redis call fails', async () => {
+      const { checkRateLimit } = loadRateLimit();
+      mockSlidingWindowHit.mockRejectedValue(new Error('Connection is closed'));
+
+      const policy = { maxRequests: 2, windowMs: 60000 };
+      expect((await checkRateLimit(['k'], policy)).allowed).toBe(true);
+      expect((await checkRateLimit(['k'], policy)).allowed).toBe(true);
+      expect((await checkRateLimit(['k'], policy)).allowed).toBe(false);
+    });
+  });
+
+  describe('checkRateLimit without Redis', () => {
+    test('enforces the sliding window in memory', async () => {
+      mockRedisAvailable = false;
+      const { checkRateLimit } = loadRateLimit();
+      const policy = { maxRequests: 3, windowMs: 60000 };
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await checkRateLimit(['mem'], policy));
+      }
+
+      expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+      expect(results[2].remaining).toBe(0);
+      expect(results[3].retryAfter).toBeGreaterThan(0);
+    });
+
+    test('check-only calls do not count', async () => {
+      mockRedisAvailable = false;
+      const { checkRateLimit } = loadRateLimit();
+      const policy = { maxRequests: 1, windowMs: 60000 };
+
+      await checkRateLimit(['peek'], policy, { consume: false });
+      await checkRateLimit(['peek'], policy, { consume: false });
+
+      expect((await checkRateLimit(['peek'], policy)).allowed).toBe(true);
+    });
+
+    test('a request rejected by one bucket does not use up another', async () => {
+      mockRedisAvailable = false;
+      const { checkRateLimit } = loadRateLimit();
+      const policy = { maxRequests: 1, windowMs: 60000 };
+
+      await checkRateLimit(['spent'], policy);
+      expect((await checkRateLimit(['fresh', 'spent'], policy)).allowed).toBe(false);
+
+      expect((await checkRateLimit(['fresh'], policy)).allowed).toBe(true);
+    });
+
+    test('resetRateLimit clears the bucket', async () => {
+      mockRedisAvailable = false;
+      const { checkRateLimit, resetRateLimit } = loadRateLimit();
+      const policy = { maxRequests: 1, windowMs: 60000 };
+
+      await checkRateLimit(['reset'], policy);
+      expect((await checkRateLimit(['reset'], policy)).allowed).toBe(false);
+
+      await resetRateLimit(['reset']);
+      expect((await checkRateLimit(['reset'], policy)).allowed).toBe(true);
+    });
+  });
+
+  describe('rateLimitMiddleware', () => {
+    test('sets RateLimit headers and lets the request through', async () => {
+      const { rateLimitMiddleware } = loadRateLimit();
+      mockSlidingWindowHit.mockResolvedValue({ allowed: true, count: 1, oldestMs: Date.now() });
+      const res = createResponse();
+
+      const handled = await rateLimitMiddleware({ policy: 'credits' })({ headers: {} }, res);
+
+      expect(handled).toBe(false);
+      expect(res.headers['RateLimit-Limit']).toBe(20);
+      expect(res.headers['RateLimit-Remaining']).toBe(19);
+      expect(res.headers['RateLimit-Policy']).toBe('20;w=60');
+      expect(res.headers['Retry-After']).toBeUndefined();
+    });
+
+    test('responds 429 with Retry-After when limited', async () => {
+      const { rateLimitMiddleware } = loadRateLimit();
+      mockSlidingWindowHit.mockResolvedValue({ allowed: false, count: 20, oldestMs: Date.now() - 50000 });
+      const res = createResponse();
+
+      const handled = await rateLimitMiddleware({ policy: 'credits' })({ headers: {} }, res);
+
+      expect(handled).toBe(true);
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ success: false, code: 'RATE_LIMITED' });
+      expect(res.headers['Retry-After']).toBeGreaterThan(0);
+    });
+  });
+});
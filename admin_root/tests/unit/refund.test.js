@@ -14,7 +14,16 @@ jest.mock('../../api/_shared/hubspot', () => {
     }
   };
 });
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+jest.mock('../../api/_shared/credit-lots', () => ({
+  restoreToLots: jest.fn().mockResolvedValue(1)
+}));
 const hubspot = require('../../api/_shared/hubspot');
+const { restoreToLots } = require('../../api/_shared/credit-lots');
 const refundService = require('../../api/_shared/refund');
 
 describe('RefundService Unit Tests', () => {
@@ -145,6 +154,35 @@ describe('RefundService Unit Tests', () => {
       expect(results.successful).toHaveLength(1);
       expect(results.failed).toHaveLength(0);
       expect(results.skipped).toHaveLength(0);
+      expect(restoreToLots).toHaveBeenCalledWith('101', 'mock_discussion_token', 1);
+    });
+
+    test('does not return tokens to lots when the booking could not be marked', async () => {
+      const bookings = [
+        {
+          id: 'booking-1',
+          properties: {
+            token_used: 'Mock Discussion Token',
+            associated_contact_id: '101',
+            token_refunded: 'false'
+          }
+        }
+      ];
+
+      hubspot.apiCall
+        .mockResolvedValueOnce({
+          results: [{ id: '101', properties: { mock_discussion_token: '5' } }]
+        })
+        .mockResolvedValueOnce({
+          results: [{ id: '101', updatedAt: new Date().toISOString() }]
+        })
+        .mockRejectedValueOnce(new Error('HubSpot unavailable'));
+
+      const results = await refundService.processRefunds(bookings, 'admin@test.com');
+
+      expect(results.successful).toHaveLength(0);
+      expect(results.failed).toHaveLength(1);
+      expect(restoreToLots).not.toHaveBeenCalled();
     });
 
     test('skips bookings without tokens', async () => {
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for rooms
+ * Tests room double-booking detection (against existing sessions and within a
+ * request), occupancy overlaps and the room capacity warning
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const hubspot = require('../../api/_shared/hubspot');
+const {
+  findRoomOverlaps,
+  findOccupancyOverlaps,
+  getCapacityWarning
+} = require('../../api/_shared/rooms');
+
+const ROOM_ID = '9b1c2d3e-0000-4000-8000-00000000000a';
+const OTHER_ROOM_ID = '9b1c2d3e-0000-4000-8000-00000000000b';
+const EXAM_DATE = '2099-04-11';
+
+const room = {
+  id: ROOM_ID,
+  site: 'Mississauga - Lab D',
+  name: 'Room 2',
+  capacity: 12,
+  is_active: true
+};
+
+const at = (time) => new Date(hubspot.convertToTimestamp(EXAM_DATE, time)).toISOString();
+
+const session = (id, start, end, overrides = {}) => ({
+  hubspot_id: id,
+  mock_type: 'Clinical Skills',
+  exam_date: EXAM_DATE,
+  start_time: at(start),
+  end_time: at(end),
+  room_id: ROOM_ID,
+  ...overrides
+});
+
+const candidate = (start, end, overrides = {}) => ({
+  room_id: ROOM_ID,
+  exam_date: EXAM_DATE,
+  start_time: hubspot.convertToTimestamp(EXAM_DATE, start),
+  end_time: hubspot.convertToTimestamp(EXAM_DATE, end),
+  label: `${start}-${end}`,
+  ...overrides
+});
+
+describe('Rooms', () => {
+  describe('findRoomOverlaps', () => {
+    const rooms = new Map([[ROOM_ID, room]]);
+
+    test('reports an overlap with an existing session in the same room', () => {
+      const conflicts = findRoomOverlaps(
+        [candidate('11:00', '13:00')],
+        [session('101', '09:00', '12:00')],
+        { rooms }
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        room_id: ROOM_ID,
+        exam_date: EXAM_DATE,
+        label: '11:00-13:00',
+        conflicting_session: { session_id: '101', mock_type: 'Clinical Skills' }
+      });
+      expect(conflicts[0].message).toContain('Mississauga - Lab D / Room 2');
+      expect(conflicts[0].message).toContain('11:00-13:00');
+    });
+
+    test('allows back-to-back sessions', () => {
+      expect(findRoomOverlaps(
+        [candidate('12:00', '15:00')],
+        [session('101', '09:00', '12:00')],
+        { rooms }
+      )).toEqual([]);
+    });
+
+    test('ignores sessions in other rooms', () => {
+      expect(findRoomOverlaps(
+        [candidate('10:00', '11:00')],
+        [session('101', '09:00', '12:00', { room_id: OTHER_ROOM_ID })],
+        { rooms }
+      )).toEqual([]);
+    });
+
+    test('does not compare a session being moved with itself or with excluded sessions', () => {
+      const existing = [session('101', '09:00', '12:00'), session('102', '09:00', '12:00')];
+
+      expect(findRoomOverlaps(
+        [candidate('10:00', '11:00', { session_id: '101' })],
+        existing,
+        { excludeIds: ['102'], rooms }
+      )).toEqual([]);
+    });
+
+    test('reports overlaps between sessions of the same request once', () => {
+      const conflicts = findRoomOverlaps(
+        [candidate('09:00', '12:00'), candidate('11:00', '14:00'), candidate('14:00', '16:00')],
+        [],
+        { rooms }
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].label).toBe('09:00-12:00');
+      expect(conflicts[0].conflicting_session.label).toBe('11:00-14:00');
+      expect(conflicts[0].message).toContain('another session in this request');
+    });
+
+    test('skips candidates without a room', () => {
+      expect(findRoomOverlaps(
+        [candidate('10:00', '11:00', { room_id: '' })],
+        [session('101', '09:00', '12:00')]
+      )).toEqual([]);
+    });
+  });
+
+  describe('findOccupancyOverlaps', () => {
+    test('pairs overlapping sessions in the same room', () => {
+      const overlaps = findOccupancyOverlaps([
+        session('101', '09:00', '12:00'),
+        session('102', '11:00', '13:00'),
+        session('103', '13:00', '15:00'),
+        session('104', '09:00', '12:00', { room_id: OTHER_ROOM_ID })
+      ]);
+
+      expect(overlaps).toEqual([
+        { room_id: ROOM_ID, exam_date: EXAM_DATE, session_ids: ['101', '102'] }
+      ]);
+    });
+  });
+
+  describe('getCapacityWarning', () => {
+    test('warns when the session capacity exceeds the room seats', () => {
+      expect(getCapacityWarning(room, 15)).toBe(
+        'Capacity 15 exceeds the 12 seats/stations of Mississauga - Lab D / Room 2'
+      );
+    });
+
+    test('accepts capacity up to the room seats', () => {
+      expect(getCapacityWarning(room, '12')).toBeNull();
+      expect(getCapacityWarning(room, undefined)).toBeNull();
+      expect(getCapacityWarning(null, 50)).toBeNull();
+    });
+  });
+});
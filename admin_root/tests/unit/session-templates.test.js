@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for session templates
+ * Tests activation resolution relative to the exam date and how templates fill
+ * CSV import rows (blank cells, time slot expansion, capacity)
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const hubspot = require('../../api/_shared/hubspot');
+const {
+  resolveTemplateActivation,
+  applyTemplateToCsvRows
+} = require('../../api/_shared/session-templates');
+
+const template = (overrides = {}) => ({
+  id: '9b1c2d3e-0000-4000-8000-000000000001',
+  name: 'Saturday CS',
+  mock_type: 'Clinical Skills',
+  mock_set: 'B',
+  location: 'Mississauga',
+  capacity_mode: 'global',
+  capacity: 12,
+  time_slots: [
+    { start_time: '09:00', end_time: '12:00' },
+    { start_time: '13:00', end_time: '16:00' }
+  ],
+  activation_mode: 'immediate',
+  is_active: 'true',
+  activation_days_before: null,
+  activation_time: null,
+  ...overrides
+});
+
+describe('Session Templates', () => {
+  describe('resolveTemplateActivation', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    test('uses the template status for immediate activation', () => {
+      expect(resolveTemplateActivation(template({ is_active: 'false' }), '2026-03-20', now)).toEqual({
+        is_active: 'false',
+        scheduled_activation_datetime: null
+      });
+    });
+
+    test('schedules activation N days before the exam date (Toronto time)', () => {
+      const scheduled = template({
+        activation_mode: 'scheduled',
+        activation_days_before: 3,
+        activation_time: '09:00'
+      });
+
+      expect(resolveTemplateActivation(scheduled, '2026-03-20', now)).toEqual({
+        is_active: 'scheduled',
+        scheduled_activation_datetime: new Date(hubspot.convertToTimestamp('2026-03-17', '09:00')).toISOString()
+      });
+    });
+
+    test('activates immediately when the scheduled time has already passed', () => {
+      const scheduled = template({
+        activation_mode: 'scheduled',
+        activation_days_before: 7,
+        activation_time: '09:00'
+      });
+
+      expect(resolveTemplateActivation(scheduled, '2026-03-05', now)).toEqual({
+        is_active: 'true',
+        scheduled_activation_datetime: null
+      });
+    });
+  });
+
+  describe('applyTemplateToCsvRows', () => {
+    test('expands a date-only row into one row per time slot', () => {
+      const rows = applyTemplateToCsvRows([{ _rowNumber: 2, exam_date: '2099-04-11' }], template());
+
+      expect(rows).toHaveLength(2);
+      expect(rows.map(row => [row.start_time, row.end_time])).toEqual([
+        ['09:00', '12:00'],
+        ['13:00', '16:00']
+      ]);
+      rows.forEach(row => {
+        expect(row).toMatchObject({
+          _rowNumber: 2,
+          mock_type: 'Clinical Skills',
+          mock_set: 'B',
+          location: 'Mississauga',
+          capacity: '12',
+          is_active: 'true'
+        });
+      });
+    });
+
+    test('keeps values already present in the row', () => {
+      const [row] = applyTemplateToCsvRows([{
+        _rowNumber: 3,
+        exam_date: '2099-04-11',
+        location: 'Calgary',
+        capacity: '20',
+        start_time: '18:00',
+        end_time: '20:00',
+        is_active: 'false'
+      }], template());
+
+      expect(row).toMatchObject({
+        location: 'Calgary',
+        capacity: '20',
+        start_time: '18:00',
+        end_time: '20:00',
+        is_active: 'false',
+        mock_type: 'Clinical Skills'
+      });
+    });
+
+    test('uses each slot capacity in per-slot mode', () => {
+      const perSlot = template({
+        capacity_mode: 'per-slot',
+        capacity: null,
+        time_slots: [
+          { start_time: '09:00', end_time: '12:00', capacity: 8 },
+          { start_time: '13:00', end_time: '16:00', capacity: 10 }
+        ]
+      });
+
+      const rows = applyTemplateToCsvRows([{ _rowNumber: 2, exam_date: '2099-04-11' }], perSlot);
+
+      expect(rows.map(row => row.capacity)).toEqual(['8', '10']);
+    });
+
+    test('leaves mock_set empty for Mini-mock templates', () => {
+      const [row] = applyTemplateToCsvRows(
+        [{ _rowNumber: 2, exam_date: '2099-04-11', start_time: '09:00', end_time: '10:00' }],
+        template({ mock_type: 'Mini-mock', mock_set: 'C' })
+      );
+
+      expect(row.mock_set).toBe('');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for the printable sign-in sheets
+ * Tests Code 128 encoding, the PDF writer, grouping / sorting, and session lookup
+ * by location and date
+ */
+
+const zlib = require('zlib');
+
+const mockResults = {};
+
+// Queries resolve to mockResults[table] (a function of the recorded calls or a value)
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults))
+    }
+  };
+});
+
+const { encodeCode128 } = require('../../api/_shared/barcode');
+const { PdfDocument } = require('../../api/_shared/pdf');
+const { buildGroups, renderSignInSheets, generateSignInSheets } = require('../../api/_shared/sign-in-sheets');
+
+/**
+ * Decompressed content streams of a PDF written by PdfDocument, after checking its xref table
+ */
+function readPdf(buffer) {
+  const text = buffer.toString('latin1');
+  const xrefOffset = parseInt(text.slice(text.lastIndexOf('startxref') + 9), 10);
+  expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+  const [, count] = text.slice(xrefOffset).split('\n')[1].split(' ').map(Number);
+  const entries = text.slice(xrefOffset).split('\n').slice(3, 2 + count);
+  entries.forEach((entry, index) => {
+    const offset = parseInt(entry.slice(0, 10), 10);
+    expect(text.slice(offset, offset + 10)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+  });
+
+  const streams = [];
+  const pattern = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    streams.push(zlib.inflateSync(buffer.subarray(start, start + parseInt(match[1], 10))).toString('latin1'));
+  }
+
+  return { text, pageCount: parseInt(text.match(/\/Count (\d+)/)[1], 10), streams };
+}
+
+const sessions = [
+  { hubspot_id: '100', mock_type: 'Clinical Skills', mock_set: 'A', exam_date: '2026-03-03', start_time: '2026-03-03T13:00:00Z', end_time: '2026-03-03T17:00:00Z', location: 'Calgary' },
+  { hubspot_id: '200', mock_type: 'Clinical Skills', mock_set: 'B', exam_date: '2026-03-03', start_time: '2026-03-03T18:00:00Z', end_time: '2026-03-03T22:00:00Z', location: 'Calgary' }
+];
+
+const rows = [
+  { name: 'cara', student_id: '300', dominant_hand: 'false', mock_set: 'A', mock_exam_id: '100', booking_date: '2026-01-03' },
+  { name: 'Abe', student_id: '200', dominant_hand: 'true', mock_set: 'B', mock_exam_id: '100', booking_date: '2026-01-02' },
+  { name: 'Bea', student_id: '100', dominant_hand: 'true', mock_set: 'A', mock_exam_id: '100', booking_date: '2026-01-05' },
+  { name: 'Dan', student_id: '400', dominant_hand: null, mock_set: 'B', mock_exam_id: '200', booking_date: '2026-01-01' }
+];
+
+describe('Sign-in sheets', () => {
+  beforeEach(() => {
+    Object.keys(mockResults).forEach(key => delete mockResults[key]);
+  });
+
+  describe('encodeCode128', () => {
+    test('Every symbol is 11 modules wide and the stop pattern 13', () => {
+      const { widths, modules } = encodeCode128('AB-12');
+
+      // Start, 5 characters and the check symbol, then the stop pattern
+      expect(modules).toBe(7 * 11 + 13);
+      expect(widths.length).toBe(7 * 6 + 7);
+      expect(widths[0]).toBe(2);
+    });
+
+    test('Check symbol is the weighted sum mod 103', () => {
+      // Start B (104) + 'A' (33 x 1) + 'B' (34 x 2) = 205, mod 103 = 102 -> '411131'
+      const { widths } = encodeCode128('AB');
+      expect(widths.slice(18, 24).join('')).toBe('411131');
+    });
+
+    test('Even-length digit strings use code set C', () => {
+      expect(encodeCode128('123456').modules).toBe(5 * 11 + 13);
+      expect(encodeCode128('12345').modules).toBe(7 * 11 + 13);
+    });
+
+    test('Rejects empty values and characters outside code set B', () => {
+      expect(() => encodeCode128('')).toThrow('empty');
+      expect(() => encodeCode128('Zoë')).toThrow('Cannot encode');
+    });
+  });
+
+  describe('PdfDocument', () => {
+    test('Writes a valid cross-reference table and one content stream per page', () => {
+      const doc = new PdfDocument();
+      doc.addPage().text('First (page)', 36, 50);
+      doc.addPage().text('Back\\slash', 36, 50, { bold: true });
+
+      const { pageCount, streams } = readPdf(doc.toBuffer());
+
+      expect(pageCount).toBe(2);
+      expect(streams[0]).toContain('(First \\(page\\)) Tj');
+      expect(streams[1]).toContain('/F2');
+      expect(streams[1]).toContain('(Back\\\\slash) Tj');
+    });
+
+    test('Measures text with the Helvetica metrics and shortens it to fit', () => {
+      const doc = new PdfDocument({ orientation: 'landscape' });
+
+      expect(doc.width).toBe(792);
+      expect(doc.textWidth('Hi', 10)).toBeCloseTo(9.44);
+      expect(doc.textWidth('Hi', 10, true)).toBeCloseTo(10);
+      expect(doc.fitText('A very long trainee name', 60, 10)).toMatch(/\.\.\.$/);
+      expect(doc.textWidth(doc.fitText('A very long trainee name', 60, 10), 10)).toBeLessThanOrEqual(60);
+    });
+
+    test('Converts top-left coordinates to the PDF origin', () => {
+      const doc = new PdfDocument();
+      doc.addPage().line(10, 20, 110, 20);
+
+      expect(readPdf(doc.toBuffer()).streams[0]).toContain('10 772 m 110 772 l S');
+    });
+  });
+
+  describe('buildGroups', () => {
+    test('Groups by session and sorts by name', () => {
+      const groups = buildGroups(rows, sessions);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0].title).toBe('Clinical Skills - Set A');
+      expect(groups[0].subtitle).toContain('Tuesday, March 3, 2026');
+      expect(groups[0].subtitle).toContain('Calgary');
+      expect(groups[0].rows.map(row => row.name)).toEqual(['Abe', 'Bea', 'cara']);
+      expect(groups[1].rows.map(row => row.name)).toEqual(['Dan']);
+    });
+
+    test('Splits sessions by dominant hand and by exam set', () => {
+      const byHand = buildGroups(rows, sessions, { groupBy: 'dominant_hand' });
+      expect(byHand.map(group => group.label)).toEqual(['Left Hand', 'Right Hand', 'Dominant hand not set']);
+
+      const bySet = buildGroups(rows, sessions, { groupBy: 'mock_set', sortBy: 'student_id' });
+      expect(bySet.map(group => group.label)).toEqual(['Set A', 'Set B', 'Set B']);
+      expect(bySet[0].rows.map(row => row.student_id)).toEqual(['100', '300']);
+    });
+
+    test('Combines every session into one list and sorts by booking date', () => {
+      const groups = buildGroups(rows, sessions, { groupBy: 'none', sortBy: 'booking_date' });
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].subtitle).toContain('2 sessions');
+      expect(groups[0].rows.map(row => row.name)).toEqual(['Dan', 'Abe', 'cara', 'Bea']);
+    });
+
+    test('Keeps a blank group for a session without bookings', () => {
+      const groups = buildGroups([], sessions, { groupBy: 'dominant_hand' });
+
+      expect(groups).toHaveLength(2);
+      expect(groups.every(group => group.rows.length === 0)).toBe(true);
+    });
+  });
+
+  describe('renderSignInSheets', () => {
+    test('Starts every group on a new page and numbers the pages', () => {
+      const many = Array.from({ length: 30 }, (_, index) => ({
+        name: `Trainee ${index}`, student_id: String(1000 + index), mock_exam_id: '100'
+      }));
+      const { pageCount, streams } = readPdf(renderSignInSheets(buildGroups([...many, rows[3]], sessions)));
+
+      // 30 rows need two portrait sign-in pages, the second session one more
+      expect(pageCount).toBe(3);
+      expect(streams[1]).toContain('Set A \\(continued\\)');
+      expect(streams[2]).toContain('(Page 3 of 3) Tj');
+      expect(streams[0]).toContain('(Signature) Tj');
+      expect(streams[0]).toContain('(Barcode) Tj');
+    });
+
+    test('Door lists have checkboxes instead of a signature column, and barcodes can be left out', () => {
+      const { streams } = readPdf(renderSignInSheets(buildGroups(rows, sessions), {
+        type: 'door_list',
+        includeBarcodes: false
+      }));
+
+      expect(streams[0]).toContain('(Door List) Tj');
+      expect(streams[0]).not.toContain('(Signature) Tj');
+      expect(streams[0]).not.toContain('(Barcode) Tj');
+    });
+  });
+
+  describe('generateSignInSheets', () => {
+    test('Prints every session at a location on a date', async () => {
+      let sessionQuery;
+      mockResults.hubspot_mock_exams = calls => {
+        if (calls.some(([method]) => method === 'in')) {
+          return { data: sessions, error: null };
+        }
+        sessionQuery = calls;
+        return { data: [{ hubspot_id: 100 }, { hubspot_id: 200 }], error: null };
+      };
+      mockResults.hubspot_bookings = {
+        data: [
+          { id: 'u1', hubspot_id: 'b1', associated_mock_exam: '100', name: 'Abe', student_id: '200', is_active: 'Active', exam_date: '2026-03-03' },
+          { id: 'u2', hubspot_id: 'b2', associated_mock_exam: '200', name: 'Bea', student_id: '100', is_active: 'Cancelled', exam_date: '2026-03-03' }
+        ],
+        error: null
+      };
+
+      const result = await generateSignInSheets({ location: 'Calgary', examDate: '2026-03-03' });
+
+      expect(sessionQuery).toEqual(expect.arrayContaining([['eq', 'exam_date', '2026-03-03'], ['eq', 'location', 'Calgary']]));
+      expect(result.sessions).toHaveLength(2);
+      expect(result.traineeCount).toBe(1);
+      expect(readPdf(result.content).pageCount).toBe(2);
+    });
+
+    test('Returns 404 when no session is at the location on that date', async () => {
+      await expect(generateSignInSheets({ location: 'Calgary', examDate: '2026-03-04' }))
+        .rejects.toMatchObject({ status: 404, code: 'SESSION_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for staff
+ * Tests required staff from ratios, understaffed summaries and the
+ * availability checks run before a staff member is assigned to a session
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const hubspot = require('../../api/_shared/hubspot');
+const {
+  getRequiredStaff,
+  summarizeStaffing,
+  findStaffConflicts
+} = require('../../api/_shared/staff');
+
+// A Saturday
+const EXAM_DATE = '2099-04-11';
+
+const at = (time) => new Date(hubspot.convertToTimestamp(EXAM_DATE, time)).toISOString();
+
+const session = (id, start, end, overrides = {}) => ({
+  hubspot_id: id,
+  mock_type: 'Clinical Skills',
+  exam_date: EXAM_DATE,
+  start_time: at(start),
+  end_time: at(end),
+  location: 'Mississauga - Lab D',
+  ...overrides
+});
+
+const staffMember = (overrides = {}) => ({
+  id: '5a1c2d3e-0000-4000-8000-000000000001',
+  name: 'Dr. Jane Doe',
+  email: 'jane.doe@example.com',
+  roles: ['examiner'],
+  sites: [],
+  available_weekdays: [],
+  unavailable_dates: [],
+  is_active: true,
+  ...overrides
+});
+
+const ratios = [
+  { mock_type: 'Clinical Skills', role: 'examiner', trainees_per_staff: 6, min_staff: 1 },
+  { mock_type: 'Clinical Skills', role: 'proctor', trainees_per_staff: null, min_staff: 1 }
+];
+
+describe('Staff', () => {
+  describe('getRequiredStaff', () => {
+    test('rounds trainees per staff member up', () => {
+      expect(getRequiredStaff(ratios[0], 13)).toBe(3);
+      expect(getRequiredStaff(ratios[0], 12)).toBe(2);
+    });
+
+    test('never goes below the minimum', () => {
+      expect(getRequiredStaff(ratios[0], 0)).toBe(1);
+      expect(getRequiredStaff({ trainees_per_staff: 10, min_staff: 2 }, 5)).toBe(2);
+    });
+
+    test('uses the fixed minimum when there is no per-trainee ratio', () => {
+      expect(getRequiredStaff(ratios[1], 40)).toBe(1);
+    });
+
+    test('requires nobody without a ratio', () => {
+      expect(getRequiredStaff(undefined, 40)).toBe(0);
+    });
+  });
+
+  describe('summarizeStaffing', () => {
+    test('flags a session with fewer examiners than the ratio requires', () => {
+      const summary = summarizeStaffing(
+        { mock_type: 'Clinical Skills', total_bookings: '14' },
+        ratios,
+        [{ role: 'examiner' }, { role: 'proctor' }]
+      );
+
+      expect(summary.required).toEqual({ examiner: 3, proctor: 1 });
+      expect(summary.assigned).toEqual({ examiner: 1, proctor: 1 });
+      expect(summary.shortfall).toEqual({ examiner: 2, proctor: 0 });
+      expect(summary.understaffed).toBe(true);
+    });
+
+    test('is fully staffed when every role meets its requirement', () => {
+      const summary = summarizeStaffing(
+        { mock_type: 'Clinical Skills', total_bookings: 6 },
+        ratios,
+        [{ role: 'examiner' }, { role: 'proctor' }]
+      );
+
+      expect(summary.understaffed).toBe(false);
+    });
+
+    test('never flags mock types without ratios', () => {
+      const summary = summarizeStaffing({ mock_type: 'Mock Discussion', total_bookings: 30 }, ratios, []);
+
+      expect(summary.required).toEqual({ examiner: 0, proctor: 0 });
+      expect(summary.understaffed).toBe(false);
+    });
+  });
+
+  describe('findStaffConflicts', () => {
+    test('reports an overlapping session the person already runs', () => {
+      const conflicts = findStaffConflicts(
+        staffMember(),
+        session('201', '11:00', '13:00'),
+        [session('101', '09:00', '12:00', { location: 'Calgary' })]
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].type).toBe('overlap');
+      expect(conflicts[0].session_id).toBe('101');
+      expect(conflicts[0].message).toContain('Calgary');
+    });
+
+    test('allows back-to-back sessions and ignores the session itself', () => {
+      const conflicts = findStaffConflicts(
+        staffMember(),
+        session('201', '12:00', '14:00'),
+        [session('101', '09:00', '12:00'), session('201', '12:00', '14:00')]
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+
+    test('reports dates inside an unavailable range', () => {
+      const conflicts = findStaffConflicts(
+        staffMember({ unavailable_dates: [{ start_date: '2099-04-10', end_date: '2099-04-12', reason: 'Conference' }] }),
+        session('201', '09:00', '12:00')
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].type).toBe('unavailable');
+      expect(conflicts[0].message).toContain('Conference');
+    });
+
+    test('reports days outside the working weekdays', () => {
+      const weekdaysOnly = staffMember({ available_weekdays: [1, 2, 3, 4, 5] });
+      const conflicts = findStaffConflicts(weekdaysOnly, session('201', '09:00', '12:00'));
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].type).toBe('weekday');
+      expect(conflicts[0].message).toContain('Saturday');
+
+      expect(findStaffConflicts(staffMember({ available_weekdays: [6] }), session('201', '09:00', '12:00'))).toEqual([]);
+    });
+
+    test('reports sites the person does not work at', () => {
+      const conflicts = findStaffConflicts(
+        staffMember({ sites: ['Calgary'] }),
+        session('201', '09:00', '12:00')
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].type).toBe('site');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for Clinical Skills stations
+ * Tests seat labels, the auto-assignment plan (handedness, group balancing,
+ * manual placements) and moving trainees between seats
+ */
+
+const mockResults = {};
+const mockWrites = [];
+
+// Queries resolve to mockResults[table]; delete / insert / upsert calls are recorded in mockWrites
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  const WRITE_METHODS = ['delete', 'insert', 'upsert'];
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults, {
+        onCall: (table, [method, rows]) => {
+          if (WRITE_METHODS.includes(method)) {
+            mockWrites.push({ table, method, rows });
+          }
+        }
+      }))
+    }
+  };
+});
+
+const {
+  formatSeatLabel,
+  planAssignments,
+  autoAssign,
+  moveTrainee,
+  getSeatingPlan
+} = require('../../api/_shared/stations');
+
+const layout = {
+  stations: [
+    { id: 's1', label: 'Station 1', left_handed: false },
+    { id: 's2', label: 'Station 2', left_handed: true },
+    { id: 's3', label: 'Station 3', left_handed: false }
+  ],
+  rotation_groups: 2
+};
+
+const trainee = (id, name, leftHanded = false) => ({
+  booking_record_id: id,
+  name,
+  student_id: `S${id}`,
+  left_handed: leftHanded
+});
+
+const session = { hubspot_id: '100', mock_type: 'Clinical Skills' };
+
+const insertedRows = () => mockWrites.find(write => write.method === 'insert')?.rows || [];
+
+describe('Stations', () => {
+  beforeEach(() => {
+    Object.keys(mockResults).forEach(key => delete mockResults[key]);
+    mockWrites.length = 0;
+  });
+
+  describe('formatSeatLabel', () => {
+    test('Adds the rotation group letter only when there is more than one group', () => {
+      expect(formatSeatLabel({ label: 'Station 3' }, 1, 1)).toBe('Station 3');
+      expect(formatSeatLabel({ label: 'Station 3' }, 2, 3)).toBe('Station 3 - Group B');
+    });
+  });
+
+  describe('planAssignments', () => {
+    test('Seats left-handed trainees at left-handed stations first', () => {
+      const { assignments, warnings } = planAssignments({
+        layout,
+        trainees: [trainee('1', 'Abe'), trainee('2', 'Bea', true), trainee('3', 'Cal', true)]
+      });
+
+      const seatOf = id => assignments.find(assignment => assignment.booking_record_id === id);
+      expect(seatOf('2').station_id).toBe('s2');
+      expect(seatOf('3').station_id).toBe('s2');
+      expect(seatOf('2').rotation_group).not.toBe(seatOf('3').rotation_group);
+      expect(seatOf('1').station_id).not.toBe('s2');
+      expect(warnings).toEqual([]);
+    });
+
+    test('Fills the emptiest rotation group first', () => {
+      const { assignments } = planAssignments({
+        layout,
+        trainees: ['1', '2', '3', '4'].map(id => trainee(id, `T${id}`))
+      });
+
+      const perGroup = [1, 2].map(group => assignments.filter(assignment => assignment.rotation_group === group).length);
+      expect(perGroup).toEqual([2, 2]);
+    });
+
+    test('Keeps manual placements unless they are reset', () => {
+      const existing = [{ booking_record_id: '1', station_id: 's2', rotation_group: 2, is_manual: true }];
+      const trainees = [trainee('1', 'Abe'), trainee('2', 'Bea', true)];
+
+      const kept = planAssignments({ layout, trainees, existing });
+      expect(kept.assignments[0]).toEqual({ booking_record_id: '1', station_id: 's2', rotation_group: 2, is_manual: true });
+      expect(kept.assignments.find(assignment => assignment.booking_record_id === '2')).toMatchObject({ station_id: 's2', rotation_group: 1 });
+
+      const reset = planAssignments({ layout, trainees, existing, resetManual: true });
+      expect(reset.assignments.every(assignment => !assignment.is_manual)).toBe(true);
+      expect(reset.assignments.find(assignment => assignment.booking_record_id === '1').station_id).not.toBe('s2');
+    });
+
+    test('Warns when a trainee gets a station for the other hand or no seat at all', () => {
+      const small = { stations: [{ id: 's1', label: 'Station 1', left_handed: false }], rotation_groups: 1 };
+      const { assignments, unassigned, warnings } = planAssignments({
+        layout: small,
+        trainees: [trainee('1', 'Abe', true), trainee('2', 'Bea')]
+      });
+
+      expect(assignments).toHaveLength(1);
+      expect(assignments[0].booking_record_id).toBe('1');
+      expect(unassigned).toEqual(['2']);
+      expect(warnings).toEqual([
+        'Abe is left-handed but no left-handed station was free - seated at Station 1',
+        'No free seat for Bea'
+      ]);
+    });
+  });
+
+  describe('autoAssign', () => {
+    test('Rejects sessions of other mock types and sessions without stations', async () => {
+      await expect(autoAssign({ hubspot_id: '1', mock_type: 'Situational Judgment' }))
+        .rejects.toMatchObject({ status: 400, code: 'STATIONS_NOT_SUPPORTED' });
+
+      await expect(autoAssign(session)).rejects.toMatchObject({ status: 400, code: 'NO_STATIONS' });
+    });
+
+    test('Skips cancelled bookings and writes seat labels', async () => {
+      mockResults.session_station_layouts = { data: layout, error: null };
+      mockResults.hubspot_bookings = {
+        data: [
+          { id: 1, name: 'Abe', dominant_hand: 'false', is_active: 'Active' },
+          { id: 2, name: 'Bea', dominant_hand: 'true', is_active: 'Cancelled' }
+        ],
+        error: null
+      };
+
+      const result = await autoAssign(session, {}, 'admin@example.com');
+
+      expect(result).toEqual({ assigned: 1, unassigned: 0, warnings: [] });
+      expect(insertedRows()).toEqual([expect.objectContaining({
+        booking_record_id: '1',
+        station_id: 's2',
+        seat_label: 'Station 2 - Group A',
+        assigned_by: 'admin@example.com'
+      })]);
+    });
+  });
+
+  describe('moveTrainee', () => {
+    beforeEach(() => {
+      mockResults.session_station_layouts = { data: layout, error: null };
+      mockResults.hubspot_bookings = {
+        data: [
+          { id: 1, name: 'Abe', dominant_hand: 'true', is_active: 'Active' },
+          { id: 2, name: 'Bea', dominant_hand: 'false', is_active: 'Active' }
+        ],
+        error: null
+      };
+    });
+
+    test('Swaps two seated trainees and marks both as manual', async () => {
+      mockResults.station_assignments = {
+        data: [
+          { booking_record_id: '1', station_id: 's1', rotation_group: 1, is_manual: false },
+          { booking_record_id: '2', station_id: 's2', rotation_group: 1, is_manual: false }
+        ],
+        error: null
+      };
+
+      const { warnings } = await moveTrainee(session, { bookingId: '1', stationId: 's2', rotationGroup: 1 }, 'admin@example.com');
+
+      expect(warnings).toEqual(['Abe is right-handed but Station 2 is a left-handed station']);
+      const rows = insertedRows();
+      expect(rows.find(row => row.booking_record_id === '1')).toMatchObject({ station_id: 's2', is_manual: true });
+      expect(rows.find(row => row.booking_record_id === '2')).toMatchObject({ station_id: 's1', seat_label: 'Station 1 - Group A', is_manual: true });
+    });
+
+    test('Unseats a trainee and rejects seats that do not exist', async () => {
+      mockResults.station_assignments = {
+        data: [{ booking_record_id: '1', station_id: 's1', rotation_group: 1, is_manual: false }],
+        error: null
+      };
+
+      await moveTrainee(session, { bookingId: '1', stationId: null });
+      expect(mockWrites.some(write => write.method === 'delete')).toBe(true);
+      expect(insertedRows()).toEqual([]);
+
+      await expect(moveTrainee(session, { bookingId: '2', stationId: 's1', rotationGroup: 3 }))
+        .rejects.toMatchObject({ status: 400, code: 'INVALID_SEAT' });
+      await expect(moveTrainee(session, { bookingId: '9', stationId: 's1', rotationGroup: 1 }))
+        .rejects.toMatchObject({ status: 404, code: 'BOOKING_NOT_FOUND' });
+    });
+  });
+
+  describe('getSeatingPlan', () => {
+    test('Lists seats, trainees without a seat and the summary', async () => {
+      mockResults.session_station_layouts = { data: layout, error: null };
+      mockResults.hubspot_bookings = {
+        data: [
+          { id: 1, name: 'Abe', dominant_hand: 'false', is_active: 'Active' },
+          { id: 2, name: 'Bea', dominant_hand: 'true', is_active: 'Active' }
+        ],
+        error: null
+      };
+      mockResults.station_assignments = {
+        data: [
+          { booking_record_id: '1', station_id: 's2', rotation_group: 1, seat_label: 'Station 2 - Group A', is_manual: false },
+          { booking_record_id: '3', station_id: 's1', rotation_group: 1, seat_label: 'Station 1 - Group A', is_manual: false }
+        ],
+        error: null
+      };
+
+      const plan = await getSeatingPlan(session);
+
+      expect(plan.supported).toBe(true);
+      expect(plan.seats).toHaveLength(1);
+      expect(plan.seats[0].trainee.name).toBe('Abe');
+      expect(plan.unassigned.map(trainee => trainee.name)).toEqual(['Bea']);
+      expect(plan.summary).toEqual({
+        seat_count: 6,
+        trainees: 2,
+        assigned: 1,
+        left_handed_trainees: 1,
+        left_handed_seats: 2,
+        over_capacity: false
+      });
+    });
+  });
+});
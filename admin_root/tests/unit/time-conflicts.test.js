@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Booking Time Conflict Detection
+ * Tests overlap rules, status filtering and time fallback from mock exams
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn()
+  }
+}));
+
+const { supabaseAdmin } = require('../../api/_shared/supabase');
+const { createQuery } = require('../helpers/supabase-query');
+const {
+  checkTimeOverlap,
+  findConflictingBookings,
+  createTimeConflictError,
+  getActiveBookingsForConflictCheck
+} = require('../../api/_shared/time-conflicts');
+
+const session = {
+  start_time: '2026-03-10T14:00:00.000Z',
+  end_time: '2026-03-10T16:00:00.000Z'
+};
+
+describe('time-conflicts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkTimeOverlap', () => {
+    test('detects partial overlap', () => {
+      expect(checkTimeOverlap(
+        session.start_time, session.end_time,
+        '2026-03-10T15:00:00.000Z', '2026-03-10T17:00:00.000Z'
+      )).toBe(true);
+    });
+
+    test('allows back-to-back sessions', () => {
+      expect(checkTimeOverlap(
+        session.start_time, session.end_time,
+        '2026-03-10T16:00:00.000Z', '2026-03-10T18:00:00.000Z'
+      )).toBe(false);
+    });
+
+    test('accepts Unix millisecond strings', () => {
+      const start = String(Date.parse('2026-03-10T15:30:00.000Z'));
+      const end = String(Date.parse('2026-03-10T16:30:00.000Z'));
+      expect(checkTimeOverlap(session.start_time, session.end_time, start, end)).toBe(true);
+    });
+
+    test('returns false when a time is missing or invalid', () => {
+      expect(checkTimeOverlap(session.start_time, session.end_time, null, session.end_time)).toBe(false);
+      expect(checkTimeOverlap(session.start_time, session.end_time, 'not-a-date', session.end_time)).toBe(false);
+    });
+  });
+
+  describe('findConflictingBookings', () => {
+    const overlapping = {
+      id: 'uuid-1',
+      booking_id: 'Mock Discussion-ABC123-March 10, 2026',
+      associated_mock_exam: 'exam-1',
+      mock_type: 'Mock Discussion',
+      exam_date: '2026-03-10',
+      start_time: '2026-03-10T15:00:00.000Z',
+      end_time: '2026-03-10T17:00:00.000Z',
+      is_active: 'Active'
+    };
+
+    test('returns formatted conflicts for active overlapping bookings', () => {
+      const conflicts = findConflictingBookings([overlapping], session);
+
+      expect(conflicts).toEqual([expect.objectContaining({
+        id: 'uuid-1',
+        mock_exam_id: 'exam-1',
+        mock_type: 'Mock Discussion',
+        start_time: overlapping.start_time,
+        end_time: overlapping.end_time
+      })]);
+    });
+
+    test('ignores cancelled and completed bookings', () => {
+      const bookings = [
+        { ...overlapping, is_active: 'Cancelled' },
+        { ...overlapping, is_active: 'Completed' }
+      ];
+
+      expect(findConflictingBookings(bookings, session)).toEqual([]);
+    });
+
+    test('ignores excluded bookings', () => {
+      expect(findConflictingBookings([overlapping], session, { excludeBookingIds: ['uuid-1'] })).toEqual([]);
+    });
+  });
+
+  test('createTimeConflictError carries status, code and conflicts', () => {
+    const conflicts = [{ id: 'uuid-1' }];
+    const error = createTimeConflictError(conflicts);
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('TIME_CONFLICT');
+    expect(error.conflicts).toBe(conflicts);
+  });
+
+  test('getActiveBookingsForConflictCheck fills missing times from the mock exam', async () => {
+    supabaseAdmin.from.mockImplementation(table => {
+      if (table === 'hubspot_bookings') {
+        return createQuery({
+          data: [{ id: 'uuid-1', associated_mock_exam: 'exam-1', start_time: null, end_time: null, is_active: 'Active' }],
+          error: null
+        });
+      }
+      return createQuery({
+        data: [{ hubspot_id: 'exam-1', start_time: session.start_time, end_time: session.end_time, location: 'Mississauga' }],
+        error: null
+      });
+    });
+
+    const bookings = await getActiveBookingsForConflictCheck(['123'], ['2026-03-10']);
+
+    expect(bookings[0]).toMatchObject({
+      start_time: session.start_time,
+      end_time: session.end_time,
+      attending_location: 'Mississauga'
+    });
+  });
+});
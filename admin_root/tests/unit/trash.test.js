@@ -0,0 +1,269 @@
+/**
+ * Unit Tests for the mock exam trash
+ * Tests soft delete, restore (including prerequisite links) and purge
+ */
+
+const mockQueries = [];
+const mockResults = {};
+const mockRpc = jest.fn();
+
+// Queries resolve to mockResults[table] (a function of the recorded calls or a
+// value); every query is recorded in mockQueries
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults, {
+        onQuery: (table, query) => mockQueries.push({ table, calls: query.calls })
+      })),
+      rpc: (...args) => mockRpc(...args)
+    }
+  };
+});
+
+jest.mock('../../api/_shared/hubspot', () => ({
+  apiCall: jest.fn(),
+  batchDeleteAssociations: jest.fn(),
+  batchCreateAssociations: jest.fn(),
+  getMockExamWithBookings: jest.fn()
+}));
+
+jest.mock('../../api/_shared/supabase-data', () => ({
+  syncExamToSupabase: jest.fn(),
+  syncBookingsToSupabase: jest.fn(),
+  deleteExamFromSupabase: jest.fn()
+}));
+
+jest.mock('../../api/_shared/audit-log', () => ({
+  ...jest.requireActual('../../api/_shared/audit-log'),
+  recordAuditEntries: jest.fn()
+}));
+
+const hubspot = require('../../api/_shared/hubspot');
+const { syncExamToSupabase, deleteExamFromSupabase } = require('../../api/_shared/supabase-data');
+const { recordAuditEntries, AUDIT_ACTIONS } = require('../../api/_shared/audit-log');
+const {
+  getRetentionDays,
+  moveToTrash,
+  restoreFromTrash,
+  purgeExpiredTrash
+} = require('../../api/_shared/trash');
+
+const user = { id: 'auth-user-1', email: 'admin@example.com' };
+const req = { headers: { 'x-request-id': 'req-1' } };
+
+function callsOf(table, method) {
+  return mockQueries
+    .filter(query => query.table === table)
+    .flatMap(query => query.calls.filter(call => call[0] === method));
+}
+
+describe('Mock Exam Trash', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQueries.length = 0;
+    Object.keys(mockResults).forEach(table => delete mockResults[table]);
+    mockRpc.mockResolvedValue({ data: null, error: null });
+    hubspot.apiCall.mockResolvedValue({});
+    delete process.env.MOCK_EXAM_TRASH_RETENTION_DAYS;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('getRetentionDays', () => {
+    test('defaults to 30 days and honours the environment override', () => {
+      expect(getRetentionDays()).toBe(30);
+
+      process.env.MOCK_EXAM_TRASH_RETENTION_DAYS = '7';
+      expect(getRetentionDays()).toBe(7);
+
+      process.env.MOCK_EXAM_TRASH_RETENTION_DAYS = 'soon';
+      expect(getRetentionDays()).toBe(30);
+    });
+  });
+
+  describe('moveToTrash', () => {
+    beforeEach(() => {
+      // Session 101 is a Mock Discussion requiring 50; Mock Discussion 900 requires 101
+      mockResults.hubspot_mock_exams = calls => (calls.some(call => call[0] === 'overlaps')
+        ? { data: [{ hubspot_id: '900', prerequisite_exam_ids: ['101', '77'] }], error: null }
+        : { data: [{ hubspot_id: '101', prerequisite_exam_ids: ['50'] }], error: null });
+    });
+
+    test('snapshots the session, deactivates it and detaches it from dependent exams', async () => {
+      const result = await moveToTrash(
+        [{ id: '101', properties: { mock_type: 'Mock Discussion', is_active: 'true', scheduled_activation_datetime: '' } }],
+        { req, user }
+      );
+
+      expect(result.trashed).toEqual(['101']);
+      expect(result.failed).toEqual([]);
+
+      const [[, rows]] = callsOf('mock_exam_trash', 'upsert');
+      expect(rows[0]).toMatchObject({
+        mock_exam_id: '101',
+        prerequisite_exam_ids: ['50'],
+        required_by_exam_ids: ['900'],
+        deleted_by: 'admin@example.com',
+        request_id: 'req-1',
+        purge_after: result.purgeAfter
+      });
+
+      expect(hubspot.apiCall).toHaveBeenCalledWith('POST', expect.stringContaining('/batch/update'), {
+        inputs: [{ id: '101', properties: { is_active: 'false', scheduled_activation_datetime: '' } }]
+      });
+      expect(hubspot.batchDeleteAssociations).toHaveBeenCalledWith(expect.any(String), expect.any(String), [
+        expect.objectContaining({ from: { id: '900' }, to: [{ id: '101' }] })
+      ]);
+      expect(mockRpc).toHaveBeenCalledWith('update_exam_prerequisites', {
+        p_exam_id: '900',
+        p_add_ids: [],
+        p_remove_ids: ['101']
+      });
+      expect(deleteExamFromSupabase).toHaveBeenCalledWith('101');
+    });
+
+    test('takes sessions HubSpot refused to deactivate back out of the trash', async () => {
+      hubspot.apiCall.mockResolvedValue({
+        errors: [{ message: 'Object not found', context: { ids: ['101'] } }]
+      });
+
+      const result = await moveToTrash([{ id: '101', properties: {} }], { req, user });
+
+      expect(result.trashed).toEqual([]);
+      expect(result.failed).toEqual([{ id: '101', error: 'HUBSPOT_API_ERROR', message: 'Object not found' }]);
+      expect(callsOf('mock_exam_trash', 'delete')).toHaveLength(1);
+      expect(deleteExamFromSupabase).not.toHaveBeenCalled();
+    });
+
+    test('refuses to delete anything when the snapshot cannot be stored', async () => {
+      mockResults.mock_exam_trash = { data: null, error: { message: 'relation does not exist' } };
+
+      await expect(moveToTrash([{ id: '101', properties: {} }], { req, user }))
+        .rejects.toMatchObject({ code: 'TRASH_STORAGE_ERROR' });
+      expect(hubspot.apiCall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreFromTrash', () => {
+    const trashRow = {
+      mock_exam_id: '101',
+      properties: { mock_type: 'Mock Discussion', is_active: 'scheduled', scheduled_activation_datetime: '2026-11-01T14:00:00.000Z' },
+      prerequisite_exam_ids: ['50', '51'],
+      required_by_exam_ids: ['900', '901'],
+      deleted_by: 'other@example.com',
+      deleted_at: '2026-10-01T10:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      mockResults.mock_exam_trash = calls => (calls[0][0] === 'select'
+        ? { data: [trashRow], error: null }
+        : { data: null, error: null });
+      // 51 and 901 were purged in the meantime
+      mockResults.hubspot_mock_exams = { data: [{ hubspot_id: '50' }, { hubspot_id: '900' }], error: null };
+      hubspot.apiCall.mockImplementation((method, path) => Promise.resolve(path.endsWith('/batch/read')
+        ? { results: [{ id: '101', properties: { total_bookings: '0' } }] }
+        : {}));
+    });
+
+    test('puts back the activation state and re-links only exams that still exist', async () => {
+      const result = await restoreFromTrash(['101', '102'], { req, user });
+
+      expect(result.restored).toEqual(['101']);
+      expect(result.failed).toEqual([{ id: '102', error: 'NOT_IN_TRASH', message: 'Session is not in the trash' }]);
+
+      expect(hubspot.apiCall).toHaveBeenCalledWith('POST', expect.stringContaining('/batch/update'), {
+        inputs: [{ id: '101', properties: { is_active: 'scheduled', scheduled_activation_datetime: '2026-11-01T14:00:00.000Z' } }]
+      });
+      expect(syncExamToSupabase).toHaveBeenCalledWith(expect.objectContaining({ id: '101' }));
+
+      expect(mockRpc).toHaveBeenCalledWith('set_exam_prerequisites', { p_exam_id: '101', p_prerequisite_ids: ['50'] });
+      expect(hubspot.batchCreateAssociations).toHaveBeenCalledWith(expect.any(String), expect.any(String), [
+        expect.objectContaining({ from: { id: '900' }, to: { id: '101' } })
+      ]);
+      expect(mockRpc).toHaveBeenCalledWith('update_exam_prerequisites', {
+        p_exam_id: '900',
+        p_add_ids: ['101'],
+        p_remove_ids: []
+      });
+
+      expect(callsOf('mock_exam_trash', 'delete')).toHaveLength(1);
+      expect(recordAuditEntries).toHaveBeenCalledWith(
+        { req, user, action: AUDIT_ACTIONS.RESTORE },
+        [expect.objectContaining({ mockExamId: '101', metadata: { deleted_at: trashRow.deleted_at, deleted_by: 'other@example.com' } })]
+      );
+    });
+
+    test('keeps the booking cutoff and scheduled close through a trash and restore round trip', async () => {
+      // HubSpot keeps the session while it is trashed; batch/read returns only the requested properties
+      const hubspotSession = {
+        mock_type: 'Clinical Skills',
+        is_active: 'true',
+        scheduled_activation_datetime: '',
+        total_bookings: '0',
+        booking_cutoff_hours: '48',
+        scheduled_deactivation_datetime: '2026-11-20T12:00:00.000Z'
+      };
+      hubspot.apiCall.mockImplementation((method, path, body) => {
+        if (path.endsWith('/batch/update')) {
+          Object.assign(hubspotSession, body.inputs[0].properties);
+          return Promise.resolve({});
+        }
+        if (path.endsWith('/batch/read')) {
+          const properties = Object.fromEntries(body.properties
+            .filter(name => name in hubspotSession)
+            .map(name => [name, hubspotSession[name]]));
+          return Promise.resolve({ results: [{ id: '101', properties }] });
+        }
+        return Promise.resolve({});
+      });
+
+      let trashedRows = [];
+      mockResults.mock_exam_trash = calls => {
+        if (calls[0][0] === 'upsert') {
+          trashedRows = calls[0][1];
+        }
+        return { data: calls[0][0] === 'select' ? trashedRows : null, error: null };
+      };
+      mockResults.hubspot_mock_exams = { data: [], error: null };
+
+      await moveToTrash([{ id: '101', properties: { ...hubspotSession } }], { req, user });
+      const result = await restoreFromTrash(['101'], { req, user });
+
+      expect(result.restored).toEqual(['101']);
+      expect(syncExamToSupabase).toHaveBeenCalledWith({
+        id: '101',
+        properties: expect.objectContaining({
+          is_active: 'true',
+          booking_cutoff_hours: '48',
+          scheduled_deactivation_datetime: '2026-11-20T12:00:00.000Z'
+        })
+      });
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    test('archives due sessions in HubSpot and records the purge', async () => {
+      mockResults.mock_exam_trash = calls => (calls[0][0] === 'select'
+        ? { data: [{ mock_exam_id: '101', properties: { mock_type: 'Mini-mock' } }], error: null }
+        : { data: null, error: null });
+
+      const result = await purgeExpiredTrash();
+
+      expect(result).toMatchObject({ due: 1, purged: ['101'], failed: [] });
+      expect(hubspot.apiCall).toHaveBeenCalledWith('POST', expect.stringContaining('/batch/archive'), {
+        inputs: [{ id: '101' }]
+      });
+      expect(callsOf('mock_exam_trash', 'lte')).toHaveLength(1);
+      expect(recordAuditEntries).toHaveBeenCalledWith(
+        expect.objectContaining({ action: AUDIT_ACTIONS.PURGE }),
+        [expect.objectContaining({ mockExamId: '101', metadata: expect.objectContaining({ source: 'cron' }) })]
+      );
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for the utilization analytics
+ * Tests periods, fill / cancellation rates, grouping, comparisons and loading
+ */
+
+const mockResults = {};
+
+// Queries resolve to mockResults[table] (a function of the recorded calls or a value)
+jest.mock('../../api/_shared/supabase', () => {
+  const { createTableQueries } = require('../helpers/supabase-query');
+  return {
+    supabaseAdmin: {
+      from: jest.fn(createTableQueries(mockResults))
+    }
+  };
+});
+
+const {
+  listPeriods,
+  getPreviousRange,
+  summarizeUtilization,
+  compareUtilization,
+  buildUtilizationReport,
+  loadUtilizationData,
+  utilizationReportToCsv
+} = require('../../api/_shared/utilization-analytics');
+
+const session = (overrides) => ({
+  id: '1',
+  mock_type: 'Clinical Skills',
+  location: 'Mississauga',
+  exam_date: '2026-03-03',
+  capacity: 10,
+  bookings: 5,
+  ...overrides
+});
+
+describe('periods', () => {
+  test('lists every week or month touching the range', () => {
+    expect(listPeriods('2026-03-04', '2026-03-20', 'week')).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    expect(listPeriods('2025-11-15', '2026-01-10', 'month')).toEqual(['2025-11-01', '2025-12-01', '2026-01-01']);
+  });
+
+  test('the previous range has the same length', () => {
+    expect(getPreviousRange('2026-03-01', '2026-03-31')).toEqual({ startDate: '2026-01-29', endDate: '2026-02-28' });
+  });
+});
+
+describe('summarizeUtilization', () => {
+  test('fill rate, full sessions and cancellation rate', () => {
+    const summary = summarizeUtilization(
+      [session({ bookings: 10 }), session({ id: '2', bookings: 5 })],
+      [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }]
+    );
+
+    expect(summary).toEqual({
+      sessions: 2,
+      capacity: 20,
+      bookings: 15,
+      full_sessions: 1,
+      cancellations: 3,
+      fill_rate: 75,
+      cancellation_rate: 16.7
+    });
+  });
+
+  test('has no rates without capacity or bookings', () => {
+    expect(summarizeUtilization([], [])).toMatchObject({ fill_rate: null, cancellation_rate: null });
+  });
+});
+
+describe('compareUtilization', () => {
+  test('percent change for counts and points for rates', () => {
+    const current = summarizeUtilization([session({ capacity: 10, bookings: 9 })], []);
+    const previous = summarizeUtilization([session({ capacity: 10, bookings: 6 })], [{ id: 'c1' }]);
+
+    expect(compareUtilization(current, previous)).toEqual({
+      sessions: 0,
+      capacity: 0,
+      bookings: 50,
+      cancellations: -100,
+      fill_rate_points: 30,
+      cancellation_rate_points: -14.3
+    });
+  });
+});
+
+describe('buildUtilizationReport', () => {
+  const data = {
+    sessions: [
+      session({ id: '1', exam_date: '2026-03-03', bookings: 4 }),
+      session({ id: '2', exam_date: '2026-03-17', bookings: 8, location: 'Calgary' })
+    ],
+    cancellations: [{ id: 'c1', exam_date: '2026-03-17', location: 'Calgary', mock_type: 'Clinical Skills' }],
+    previous: { sessions: [session({ exam_date: '2026-02-10', bookings: 6 })], cancellations: [] }
+  };
+
+  test('builds a weekly series with empty weeks and the period-over-period change', () => {
+    const report = buildUtilizationReport(data, { startDate: '2026-03-02', endDate: '2026-03-22', interval: 'week' });
+
+    expect(report.series.map(point => [point.period_start, point.sessions, point.fill_rate])).toEqual([
+      ['2026-03-02', 1, 40],
+      ['2026-03-09', 0, null],
+      ['2026-03-16', 1, 80]
+    ]);
+    expect(report.series[0].change).toBeNull();
+    expect(report.series[2].change.fill_rate_points).toBeNull();
+    expect(report.summary.fill_rate).toBe(60);
+    expect(report.comparison.bookings).toBe(100);
+    expect(report.groups).toEqual([]);
+  });
+
+  test('adds a series per location', () => {
+    const report = buildUtilizationReport(data, { startDate: '2026-03-02', endDate: '2026-03-22', groupBy: 'location' });
+
+    expect(report.group_by).toBe('location');
+    expect(report.groups.map(group => [group.key, group.summary.bookings, group.summary.cancellations])).toEqual([
+      ['Calgary', 8, 1],
+      ['Mississauga', 4, 0]
+    ]);
+    expect(report.groups[0].series).toHaveLength(3);
+  });
+
+  test('exports one row per group and period', () => {
+    const report = buildUtilizationReport(data, { startDate: '2026-03-02', endDate: '2026-03-22', groupBy: 'location' });
+    const lines = utilizationReportToCsv(report).split('\n');
+
+    expect(lines[0]).toBe('Week Of,Location,Sessions,Capacity,Bookings,Full Sessions,Cancellations,Fill Rate (%),Cancellation Rate (%),Bookings Change (%),Fill Rate Change (pts)');
+    expect(lines).toHaveLength(7);
+    expect(lines).toContain('2026-03-16,Calgary,1,10,8,0,1,80,11.1,,');
+  });
+});
+
+describe('loadUtilizationData', () => {
+  afterEach(() => {
+    delete mockResults.hubspot_mock_exams;
+    delete mockResults.hubspot_bookings;
+  });
+
+  test('reads sessions and cancelled bookings, taking locations from the sessions', async () => {
+    mockResults.hubspot_mock_exams = {
+      data: [{ hubspot_id: '100', mock_type: 'Mini-mock', location: 'Calgary', exam_date: '2026-03-03', capacity: '12', total_bookings: '7' }],
+      error: null
+    };
+    mockResults.hubspot_bookings = (calls) => {
+      expect(calls).toContainEqual(['eq', 'is_active', 'Cancelled']);
+      return {
+        data: [
+          { hubspot_id: 'b1', associated_mock_exam: '100', mock_type: 'Mini-mock', exam_date: '2026-03-03' },
+          { hubspot_id: 'b2', associated_mock_exam: '999', mock_type: 'Mini-mock', attending_location: 'Vancouver', exam_date: '2026-03-04' }
+        ],
+        error: null
+      };
+    };
+
+    const { sessions, cancellations } = await loadUtilizationData({ startDate: '2026-03-01', endDate: '2026-03-31', location: 'Calgary' });
+
+    expect(sessions).toEqual([{ id: '100', mock_type: 'Mini-mock', location: 'Calgary', exam_date: '2026-03-03', capacity: 12, bookings: 7 }]);
+    expect(cancellations.map(cancellation => [cancellation.id, cancellation.location])).toEqual([['b1', 'Calgary']]);
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Unit Tests for Waitlist Service
+ * Tests credit resolution, reorder validation and promotion ordering
+ */
+
+jest.mock('../../api/_shared/supabase', () => ({
+  supabaseAdmin: {
+    from: jest.fn(),
+    rpc: jest.fn()
+  }
+}));
+
+jest.mock('../../api/_shared/supabase-data', () => ({
+  updateExamBookingCountInSupabase: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../api/_shared/hubspot-webhook', () => ({
+  HubSpotWebhookService: {
+    syncWithRetry: jest.fn().mockResolvedValue({ success: true }),
+    syncContactCredits: jest.fn().mockResolvedValue({ success: true })
+  }
+}));
+
+jest.mock('../../api/_shared/credit-lots', () => {
+  const actual = jest.requireActual('../../api/_shared/credit-lots');
+  return {
+    ...actual,
+    getCreditExpiry: jest.fn((contactId, balances) => Promise.resolve(actual.summarizeLots([], balances))),
+    consumeFromLots: jest.fn().mockResolvedValue(1)
+  };
+});
+
+jest.mock('../../api/_shared/mock-set-repeats', () => ({
+  checkSetRepeat: jest.fn()
+}));
+
+const { supabaseAdmin } = require('../../api/_shared/supabase');
+const { checkSetRepeat } = require('../../api/_shared/mock-set-repeats');
+const { updateExamBookingCountInSupabase } = require('../../api/_shared/supabase-data');
+const { summarizeLots, consumeFromLots } = require('../../api/_shared/credit-lots');
+const waitlist = require('../../api/_shared/waitlist');
+const { createQuery } = require('../helpers/supabase-query');
+
+/**
+ * Route supabaseAdmin.from(table) calls to queued results per table
+ */
+function mockTables(tableResults) {
+  supabaseAdmin.from.mockImplementation(table => {
+    const queue = tableResults[table] || [];
+    const result = queue.length > 1 ? queue.shift() : queue[0];
+    return createQuery(result || { data: null, error: null });
+  });
+}
+
+function createRedisMock(lockToken = 'lock-token', heldSeats = 0) {
+  return {
+    acquireLockWithRetry: jest.fn().mockResolvedValue(lockToken),
+    countSeatHolds: jest.fn().mockResolvedValue({ count: heldSeats, ownExpiresAt: null }),
+    releaseLock: jest.fn().mockResolvedValue(true),
+    setex: jest.fn().mockResolvedValue(true),
+    cacheDeletePattern: jest.fn().mockResolvedValue(0)
+  };
+}
+
+const futureDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('Waitlist Service Unit Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    checkSetRepeat.mockResolvedValue({ rule: 'block', repeats: [], message: null });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('resolveWaitlistCredit', () => {
+    test('uses specific credits first', () => {
+      const result = waitlist.resolveWaitlistCredit({ sj_credits: 2, shared_mock_credits: 5 }, 'Situational Judgment');
+      expect(result).toEqual({
+        creditField: 'sj_credits',
+        tokenUsed: 'Situational Judgment Token',
+        newCreditValue: 1
+      });
+    });
+
+    test('falls back to shared credits for Clinical Skills', () => {
+      const result = waitlist.resolveWaitlistCredit({ cs_credits: 0, shared_mock_credits: 1 }, 'Clinical Skills');
+      expect(result).toEqual({
+        creditField: 'shared_mock_credits',
+        tokenUsed: 'Shared Token',
+        newCreditValue: 0
+      });
+    });
+
+    test('does not use shared credits for Mini-mock', () => {
+      const result = waitlist.resolveWaitlistCredit({ sjmini_credits: 0, shared_mock_credits: 3 }, 'Mini-mock');
+      expect(result).toBeNull();
+    });
+
+    test('maps Mock Discussion to mock_discussion_token', () => {
+      const result = waitlist.resolveWaitlistCredit({ mock_discussion_token: 1 }, 'Mock Discussion');
+      expect(result.creditField).toBe('mock_discussion_token');
+      expect(result.tokenUsed).toBe('Mock Discussion Token');
+    });
+
+    test('skips tokens in lots past their expiry date', () => {
+      const contact = { cs_credits: 1, shared_mock_credits: 0 };
+      const creditExpiry = summarizeLots(
+        [{ id: 'lot-1', credit_field: 'cs_credits', remaining: 1, expires_at: '2020-01-01T00:00:00Z' }],
+        contact
+      );
+
+      expect(waitlist.resolveWaitlistCredit(contact, 'Clinical Skills', creditExpiry)).toBeNull();
+    });
+
+    test('spends the earliest-expiring credit first', () => {
+      const contact = { sj_credits: 1, shared_mock_credits: 1 };
+      const creditExpiry = summarizeLots(
+        [{ id: 'lot-1', credit_field: 'shared_mock_credits', remaining: 1, expires_at: '2099-01-01T00:00:00Z' }],
+        contact
+      );
+
+      expect(waitlist.resolveWaitlistCredit(contact, 'Situational Judgment', creditExpiry)).toEqual({
+        creditField: 'shared_mock_credits',
+        tokenUsed: 'Shared Token',
+        newCreditValue: 0
+      });
+    });
+  });
+
+  describe('isExamPromotable', () => {
+    test('rejects inactive exams', () => {
+      expect(waitlist.isExamPromotable({ is_active: 'false', exam_date: futureDate })).toBe(false);
+    });
+
+    test('rejects past exams', () => {
+      expect(waitlist.isExamPromotable({ is_active: 'true', exam_date: '2020-01-01' })).toBe(false);
+    });
+
+    test('accepts active upcoming exams', () => {
+      expect(waitlist.isExamPromotable({ is_active: 'true', exam_date: `${futureDate}T00:00:00+00:00` })).toBe(true);
+    });
+
+    test('rejects exams past their booking cutoff', () => {
+      const now = new Date('2026-03-10T12:00:00Z');
+      const exam = {
+        is_active: 'true',
+        mock_type: 'Clinical Skills',
+        exam_date: '2026-03-11',
+        start_time: '2026-03-11T09:00:00Z',
+        booking_cutoff_hours: 24
+      };
+
+      expect(waitlist.isExamPromotable(exam, now)).toBe(false);
+      expect(waitlist.isExamPromotable({ ...exam, booking_cutoff_hours: 12 }, now)).toBe(true);
+    });
+
+    test('rejects exams past their scheduled deactivation', () => {
+      const now = new Date('2026-03-10T12:00:00Z');
+      const exam = {
+        is_active: 'true',
+        mock_type: 'Clinical Skills',
+        exam_date: '2026-03-12',
+        start_time: '2026-03-12T09:00:00Z',
+        scheduled_deactivation_datetime: '2026-03-10T08:00:00Z'
+      };
+
+      expect(waitlist.isExamPromotable(exam, now)).toBe(false);
+    });
+  });
+
+  describe('reorderWaitlist', () => {
+    test('rejects an order that does not match the current queue', async () => {
+      mockTables({
+        mock_exam_waitlist: [{ data: [{ id: 'a', position: 1 }, { id: 'b', position: 2 }], error: null }]
+      });
+
+      await expect(waitlist.reorderWaitlist('123', ['b'])).rejects.toMatchObject({
+        status: 409,
+        code: 'WAITLIST_CHANGED'
+      });
+    });
+  });
+
+  describe('promoteFromWaitlist', () => {
+    test('defers when the exam lock cannot be acquired', async () => {
+      mockTables({
+        mock_exam_waitlist: [{ data: [{ id: 'entry-1', position: 1 }], error: null }]
+      });
+      const redis = createRedisMock(null);
+
+      const result = await waitlist.promoteFromWaitlist('123', { redis, source: 'test' });
+
+      expect(result.deferred).toBe(true);
+      expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    test('skips students without credits and books the next one in queue order', async () => {
+      mockTables({
+        mock_exam_waitlist: [
+          {
+            data: [
+              { id: 'entry-1', position: 1, contact_id: '111', student_id: 'S1', student_email: 's1@test.com' },
+              { id: 'entry-2', position: 2, contact_id: '222', student_id: 'S2', student_email: 's2@test.com', student_name: 'Second Student' }
+            ],
+            error: null
+          },
+          { data: null, error: null }
+        ],
+        hubspot_mock_exams: [{
+          data: {
+            hubspot_id: '123',
+            mock_type: 'Clinical Skills',
+            mock_set: 'B',
+            exam_date: futureDate,
+            location: 'Mississauga',
+            capacity: 10,
+            is_active: 'true'
+          },
+          error: null
+        }],
+        hubspot_bookings: [
+          { count: 9, error: null },
+          { data: [], error: null }
+        ],
+        hubspot_contact_credits: [
+          { data: { hubspot_id: '111', cs_credits: 0, shared_mock_credits: 0 }, error: null },
+          { data: { hubspot_id: '222', cs_credits: 3, shared_mock_credits: 0 }, error: null }
+        ]
+      });
+      supabaseAdmin.rpc.mockResolvedValue({
+        data: { booking_id: 'uuid-2', booking_code: 'Clinical Skills-S2', hubspot_id: null },
+        error: null
+      });
+      const redis = createRedisMock();
+
+      const result = await waitlist.promoteFromWaitlist('123', { redis, source: 'test' });
+
+      expect(result.skipped).toEqual([{ entry_id: 'entry-1', student_id: 'S1', reason: 'INSUFFICIENT_CREDITS' }]);
+      expect(result.promoted).toHaveLength(1);
+      expect(result.promoted[0]).toMatchObject({ entry_id: 'entry-2', token_used: 'Clinical Skills Token' });
+
+      expect(supabaseAdmin.rpc).toHaveBeenCalledTimes(1);
+      expect(supabaseAdmin.rpc).toHaveBeenCalledWith('create_booking_atomic', expect.objectContaining({
+        p_mock_exam_id: '123',
+        p_student_id: 'S2',
+        p_credit_field: 'cs_credits',
+        p_new_credit_value: 2,
+        p_idempotency_key: 'waitlist_entry-2',
+        p_mock_set: 'B'
+      }));
+      expect(consumeFromLots).toHaveBeenCalledTimes(1);
+      expect(consumeFromLots).toHaveBeenCalledWith('222', 'cs_credits', 1);
+
+      expect(redis.setex).toHaveBeenCalledWith('exam:123:bookings', 3600, 10);
+      expect(updateExamBookingCountInSupabase).toHaveBeenCalledWith('123', 10);
+      expect(redis.releaseLock).toHaveBeenCalledWith('123', 'lock-token');
+    });
+
+    test('does not promote into seats held by students filling in the booking form', async () => {
+      mockTables({
+        mock_exam_waitlist: [{
+          data: [{ id: 'entry-1', position: 1, contact_id: '111', student_id: 'S1', student_email: 's1@test.com' }],
+          error: null
+        }],
+        hubspot_mock_exams: [{
+          data: { hubspot_id: '123', mock_type: 'Clinical Skills', exam_date: futureDate, capacity: 10, is_active: 'true' },
+          error: null
+        }],
+        hubspot_bookings: [{ count: 9, error: null }]
+      });
+      const redis = createRedisMock('lock-token', 1);
+
+      const result = await waitlist.promoteFromWaitlist('123', { redis, source: 'test' });
+
+      expect(redis.countSeatHolds).toHaveBeenCalledWith('123');
+      expect(result.free_seats).toBe(0);
+      expect(result.promoted).toHaveLength(0);
+      expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+    });
+
+    test('skips students blocked by the exam set rule', async () => {
+      mockTables({
+        mock_exam_waitlist: [
+          {
+            data: [
+              { id: 'entry-1', position: 1, contact_id: '111', student_id: 'S1', student_email: 's1@test.com' },
+              { id: 'entry-2', position: 2, contact_id: '222', student_id: 'S2', student_email: 's2@test.com' }
+            ],
+            error: null
+          },
+          { data: null, error: null }
+        ],
+        hubspot_mock_exams: [{
+          data: { hubspot_id: '123', mock_type: 'Clinical Skills', mock_set: 'B', exam_date: futureDate, capacity: 10, is_active: 'true' },
+          error: null
+        }],
+        hubspot_bookings: [
+          { count: 9, error: null },
+          { data: [], error: null }
+        ],
+        hubspot_contact_credits: [
+          { data: { hubspot_id: '111', cs_credits: 1, shared_mock_credits: 0 }, error: null },
+          { data: { hubspot_id: '222', cs_credits: 1, shared_mock_credits: 0 }, error: null }
+        ]
+      });
+      checkSetRepeat
+        .mockResolvedValueOnce({
+          rule: 'block',
+          repeats: [{ id: 'old-booking', mock_set: 'B' }],
+          message: 'You have already sat Clinical Skills set B'
+        })
+        .mockResolvedValueOnce({ rule: 'block', repeats: [], message: null });
+      supabaseAdmin.rpc.mockResolvedValue({
+        data: { booking_id: 'uuid-2', booking_code: 'Clinical Skills-S2', hubspot_id: null },
+        error: null
+      });
+      const redis = createRedisMock();
+
+      const result = await waitlist.promoteFromWaitlist('123', { redis, source: 'test' });
+
+      expect(checkSetRepeat).toHaveBeenCalledWith('111', expect.objectContaining({ mock_set: 'B' }));
+      expect(result.skipped).toEqual([{
+        entry_id: 'entry-1',
+        student_id: 'S1',
+        reason: 'MOCK_SET_REPEAT',
+        message: 'You have already sat Clinical Skills set B'
+      }]);
+      expect(result.promoted).toHaveLength(1);
+      expect(result.promoted[0]).toMatchObject({ entry_id: 'entry-2' });
+      expect(supabaseAdmin.rpc).toHaveBeenCalledTimes(1);
+    });
+
+    test('promotes students whose repeated set only warns', async () => {
+      mockTables({
+        mock_exam_waitlist: [
+          {
+            data: [{ id: 'entry-1', position: 1, contact_id: '111', student_id: 'S1', student_email: 's1@test.com' }],
+            error: null
+          },
+          { data: null, error: null }
+        ],
+        hubspot_mock_exams: [{
+          data: { hubspot_id: '123', mock_type: 'Mock Discussion', mock_set: 'A', exam_date: futureDate, capacity: 10, is_active: 'true' },
+          error: null
+        }],
+        hubspot_bookings: [
+          { count: 9, error: null },
+          { data: [], error: null }
+        ],
+        hubspot_contact_credits: [
+          { data: { hubspot_id: '111', mock_discussion_token: 1 }, error: null }
+        ]
+      });
+      checkSetRepeat.mockResolvedValueOnce({
+        rule: 'warn',
+        repeats: [{ id: 'old-booking', mock_set: 'A' }],
+        message: 'You have already sat Mock Discussion set A'
+      });
+      supabaseAdmin.rpc.mockResolvedValue({
+        data: { booking_id: 'uuid-1', booking_code: 'Mock Discussion-S1', hubspot_id: null },
+        error: null
+      });
+      const redis = createRedisMock();
+
+      const result = await waitlist.promoteFromWaitlist('123', { redis, source: 'test' });
+
+      expect(result.skipped).toHaveLength(0);
+      expect(result.promoted).toHaveLength(1);
+    });
+  });
+});
@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+// Redis sliding-window limiter, re-exported so endpoints import it with the other auth helpers
+const { rateLimitMiddleware } = require('./rate-limit');
 
 /**
  * Generate a secure token for session management
@@ -54,88 +56,6 @@ function handleOptionsRequest(req, res) {
   return false;
 }
 
-/**
- * Rate limiting implementation using in-memory store
- * Note: This is simplified for serverless. In production, use Redis or similar
- */
-const rateLimitStore = new Map();
-
-function rateLimit(key, maxRequests = 10, windowMs = 10000) {
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  // Get or create rate limit entry
-  let entry = rateLimitStore.get(key) || { requests: [], blocked: false };
-
-  // Clean old requests
-  entry.requests = entry.requests.filter(time => time > windowStart);
-
-  // Check if currently blocked
-  if (entry.blocked && entry.blockedUntil > now) {
-    const retryAfter = Math.ceil((entry.blockedUntil - now) / 1000);
-    const error = new Error('Too many requests, please try again later');
-    error.status = 429;
-    error.retryAfter = retryAfter;
-    throw error;
-  }
-
-  // Check if limit exceeded
-  if (entry.requests.length >= maxRequests) {
-    entry.blocked = true;
-    entry.blockedUntil = now + windowMs;
-    rateLimitStore.set(key, entry);
-
-    const error = new Error('Too many requests, please try again later');
-    error.status = 429;
-    error.retryAfter = Math.ceil(windowMs / 1000);
-    throw error;
-  }
-
-  // Add current request
-  entry.requests.push(now);
-  entry.blocked = false;
-  rateLimitStore.set(key, entry);
-
-  // Clean up old entries periodically
-  if (rateLimitStore.size > 1000) {
-    for (const [k, v] of rateLimitStore.entries()) {
-      if (v.requests.length === 0 && (!v.blocked || v.blockedUntil < now)) {
-        rateLimitStore.delete(k);
-      }
-    }
-  }
-}
-
-/**
- * Express-style middleware for rate limiting in Vercel functions
- */
-function rateLimitMiddleware(options = {}) {
-  const {
-    keyGenerator = (req) => req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown',
-    maxRequests = 10,
-    windowMs = 10000
-  } = options;
-
-  return async (req, res) => {
-    try {
-      const key = keyGenerator(req);
-      rateLimit(key, maxRequests, windowMs);
-    } catch (error) {
-      if (error.status === 429) {
-        res.setHeader('Retry-After', error.retryAfter);
-        res.status(429).json({
-          success: false,
-          error: error.message,
-          retryAfter: error.retryAfter
-        });
-        return true; // Request handled
-      }
-      throw error;
-    }
-    return false; // Continue processing
-  };
-}
-
 /**
  * Sanitize user input to prevent XSS
  * @param {string} input - User input to sanitize
@@ -170,6 +90,22 @@ function createErrorResponse(error, includeStack = false) {
     response.validationErrors = error.validationErrors;
   }
 
+  if (error.conflicts) {
+    response.conflicts = error.conflicts;
+  }
+
+  if (error.cancellation_policy) {
+    response.cancellation_policy = error.cancellation_policy;
+  }
+
+  if (error.setRepeat) {
+    response.set_repeat = error.setRepeat;
+  }
+
+  if (error.booking_window) {
+    response.booking_window = error.booking_window;
+  }
+
   if (includeStack && process.env.NODE_ENV !== 'production') {
     response.stack = error.stack;
   }
@@ -213,7 +149,6 @@ module.exports = {
   verifyCronSecret,
   setCorsHeaders,
   handleOptionsRequest,
-  rateLimit,
   rateLimitMiddleware,
   sanitizeInput,
   createErrorResponse,
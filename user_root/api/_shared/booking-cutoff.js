@@ -0,0 +1,179 @@
+/**
+ * Booking Cutoff & Scheduled Deactivation
+ *
+ * Decides whether a session can still be booked. Booking closes at whichever
+ * comes first:
+ * - cutoff:       booking_cutoff_hours before the session starts
+ * - deactivation: the session's scheduled_deactivation_datetime
+ *
+ * The cutoff comes from the session's own booking_cutoff_hours when set, then
+ * from the mock type. Mock type defaults can be overridden with the
+ * BOOKING_CUTOFFS env var (JSON, hours per mock type), e.g.
+ *   BOOKING_CUTOFFS={"Clinical Skills":24,"Mock Discussion":12}
+ *
+ * Mock exam fields (HubSpot property / hubspot_mock_exams column):
+ *   booking_cutoff_hours             number, optional  -- per-session override of the mock type cutoff
+ *   scheduled_deactivation_datetime  timestamptz       -- HubSpot stores Unix ms; the activation cron
+ *                                                         sets is_active 'false' once it has passed
+ *
+ * NOTE: Keep in sync with admin_root/api/_shared/booking-cutoff.js
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours before the session start that booking closes (0 = open until the start)
+const DEFAULT_BOOKING_CUTOFFS = {
+  'Situational Judgment': 0,
+  'Clinical Skills': 0,
+  'Mini-mock': 0,
+  'Mock Discussion': 0
+};
+
+// Used for mock types that have no explicit cutoff
+const FALLBACK_CUTOFF_HOURS = 0;
+
+/**
+ * Read per-mock-type overrides from BOOKING_CUTOFFS (ignored if malformed)
+ * @returns {object} - Cutoff hours keyed by mock type
+ */
+function getCutoffOverrides() {
+  const raw = process.env.BOOKING_CUTOFFS;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error(`❌ [BOOKING-CUTOFF] Invalid BOOKING_CUTOFFS JSON, using defaults:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Parse a number of hours - HubSpot returns strings, '' and null mean "not set"
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function toHours(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours >= 0 ? hours : null;
+}
+
+/**
+ * Parse a datetime - ISO 8601 string or Unix milliseconds (HubSpot format)
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(parseInt(value, 10))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the booking cutoff that applies to a session
+ * @param {object} exam - { mock_type, booking_cutoff_hours }
+ * @returns {{ cutoff_hours: number, source: 'session'|'mock_type'|'default' }}
+ */
+function getBookingCutoff(exam) {
+  const sessionHours = toHours(exam?.booking_cutoff_hours);
+  if (sessionHours !== null) {
+    return { cutoff_hours: sessionHours, source: 'session' };
+  }
+
+  const mockType = exam?.mock_type;
+  const overrideHours = toHours(getCutoffOverrides()[mockType]);
+  if (overrideHours !== null) {
+    return { cutoff_hours: overrideHours, source: 'mock_type' };
+  }
+
+  if (DEFAULT_BOOKING_CUTOFFS[mockType] !== undefined) {
+    return { cutoff_hours: DEFAULT_BOOKING_CUTOFFS[mockType], source: 'mock_type' };
+  }
+
+  return { cutoff_hours: FALLBACK_CUTOFF_HOURS, source: 'default' };
+}
+
+/**
+ * Evaluate whether a session is still open for booking
+ * @param {object} exam - { mock_type, start_time, exam_date, booking_cutoff_hours, scheduled_deactivation_datetime }
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {{
+ *   open: boolean,
+ *   closes_at: string|null,
+ *   reason: 'cutoff'|'deactivation'|null,
+ *   cutoff_hours: number,
+ *   source: string
+ * }}
+ */
+function evaluateBookingWindow(exam, now = new Date()) {
+  const cutoff = getBookingCutoff(exam);
+  const sessionStart = toDate(exam?.start_time) || toDate(exam?.exam_date);
+  const cutoffAt = sessionStart ? new Date(sessionStart.getTime() - cutoff.cutoff_hours * HOUR_MS) : null;
+  const deactivationAt = toDate(exam?.scheduled_deactivation_datetime);
+
+  let closesAt = cutoffAt;
+  let reason = cutoffAt ? 'cutoff' : null;
+  if (deactivationAt && (!closesAt || deactivationAt < closesAt)) {
+    closesAt = deactivationAt;
+    reason = 'deactivation';
+  }
+
+  return {
+    open: !closesAt || now < closesAt,
+    closes_at: closesAt ? closesAt.toISOString() : null,
+    reason,
+    cutoff_hours: cutoff.cutoff_hours,
+    source: cutoff.source
+  };
+}
+
+/**
+ * Drop sessions whose booking_closes_at has passed
+ * Used on cached availability lists, which can outlive a session's cutoff.
+ * @param {Array<object>} sessions - Sessions with a booking_closes_at ISO string (or null)
+ * @param {Date} [now]
+ * @returns {Array<object>}
+ */
+function filterBookableSessions(sessions, now = new Date()) {
+  return (sessions || []).filter(session => {
+    const closesAt = toDate(session.booking_closes_at);
+    return !closesAt || now < closesAt;
+  });
+}
+
+/**
+ * Build the structured BOOKING_CLOSED error
+ * @param {object} evaluation - Result of evaluateBookingWindow
+ * @returns {Error} - Error with status 409, code BOOKING_CLOSED and the booking window
+ */
+function createBookingClosedError(evaluation) {
+  const hours = evaluation.cutoff_hours;
+  let message = 'Booking for this session has closed.';
+
+  if (evaluation.reason === 'cutoff' && hours > 0) {
+    message = `Booking for this session has closed. Sessions close for booking ${hours} hour${hours === 1 ? '' : 's'} before they start.`;
+  } else if (evaluation.reason === 'deactivation') {
+    message = 'Booking for this session has closed. The session is no longer taking bookings.';
+  }
+
+  const error = new Error(message);
+  error.status = 409;
+  error.code = 'BOOKING_CLOSED';
+  error.booking_window = evaluation;
+  return error;
+}
+
+module.exports = {
+  DEFAULT_BOOKING_CUTOFFS,
+  getBookingCutoff,
+  evaluateBookingWindow,
+  filterBookableSessions,
+  createBookingClosedError
+};
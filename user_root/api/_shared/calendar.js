@@ -0,0 +1,464 @@
+/**
+ * iCalendar (RFC 5545) Export
+ *
+ * Builds .ics documents for student bookings:
+ * - Single booking download (METHOD:PUBLISH, or METHOD:CANCEL once the booking is cancelled)
+ * - Private per-student subscription feed (all bookings; cancelled ones carry STATUS:CANCELLED)
+ *
+ * Session times are read from the mock exam first (source of truth for exam edits and
+ * the exam -> booking cascade), falling back to the booking row. Events are emitted in
+ * the session's local time zone with a matching VTIMEZONE block.
+ *
+ * Feed tokens are stateless: `<contactId>.<HMAC-SHA256 signature>` signed with
+ * CALENDAR_FEED_SECRET. Rotating the secret invalidates every subscription URL.
+ * Known limitation: there is no per-student token version, so a single leaked URL
+ * cannot be revoked on its own - only by rotating the secret for every student.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase');
+const { getLocationTimeZone, refreshLocationCatalog, DEFAULT_TIME_ZONE } = require('./locations');
+
+const PRODID = '-//PrepDoctors//Mock Exam Bookings//EN';
+const UID_DOMAIN = 'bookings.prepdoctors.com';
+
+// Booking statuses exported to calendars (Failed/unknown rows are skipped)
+const EXPORTED_STATUSES = ['Active', 'active', 'Scheduled', 'scheduled', 'Completed', 'completed', 'Cancelled', 'cancelled'];
+const CANCELLED_STATUSES = ['Cancelled', 'cancelled'];
+
+/**
+ * VTIMEZONE definitions for the campuses we run sessions in (Canadian DST rules)
+ */
+const VTIMEZONES = {
+  'America/Toronto': { standard: ['-0500', 'EST'], daylight: ['-0400', 'EDT'] },
+  'America/Edmonton': { standard: ['-0700', 'MST'], daylight: ['-0600', 'MDT'] },
+  'America/Vancouver': { standard: ['-0800', 'PST'], daylight: ['-0700', 'PDT'] }
+};
+
+// ============== TIME HELPERS ==============
+
+/**
+ * Resolve the IANA time zone for a session
+ * Mirrors frontend/src/utils/timezoneHelpers.js (SJ/Mini-mock always Eastern,
+ * Clinical Skills follows the campus time zone from the location catalog)
+ * @param {string} mockType
+ * @param {string} location
+ * @returns {string} IANA time zone
+ */
+function getSessionTimeZone(mockType, location) {
+  if (mockType === 'Clinical Skills' && location) {
+    return getLocationTimeZone(location);
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+/**
+ * UTC offset and abbreviation of a zone at a date (e.g. ['-0500', 'EST'])
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} date
+ * @returns {Array<string>}
+ */
+function describeOffset(timeZone, date) {
+  const partOf = (timeZoneName) => new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const [, sign = '+', hours = '0', minutes = '00'] = partOf('shortOffset').match(/GMT(?:([+-])(\d{1,2})(?::(\d{2}))?)?/) || [];
+  const offset = `${sign}${hours.padStart(2, '0')}${minutes}`;
+  const name = partOf('short');
+
+  return [offset, /^GMT/.test(name) ? offset : name];
+}
+
+/**
+ * Standard/daylight offsets for a VTIMEZONE block - the table above, or derived
+ * from Intl for catalog sites in other zones (using the same Canadian DST dates)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ standard: Array<string>, daylight: Array<string> }}
+ */
+function getZoneOffsets(timeZone) {
+  if (!VTIMEZONES[timeZone]) {
+    const year = new Date().getUTCFullYear();
+    VTIMEZONES[timeZone] = {
+      standard: describeOffset(timeZone, new Date(Date.UTC(year, 0, 15))),
+      daylight: describeOffset(timeZone, new Date(Date.UTC(year, 6, 15)))
+    };
+  }
+  return VTIMEZONES[timeZone];
+}
+
+/**
+ * Parse a session time - ISO 8601 string or Unix milliseconds (HubSpot format)
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(parseInt(value, 10))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date as a UTC iCalendar DATE-TIME (e.g. 20260310T140000Z)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a date as local wall-clock time in a time zone (e.g. 20260310T100000)
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatLocal(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+// ============== TEXT HELPERS ==============
+
+/**
+ * Escape a TEXT property value (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  const limit = () => (chunks.length === 0 ? 75 : 74); // continuation lines start with a space
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit()) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+// ============== EVENT BUILDERS ==============
+
+/**
+ * Merge a booking with its mock exam into the fields an event needs
+ * @param {object} booking - hubspot_bookings row
+ * @param {object} [exam] - hubspot_mock_exams row
+ * @returns {object|null} - null when the session has no usable start time
+ */
+function resolveSession(booking, exam = null) {
+  const start = toDate(exam?.start_time) || toDate(booking.start_time);
+  if (!start) return null;
+
+  // Sessions without an end time are shown as one hour
+  const end = toDate(exam?.end_time) || toDate(booking.end_time) || new Date(start.getTime() + 60 * 60 * 1000);
+
+  const lastModified = [booking.updated_at, exam?.updated_at]
+    .map(toDate)
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest), new Date(0));
+
+  const mockType = booking.mock_type || exam?.mock_type || 'Mock Exam';
+  const location = booking.attending_location || exam?.location || booking.location || null;
+
+  return {
+    uid: `booking-${booking.id || booking.hubspot_id}@${UID_DOMAIN}`,
+    bookingCode: booking.booking_id || null,
+    mockType,
+    mockSet: booking.mock_set || exam?.mock_set || null,
+    location,
+    start,
+    end,
+    timeZone: getSessionTimeZone(mockType, location),
+    cancelled: CANCELLED_STATUSES.includes(booking.is_active),
+    lastModified: lastModified.getTime() > 0 ? lastModified : null
+  };
+}
+
+/**
+ * Build a VEVENT for a resolved session
+ * @param {object} session - Result of resolveSession
+ * @param {Date} now - DTSTAMP
+ * @returns {Array<string>} - Content lines
+ */
+function buildEvent(session, now) {
+  const title = session.mockSet
+    ? `${session.mockType} Mock Exam (Set ${session.mockSet})`
+    : `${session.mockType} Mock Exam`;
+
+  const description = [
+    `Mock type: ${session.mockType}`,
+    session.mockSet ? `Exam set: ${session.mockSet}` : null,
+    session.location ? `Location: ${session.location}` : null,
+    session.bookingCode ? `Booking: ${session.bookingCode}` : null
+  ].filter(Boolean).join('\n');
+
+  // SEQUENCE must grow whenever the event changes - seconds since epoch of the last edit
+  const sequence = session.lastModified ? Math.floor(session.lastModified.getTime() / 1000) : 0;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${session.uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${session.timeZone}:${formatLocal(session.start, session.timeZone)}`,
+    `DTEND;TZID=${session.timeZone}:${formatLocal(session.end, session.timeZone)}`,
+    `SUMMARY:${escapeText(session.cancelled ? `Cancelled: ${title}` : title)}`,
+    `DESCRIPTION:${escapeText(description)}`
+  ];
+
+  if (session.location) {
+    lines.push(`LOCATION:${escapeText(session.location)}`);
+  }
+
+  if (session.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUtc(session.lastModified)}`);
+  }
+
+  lines.push(
+    `SEQUENCE:${sequence}`,
+    `STATUS:${session.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  );
+
+  return lines;
+}
+
+/**
+ * Build a VTIMEZONE block
+ * @param {string} timeZone - Key of VTIMEZONES
+ * @returns {Array<string>}
+ */
+function buildTimeZone(timeZone) {
+  const { standard, daylight } = getZoneOffsets(timeZone);
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    'BEGIN:DAYLIGHT',
+    `TZOFFSETFROM:${standard[0]}`,
+    `TZOFFSETTO:${daylight[0]}`,
+    `TZNAME:${daylight[1]}`,
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    `TZOFFSETFROM:${daylight[0]}`,
+    `TZOFFSETTO:${standard[0]}`,
+    `TZNAME:${standard[1]}`,
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array<object>} sessions - Resolved sessions
+ * @param {object} [options]
+ * @param {string} [options.method='PUBLISH'] - PUBLISH or CANCEL
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {Date} [options.now]
+ * @returns {string} - CRLF-delimited .ics content
+ */
+function buildCalendar(sessions, { method = 'PUBLISH', name = null, now = new Date() } = {}) {
+  const timeZones = [...new Set(sessions.map(session => session.timeZone))];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    // Ask subscribing clients to poll hourly so exam edits show up quickly
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+  }
+
+  timeZones.forEach(timeZone => lines.push(...buildTimeZone(timeZone)));
+  sessions.forEach(session => lines.push(...buildEvent(session, now)));
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the .ics for a single booking (METHOD:CANCEL once cancelled)
+ * @param {object} booking - hubspot_bookings row
+ * @param {object} [exam] - hubspot_mock_exams row
+ * @returns {string|null} - null when the session has no start time
+ */
+function buildBookingCalendar(booking, exam = null) {
+  const session = resolveSession(booking, exam);
+  if (!session) return null;
+
+  return buildCalendar([session], { method: session.cancelled ? 'CANCEL' : 'PUBLISH' });
+}
+
+// ============== FEED TOKENS ==============
+
+/**
+ * Get the feed signing secret
+ * @returns {string}
+ * @throws {Error} 500 CALENDAR_NOT_CONFIGURED when the secret is missing
+ */
+function getFeedSecret() {
+  const secret = process.env.CALENDAR_FEED_SECRET;
+  if (!secret) {
+    const error = new Error('Calendar feeds are not configured');
+    error.status = 500;
+    error.code = 'CALENDAR_NOT_CONFIGURED';
+    throw error;
+  }
+  return secret;
+}
+
+/**
+ * Sign a contact ID for the feed URL
+ * @param {string} contactId - HubSpot contact ID
+ * @returns {string}
+ */
+function signFeedContact(contactId) {
+  return crypto
+    .createHmac('sha256', getFeedSecret())
+    .update(`calendar-feed:${contactId}`)
+    .digest('base64url');
+}
+
+/**
+ * Create the private feed token for a student
+ * @param {string} contactId - HubSpot contact ID
+ * @returns {string}
+ */
+function createFeedToken(contactId) {
+  return `${contactId}.${signFeedContact(String(contactId))}`;
+}
+
+/**
+ * Verify a feed token
+ * @param {string} token
+ * @returns {string|null} - Contact ID when the signature matches
+ */
+function verifyFeedToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [contactId, signature, ...rest] = token.split('.');
+  if (!contactId || !signature || rest.length > 0 || !/^\d+$/.test(contactId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(signFeedContact(contactId));
+  const provided = Buffer.from(signature);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return contactId;
+}
+
+// ============== SUPABASE LOOKUPS ==============
+
+/**
+ * Load a student's bookings with their mock exams, resolved for the feed
+ * @param {string} contactId - HubSpot contact ID (associated_contact_id)
+ * @returns {Promise<Array<object>>} - Resolved sessions, soonest first
+ */
+async function getFeedSessionsForContact(contactId) {
+  const { data: bookings, error } = await supabaseAdmin
+    .from('hubspot_bookings')
+    .select('id, hubspot_id, booking_id, associated_mock_exam, mock_type, mock_set, exam_date, start_time, end_time, attending_location, is_active, updated_at')
+    .eq('associated_contact_id', contactId)
+    .in('is_active', EXPORTED_STATUSES);
+
+  if (error) {
+    console.error(`❌ [CALENDAR] Supabase booking read error:`, error.message);
+    throw error;
+  }
+
+  if (!bookings || bookings.length === 0) {
+    return [];
+  }
+
+  const examIds = [...new Set(bookings.map(booking => booking.associated_mock_exam).filter(Boolean))];
+  let examsById = new Map();
+
+  if (examIds.length > 0) {
+    const { data: exams, error: examsError } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('hubspot_id, mock_type, mock_set, location, start_time, end_time, updated_at')
+      .in('hubspot_id', examIds);
+
+    if (examsError) {
+      console.error(`❌ [CALENDAR] Supabase exam read error:`, examsError.message);
+      throw examsError;
+    }
+
+    examsById = new Map((exams || []).map(exam => [exam.hubspot_id, exam]));
+  }
+
+  await refreshLocationCatalog();
+
+  return bookings
+    .map(booking => resolveSession(booking, examsById.get(booking.associated_mock_exam)))
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  getSessionTimeZone,
+  escapeText,
+  foldLine,
+  resolveSession,
+  buildCalendar,
+  buildBookingCalendar,
+  createFeedToken,
+  verifyFeedToken,
+  getFeedSessionsForContact
+};
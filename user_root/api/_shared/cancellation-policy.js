@@ -0,0 +1,262 @@
+/**
+ * Cancellation Cutoff & Late-Cancellation Policy
+ *
+ * Decides, per mock type, whether a booking can still be cancelled and whether
+ * its token goes back to the student:
+ * - free:    more than free_until_hours before the session - cancel and restore the token
+ * - late:    inside free_until_hours - cancel allowed, token is forfeited
+ * - blocked: inside blocked_within_hours (or session already started) - cancellation refused
+ *
+ * The session start is the booking's start_time; booking rows that don't carry it
+ * can be filled from their mock exam with withSessionStarts. When only exam_date is
+ * known, the session is taken to start at midnight of that day in the session's
+ * time zone.
+ *
+ * Defaults can be overridden per mock type with the CANCELLATION_POLICIES env var (JSON), e.g.
+ *   CANCELLATION_POLICIES={"Clinical Skills":{"free_until_hours":72,"blocked_within_hours":4}}
+ *
+ * NOTE: Keep in sync with admin_root/api/_shared/cancellation-policy.js
+ */
+
+const { getLocationTimeZone } = require('./locations');
+
+// Required on first use - the policy itself is pure and must stay usable
+// without a Supabase configuration
+const getSupabase = () => require('./supabase').supabaseAdmin;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_TIME_ZONE = 'America/Toronto';
+
+const DEFAULT_CANCELLATION_POLICIES = {
+  'Situational Judgment': { free_until_hours: 48, blocked_within_hours: 2 },
+  'Clinical Skills': { free_until_hours: 48, blocked_within_hours: 2 },
+  'Mini-mock': { free_until_hours: 24, blocked_within_hours: 2 },
+  'Mock Discussion': { free_until_hours: 24, blocked_within_hours: 2 }
+};
+
+// Used for mock types that have no explicit policy
+const FALLBACK_POLICY = { free_until_hours: 48, blocked_within_hours: 2 };
+
+/**
+ * Read per-mock-type overrides from CANCELLATION_POLICIES (ignored if malformed)
+ * @returns {object} - Overrides keyed by mock type
+ */
+function getPolicyOverrides() {
+  const raw = process.env.CANCELLATION_POLICIES;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error(`❌ [CANCEL-POLICY] Invalid CANCELLATION_POLICIES JSON, using defaults:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the cancellation policy for a mock type
+ * @param {string} mockType - e.g. 'Clinical Skills'
+ * @returns {{ mock_type: string|null, free_until_hours: number, blocked_within_hours: number }}
+ */
+function getCancellationPolicy(mockType) {
+  const base = DEFAULT_CANCELLATION_POLICIES[mockType] || FALLBACK_POLICY;
+  const override = getPolicyOverrides()[mockType] || {};
+
+  const freeUntilHours = Number(override.free_until_hours ?? base.free_until_hours);
+  const blockedWithinHours = Number(override.blocked_within_hours ?? base.blocked_within_hours);
+
+  return {
+    mock_type: mockType || null,
+    free_until_hours: Number.isFinite(freeUntilHours) ? freeUntilHours : base.free_until_hours,
+    blocked_within_hours: Number.isFinite(blockedWithinHours) ? blockedWithinHours : base.blocked_within_hours
+  };
+}
+
+/**
+ * Parse a session start - ISO 8601 string or Unix milliseconds (HubSpot format)
+ * @param {string|number} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(parseInt(value, 10))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Time zone a session's exam_date is a calendar day in
+ * Clinical Skills run at the site; the other types follow the Toronto schedule
+ * (same rule as user_root/api/_shared/calendar.js)
+ * @param {string} mockType
+ * @param {string} location - Site name or booking code
+ * @returns {string} - IANA time zone
+ */
+function getSessionTimeZone(mockType, location) {
+  if (mockType === 'Clinical Skills' && location) {
+    return getLocationTimeZone(location);
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Midnight of an exam_date in a time zone
+ * @param {string|number} examDate - YYYY-MM-DD, ISO timestamp or Unix milliseconds (midnight UTC)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null}
+ */
+function toExamDayStart(examDate, timeZone) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}/.test(String(examDate ?? ''))
+    ? String(examDate).slice(0, 10)
+    : toDate(examDate)?.toISOString().slice(0, 10);
+
+  if (!dateOnly) return null;
+
+  const [year, month, day] = dateOnly.split('-').map(Number);
+  const utcMidnight = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(utcMidnight.getTime())) return null;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(utcMidnight).reduce((acc, part) => {
+    acc[part.type] = Number(part.value);
+    return acc;
+  }, {});
+
+  const offsetMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - utcMidnight.getTime();
+  return new Date(utcMidnight.getTime() - offsetMs);
+}
+
+/**
+ * Fill start_time (and location) from the mock exam on bookings that don't carry it
+ * Same fallback as time-conflicts.js. Bookings are returned unchanged if the
+ * exams can't be read - the policy then falls back to exam_date.
+ * @param {Array<object>} bookings - Rows with associated_mock_exam
+ * @returns {Promise<Array<object>>}
+ */
+async function withSessionStarts(bookings) {
+  const missingExamIds = [...new Set(
+    (bookings || [])
+      .filter(booking => !booking.start_time && booking.associated_mock_exam)
+      .map(booking => booking.associated_mock_exam)
+  )];
+
+  if (missingExamIds.length === 0) {
+    return bookings || [];
+  }
+
+  const { data: exams, error } = await getSupabase()
+    .from('hubspot_mock_exams')
+    .select('hubspot_id, start_time, location')
+    .in('hubspot_id', missingExamIds);
+
+  if (error) {
+    console.error(`⚠️ [CANCEL-POLICY] Failed to load session times, using exam dates:`, error.message);
+    return bookings;
+  }
+
+  const examsById = new Map((exams || []).map(exam => [exam.hubspot_id, exam]));
+
+  return bookings.map(booking => {
+    const exam = examsById.get(booking.associated_mock_exam);
+    if (!exam || booking.start_time) {
+      return booking;
+    }
+
+    return {
+      ...booking,
+      start_time: exam.start_time,
+      location: booking.location || exam.location
+    };
+  });
+}
+
+/**
+ * Evaluate a cancellation against the policy for the booking's mock type
+ * @param {object} booking - { mock_type, start_time, exam_date, location or attending_location }
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {{
+ *   allowed: boolean,
+ *   refund_eligible: boolean,
+ *   window: 'free'|'late'|'blocked',
+ *   session_start: string|null,
+ *   free_until: string|null,
+ *   blocked_from: string|null,
+ *   policy: object
+ * }}
+ */
+function evaluateCancellation(booking, now = new Date()) {
+  const policy = getCancellationPolicy(booking?.mock_type);
+  const sessionStart = toDate(booking?.start_time) || toExamDayStart(
+    booking?.exam_date,
+    getSessionTimeZone(booking?.mock_type, booking?.location || booking?.attending_location)
+  );
+
+  // Without a session time there is nothing to enforce - keep the old behaviour
+  if (!sessionStart) {
+    return {
+      allowed: true,
+      refund_eligible: true,
+      window: 'free',
+      session_start: null,
+      free_until: null,
+      blocked_from: null,
+      policy
+    };
+  }
+
+  const freeUntil = new Date(sessionStart.getTime() - policy.free_until_hours * HOUR_MS);
+  const blockedFrom = new Date(sessionStart.getTime() - policy.blocked_within_hours * HOUR_MS);
+
+  let window = 'free';
+  if (now >= blockedFrom || now >= sessionStart) {
+    window = 'blocked';
+  } else if (now >= freeUntil) {
+    window = 'late';
+  }
+
+  return {
+    allowed: window !== 'blocked',
+    refund_eligible: window === 'free',
+    window,
+    session_start: sessionStart.toISOString(),
+    free_until: freeUntil.toISOString(),
+    blocked_from: blockedFrom.toISOString(),
+    policy
+  };
+}
+
+/**
+ * Build the structured CANCELLATION_BLOCKED error
+ * @param {object} evaluation - Result of evaluateCancellation
+ * @returns {Error} - Error with status 409, code CANCELLATION_BLOCKED and the deadlines
+ */
+function createCancellationBlockedError(evaluation) {
+  const hours = evaluation.policy.blocked_within_hours;
+  const error = new Error(
+    `Bookings cannot be cancelled within ${hours} hour${hours === 1 ? '' : 's'} of the session start.`
+  );
+  error.status = 409;
+  error.code = 'CANCELLATION_BLOCKED';
+  error.cancellation_policy = evaluation;
+  return error;
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICIES,
+  getCancellationPolicy,
+  evaluateCancellation,
+  createCancellationBlockedError,
+  withSessionStarts
+};
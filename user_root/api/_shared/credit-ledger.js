@@ -0,0 +1,353 @@
+/**
+ * Credit Ledger
+ * Append-only history of every change to a student's token balances
+ *
+ * hubspot_contact_credits only holds the current balance, which is overwritten
+ * in place by bookings, cancellations, waitlist promotions, refunds and admin
+ * edits. Each of those writes also appends a row here with the balance before
+ * and after, so any balance can be explained and replayed (checkLedgerConsistency).
+ *
+ * Supabase table: credit_ledger
+ *   id              uuid primary key default gen_random_uuid()
+ *   contact_id      text not null      -- hubspot_contact_credits.hubspot_id
+ *   student_id      text
+ *   credit_field    text not null      -- one of CREDIT_FIELDS
+ *   delta           integer not null   -- negative = debit, positive = credit
+ *   balance_before  integer not null
+ *   balance_after   integer not null
+ *   reason          text not null      -- one of LEDGER_REASONS
+ *   booking_id      text               -- hubspot_bookings.booking_id the change relates to
+ *   actor_type      text not null      -- student | admin | cron | system
+ *   actor           text               -- student ID, admin email or job name
+ *   note            text
+ *   created_at      timestamptz default now()
+ *   index (contact_id, created_at)
+ *
+ * Rows are never updated or deleted - the service role is only granted INSERT
+ * and SELECT on the table.
+ *
+ * Ledger writes never block the change they describe: a failed insert is logged
+ * and shows up as a gap in the consistency check.
+ *
+ * NOTE: Keep in sync with admin_root/api/_shared/credit-ledger.js
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const LEDGER_TABLE = 'credit_ledger';
+
+const CREDIT_FIELDS = [
+  'sj_credits',
+  'cs_credits',
+  'sjmini_credits',
+  'mock_discussion_token',
+  'shared_mock_credits'
+];
+
+const LEDGER_REASONS = {
+  BOOKING_CREATED: 'booking_created',
+  BOOKING_CANCELLED: 'booking_cancelled',
+  WAITLIST_PROMOTED: 'waitlist_promoted',
+  BULK_BOOKING: 'bulk_booking',
+  REFUND: 'refund',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  TOKEN_EXPIRED: 'token_expired', // Unused tokens removed when their lot expired (see credit-lots.js)
+  HUBSPOT_SYNC: 'hubspot_sync' // Balance changed in HubSpot (e.g. purchase) and was pulled into Supabase
+};
+
+const ACTOR_TYPES = {
+  STUDENT: 'student',
+  ADMIN: 'admin',
+  CRON: 'cron',
+  SYSTEM: 'system'
+};
+
+/**
+ * Record one or more balance changes
+ *
+ * @param {Array<Object>} entries - { contactId, studentId, creditField, balanceBefore, balanceAfter,
+ *                                    reason, bookingId, actorType, actor, note }
+ * @returns {Promise<boolean>} - True if written (or nothing to write), false if the insert failed
+ */
+async function recordCreditChanges(entries) {
+  const rows = (entries || [])
+    .filter(entry => entry && entry.contactId && CREDIT_FIELDS.includes(entry.creditField))
+    .map(entry => {
+      const balanceBefore = parseInt(entry.balanceBefore) || 0;
+      const balanceAfter = parseInt(entry.balanceAfter) || 0;
+
+      return {
+        contact_id: String(entry.contactId),
+        student_id: entry.studentId || null,
+        credit_field: entry.creditField,
+        delta: balanceAfter - balanceBefore,
+        balance_before: balanceBefore,
+        balance_after: balanceAfter,
+        reason: entry.reason,
+        booking_id: entry.bookingId || null,
+        actor_type: entry.actorType || ACTOR_TYPES.SYSTEM,
+        actor: entry.actor || null,
+        note: entry.note || null
+      };
+    })
+    .filter(row => row.delta !== 0);
+
+  if (rows.length === 0) {
+    return true;
+  }
+
+  try {
+    const { error } = await supabaseAdmin.from(LEDGER_TABLE).insert(rows);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`📒 [CREDIT-LEDGER] Recorded ${rows.length} change(s) for contact ${rows[0].contact_id} (${rows[0].reason})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LEDGER] Failed to record ${rows.length} change(s) (non-blocking):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Record a single balance change
+ * @param {Object} entry - See recordCreditChanges
+ * @returns {Promise<boolean>}
+ */
+async function recordCreditChange(entry) {
+  return recordCreditChanges([entry]);
+}
+
+/**
+ * List the credit fields whose balance differs between two contact snapshots
+ *
+ * @param {Object} before - Balances before the change (hubspot_contact_credits row or similar)
+ * @param {Object} after - Balances after the change
+ * @returns {Array<{creditField: string, balanceBefore: number, balanceAfter: number}>}
+ */
+function diffCreditBalances(before, after) {
+  return CREDIT_FIELDS
+    .filter(field => after && after[field] !== undefined && after[field] !== null)
+    .map(field => ({
+      creditField: field,
+      balanceBefore: parseInt(before?.[field]) || 0,
+      balanceAfter: parseInt(after[field]) || 0
+    }))
+    .filter(change => change.balanceBefore !== change.balanceAfter);
+}
+
+/**
+ * Record every balance that differs between two snapshots of one contact
+ *
+ * @param {Object} contact - { contactId, studentId }
+ * @param {Object} before - Balances before the change
+ * @param {Object} after - Balances after the change
+ * @param {Object} context - { reason, bookingId, actorType, actor, note }
+ * @returns {Promise<boolean>}
+ */
+async function recordBalanceDiff({ contactId, studentId }, before, after, context) {
+  return recordCreditChanges(
+    diffCreditBalances(before, after).map(change => ({
+      contactId,
+      studentId,
+      ...change,
+      ...context
+    }))
+  );
+}
+
+/**
+ * Read a contact's current balances (used as the "before" snapshot of a change)
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @returns {Promise<Object|null>} - { student_id, ...CREDIT_FIELDS } or null if the contact is not in Supabase
+ */
+async function getCreditSnapshot(contactId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('hubspot_contact_credits')
+      .select(['student_id', ...CREDIT_FIELDS].join(', '))
+      .eq('hubspot_id', String(contactId))
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error(`⚠️ [CREDIT-LEDGER] Failed to read balances for contact ${contactId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a contact's ledger entries, newest first
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @param {Object} options - { creditField, limit, offset }
+ * @returns {Promise<{entries: Array, total: number}>}
+ */
+async function getCreditHistory(contactId, { creditField = null, limit = 50, offset = 0 } = {}) {
+  let query = supabaseAdmin
+    .from(LEDGER_TABLE)
+    .select('*', { count: 'exact' })
+    .eq('contact_id', String(contactId))
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (creditField) {
+    query = query.eq('credit_field', creditField);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error(`❌ [CREDIT-LEDGER] Failed to read history for contact ${contactId}:`, error.message);
+    throw error;
+  }
+
+  return { entries: data || [], total: count || 0 };
+}
+
+/**
+ * Replay ledger entries against the current balances
+ *
+ * For each credit field the first entry's balance_before is the opening balance;
+ * every delta is applied in order and the result must equal the current balance.
+ * An entry whose balance_before does not match the running balance means a change
+ * happened without being recorded (a gap).
+ *
+ * @param {Array} entries - Ledger rows for ONE contact, oldest first
+ * @param {Object} currentBalances - hubspot_contact_credits row
+ * @returns {{consistent: boolean, fields: Object, gaps: Array}}
+ */
+function replayLedger(entries, currentBalances) {
+  const fields = {};
+  const gaps = [];
+
+  for (const entry of entries || []) {
+    const field = entry.credit_field;
+    const state = fields[field];
+
+    if (!state) {
+      fields[field] = {
+        opening_balance: entry.balance_before,
+        replayed_balance: entry.balance_before + entry.delta,
+        entries: 1
+      };
+      continue;
+    }
+
+    if (entry.balance_before !== state.replayed_balance) {
+      gaps.push({
+        entry_id: entry.id,
+        credit_field: field,
+        expected_before: state.replayed_balance,
+        recorded_before: entry.balance_before,
+        created_at: entry.created_at
+      });
+    }
+
+    state.replayed_balance += entry.delta;
+    state.entries += 1;
+  }
+
+  let consistent = gaps.length === 0;
+
+  for (const [field, state] of Object.entries(fields)) {
+    state.current_balance = parseInt(currentBalances?.[field]) || 0;
+    state.consistent = state.replayed_balance === state.current_balance;
+    if (!state.consistent) {
+      consistent = false;
+    }
+  }
+
+  return { consistent, fields, gaps };
+}
+
+/**
+ * Replay a contact's full ledger against hubspot_contact_credits
+ *
+ * @param {string} contactId - Contact HubSpot ID
+ * @returns {Promise<{contact_id: string, consistent: boolean, fields: Object, gaps: Array}>}
+ */
+async function checkLedgerConsistency(contactId) {
+  const [{ data: entries, error: ledgerError }, { data: contact, error: contactError }] = await Promise.all([
+    supabaseAdmin
+      .from(LEDGER_TABLE)
+      .select('id, credit_field, delta, balance_before, balance_after, created_at')
+      .eq('contact_id', String(contactId))
+      .order('created_at', { ascending: true }),
+    supabaseAdmin
+      .from('hubspot_contact_credits')
+      .select(CREDIT_FIELDS.join(', '))
+      .eq('hubspot_id', String(contactId))
+      .maybeSingle()
+  ]);
+
+  if (ledgerError || contactError) {
+    const error = ledgerError || contactError;
+    console.error(`❌ [CREDIT-LEDGER] Consistency check failed for contact ${contactId}:`, error.message);
+    throw error;
+  }
+
+  return {
+    contact_id: String(contactId),
+    ...replayLedger(entries, contact)
+  };
+}
+
+/**
+ * Replay the ledger of every contact whose balance changed since a point in time
+ *
+ * @param {Object} options - { since: ISO timestamp, maxContacts }
+ * @returns {Promise<{checked: number, consistent: number, inconsistent: Array}>}
+ */
+async function checkRecentLedgerConsistency({ since, maxContacts = 200 } = {}) {
+  const { data, error } = await supabaseAdmin
+    .from(LEDGER_TABLE)
+    .select('contact_id')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(5000);
+
+  if (error) {
+    console.error('❌ [CREDIT-LEDGER] Failed to list recently changed contacts:', error.message);
+    throw error;
+  }
+
+  const contactIds = [...new Set((data || []).map(row => row.contact_id))].slice(0, maxContacts);
+  const inconsistent = [];
+
+  for (const contactId of contactIds) {
+    const result = await checkLedgerConsistency(contactId);
+    if (!result.consistent) {
+      inconsistent.push(result);
+    }
+  }
+
+  return {
+    checked: contactIds.length,
+    consistent: contactIds.length - inconsistent.length,
+    inconsistent
+  };
+}
+
+module.exports = {
+  LEDGER_TABLE,
+  CREDIT_FIELDS,
+  LEDGER_REASONS,
+  ACTOR_TYPES,
+  recordCreditChange,
+  recordCreditChanges,
+  diffCreditBalances,
+  recordBalanceDiff,
+  getCreditSnapshot,
+  getCreditHistory,
+  replayLedger,
+  checkLedgerConsistency,
+  checkRecentLedgerConsistency
+};
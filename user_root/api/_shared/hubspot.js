@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { HubSpotBatchService } = require('./batch');
+const { resolveLocationName } = require('./locations');
 
 // HubSpot Object Type IDs
 const HUBSPOT_OBJECTS = {
@@ -208,6 +209,8 @@ class HubSpotService {
         'mock_set',
         'location',
         'is_active',
+        'booking_cutoff_hours',
+        'scheduled_deactivation_datetime',
         'hs_object_id'
       ],
       sorts: [{
@@ -312,7 +315,7 @@ class HubSpotService {
   }
 
   /**
-   * Map frontend location values to HubSpot expected values
+   * Map frontend location values (booking codes or names) to the catalog site name
    */
   mapLocationToHubSpot(location) {
     // Ensure we handle the input safely
@@ -321,19 +324,7 @@ class HubSpotService {
       return null;
     }
 
-    // Convert to lowercase for consistent matching
-    const normalizedLocation = location.toLowerCase();
-
-    const locationMapping = {
-      'mississauga': 'Mississauga',
-      'calgary': 'Calgary',
-      'vancouver': 'Vancouver',
-      'montreal': 'Montreal',
-      'richmond_hill': 'Richmond Hill',
-      'online': 'Online'  // Add support for Online option (used by HubSpot)
-    };
-
-    const mappedLocation = locationMapping[normalizedLocation];
+    const mappedLocation = resolveLocationName(location, { includeInactive: true });
 
     if (!mappedLocation) {
       console.warn(`⚠️ Unknown location value: ${location}, using original value`);
@@ -444,6 +435,33 @@ class HubSpotService {
     }
   }
 
+  /**
+   * Delete associations in batch
+   * @param {string} fromObjectType - Source object type (e.g., '2-50158943' for Bookings)
+   * @param {string} toObjectType - Target object type (e.g., '2-50158913' for Mock Exams)
+   * @param {Array} inputs - Array of association inputs with from and to IDs
+   * @returns {Promise<object>} Response from HubSpot API
+   */
+  async batchDeleteAssociations(fromObjectType, toObjectType, inputs) {
+    try {
+      console.log(`Deleting batch associations from ${fromObjectType} to ${toObjectType}`, {
+        inputCount: inputs.length
+      });
+
+      const response = await this.apiCall(
+        'POST',
+        `/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/archive`,
+        { inputs }
+      );
+
+      console.log(`Successfully deleted ${inputs.length} associations`);
+      return response;
+    } catch (error) {
+      console.error('Error deleting batch associations:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
 
   /**
    * Search enrollments for a contact
@@ -489,7 +507,9 @@ class HubSpotService {
       'total_bookings',
       'mock_type',
       'location',
-      'is_active'
+      'is_active',
+      'booking_cutoff_hours',
+      'scheduled_deactivation_datetime'
     ].join(',');
 
     return await this.apiCall('GET', `/crm/v3/objects/${HUBSPOT_OBJECTS.mock_exams}/${mockExamId}?properties=${properties}`);
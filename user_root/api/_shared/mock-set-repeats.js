@@ -0,0 +1,257 @@
+/**
+ * Exam Set Repeat Rule
+ *
+ * Sessions of a mock type run one of several exam sets (A-H), and the set is
+ * copied onto every booking. A trainee who books a set they have already sat
+ * (or are booked into) sees the same cases twice, so each mock type has a rule:
+ * - block: the booking is refused with 409 MOCK_SET_REPEAT (admins can override)
+ * - warn:  the booking goes through with a warning
+ * - off:   sets are not checked
+ *
+ * A previous booking counts towards a trainee's set history unless it was
+ * cancelled or marked as a no-show - either way the trainee never saw the cases.
+ *
+ * Defaults can be overridden per mock type with the MOCK_SET_REPEAT_RULES env var (JSON), e.g.
+ *   MOCK_SET_REPEAT_RULES={"Clinical Skills":"warn","Mock Discussion":"off"}
+ *
+ * NOTE: Keep in sync with admin_root/api/_shared/mock-set-repeats.js
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const SET_REPEAT_MODES = ['block', 'warn', 'off'];
+
+const DEFAULT_SET_REPEAT_RULES = {
+  'Situational Judgment': 'block',
+  'Clinical Skills': 'block',
+  'Mock Discussion': 'warn'
+};
+
+// Mini-mock sessions have no exam sets
+const FALLBACK_RULE = 'off';
+
+/**
+ * Read per-mock-type overrides from MOCK_SET_REPEAT_RULES (ignored if malformed)
+ * @returns {object} - Modes keyed by mock type
+ */
+function getRuleOverrides() {
+  const raw = process.env.MOCK_SET_REPEAT_RULES;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error(`❌ [SET-REPEAT] Invalid MOCK_SET_REPEAT_RULES JSON, using defaults:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the repeat rule for a mock type
+ * @param {string} mockType - e.g. 'Clinical Skills'
+ * @returns {'block'|'warn'|'off'}
+ */
+function getSetRepeatRule(mockType) {
+  const override = getRuleOverrides()[mockType];
+  if (SET_REPEAT_MODES.includes(override)) {
+    return override;
+  }
+  return DEFAULT_SET_REPEAT_RULES[mockType] || FALLBACK_RULE;
+}
+
+/**
+ * Check whether a booking means the trainee has seen (or will see) its exam set
+ * @param {object} booking - hubspot_bookings row
+ * @returns {boolean}
+ */
+function countsTowardsSetHistory(booking) {
+  if (!booking?.mock_set) return false;
+
+  const status = String(booking.is_active || '').toLowerCase();
+  if (status === 'cancelled') return false;
+
+  return booking.attendance !== 'No';
+}
+
+/**
+ * Group a trainee's bookings into the exam sets they have sat or are booked into
+ * @param {Array<object>} bookings - Booking rows (mock_type or mock_exam_type, mock_set, exam_date, attendance, is_active)
+ * @returns {object} - { [mock_type]: [{ mock_set, attended, exam_date, booking_id }] } sorted by set;
+ *   a set booked more than once is listed once, attended if any of its bookings was
+ */
+function buildSetHistory(bookings) {
+  const history = {};
+
+  (bookings || []).filter(countsTowardsSetHistory).forEach(booking => {
+    const mockType = booking.mock_type || booking.mock_exam_type;
+    if (!mockType) return;
+
+    const sets = history[mockType] || (history[mockType] = []);
+    const attended = booking.attendance === 'Yes';
+    const existing = sets.find(entry => entry.mock_set === booking.mock_set);
+
+    if (!existing) {
+      sets.push({
+        mock_set: booking.mock_set,
+        attended,
+        exam_date: booking.exam_date || null,
+        booking_id: booking.booking_id || null
+      });
+    } else if (attended && !existing.attended) {
+      Object.assign(existing, {
+        attended: true,
+        exam_date: booking.exam_date || existing.exam_date,
+        booking_id: booking.booking_id || existing.booking_id
+      });
+    }
+  });
+
+  Object.values(history).forEach(sets => sets.sort((a, b) => a.mock_set.localeCompare(b.mock_set)));
+  return history;
+}
+
+/**
+ * Find previous bookings of the same mock type and exam set as a session
+ * @param {Array<object>} bookings - The trainee's booking rows
+ * @param {object} exam - Session being booked ({ mock_type, mock_set })
+ * @param {object} [options]
+ * @param {Array<string>} [options.excludeBookingIds] - Booking UUIDs/booking_ids to ignore (e.g. the booking being moved)
+ * @returns {Array<object>} - [{ id, booking_id, mock_exam_id, exam_date, attended }]
+ */
+function findSetRepeats(bookings, exam, { excludeBookingIds = [] } = {}) {
+  if (!exam?.mock_set || !exam?.mock_type) {
+    return [];
+  }
+
+  const excluded = new Set(excludeBookingIds.filter(Boolean).map(String));
+
+  return (bookings || [])
+    .filter(booking => countsTowardsSetHistory(booking))
+    .filter(booking => (booking.mock_type || booking.mock_exam_type) === exam.mock_type)
+    .filter(booking => booking.mock_set === exam.mock_set)
+    .filter(booking => !excluded.has(String(booking.id)) && !excluded.has(String(booking.booking_id)))
+    .map(booking => ({
+      id: booking.id || null,
+      booking_id: booking.booking_id || null,
+      mock_exam_id: booking.associated_mock_exam || null,
+      exam_date: booking.exam_date || null,
+      attended: booking.attendance === 'Yes'
+    }));
+}
+
+/**
+ * One-line description of a repeat, e.g. "Set C of Clinical Skills was already attended on 2026-03-03"
+ * @param {object} exam - { mock_type, mock_set }
+ * @param {Array<object>} repeats - From findSetRepeats
+ * @returns {string}
+ */
+function formatSetRepeatMessage(exam, repeats) {
+  const attended = repeats.find(repeat => repeat.attended);
+  const previous = attended || repeats[0];
+
+  return `Set ${exam.mock_set} of ${exam.mock_type} was already ${attended ? 'attended' : 'booked'}` +
+    (previous?.exam_date ? ` on ${String(previous.exam_date).split('T')[0]}` : '');
+}
+
+/**
+ * Build the structured MOCK_SET_REPEAT error
+ * @param {object} exam - { mock_type, mock_set }
+ * @param {Array<object>} repeats - From findSetRepeats
+ * @param {string} rule - The mock type's rule
+ * @returns {Error} - Error with status 409, code MOCK_SET_REPEAT and setRepeat details
+ */
+function createSetRepeatError(exam, repeats, rule) {
+  const error = new Error(`${formatSetRepeatMessage(exam, repeats)}. Please choose a session with a different exam set.`);
+  error.status = 409;
+  error.code = 'MOCK_SET_REPEAT';
+  error.setRepeat = {
+    mock_type: exam.mock_type,
+    mock_set: exam.mock_set,
+    rule,
+    previous: repeats
+  };
+  return error;
+}
+
+// ============== SUPABASE LOOKUPS ==============
+
+/**
+ * A contact's bookings that count towards their set history
+ * @param {string} contactId - HubSpot contact ID (associated_contact_id)
+ * @param {string} [mockType] - Only bookings of this mock type
+ * @returns {Promise<Array>} - Booking rows
+ */
+async function getSetHistoryBookings(contactId, mockType = null) {
+  if (!contactId) return [];
+
+  let query = supabaseAdmin
+    .from('hubspot_bookings')
+    .select('id, booking_id, associated_mock_exam, mock_type, mock_set, exam_date, attendance, is_active')
+    .eq('associated_contact_id', String(contactId))
+    .not('mock_set', 'is', null);
+
+  if (mockType) {
+    query = query.eq('mock_type', mockType);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`❌ [SET-REPEAT] Supabase booking read error:`, error.message);
+    throw error;
+  }
+
+  return (data || []).filter(countsTowardsSetHistory);
+}
+
+/**
+ * A contact's set history
+ * @param {string} contactId - HubSpot contact ID
+ * @returns {Promise<object>} - See buildSetHistory
+ */
+async function getSetHistoryForContact(contactId) {
+  return buildSetHistory(await getSetHistoryBookings(contactId));
+}
+
+/**
+ * Apply the repeat rule to a contact booking a session
+ * @param {string} contactId - HubSpot contact ID
+ * @param {object} exam - Session being booked ({ mock_type, mock_set })
+ * @param {object} [options] - See findSetRepeats
+ * @returns {Promise<{ rule: string, repeats: Array<object>, message: string|null }>}
+ *   repeats is empty when the rule is off, the session has no set or the set is new to the trainee
+ */
+async function checkSetRepeat(contactId, exam, options = {}) {
+  const rule = getSetRepeatRule(exam?.mock_type);
+
+  if (rule === 'off' || !exam?.mock_set) {
+    return { rule, repeats: [], message: null };
+  }
+
+  const bookings = await getSetHistoryBookings(contactId, exam.mock_type);
+  const repeats = findSetRepeats(bookings, exam, options);
+
+  if (repeats.length > 0) {
+    console.log(`⚠️ [SET-REPEAT] Contact ${contactId} already has set ${exam.mock_set} of ${exam.mock_type} (rule: ${rule}):`,
+      repeats.map(repeat => repeat.booking_id || repeat.id));
+  }
+
+  return {
+    rule,
+    repeats,
+    message: repeats.length > 0 ? formatSetRepeatMessage(exam, repeats) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_SET_REPEAT_RULES,
+  getSetRepeatRule,
+  countsTowardsSetHistory,
+  buildSetHistory,
+  findSetRepeats,
+  formatSetRepeatMessage,
+  createSetRepeatError,
+  getSetHistoryForContact,
+  checkSetRepeat
+};
@@ -10,6 +10,7 @@
  * - Exponential backoff retry strategy
  * - Auto-expiration via TTL (prevents orphaned locks)
  * - Key expiration management (expire method)
+ * - Temporary seat holds counted against exam capacity
  *
  * @see PRDs/booking-race-condition-redis-locking.md
  */
@@ -172,6 +173,150 @@ class RedisLockService {
     return null;
   }
 
+  /**
+   * Sliding-window rate limit counter (atomic Lua script)
+   *
+   * Each hit is a member of a sorted set scored by its timestamp; hits older
+   * than the window are dropped before counting.
+   *
+   * @param {string} key - Redis key for this limiter bucket
+   * @param {number} limit - Max hits allowed within the window
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {boolean} consume - Record this hit if allowed (false = only check)
+   * @returns {Promise<{allowed: boolean, count: number, oldestMs: number}>}
+   */
+  async slidingWindowHit(key, limit, windowMs, consume = true) {
+    const script = `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+      local count = redis.call("ZCARD", KEYS[1])
+      local allowed = 0
+      if count < limit then
+        allowed = 1
+        if ARGV[4] == "1" then
+          redis.call("ZADD", KEYS[1], now, ARGV[5])
+          redis.call("PEXPIRE", KEYS[1], window)
+          count = count + 1
+        end
+      end
+      local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+      local oldestMs = now
+      if oldest[2] then oldestMs = tonumber(oldest[2]) end
+      return { allowed, count, oldestMs }
+    `;
+
+    const now = Date.now();
+    const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    const [allowed, count, oldestMs] = await this.redis.eval(
+      script, 1, key, now, windowMs, limit, consume ? '1' : '0', member
+    );
+
+    return { allowed: allowed === 1, count, oldestMs: Number(oldestMs) };
+  }
+
+  /**
+   * Place (or extend) a temporary seat hold for a student (atomic Lua script)
+   *
+   * Holds live in a sorted set per exam (exam:{id}:holds) scored by expiry time,
+   * so expired holds are dropped without a cleanup job. A new hold is only
+   * granted if bookings + active holds is below capacity; extending a hold the
+   * student already has always succeeds. A student holds at most one seat - a
+   * hold on another exam is released first.
+   *
+   * @param {string} mockExamId - The mock exam ID
+   * @param {string} studentId - The student placing the hold
+   * @param {number} capacity - Exam capacity
+   * @param {number} fallbackBookings - Booking count to use if exam:{id}:bookings is not cached
+   * @param {number} ttlSeconds - Hold duration in seconds (default: 300)
+   * @returns {Promise<{held: boolean, expiresAt: number|null, bookings: number, holds: number}>}
+   */
+  async placeSeatHold(mockExamId, studentId, capacity, fallbackBookings, ttlSeconds = 300) {
+    const studentKey = `student:${studentId}:hold`;
+
+    const previousExamId = await this.redis.get(studentKey);
+    if (previousExamId && previousExamId !== String(mockExamId)) {
+      await this.releaseSeatHold(previousExamId, studentId);
+    }
+
+    const script = `
+      local now = tonumber(ARGV[1])
+      local ttl = tonumber(ARGV[2])
+      redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+      local bookings = tonumber(redis.call("GET", KEYS[2]) or ARGV[4])
+      local holds = redis.call("ZCARD", KEYS[1])
+      local existing = redis.call("ZSCORE", KEYS[1], ARGV[5])
+      if not existing then
+        if bookings + holds >= tonumber(ARGV[3]) then
+          return { 0, bookings, holds }
+        end
+        holds = holds + 1
+      end
+      redis.call("ZADD", KEYS[1], now + ttl, ARGV[5])
+      redis.call("PEXPIRE", KEYS[1], ttl)
+      redis.call("SET", KEYS[3], ARGV[6], "PX", ttl)
+      return { 1, bookings, holds }
+    `;
+
+    const now = Date.now();
+    const ttlMs = ttlSeconds * 1000;
+    const [held, bookings, holds] = await this.redis.eval(
+      script, 3,
+      `exam:${mockExamId}:holds`, `exam:${mockExamId}:bookings`, studentKey,
+      now, ttlMs, capacity, fallbackBookings || 0, studentId, mockExamId
+    );
+
+    return {
+      held: held === 1,
+      expiresAt: held === 1 ? now + ttlMs : null,
+      bookings,
+      holds
+    };
+  }
+
+  /**
+   * Release a student's seat hold on an exam
+   *
+   * @param {string} mockExamId - The mock exam ID
+   * @param {string} studentId - The student holding the seat
+   * @returns {Promise<boolean>} True if a hold was removed
+   */
+  async releaseSeatHold(mockExamId, studentId) {
+    const studentKey = `student:${studentId}:hold`;
+    const removed = await this.redis.zrem(`exam:${mockExamId}:holds`, studentId);
+
+    if ((await this.redis.get(studentKey)) === String(mockExamId)) {
+      await this.redis.del(studentKey);
+    }
+
+    return removed > 0;
+  }
+
+  /**
+   * Count active seat holds on an exam
+   *
+   * @param {string} mockExamId - The mock exam ID
+   * @param {string|null} excludeStudentId - Leave this student's own hold out of the count
+   * @returns {Promise<{count: number, ownExpiresAt: number|null}>}
+   */
+  async countSeatHolds(mockExamId, excludeStudentId = null) {
+    const holdsKey = `exam:${mockExamId}:holds`;
+
+    await this.redis.zremrangebyscore(holdsKey, '-inf', Date.now());
+    const count = await this.redis.zcard(holdsKey);
+
+    if (!excludeStudentId) {
+      return { count, ownExpiresAt: null };
+    }
+
+    const ownScore = await this.redis.zscore(holdsKey, excludeStudentId);
+    return {
+      count: ownScore !== null ? count - 1 : count,
+      ownExpiresAt: ownScore !== null ? Number(ownScore) : null
+    };
+  }
+
   /**
    * Health check - verify Redis connection
    *
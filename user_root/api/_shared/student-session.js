@@ -0,0 +1,373 @@
+/**
+ * Student Sessions - signed access tokens, rotating refresh tokens and login codes
+ *
+ * Login issues two tokens:
+ * - Access token: HS256 JWT (jsonwebtoken) signed with STUDENT_SESSION_SECRET (15 minutes).
+ *   Sent as `Authorization: Bearer <token>` and verified statelessly on every user endpoint;
+ *   tokens signed with any other algorithm are rejected.
+ * - Refresh token: opaque random string stored (hashed) in Redis (2 hours, matching the
+ *   frontend session). Single use - every refresh rotates it, logout revokes it.
+ *
+ * Endpoints never trust student_id/email from the request. They call
+ * requireStudentSession(req) and overwrite the identity fields with
+ * withSessionIdentity() before validating the rest of the input.
+ *
+ * Optional email one-time code (STUDENT_LOGIN_OTP_ENABLED=true):
+ * login stores a 6-digit code in Redis and triggers the HubSpot email workflow
+ * (STUDENT_OTP_WEBHOOK_URL), mirroring admin_root/api/admin/auth/request-otp.js.
+ * Tokens are only issued once /api/user/verify-otp accepts the code.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const RedisLockService = require('./redis');
+
+const ACCESS_TOKEN_ALGORITHM = 'HS256';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+
+const OTP_TTL_SECONDS = 10 * 60;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * Build a coded error with HTTP status
+ * @param {string} message
+ * @param {number} status
+ * @param {string} code
+ * @returns {Error}
+ */
+function sessionError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the signing secret for access tokens
+ * @returns {string}
+ * @throws {Error} 500 SESSION_NOT_CONFIGURED if STUDENT_SESSION_SECRET is missing
+ */
+function getSessionSecret() {
+  const secret = process.env.STUDENT_SESSION_SECRET;
+  if (!secret) {
+    console.error('❌ [SESSION] STUDENT_SESSION_SECRET is not configured');
+    throw sessionError('Student sessions are not configured', 500, 'SESSION_NOT_CONFIGURED');
+  }
+  return secret;
+}
+
+/**
+ * Hash a refresh token for storage - Redis never holds the raw token
+ * @param {string} refreshToken
+ * @returns {string}
+ */
+function refreshKey(refreshToken) {
+  const hash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+  return `student:refresh:${hash}`;
+}
+
+/**
+ * Create a signed access token for a student
+ * @param {{ contactId: string, studentId: string, email: string }} identity
+ * @param {number} [nowSeconds] - Issue time in Unix seconds
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function signAccessToken(identity, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const secret = getSessionSecret();
+  const expiresAt = nowSeconds + ACCESS_TOKEN_TTL_SECONDS;
+
+  const token = jwt.sign({
+    sub: identity.contactId || null,
+    student_id: identity.studentId,
+    email: identity.email,
+    typ: 'access',
+    iat: nowSeconds,
+    exp: expiresAt
+  }, secret, { algorithm: ACCESS_TOKEN_ALGORITHM });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Verify an access token and return the student it belongs to
+ * @param {string} token
+ * @param {number} [nowSeconds] - Evaluation time in Unix seconds
+ * @returns {{ contactId: string|null, studentId: string, email: string }}
+ * @throws {Error} 401 INVALID_SESSION or SESSION_EXPIRED
+ */
+function verifyAccessToken(token, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const secret = getSessionSecret();
+
+  let claims;
+  try {
+    claims = jwt.verify(String(token || ''), secret, {
+      algorithms: [ACCESS_TOKEN_ALGORITHM],
+      clockTimestamp: nowSeconds
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw sessionError('Your session has expired. Please log in again.', 401, 'SESSION_EXPIRED');
+    }
+    throw sessionError('Invalid session. Please log in again.', 401, 'INVALID_SESSION');
+  }
+
+  // Access tokens always carry an expiry - one without it was not issued here
+  if (claims.typ !== 'access' || !claims.student_id || !claims.email || !claims.exp) {
+    throw sessionError('Invalid session. Please log in again.', 401, 'INVALID_SESSION');
+  }
+
+  return {
+    contactId: claims.sub || null,
+    studentId: claims.student_id,
+    email: claims.email
+  };
+}
+
+/**
+ * Issue an access + refresh token pair
+ * @param {{ contactId: string, studentId: string, email: string }} identity
+ * @returns {Promise<{ access_token: string, refresh_token: string, token_type: string, expires_in: number, expires_at: string }>}
+ */
+async function issueSession(identity) {
+  const { token, expiresAt } = signAccessToken(identity);
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  const redis = new RedisLockService();
+  try {
+    const stored = await redis.setex(
+      refreshKey(refreshToken),
+      REFRESH_TOKEN_TTL_SECONDS,
+      JSON.stringify({
+        contactId: identity.contactId || null,
+        studentId: identity.studentId,
+        email: identity.email,
+        issuedAt: Date.now()
+      })
+    );
+
+    if (!stored) {
+      throw sessionError('Could not start a session. Please try again.', 503, 'SESSION_STORE_UNAVAILABLE');
+    }
+  } finally {
+    await redis.close();
+  }
+
+  console.log(`✅ [SESSION] Issued session for student ${identity.studentId}`);
+
+  return {
+    access_token: token,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    expires_at: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old refresh token is consumed)
+ * @param {string} refreshToken
+ * @returns {Promise<object>} - Same shape as issueSession
+ * @throws {Error} 401 INVALID_REFRESH_TOKEN if unknown, expired or already used
+ */
+async function rotateSession(refreshToken) {
+  const redis = new RedisLockService();
+  let identity;
+
+  try {
+    const key = refreshKey(refreshToken);
+    const stored = await redis.get(key);
+
+    // del() returning 0 means a concurrent refresh already consumed this token
+    if (!stored || (await redis.del(key)) === 0) {
+      throw sessionError('Your session has expired. Please log in again.', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    identity = JSON.parse(stored);
+  } finally {
+    await redis.close();
+  }
+
+  return issueSession(identity);
+}
+
+/**
+ * Revoke a refresh token (logout). Unknown tokens are ignored.
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} - True if a session was revoked
+ */
+async function revokeSession(refreshToken) {
+  const redis = new RedisLockService();
+  try {
+    return (await redis.del(refreshKey(refreshToken))) > 0;
+  } finally {
+    await redis.close();
+  }
+}
+
+/**
+ * Authenticate a request from its Bearer token
+ * @param {object} req - Vercel request
+ * @returns {{ contactId: string|null, studentId: string, email: string }}
+ * @throws {Error} 401 AUTH_REQUIRED, INVALID_SESSION or SESSION_EXPIRED
+ */
+function requireStudentSession(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+
+  if (!match) {
+    throw sessionError('Authentication required. Please log in.', 401, 'AUTH_REQUIRED');
+  }
+
+  return verifyAccessToken(match[1].trim());
+}
+
+/**
+ * Replace client-supplied identity fields with the authenticated student's
+ * @param {object} input - Request body or query
+ * @param {{ studentId: string, email: string }} session - From requireStudentSession
+ * @returns {object} - Copy of input with student_id and email from the session
+ */
+function withSessionIdentity(input, session) {
+  return {
+    ...(input || {}),
+    student_id: session.studentId,
+    email: session.email
+  };
+}
+
+/**
+ * Whether logins must be confirmed with an emailed code
+ * @returns {boolean}
+ */
+function isLoginOtpEnabled() {
+  return process.env.STUDENT_LOGIN_OTP_ENABLED === 'true';
+}
+
+/**
+ * Mask an email for display, e.g. "j***@example.com"
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!domain) return '';
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+/**
+ * Generate a login code, store it with the pending profile and email it to the student
+ * @param {{ contactId: string, studentId: string, email: string }} identity
+ * @param {object} profile - Login response profile, returned after verification
+ * @returns {Promise<{ expires_in: number, email_hint: string }>}
+ * @throws {Error} 429 RATE_LIMITED if a code was requested in the last 60 seconds
+ */
+async function requestLoginOtp(identity, profile) {
+  const otpKey = `student:otp:${identity.studentId}`;
+  const rateLimitKey = `student:otp:ratelimit:${identity.studentId}`;
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const redis = new RedisLockService();
+
+  try {
+    if (await redis.get(rateLimitKey)) {
+      throw sessionError('Please wait 60 seconds before requesting a new code.', 429, 'RATE_LIMITED');
+    }
+
+    await redis.setex(otpKey, OTP_TTL_SECONDS, JSON.stringify({
+      code,
+      identity,
+      profile,
+      attempts: 0,
+      createdAt: Date.now()
+    }));
+    await redis.setex(rateLimitKey, OTP_RESEND_COOLDOWN_SECONDS, '1');
+  } finally {
+    await redis.close();
+  }
+
+  const webhookUrl = process.env.STUDENT_OTP_WEBHOOK_URL;
+  if (!webhookUrl) {
+    console.error('❌ [SESSION] STUDENT_OTP_WEBHOOK_URL is not configured - login code not sent');
+  } else {
+    try {
+      await axios.post(webhookUrl, {
+        email: identity.email,
+        student_id: identity.studentId,
+        otp: code
+      });
+      console.log(`✅ [SESSION] Login code sent to student ${identity.studentId}`);
+    } catch (webhookError) {
+      // Log error but don't reveal to user
+      console.error('❌ [SESSION] HubSpot webhook error:', webhookError.message);
+    }
+  }
+
+  return {
+    expires_in: OTP_TTL_SECONDS,
+    email_hint: maskEmail(identity.email)
+  };
+}
+
+/**
+ * Check a login code. On success the code is consumed and the pending login returned.
+ * @param {string} studentId
+ * @param {string} email
+ * @param {string} code - 6 digits
+ * @returns {Promise<{ identity: object, profile: object }>}
+ * @throws {Error} 400 CODE_EXPIRED, INVALID_CODE or TOO_MANY_ATTEMPTS
+ */
+async function verifyLoginOtp(studentId, email, code) {
+  const otpKey = `student:otp:${studentId}`;
+  const redis = new RedisLockService();
+
+  try {
+    const raw = await redis.get(otpKey);
+    if (!raw) {
+      throw sessionError('This code has expired. Please log in again to get a new one.', 400, 'CODE_EXPIRED');
+    }
+
+    const pending = JSON.parse(raw);
+    const emailMatches = pending.identity?.email?.toLowerCase() === String(email).toLowerCase();
+
+    const expected = Buffer.from(String(pending.code));
+    const provided = Buffer.from(String(code));
+    const codeMatches = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+
+    if (!emailMatches || !codeMatches) {
+      pending.attempts = (pending.attempts || 0) + 1;
+
+      if (pending.attempts >= OTP_MAX_ATTEMPTS) {
+        await redis.del(otpKey);
+        throw sessionError('Too many incorrect codes. Please log in again to get a new one.', 400, 'TOO_MANY_ATTEMPTS');
+      }
+
+      // Keep the original expiry window
+      const elapsedSeconds = Math.floor((Date.now() - pending.createdAt) / 1000);
+      await redis.setex(otpKey, Math.max(OTP_TTL_SECONDS - elapsedSeconds, 1), JSON.stringify(pending));
+      throw sessionError('Invalid code. Please check and try again.', 400, 'INVALID_CODE');
+    }
+
+    await redis.del(otpKey);
+    return { identity: pending.identity, profile: pending.profile };
+  } finally {
+    await redis.close();
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  requireStudentSession,
+  withSessionIdentity,
+  isLoginOtpEnabled,
+  maskEmail,
+  requestLoginOtp,
+  verifyLoginOtp
+};
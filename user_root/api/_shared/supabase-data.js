@@ -6,6 +6,14 @@
  */
 
 const { supabaseAdmin } = require('./supabase');
+const { getCreditSnapshot, recordBalanceDiff, LEDGER_REASONS, ACTOR_TYPES } = require('./credit-ledger');
+
+// Ledger attribution for balances pulled from HubSpot (purchases, manual HubSpot edits)
+const HUBSPOT_SYNC_LEDGER = {
+  reason: LEDGER_REASONS.HUBSPOT_SYNC,
+  actorType: ACTOR_TYPES.SYSTEM,
+  actor: 'hubspot-sync'
+};
 
 // ============== READ OPERATIONS (from Supabase) ==============
 
@@ -208,6 +216,28 @@ async function checkExistingBookingByMockType(contactId, examDate, mockType) {
   };
 }
 
+/**
+ * Clinical Skills seats of bookings (admin_root/api/_shared/stations.js assigns them)
+ * @param {Array<string>} bookingIds - Supabase booking UUIDs (hubspot_bookings.id)
+ * @returns {Promise<Map<string, string>>} - Booking ID -> seat label, e.g. "Station 3 - Group B"
+ */
+async function getSeatLabelsForBookings(bookingIds) {
+  const ids = [...new Set(bookingIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from('station_assignments')
+    .select('booking_record_id, seat_label')
+    .in('booking_record_id', ids);
+
+  if (error) {
+    console.error('❌ Supabase seat read error:', error.message);
+    throw error;
+  }
+
+  return new Map((data || []).map(row => [String(row.booking_record_id), row.seat_label]));
+}
+
 // ============== WRITE SYNC OPERATIONS (after HubSpot write) ==============
 
 /**
@@ -509,9 +539,11 @@ async function getContactCreditsFromSupabase(studentId, email) {
 /**
  * Sync contact credits to Supabase secondary database after HubSpot read
  * This maintains the read replica - HubSpot remains source of truth
+ * Balance differences from the previous row are written to the credit ledger
  * @param {object} contact - Contact object from HubSpot (source of truth)
+ * @param {object} ledger - Ledger attribution { reason, actorType, actor, bookingId, note }
  */
-async function syncContactCreditsToSupabase(contact) {
+async function syncContactCreditsToSupabase(contact, ledger = HUBSPOT_SYNC_LEDGER) {
   if (!contact || !contact.properties) {
     console.error('[SUPABASE SYNC] Cannot sync - contact or properties missing');
     return;
@@ -535,6 +567,8 @@ async function syncContactCreditsToSupabase(contact) {
     synced_at: new Date().toISOString()
   };
 
+  const previous = await getCreditSnapshot(contact.id);
+
   const { error } = await supabaseAdmin
     .from('hubspot_contact_credits')
     .upsert(record, { onConflict: 'hubspot_id' });
@@ -544,6 +578,11 @@ async function syncContactCreditsToSupabase(contact) {
     throw error;
   }
 
+  // First sync of a contact has nothing to compare against - its balances are the opening balance
+  if (previous) {
+    await recordBalanceDiff({ contactId: contact.id, studentId: record.student_id }, previous, record, ledger);
+  }
+
   console.log(`✅ [SUPABASE SYNC] Updated secondary DB for contact ${contact.id}`);
 }
 
@@ -554,8 +593,9 @@ async function syncContactCreditsToSupabase(contact) {
  * @param {string} mockType - Mock type to update credits for
  * @param {number} newSpecificCredits - New specific credit value
  * @param {number} newSharedCredits - New shared credit value
+ * @param {object} ledger - Ledger attribution { reason, actorType, actor, bookingId, note }
  */
-async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCredits, newSharedCredits) {
+async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCredits, newSharedCredits, ledger = HUBSPOT_SYNC_LEDGER) {
   const updateData = {
     updated_at: new Date().toISOString(),
     synced_at: new Date().toISOString()
@@ -579,6 +619,8 @@ async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCr
       break;
   }
 
+  const previous = await getCreditSnapshot(contactId);
+
   const { error } = await supabaseAdmin
     .from('hubspot_contact_credits')
     .update(updateData)
@@ -589,6 +631,10 @@ async function updateContactCreditsInSupabase(contactId, mockType, newSpecificCr
     throw error;
   }
 
+  if (previous) {
+    await recordBalanceDiff({ contactId, studentId: previous.student_id }, previous, updateData, ledger);
+  }
+
   console.log(`✅ [SUPABASE SYNC] Updated secondary DB for contact ${contactId} (${mockType})`);
 }
 
@@ -791,6 +837,7 @@ module.exports = {
   checkExistingBookingInSupabase,
   checkExistingBookingByMockType,
   getContactCreditsFromSupabase,
+  getSeatLabelsForBookings,
   getBookingCascading,
   // Write syncs
   syncBookingToSupabase,
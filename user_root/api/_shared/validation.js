@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { refreshLocationCatalog, resolveLocationName, getLocationNames } = require('./locations');
 
 // Validation schemas for different operations
 const schemas = {
@@ -133,13 +134,19 @@ const schemas = {
         }),
         otherwise: Joi.optional().strip()
       }),
+    // Booking code of an active catalog site (e.g. 'richmond_hill')
     attending_location: Joi.string()
-      .valid('mississauga', 'calgary', 'vancouver', 'montreal', 'richmond_hill')
+      .custom((value, helpers) => {
+        if (!resolveLocationName(value)) {
+          return helpers.error('location.unknown', { locations: getLocationNames().join(', ') });
+        }
+        return value;
+      })
       .when('mock_type', {
         is: Joi.string().valid('Situational Judgment', 'Mini-mock'),
         then: Joi.required().messages({
           'any.required': 'Attending location is required for Situational Judgment and Mini-mock exams',
-          'any.only': 'Location must be one of: Mississauga, Calgary, Vancouver, Montreal, or Richmond Hill'
+          'location.unknown': 'Location must be one of: {#locations}'
         }),
         otherwise: Joi.optional().strip()
       })
@@ -258,6 +265,124 @@ const schemas = {
         'any.invalid': 'Invalid date provided',
         'date.min': 'NDECC exam date must be today or in the future'
       })
+  }),
+
+  // Schema for joining a session waitlist
+  waitlistJoin: Joi.object({
+    student_id: Joi.string()
+      .pattern(/^[A-Z0-9]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Student ID must contain only uppercase letters and numbers',
+        'any.required': 'Student ID is required'
+      }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required'
+      }),
+    mock_exam_id: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Mock exam ID is required'
+      }),
+    dominant_hand: Joi.boolean()
+      .optional()
+      .allow(null),
+    attending_location: Joi.string()
+      .max(100)
+      .optional()
+      .allow(null, '')
+  }),
+
+  // Schema for moving a booking to another session (student self-service)
+  bookingReschedule: Joi.object({
+    student_id: Joi.string()
+      .pattern(/^[A-Z0-9]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Student ID must contain only uppercase letters and numbers',
+        'any.required': 'Student ID is required'
+      }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required'
+      }),
+    booking_id: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Booking ID is required'
+      }),
+    new_mock_exam_id: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'New mock exam ID is required'
+      })
+  }),
+
+  // Schema for downloading a booking as an .ics file
+  bookingCalendar: Joi.object({
+    student_id: Joi.string()
+      .pattern(/^[A-Z0-9]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Student ID must contain only uppercase letters and numbers',
+        'any.required': 'Student ID is required'
+      }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required'
+      }),
+    booking_id: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Booking ID is required'
+      })
+  }),
+
+  // Schema for confirming a login with the emailed one-time code
+  loginOtpVerify: Joi.object({
+    student_id: Joi.string()
+      .pattern(/^[A-Z0-9]+$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Student ID must contain only uppercase letters and numbers',
+        'any.required': 'Student ID is required'
+      }),
+    email: Joi.string()
+      .email()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'any.required': 'Email is required'
+      }),
+    code: Joi.string()
+      .length(6)
+      .pattern(/^\d+$/)
+      .required()
+      .messages({
+        'string.length': 'Code must be 6 digits',
+        'string.pattern.base': 'Code must be 6 digits',
+        'any.required': 'Code is required'
+      })
+  }),
+
+  // Schema for refreshing or ending a student session
+  sessionRefresh: Joi.object({
+    refresh_token: Joi.string()
+      .max(200)
+      .required()
+      .messages({
+        'any.required': 'Refresh token is required'
+      })
   })
 
 };
@@ -276,6 +401,9 @@ async function validateInput(data, schemaName) {
     throw new Error(`Validation schema '${schemaName}' not found`);
   }
 
+  // Location fields check against the catalog held in memory
+  await refreshLocationCatalog();
+
   const { error, value } = schema.validate(data, {
     abortEarly: false,
     stripUnknown: true
@@ -2,13 +2,11 @@
  * GET /api/bookings/[id] - Fetches detailed information about a specific booking
  * DELETE /api/bookings/[id] - Cancels a booking with enhanced tracking
  *
- * Query Parameters (GET):
- * - student_id: The student's ID (required)
- * - email: The student's email (required)
+ * Authentication:
+ * - Authorization: Bearer <access token> (required). The student is taken from the
+ *   session; any student_id/email sent by the client is ignored.
  *
  * Body Parameters (DELETE):
- * - student_id: The student's ID (required)
- * - email: The student's email (required)
  * - reason: Cancellation reason (optional)
  *
  * URL Parameters:
@@ -21,13 +19,17 @@
  * - 403: Booking doesn't belong to authenticated user (GET only)
  * - 404: Booking not found
  * - 405: Method not allowed
- * - 409: Booking already cancelled
+ * - 409: Booking already cancelled, or cancellation blocked by the cutoff policy (CANCELLATION_BLOCKED)
  * - 500: Server error
  *
  * DELETE operation enhancements:
+ * - Applies the per-mock-type cancellation policy (see _shared/cancellation-policy.js):
+ *   token restored before the free-cancellation deadline, forfeited after it,
+ *   cancellation refused inside the blocked window
  * - Creates cancellation note on Contact's timeline
  * - Decrements Mock Exam's total_bookings property
  * - Performs soft delete (sets is_active to 'Cancelled')
+ * - Promotes the next eligible waitlisted student into the freed seat
  * - Returns detailed actions_completed status
  */
 
@@ -52,6 +54,11 @@ const {
   getExamByIdFromSupabase
 } = require('../_shared/supabase-data');
 const { HubSpotWebhookService } = require('../_shared/hubspot-webhook');
+const { promoteFromWaitlist } = require('../_shared/waitlist');
+const { evaluateCancellation, createCancellationBlockedError } = require('../_shared/cancellation-policy');
+const { requireStudentSession } = require('../_shared/student-session');
+const { recordCreditChange, LEDGER_REASONS, ACTOR_TYPES } = require('../_shared/credit-ledger');
+const { restoreToLots } = require('../_shared/credit-lots');
 
 // Handler function for GET /api/bookings/[id]
 async function handler(req, res) {
@@ -72,7 +79,9 @@ async function handler(req, res) {
 
   try {
     // Security check
-    await rateLimitMiddleware(req, res);
+    if (await rateLimitMiddleware({ policy: req.method === 'GET' ? 'bookings-read' : 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
 
     // Environment validation
     verifyEnvironmentVariables();
@@ -108,17 +117,20 @@ async function handler(req, res) {
       query: req.query
     });
 
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
     if (req.method === 'GET') {
       inputParams = {
-        student_id: req.query.student_id,
-        email: req.query.email
+        student_id: session.studentId,
+        email: session.email
       };
       schemaName = 'authCheck';
     } else if (req.method === 'DELETE') {
       inputParams = {
-        student_id: req.body.student_id,
-        email: req.body.email,
-        reason: req.body.reason
+        student_id: session.studentId,
+        email: session.email,
+        reason: req.body?.reason
       };
       schemaName = 'bookingCancellation';
     }
@@ -197,10 +209,10 @@ async function handler(req, res) {
     });
 
     const statusCode = error.status || 500;
-    return res.status(statusCode).json(createErrorResponse(
-      error.message || 'Internal server error',
-      error.code || 'INTERNAL_ERROR'
-    ));
+    if (!error.code) {
+      error.code = 'INTERNAL_ERROR';
+    }
+    return res.status(statusCode).json(createErrorResponse(error));
   }
 }
 
@@ -443,7 +455,39 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
       throw error;
     }
 
+    // Step 2.5: Apply the cancellation cutoff policy for this mock type
+    // Booking rows may not carry start_time - fall back to the mock exam's times
+    let sessionStart = bookingData.start_time;
+    let sessionLocation = bookingData.attending_location;
+    if (!sessionStart && bookingData.associated_mock_exam) {
+      const exam = await getExamByIdFromSupabase(bookingData.associated_mock_exam);
+      sessionStart = exam?.start_time || null;
+      sessionLocation = exam?.location || sessionLocation;
+    }
+
+    const cancellationPolicy = evaluateCancellation({
+      mock_type: bookingData.mock_type,
+      start_time: sessionStart,
+      exam_date: bookingData.exam_date,
+      location: sessionLocation
+    });
+
+    console.log('📜 [CANCEL-POLICY] Evaluated cancellation window:', {
+      mock_type: bookingData.mock_type,
+      window: cancellationPolicy.window,
+      free_until: cancellationPolicy.free_until,
+      blocked_from: cancellationPolicy.blocked_from
+    });
+
+    if (!cancellationPolicy.allowed) {
+      console.log(`⛔ [CANCEL-POLICY] Cancellation blocked for booking ${bookingData.id}`);
+      throw createCancellationBlockedError(cancellationPolicy);
+    }
+
+    const tokenForfeited = !cancellationPolicy.refund_eligible;
+
     // Step 3: Determine credit field to restore based on token_used
+    // Late cancellations keep the booking's token (forfeited per policy)
     const tokenUsed = bookingData.token_used;
 
     const tokenToCreditFieldMapping = {
@@ -454,7 +498,7 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
       'Shared Token': 'shared_mock_credits'
     };
 
-    const creditField = tokenToCreditFieldMapping[tokenUsed];
+    const creditField = tokenForfeited ? null : tokenToCreditFieldMapping[tokenUsed];
 
     // Get current credits to calculate restored value (only if we have a valid credit field)
     let currentCredits = null;
@@ -473,6 +517,8 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
         currentValue: currentCredits?.[creditField] || 0,
         restoredValue: restoredCreditValue
       });
+    } else if (tokenForfeited) {
+      console.log(`💸 [CANCEL-POLICY] Late cancellation - ${tokenUsed || 'token'} forfeited, skipping credit restoration`);
     } else {
       console.warn(`⚠️ Unknown token type: ${tokenUsed}, skipping credit restoration (Admin Override or legacy booking)`);
     }
@@ -495,8 +541,23 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
           creditField,
           restoredValue: restoredCreditValue
         });
+
+        await recordCreditChange({
+          contactId: currentCredits?.hubspot_id || bookingData.associated_contact_id,
+          studentId: bookingData.student_id,
+          creditField,
+          balanceBefore: restoredCreditValue - 1,
+          balanceAfter: restoredCreditValue,
+          reason: LEDGER_REASONS.BOOKING_CANCELLED,
+          bookingId: bookingData.booking_id,
+          actorType: ACTOR_TYPES.STUDENT,
+          actor: bookingData.student_id
+        });
+
+        // Return the token to its expiring lot if that lot is still open (non-blocking)
+        await restoreToLots(currentCredits?.hubspot_id || bookingData.associated_contact_id, creditField, 1);
       } else {
-        // Admin Override or unknown token - cancel without credit restoration
+        // Late cancellation, Admin Override or unknown token - cancel without credit restoration
         // Direct Supabase update (no RPC needed)
         const { createClient } = require('@supabase/supabase-js');
         const supabaseAdmin = createClient(
@@ -533,7 +594,7 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
           }
         };
 
-        console.log('✅ Booking cancelled (no credit restoration - Admin Override):', {
+        console.log(`✅ Booking cancelled (no credit restoration - ${tokenForfeited ? 'late cancellation' : 'Admin Override'}):`, {
           bookingId: bookingData.id,
           booking_code: bookingData.booking_id,
           tokenUsed
@@ -611,7 +672,7 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
             console.error(`❌ [WEBHOOK-CREDITS] Credits sync failed after cancellation: ${creditsSyncResult.message}`);
           }
         } else {
-          console.log(`ℹ️ [WEBHOOK-CREDITS] Skipping credit sync - no credit restoration for Admin Override booking`);
+          console.log(`ℹ️ [WEBHOOK-CREDITS] Skipping credit sync - no credit restoration (${tokenForfeited ? 'token forfeited' : 'Admin Override booking'})`);
         }
       })().catch(err => {
         console.error('❌ [WEBHOOK] Unexpected error in webhook sync:', err.message);
@@ -690,7 +751,6 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
         }
       }
 
-      await redis.close();
       console.log('✅ [CACHE] All cache invalidations complete');
 
     } catch (cacheError) {
@@ -699,15 +759,32 @@ async function handleDeleteRequest(req, res, hubspot, bookingId, contactId, cont
       // Cron job will eventually reconcile any stale cache data
     }
 
-    // Step 7: Return success response
+    // Step 7: Promote the next waitlisted student into the freed seat
+    const waitlistResult = await promoteFromWaitlist(bookingData.associated_mock_exam, {
+      redis,
+      source: 'student-cancellation'
+    });
+
+    try {
+      await redis.close();
+    } catch (closeError) {
+      console.error('⚠️ [REDIS] Failed to close connection:', closeError.message);
+    }
+
+    // Step 8: Return success response
     return res.status(200).json(createSuccessResponse(
       {
         booking_id: bookingData.booking_id,
         student_id: bookingData.student_id,
         cancelled_at: new Date().toISOString(),
-        credits_restored: creditField ? 1 : 0
+        credits_restored: creditField ? 1 : 0,
+        token_forfeited: tokenForfeited,
+        cancellation_policy: cancellationPolicy,
+        waitlist_promotions: waitlistResult.promoted.length
       },
-      'Booking cancelled successfully'
+      tokenForfeited
+        ? 'Booking cancelled - token forfeited (late cancellation)'
+        : 'Booking cancelled successfully'
     ));
 
   } catch (error) {
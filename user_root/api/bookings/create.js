@@ -13,6 +13,8 @@ const {
   supabaseAdmin,
   updateExamBookingCountInSupabase
 } = require('../_shared/supabase-data');
+const { findTimeConflictsForContact, createTimeConflictError } = require('../_shared/time-conflicts');
+const { checkSetRepeat, createSetRepeatError } = require('../_shared/mock-set-repeats');
 const {
   setCorsHeaders,
   handleOptionsRequest,
@@ -22,6 +24,11 @@ const {
   rateLimitMiddleware,
   sanitizeInput
 } = require('../_shared/auth');
+const { requireStudentSession } = require('../_shared/student-session');
+const { recordCreditChange, LEDGER_REASONS, ACTOR_TYPES } = require('../_shared/credit-ledger');
+const { getCreditExpiry, pickCreditField, consumeFromLots } = require('../_shared/credit-lots');
+const { refreshLocationCatalog, resolveLocationName } = require('../_shared/locations');
+const { evaluateBookingWindow, createBookingClosedError } = require('../_shared/booking-cutoff');
 
 /**
  * Generate idempotency key from request data
@@ -52,9 +59,17 @@ module.exports = async (req, res) => {
   let lockToken = null;
 
   try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Identity comes from the session token, never from the request body
+    const session = requireStudentSession(req);
+    const studentId = session.studentId;
+    const email = session.email;
+
     // Accept both snake_case (frontend) and camelCase (legacy) field names
-    const studentId = req.body.student_id || req.body.studentId;
-    const email = req.body.email;
     const mockExamId = req.body.mock_exam_id || req.body.mockExamId;
     const location = req.body.attending_location || req.body.location;
     const dominantHand = req.body.dominant_hand ?? req.body.dominantHand;
@@ -109,6 +124,36 @@ module.exports = async (req, res) => {
 
     console.log(`✅ [BOOKING-CREATE] Exam details retrieved: ${mock_type} on ${exam_date}`);
 
+    // Booking closes at the session's cutoff or scheduled deactivation, whichever is first
+    const bookingWindow = evaluateBookingWindow(examData);
+    if (!bookingWindow.open) {
+      const closedError = createBookingClosedError(bookingWindow);
+      console.error(`❌ [BOOKING-CREATE] Booking closed for exam ${mock_exam_id} at ${bookingWindow.closes_at} (${bookingWindow.reason})`);
+      return res.status(closedError.status).json({
+        success: false,
+        error: {
+          code: closedError.code,
+          message: closedError.message,
+          closes_at: bookingWindow.closes_at
+        }
+      });
+    }
+
+    // The attending location picked for SJ/Mini-mock must be an active catalog site
+    if (req.body.attending_location && (mock_type === 'Situational Judgment' || mock_type === 'Mini-mock')) {
+      await refreshLocationCatalog();
+
+      if (!resolveLocationName(req.body.attending_location)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_LOCATION',
+            message: `Location "${req.body.attending_location}" is not available. Please choose another location.`
+          }
+        });
+      }
+    }
+
     // ========================================================================
     // STEP 2: Retrieve contact details (Supabase-first)
     // ========================================================================
@@ -172,9 +217,13 @@ module.exports = async (req, res) => {
 
     // Use actual count if available, otherwise fall back to property
     const effectiveBookingCount = countError ? currentTotalBookings : actualBookingCount;
-    console.log(`📊 [BOOKING-CREATE] Checking capacity: ${effectiveBookingCount}/${capacity} (actual count: ${actualBookingCount}, property: ${currentTotalBookings})`);
 
-    if (effectiveBookingCount >= capacity) {
+    // Seats held by OTHER students still filling in the form are taken; this
+    // student's own hold is the seat being converted into the booking
+    const { count: heldSeats } = await redis.countSeatHolds(mock_exam_id, studentId);
+    console.log(`📊 [BOOKING-CREATE] Checking capacity: ${effectiveBookingCount} + ${heldSeats} held/${capacity} (actual count: ${actualBookingCount}, property: ${currentTotalBookings})`);
+
+    if (effectiveBookingCount + heldSeats >= capacity) {
       await redis.releaseLock(mock_exam_id, lockToken);
       lockToken = null;
       console.error(`❌ [BOOKING-CREATE] Exam is full (${effectiveBookingCount}/${capacity})`);
@@ -236,6 +285,52 @@ module.exports = async (req, res) => {
 
     console.log(`✅ [BOOKING-CREATE] No duplicate ${mock_type} booking found for ${normalizedExamDate}`);
 
+    // ========================================================================
+    // STEP 5b: Check for overlapping bookings (any mock type)
+    // ========================================================================
+    const timeConflicts = await findTimeConflictsForContact(contact_id, {
+      exam_date: normalizedExamDate,
+      start_time,
+      end_time
+    });
+
+    if (timeConflicts.length > 0) {
+      await redis.releaseLock(mock_exam_id, lockToken);
+      lockToken = null;
+      const conflictError = createTimeConflictError(timeConflicts);
+      console.error(`❌ [BOOKING-CREATE] Time conflict with ${timeConflicts.length} existing booking(s)`);
+      return res.status(conflictError.status).json({
+        success: false,
+        error: {
+          code: conflictError.code,
+          message: conflictError.message,
+          conflicts: conflictError.conflicts
+        }
+      });
+    }
+
+    console.log(`✅ [BOOKING-CREATE] No overlapping bookings found`);
+
+    // ========================================================================
+    // STEP 5c: Check the exam set against the student's set history
+    // ========================================================================
+    const setRepeat = await checkSetRepeat(contact_id, { mock_type, mock_set });
+
+    if (setRepeat.repeats.length > 0 && setRepeat.rule === 'block') {
+      await redis.releaseLock(mock_exam_id, lockToken);
+      lockToken = null;
+      const repeatError = createSetRepeatError({ mock_type, mock_set }, setRepeat.repeats, setRepeat.rule);
+      console.error(`❌ [BOOKING-CREATE] ${setRepeat.message} - booking blocked`);
+      return res.status(repeatError.status).json({
+        success: false,
+        error: {
+          code: repeatError.code,
+          message: repeatError.message,
+          set_repeat: repeatError.setRepeat
+        }
+      });
+    }
+
     // ========================================================================
     // STEP 6: Validate student has sufficient credits
     // ========================================================================
@@ -275,10 +370,15 @@ module.exports = async (req, res) => {
         });
     }
 
+    // Tokens in lots past their expiry date can't be used, even before the expiry job takes them off
+    const creditExpiry = await getCreditExpiry(contact_id, contact);
+    const usableSpecificCredits = creditExpiry[creditField].usable_balance;
+    const usableSharedCredits = creditExpiry.shared_mock_credits.usable_balance;
+
     // Check if student has credits (specific OR shared for non-mini-mock)
     const hasCredits = mock_type === 'Mini-mock'
-      ? specificCredits > 0
-      : (specificCredits > 0 || sharedCredits > 0);
+      ? usableSpecificCredits > 0
+      : (usableSpecificCredits > 0 || usableSharedCredits > 0);
 
     if (!hasCredits) {
       await redis.releaseLock(mock_exam_id, lockToken);
@@ -293,21 +393,25 @@ module.exports = async (req, res) => {
       });
     }
 
-    console.log(`✅ [BOOKING-CREATE] Credits validated: ${specificCredits} specific, ${sharedCredits} shared`);
+    console.log(`✅ [BOOKING-CREATE] Credits validated: ${usableSpecificCredits} specific, ${usableSharedCredits} shared`);
 
     // ========================================================================
-    // STEP 7: Determine which credit to deduct (specific first, then shared)
+    // STEP 7: Determine which credit to deduct (earliest-expiring first, then specific before shared)
     // ========================================================================
-    let creditToDeduct, tokenUsed;
+    let tokenUsed;
 
-    if (specificCredits > 0) {
+    // Shared credits only pay for SJ/CS, not Mini-mock
+    const creditToDeduct = pickCreditField(
+      mock_type === 'Mini-mock' ? [creditField] : [creditField, 'shared_mock_credits'],
+      creditExpiry
+    );
+
+    if (creditToDeduct === creditField) {
       // Use specific credit
-      creditToDeduct = creditField;
       tokenUsed = tokenName;
       console.log(`💰 [BOOKING-CREATE] Deducting specific credit: ${tokenName}`);
-    } else if (sharedCredits > 0 && mock_type !== 'Mini-mock') {
-      // Use shared credit (only for SJ/CS, not Mini-mock)
-      creditToDeduct = 'shared_mock_credits';
+    } else if (creditToDeduct === 'shared_mock_credits') {
+      // Use shared credit
       tokenUsed = 'Shared Token';
       console.log(`💰 [BOOKING-CREATE] Deducting shared credit`);
     } else {
@@ -391,6 +495,24 @@ module.exports = async (req, res) => {
 
     console.log(`✅ [BOOKING-CREATE] Atomic booking created: ${bookingResult.hubspot_id}`);
 
+    // ========================================================================
+    // STEP 9b: Record the token debit in the credit ledger (non-blocking)
+    // ========================================================================
+    await recordCreditChange({
+      contactId: contact_id,
+      studentId: studentId.toUpperCase(),
+      creditField: creditToDeduct,
+      balanceBefore: currentCreditValue,
+      balanceAfter: newCreditValue,
+      reason: LEDGER_REASONS.BOOKING_CREATED,
+      bookingId,
+      actorType: ACTOR_TYPES.STUDENT,
+      actor: studentId.toUpperCase()
+    });
+
+    // Take the token out of its expiring lot, if it came from one (non-blocking)
+    await consumeFromLots(contact_id, creditToDeduct, 1);
+
     // ========================================================================
     // STEP 10: Increment Redis counter for real-time capacity tracking
     // ========================================================================
@@ -415,6 +537,13 @@ module.exports = async (req, res) => {
       console.log(`✅ [REDIS] Incremented exam counter: ${counterKey} = ${newTotalBookings}`);
     }
 
+    // ========================================================================
+    // STEP 10a: Release the student's seat hold (now a real booking)
+    // ========================================================================
+    if (await redis.releaseSeatHold(mock_exam_id, studentId)) {
+      console.log(`✅ [REDIS] Seat hold converted into booking for exam ${mock_exam_id}`);
+    }
+
     // ========================================================================
     // STEP 10b: Sync total_bookings to Supabase (atomic increment)
     // ========================================================================
@@ -469,7 +598,8 @@ module.exports = async (req, res) => {
         endTime: end_time,
         location: location || examLocation,
         tokenUsed: tokenUsed,
-        creditsAfterDeduction
+        creditsAfterDeduction,
+        ...(setRepeat.message && { set_repeat_warning: `${setRepeat.message}.` })
       },
       message: 'Booking created successfully'
     };
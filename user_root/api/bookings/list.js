@@ -20,8 +20,11 @@ const {
 const {
   getBookingsByContactFromSupabase,
   getExamByIdFromSupabase,
-  getContactCreditsFromSupabase
+  getContactCreditsFromSupabase,
+  getSeatLabelsForBookings
 } = require('../_shared/supabase-data');
+const { evaluateCancellation, withSessionStarts } = require('../_shared/cancellation-policy');
+const { requireStudentSession } = require('../_shared/student-session');
 
 /**
  * Main handler for listing bookings
@@ -38,7 +41,9 @@ async function handler(req, res) {
 
   try {
     // Security check
-    await rateLimitMiddleware(req, res);
+    if (await rateLimitMiddleware({ policy: 'bookings-read' })(req, res)) {
+      return; // Request was rate limited
+    }
 
     // Environment validation
     verifyEnvironmentVariables();
@@ -50,10 +55,13 @@ async function handler(req, res) {
       throw error;
     }
 
+    // Identity comes from the session token, never from the query string
+    const session = requireStudentSession(req);
+
     // Parse query parameters
     const queryParams = {
-      student_id: req.query.student_id,
-      email: req.query.email,
+      student_id: session.studentId,
+      email: session.email,
       filter: req.query.filter || 'all',
       page: req.query.page ? parseInt(req.query.page) : 1,
       limit: req.query.limit ? parseInt(req.query.limit) : 20,
@@ -203,6 +211,9 @@ async function handler(req, res) {
         try {
           supabaseBookings = await getBookingsByContactFromSupabase(contactHsObjectId);
           console.log(`✅ Fetched ${supabaseBookings.length} bookings from Supabase (no HubSpot API calls)`);
+
+          // Booking rows may not carry start_time - the cancellation deadlines need the real session start
+          supabaseBookings = await withSessionStarts(supabaseBookings);
         } catch (supabaseErr) {
           console.error('❌ Supabase booking fetch failed, falling back to HubSpot:', supabaseErr.message);
           // Fallback to HubSpot
@@ -225,6 +236,15 @@ async function handler(req, res) {
               normalizedDate = normalizedDate.split('T')[0];
             }
 
+            // Only the fixed deadlines are returned (the list is cached) - the
+            // frontend works out the current window from them
+            const policy = evaluateCancellation({
+              mock_type: booking.mock_type,
+              start_time: booking.start_time,
+              exam_date: booking.exam_date,
+              location: booking.location || booking.attending_location
+            });
+
             return {
               // CRITICAL FIX: Use Supabase UUID as primary id, fallback to hubspot_id for legacy bookings
               id: booking.id || booking.hubspot_id,
@@ -241,7 +261,13 @@ async function handler(req, res) {
               is_active: booking.is_active,
               attendance: booking.attendance,
               dominant_hand: booking.dominant_hand,
-              mock_exam_id: booking.associated_mock_exam
+              mock_exam_id: booking.associated_mock_exam,
+              cancellation_policy: {
+                free_until: policy.free_until,
+                blocked_from: policy.blocked_from,
+                free_until_hours: policy.policy.free_until_hours,
+                blocked_within_hours: policy.policy.blocked_within_hours
+              }
             };
           });
 
@@ -410,6 +436,17 @@ async function handler(req, res) {
 
       console.log(`📊 Successfully retrieved ${bookingsData.total} total bookings (filter: ${filter}, page: ${page}/${bookingsData.pagination.total_pages})`);
 
+      // Seats are read fresh (not cached) so a change on exam day shows up straight away
+      try {
+        const seatLabels = await getSeatLabelsForBookings(bookingsData.bookings.map(booking => booking.id));
+        bookingsData.bookings = bookingsData.bookings.map(booking => ({
+          ...booking,
+          station: seatLabels.get(String(booking.id)) || null
+        }));
+      } catch (seatError) {
+        console.error('⚠️ Failed to load station seats, returning bookings without them:', seatError.message);
+      }
+
       // Step 4: Prepare response
       const responseData = {
         bookings: bookingsData.bookings,
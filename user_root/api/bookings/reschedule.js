@@ -0,0 +1,559 @@
+/**
+ * POST /api/bookings/reschedule - Move a booking to another session of the same mock type
+ *
+ * Student self-service counterpart of admin_root/api/bookings/rebook.js.
+ * The booking row is moved in place, so token_used is kept and no credits are
+ * refunded or re-deducted. The target seat is claimed under the same exam lock
+ * as bookings/create.js, so it cannot be lost to another student mid-move.
+ *
+ * Moving a booking frees its seat like a cancellation, so it follows the
+ * cancellation policy: only bookings in the free-cancellation window can be
+ * moved (a late move would keep a token the policy forfeits).
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Body Parameters:
+ * - booking_id: Supabase UUID or HubSpot ID of the booking to move (required)
+ * - new_mock_exam_id: HubSpot ID of the target session (required)
+ *
+ * Returns:
+ * - 200: Booking moved (includes previous_exam)
+ * - 400: Invalid request / target session not eligible / prerequisites not met
+ * - 401: Authentication failed
+ * - 403: Booking doesn't belong to authenticated user
+ * - 404: Booking or target session not found
+ * - 409: Cancellation window passed (CANCELLATION_BLOCKED / RESCHEDULE_LATE),
+ *        target closed for booking, target full, duplicate date, time conflict,
+ *        repeated exam set (when blocked), lock busy or booking changed meanwhile
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { HubSpotService, HUBSPOT_OBJECTS } = require('../_shared/hubspot');
+const { schemas } = require('../_shared/validation');
+const RedisLockService = require('../_shared/redis');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const {
+  getContactCreditsFromSupabase,
+  getBookingCascading,
+  getExamByIdFromSupabase,
+  getBookingsByContactFromSupabase,
+  updateExamBookingCountInSupabase,
+  supabaseAdmin
+} = require('../_shared/supabase-data');
+const { HubSpotWebhookService } = require('../_shared/hubspot-webhook');
+const { findTimeConflictsForContact, createTimeConflictError } = require('../_shared/time-conflicts');
+const { checkSetRepeat, createSetRepeatError } = require('../_shared/mock-set-repeats');
+const { promoteFromWaitlist } = require('../_shared/waitlist');
+const { evaluateBookingWindow, createBookingClosedError } = require('../_shared/booking-cutoff');
+const {
+  evaluateCancellation,
+  createCancellationBlockedError,
+  withSessionStarts
+} = require('../_shared/cancellation-policy');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
+
+const TTL_1_HOUR = 60 * 60;
+
+// Students pick their attending location for these types; others attend the session's location
+const LOCATION_CHOICE_TYPES = ['Situational Judgment', 'Mini-mock'];
+
+function createError(message, status, code, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function isActiveStatus(status) {
+  return status === 'Active' || status === 'active';
+}
+
+function normalizeDate(date) {
+  return date && date.includes('T') ? date.split('T')[0] : date;
+}
+
+/**
+ * Check prerequisites in both directions:
+ * - Moving into a Mock Discussion requires its prerequisite sessions to be booked
+ * - Moving a booking that a booked Mock Discussion depends on would break that prerequisite
+ */
+async function checkPrerequisites(booking, targetExam, contactId) {
+  const userBookings = await getBookingsByContactFromSupabase(contactId);
+  const otherBookings = userBookings.filter(other => other.id !== booking.id);
+
+  const prerequisiteExamIds = targetExam.prerequisite_exam_ids || [];
+  if (prerequisiteExamIds.length > 0) {
+    const missingPrerequisites = prerequisiteExamIds.filter(prereqId =>
+      !otherBookings.some(other =>
+        other.associated_mock_exam === prereqId &&
+        (isActiveStatus(other.is_active) || other.is_active === 'Completed' || other.is_active === 'completed')
+      )
+    );
+
+    if (missingPrerequisites.length > 0) {
+      throw createError(
+        'You must book the prerequisite exam session(s) before moving to this Mock Discussion.',
+        400,
+        'PREREQUISITE_NOT_MET',
+        { details: { missing_prerequisites: missingPrerequisites } }
+      );
+    }
+  }
+
+  const discussionExamIds = otherBookings
+    .filter(other => other.mock_type === 'Mock Discussion' && isActiveStatus(other.is_active))
+    .map(other => other.associated_mock_exam)
+    .filter(Boolean);
+
+  if (discussionExamIds.length === 0) {
+    return;
+  }
+
+  const { data: discussions, error } = await supabaseAdmin
+    .from('hubspot_mock_exams')
+    .select('hubspot_id, prerequisite_exam_ids')
+    .in('hubspot_id', discussionExamIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const dependent = (discussions || []).find(discussion =>
+    (discussion.prerequisite_exam_ids || []).includes(booking.associated_mock_exam)
+  );
+
+  if (dependent) {
+    throw createError(
+      'This session is a prerequisite for a Mock Discussion you have booked. Cancel or move the Mock Discussion first.',
+      409,
+      'PREREQUISITE_DEPENDENCY',
+      { details: { mock_discussion_id: dependent.hubspot_id } }
+    );
+  }
+}
+
+/**
+ * Sync the moved booking to HubSpot (fire-and-forget)
+ * Mirrors the admin rebook: update properties, then swap the exam association
+ */
+async function syncRescheduleToHubSpot(bookingHubSpotId, oldExamId, targetExam, attendingLocation) {
+  const hubspot = new HubSpotService();
+
+  try {
+    await hubspot.updateBooking(bookingHubSpotId, {
+      associated_mock_exam: targetExam.hubspot_id,
+      exam_date: targetExam.exam_date,
+      start_time: targetExam.start_time,
+      end_time: targetExam.end_time,
+      mock_set: targetExam.mock_set || null,
+      attending_location: attendingLocation
+    });
+    console.log(`✅ [HUBSPOT SYNC] Booking ${bookingHubSpotId} properties updated`);
+  } catch (error) {
+    console.error(`❌ [HUBSPOT SYNC] Failed to update booking ${bookingHubSpotId}:`, error.message);
+  }
+
+  try {
+    if (oldExamId) {
+      try {
+        await hubspot.batchDeleteAssociations(HUBSPOT_OBJECTS.bookings, HUBSPOT_OBJECTS.mock_exams, [{
+          from: { id: bookingHubSpotId },
+          to: { id: oldExamId }
+        }]);
+      } catch (deleteError) {
+        console.warn(`⚠️ [HUBSPOT ASSOC] Could not delete old association:`, deleteError.message);
+      }
+    }
+
+    await hubspot.createAssociation(HUBSPOT_OBJECTS.bookings, bookingHubSpotId, HUBSPOT_OBJECTS.mock_exams, targetExam.hubspot_id);
+    console.log(`✅ [HUBSPOT ASSOC] Booking ${bookingHubSpotId} now associated with exam ${targetExam.hubspot_id}`);
+  } catch (error) {
+    console.error(`❌ [HUBSPOT ASSOC] Failed to update association:`, error.message);
+  }
+}
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  const redis = new RedisLockService();
+  let lockToken = null;
+  let lockedExamId = null;
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'POST') {
+      throw createError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.bookingReschedule.validate(withSessionIdentity(req.body, session));
+    if (error) {
+      throw createError(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email).toLowerCase();
+    const bookingIdentifier = sanitizeInput(validatedData.booking_id);
+    const newMockExamId = sanitizeInput(validatedData.new_mock_exam_id);
+
+    console.log(`🔄 [RESCHEDULE] ${sanitizedStudentId} moving booking ${bookingIdentifier} to exam ${newMockExamId}`);
+
+    // ========================================================================
+    // STEP 1: Authenticate student (Supabase-first)
+    // ========================================================================
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      throw createError('Authentication failed. Please check your Student ID and email.', 401, 'AUTH_FAILED');
+    }
+
+    const contactId = contact.hubspot_id;
+
+    // ========================================================================
+    // STEP 2: Load booking and verify ownership
+    // ========================================================================
+    const booking = await getBookingCascading(bookingIdentifier);
+    if (!booking) {
+      throw createError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+    }
+
+    if (!booking.associated_contact_id || String(booking.associated_contact_id) !== String(contactId)) {
+      throw createError('You do not have permission to change this booking', 403, 'FORBIDDEN');
+    }
+
+    if (!isActiveStatus(booking.is_active)) {
+      throw createError('Only active bookings can be moved', 409, 'BOOKING_NOT_ACTIVE');
+    }
+
+    const oldExamId = booking.associated_mock_exam;
+    const bookingStart = new Date(booking.start_time || booking.exam_date);
+    if (!isNaN(bookingStart.getTime()) && bookingStart <= new Date()) {
+      throw createError('This session has already started and can no longer be changed', 400, 'BOOKING_STARTED');
+    }
+
+    // Same cancellation policy as bookings/[id].js - the old seat is given up
+    const [sessionBooking] = await withSessionStarts([booking]);
+    const cancellationPolicy = evaluateCancellation(sessionBooking);
+
+    if (!cancellationPolicy.allowed) {
+      console.log(`⛔ [RESCHEDULE] Booking ${booking.id} is inside the blocked cancellation window`);
+      throw createCancellationBlockedError(cancellationPolicy);
+    }
+
+    if (cancellationPolicy.window === 'late') {
+      const hours = cancellationPolicy.policy.free_until_hours;
+      console.log(`⛔ [RESCHEDULE] Booking ${booking.id} is inside the late cancellation window`);
+      throw createError(
+        `Bookings can only be moved more than ${hours} hour${hours === 1 ? '' : 's'} before the session start. You can still cancel this booking, but the token will not be refunded.`,
+        409,
+        'RESCHEDULE_LATE',
+        { cancellation_policy: cancellationPolicy }
+      );
+    }
+
+    // ========================================================================
+    // STEP 3: Validate target session
+    // ========================================================================
+    if (String(newMockExamId) === String(oldExamId)) {
+      throw createError('You are already booked into this session', 400, 'SAME_SESSION');
+    }
+
+    const targetExam = await getExamByIdFromSupabase(newMockExamId);
+    if (!targetExam) {
+      throw createError('Target session not found', 404, 'EXAM_NOT_FOUND');
+    }
+
+    if (targetExam.mock_type !== booking.mock_type) {
+      throw createError(
+        `Bookings can only be moved to another ${booking.mock_type} session`,
+        400,
+        'EXAM_TYPE_MISMATCH'
+      );
+    }
+
+    if (targetExam.is_active !== 'true' && targetExam.is_active !== true) {
+      throw createError('Target session is not available for booking', 400, 'EXAM_NOT_ACTIVE');
+    }
+
+    const targetStart = new Date(targetExam.start_time || targetExam.exam_date);
+    if (!isNaN(targetStart.getTime()) && targetStart <= new Date()) {
+      throw createError('Target session has already started', 400, 'EXAM_PAST_DATE');
+    }
+
+    // Same booking cutoff / scheduled deactivation rule as bookings/create.js
+    const targetWindow = evaluateBookingWindow(targetExam);
+    if (!targetWindow.open) {
+      console.error(`❌ [RESCHEDULE] Booking closed for exam ${targetExam.hubspot_id} at ${targetWindow.closes_at} (${targetWindow.reason})`);
+      throw createBookingClosedError(targetWindow);
+    }
+
+    const oldExamDate = normalizeDate(booking.exam_date);
+    const newExamDate = normalizeDate(targetExam.exam_date);
+
+    // ========================================================================
+    // STEP 4: Prerequisite checks
+    // ========================================================================
+    await checkPrerequisites(booking, targetExam, contactId);
+
+    // ========================================================================
+    // STEP 5: Acquire the target exam lock (same lock as bookings/create.js)
+    // ========================================================================
+    lockToken = await redis.acquireLock(targetExam.hubspot_id, 10);
+    if (!lockToken) {
+      throw createError('Another booking is in progress for this session. Please try again.', 409, 'LOCK_ACQUISITION_FAILED');
+    }
+    lockedExamId = targetExam.hubspot_id;
+
+    // ========================================================================
+    // STEP 6: Capacity check using ACTUAL booking count (authoritative)
+    // ========================================================================
+    const { count: activeCount, error: countError } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .select('*', { count: 'exact', head: true })
+      .eq('associated_mock_exam', targetExam.hubspot_id)
+      .eq('is_active', 'Active');
+
+    if (countError) {
+      throw countError;
+    }
+
+    // Seats held by other students still filling in the booking form are taken
+    const { count: heldSeats } = await redis.countSeatHolds(targetExam.hubspot_id, session.studentId);
+
+    if (activeCount + heldSeats >= (parseInt(targetExam.capacity) || 0)) {
+      throw createError('This session is fully booked', 409, 'EXAM_FULL');
+    }
+
+    // ========================================================================
+    // STEP 7: Duplicate check (same date + same mock type, ignoring this booking)
+    // ========================================================================
+    const { data: duplicates, error: duplicateError } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .select('id, booking_id')
+      .eq('associated_contact_id', contactId)
+      .eq('exam_date', newExamDate)
+      .eq('mock_type', booking.mock_type)
+      .neq('is_active', 'Cancelled')
+      .neq('is_active', 'cancelled')
+      .neq('id', booking.id)
+      .limit(1);
+
+    if (duplicateError) {
+      throw duplicateError;
+    }
+
+    if (duplicates && duplicates.length > 0) {
+      throw createError(`You already have a ${booking.mock_type} booking for this date`, 409, 'DUPLICATE_BOOKING');
+    }
+
+    // ========================================================================
+    // STEP 8: Time conflict check (the booking being moved doesn't count)
+    // ========================================================================
+    const timeConflicts = await findTimeConflictsForContact(contactId, {
+      exam_date: newExamDate,
+      start_time: targetExam.start_time,
+      end_time: targetExam.end_time
+    }, { excludeBookingIds: [booking.id, booking.booking_id] });
+
+    if (timeConflicts.length > 0) {
+      throw createTimeConflictError(timeConflicts);
+    }
+
+    // ========================================================================
+    // STEP 8b: Exam set check (the booking being moved doesn't count)
+    // ========================================================================
+    const setRepeat = await checkSetRepeat(contactId, targetExam, {
+      excludeBookingIds: [booking.id, booking.booking_id]
+    });
+
+    if (setRepeat.repeats.length > 0 && setRepeat.rule === 'block') {
+      throw createSetRepeatError(targetExam, setRepeat.repeats, setRepeat.rule);
+    }
+
+    // ========================================================================
+    // STEP 9: Move the booking (conditional on it being unchanged since read)
+    // ========================================================================
+    const attendingLocation = LOCATION_CHOICE_TYPES.includes(booking.mock_type)
+      ? booking.attending_location
+      : (targetExam.location || booking.attending_location);
+
+    const { data: movedBooking, error: updateError } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .update({
+        associated_mock_exam: targetExam.hubspot_id,
+        exam_date: newExamDate,
+        start_time: targetExam.start_time,
+        end_time: targetExam.end_time,
+        mock_set: targetExam.mock_set || null,
+        attending_location: attendingLocation,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', booking.id)
+      .eq('associated_mock_exam', oldExamId)
+      .eq('is_active', booking.is_active)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error(`❌ [RESCHEDULE] Supabase update failed:`, updateError.message);
+      throw createError('Failed to move booking', 500, 'RESCHEDULE_FAILED');
+    }
+
+    if (!movedBooking) {
+      throw createError('Your booking changed while it was being moved. Please refresh and try again.', 409, 'BOOKING_CHANGED');
+    }
+
+    console.log(`✅ [RESCHEDULE] Booking ${booking.id} moved ${oldExamId} -> ${targetExam.hubspot_id} (token kept: ${booking.token_used})`);
+
+    // ========================================================================
+    // STEP 10: Update seat counts on both sessions
+    // ========================================================================
+    try {
+      await updateExamBookingCountInSupabase(targetExam.hubspot_id, 1, 'increment');
+      await updateExamBookingCountInSupabase(oldExamId, 1, 'decrement');
+    } catch (countUpdateError) {
+      console.error(`⚠️ [RESCHEDULE] Failed to update total_bookings in Supabase:`, countUpdateError.message);
+      // Non-blocking - cron will reconcile
+    }
+
+    const newCounterKey = `exam:${targetExam.hubspot_id}:bookings`;
+    const newExamCount = await redis.get(newCounterKey);
+    let newExamTotal;
+    if (newExamCount === null) {
+      newExamTotal = activeCount + 1;
+      await redis.setex(newCounterKey, TTL_1_HOUR, newExamTotal);
+    } else {
+      newExamTotal = await redis.incr(newCounterKey);
+    }
+
+    const oldCounterKey = `exam:${oldExamId}:bookings`;
+    let oldExamTotal = null;
+    if (await redis.get(oldCounterKey) !== null) {
+      oldExamTotal = await redis.decr(oldCounterKey);
+      if (oldExamTotal < 0) {
+        oldExamTotal = 0;
+        await redis.setex(oldCounterKey, TTL_1_HOUR, 0);
+      }
+    }
+
+    // Release the target lock before touching the old session's waitlist
+    await redis.releaseLock(lockedExamId, lockToken);
+    lockToken = null;
+
+    // ========================================================================
+    // STEP 11: Move the duplicate-detection cache entry to the new date
+    // ========================================================================
+    try {
+      await redis.del(`booking:${contactId}:${oldExamDate}:${booking.mock_type}`);
+      const examDateTime = new Date(`${newExamDate}T23:59:59Z`);
+      const ttlSeconds = Math.max(Math.floor((examDateTime - Date.now()) / 1000), 86400);
+      await redis.setex(`booking:${contactId}:${newExamDate}:${booking.mock_type}`, ttlSeconds, movedBooking.booking_id);
+    } catch (cacheError) {
+      console.error('⚠️ [CACHE] Duplicate cache update failed (non-blocking):', cacheError.message);
+    }
+
+    // ========================================================================
+    // STEP 12: Sync to HubSpot (fire-and-forget)
+    // ========================================================================
+    process.nextTick(() => {
+      (async () => {
+        if (booking.hubspot_id) {
+          await syncRescheduleToHubSpot(booking.hubspot_id, oldExamId, targetExam, attendingLocation);
+        } else {
+          console.log(`ℹ️ [RESCHEDULE] Booking ${booking.id} has no hubspot_id - skipping HubSpot booking sync`);
+        }
+
+        await HubSpotWebhookService.syncWithRetry('totalBookings', targetExam.hubspot_id, newExamTotal);
+        if (oldExamTotal !== null) {
+          await HubSpotWebhookService.syncWithRetry('totalBookings', oldExamId, oldExamTotal);
+        }
+      })().catch(err => {
+        console.error('❌ [WEBHOOK] Unexpected error in reschedule sync:', err.message);
+      });
+    });
+
+    // ========================================================================
+    // STEP 13: Offer the freed seat to the old session's waitlist
+    // ========================================================================
+    const waitlistResult = await promoteFromWaitlist(oldExamId, {
+      redis,
+      source: 'student-reschedule'
+    });
+
+    return res.status(200).json(createSuccessResponse(
+      {
+        booking: {
+          id: movedBooking.id,
+          hubspot_id: movedBooking.hubspot_id,
+          booking_id: movedBooking.booking_id,
+          mock_exam_id: movedBooking.associated_mock_exam,
+          mock_type: movedBooking.mock_type,
+          exam_date: newExamDate,
+          start_time: movedBooking.start_time,
+          end_time: movedBooking.end_time,
+          location: movedBooking.attending_location,
+          token_used: movedBooking.token_used,
+          is_active: movedBooking.is_active
+        },
+        previous_exam: {
+          id: oldExamId,
+          exam_date: oldExamDate,
+          start_time: booking.start_time,
+          end_time: booking.end_time
+        },
+        waitlist_promotions: waitlistResult.promoted.length,
+        ...(setRepeat.message && { set_repeat_warning: `${setRepeat.message}.` })
+      },
+      'Booking moved to the new session'
+    ));
+
+  } catch (error) {
+    console.error('❌ [RESCHEDULE] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  } finally {
+    if (lockToken) {
+      try {
+        await redis.releaseLock(lockedExamId, lockToken);
+      } catch (releaseError) {
+        console.error(`❌ [RESCHEDULE] Failed to release lock:`, releaseError.message);
+      }
+    }
+
+    try {
+      await redis.close();
+    } catch (closeError) {
+      console.error('⚠️ [REDIS] Failed to close connection:', closeError.message);
+    }
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,137 @@
+/**
+ * GET /api/calendar/booking - Download a single booking as an .ics file
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Query Parameters:
+ * - booking_id: Booking UUID or HubSpot ID (required)
+ *
+ * Returns:
+ * - 200: text/calendar attachment (METHOD:CANCEL if the booking was cancelled)
+ * - 400: Invalid request parameters
+ * - 401: Authentication failed
+ * - 403: Booking doesn't belong to the authenticated student
+ * - 404: Booking not found
+ * - 422: Session has no start time yet
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const {
+  getContactCreditsFromSupabase,
+  getBookingCascading,
+  getExamByIdFromSupabase
+} = require('../_shared/supabase-data');
+const { buildBookingCalendar } = require('../_shared/calendar');
+const { refreshLocationCatalog } = require('../_shared/locations');
+const { requireStudentSession } = require('../_shared/student-session');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'calendar' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'GET') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.bookingCalendar.validate({
+      booking_id: req.query.booking_id,
+      student_id: session.studentId,
+      email: session.email
+    });
+
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email);
+    const bookingId = sanitizeInput(validatedData.booking_id);
+
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    const booking = await getBookingCascading(bookingId);
+    if (!booking) {
+      const notFoundError = new Error('Booking not found');
+      notFoundError.status = 404;
+      notFoundError.code = 'BOOKING_NOT_FOUND';
+      throw notFoundError;
+    }
+
+    if (String(booking.associated_contact_id) !== String(contact.hubspot_id)) {
+      const forbiddenError = new Error('You do not have permission to access this booking');
+      forbiddenError.status = 403;
+      forbiddenError.code = 'FORBIDDEN';
+      throw forbiddenError;
+    }
+
+    const exam = booking.associated_mock_exam
+      ? await getExamByIdFromSupabase(booking.associated_mock_exam)
+      : null;
+
+    await refreshLocationCatalog();
+    const ics = buildBookingCalendar(booking, exam);
+    if (!ics) {
+      const timeError = new Error('This session does not have a start time yet');
+      timeError.status = 422;
+      timeError.code = 'SESSION_TIME_MISSING';
+      throw timeError;
+    }
+
+    const filename = `prepdoctors-${String(booking.booking_id || booking.id).replace(/[^A-Za-z0-9-]+/g, '-')}.ics`;
+
+    console.log(`📅 [CALENDAR-BOOKING] ${sanitizedStudentId}: exported booking ${booking.id} (${booking.is_active})`);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(ics);
+
+  } catch (error) {
+    console.error('❌ [CALENDAR-BOOKING] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,103 @@
+/**
+ * GET /api/calendar/feed-url - Get the student's private calendar subscription URL
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Returns:
+ * - 200: { feed_url, webcal_url }
+ * - 400: Invalid request parameters
+ * - 401: Authentication failed
+ * - 500: Server error (including CALENDAR_NOT_CONFIGURED)
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const { getContactCreditsFromSupabase } = require('../_shared/supabase-data');
+const { createFeedToken } = require('../_shared/calendar');
+const { requireStudentSession } = require('../_shared/student-session');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'calendar' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'GET') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.authCheck.validate({
+      student_id: session.studentId,
+      email: session.email
+    });
+
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email);
+
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    const token = createFeedToken(contact.hubspot_id);
+
+    // Build the URL from the request host so preview deployments hand out working links
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const path = `/api/calendar/feed?token=${encodeURIComponent(token)}`;
+
+    console.log(`📅 [CALENDAR-FEED-URL] Issued feed URL for ${sanitizedStudentId}`);
+
+    return res.status(200).json(createSuccessResponse({
+      feed_url: `${protocol}://${host}${path}`,
+      webcal_url: `webcal://${host}${path}`
+    }));
+
+  } catch (error) {
+    console.error('❌ [CALENDAR-FEED-URL] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
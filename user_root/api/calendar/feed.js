@@ -0,0 +1,85 @@
+/**
+ * GET /api/calendar/feed - Private iCalendar subscription feed for a student
+ *
+ * Query Parameters:
+ * - token: Signed feed token from /api/calendar/feed-url (required)
+ *
+ * Returns:
+ * - 200: text/calendar with all of the student's bookings
+ *        (cancelled bookings are kept as STATUS:CANCELLED so subscribed calendars remove them)
+ * - 404: Unknown or invalid token
+ * - 405: Method not allowed
+ * - 429: Too many requests
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware
+} = require('../_shared/auth');
+const {
+  buildCalendar,
+  verifyFeedToken,
+  getFeedSessionsForContact
+} = require('../_shared/calendar');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'calendar-feed' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'GET') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Calendar apps may append ".ics" to the token when subscribing
+    const token = String(req.query.token || '').replace(/\.ics$/i, '');
+    const contactId = verifyFeedToken(token);
+
+    if (!contactId) {
+      const error = new Error('Calendar feed not found');
+      error.status = 404;
+      error.code = 'FEED_NOT_FOUND';
+      throw error;
+    }
+
+    const sessions = await getFeedSessionsForContact(contactId);
+
+    console.log(`📅 [CALENDAR-FEED] Contact ${contactId}: ${sessions.length} event(s)`);
+
+    const ics = buildCalendar(sessions, { name: 'PrepDoctors Mock Exams' });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="prepdoctors-bookings.ics"');
+    return res.status(200).send(ics);
+
+  } catch (error) {
+    console.error('❌ [CALENDAR-FEED] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
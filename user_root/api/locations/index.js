@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { getCatalogLocations, refreshLocationCatalog, toLocationCode } = require('../_shared/locations');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware
+} = require('../_shared/auth');
+
+/**
+ * GET /api/locations
+ * Active exam sites from the admin-managed location catalog
+ *
+ * Each site carries its booking code (attending_location value), IANA time zone,
+ * address and directions so the booking screens no longer hard-code locations.
+ */
+module.exports = async (req, res) => {
+  // Set CORS headers
+  setCorsHeaders(res);
+
+  // Handle OPTIONS request
+  if (handleOptionsRequest(req, res)) {
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json(
+      createErrorResponse(new Error('Method not allowed'))
+    );
+  }
+
+  try {
+    // Verify environment variables
+    verifyEnvironmentVariables();
+
+    // Apply rate limiting
+    const rateLimiter = rateLimitMiddleware({ policy: 'availability' });
+
+    if (await rateLimiter(req, res)) {
+      return; // Request was rate limited
+    }
+
+    await refreshLocationCatalog();
+
+    const locations = getCatalogLocations().map(location => ({
+      name: location.name,
+      code: toLocationCode(location.name),
+      address: location.address || null,
+      time_zone: location.time_zone,
+      directions: location.directions || null
+    }));
+
+    // Sites change rarely - let the browser/CDN reuse the list for a minute
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.status(200).json(createSuccessResponse(locations));
+
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+
+    const statusCode = error.status || 500;
+    res.status(statusCode).json(createErrorResponse(error));
+  }
+};
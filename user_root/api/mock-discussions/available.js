@@ -2,6 +2,7 @@ require('dotenv').config();
 const { HubSpotService } = require('../_shared/hubspot');
 const { validateInput } = require('../_shared/validation');
 const { getCache } = require('../_shared/cache');
+const { evaluateBookingWindow, filterBookableSessions } = require('../_shared/booking-cutoff');
 const {
   setCorsHeaders,
   handleOptionsRequest,
@@ -18,6 +19,7 @@ const {
  * This endpoint specifically filters for Mock Exam objects where:
  * - mock_type = "Mock Discussion"
  * - is_active = true
+ * - Booking window still open (booking-cutoff.js)
  * - Optionally filters by available capacity
  */
 module.exports = async (req, res) => {
@@ -41,10 +43,7 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply rate limiting
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 30,
-      windowMs: 60000 // 1 minute
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'availability' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
@@ -69,7 +68,8 @@ module.exports = async (req, res) => {
       const cachedData = await cache.get(cacheKey);
       if (cachedData) {
         console.log(`🎯 Cache HIT for ${cacheKey}`);
-        return res.status(200).json(createSuccessResponse(cachedData));
+        // Cached lists can outlive a discussion's booking cutoff
+        return res.status(200).json(createSuccessResponse(filterBookableSessions(cachedData)));
       }
     }
 
@@ -321,6 +321,11 @@ module.exports = async (req, res) => {
         }
       }
 
+      const bookingWindow = evaluateBookingWindow({
+        ...discussion.properties,
+        mock_type: 'Mock Discussion'
+      });
+
       return {
         mock_exam_id: discussion.id,
         exam_date: discussion.properties.exam_date,
@@ -335,17 +340,20 @@ module.exports = async (req, res) => {
         is_active: true,
         status: availableSlots === 0 ? 'full' :
                  availableSlots <= 3 ? 'limited' : 'available',
-        prerequisite_exam_ids: prerequisiteMap.get(discussion.id) || []
+        prerequisite_exam_ids: prerequisiteMap.get(discussion.id) || [],
+        booking_open: bookingWindow.open,
+        booking_closes_at: bookingWindow.closes_at
       };
     }));
 
     // Close Redis connection
     await redis.close();
 
-    // Filter out full discussions unless specifically requested
+    // Discussions past their booking cutoff are never listed; full ones only on request
+    const bookableDiscussions = processedDiscussions.filter(discussion => discussion.booking_open);
     const filteredDiscussions = include_capacity
-      ? processedDiscussions
-      : processedDiscussions.filter(discussion => discussion.available_slots > 0);
+      ? bookableDiscussions
+      : bookableDiscussions.filter(discussion => discussion.available_slots > 0);
 
     // Sort by date (already sorted by HubSpot, but ensure consistency)
     filteredDiscussions.sort((a, b) => new Date(a.exam_date) - new Date(b.exam_date));
@@ -21,6 +21,11 @@ const {
   checkExistingBookingByMockType,
   supabaseAdmin
 } = require('../_shared/supabase-data');
+const { findTimeConflictsForContact, createTimeConflictError } = require('../_shared/time-conflicts');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
+const { recordCreditChange, LEDGER_REASONS, ACTOR_TYPES } = require('../_shared/credit-ledger');
+const { getCreditExpiry, consumeFromLots } = require('../_shared/credit-lots');
+const { evaluateBookingWindow, createBookingClosedError } = require('../_shared/booking-cutoff');
 
 /**
  * Validation schema specific to Mock Discussion bookings
@@ -36,6 +41,9 @@ const discussionBookingSchema = Joi.object({
     .messages({
       'any.required': 'Contact ID is required'
     }),
+  // Numeric HubSpot contact ID - set from the session, used for the HubSpot fallback
+  hubspot_id: Joi.string()
+    .optional(),
   student_id: Joi.string()
     .pattern(/^[A-Z0-9]+$/)
     .required()
@@ -105,12 +113,12 @@ function generateIdempotencyKey(data) {
  * POST /api/mock-discussions/create-booking
  * Create a new booking for a mock discussion session
  *
+ * Authentication: Authorization: Bearer <access token>. student_id, email and
+ * contact_id are taken from the session; values sent by the client are ignored.
+ *
  * Request body:
  * - mock_exam_id: ID of the Mock Discussion (Mock Exam object with type="Mock Discussion")
- * - contact_id: HubSpot contact ID
- * - student_id: Student identifier
  * - name: Student name
- * - email: Student email
  * - exam_date: Date in YYYY-MM-DD format
  * - discussion_format: Virtual/In-Person/Hybrid (optional, defaults to Virtual)
  * - topic_preference: Optional topic preference text
@@ -118,7 +126,7 @@ function generateIdempotencyKey(data) {
  * Creates a Booking object and:
  * 1. Associates it with the Contact
  * 2. Associates it with the Mock Exam (Discussion)
- * 3. Deducts one mock_discussion_token
+ * 3. Deducts one mock_discussion_token (earliest-expiring lot first)
  * 4. Updates total_bookings counter
  * 5. Creates a note in the contact timeline
  */
@@ -138,7 +146,9 @@ module.exports = async function handler(req, res) {
 
   try {
     // Security check
-    await rateLimitMiddleware(req, res);
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
 
     // Environment validation
     verifyEnvironmentVariables();
@@ -150,8 +160,15 @@ module.exports = async function handler(req, res) {
       throw error;
     }
 
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
     // Validate input using the discussion-specific schema
-    const { error, value: validatedData } = discussionBookingSchema.validate(req.body);
+    const { error, value: validatedData } = discussionBookingSchema.validate({
+      ...withSessionIdentity(req.body, session),
+      contact_id: session.contactId,
+      hubspot_id: session.contactId
+    });
     if (error) {
       const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
       validationError.status = 400;
@@ -361,6 +378,13 @@ module.exports = async function handler(req, res) {
       throw error;
     }
 
+    // Check the discussion's booking cutoff / scheduled deactivation
+    const bookingWindow = evaluateBookingWindow(mockDiscussion.properties);
+    if (!bookingWindow.open) {
+      console.error(`❌ Booking closed for Mock Discussion ${mock_exam_id} at ${bookingWindow.closes_at} (${bookingWindow.reason})`);
+      throw createBookingClosedError(bookingWindow);
+    }
+
     // ========================================================================
     // PREREQUISITE VALIDATION - Verify user has booked all prerequisite exams
     // ========================================================================
@@ -435,6 +459,19 @@ module.exports = async function handler(req, res) {
       console.log(`✅ [PREREQUISITE CHECK] User ${hubspot_id} has all ${prerequisiteExamIds.length} prerequisite booking(s)`);
     }
 
+    // ========================================================================
+    // TIME CONFLICT VALIDATION - Block overlapping bookings of any mock type
+    // ========================================================================
+    const timeConflicts = await findTimeConflictsForContact(hubspot_id, {
+      exam_date: normalizedExamDate,
+      start_time: mockDiscussion.properties.start_time,
+      end_time: mockDiscussion.properties.end_time
+    });
+
+    if (timeConflicts.length > 0) {
+      throw createTimeConflictError(timeConflicts);
+    }
+
     // Check capacity using ACTUAL booking count (authoritative source)
     const capacity = parseInt(mockDiscussion.properties.capacity) || 0;
     const propertyBookings = parseInt(mockDiscussion.properties.total_bookings) || 0;
@@ -523,7 +560,10 @@ module.exports = async function handler(req, res) {
     // Check mock discussion tokens
     const discussionTokens = parseInt(contact.properties.mock_discussion_token) || 0;
 
-    if (discussionTokens <= 0) {
+    // Tokens in lots past their expiry date can't be used, even before the expiry job takes them off
+    const creditExpiry = await getCreditExpiry(contact.id, { mock_discussion_token: discussionTokens });
+
+    if (creditExpiry.mock_discussion_token.usable_balance <= 0) {
       const error = new Error('Insufficient Mock Discussion tokens for booking');
       error.status = 400;
       error.code = 'INSUFFICIENT_TOKENS';
@@ -580,6 +620,22 @@ module.exports = async function handler(req, res) {
     createdBookingId = atomicResult.data.booking_hubspot_id;
     console.log(`Atomic Mock Discussion booking created: ${bookingId} (HubSpot ID: ${createdBookingId})`);
 
+    // Record the token debit in the credit ledger (non-blocking)
+    await recordCreditChange({
+      contactId: contact_id,
+      studentId: student_id,
+      creditField: 'mock_discussion_token',
+      balanceBefore: discussionTokens,
+      balanceAfter: newTokenValue,
+      reason: LEDGER_REASONS.BOOKING_CREATED,
+      bookingId,
+      actorType: ACTOR_TYPES.STUDENT,
+      actor: student_id
+    });
+
+    // Take the token out of its expiring lot, if it came from one (non-blocking)
+    await consumeFromLots(contact.id, 'mock_discussion_token', 1);
+
     // Increment Redis booking counter for real-time capacity tracking
     // Note: Key should already exist from capacity check, but handle edge case
     const counterKey = `exam:${mock_exam_id}:bookings`;
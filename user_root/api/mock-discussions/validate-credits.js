@@ -10,30 +10,37 @@ const {
   rateLimitMiddleware,
   sanitizeInput
 } = require('../_shared/auth');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
+const { getCreditExpiry, listExpiringSoon } = require('../_shared/credit-lots');
 
 /**
  * Calculate available mock discussion tokens
  * Mock Discussion uses the mock_discussion_token property from Contact
+ * With a lot summary (credit-lots.js), expired tokens are not counted.
  */
-function calculateDiscussionCredits(contact) {
+function calculateDiscussionCredits(contact, creditExpiry = null) {
   if (!contact || !contact.properties) {
     return {
       eligible: false,
       available_credits: 0,
       credit_breakdown: {
-        discussion_tokens: 0
+        discussion_tokens: 0,
+        expiring_soon: []
       }
     };
   }
 
   const props = contact.properties;
-  const discussionTokens = parseInt(props.mock_discussion_token) || 0;
+  const discussionTokens = creditExpiry
+    ? creditExpiry.mock_discussion_token.usable_balance
+    : parseInt(props.mock_discussion_token) || 0;
 
   return {
     eligible: discussionTokens > 0,
     available_credits: discussionTokens,
     credit_breakdown: {
-      discussion_tokens: discussionTokens
+      discussion_tokens: discussionTokens,
+      expiring_soon: creditExpiry ? listExpiringSoon(creditExpiry, ['mock_discussion_token']) : []
     }
   };
 }
@@ -42,14 +49,13 @@ function calculateDiscussionCredits(contact) {
  * POST /api/mock-discussions/validate-credits
  * Check if user has sufficient mock discussion tokens for booking
  *
- * Request body:
- * - student_id: Student ID to validate
- * - email: Email address to validate
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
  *
  * Response:
  * - eligible: Boolean indicating if user can book
  * - available_credits: Number of discussion tokens available
- * - credit_breakdown: Object with discussion_tokens count
+ * - credit_breakdown: Object with discussion_tokens count and expiring_soon tokens
  * - contact_id: HubSpot contact ID
  * - enrollment_id: Active enrollment ID (if exists)
  * - student_name: Full name of student
@@ -75,17 +81,17 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply rate limiting
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 20,
-      windowMs: 60000 // 1 minute
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'credits' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
     }
 
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
     // Validate input - mock_type not required as it's always "Mock Discussion"
-    const validatedData = await validateInput(req.body, 'authCheck');
+    const validatedData = await validateInput(withSessionIdentity(req.body, session), 'authCheck');
     const { student_id, email } = validatedData;
 
     // Sanitize inputs
@@ -141,8 +147,9 @@ module.exports = async (req, res) => {
       throw error;
     }
 
-    // Calculate available mock discussion tokens
-    const creditInfo = calculateDiscussionCredits(contact);
+    // Calculate available mock discussion tokens (expired tokens excluded, expiring ones listed)
+    const creditExpiry = await getCreditExpiry(contact.id, contact.properties);
+    const creditInfo = calculateDiscussionCredits(contact, creditExpiry);
 
     // Mock Discussions do not require active enrollment - skipping this check to save an API call
     let enrollmentId = null;
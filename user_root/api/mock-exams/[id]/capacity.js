@@ -9,11 +9,16 @@ const {
   verifyEnvironmentVariables,
   rateLimitMiddleware
 } = require('../../_shared/auth');
+const { requireStudentSession } = require('../../_shared/student-session');
 
 /**
  * GET /api/mock-exams/[id]/capacity
  * Lightweight capacity check for real-time availability updates
  * Used by BookingForm for background polling and pre-submission validation
+ *
+ * Active seat holds count as taken. Authentication is optional - when a Bearer
+ * token is sent, the student's own hold is not counted against them and its
+ * expiry is returned as hold_expires_at.
  */
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -36,10 +41,7 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply generous rate limiting (60 requests per minute for polling)
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 60,
-      windowMs: 60000 // 1 minute
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'capacity' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
@@ -95,11 +97,23 @@ module.exports = async (req, res) => {
       console.log(`📊 Redis seeded: exam:${mockExamId}:bookings = ${totalBookings}`);
     }
 
+    // Seats held by other students filling in the booking form
+    let viewer = null;
+    if (req.headers?.authorization) {
+      try {
+        viewer = requireStudentSession(req);
+      } catch (sessionError) {
+        // Expired or invalid token - treat as anonymous
+      }
+    }
+
+    const { count: heldSeats, ownExpiresAt } = await redis.countSeatHolds(mockExamId, viewer?.studentId || null);
+
     // Close Redis connection
     await redis.close();
 
     // Calculate availability
-    const availableSlots = Math.max(0, capacity - totalBookings);
+    const availableSlots = Math.max(0, capacity - totalBookings - heldSeats);
     const isFull = availableSlots <= 0;
 
     // Return capacity data
@@ -107,8 +121,10 @@ module.exports = async (req, res) => {
       mock_exam_id: mockExamId,
       capacity,
       total_bookings: totalBookings,
+      held_seats: heldSeats,
       available_slots: availableSlots,
       is_full: isFull,
+      hold_expires_at: ownExpiresAt ? new Date(ownExpiresAt).toISOString() : null,
       last_checked: new Date().toISOString()
     };
 
@@ -0,0 +1,155 @@
+/**
+ * POST   /api/mock-exams/[id]/hold - Hold a seat while the student fills in the booking form
+ * DELETE /api/mock-exams/[id]/hold - Release the student's seat hold
+ *
+ * Authentication: Authorization: Bearer <access token> - the hold belongs to the
+ * session's student.
+ *
+ * A hold lasts SEAT_HOLD_TTL_SECONDS and counts against capacity in
+ * /api/mock-exams/available, /api/mock-exams/[id]/capacity and /api/bookings/create.
+ * POSTing again extends the student's hold. A student holds at most one seat;
+ * holding a seat on another session releases the previous one. The hold is
+ * converted into the booking by /api/bookings/create.
+ *
+ * Returns:
+ * - 200: Hold placed / extended / released
+ * - 401: Authentication failed
+ * - 404: Mock exam not found
+ * - 409: No seat left to hold (EXAM_FULL) or booking has closed (BOOKING_CLOSED)
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const RedisLockService = require('../../_shared/redis');
+const { supabaseAdmin } = require('../../_shared/supabase');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../../_shared/auth');
+const { requireStudentSession } = require('../../_shared/student-session');
+const { evaluateBookingWindow, createBookingClosedError } = require('../../_shared/booking-cutoff');
+
+const SEAT_HOLD_TTL_SECONDS = 5 * 60;
+
+module.exports = async (req, res) => {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (handleOptionsRequest(req, res)) {
+    return;
+  }
+
+  let redis = null;
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    const mockExamId = sanitizeInput(req.query.id || '');
+    if (!mockExamId) {
+      const error = new Error('Mock exam ID is required');
+      error.status = 400;
+      error.code = 'MISSING_EXAM_ID';
+      throw error;
+    }
+
+    // The hold belongs to the session's student
+    const session = requireStudentSession(req);
+    const studentId = session.studentId;
+
+    redis = new RedisLockService();
+
+    // ========================================================================
+    // Release
+    // ========================================================================
+    if (req.method === 'DELETE') {
+      const released = await redis.releaseSeatHold(mockExamId, studentId);
+
+      if (released) {
+        console.log(`🔓 [SEAT-HOLD] Released hold on ${mockExamId} for ${studentId}`);
+      }
+
+      return res.status(200).json(createSuccessResponse(
+        { mock_exam_id: mockExamId, released },
+        released ? 'Seat released' : 'No seat was held'
+      ));
+    }
+
+    // ========================================================================
+    // Place or extend
+    // ========================================================================
+    const { data: examData, error: examError } = await supabaseAdmin
+      .from('hubspot_mock_exams')
+      .select('capacity, total_bookings, mock_type, exam_date, start_time, booking_cutoff_hours, scheduled_deactivation_datetime')
+      .eq('hubspot_id', mockExamId)
+      .single();
+
+    if (examError || !examData) {
+      const error = new Error('Mock exam not found');
+      error.status = 404;
+      error.code = 'EXAM_NOT_FOUND';
+      throw error;
+    }
+
+    const bookingWindow = evaluateBookingWindow(examData);
+    if (!bookingWindow.open) {
+      throw createBookingClosedError(bookingWindow);
+    }
+
+    const hold = await redis.placeSeatHold(
+      mockExamId,
+      studentId,
+      parseInt(examData.capacity) || 0,
+      parseInt(examData.total_bookings) || 0,
+      SEAT_HOLD_TTL_SECONDS
+    );
+
+    if (!hold.held) {
+      console.log(`🚫 [SEAT-HOLD] No seat left on ${mockExamId} (${hold.bookings} booked + ${hold.holds} held)`);
+      const error = new Error('This session is now full');
+      error.status = 409;
+      error.code = 'EXAM_FULL';
+      throw error;
+    }
+
+    console.log(`🔒 [SEAT-HOLD] ${studentId} holds a seat on ${mockExamId} until ${new Date(hold.expiresAt).toISOString()}`);
+
+    return res.status(200).json(createSuccessResponse(
+      {
+        mock_exam_id: mockExamId,
+        expires_at: new Date(hold.expiresAt).toISOString(),
+        ttl_seconds: SEAT_HOLD_TTL_SECONDS
+      },
+      'Seat held'
+    ));
+
+  } catch (error) {
+    console.error('❌ [SEAT-HOLD] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  } finally {
+    if (redis) {
+      await redis.close();
+    }
+  }
+};
@@ -3,6 +3,7 @@ const { HubSpotService } = require('../_shared/hubspot');
 const { validateInput } = require('../_shared/validation');
 const { getCache } = require('../_shared/cache');
 const { getExamsFromSupabase } = require('../_shared/supabase-data');
+const { evaluateBookingWindow, filterBookableSessions } = require('../_shared/booking-cutoff');
 const {
   setCorsHeaders,
   handleOptionsRequest,
@@ -15,6 +16,9 @@ const {
 /**
  * GET /api/mock-exams/available
  * Fetch all active mock exam sessions filtered by type with available capacity
+ *
+ * Sessions whose booking window has closed (booking-cutoff.js) are left out;
+ * every session carries booking_closes_at so the list can show the deadline.
  */
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -37,10 +41,7 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply rate limiting
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 30,
-      windowMs: 60000 // 1 minute
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'availability' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
@@ -62,7 +63,8 @@ module.exports = async (req, res) => {
       const cachedData = await cache.get(cacheKey);
       if (cachedData) {
         console.log(`🎯 Cache HIT for ${cacheKey}`);
-        return res.status(200).json(createSuccessResponse(cachedData));
+        // Cached lists can outlive a session's booking cutoff
+        return res.status(200).json(createSuccessResponse(filterBookableSessions(cachedData)));
       }
     }
 
@@ -106,7 +108,9 @@ module.exports = async (req, res) => {
             total_bookings: exam.total_bookings?.toString() || '0',
             location: exam.location,
             is_active: exam.is_active,
-            mock_set: exam.mock_set
+            mock_set: exam.mock_set,
+            booking_cutoff_hours: exam.booking_cutoff_hours,
+            scheduled_deactivation_datetime: exam.scheduled_deactivation_datetime
           }
         };
       });
@@ -147,7 +151,10 @@ module.exports = async (req, res) => {
         totalBookings = parseInt(totalBookings);
       }
 
-      const availableSlots = Math.max(0, capacity - totalBookings);
+      // Seats held by students who are filling in the booking form count as taken
+      const { count: heldSeats } = await redis.countSeatHolds(exam.id);
+
+      const availableSlots = Math.max(0, capacity - totalBookings - heldSeats);
 
       // Generate fallback times if missing from HubSpot
       if (!exam.properties.start_time || !exam.properties.end_time) {
@@ -181,6 +188,8 @@ module.exports = async (req, res) => {
         }
       }
 
+      const bookingWindow = evaluateBookingWindow(exam.properties);
+
       return {
         mock_exam_id: exam.id,
         exam_date: exam.properties.exam_date,
@@ -190,11 +199,14 @@ module.exports = async (req, res) => {
         mock_set: exam.properties?.mock_set || null,
         capacity: capacity,
         total_bookings: totalBookings,
+        held_seats: heldSeats,
         available_slots: availableSlots,
         location: exam.properties.location || 'TBD',
         is_active: exam.properties.is_active === 'true' || exam.properties.is_active === true,
         status: availableSlots === 0 ? 'full' :
-                 availableSlots <= 3 ? 'limited' : 'available'
+                 availableSlots <= 3 ? 'limited' : 'available',
+        booking_open: bookingWindow.open,
+        booking_closes_at: bookingWindow.closes_at
       };
     }));
 
@@ -205,9 +217,11 @@ module.exports = async (req, res) => {
     // - include_capacity=true: Return ALL exams including full ones (for admin views)
     // - include_capacity=false (default): Filter out full exams (available_slots > 0 only)
     // Default behavior is to hide full sessions from users
+    // Sessions past their booking cutoff are never listed
+    const bookableExams = processedExams.filter(exam => exam.booking_open);
     const filteredExams = include_capacity
-      ? processedExams
-      : processedExams.filter(exam => exam.available_slots > 0);
+      ? bookableExams
+      : bookableExams.filter(exam => exam.available_slots > 0);
 
     // Sort by date (already sorted by HubSpot, but ensure consistency)
     filteredExams.sort((a, b) => new Date(a.exam_date) - new Date(b.exam_date));
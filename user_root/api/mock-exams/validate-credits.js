@@ -10,51 +10,63 @@ const {
   rateLimitMiddleware,
   sanitizeInput
 } = require('../_shared/auth');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
 const {
   getContactCreditsFromSupabase,
   syncContactCreditsToSupabase
 } = require('../_shared/supabase-data');
+const { getCreditExpiry, listExpiringSoon } = require('../_shared/credit-lots');
 
 /**
  * Calculate available credits based on mock type
+ *
+ * With a lot summary (credit-lots.js), tokens past their expiry date are not
+ * counted and the tokens expiring soon are listed in credit_breakdown.expiring_soon.
  */
-function calculateCredits(contact, mockType) {
+function calculateCredits(contact, mockType, creditExpiry = null) {
   if (!contact || !contact.properties) {
     return {
       eligible: false,
       available_credits: 0,
       credit_breakdown: {
         specific_credits: 0,
-        shared_credits: 0
+        shared_credits: 0,
+        expiring_soon: []
       }
     };
   }
 
   const props = contact.properties;
-  let specificCredits = 0;
-  let sharedCredits = parseInt(props.shared_mock_credits) || 0;
+  let specificField;
+  let usesShared = true;
 
   switch (mockType) {
     case 'Situational Judgment':
-      specificCredits = parseInt(props.sj_credits) || 0;
+      specificField = 'sj_credits';
       break;
     case 'Clinical Skills':
-      specificCredits = parseInt(props.cs_credits) || 0;
+      specificField = 'cs_credits';
       break;
     case 'Mini-mock':
       // Mini-mock only uses specific credits
-      specificCredits = parseInt(props.sjmini_credits) || 0;
-      sharedCredits = 0; // Don't use shared credits for mini-mock
+      specificField = 'sjmini_credits';
+      usesShared = false; // Don't use shared credits for mini-mock
       break;
     case 'Mock Discussion':
       // Mock Discussion only uses specific credits
-      specificCredits = parseInt(props.mock_discussion_token) || 0;
-      sharedCredits = 0; // Don't use shared credits for mock discussion
+      specificField = 'mock_discussion_token';
+      usesShared = false; // Don't use shared credits for mock discussion
       break;
     default:
       throw new Error('Invalid mock type');
   }
 
+  const creditsFor = field => (creditExpiry
+    ? creditExpiry[field].usable_balance
+    : parseInt(props[field]) || 0);
+
+  const specificCredits = creditsFor(specificField);
+  const sharedCredits = usesShared ? creditsFor('shared_mock_credits') : 0;
   const totalCredits = specificCredits + sharedCredits;
 
   return {
@@ -62,7 +74,10 @@ function calculateCredits(contact, mockType) {
     available_credits: totalCredits,
     credit_breakdown: {
       specific_credits: specificCredits,
-      shared_credits: sharedCredits
+      shared_credits: sharedCredits,
+      expiring_soon: creditExpiry
+        ? listExpiringSoon(creditExpiry, usesShared ? [specificField, 'shared_mock_credits'] : [specificField])
+        : []
     }
   };
 }
@@ -92,17 +107,17 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply rate limiting
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 20,
-      windowMs: 60000 // 1 minute
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'credits' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
     }
 
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
     // Validate input
-    const validatedData = await validateInput(req.body, 'creditValidation');
+    const validatedData = await validateInput(withSessionIdentity(req.body, session), 'creditValidation');
     const { student_id, email, mock_type } = validatedData;
 
     // Sanitize inputs
@@ -170,8 +185,9 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Calculate available credits
-    const creditInfo = calculateCredits(contact, mock_type);
+    // Calculate available credits (expired tokens excluded, expiring ones listed)
+    const creditExpiry = await getCreditExpiry(contact.id, contact.properties);
+    const creditInfo = calculateCredits(contact, mock_type, creditExpiry);
 
     // Enrollment ID not required for booking (optimized - removed unnecessary API call)
     let enrollmentId = null;
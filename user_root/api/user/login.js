@@ -15,6 +15,12 @@ const {
   syncContactCreditsToSupabase
 } = require('../_shared/supabase-data');
 const { CacheService } = require('../_shared/cache');
+const {
+  issueSession,
+  isLoginOtpEnabled,
+  requestLoginOtp
+} = require('../_shared/student-session');
+const { getCreditExpiry, listExpiringSoon } = require('../_shared/credit-lots');
 
 /**
  * POST /api/user/login
@@ -25,8 +31,13 @@ const { CacheService } = require('../_shared/cache');
  * 2. Try Supabase secondary DB (~50ms) - fast path
  * 3. Fallback to HubSpot (~500ms) if not cached - source of truth
  * 4. Auto-populate Redis and Supabase for future requests
+ * 5. Issue a signed session (access + refresh token), or - when
+ *    STUDENT_LOGIN_OTP_ENABLED=true - email a one-time code and defer the
+ *    session to POST /api/user/verify-otp
  *
- * Returns: Student profile with all credit balances
+ * Returns: Student profile with all credit balances, tokens expiring in the
+ * next 30 days (credit_expiry) and `session` tokens,
+ * or { otp_required: true, email_hint, expires_in } when a code was sent
  */
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -49,10 +60,7 @@ module.exports = async (req, res) => {
     verifyEnvironmentVariables();
 
     // Apply rate limiting
-    const rateLimiter = rateLimitMiddleware({
-      maxRequests: 10,
-      windowMs: 60000 // 1 minute - stricter for login
-    });
+    const rateLimiter = rateLimitMiddleware({ policy: 'login' });
 
     if (await rateLimiter(req, res)) {
       return; // Request was rate limited
@@ -182,6 +190,9 @@ module.exports = async (req, res) => {
         shared_mock_credits: parseInt(contact.properties.shared_mock_credits) || 0
       },
 
+      // Tokens expiring soon - read fresh, lots are not part of the cached contact
+      credit_expiry: listExpiringSoon(await getCreditExpiry(contact.id, contact.properties)),
+
       // Metadata for debugging/monitoring
       _metadata: {
         data_source: dataSource,
@@ -189,6 +200,27 @@ module.exports = async (req, res) => {
       }
     };
 
+    const identity = {
+      contactId: contact.id,
+      studentId: student_id,
+      email: email.toLowerCase()
+    };
+
+    // Optional second step: the session is only issued once the emailed code is verified
+    if (isLoginOtpEnabled()) {
+      const otp = await requestLoginOtp(identity, studentProfile);
+
+      return res.status(200).json(createSuccessResponse(
+        {
+          otp_required: true,
+          ...otp
+        },
+        'A verification code has been sent to your email'
+      ));
+    }
+
+    studentProfile.session = await issueSession(identity);
+
     // Return success response
     res.status(200).json(createSuccessResponse(
       studentProfile,
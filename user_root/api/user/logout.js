@@ -0,0 +1,48 @@
+require('dotenv').config();
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse
+} = require('../_shared/auth');
+const { validateInput } = require('../_shared/validation');
+const { revokeSession } = require('../_shared/student-session');
+
+/**
+ * POST /api/user/logout
+ * Revoke the student's refresh token so the session cannot be extended
+ *
+ * The short-lived access token simply expires on its own.
+ *
+ * Body: { refresh_token }
+ */
+module.exports = async (req, res) => {
+  setCorsHeaders(res);
+
+  if (handleOptionsRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json(
+      createErrorResponse(new Error('Method not allowed'))
+    );
+  }
+
+  try {
+    const { refresh_token } = await validateInput(req.body, 'sessionRefresh');
+
+    const revoked = await revokeSession(refresh_token);
+
+    res.status(200).json(createSuccessResponse(
+      { revoked },
+      'Logged out'
+    ));
+
+  } catch (error) {
+    console.error('❌ [SESSION] Error during logout:', error.message);
+
+    const statusCode = error.status || 500;
+    res.status(statusCode).json(createErrorResponse(error));
+  }
+};
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  rateLimitMiddleware
+} = require('../_shared/auth');
+const { validateInput } = require('../_shared/validation');
+const { rotateSession } = require('../_shared/student-session');
+
+/**
+ * POST /api/user/refresh
+ * Exchange a refresh token for a new access + refresh token pair
+ *
+ * Refresh tokens are single use: the one sent here is revoked and a new one
+ * is returned, so a stolen token stops working as soon as either side refreshes.
+ *
+ * Body: { refresh_token }
+ */
+module.exports = async (req, res) => {
+  setCorsHeaders(res);
+
+  if (handleOptionsRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json(
+      createErrorResponse(new Error('Method not allowed'))
+    );
+  }
+
+  try {
+    const rateLimiter = rateLimitMiddleware({ policy: 'session-refresh' });
+
+    if (await rateLimiter(req, res)) {
+      return;
+    }
+
+    const { refresh_token } = await validateInput(req.body, 'sessionRefresh');
+
+    const session = await rotateSession(refresh_token);
+
+    res.status(200).json(createSuccessResponse(
+      { session },
+      'Session refreshed'
+    ));
+
+  } catch (error) {
+    console.error('❌ [SESSION] Error refreshing session:', error.message);
+
+    const statusCode = error.status || 500;
+    res.status(statusCode).json(createErrorResponse(error));
+  }
+};
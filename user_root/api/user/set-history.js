@@ -0,0 +1,99 @@
+/**
+ * GET /api/user/set-history - Exam sets the authenticated student has attended or is booked into
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Cancelled bookings and no-shows don't count (see _shared/mock-set-repeats.js).
+ * The booking flow uses this to flag sessions running a set the student has already seen.
+ *
+ * Returns:
+ * - 200: { set_history: { [mock_type]: [{ mock_set, attended, exam_date, booking_id }] } }
+ * - 401: Authentication failed
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const { getContactCreditsFromSupabase } = require('../_shared/supabase-data');
+const { getSetHistoryForContact } = require('../_shared/mock-set-repeats');
+const { requireStudentSession } = require('../_shared/student-session');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-read' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'GET') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.authCheck.validate({
+      student_id: session.studentId,
+      email: session.email
+    });
+
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email);
+
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    const setHistory = await getSetHistoryForContact(contact.hubspot_id);
+
+    console.log(`📚 [SET-HISTORY] ${sanitizedStudentId}: ${Object.values(setHistory).reduce((total, sets) => total + sets.length, 0)} sets across ${Object.keys(setHistory).length} mock types`);
+
+    return res.status(200).json(createSuccessResponse({
+      set_history: setHistory
+    }));
+
+  } catch (error) {
+    console.error('❌ [SET-HISTORY] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,124 @@
+/**
+ * GET /api/user/token-history - The authenticated student's token history (read-only)
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Query Parameters:
+ * - limit (optional): Page size (default 20, max 100)
+ * - offset (optional): Entries to skip (default 0)
+ *
+ * Entries come from the credit ledger, newest first. Who made an admin change
+ * is not exposed to students - only that it was an admin.
+ *
+ * Returns:
+ * - 200: { entries: [...], total }
+ * - 401: Authentication failed
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const { getContactCreditsFromSupabase } = require('../_shared/supabase-data');
+const { getCreditHistory } = require('../_shared/credit-ledger');
+const { requireStudentSession } = require('../_shared/student-session');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-read' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'GET') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.authCheck.validate({
+      student_id: session.studentId,
+      email: session.email
+    });
+
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email);
+
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const history = await getCreditHistory(contact.hubspot_id, { limit, offset });
+
+    const entries = history.entries.map(entry => ({
+      id: entry.id,
+      credit_field: entry.credit_field,
+      delta: entry.delta,
+      balance_before: entry.balance_before,
+      balance_after: entry.balance_after,
+      reason: entry.reason,
+      booking_id: entry.booking_id,
+      actor_type: entry.actor_type,
+      created_at: entry.created_at
+    }));
+
+    console.log(`📒 [TOKEN-HISTORY] ${sanitizedStudentId}: ${entries.length} of ${history.total} entries`);
+
+    return res.status(200).json(createSuccessResponse({
+      entries,
+      total: history.total,
+      limit,
+      offset
+    }));
+
+  } catch (error) {
+    console.error('❌ [TOKEN-HISTORY] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
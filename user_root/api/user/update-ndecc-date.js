@@ -11,21 +11,20 @@ const {
   sanitizeInput
 } = require('../_shared/auth');
 const { syncContactCreditsToSupabase } = require('../_shared/supabase-data');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
 
 /**
  * PUT /api/user/update-ndecc-date
  * Update a user's NDECC exam date in HubSpot and Supabase
  *
- * Authentication: User must provide student_id and email
- * Input validation: student_id, email, and ndecc_exam_date (YYYY-MM-DD, today or future)
+ * Authentication: Authorization: Bearer <access token> - student_id and email come from the session
+ * Input validation: ndecc_exam_date (YYYY-MM-DD, today or future)
  *
  * Updates:
  * 1. HubSpot contact's ndecc_exam_date property (blocking)
  * 2. Supabase hubspot_contact_credits table (non-blocking sync)
  *
  * @param {Object} req.body - Request body
- * @param {string} req.body.student_id - Student ID for authentication
- * @param {string} req.body.email - Email for authentication
  * @param {string} req.body.ndecc_exam_date - NDECC exam date (YYYY-MM-DD format)
  * @returns {Object} Success response with updated date or error response
  */
@@ -39,7 +38,9 @@ module.exports = async function handler(req, res) {
 
   try {
     // Security check - rate limiting
-    await rateLimitMiddleware(req, res);
+    if (await rateLimitMiddleware({ policy: 'default' })(req, res)) {
+      return; // Request was rate limited
+    }
 
     // Environment validation
     verifyEnvironmentVariables();
@@ -52,8 +53,11 @@ module.exports = async function handler(req, res) {
       throw error;
     }
 
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
     // Validate input using the updateNdeccDate schema
-    const { error, value: validatedData } = schemas.updateNdeccDate.validate(req.body);
+    const { error, value: validatedData } = schemas.updateNdeccDate.validate(withSessionIdentity(req.body, session));
     if (error) {
       const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
       validationError.status = 400;
@@ -0,0 +1,63 @@
+require('dotenv').config();
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  rateLimitMiddleware
+} = require('../_shared/auth');
+const { validateInput } = require('../_shared/validation');
+const { issueSession, verifyLoginOtp } = require('../_shared/student-session');
+
+/**
+ * POST /api/user/verify-otp
+ * Second login step when STUDENT_LOGIN_OTP_ENABLED=true
+ *
+ * Checks the 6-digit code emailed by /api/user/login and, if it matches,
+ * returns the same profile + session tokens a one-step login would.
+ *
+ * Body: { student_id, email, code }
+ */
+module.exports = async (req, res) => {
+  setCorsHeaders(res);
+
+  if (handleOptionsRequest(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json(
+      createErrorResponse(new Error('Method not allowed'))
+    );
+  }
+
+  try {
+    const rateLimiter = rateLimitMiddleware({ policy: 'login-otp' });
+
+    if (await rateLimiter(req, res)) {
+      return;
+    }
+
+    const { student_id, email, code } = await validateInput(req.body, 'loginOtpVerify');
+
+    const { identity, profile } = await verifyLoginOtp(student_id, email, code);
+
+    const studentProfile = {
+      ...profile,
+      session: await issueSession(identity)
+    };
+
+    console.log(`✅ [OTP] Login code verified for student ${student_id}`);
+
+    res.status(200).json(createSuccessResponse(
+      studentProfile,
+      'Login successful'
+    ));
+
+  } catch (error) {
+    console.error('❌ [OTP] Error verifying login code:', error.message);
+
+    const statusCode = error.status || 500;
+    res.status(statusCode).json(createErrorResponse(error));
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * DELETE /api/waitlist/[id] - Leave a waitlist
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * URL Parameters:
+ * - id: The waitlist entry UUID
+ *
+ * Returns:
+ * - 200: Left waitlist
+ * - 400: Invalid request parameters
+ * - 401: Authentication failed
+ * - 403: Entry doesn't belong to authenticated student
+ * - 404: Entry not found
+ * - 409: Entry already promoted / removed
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const { getContactCreditsFromSupabase } = require('../_shared/supabase-data');
+const { leaveWaitlist } = require('../_shared/waitlist');
+const { requireStudentSession } = require('../_shared/student-session');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'DELETE') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    const { id: entryId } = req.query;
+    if (!entryId) {
+      const error = new Error('Waitlist entry ID is required');
+      error.status = 400;
+      error.code = 'MISSING_WAITLIST_ID';
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.authCheck.validate({
+      student_id: session.studentId,
+      email: session.email
+    });
+
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const contact = await getContactCreditsFromSupabase(
+      sanitizeInput(validatedData.student_id),
+      sanitizeInput(validatedData.email)
+    );
+
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    const entry = await leaveWaitlist(sanitizeInput(entryId), contact.hubspot_id);
+
+    return res.status(200).json(createSuccessResponse(
+      {
+        id: entry.id,
+        mock_exam_id: entry.mock_exam_id,
+        status: entry.status
+      },
+      'You have left the waitlist'
+    ));
+
+  } catch (error) {
+    console.error('❌ [WAITLIST-LEAVE] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,170 @@
+/**
+ * POST /api/waitlist/join - Join the waitlist of a full mock exam session
+ *
+ * Authentication: Authorization: Bearer <access token> - the student comes from
+ * the session; student_id/email sent by the client are ignored.
+ *
+ * Body Parameters:
+ * - mock_exam_id: The HubSpot mock exam ID (required)
+ * - dominant_hand: Dominant hand for Clinical Skills (optional)
+ * - attending_location: Attending location for SJ / Mini-mock (optional)
+ *
+ * Returns:
+ * - 201: Joined waitlist (includes queue_position)
+ * - 400: Invalid request parameters
+ * - 401: Authentication failed
+ * - 402: No tokens available for this mock type
+ * - 404: Mock exam not found
+ * - 409: Session not full / already booked / already waitlisted
+ * - 500: Server error
+ */
+
+require('dotenv').config();
+const { schemas } = require('../_shared/validation');
+const {
+  setCorsHeaders,
+  handleOptionsRequest,
+  createErrorResponse,
+  createSuccessResponse,
+  verifyEnvironmentVariables,
+  rateLimitMiddleware,
+  sanitizeInput
+} = require('../_shared/auth');
+const {
+  getContactCreditsFromSupabase,
+  getExamByIdFromSupabase,
+  checkExistingBookingByMockType,
+  supabaseAdmin
+} = require('../_shared/supabase-data');
+const {
+  joinWaitlist,
+  resolveWaitlistCredit,
+  isExamPromotable
+} = require('../_shared/waitlist');
+const { requireStudentSession, withSessionIdentity } = require('../_shared/student-session');
+
+async function handler(req, res) {
+  setCorsHeaders(res);
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return handleOptionsRequest(req, res);
+  }
+
+  try {
+    // Security check
+    if (await rateLimitMiddleware({ policy: 'bookings-write' })(req, res)) {
+      return; // Request was rate limited
+    }
+
+    // Environment validation
+    verifyEnvironmentVariables();
+
+    if (req.method !== 'POST') {
+      const error = new Error('Method not allowed');
+      error.status = 405;
+      throw error;
+    }
+
+    // Identity comes from the session token, never from the request
+    const session = requireStudentSession(req);
+
+    const { error, value: validatedData } = schemas.waitlistJoin.validate(withSessionIdentity(req.body, session));
+    if (error) {
+      const validationError = new Error(`Invalid input: ${error.details.map(detail => detail.message).join(', ')}`);
+      validationError.status = 400;
+      validationError.code = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+
+    const sanitizedStudentId = sanitizeInput(validatedData.student_id);
+    const sanitizedEmail = sanitizeInput(validatedData.email).toLowerCase();
+    const mockExamId = sanitizeInput(validatedData.mock_exam_id);
+
+    console.log(`📋 [WAITLIST-JOIN] ${sanitizedStudentId} requesting waitlist for exam ${mockExamId}`);
+
+    // Step 1: Authenticate student (Supabase-first)
+    const contact = await getContactCreditsFromSupabase(sanitizedStudentId, sanitizedEmail);
+    if (!contact) {
+      const authError = new Error('Authentication failed. Please check your Student ID and email.');
+      authError.status = 401;
+      authError.code = 'AUTH_FAILED';
+      throw authError;
+    }
+
+    // Step 2: Load exam
+    const exam = await getExamByIdFromSupabase(mockExamId);
+    if (!exam || !isExamPromotable(exam)) {
+      const notFoundError = new Error('Mock exam not found or no longer available');
+      notFoundError.status = 404;
+      notFoundError.code = 'EXAM_NOT_FOUND';
+      throw notFoundError;
+    }
+
+    // Step 3: Waitlists are only for full sessions - otherwise book directly
+    const { count: activeCount, error: countError } = await supabaseAdmin
+      .from('hubspot_bookings')
+      .select('*', { count: 'exact', head: true })
+      .eq('associated_mock_exam', mockExamId)
+      .eq('is_active', 'Active');
+
+    if (countError) {
+      throw countError;
+    }
+
+    if (activeCount < (parseInt(exam.capacity) || 0)) {
+      const notFullError = new Error('This session still has seats available. Please book it directly.');
+      notFullError.status = 409;
+      notFullError.code = 'EXAM_NOT_FULL';
+      throw notFullError;
+    }
+
+    // Step 4: Same date + same mock type duplicate rule applies to waitlists too
+    const normalizedExamDate = exam.exam_date.includes('T') ? exam.exam_date.split('T')[0] : exam.exam_date;
+    const duplicateCheck = await checkExistingBookingByMockType(contact.hubspot_id, normalizedExamDate, exam.mock_type);
+    if (duplicateCheck.exists) {
+      const duplicateError = new Error(`You already have a ${exam.mock_type} booking for this date`);
+      duplicateError.status = 409;
+      duplicateError.code = 'DUPLICATE_BOOKING';
+      throw duplicateError;
+    }
+
+    // Step 5: Student must hold a token so promotion can deduct it
+    if (!resolveWaitlistCredit(contact, exam.mock_type)) {
+      const creditsError = new Error(`You need an available ${exam.mock_type} token to join the waitlist`);
+      creditsError.status = 402;
+      creditsError.code = 'INSUFFICIENT_CREDITS';
+      throw creditsError;
+    }
+
+    // Step 6: Join
+    const entry = await joinWaitlist({
+      exam,
+      contact,
+      attendingLocation: validatedData.attending_location,
+      dominantHand: validatedData.dominant_hand
+    });
+
+    return res.status(201).json(createSuccessResponse(
+      {
+        id: entry.id,
+        mock_exam_id: mockExamId,
+        status: entry.status,
+        queue_position: entry.queue_position,
+        waitlist_size: entry.waitlist_size
+      },
+      `You are #${entry.queue_position} on the waitlist`
+    ));
+
+  } catch (error) {
+    console.error('❌ [WAITLIST-JOIN] Error:', {
+      message: error.message,
+      status: error.status || 500,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+
+    return res.status(error.status || 500).json(createErrorResponse(error));
+  }
+}
+
+module.exports = handler;
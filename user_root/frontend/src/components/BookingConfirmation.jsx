@@ -1,6 +1,6 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
-import { formatDate } from '../services/api';
+import apiService, { formatDate } from '../services/api';
 import TokenCard from './shared/TokenCard';
 import Logo from './shared/Logo';
 import { useCachedCredits } from '../hooks/useCachedCredits';
@@ -12,6 +12,7 @@ const BookingConfirmation = () => {
   const navigate = useNavigate();
 
   const bookingData = location.state?.bookingData || {};
+  const [calendarStatus, setCalendarStatus] = useState('idle'); // 'idle' | 'downloading' | 'error'
 
   // Import the hook and get user session
   const { credits, loading: creditsLoading, fetchCredits } = useCachedCredits();
@@ -88,6 +89,22 @@ const BookingConfirmation = () => {
     navigate('/book/exam-types', { state: { refreshBookings: true } });
   };
 
+  // Download the new booking as an .ics file (needs the Supabase record ID)
+  const handleAddToCalendar = async () => {
+    setCalendarStatus('downloading');
+
+    try {
+      await apiService.calendar.downloadBooking(bookingData.bookingRecordId, {
+        student_id: bookingData.studentId,
+        email: bookingData.email
+      });
+      setCalendarStatus('idle');
+    } catch (error) {
+      console.error('❌ [BookingConfirmation] Failed to download calendar file:', error);
+      setCalendarStatus('error');
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-teal-50 via-white to-teal-50 dark:from-dark-bg dark:via-dark-bg dark:to-dark-card">
       <div className="container-app py-12 max-w-2xl">
@@ -119,6 +136,14 @@ const BookingConfirmation = () => {
             {bookingData.confirmationMessage || 'Your mock exam has been successfully booked.'}
           </p>
 
+          {bookingData.setRepeatWarning && (
+            <div className="mb-8 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg text-left" role="status">
+              <p className="font-body text-sm text-amber-800 dark:text-amber-300">
+                {bookingData.setRepeatWarning} You may see some of the same cases again.
+              </p>
+            </div>
+          )}
+
           {/* Booking Details */}
           <div className="bg-gray-50 dark:bg-dark-hover rounded-lg p-6 text-left mb-8">
             <h2 className="font-subheading text-lg font-semibold text-primary-900 dark:text-gray-100 mb-4">
@@ -202,6 +227,20 @@ const BookingConfirmation = () => {
             >
               Book Another Exam
             </button>
+            {bookingData.bookingRecordId && (
+              <button
+                onClick={handleAddToCalendar}
+                disabled={calendarStatus === 'downloading'}
+                className="btn-secondary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {calendarStatus === 'downloading' ? 'Preparing Calendar File...' : 'Add to Calendar'}
+              </button>
+            )}
+            {calendarStatus === 'error' && (
+              <p className="text-sm text-red-600 dark:text-red-400" role="alert">
+                We couldn't create the calendar file. You can download it later from My Bookings.
+              </p>
+            )}
           </div>
 
           {/* Additional Info */}
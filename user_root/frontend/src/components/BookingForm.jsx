@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import useBookingFlow from '../hooks/useBookingFlow';
 import CreditAlert from './shared/CreditAlert';
@@ -10,10 +10,10 @@ import LocationSelector from './shared/LocationSelector';
 import ErrorDisplay from './shared/ErrorDisplay';
 import TimeConflictWarning from './shared/TimeConflictWarning';
 import SessionFullModal from './shared/SessionFullModal';
-import { formatDate } from '../services/api';
+import apiService, { formatDate } from '../services/api';
 import { invalidateCreditsCache } from '../hooks/useCachedCredits';
 
-import { getUserSession, clearUserSession } from '../utils/auth';
+import { getUserSession, getAccessToken } from '../utils/auth';
 
 // API base URL
 const API_BASE = import.meta.env.VITE_API_BASE_URL || '/api';
@@ -39,6 +39,17 @@ const getTimeAgo = (timestamp) => {
   return 'a while ago';
 };
 
+/**
+ * Headers for capacity checks - the session token lets the backend leave our own seat hold out of the count
+ */
+const capacityHeaders = () => {
+  const token = getAccessToken();
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+};
+
 const BookingForm = () => {
   const { mockExamId } = useParams();
   const location = useLocation();
@@ -81,6 +92,15 @@ const BookingForm = () => {
   // Session full modal state
   const [showSessionFullModal, setShowSessionFullModal] = useState(false);
 
+  // Seat hold state - the seat is held while the form is open and released on timeout or navigation
+  const [seatHold, setSeatHold] = useState(null);
+  const seatHoldRef = useRef(null);
+  const bookingCompletedRef = useRef(false);
+
+  // Waitlist state (offered from the session full modal)
+  const [isJoiningWaitlist, setIsJoiningWaitlist] = useState(false);
+  const [waitlistError, setWaitlistError] = useState(null);
+
   // Determine which field is needed based on exam type
   const isClinicalSkills = mockType === 'Clinical Skills';
   const isLocationBased = ['Situational Judgment', 'Mini-mock'].includes(mockType);
@@ -123,6 +143,57 @@ const BookingForm = () => {
     }
   }, [error]);
 
+  // Hold a seat once credits are verified so it cannot be taken while the form is filled in
+  useEffect(() => {
+    if (step !== 'details' || !mockExamId) {
+      return;
+    }
+
+    let cancelled = false;
+
+    apiService.mockExams.holdSeat(mockExamId)
+      .then((response) => {
+        seatHoldRef.current = response?.data || null;
+        if (!cancelled) {
+          setSeatHold(response?.data || null);
+        }
+      })
+      .catch((err) => {
+        if (err.code === 'EXAM_FULL') {
+          setShowSessionFullModal(true);
+          return;
+        }
+        // Booking still works without a hold - the backend re-checks capacity on submit
+        console.error('❌ [BookingForm] Failed to hold seat:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [step, mockExamId]);
+
+  // Release the seat hold when the student leaves the form (in-app navigation or closing the tab)
+  useEffect(() => {
+    const releaseOnPageHide = () => {
+      if (seatHoldRef.current && !bookingCompletedRef.current) {
+        apiService.mockExams.releaseSeat(mockExamId, { keepalive: true }).catch(() => {});
+      }
+    };
+
+    window.addEventListener('pagehide', releaseOnPageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', releaseOnPageHide);
+
+      if (seatHoldRef.current && !bookingCompletedRef.current) {
+        apiService.mockExams.releaseSeat(mockExamId).catch((err) => {
+          console.error('❌ [BookingForm] Failed to release seat hold:', err);
+        });
+        seatHoldRef.current = null;
+      }
+    };
+  }, [mockExamId]);
+
   // Background polling for capacity updates (every 10 seconds)
   useEffect(() => {
     // Only poll when on details step (after credits verified)
@@ -134,9 +205,7 @@ const BookingForm = () => {
       try {
         const response = await fetch(`${API_BASE}/mock-exams/${mockExamId}/capacity`, {
           method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-          },
+          headers: capacityHeaders(),
         });
 
         if (!response.ok) {
@@ -193,9 +262,7 @@ const BookingForm = () => {
     try {
       const capacityResponse = await fetch(`${API_BASE}/mock-exams/${mockExamId}/capacity`, {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: capacityHeaders(),
       });
 
       if (capacityResponse.ok) {
@@ -243,6 +310,9 @@ const BookingForm = () => {
     if (result) {
       console.log('🎯 Booking created successfully:', result);
 
+      // The backend converted the seat hold into the booking
+      bookingCompletedRef.current = true;
+
       // Signal to ExistingBookingsCard that a new booking was created
       const refreshSignal = {
         studentId: userSession?.studentId,
@@ -274,11 +344,30 @@ const BookingForm = () => {
     }
   };
 
-  const handleSessionExpire = () => {
-    alert('Your session has expired. Please start over.');
-    clearUserSession();
-    navigate('/login');
-  };
+  // Seat hold ran out - give the seat back and send the student to pick a session again
+  const handleSeatHoldExpire = useCallback(() => {
+    if (seatHoldRef.current) {
+      apiService.mockExams.releaseSeat(mockExamId).catch(() => {});
+      seatHoldRef.current = null;
+    }
+    setSeatHold(null);
+    alert('Your seat hold has expired. Please select the session again.');
+    navigate(`/book/exams?type=${encodeURIComponent(mockType)}`);
+  }, [mockExamId, mockType, navigate]);
+
+  const handleExtendSeatHold = useCallback(async () => {
+    try {
+      const response = await apiService.mockExams.holdSeat(mockExamId);
+      seatHoldRef.current = response?.data || null;
+      setSeatHold(response?.data || null);
+    } catch (err) {
+      if (err.code === 'EXAM_FULL') {
+        setShowSessionFullModal(true);
+        return;
+      }
+      console.error('❌ [BookingForm] Failed to extend seat hold:', err);
+    }
+  }, [mockExamId]);
 
   // Handle session full modal - navigate to exam selection
   const handleSelectAnotherSession = () => {
@@ -286,6 +375,48 @@ const BookingForm = () => {
     navigate(`/book/exams?type=${encodeURIComponent(mockType)}`);
   };
 
+  // Handle session full modal - join the waitlist for this session
+  const handleJoinWaitlist = async () => {
+    setIsJoiningWaitlist(true);
+    setWaitlistError(null);
+
+    try {
+      const payload = {
+        student_id: userSession?.studentId,
+        email: userSession?.email,
+        mock_exam_id: mockExamId
+      };
+
+      if (isClinicalSkills && dominantHand !== null) {
+        payload.dominant_hand = dominantHand;
+      }
+      if (isLocationBased && attendingLocation) {
+        payload.attending_location = attendingLocation;
+      }
+
+      const result = await apiService.waitlist.join(payload);
+      console.log('✅ [BookingForm] Joined waitlist:', result?.data);
+
+      setShowSessionFullModal(false);
+      navigate('/my-bookings', {
+        state: { waitlistJoined: result?.data || null }
+      });
+    } catch (err) {
+      console.error('❌ [BookingForm] Failed to join waitlist:', err);
+
+      // Seat opened up while the modal was shown - let the student book normally
+      if (err.code === 'EXAM_NOT_FULL') {
+        setShowSessionFullModal(false);
+        clearError();
+        return;
+      }
+
+      setWaitlistError(err.message || 'Unable to join the waitlist. Please try again.');
+    } finally {
+      setIsJoiningWaitlist(false);
+    }
+  };
+
   if (!userSession) {
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-dark-bg flex items-center justify-center">
@@ -342,16 +473,23 @@ const BookingForm = () => {
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-dark-bg">
-      <SessionTimer
-        expiryMinutes={15}
-        onExpire={handleSessionExpire}
-        onExtend={() => console.log('Session extended')}
-      />
+      {seatHold && (
+        <SessionTimer
+          key={seatHold.expires_at}
+          expiryMinutes={seatHold.ttl_seconds / 60}
+          title="Seat hold expiring soon"
+          onExpire={handleSeatHoldExpire}
+          onExtend={handleExtendSeatHold}
+        />
+      )}
 
       {/* Session Full Modal */}
       <SessionFullModal
         isOpen={showSessionFullModal}
         onSelectAnother={handleSelectAnotherSession}
+        onJoinWaitlist={handleJoinWaitlist}
+        isJoiningWaitlist={isJoiningWaitlist}
+        waitlistError={waitlistError}
       />
 
       <div className="container-brand-sm py-12">
@@ -575,6 +713,13 @@ const BookingForm = () => {
                   </div>
                 )}
 
+                {/* Seat Hold Indicator */}
+                {seatHold && (
+                  <div className="text-sm text-gray-600 dark:text-gray-400 text-center">
+                    Your seat is held until {new Date(seatHold.expires_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  </div>
+                )}
+
                 {/* Availability Check Indicator */}
                 {lastCapacityCheck && (
                   <div className="text-sm text-gray-600 dark:text-gray-400 flex items-center justify-center">
@@ -9,6 +9,8 @@ import { getUserSession } from '../utils/auth';
 import useCachedCredits from '../hooks/useCachedCredits';
 import LocationFilter from './shared/LocationFilter';
 import BookingTimeWarningModal from './shared/BookingTimeWarningModal';
+import { getBookingClose, getBookingClosesLabel } from '../utils/bookingCutoff';
+import { findSeenSet, getSeenSetLabel } from '../utils/mockSetHistory';
 
 // Mock types that support mock_set grouping
 const MOCK_SET_APPLICABLE_TYPES = ['Clinical Skills', 'Situational Judgment', 'Mock Discussion'];
@@ -26,6 +28,8 @@ const ExamSessionsList = () => {
   const [sortConfig, setSortConfig] = useState({ key: 'date', direction: 'asc' });
   const [selectedLocation, setSelectedLocation] = useState('all');
   const [tooCloseBookingWarning, setTooCloseBookingWarning] = useState(null); // For date proximity warning
+  const [setHistory, setSetHistory] = useState({}); // Exam sets the student has attended or booked
+  const [showUnseenOnly, setShowUnseenOnly] = useState(false);
   
   // Use the cached credits hook
   const { credits, loading: creditsLoading, fetchCredits } = useCachedCredits();
@@ -33,11 +37,19 @@ const ExamSessionsList = () => {
   // Extract credit breakdown for the specific mock type
   const creditBreakdown = credits?.[mockType]?.credit_breakdown;
 
-  // Filter exams based on selected location
+  const supportsMockSets = MOCK_SET_APPLICABLE_TYPES.includes(mockType);
+
+  // History entry for the set a session runs (null when the set is new to the student)
+  const getSeenSet = (exam) => findSeenSet(setHistory, { mock_type: mockType, mock_set: exam.mock_set });
+
+  // Filter exams based on selected location and, optionally, sets the student hasn't seen
   const filteredExams = useMemo(() => {
-    if (selectedLocation === 'all') return exams;
-    return exams.filter(exam => exam.location === selectedLocation);
-  }, [exams, selectedLocation]);
+    return exams.filter(exam => {
+      if (selectedLocation !== 'all' && exam.location !== selectedLocation) return false;
+      if (showUnseenOnly && supportsMockSets && getSeenSet(exam)) return false;
+      return true;
+    });
+  }, [exams, selectedLocation, showUnseenOnly, setHistory, mockType]);
 
   // Combined loading state
   const isLoading = loading || creditsLoading;
@@ -50,9 +62,22 @@ const ExamSessionsList = () => {
     if (userData) {
       setUserSession(userData);
       fetchCredits(userData.studentId, userData.email);
+      fetchSetHistory();
     }
   }, [mockType]);
 
+  const fetchSetHistory = async () => {
+    try {
+      const result = await apiService.user.getSetHistory();
+      if (result.success) {
+        setSetHistory(result.data?.set_history || {});
+      }
+    } catch (err) {
+      // Non-blocking: sessions still list without seen-set badges
+      console.warn('Could not load exam set history:', err.message);
+    }
+  };
+
   const fetchExams = async () => {
     setLoading(true);
     setError(null);
@@ -138,6 +163,13 @@ const ExamSessionsList = () => {
       return;
     }
 
+    // The list may have been open past the session's booking cutoff
+    if (getBookingClose(exam)?.closed) {
+      alert('Booking for this session has closed. Please select another date.');
+      fetchExams();
+      return;
+    }
+
     navigate(`/book/${exam.mock_exam_id}`, {
       state: {
         mockType,
@@ -328,12 +360,24 @@ const ExamSessionsList = () => {
               selectedLocation={selectedLocation}
               onLocationChange={setSelectedLocation}
             />
+            {supportsMockSets && (
+              <label className="mt-2 flex items-center gap-2 text-sm font-body text-gray-700 dark:text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showUnseenOnly}
+                  onChange={(e) => setShowUnseenOnly(e.target.checked)}
+                  className="h-4 w-4 rounded border-gray-300 dark:border-dark-border text-primary-600 focus:ring-primary-500"
+                />
+                Only show exam sets I haven't seen
+              </label>
+            )}
           </div>
           <div className="flex flex-col items-end gap-2">
             {/* Session Count - Above view buttons */}
             <p className="text-sm font-body text-gray-600 dark:text-gray-400">
               Found {filteredExams.length} session{filteredExams.length !== 1 ? 's' : ''}
               {selectedLocation !== 'all' && ` at ${selectedLocation}`}
+              {showUnseenOnly && supportsMockSets && ' with unseen exam sets'}
             </p>
             <div className="flex items-center space-x-2">
             <button
@@ -385,13 +429,22 @@ const ExamSessionsList = () => {
                 <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
               </svg>
             </div>
-            <p className="text-body font-body text-gray-700 dark:text-gray-300 mb-2">No sessions available at {selectedLocation === 'all' ? 'selected locations' : selectedLocation}</p>
-            <p className="text-small font-body text-gray-600 dark:text-gray-400 mb-4">Try selecting a different location to see available sessions.</p>
+            <p className="text-body font-body text-gray-700 dark:text-gray-300 mb-2">
+              No sessions{showUnseenOnly && supportsMockSets ? ' with an exam set you haven\'t seen' : ''} available at {selectedLocation === 'all' ? 'selected locations' : selectedLocation}
+            </p>
+            <p className="text-small font-body text-gray-600 dark:text-gray-400 mb-4">
+              {showUnseenOnly && supportsMockSets
+                ? 'Try another location or include sets you have already seen.'
+                : 'Try selecting a different location to see available sessions.'}
+            </p>
             <button
-              onClick={() => setSelectedLocation('all')}
+              onClick={() => {
+                setSelectedLocation('all');
+                setShowUnseenOnly(false);
+              }}
               className="btn-primary dark:bg-primary-600 dark:hover:bg-primary-700"
             >
-              View All Locations
+              {showUnseenOnly && supportsMockSets ? 'Clear Filters' : 'View All Locations'}
             </button>
           </div>
         ) : viewMode === 'list' ? (
@@ -489,9 +542,16 @@ const ExamSessionsList = () => {
                         {MOCK_SET_APPLICABLE_TYPES.includes(mockType) && (
                           <td className="px-6 py-4 whitespace-nowrap">
                             {exam.mock_set ? (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 border border-indigo-200 dark:border-indigo-700">
-                                Set {exam.mock_set}
-                              </span>
+                              <div className="flex flex-col items-start gap-1">
+                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 border border-indigo-200 dark:border-indigo-700">
+                                  Set {exam.mock_set}
+                                </span>
+                                {getSeenSet(exam) && (
+                                  <span className="text-xs text-amber-700 dark:text-amber-400">
+                                    {getSeenSetLabel(getSeenSet(exam))}
+                                  </span>
+                                )}
+                              </div>
                             ) : (
                               <span className="text-sm text-gray-400 dark:text-gray-500">-</span>
                             )}
@@ -502,6 +562,11 @@ const ExamSessionsList = () => {
                             availableSlots={exam.available_slots}
                             capacity={exam.capacity}
                           />
+                          {getBookingClosesLabel(exam) && (
+                            <p className="mt-1 text-xs text-amber-700 dark:text-amber-400">
+                              {getBookingClosesLabel(exam)}
+                            </p>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-center">
                           <button
@@ -542,6 +607,11 @@ const ExamSessionsList = () => {
                             Set {exam.mock_set}
                           </span>
                         )}
+                        {MOCK_SET_APPLICABLE_TYPES.includes(mockType) && getSeenSet(exam) && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300 border border-amber-200 dark:border-amber-700">
+                            {getSeenSetLabel(getSeenSet(exam))}
+                          </span>
+                        )}
                       </div>
                       <CapacityBadge
                         availableSlots={exam.available_slots}
@@ -559,6 +629,11 @@ const ExamSessionsList = () => {
                         <LocationIcon />
                         <span>{exam.location}</span>
                       </div>
+                      {getBookingClosesLabel(exam) && (
+                        <p className="text-xs text-amber-700 dark:text-amber-400">
+                          {getBookingClosesLabel(exam)}
+                        </p>
+                      )}
                     </div>
 
                     {/* Action Button */}
@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService, { transformLoginCreditsToCache } from '../services/api';
 import { ResponsiveLogo } from './shared/Logo';
-import { setUserSession } from '../utils/auth';
+import { setUserSession, setSessionTokens } from '../utils/auth';
 
 const LoginForm = () => {
   const navigate = useNavigate();
@@ -10,6 +10,38 @@ const LoginForm = () => {
   const [email, setEmail] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set when the server asks for the emailed one-time code ({ email_hint })
+  const [otpChallenge, setOtpChallenge] = useState(null);
+  const [otpCode, setOtpCode] = useState('');
+
+  const completeLogin = (profileData) => {
+    setSessionTokens(profileData.session);
+
+    // Store user data in localStorage for persistence across page reloads
+    const userData = {
+      studentId: studentId.toUpperCase(),
+      email: email.toLowerCase(),
+      contactId: profileData.contact_id,
+      studentName: profileData.name,
+      ndeccExamDate: profileData.ndecc_exam_date
+    };
+
+    setUserSession(userData);
+
+    // Transform and pre-populate credit cache for instant ExamTypeSelector rendering
+    const transformedCredits = transformLoginCreditsToCache(profileData);
+
+    // Store transformed credits in localStorage for useCachedCredits hook
+    localStorage.setItem('creditCache', JSON.stringify({
+      data: transformedCredits,
+      timestamp: Date.now(),
+      studentId: studentId.toUpperCase(),
+      email: email.toLowerCase()
+    }));
+
+    // Redirect to exam type selection
+    navigate('/book/exam-types');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -21,32 +53,13 @@ const LoginForm = () => {
       const response = await apiService.user.login(studentId, email);
 
       if (response.success) {
-        const profileData = response.data;
-
-        // Store user data in localStorage for persistence across page reloads
-        const userData = {
-          studentId: studentId.toUpperCase(),
-          email: email.toLowerCase(),
-          contactId: profileData.contact_id,
-          studentName: profileData.name,
-          ndeccExamDate: profileData.ndecc_exam_date
-        };
-
-        setUserSession(userData);
-
-        // Transform and pre-populate credit cache for instant ExamTypeSelector rendering
-        const transformedCredits = transformLoginCreditsToCache(profileData);
-
-        // Store transformed credits in localStorage for useCachedCredits hook
-        localStorage.setItem('creditCache', JSON.stringify({
-          data: transformedCredits,
-          timestamp: Date.now(),
-          studentId: studentId.toUpperCase(),
-          email: email.toLowerCase()
-        }));
-
-        // Redirect to exam type selection
-        navigate('/book/exam-types');
+        if (response.data?.otp_required) {
+          setOtpChallenge(response.data);
+          setOtpCode('');
+          return;
+        }
+
+        completeLogin(response.data);
       }
     } catch (err) {
       console.error('Login error:', err);
@@ -54,6 +67,8 @@ const LoginForm = () => {
         setError('No user found with this Student ID. Please check your Student ID and try again.');
       } else if (err.message.includes('Email does not match') || err.message.includes('EMAIL_MISMATCH')) {
         setError('The email address does not match our records for this Student ID.');
+      } else if (err.code === 'RATE_LIMITED') {
+        setError(err.message);
       } else {
         setError('An error occurred while verifying your information. Please try again.');
       }
@@ -62,6 +77,36 @@ const LoginForm = () => {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.user.verifyOtp(studentId, email.toLowerCase(), otpCode);
+
+      if (response.success) {
+        completeLogin(response.data);
+      }
+    } catch (err) {
+      console.error('Code verification error:', err);
+      if (err.code === 'CODE_EXPIRED' || err.code === 'TOO_MANY_ATTEMPTS') {
+        // Code is gone - start over from the first step
+        setOtpChallenge(null);
+        setOtpCode('');
+      }
+      setError(err.message || 'An error occurred while verifying your code. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToLogin = () => {
+    setOtpChallenge(null);
+    setOtpCode('');
+    setError('');
+  };
+
   const clearError = () => {
     setError('');
   };
@@ -118,57 +163,101 @@ const LoginForm = () => {
 
         {/* Login Form */}
         <div className="card dark:bg-dark-card dark:border-dark-border">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="studentId" className="label dark:text-gray-200">
-                Student ID
-              </label>
-              <input
-                type="text"
-                id="studentId"
-                value={studentId}
-                onChange={(e) => setStudentId(e.target.value.toUpperCase())}
-                className="input dark:bg-dark-hover dark:border-dark-border dark:text-gray-100 dark:placeholder-gray-400 dark:focus:border-primary-400"
-                placeholder="e.g., STU123456"
-                required
-                disabled={loading}
-              />
-            </div>
+          {otpChallenge ? (
+            <form onSubmit={handleVerifyCode} className="space-y-6">
+              <div>
+                <label htmlFor="otpCode" className="label dark:text-gray-200">
+                  Verification Code
+                </label>
+                <p className="font-body text-sm text-primary-700 dark:text-gray-300 mb-2">
+                  We sent a 6-digit code to {otpChallenge.email_hint || 'your email'}. It expires in {Math.round((otpChallenge.expires_in || 600) / 60)} minutes.
+                </p>
+                <input
+                  type="text"
+                  id="otpCode"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={otpCode}
+                  onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, ''))}
+                  className="input tracking-widest text-center dark:bg-dark-hover dark:border-dark-border dark:text-gray-100 dark:placeholder-gray-400 dark:focus:border-primary-400"
+                  placeholder="123456"
+                  required
+                  disabled={loading}
+                  autoFocus
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || otpCode.length !== 6}
+                className="btn-primary w-full dark:bg-primary-600 dark:hover:bg-primary-700"
+              >
+                {loading ? 'Verifying...' : 'Verify Code'}
+              </button>
 
-            <div>
-              <label htmlFor="email" className="label dark:text-gray-200">
-                Email Address
-              </label>
-              <input
-                type="email"
-                id="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="input dark:bg-dark-hover dark:border-dark-border dark:text-gray-100 dark:placeholder-gray-400 dark:focus:border-primary-400"
-                placeholder="john.doe@example.com"
-                required
+              <button
+                type="button"
+                onClick={handleBackToLogin}
                 disabled={loading}
-              />
-            </div>
+                className="w-full font-body text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300"
+              >
+                Back to login
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="studentId" className="label dark:text-gray-200">
+                  Student ID
+                </label>
+                <input
+                  type="text"
+                  id="studentId"
+                  value={studentId}
+                  onChange={(e) => setStudentId(e.target.value.toUpperCase())}
+                  className="input dark:bg-dark-hover dark:border-dark-border dark:text-gray-100 dark:placeholder-gray-400 dark:focus:border-primary-400"
+                  placeholder="e.g., STU123456"
+                  required
+                  disabled={loading}
+                />
+              </div>
 
-            <button
-              type="submit"
-              disabled={loading || !studentId || !email}
-              className="btn-primary w-full dark:bg-primary-600 dark:hover:bg-primary-700"
-            >
-              {loading ? (
-                <>
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Verifying...
-                </>
-              ) : (
-                'Login'
-              )}
-            </button>
-          </form>
+              <div>
+                <label htmlFor="email" className="label dark:text-gray-200">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="input dark:bg-dark-hover dark:border-dark-border dark:text-gray-100 dark:placeholder-gray-400 dark:focus:border-primary-400"
+                  placeholder="john.doe@example.com"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !studentId || !email}
+                className="btn-primary w-full dark:bg-primary-600 dark:hover:bg-primary-700"
+              >
+                {loading ? (
+                  <>
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Verifying...
+                  </>
+                ) : (
+                  'Login'
+                )}
+              </button>
+            </form>
+          )}
         </div>
 
         {/* Footer */}
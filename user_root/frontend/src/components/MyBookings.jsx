@@ -3,6 +3,10 @@ import { useNavigate } from 'react-router-dom';
 import { getUserSession, clearUserSession } from '../utils/auth';
 import apiService, { normalizeBooking, formatBookingNumber, getBookingStatus, formatTimeRange as apiFormatTimeRange } from '../services/api';
 import BookingsCalendarView from './bookings/BookingsCalendarView';
+import WaitlistCard from './bookings/WaitlistCard';
+import ChangeSessionModal from './bookings/ChangeSessionModal';
+import CalendarSubscribeCard from './bookings/CalendarSubscribeCard';
+import TokenHistoryCard from './bookings/TokenHistoryCard';
 import CapacityBadge from './shared/CapacityBadge';
 import { ResponsiveLogo } from './shared/Logo';
 import ErrorDisplay from './shared/ErrorDisplay';
@@ -56,13 +60,22 @@ const MyBookings = () => {
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [bookingToDelete, setBookingToDelete] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
-  const [isRescheduling, setIsRescheduling] = useState(false);
   const [deleteError, setDeleteError] = useState('');
 
   // Rebook modal state
   const [rebookModalOpen, setRebookModalOpen] = useState(false);
   const [cancelledBooking, setCancelledBooking] = useState(null);
-  const [bookingToReschedule, setBookingToReschedule] = useState(null); 
+
+  // Change session modal state
+  const [changeSessionOpen, setChangeSessionOpen] = useState(false);
+  const [bookingToReschedule, setBookingToReschedule] = useState(null);
+
+  // Waitlist state - bumped after cancellations so queue positions refresh
+  const [waitlistRefreshKey, setWaitlistRefreshKey] = useState(0);
+
+  // Calendar export state (booking currently being downloaded as .ics)
+  const [calendarDownloadId, setCalendarDownloadId] = useState(null);
+  const [calendarError, setCalendarError] = useState('');
 
   const ITEMS_PER_PAGE = 20;
 
@@ -174,6 +187,8 @@ const MyBookings = () => {
 
   // Handle logout
   const handleLogout = () => {
+    // Revoke the refresh token server-side; the local session is cleared either way
+    apiService.user.logout().catch((err) => console.error('Logout error:', err));
     clearUserSession();
     setIsAuthenticated(false);
     setUserSession(null);
@@ -258,6 +273,7 @@ const MyBookings = () => {
 
         // Force refresh bookings list to show updated status
         await fetchBookings(userSession.studentId, userSession.email, currentPage, true);
+        setWaitlistRefreshKey(prev => prev + 1);
 
         // IMPORTANT: Force fetch fresh credits to show refunded tokens immediately
         // This bypasses the stale cache from fetchBookings response
@@ -300,64 +316,58 @@ const MyBookings = () => {
   };
 
   const handleRescheduleClick = (booking) => {
-      const normalizedBooking = normalizeBooking(booking);
-      setBookingToReschedule(normalizedBooking);
-      setRebookModalOpen(true);
-  }
+    setBookingToReschedule(normalizeBooking(booking));
+    setChangeSessionOpen(true);
+  };
+
+  // Handle closing the change session modal
+  const handleCloseChangeSession = () => {
+    setChangeSessionOpen(false);
+    setBookingToReschedule(null);
+  };
+
+  // Download a booking as an .ics file
+  const handleAddToCalendar = async (booking) => {
+    setCalendarDownloadId(booking.id);
+    setCalendarError('');
+
+    try {
+      await apiService.calendar.downloadBooking(booking.id, {
+        student_id: userSession?.studentId,
+        email: userSession?.email
+      });
+    } catch (err) {
+      console.error('❌ [MyBookings] Failed to download calendar file:', err);
+      setCalendarError('Failed to download the calendar file. Please try again.');
+    } finally {
+      setCalendarDownloadId(null);
+    }
+  };
+
+  // Booking was moved in place - the token stays with it, so only refresh what moved
+  const handleSessionChanged = async () => {
+    setChangeSessionOpen(false);
+    setBookingToReschedule(null);
+
+    // Invalidate bookings cache so time conflict checks see the new session
+    invalidateBookingsCache();
+
+    await fetchBookings(userSession.studentId, userSession.email, currentPage, true);
+    setWaitlistRefreshKey(prev => prev + 1);
+  };
 
   // Handle rebook navigation
   const handleRebook = async (mockType) => {
     try {
-      const bookingToProcess = bookingToReschedule || cancelledBooking;
-
-      if (!bookingToProcess) {
+      if (!cancelledBooking) {
         console.error('No booking to process');
         setRebookModalOpen(false);
         return;
       }
 
-      // For active reschedule (from Reschedule button), cancel booking first
-      if (bookingToReschedule) {
-        const objectId = bookingToReschedule.id || bookingToReschedule.booking_id;
-
-        if (objectId) {
-          setIsRescheduling(true);
-
-          try {
-            await apiService.bookings.cancelBooking(objectId, {
-              student_id: userSession.studentId,
-              email: userSession.email,
-              contact_id: userSession.contactId
-            });
-
-            console.log('✅ Booking cancelled for reschedule');
-
-            // CRITICAL: Invalidate both bookings AND credits caches to prevent stale time conflict checks
-            console.log('🔄 [CACHE] Invalidating bookings and credits caches after reschedule cancellation');
-            invalidateBookingsCache();
-            invalidateCreditsCache();
-
-            // Refresh bookings to show updated status
-            await fetchBookings(userSession.studentId, userSession.email, currentPage, true);
-
-            // Store as cancelled booking for rebook flow
-            setCancelledBooking(bookingToReschedule);
-            setBookingToReschedule(null);
-          } catch (error) {
-            console.error('Error cancelling booking for reschedule:', error);
-            setDeleteError(error.message || 'Failed to cancel booking');
-            setIsRescheduling(false);
-            return;
-          } finally {
-            setIsRescheduling(false);
-          }
-        }
-      }
-
       // Close modal and navigate to booking flow
       setRebookModalOpen(false);
       setCancelledBooking(null);
-      setBookingToReschedule(null);
 
       if (mockType === 'Mock Discussion') {
         navigate('/book/discussions');
@@ -370,9 +380,7 @@ const MyBookings = () => {
       console.error('Error during reschedule:', error);
       setRebookModalOpen(false);
       setCancelledBooking(null);
-      setBookingToReschedule(null);
-      setDeleteError(error.message || 'Failed to reschedule booking');
-      setIsRescheduling(false);
+      setDeleteError(error.message || 'Failed to open booking flow');
     }
   };
   // Handle closing the rebook modal
@@ -659,10 +667,28 @@ const MyBookings = () => {
             <span>{booking.location}</span>
           </div>
         )}
+        {booking.station && (
+          <div className="flex items-center gap-2">
+            <svg className="w-4 h-4 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h12a2 2 0 012 2v7a2 2 0 01-2 2H6a2 2 0 01-2-2V6zm4 13h8m-4-4v4" />
+            </svg>
+            <span>Station: {booking.station}</span>
+          </div>
+        )}
       </div>
 
       {getBookingStatus(booking) === 'scheduled' && (
           <div className="mt-3 flex gap-3 justify-end">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleAddToCalendar(booking);
+              }}
+              disabled={calendarDownloadId === booking.id}
+              className="text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 text-sm font-medium disabled:opacity-50"
+            >
+              {calendarDownloadId === booking.id ? 'Downloading...' : 'Add to Calendar'}
+            </button>
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -670,7 +696,7 @@ const MyBookings = () => {
               }}
               className="text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 text-sm font-medium"
             >
-              Reschedule
+              Change Session
             </button>
             <button
               onClick={(e) => {
@@ -894,6 +920,28 @@ const MyBookings = () => {
           </div>
         )}
 
+        {/* Waitlist Entries */}
+        <WaitlistCard userSession={userSession} refreshKey={waitlistRefreshKey} />
+
+        {/* Calendar Subscription */}
+        <CalendarSubscribeCard userSession={userSession} />
+
+        {/* Token History */}
+        <TokenHistoryCard />
+
+        {calendarError && (
+          <div className="mb-6 px-4 py-3 rounded-lg border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 flex items-center justify-between" role="alert">
+            <p className="text-sm text-red-800 dark:text-red-300">{calendarError}</p>
+            <button
+              type="button"
+              onClick={() => setCalendarError('')}
+              className="text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Controls Section */}
         <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm border border-gray-200 dark:border-dark-border p-4 mb-6">
           <div className="flex flex-col space-y-4">
@@ -1206,6 +1254,11 @@ const MyBookings = () => {
                               <div className="text-sm text-gray-900 dark:text-gray-100">
                                 {booking.location || 'Location TBD'}
                               </div>
+                              {booking.station && (
+                                <div className="text-sm text-gray-500 dark:text-gray-400">
+                                  Station: {booking.station}
+                                </div>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               {getStatusBadge(booking)}
@@ -1213,6 +1266,17 @@ const MyBookings = () => {
                             <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-medium">
                               {getBookingStatus(booking) === 'scheduled' && (
                                 <div className="flex gap-2 justify-center">
+                                    <button
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        handleAddToCalendar(booking);
+                                      }}
+                                      disabled={calendarDownloadId === booking.id}
+                                      title="Download .ics file"
+                                      className="text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-gray-50 dark:hover:bg-dark-hover px-3 py-1 rounded-md transition-colors disabled:opacity-50"
+                                    >
+                                      {calendarDownloadId === booking.id ? 'Downloading...' : 'Add to Calendar'}
+                                    </button>
                                     <button
                                       onClick={(e) => {
                                         e.stopPropagation();
@@ -1220,7 +1284,7 @@ const MyBookings = () => {
                                       }}
                                       className="text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 hover:bg-blue-50 dark:hover:bg-blue-900/30 px-3 py-1 rounded-md transition-colors"
                                     >
-                                      Reschedule
+                                      Change Session
                                     </button>
                                     <button
                                       onClick={(e) => {
@@ -1370,10 +1434,18 @@ const MyBookings = () => {
       {/* Rebook Prompt Modal */}
       <RebookPromptModal
         isOpen={rebookModalOpen}
-        booking={cancelledBooking || bookingToReschedule}
+        booking={cancelledBooking}
         onClose={handleCloseRebookModal}
         onRebook={handleRebook}
-        isProcessing={isRescheduling}
+      />
+
+      {/* Change Session Modal */}
+      <ChangeSessionModal
+        isOpen={changeSessionOpen}
+        booking={bookingToReschedule}
+        userSession={userSession}
+        onClose={handleCloseChangeSession}
+        onRescheduled={handleSessionChanged}
       />
     </div>
   );
@@ -516,6 +516,16 @@ const BookingsCalendar = ({ bookings, onBookingClick, onCancelBooking, isLoading
                       </div>
                     )}
 
+                    {/* Station (Clinical Skills seat) */}
+                    {booking.station && (
+                      <div className="flex items-center gap-2 text-gray-600">
+                        <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h12a2 2 0 012 2v7a2 2 0 01-2 2H6a2 2 0 01-2-2V6zm4 13h8m-4-4v4" />
+                        </svg>
+                        <span>Station: {booking.station}</span>
+                      </div>
+                    )}
+
                     {/* Notes */}
                     {booking.notes && (
                       <div className="flex items-start gap-2 text-gray-600">
@@ -2,11 +2,14 @@ import React, { useState, useMemo } from 'react';
 import { format, startOfMonth, endOfMonth, eachDayOfInterval, isSameDay, isToday, isBefore, startOfDay, parseISO, isAfter } from 'date-fns';
 import { formatBookingNumber, getBookingStatus, normalizeBooking, formatTimeRange } from '../../services/api';
 import { getTimezoneLabel, formatTimezoneForDisplay } from '../../utils/timezoneHelpers';
+import { useLocations } from '../../hooks/useLocations';
 
 const BookingsCalendarView = ({ bookings, onCancelBooking,  onRescheduleBooking, isLoading, error }) => {
   const [currentDate, setCurrentDate] = useState(new Date());
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedBookings, setSelectedBookings] = useState([]);
+  // Re-render with catalog time zones once the locations load
+  useLocations();
 
   // Group bookings by date
   const bookingsByDate = useMemo(() => {
@@ -317,7 +320,7 @@ const BookingsCalendarView = ({ bookings, onCancelBooking,  onRescheduleBooking,
                             }}
                             className="w-full text-center text-xs font-medium text-blue-600 hover:text-blue-700 hover:bg-blue-50 py-1.5 rounded-md transition-colors"
                           >
-                            Reschedule
+                            Change Session
                           </button>
                           <button
                             onClick={(e) => {
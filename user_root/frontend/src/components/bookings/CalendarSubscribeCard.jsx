@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiCalendar, FiCopy, FiCheck } from 'react-icons/fi';
+import apiService from '../../services/api';
+
+/**
+ * Gives the student their private calendar subscription link.
+ * The feed lists every booking and updates itself when sessions are moved or cancelled.
+ */
+const CalendarSubscribeCard = ({ userSession }) => {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleGetLink = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.calendar.getFeedUrl({
+        student_id: userSession?.studentId,
+        email: userSession?.email
+      });
+
+      setFeed(response?.data || null);
+    } catch (err) {
+      console.error('❌ [CalendarSubscribeCard] Failed to get feed URL:', err);
+      setError(err.message || 'Failed to get your calendar link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!feed?.feed_url) return;
+
+    try {
+      await navigator.clipboard.writeText(feed.feed_url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('❌ [CalendarSubscribeCard] Failed to copy feed URL:', err);
+      setError('Copy failed - select the link and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm border border-gray-200 dark:border-dark-border mb-6">
+      <div className="px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-start gap-3">
+          <FiCalendar className="w-5 h-5 text-primary-600 dark:text-primary-400 mt-0.5 flex-shrink-0" />
+          <div>
+            <h3 className="font-subheading text-sm font-medium text-primary-900 dark:text-gray-100">Calendar Sync</h3>
+            <p className="font-body text-xs text-primary-600 dark:text-gray-400 mt-0.5">
+              Subscribe once and your bookings stay up to date in Google, Apple or Outlook Calendar. Keep this link private.
+            </p>
+          </div>
+        </div>
+
+        {!feed && (
+          <button
+            type="button"
+            onClick={handleGetLink}
+            disabled={loading}
+            className="px-3 py-1.5 text-sm font-medium rounded-lg bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+          >
+            {loading ? 'Loading...' : 'Get Calendar Link'}
+          </button>
+        )}
+      </div>
+
+      {feed && (
+        <div className="px-4 pb-3 flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            readOnly
+            value={feed.feed_url}
+            onFocus={(e) => e.target.select()}
+            aria-label="Calendar subscription link"
+            className="flex-1 px-3 py-1.5 text-xs font-mono border border-gray-300 dark:border-dark-border rounded-md bg-gray-50 dark:bg-dark-bg text-gray-700 dark:text-gray-300"
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium rounded-lg border border-gray-300 dark:border-dark-border text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-dark-hover"
+            >
+              {copied ? <FiCheck className="w-4 h-4" /> : <FiCopy className="w-4 h-4" />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <a
+              href={feed.webcal_url}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-lg bg-primary-600 text-white hover:bg-primary-700 whitespace-nowrap"
+            >
+              Subscribe
+            </a>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="px-4 pb-3 text-sm text-red-600 dark:text-red-400" role="alert">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CalendarSubscribeCard.propTypes = {
+  userSession: PropTypes.shape({
+    studentId: PropTypes.string,
+    email: PropTypes.string
+  })
+};
+
+export default CalendarSubscribeCard;
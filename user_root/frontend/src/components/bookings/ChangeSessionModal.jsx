@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FiAlertCircle, FiX, FiCalendar, FiClock, FiMapPin } from 'react-icons/fi';
+import apiService, { formatDate, formatTimeRange } from '../../services/api';
+import { findSeenSet, getSeenSetLabel } from '../../utils/mockSetHistory';
+
+/**
+ * Lets a student move an upcoming booking to another session of the same mock type.
+ * The booking keeps its original token - nothing is refunded or re-deducted.
+ */
+const ChangeSessionModal = ({ isOpen, booking, userSession, onClose, onRescheduled }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [setHistory, setSetHistory] = useState({});
+
+  // Load other sessions of the same mock type whenever the modal opens
+  useEffect(() => {
+    if (!isOpen || !booking) return;
+
+    let cancelled = false;
+
+    const loadSessions = async () => {
+      setLoading(true);
+      setError('');
+      setSelectedId(null);
+
+      try {
+        const [response, historyResponse] = await Promise.all([
+          booking.mock_type === 'Mock Discussion'
+            ? apiService.mockDiscussions.getAvailable(false)
+            : apiService.mockExams.getAvailable(booking.mock_type, false),
+          // Seen-set labels are a hint only - a failed lookup shouldn't block the move
+          apiService.user.getSetHistory().catch(() => null)
+        ]);
+
+        const now = new Date();
+        const available = (response?.data || [])
+          .filter(session => String(session.mock_exam_id) !== String(booking.mock_exam_id))
+          .filter(session => new Date(session.start_time || session.exam_date) > now)
+          .sort((a, b) => new Date(a.start_time || a.exam_date) - new Date(b.start_time || b.exam_date));
+
+        if (!cancelled) {
+          setSessions(available);
+          setSetHistory(historyResponse?.data?.set_history || {});
+        }
+      } catch (err) {
+        console.error('❌ [ChangeSessionModal] Failed to load sessions:', err);
+        if (!cancelled) {
+          setError(err.message || 'Failed to load available sessions');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadSessions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, booking]);
+
+  // Close on escape (unless a move is in flight)
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape' && isOpen && !isSubmitting) {
+        onClose();
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleEscape);
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen, isSubmitting, onClose]);
+
+  const handleConfirm = async () => {
+    if (!selectedId) return;
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await apiService.bookings.reschedule(booking.id, selectedId, {
+        student_id: userSession?.studentId,
+        email: userSession?.email
+      });
+
+      onRescheduled(response?.data);
+    } catch (err) {
+      console.error('❌ [ChangeSessionModal] Failed to move booking:', err);
+      setError(err.message || 'Failed to change session');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen || !booking) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="change-session-title" role="dialog" aria-modal="true">
+      <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+        <div
+          className="fixed inset-0 bg-gray-500 bg-opacity-20 backdrop-blur-sm transition-opacity"
+          aria-hidden="true"
+          onClick={!isSubmitting ? onClose : undefined}
+        ></div>
+
+        <span className="hidden sm:inline-block sm:align-middle sm:h-screen" aria-hidden="true">&#8203;</span>
+
+        <div className="inline-block align-bottom bg-white dark:bg-dark-card rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-gray-100" id="change-session-title">
+                  Change Session
+                </h3>
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  Move your {booking.mock_type} booking from {formatDate(booking.exam_date)} · {formatTimeRange(booking)}.
+                  Your token stays with the booking.
+                </p>
+              </div>
+              {!isSubmitting && (
+                <button
+                  type="button"
+                  className="ml-3 rounded-md text-gray-400 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  onClick={onClose}
+                >
+                  <span className="sr-only">Close</span>
+                  <FiX className="h-5 w-5" aria-hidden="true" />
+                </button>
+              )}
+            </div>
+
+            <div className="mt-4 max-h-80 overflow-y-auto">
+              {loading ? (
+                <div className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">Loading sessions...</div>
+              ) : sessions.length === 0 ? (
+                <div className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                  There are no other {booking.mock_type} sessions with open seats right now.
+                </div>
+              ) : (
+                <ul className="space-y-2">
+                  {sessions.map(session => (
+                    <li key={session.mock_exam_id}>
+                      <label
+                        className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                          selectedId === session.mock_exam_id
+                            ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                            : 'border-gray-200 dark:border-dark-border hover:bg-gray-50 dark:hover:bg-dark-hover'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="change-session"
+                          value={session.mock_exam_id}
+                          checked={selectedId === session.mock_exam_id}
+                          onChange={() => setSelectedId(session.mock_exam_id)}
+                          disabled={isSubmitting}
+                          className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500"
+                        />
+                        <div className="flex-1 space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                          <div className="flex items-center gap-2">
+                            <FiCalendar className="w-4 h-4 text-gray-400" />
+                            <span>{formatDate(session.exam_date)}</span>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <FiClock className="w-4 h-4 text-gray-400" />
+                            <span>{formatTimeRange(session)}</span>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <FiMapPin className="w-4 h-4 text-gray-400" />
+                            <span>{session.location || 'Location TBD'}</span>
+                          </div>
+                          {session.mock_set && (
+                            <div className="flex items-center gap-2">
+                              <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300">
+                                Set {session.mock_set}
+                              </span>
+                              {findSeenSet(setHistory, { mock_type: booking.mock_type, mock_set: session.mock_set }) && (
+                                <span className="text-xs text-amber-700 dark:text-amber-400">
+                                  {getSeenSetLabel(findSeenSet(setHistory, { mock_type: booking.mock_type, mock_set: session.mock_set }))}
+                                </span>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                        <span className="text-xs font-medium text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                          {session.available_slots} seat{session.available_slots !== 1 ? 's' : ''} left
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {error && (
+              <div className="mt-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md flex" role="alert">
+                <FiAlertCircle className="h-5 w-5 text-red-400 flex-shrink-0" aria-hidden="true" />
+                <p className="ml-3 text-sm text-red-800 dark:text-red-300">{error}</p>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 dark:bg-dark-bg px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-3">
+            <button
+              type="button"
+              disabled={!selectedId || isSubmitting}
+              onClick={handleConfirm}
+              className="w-full sm:w-auto inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed sm:ml-3 sm:text-sm transition-colors duration-200"
+            >
+              {isSubmitting ? 'Moving...' : 'Move Booking'}
+            </button>
+            <button
+              type="button"
+              disabled={isSubmitting}
+              onClick={onClose}
+              className="mt-3 w-full sm:mt-0 sm:w-auto inline-flex justify-center rounded-md border border-gray-300 dark:border-dark-border shadow-sm px-4 py-2 bg-white dark:bg-dark-card text-base font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-dark-hover focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed sm:text-sm transition-colors duration-200"
+            >
+              Keep Current Session
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ChangeSessionModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  booking: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    mock_exam_id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    mock_type: PropTypes.string,
+    exam_date: PropTypes.string,
+    start_time: PropTypes.string,
+    end_time: PropTypes.string
+  }),
+  userSession: PropTypes.shape({
+    studentId: PropTypes.string,
+    email: PropTypes.string
+  }),
+  onClose: PropTypes.func.isRequired,
+  onRescheduled: PropTypes.func.isRequired
+};
+
+export default ChangeSessionModal;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { FiClock, FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import apiService from '../../services/api';
+import { getCreditFieldLabel, getLedgerReasonLabel, formatTokenDelta } from '../../utils/tokenHistory';
+
+const PAGE_SIZE = 20;
+
+const formatEntryDate = (value) => {
+  if (!value) return '';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Read-only list of every change to the student's token balances.
+ * Loaded on first expand; "Load more" pages through older entries.
+ */
+const TokenHistoryCard = () => {
+  const [expanded, setExpanded] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loaded, setLoaded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadEntries = async (offset = 0) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.user.getTokenHistory({ limit: PAGE_SIZE, offset });
+      const data = response?.data || {};
+
+      setEntries((previous) => (offset === 0 ? data.entries || [] : [...previous, ...(data.entries || [])]));
+      setTotal(data.total || 0);
+      setLoaded(true);
+    } catch (err) {
+      console.error('❌ [TokenHistoryCard] Failed to load token history:', err);
+      setError(err.message || 'Failed to load your token history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = () => {
+    const next = !expanded;
+    setExpanded(next);
+    if (next && !loaded) {
+      loadEntries(0);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm border border-gray-200 dark:border-dark-border mb-6">
+      <button
+        type="button"
+        onClick={handleToggle}
+        aria-expanded={expanded}
+        className="w-full px-4 py-3 flex items-center justify-between text-left"
+      >
+        <div className="flex items-start gap-3">
+          <FiClock className="w-5 h-5 text-primary-600 dark:text-primary-400 mt-0.5 flex-shrink-0" />
+          <div>
+            <h3 className="font-subheading text-sm font-medium text-primary-900 dark:text-gray-100">Token History</h3>
+            <p className="font-body text-xs text-primary-600 dark:text-gray-400 mt-0.5">
+              Every token used, returned or added to your account.
+            </p>
+          </div>
+        </div>
+        {expanded
+          ? <FiChevronUp className="w-5 h-5 text-gray-500" />
+          : <FiChevronDown className="w-5 h-5 text-gray-500" />}
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-3 border-t border-gray-100 dark:border-dark-border">
+          {loaded && entries.length === 0 && !error && (
+            <p className="py-3 text-sm text-gray-500 dark:text-gray-400">No token changes recorded yet.</p>
+          )}
+
+          {entries.length > 0 && (
+            <ul className="divide-y divide-gray-100 dark:divide-dark-border">
+              {entries.map((entry) => (
+                <li key={entry.id} className="py-2 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900 dark:text-gray-100">
+                      {getLedgerReasonLabel(entry.reason)}
+                      <span className="text-gray-500 dark:text-gray-400"> · {getCreditFieldLabel(entry.credit_field)}</span>
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {formatEntryDate(entry.created_at)}
+                      {entry.booking_id ? ` · ${entry.booking_id}` : ''}
+                    </p>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <p className={`text-sm font-semibold ${entry.delta > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                      {formatTokenDelta(entry.delta)}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Balance {entry.balance_after}</p>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {loading && (
+            <p className="py-3 text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+          )}
+
+          {!loading && entries.length < total && (
+            <button
+              type="button"
+              onClick={() => loadEntries(entries.length)}
+              className="mt-2 text-sm font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400"
+            >
+              Load more
+            </button>
+          )}
+
+          {error && (
+            <div className="py-3 text-sm text-red-600 dark:text-red-400" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TokenHistoryCard;
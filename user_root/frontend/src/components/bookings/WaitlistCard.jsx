@@ -0,0 +1,152 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import apiService, { formatDate, formatTimeRange } from '../../services/api';
+
+const STATUS_STYLES = {
+  waiting: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-400',
+  promoted: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-400',
+  skipped: 'bg-gray-100 dark:bg-dark-hover text-gray-800 dark:text-gray-300'
+};
+
+const SKIP_REASONS = {
+  INSUFFICIENT_CREDITS: 'Skipped - no tokens available when a seat opened',
+  DUPLICATE_BOOKING: 'Skipped - you already had a booking for this exam type on that date',
+  TIME_CONFLICT: 'Skipped - you had another booking at the same time',
+  MOCK_SET_REPEAT: 'Skipped - you have already sat or booked this exam set',
+  CONTACT_NOT_FOUND: 'Skipped - your account could not be found'
+};
+
+/**
+ * Lists the student's waitlist entries with their queue position.
+ * Waiting entries can be left; promoted/skipped entries are shown for reference.
+ */
+const WaitlistCard = ({ userSession, refreshKey = 0 }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [leavingId, setLeavingId] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    if (!userSession?.studentId || !userSession?.email) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiService.waitlist.list({
+        student_id: userSession.studentId,
+        email: userSession.email
+      });
+
+      setEntries(response?.data?.entries || []);
+    } catch (err) {
+      console.error('❌ [WaitlistCard] Failed to load waitlist entries:', err);
+      setError(err.message || 'Failed to load your waitlist entries');
+    } finally {
+      setLoading(false);
+    }
+  }, [userSession?.studentId, userSession?.email]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries, refreshKey]);
+
+  const handleLeave = async (entryId) => {
+    setLeavingId(entryId);
+    setError('');
+
+    try {
+      await apiService.waitlist.leave(entryId, {
+        student_id: userSession.studentId,
+        email: userSession.email
+      });
+      await fetchEntries();
+    } catch (err) {
+      console.error('❌ [WaitlistCard] Failed to leave waitlist:', err);
+      setError(err.message || 'Failed to leave the waitlist');
+    } finally {
+      setLeavingId(null);
+    }
+  };
+
+  // Nothing to show - keep the page uncluttered for students who never joined a waitlist
+  if (!loading && !error && entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-dark-card rounded-lg shadow-sm border border-gray-200 dark:border-dark-border mb-6">
+      <div className="px-4 py-3 border-b dark:border-dark-border">
+        <h3 className="font-subheading text-sm font-medium text-primary-900 dark:text-gray-100">My Waitlists</h3>
+        <p className="font-body text-xs text-primary-600 dark:text-gray-400 mt-0.5">
+          You'll be booked automatically (using one of your tokens) when a seat opens up
+        </p>
+      </div>
+
+      {error && (
+        <div className="px-4 py-2 text-sm text-red-600 dark:text-red-400" role="alert">
+          {error}
+        </div>
+      )}
+
+      {loading && entries.length === 0 ? (
+        <div className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">Loading waitlists...</div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map(entry => {
+            const exam = entry.exam || {};
+            const examDate = exam.exam_date ? exam.exam_date.split('T')[0] : null;
+
+            return (
+              <li key={entry.id} className="px-4 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div>
+                  <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {exam.mock_type || 'Mock Exam'}
+                    {exam.location && <span className="text-gray-500 dark:text-gray-400"> · {exam.location}</span>}
+                  </div>
+                  <div className="text-xs text-gray-600 dark:text-gray-400">
+                    {formatDate(examDate)} · {formatTimeRange(exam)}
+                  </div>
+                  {entry.status === 'skipped' && (
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                      {SKIP_REASONS[entry.status_reason] || 'Skipped'}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[entry.status] || STATUS_STYLES.skipped}`}>
+                    {entry.status === 'waiting' && `#${entry.queue_position} of ${entry.waitlist_size}`}
+                    {entry.status === 'promoted' && 'Booked'}
+                    {entry.status === 'skipped' && 'Skipped'}
+                  </span>
+
+                  {entry.status === 'waiting' && (
+                    <button
+                      type="button"
+                      onClick={() => handleLeave(entry.id)}
+                      disabled={leavingId === entry.id}
+                      className="text-xs font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {leavingId === entry.id ? 'Leaving...' : 'Leave'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+WaitlistCard.propTypes = {
+  userSession: PropTypes.shape({
+    studentId: PropTypes.string,
+    email: PropTypes.string
+  }),
+  refreshKey: PropTypes.number
+};
+
+export default WaitlistCard;
@@ -4,6 +4,7 @@ import { FiLock } from 'react-icons/fi';
 import { formatTimeRange } from '../../services/api';
 import { checkPrerequisites } from '../../utils/prerequisiteHelpers';
 import { getTimezoneLabel, formatTimezoneForDisplay } from '../../utils/timezoneHelpers';
+import { useLocations } from '../../hooks/useLocations';
 import CapacityBadge from './CapacityBadge';
 
 // Mock types that support mock_set grouping
@@ -13,6 +14,8 @@ const CalendarView = ({ exams, onDateSelect, onExamSelect, userBookings = [], mo
   const [currentDate, setCurrentDate] = useState(new Date());
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedSessions, setSelectedSessions] = useState([]);
+  // Re-render with catalog time zones once the locations load
+  useLocations();
 
   // Group exams by date
   const examsByDate = useMemo(() => {
@@ -1,4 +1,5 @@
 import React from 'react';
+import { getExpiringTokens, describeExpiringTokens } from '../../utils/tokenExpiry';
 
 const CreditAlert = ({ credits, creditBreakdown, mockType, variant = 'info' }) => {
   if (credits === null || credits === undefined || !creditBreakdown) {
@@ -76,6 +77,7 @@ const CreditAlert = ({ credits, creditBreakdown, mockType, variant = 'info' }) =
   };
 
   const { specific_credits = 0, shared_credits = 0 } = creditBreakdown;
+  const expiringTokens = getExpiringTokens(creditBreakdown);
   const specificTokenName = getSpecificTokenName(mockType);
 
   return (
@@ -147,6 +149,14 @@ const CreditAlert = ({ credits, creditBreakdown, mockType, variant = 'info' }) =
                   You have sufficient tokens to book this exam.
                 </p>
               )}
+              {expiringTokens.length > 0 && (
+                <div className="mt-2 font-body text-xs text-yellow-800">
+                  {expiringTokens.map((entry, index) => (
+                    <p key={index}>{describeExpiringTokens(entry)}</p>
+                  ))}
+                  <p className="text-gray-600">The token that expires soonest is used for this booking.</p>
+                </div>
+              )}
             </div>
           </div>
         </div>
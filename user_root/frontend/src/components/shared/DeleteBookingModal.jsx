@@ -1,8 +1,9 @@
 import React, { useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { FiAlertCircle, FiX, FiCalendar, FiClock, FiMapPin, FiRefreshCw } from 'react-icons/fi';
+import { FiAlertCircle, FiX, FiCalendar, FiClock, FiMapPin, FiRefreshCw, FiSlash } from 'react-icons/fi';
 import { formatTimeRange } from '../../services/api';
 import { getTimezoneLabel, formatTimezoneForDisplay } from '../../utils/timezoneHelpers';
+import { getCancellationWindow, formatCancellationDeadline } from '../../utils/cancellationPolicy';
 
 const DeleteBookingModal = ({
   isOpen,
@@ -98,6 +99,8 @@ const DeleteBookingModal = ({
   const examType = getExamType(booking);
   const location = getLocation(booking);
   const tokensToRestore = getTokensToRestore(booking);
+  const cancellationWindow = getCancellationWindow(booking);
+  const isBlocked = cancellationWindow?.window === 'blocked';
 
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="modal-title" role="dialog" aria-modal="true">
@@ -164,7 +167,7 @@ const DeleteBookingModal = ({
                     </div>
 
                     {/* Tokens to Restore */}
-                    {tokensToRestore && (
+                    {tokensToRestore && cancellationWindow?.window !== 'late' && !isBlocked && (
                       <div className="flex items-center gap-2 pt-2 border-t border-gray-200">
                         <FiRefreshCw className="w-4 h-4 text-green-600" />
                         <span className="text-sm font-medium text-green-700">
@@ -175,6 +178,38 @@ const DeleteBookingModal = ({
                   </div>
                 </div>
 
+                {/* Cancellation Policy */}
+                {cancellationWindow && (
+                  <div
+                    className={`mt-4 p-3 rounded-md border text-sm ${
+                      cancellationWindow.window === 'free'
+                        ? 'bg-green-50 border-green-200 text-green-800'
+                        : cancellationWindow.window === 'late'
+                          ? 'bg-amber-50 border-amber-200 text-amber-800'
+                          : 'bg-red-50 border-red-200 text-red-800'
+                    }`}
+                  >
+                    <div className="flex items-start gap-2">
+                      {isBlocked ? (
+                        <FiSlash className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                      ) : (
+                        <FiRefreshCw className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                      )}
+                      <p>
+                        {cancellationWindow.window === 'free' && (
+                          <>Your token will be restored if you cancel before <strong>{formatCancellationDeadline(cancellationWindow.freeUntil)}</strong>.</>
+                        )}
+                        {cancellationWindow.window === 'late' && (
+                          <>The free cancellation deadline passed on <strong>{formatCancellationDeadline(cancellationWindow.freeUntil)}</strong>. Your token will be forfeited if you cancel now.</>
+                        )}
+                        {isBlocked && (
+                          <>Bookings can't be cancelled within {cancellationWindow.blockedWithinHours} hour{cancellationWindow.blockedWithinHours !== 1 ? 's' : ''} of the session (since <strong>{formatCancellationDeadline(cancellationWindow.blockedFrom)}</strong>).</>
+                        )}
+                      </p>
+                    </div>
+                  </div>
+                )}
+
                 {/* Error Message */}
                 {error && (
                   <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md">
@@ -209,7 +244,7 @@ const DeleteBookingModal = ({
             <button
               type="button"
               ref={firstButtonRef}
-              disabled={isDeleting}
+              disabled={isDeleting || isBlocked}
               onClick={async () => {
                 if (booking.id || booking.recordId) {
                   await onConfirm(booking.id || booking.recordId);
@@ -225,6 +260,8 @@ const DeleteBookingModal = ({
                   </svg>
                   Cancelling...
                 </span>
+              ) : cancellationWindow?.window === 'late' ? (
+                'Cancel and Forfeit Token'
               ) : (
                 'Yes, Cancel Booking'
               )}
@@ -266,7 +303,13 @@ DeleteBookingModal.propTypes = {
     campus: PropTypes.string,
     creditsUsed: PropTypes.number,
     credits_used: PropTypes.number,
-    credits: PropTypes.number
+    credits: PropTypes.number,
+    cancellation_policy: PropTypes.shape({
+      free_until: PropTypes.string,
+      blocked_from: PropTypes.string,
+      free_until_hours: PropTypes.number,
+      blocked_within_hours: PropTypes.number
+    })
   }),
   isDeleting: PropTypes.bool,
   error: PropTypes.string,
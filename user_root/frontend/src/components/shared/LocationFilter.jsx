@@ -1,6 +1,9 @@
 import React from 'react';
+import { useLocations } from '../../hooks/useLocations';
 
 const LocationFilter = ({ selectedLocation = 'all', onLocationChange }) => {
+  const { locations } = useLocations();
+
   return (
     <div className="location-filter">
       <label htmlFor="location-select" className="block text-xs sm:text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -14,12 +17,9 @@ const LocationFilter = ({ selectedLocation = 'all', onLocationChange }) => {
         aria-label="Filter sessions by location"
       >
         <option value="all">All Locations</option>
-        <option value="Mississauga">Mississauga</option>
-        <option value="Vancouver">Vancouver</option>
-        <option value="Montreal">Montreal</option>
-        <option value="Calgary">Calgary</option>
-        <option value="Online">Online</option>
-        <option value="B9">B9</option>
+        {locations.map((location) => (
+          <option key={location.name} value={location.name}>{location.name}</option>
+        ))}
       </select>
     </div>
   );
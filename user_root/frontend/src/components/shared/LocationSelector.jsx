@@ -1,13 +1,14 @@
 import React from 'react';
+import { useLocations } from '../../hooks/useLocations';
 
 const LocationSelector = ({ value, onChange, required = false }) => {
-  const locations = [
-    { value: 'Mississauga', label: 'Mississauga' },
-    { value: 'Calgary', label: 'Calgary' },
-    { value: 'Vancouver', label: 'Vancouver' },
-    { value: 'Montreal', label: 'Montreal' },
-    { value: 'Richmond Hill', label: 'Richmond Hill' }
-  ];
+  // Active sites from the admin-managed location catalog
+  const { locations: catalog } = useLocations();
+  // Online sessions have no campus to attend
+  const locations = catalog
+    .filter((location) => location.name !== 'Online')
+    .map((location) => ({ ...location, value: location.name, label: location.name }));
+  const selectedLocation = locations.find((location) => location.value === value);
 
   return (
     <div className="w-full">
@@ -60,6 +61,14 @@ const LocationSelector = ({ value, onChange, required = false }) => {
           </label>
         ))}
       </div>
+      {(selectedLocation?.address || selectedLocation?.directions) && (
+        <div className="mt-3 text-sm font-body text-gray-600 dark:text-gray-400">
+          {selectedLocation.address && <p>{selectedLocation.address}</p>}
+          {selectedLocation.directions && (
+            <p className="mt-1 whitespace-pre-line">{selectedLocation.directions}</p>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -8,7 +8,10 @@ import { FiAlertCircle, FiX } from 'react-icons/fi';
  */
 const SessionFullModal = ({
   isOpen,
-  onSelectAnother
+  onSelectAnother,
+  onJoinWaitlist,
+  isJoiningWaitlist = false,
+  waitlistError = null
 }) => {
   const modalRef = useRef(null);
   const buttonRef = useRef(null);
@@ -88,9 +91,17 @@ const SessionFullModal = ({
                     What can I do?
                   </p>
                   <p className="text-sm text-yellow-700 dark:text-yellow-400">
-                    Don't worry! There are other sessions available. Click the button below to browse other dates and times.
+                    {onJoinWaitlist
+                      ? "Join the waitlist and you'll be booked automatically if a seat opens up, or browse other dates and times."
+                      : "Don't worry! There are other sessions available. Click the button below to browse other dates and times."}
                   </p>
                 </div>
+
+                {waitlistError && (
+                  <p className="mt-3 text-sm text-red-600 dark:text-red-400" role="alert">
+                    {waitlistError}
+                  </p>
+                )}
               </div>
 
               {/* Close button */}
@@ -107,6 +118,21 @@ const SessionFullModal = ({
 
           {/* Footer */}
           <div className="bg-yellow-100 dark:bg-yellow-900/30 px-4 py-3 sm:px-6 space-y-2">
+            {/* Join Waitlist Button */}
+            {onJoinWaitlist && (
+              <button
+                type="button"
+                onClick={onJoinWaitlist}
+                disabled={isJoiningWaitlist}
+                className="w-full inline-flex justify-center items-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 sm:text-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                {isJoiningWaitlist ? 'Joining Waitlist...' : 'Join Waitlist'}
+              </button>
+            )}
+
             <button
               type="button"
               ref={buttonRef}
@@ -139,7 +165,10 @@ const SessionFullModal = ({
 
 SessionFullModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
-  onSelectAnother: PropTypes.func.isRequired
+  onSelectAnother: PropTypes.func.isRequired,
+  onJoinWaitlist: PropTypes.func,
+  isJoiningWaitlist: PropTypes.bool,
+  waitlistError: PropTypes.string
 };
 
 export default SessionFullModal;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 
-const SessionTimer = ({ expiryMinutes = 15, onExpire, onExtend }) => {
+const SessionTimer = ({ expiryMinutes = 15, onExpire, onExtend, title = 'Session expiring soon' }) => {
   const [timeLeft, setTimeLeft] = useState(expiryMinutes * 60); // in seconds
   const [showWarning, setShowWarning] = useState(false);
 
@@ -50,7 +50,7 @@ const SessionTimer = ({ expiryMinutes = 15, onExpire, onExtend }) => {
           </div>
           <div className="ml-3 flex-1">
             <p className="text-sm font-medium text-warning-800">
-              Session expiring soon
+              {title}
             </p>
             <p className="mt-1 text-sm text-warning-700">
               {formatTime(timeLeft)} remaining
@@ -88,6 +88,8 @@ const SidebarNavigation = ({ isOpen, setIsOpen, className = '' }) => {
 
   // Handle logout
   const handleLogout = () => {
+    // Revoke the refresh token server-side; the local session is cleared either way
+    apiService.user.logout().catch((err) => console.error('Logout error:', err));
     clearUserSession();
     setUserSession(null);
     navigate('/login');
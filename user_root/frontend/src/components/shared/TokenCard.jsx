@@ -1,4 +1,5 @@
 import React from 'react';
+import { getExpiringTokens, describeExpiringTokens } from '../../utils/tokenExpiry';
 
 const TokenCard = ({ creditBreakdown, mockType, compact = false, className = "", isAfterBooking = false }) => {
   if (!creditBreakdown) {
@@ -58,6 +59,18 @@ const TokenCard = ({ creditBreakdown, mockType, compact = false, className = "",
     total = specific_credits + (mockType !== 'Mini-mock' ? shared_credits : 0);
   }
 
+  // Tokens granted with an expiry date that runs out in the next 30 days
+  const expiringTokens = getExpiringTokens(creditBreakdown);
+  const expiryNotice = expiringTokens.length > 0 && (
+    <div className="px-3 py-1.5 bg-yellow-50 dark:bg-yellow-900/20 border-t border-yellow-200 dark:border-yellow-700">
+      {expiringTokens.map((entry, index) => (
+        <p key={index} className="text-xs text-yellow-800 dark:text-yellow-300">
+          {describeExpiringTokens(entry)}
+        </p>
+      ))}
+    </div>
+  );
+
   if (compact) {
     return (
       <div className={`bg-white dark:bg-dark-card border dark:border-dark-border rounded-lg overflow-hidden shadow-sm ${className}`}>
@@ -95,6 +108,7 @@ const TokenCard = ({ creditBreakdown, mockType, compact = false, className = "",
             </div>
           </div>
         </div>
+        {expiryNotice}
         <div className="px-3 py-1.5 bg-gray-50 dark:bg-dark-bg text-xs text-gray-500 dark:text-gray-400">
           Tokens deducted automatically
         </div>
@@ -160,8 +174,10 @@ const TokenCard = ({ creditBreakdown, mockType, compact = false, className = "",
         </table>
       </div>
 
+      {expiryNotice}
+
       <div className="px-2 py-1 bg-gray-50 dark:bg-dark-bg text-xs text-gray-500 dark:text-gray-400">
-        Tokens are automatically deducted when you book an exam.
+        Tokens are automatically deducted when you book an exam. Tokens that expire soonest are used first.
       </div>
     </div>
   );
@@ -381,8 +381,10 @@ const useBookingFlow = (initialMockExamId = null, initialMockType = null) => {
       const updatedBookingData = {
         ...mergedData,  // Use mergedData instead of bookingData to include immediate updates
         bookingId: result.data?.booking_id || null,
-        bookingRecordId: result.data?.booking_record_id || null,
+        bookingRecordId: result.data?.booking_record_id || result.data?.id || null,
         confirmationMessage: result.data?.confirmation_message || 'Booking confirmed successfully',
+        // Set when the session repeats an exam set the student has seen (rule set to warn)
+        setRepeatWarning: result.data?.set_repeat_warning || null,
         // Safe access with fallback values
         examLocation: result.data?.exam_details?.location || 'Mississauga',
         remainingCredits: result.data?.credit_details?.remaining_credits || 0,
@@ -444,7 +446,7 @@ const useBookingFlow = (initialMockExamId = null, initialMockType = null) => {
       }
 
       // Check if error message is in response data
-      if (err.response?.data?.error) {
+      if (typeof err.response?.data?.error === 'string') {
         errorMessage = err.response.data.error;
         console.log('📌 Using error message from response.data.error:', errorMessage);
       }
@@ -455,6 +457,12 @@ const useBookingFlow = (initialMockExamId = null, initialMockType = null) => {
         message: errorMessage || 'An error occurred while creating your booking'
       };
 
+      // Server-side overlap check (e.g. a booking made in another tab)
+      if (errorCode === 'TIME_CONFLICT' && err.conflicts?.length > 0) {
+        errorObj.conflicts = err.conflicts;
+        setTimeConflicts(err.conflicts);
+      }
+
       console.log('📋 Setting error object in submitBooking:', errorObj);
       setError(errorObj);
 
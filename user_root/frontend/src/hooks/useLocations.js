@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/api';
+import { setLocationCatalog } from '../utils/timezoneHelpers';
+
+/**
+ * Exam locations from the admin-managed location catalog
+ * The list is fetched once per page load and shared by every component.
+ */
+
+// Used until the catalog loads, and if it cannot be fetched
+export const FALLBACK_LOCATIONS = [
+  { name: 'Mississauga', code: 'mississauga', time_zone: 'America/Toronto' },
+  { name: 'Calgary', code: 'calgary', time_zone: 'America/Edmonton' },
+  { name: 'Vancouver', code: 'vancouver', time_zone: 'America/Vancouver' },
+  { name: 'Montreal', code: 'montreal', time_zone: 'America/Toronto' },
+  { name: 'Richmond Hill', code: 'richmond_hill', time_zone: 'America/Toronto' }
+];
+
+let cachedLocations = null;
+let pendingRequest = null;
+
+/**
+ * Fetch the catalog once and register it for time zone labels
+ *
+ * @returns {Promise<Array>} - Active locations
+ */
+export function loadLocations() {
+  if (cachedLocations) {
+    return Promise.resolve(cachedLocations);
+  }
+
+  if (!pendingRequest) {
+    pendingRequest = apiService.locations.list()
+      .then((response) => {
+        cachedLocations = response?.data?.length ? response.data : FALLBACK_LOCATIONS;
+        setLocationCatalog(cachedLocations);
+        return cachedLocations;
+      })
+      .catch((error) => {
+        console.error('Error fetching locations:', error);
+        pendingRequest = null;
+        return FALLBACK_LOCATIONS;
+      });
+  }
+
+  return pendingRequest;
+}
+
+/**
+ * Custom hook for the active exam locations
+ *
+ * @returns {{
+ *   locations: Array<{name: string, code: string, address: string|null, time_zone: string, directions: string|null}>,
+ *   loading: boolean
+ * }}
+ */
+export function useLocations() {
+  const [locations, setLocations] = useState(cachedLocations || FALLBACK_LOCATIONS);
+  const [loading, setLoading] = useState(!cachedLocations);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadLocations().then((loaded) => {
+      if (!cancelled) {
+        setLocations(loaded);
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { locations, loading };
+}
+
+export default useLocations;
@@ -14,10 +14,13 @@ import { useCachedBookings } from '../hooks/useCachedBookings';
 import LocationFilter from '../components/shared/LocationFilter';
 import { checkPrerequisites, getMissingPrerequisites } from '../utils/prerequisiteHelpers';
 import { getTimezoneLabel } from '../utils/timezoneHelpers';
+import { useLocations } from '../hooks/useLocations';
 
 const MockDiscussions = () => {
   const navigate = useNavigate();
   const mockType = 'Mock Discussion'; // Fixed type for discussions
+  // Re-render with catalog time zones once the locations load
+  useLocations();
 
   const [discussions, setDiscussions] = useState([]);
   const [loading, setLoading] = useState(true);
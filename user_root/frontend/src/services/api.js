@@ -1,7 +1,44 @@
 import axios from 'axios';
+import {
+  getAccessToken,
+  getRefreshToken,
+  setSessionTokens,
+  clearUserSession
+} from '../utils/auth';
 
 const BASE_URL = '/api';
 
+// Auth endpoints never trigger a token refresh
+const SESSION_ENDPOINTS = ['/user/login', '/user/verify-otp', '/user/refresh', '/user/logout'];
+
+// Shared so concurrent 401s wait on a single refresh (refresh tokens are single use)
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new session
+ * @returns {Promise<string>} - New access token
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${BASE_URL}/user/refresh`, { refresh_token: refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const session = response.data?.data?.session;
+        setSessionTokens(session);
+        return session.access_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: BASE_URL,
@@ -14,8 +51,8 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   async (config) => {
-    // Add any auth tokens if needed
-    const token = localStorage.getItem('sessionToken');
+    // Attach the student's session token
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -32,6 +69,30 @@ api.interceptors.response.use(
     return response.data;
   },
   async (error) => {
+    const originalRequest = error.config;
+
+    // Expired access token: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !SESSION_ENDPOINTS.some((path) => originalRequest.url?.startsWith(path))
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const accessToken = await refreshSession();
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error('❌ [Axios Interceptor] Session refresh failed, logging out:', refreshError.message);
+        clearUserSession();
+        if (window.location.pathname !== '/login') {
+          window.location.assign('/login');
+        }
+      }
+    }
+
     // 🔍 DEBUG: Log raw error from axios
     console.log('🔍 [Axios Interceptor] Raw error received:', {
       'error.response?.status': error.response?.status,
@@ -53,7 +114,7 @@ api.interceptors.response.use(
 
       // Authentication errors
       if (status === 401) {
-        error.message = 'Authentication required. Please check your connection.';
+        error.message = 'Your session has expired. Please log in again.';
       }
       // Rate limiting
       else if (status === 429) {
@@ -91,6 +152,18 @@ api.interceptors.response.use(
         error.code = data.error.code;
         console.log('🔍 [Axios Interceptor] Set error.code =', error.code, 'from data.error.code =', data.error.code);
       }
+
+      // Overlapping bookings returned with TIME_CONFLICT
+      const conflicts = data.conflicts || data.error?.conflicts;
+      if (conflicts) {
+        error.conflicts = conflicts;
+      }
+
+      // Previous bookings of the same exam set returned with MOCK_SET_REPEAT
+      const setRepeat = data.set_repeat || data.error?.set_repeat;
+      if (setRepeat) {
+        error.setRepeat = setRepeat;
+      }
     } else if (error.request) {
       error.message = 'Network error. Please check your connection.';
     }
@@ -144,6 +217,33 @@ const apiService = {
         mock_type: mockType,
       });
     },
+
+    /**
+     * Hold a seat while the booking form is filled in (calling again extends the hold)
+     * @param {string} mockExamId - The mock exam ID
+     * @returns {Promise} - { mock_exam_id, expires_at, ttl_seconds }
+     */
+    holdSeat: async (mockExamId) => {
+      return api.post(`/mock-exams/${mockExamId}/hold`);
+    },
+
+    /**
+     * Release the student's seat hold
+     * @param {string} mockExamId - The mock exam ID
+     * @param {Object} options - { keepalive: true } to survive page unload
+     */
+    releaseSeat: async (mockExamId, { keepalive = false } = {}) => {
+      if (keepalive) {
+        // axios cannot outlive the page, fetch with keepalive can
+        const token = getAccessToken();
+        return fetch(`${BASE_URL}/mock-exams/${mockExamId}/hold`, {
+          method: 'DELETE',
+          keepalive: true,
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
+      }
+      return api.delete(`/mock-exams/${mockExamId}/hold`);
+    },
   },
 
   /**
@@ -236,6 +336,24 @@ const apiService = {
       });
     },
 
+    /**
+     * Move a booking to another session of the same mock type (keeps the token used)
+     * @param {string} bookingId - Supabase UUID or HubSpot booking ID
+     * @param {string} newMockExamId - HubSpot ID of the target session
+     * @param {object} params - student_id and email
+     */
+    reschedule: async (bookingId, newMockExamId, params = {}) => {
+      // Extract user data from localStorage if not provided
+      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+
+      return api.post('/bookings/reschedule', {
+        student_id: params.student_id || userData.student_id,
+        email: params.email || userData.email,
+        booking_id: bookingId,
+        new_mock_exam_id: newMockExamId
+      });
+    },
+
     /**
      * Get single booking details
      * @param {string} bookingId - The HubSpot booking object ID
@@ -254,6 +372,109 @@ const apiService = {
     },
   },
 
+  // Waitlist
+  waitlist: {
+    /**
+     * Join the waitlist for a full mock exam session
+     * @param {object} payload - student_id, email, mock_exam_id and optional dominant_hand / attending_location
+     */
+    join: async (payload) => {
+      return api.post('/waitlist/join', payload);
+    },
+
+    /**
+     * List the student's waitlist entries with their queue positions
+     * @param {object} params - Query parameters including student_id and email
+     */
+    list: async (params = {}) => {
+      // Extract user data from localStorage if not provided
+      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+
+      return api.get('/waitlist/list', {
+        params: {
+          student_id: params.student_id || userData.student_id,
+          email: params.email || userData.email
+        }
+      });
+    },
+
+    /**
+     * Leave a waitlist
+     * @param {string} entryId - The waitlist entry ID
+     * @param {object} params - student_id and email
+     */
+    leave: async (entryId, params = {}) => {
+      // Extract user data from localStorage if not provided
+      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+
+      return api.delete(`/waitlist/${entryId}`, {
+        data: {
+          student_id: params.student_id || userData.student_id,
+          email: params.email || userData.email
+        }
+      });
+    },
+  },
+
+  // Exam sites (admin-managed location catalog)
+  locations: {
+    /**
+     * Get the active exam locations
+     * @returns {Promise} - [{ name, code, address, time_zone, directions }]
+     */
+    list: async () => {
+      return api.get('/locations');
+    },
+  },
+
+  // Calendar export
+  calendar: {
+    /**
+     * Download a booking as an .ics file (triggers a browser download)
+     * @param {string} bookingId - Supabase UUID or HubSpot booking ID
+     * @param {object} params - student_id and email
+     */
+    downloadBooking: async (bookingId, params = {}) => {
+      // Extract user data from localStorage if not provided
+      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+
+      const blob = await api.get('/calendar/booking', {
+        params: {
+          booking_id: bookingId,
+          student_id: params.student_id || userData.student_id,
+          email: params.email || userData.email
+        },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `prepdoctors-booking-${bookingId}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Get the student's private calendar subscription URL
+     * @param {object} params - student_id and email
+     * @returns {Promise} - { feed_url, webcal_url }
+     */
+    getFeedUrl: async (params = {}) => {
+      // Extract user data from localStorage if not provided
+      const userData = JSON.parse(localStorage.getItem('userData') || '{}');
+
+      return api.get('/calendar/feed-url', {
+        params: {
+          student_id: params.student_id || userData.student_id,
+          email: params.email || userData.email
+        }
+      });
+    },
+  },
+
   // User profile
   user: {
     /**
@@ -269,6 +490,50 @@ const apiService = {
       });
     },
 
+    /**
+     * Complete a login with the emailed one-time code
+     * @param {string} studentId - The student ID
+     * @param {string} email - The student's email address
+     * @param {string} code - 6-digit code
+     * @returns {Promise} - Same profile + session as a one-step login
+     */
+    verifyOtp: async (studentId, email, code) => {
+      return api.post('/user/verify-otp', {
+        student_id: studentId,
+        email: email,
+        code
+      });
+    },
+
+    /**
+     * Revoke the stored refresh token on the server (local session is cleared by the caller)
+     */
+    logout: async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return null;
+
+      return api.post('/user/logout', { refresh_token: refreshToken });
+    },
+
+    /**
+     * Get the student's token history (every debit/credit, newest first)
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise} - { entries, total, limit, offset }
+     */
+    getTokenHistory: async ({ limit = 20, offset = 0 } = {}) => {
+      return api.get('/user/token-history', {
+        params: { limit, offset }
+      });
+    },
+
+    /**
+     * Get the exam sets the student has attended or is booked into
+     * @returns {Promise} - { set_history: { [mock_type]: [{ mock_set, attended, exam_date, booking_id }] } }
+     */
+    getSetHistory: async () => {
+      return api.get('/user/set-history');
+    },
+
     /**
      * Update NDECC exam date for a student
      * @param {string} studentId - The student's HubSpot contact ID
@@ -455,7 +720,8 @@ export const getCapacityText = (availableSlots) => {
  *     sjmini_credits: 1,
  *     mock_discussion_token: 1,
  *     shared_mock_credits: 5
- *   }
+ *   },
+ *   credit_expiry: [{ credit_field: 'sj_credits', amount: 2, expires_at: '...' }]
  * }
  *
  * Output format (for ExamTypeSelector):
@@ -465,7 +731,8 @@ export const getCapacityText = (availableSlots) => {
  *     credit_breakdown: {
  *       specific_credits: 3,
  *       shared_credits: 5,
- *       total_credits: 8
+ *       total_credits: 8,
+ *       expiring_soon: [...] // credit_expiry entries for sj_credits and shared_mock_credits
  *     }
  *   },
  *   'Clinical Skills': { ... },
@@ -486,6 +753,10 @@ export const transformLoginCreditsToCache = (loginResponse) => {
     shared_mock_credits = 0
   } = loginResponse.credits;
 
+  // Tokens expiring in the next 30 days, split per exam type like the balances
+  const expiringFor = (...creditFields) => (loginResponse.credit_expiry || [])
+    .filter(entry => creditFields.includes(entry.credit_field));
+
   // Extract common fields from login response (available in all mock types)
   const commonFields = {
     student_name: loginResponse.name || '',
@@ -502,7 +773,8 @@ export const transformLoginCreditsToCache = (loginResponse) => {
       credit_breakdown: {
         specific_credits: sj_credits,
         shared_credits: shared_mock_credits,
-        total_credits: sj_credits + shared_mock_credits
+        total_credits: sj_credits + shared_mock_credits,
+        expiring_soon: expiringFor('sj_credits', 'shared_mock_credits')
       },
       ...commonFields,
       error_message: (sj_credits + shared_mock_credits) > 0 
@@ -515,7 +787,8 @@ export const transformLoginCreditsToCache = (loginResponse) => {
       credit_breakdown: {
         specific_credits: cs_credits,
         shared_credits: shared_mock_credits,
-        total_credits: cs_credits + shared_mock_credits
+        total_credits: cs_credits + shared_mock_credits,
+        expiring_soon: expiringFor('cs_credits', 'shared_mock_credits')
       },
       ...commonFields,
       error_message: (cs_credits + shared_mock_credits) > 0 
@@ -528,7 +801,8 @@ export const transformLoginCreditsToCache = (loginResponse) => {
       credit_breakdown: {
         specific_credits: sjmini_credits,
         shared_credits: shared_mock_credits,
-        total_credits: sjmini_credits + shared_mock_credits
+        total_credits: sjmini_credits + shared_mock_credits,
+        expiring_soon: expiringFor('sjmini_credits')
       },
       ...commonFields,
       error_message: (sjmini_credits + shared_mock_credits) > 0 
@@ -541,7 +815,8 @@ export const transformLoginCreditsToCache = (loginResponse) => {
       credit_breakdown: {
         specific_credits: mock_discussion_token,
         shared_credits: 0, // Mock discussions don't use shared credits
-        total_credits: mock_discussion_token
+        total_credits: mock_discussion_token,
+        expiring_soon: expiringFor('mock_discussion_token')
       },
       ...commonFields,
       error_message: mock_discussion_token > 0 
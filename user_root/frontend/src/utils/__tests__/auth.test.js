@@ -0,0 +1,57 @@
+/**
+ * Unit tests for session token helpers
+ * Tests setSessionTokens, getAccessToken, getRefreshToken and clearing on logout
+ */
+
+import {
+  setSessionTokens,
+  getAccessToken,
+  getRefreshToken,
+  clearSessionTokens,
+  clearUserSession
+} from '../auth';
+
+describe('session tokens', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('stores the access and refresh tokens from a login session', () => {
+    setSessionTokens({ access_token: 'access-1', refresh_token: 'refresh-1' });
+
+    expect(getAccessToken()).toBe('access-1');
+    expect(getRefreshToken()).toBe('refresh-1');
+  });
+
+  test('keeps the existing refresh token when only an access token is given', () => {
+    setSessionTokens({ access_token: 'access-1', refresh_token: 'refresh-1' });
+    setSessionTokens({ access_token: 'access-2' });
+
+    expect(getAccessToken()).toBe('access-2');
+    expect(getRefreshToken()).toBe('refresh-1');
+  });
+
+  test('ignores a missing session', () => {
+    setSessionTokens(null);
+    setSessionTokens({});
+
+    expect(getAccessToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+
+  test('clearSessionTokens removes both tokens', () => {
+    setSessionTokens({ access_token: 'access-1', refresh_token: 'refresh-1' });
+    clearSessionTokens();
+
+    expect(getAccessToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+
+  test('clearUserSession also removes the tokens', () => {
+    setSessionTokens({ access_token: 'access-1', refresh_token: 'refresh-1' });
+    clearUserSession();
+
+    expect(getAccessToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+});
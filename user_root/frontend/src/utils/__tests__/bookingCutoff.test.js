@@ -0,0 +1,56 @@
+/**
+ * Unit tests for booking cutoff helpers
+ * Tests getBookingClose, formatTimeUntil and getBookingClosesLabel
+ */
+
+import { getBookingClose, formatTimeUntil, getBookingClosesLabel } from '../bookingCutoff';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T10:00:00.000Z');
+const closingIn = (hours) => ({ booking_closes_at: new Date(NOW.getTime() + hours * HOUR_MS).toISOString() });
+
+describe('getBookingClose', () => {
+  test('returns the close time and the time left', () => {
+    const result = getBookingClose(closingIn(5), NOW);
+
+    expect(result.closesAt.toISOString()).toBe('2026-03-01T15:00:00.000Z');
+    expect(result.remainingMs).toBe(5 * HOUR_MS);
+    expect(result.closed).toBe(false);
+  });
+
+  test('marks sessions past their close time as closed', () => {
+    expect(getBookingClose(closingIn(-1), NOW).closed).toBe(true);
+  });
+
+  test('returns null without a valid close time', () => {
+    expect(getBookingClose({}, NOW)).toBeNull();
+    expect(getBookingClose(null, NOW)).toBeNull();
+    expect(getBookingClose({ booking_closes_at: 'soon' }, NOW)).toBeNull();
+  });
+});
+
+describe('formatTimeUntil', () => {
+  test('uses the largest whole unit', () => {
+    expect(formatTimeUntil(50 * HOUR_MS)).toBe('2 days');
+    expect(formatTimeUntil(24 * HOUR_MS)).toBe('1 day');
+    expect(formatTimeUntil(5.5 * HOUR_MS)).toBe('5 hours');
+    expect(formatTimeUntil(10 * 60 * 1000)).toBe('10 minutes');
+    expect(formatTimeUntil(20 * 1000)).toBe('1 minute');
+  });
+});
+
+describe('getBookingClosesLabel', () => {
+  test('counts down for sessions closing within a week', () => {
+    expect(getBookingClosesLabel(closingIn(3), NOW)).toBe('Booking closes in 3 hours');
+    expect(getBookingClosesLabel(closingIn(6 * 24), NOW)).toBe('Booking closes in 6 days');
+  });
+
+  test('stays quiet for sessions closing later or without a close time', () => {
+    expect(getBookingClosesLabel(closingIn(8 * 24), NOW)).toBeNull();
+    expect(getBookingClosesLabel({}, NOW)).toBeNull();
+  });
+
+  test('reports closed sessions', () => {
+    expect(getBookingClosesLabel(closingIn(-2), NOW)).toBe('Booking closed');
+  });
+});
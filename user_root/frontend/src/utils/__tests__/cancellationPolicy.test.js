@@ -0,0 +1,61 @@
+/**
+ * Unit tests for cancellation policy helpers
+ * Tests getCancellationWindow and formatCancellationDeadline
+ */
+
+import { getCancellationWindow, formatCancellationDeadline } from '../cancellationPolicy';
+
+describe('getCancellationWindow', () => {
+  const booking = {
+    cancellation_policy: {
+      free_until: '2026-03-01T10:00:00.000Z',
+      blocked_from: '2026-03-03T08:00:00.000Z',
+      free_until_hours: 48,
+      blocked_within_hours: 2
+    }
+  };
+
+  test('returns free before the free-cancellation deadline', () => {
+    const result = getCancellationWindow(booking, new Date('2026-02-28T10:00:00.000Z'));
+
+    expect(result.window).toBe('free');
+    expect(result.freeUntil.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    expect(result.freeUntilHours).toBe(48);
+  });
+
+  test('returns late between the free deadline and the blocked window', () => {
+    expect(getCancellationWindow(booking, new Date('2026-03-01T10:00:00.000Z')).window).toBe('late');
+    expect(getCancellationWindow(booking, new Date('2026-03-02T20:00:00.000Z')).window).toBe('late');
+  });
+
+  test('returns blocked once the blocked window starts', () => {
+    expect(getCancellationWindow(booking, new Date('2026-03-03T08:00:00.000Z')).window).toBe('blocked');
+    expect(getCancellationWindow(booking, new Date('2026-03-04T08:00:00.000Z')).window).toBe('blocked');
+  });
+
+  test('returns null when the booking has no policy', () => {
+    expect(getCancellationWindow({})).toBeNull();
+    expect(getCancellationWindow(null)).toBeNull();
+    expect(getCancellationWindow({ cancellation_policy: { free_until: null, blocked_from: null } })).toBeNull();
+  });
+
+  test('returns null for unparseable deadlines', () => {
+    expect(getCancellationWindow({
+      cancellation_policy: { free_until: 'not-a-date', blocked_from: '2026-03-03T08:00:00.000Z' }
+    })).toBeNull();
+  });
+});
+
+describe('formatCancellationDeadline', () => {
+  test('returns an empty string for missing or invalid dates', () => {
+    expect(formatCancellationDeadline(null)).toBe('');
+    expect(formatCancellationDeadline(new Date('invalid'))).toBe('');
+  });
+
+  test('includes the day and time', () => {
+    const formatted = formatCancellationDeadline(new Date(2026, 2, 3, 9, 0));
+
+    expect(formatted).toContain('Mar 3');
+    expect(formatted).toMatch(/9:00/);
+  });
+});
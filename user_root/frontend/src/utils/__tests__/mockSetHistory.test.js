@@ -0,0 +1,48 @@
+/**
+ * Unit tests for exam set history helpers
+ */
+
+import {
+  getSeenSets,
+  findSeenSet,
+  isSetSeen,
+  getSeenSetLabel
+} from '../mockSetHistory';
+
+const setHistory = {
+  'Clinical Skills': [
+    { mock_set: 'A', attended: true, exam_date: '2026-03-03', booking_id: 'CS-1' },
+    { mock_set: 'C', attended: false, exam_date: '2026-11-02', booking_id: 'CS-2' }
+  ]
+};
+
+describe('getSeenSets', () => {
+  test('returns the sets of one mock type', () => {
+    expect(getSeenSets(setHistory, 'Clinical Skills').map(entry => entry.mock_set)).toEqual(['A', 'C']);
+  });
+
+  test('returns an empty list for unknown types or a missing history', () => {
+    expect(getSeenSets(setHistory, 'Situational Judgment')).toEqual([]);
+    expect(getSeenSets(undefined, 'Clinical Skills')).toEqual([]);
+  });
+});
+
+describe('findSeenSet / isSetSeen', () => {
+  test('matches on mock type and set', () => {
+    expect(findSeenSet(setHistory, { mock_type: 'Clinical Skills', mock_set: 'C' }).booking_id).toBe('CS-2');
+    expect(isSetSeen(setHistory, { mock_type: 'Clinical Skills', mock_set: 'B' })).toBe(false);
+    expect(isSetSeen(setHistory, { mock_type: 'Situational Judgment', mock_set: 'A' })).toBe(false);
+  });
+
+  test('sessions without a set are never seen', () => {
+    expect(isSetSeen(setHistory, { mock_type: 'Clinical Skills', mock_set: null })).toBe(false);
+  });
+});
+
+describe('getSeenSetLabel', () => {
+  test('distinguishes attended from booked sets', () => {
+    expect(getSeenSetLabel(setHistory['Clinical Skills'][0])).toBe('Already attended');
+    expect(getSeenSetLabel(setHistory['Clinical Skills'][1])).toBe('Already booked');
+    expect(getSeenSetLabel(null)).toBe('');
+  });
+});
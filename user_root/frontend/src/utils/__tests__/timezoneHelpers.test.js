@@ -1,4 +1,4 @@
-import { getTimezoneLabel, formatTimezoneForDisplay } from '../timezoneHelpers';
+import { getTimezoneLabel, formatTimezoneForDisplay, setLocationCatalog } from '../timezoneHelpers';
 
 describe('timezoneHelpers', () => {
   describe('getTimezoneLabel', () => {
@@ -46,6 +46,36 @@ describe('timezoneHelpers', () => {
     });
   });
 
+  describe('getTimezoneLabel with the location catalog', () => {
+    beforeEach(() => {
+      setLocationCatalog([
+        { name: 'Winnipeg', time_zone: 'America/Winnipeg' },
+        { name: 'Vancouver', time_zone: 'America/Vancouver' },
+        { name: 'Kelowna Campus', time_zone: 'America/Vancouver' }
+      ]);
+    });
+
+    afterEach(() => {
+      setLocationCatalog([]);
+    });
+
+    it('should use the catalog time zone for Clinical Skills sites', () => {
+      expect(getTimezoneLabel('Clinical Skills', 'Winnipeg')).toBe('CST');
+      expect(getTimezoneLabel('Clinical Skills', 'Kelowna Campus')).toBe('PST');
+      expect(getTimezoneLabel('Clinical Skills', 'kelowna_campus')).toBe('PST');
+    });
+
+    it('should fall back to the campus heuristic for sites outside the catalog', () => {
+      expect(getTimezoneLabel('Clinical Skills', 'Calgary')).toBe('MST');
+      expect(getTimezoneLabel('Clinical Skills', 'Toronto')).toBe('EST');
+    });
+
+    it('should keep EST for SJ and Mini-mock at catalog sites', () => {
+      expect(getTimezoneLabel('Situational Judgment', 'Winnipeg')).toBe('EST');
+      expect(getTimezoneLabel('Mini-mock', 'Kelowna Campus')).toBe('EST');
+    });
+  });
+
   describe('formatTimezoneForDisplay', () => {
     it('should format timezone with parentheses', () => {
       expect(formatTimezoneForDisplay('EST')).toBe('(EST)');
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for token expiry display helpers
+ */
+
+import {
+  getExpiringTokens,
+  getDaysUntilExpiry,
+  describeExpiringTokens
+} from '../tokenExpiry';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('getExpiringTokens', () => {
+  test('reads expiring_soon from a credit breakdown', () => {
+    const breakdown = {
+      specific_credits: 2,
+      expiring_soon: [{ credit_field: 'sj_credits', amount: 2, expires_at: '2026-03-10T00:00:00Z' }]
+    };
+
+    expect(getExpiringTokens(breakdown)).toHaveLength(1);
+  });
+
+  test('reads expiring_soon from an eligibility object', () => {
+    const eligibility = {
+      available_credits: 1,
+      credit_breakdown: {
+        expiring_soon: [{ credit_field: 'mock_discussion_token', amount: 1, expires_at: '2026-03-10T00:00:00Z' }]
+      }
+    };
+
+    expect(getExpiringTokens(eligibility)).toHaveLength(1);
+  });
+
+  test('returns an empty list when nothing expires', () => {
+    expect(getExpiringTokens({ specific_credits: 2 })).toEqual([]);
+    expect(getExpiringTokens(null)).toEqual([]);
+  });
+});
+
+describe('getDaysUntilExpiry', () => {
+  test('counts whole days', () => {
+    expect(getDaysUntilExpiry('2026-03-06T12:00:00Z', NOW)).toBe(5);
+    expect(getDaysUntilExpiry('2026-03-01T18:00:00Z', NOW)).toBe(0);
+  });
+
+  test('never goes below zero', () => {
+    expect(getDaysUntilExpiry('2026-02-20T12:00:00Z', NOW)).toBe(0);
+  });
+});
+
+describe('describeExpiringTokens', () => {
+  test('describes several tokens', () => {
+    const text = describeExpiringTokens(
+      { credit_field: 'cs_credits', amount: 2, expires_at: '2026-03-06T12:00:00Z' },
+      NOW
+    );
+
+    expect(text).toMatch(/^2 Clinical Skills tokens expire in 5 days \(Mar [56], 2026\)$/);
+  });
+
+  test('uses singular wording and "tomorrow"', () => {
+    const text = describeExpiringTokens(
+      { credit_field: 'shared_mock_credits', amount: 1, expires_at: '2026-03-02T13:00:00Z' },
+      NOW
+    );
+
+    expect(text).toMatch(/^1 Shared token expires tomorrow/);
+  });
+});
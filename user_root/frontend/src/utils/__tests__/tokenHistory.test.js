@@ -0,0 +1,47 @@
+/**
+ * Unit tests for token history display helpers
+ */
+
+import {
+  getCreditFieldLabel,
+  getLedgerReasonLabel,
+  formatTokenDelta
+} from '../tokenHistory';
+
+describe('getCreditFieldLabel', () => {
+  test('maps credit fields to token names', () => {
+    expect(getCreditFieldLabel('sj_credits')).toBe('Situational Judgment');
+    expect(getCreditFieldLabel('shared_mock_credits')).toBe('Shared');
+  });
+
+  test('falls back to the raw field name', () => {
+    expect(getCreditFieldLabel('new_credits')).toBe('new_credits');
+    expect(getCreditFieldLabel(undefined)).toBe('Unknown');
+  });
+});
+
+describe('getLedgerReasonLabel', () => {
+  test('maps ledger reasons to student-facing text', () => {
+    expect(getLedgerReasonLabel('booking_created')).toBe('Booked a session');
+    expect(getLedgerReasonLabel('refund')).toBe('Refunded by staff');
+  });
+
+  test('uses a generic label for unknown reasons', () => {
+    expect(getLedgerReasonLabel('something_new')).toBe('Balance changed');
+  });
+});
+
+describe('formatTokenDelta', () => {
+  test('prefixes credits with a plus sign', () => {
+    expect(formatTokenDelta(1)).toBe('+1');
+    expect(formatTokenDelta(3)).toBe('+3');
+  });
+
+  test('keeps the minus sign on debits', () => {
+    expect(formatTokenDelta(-1)).toBe('-1');
+  });
+
+  test('treats missing values as zero', () => {
+    expect(formatTokenDelta(null)).toBe('0');
+  });
+});
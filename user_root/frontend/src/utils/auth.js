@@ -56,4 +56,30 @@ export const setUserSession = (userData) => {
 
 export const clearUserSession = () => {
   removeCookie('userSession');
+  clearSessionTokens();
+};
+
+// Signed session tokens issued by /api/user/login (or /api/user/verify-otp).
+// The access token is attached to every API call by the axios interceptor;
+// the refresh token is exchanged for a new pair when the access token expires.
+
+const ACCESS_TOKEN_KEY = 'sessionToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const setSessionTokens = (session) => {
+  if (!session?.access_token) return;
+
+  localStorage.setItem(ACCESS_TOKEN_KEY, session.access_token);
+  if (session.refresh_token) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, session.refresh_token);
+  }
+};
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
 };
\ No newline at end of file
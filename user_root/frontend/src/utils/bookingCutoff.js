@@ -0,0 +1,68 @@
+/**
+ * Booking Cutoff Helpers
+ * Client-side view of the server's booking window
+ * (user_root/api/_shared/booking-cutoff.js). The availability endpoints return
+ * booking_closes_at per session; the countdown shown in the list is worked out here.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Only sessions closing within this window get a "Booking closes in…" notice
+export const BOOKING_CLOSE_NOTICE_MS = 7 * DAY_MS;
+
+/**
+ * Time left before a session stops taking bookings
+ *
+ * @param {Object} exam - Session from /api/mock-exams/available (or mock-discussions)
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {Object|null} - { closesAt, remainingMs, closed } or null when the session has no close time
+ */
+export const getBookingClose = (exam, now = new Date()) => {
+  if (!exam?.booking_closes_at) {
+    return null;
+  }
+
+  const closesAt = new Date(exam.booking_closes_at);
+  if (isNaN(closesAt.getTime())) {
+    return null;
+  }
+
+  const remainingMs = closesAt.getTime() - now.getTime();
+
+  return {
+    closesAt,
+    remainingMs,
+    closed: remainingMs <= 0
+  };
+};
+
+/**
+ * Format a remaining duration in its largest whole unit (e.g. "2 days", "5 hours", "10 minutes")
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string}
+ */
+export const formatTimeUntil = (ms) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (ms >= DAY_MS) return plural(Math.floor(ms / DAY_MS), 'day');
+  if (ms >= HOUR_MS) return plural(Math.floor(ms / HOUR_MS), 'hour');
+  return plural(Math.max(1, Math.floor(ms / MINUTE_MS)), 'minute');
+};
+
+/**
+ * "Booking closes in …" label for sessions closing soon
+ *
+ * @param {Object} exam - Session with booking_closes_at
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {string|null} - Label, 'Booking closed' once the time has passed, or null when not closing soon
+ */
+export const getBookingClosesLabel = (exam, now = new Date()) => {
+  const close = getBookingClose(exam, now);
+  if (!close) return null;
+  if (close.closed) return 'Booking closed';
+  if (close.remainingMs > BOOKING_CLOSE_NOTICE_MS) return null;
+
+  return `Booking closes in ${formatTimeUntil(close.remainingMs)}`;
+};
@@ -0,0 +1,64 @@
+/**
+ * Cancellation Policy Helpers
+ * Client-side view of the server's cancellation cutoff policy
+ * (user_root/api/_shared/cancellation-policy.js). The bookings list returns the
+ * fixed deadlines per booking; the current window is worked out here.
+ */
+
+/**
+ * Determine which cancellation window a booking is currently in
+ *
+ * Windows:
+ * - 'free': before free_until - cancelling restores the token
+ * - 'late': between free_until and blocked_from - token is forfeited
+ * - 'blocked': after blocked_from - cancellation is not allowed
+ *
+ * @param {Object} booking - Booking with a cancellation_policy object from the bookings list
+ * @param {Date} [now] - Evaluation time (defaults to current time)
+ * @returns {Object|null} - { window, freeUntil, blockedFrom, freeUntilHours, blockedWithinHours } or null when the booking has no policy
+ */
+export const getCancellationWindow = (booking, now = new Date()) => {
+  const policy = booking?.cancellation_policy;
+  if (!policy?.free_until || !policy?.blocked_from) {
+    return null;
+  }
+
+  const freeUntil = new Date(policy.free_until);
+  const blockedFrom = new Date(policy.blocked_from);
+
+  if (isNaN(freeUntil.getTime()) || isNaN(blockedFrom.getTime())) {
+    return null;
+  }
+
+  let window = 'free';
+  if (now >= blockedFrom) {
+    window = 'blocked';
+  } else if (now >= freeUntil) {
+    window = 'late';
+  }
+
+  return {
+    window,
+    freeUntil,
+    blockedFrom,
+    freeUntilHours: policy.free_until_hours,
+    blockedWithinHours: policy.blocked_within_hours
+  };
+};
+
+/**
+ * Format a cancellation deadline for display (e.g. "Tue, Mar 3, 9:00 AM")
+ * @param {Date} date - Deadline
+ * @returns {string}
+ */
+export const formatCancellationDeadline = (date) => {
+  if (!date || isNaN(date.getTime())) return '';
+
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
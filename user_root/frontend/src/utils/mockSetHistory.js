@@ -0,0 +1,46 @@
+/**
+ * Exam Set History Helpers
+ * Which exam sets (A-H) a student has already attended or is booked into,
+ * from /api/user/set-history (rules live in user_root/api/_shared/mock-set-repeats.js)
+ */
+
+/**
+ * Get the sets of a mock type the student has seen
+ * @param {Object} setHistory - { [mock_type]: [{ mock_set, attended, exam_date, booking_id }] }
+ * @param {string} mockType - e.g. 'Clinical Skills'
+ * @returns {Array<Object>}
+ */
+export const getSeenSets = (setHistory, mockType) => {
+  return setHistory?.[mockType] || [];
+};
+
+/**
+ * Find the history entry for the set a session runs
+ * @param {Object} setHistory - See getSeenSets
+ * @param {Object} exam - Session ({ mock_type, mock_set })
+ * @returns {Object|null} - { mock_set, attended, exam_date, booking_id } or null if the set is new
+ */
+export const findSeenSet = (setHistory, exam) => {
+  if (!exam?.mock_set) return null;
+  return getSeenSets(setHistory, exam.mock_type).find(entry => entry.mock_set === exam.mock_set) || null;
+};
+
+/**
+ * Check whether a session runs a set the student has already seen
+ * @param {Object} setHistory - See getSeenSets
+ * @param {Object} exam - Session ({ mock_type, mock_set })
+ * @returns {boolean}
+ */
+export const isSetSeen = (setHistory, exam) => {
+  return findSeenSet(setHistory, exam) !== null;
+};
+
+/**
+ * Badge text for a seen set
+ * @param {Object|null} seenSet - From findSeenSet
+ * @returns {string}
+ */
+export const getSeenSetLabel = (seenSet) => {
+  if (!seenSet) return '';
+  return seenSet.attended ? 'Already attended' : 'Already booked';
+};
@@ -2,9 +2,48 @@
  * Timezone Helper Functions
  *
  * Determines the appropriate timezone label to display for mock exam sessions
- * based on mock type and location.
+ * based on mock type and location. Clinical Skills labels come from the time zone
+ * of the site in the location catalog once it has been loaded (hooks/useLocations),
+ * falling back to the campus name heuristic below.
  */
 
+// Location catalog registered by useLocations: code -> IANA time zone
+let catalogTimeZones = new Map();
+
+const toLocationCode = (value) =>
+  String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Register the location catalog used for time zone lookups
+ *
+ * @param {Array<{name: string, time_zone: string}>} locations - Catalog entries (empty to clear)
+ */
+export const setLocationCatalog = (locations = []) => {
+  catalogTimeZones = new Map(
+    locations
+      .filter((location) => location?.name && location.time_zone)
+      .map((location) => [toLocationCode(location.name), location.time_zone])
+  );
+};
+
+/**
+ * Standard-time abbreviation of an IANA time zone (e.g. America/Vancouver -> "PST")
+ *
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} - null when the zone is unknown to Intl
+ */
+const getStandardAbbreviation = (timeZone) => {
+  try {
+    // Mid-January is standard time for every campus we run
+    const januaryDate = new Date(Date.UTC(new Date().getUTCFullYear(), 0, 15, 12));
+    return new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(januaryDate)
+      .find((part) => part.type === 'timeZoneName')?.value || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Get timezone label for a mock exam session
  *
@@ -22,6 +61,13 @@ export const getTimezoneLabel = (mockType, location) => {
   if (mockType === 'Clinical Skills') {
     if (!location) return 'EST'; // Default to EST if location is missing
 
+    // Catalog time zone for the site, when the catalog is loaded
+    const catalogTimeZone = catalogTimeZones.get(toLocationCode(location));
+    const catalogLabel = catalogTimeZone && getStandardAbbreviation(catalogTimeZone);
+    if (catalogLabel) {
+      return catalogLabel;
+    }
+
     const locationLower = location.toLowerCase();
 
     // Vancouver → PST
@@ -0,0 +1,52 @@
+/**
+ * Token Expiry Helpers
+ * Display helpers for the expiring_soon entries the server attaches to credit
+ * breakdowns (user_root/api/_shared/credit-lots.js): tokens granted with an
+ * expiry date that runs out in the next 30 days.
+ */
+
+import { getCreditFieldLabel } from './tokenHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the expiring-soon entries from a credit breakdown
+ * Accepts a breakdown or an eligibility object wrapping one (credit_breakdown).
+ *
+ * @param {Object} creditBreakdown
+ * @returns {Array<{credit_field: string, amount: number, expires_at: string}>}
+ */
+export const getExpiringTokens = (creditBreakdown) => {
+  const entries = creditBreakdown?.expiring_soon || creditBreakdown?.credit_breakdown?.expiring_soon;
+  return Array.isArray(entries) ? entries.filter(entry => entry?.amount > 0 && entry?.expires_at) : [];
+};
+
+/**
+ * Whole days until an expiry date (0 = expires today)
+ * @param {string} expiresAt - ISO timestamp
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getDaysUntilExpiry = (expiresAt, now = new Date()) => {
+  const diff = new Date(expiresAt).getTime() - now.getTime();
+  return Math.max(Math.floor(diff / DAY_MS), 0);
+};
+
+/**
+ * Describe one expiring entry, e.g. "2 Clinical Skills tokens expire in 5 days (Mar 3, 2027)"
+ * @param {Object} entry - { credit_field, amount, expires_at }
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const describeExpiringTokens = (entry, now = new Date()) => {
+  const days = getDaysUntilExpiry(entry.expires_at, now);
+  const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  const date = new Date(entry.expires_at).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const plural = entry.amount === 1 ? 'token expires' : 'tokens expire';
+
+  return `${entry.amount} ${getCreditFieldLabel(entry.credit_field)} ${plural} ${when} (${date})`;
+};
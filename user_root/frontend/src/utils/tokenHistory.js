@@ -0,0 +1,52 @@
+/**
+ * Token History Helpers
+ * Display labels for credit ledger entries returned by /api/user/token-history
+ * (reasons and credit fields come from user_root/api/_shared/credit-ledger.js)
+ */
+
+export const CREDIT_FIELD_LABELS = {
+  sj_credits: 'Situational Judgment',
+  cs_credits: 'Clinical Skills',
+  sjmini_credits: 'Mini-mock',
+  mock_discussion_token: 'Mock Discussion',
+  shared_mock_credits: 'Shared'
+};
+
+export const LEDGER_REASON_LABELS = {
+  booking_created: 'Booked a session',
+  booking_cancelled: 'Cancelled a booking',
+  waitlist_promoted: 'Booked from the waitlist',
+  bulk_booking: 'Booked by staff',
+  refund: 'Refunded by staff',
+  admin_adjustment: 'Adjusted by staff',
+  token_expired: 'Tokens expired',
+  hubspot_sync: 'Balance updated (purchase or account change)'
+};
+
+/**
+ * Get the display label for a credit field
+ * @param {string} creditField - e.g. 'sj_credits'
+ * @returns {string}
+ */
+export const getCreditFieldLabel = (creditField) => {
+  return CREDIT_FIELD_LABELS[creditField] || creditField || 'Unknown';
+};
+
+/**
+ * Get the display label for a ledger reason
+ * @param {string} reason - e.g. 'booking_created'
+ * @returns {string}
+ */
+export const getLedgerReasonLabel = (reason) => {
+  return LEDGER_REASON_LABELS[reason] || 'Balance changed';
+};
+
+/**
+ * Format a balance change with its sign (e.g. "+1", "-2")
+ * @param {number} delta
+ * @returns {string}
+ */
+export const formatTokenDelta = (delta) => {
+  const value = parseInt(delta) || 0;
+  return value > 0 ? `+${value}` : `${value}`;
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: [
+    '**/tests/unit/**/*.test.js'
+  ],
+  modulePathIgnorePatterns: [
+    '<rootDir>/frontend/'
+  ],
+  setupFiles: ['<rootDir>/tests/setup.js'],
+  testTimeout: 30000
+};
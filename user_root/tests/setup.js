@@ -0,0 +1,9 @@
+// Test setup file for user_root
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Sign student sessions with a fixed test secret
+if (!process.env.STUDENT_SESSION_SECRET) {
+  process.env.STUDENT_SESSION_SECRET = 'test-student-session-secret';
+}
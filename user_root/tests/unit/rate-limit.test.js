@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for the rate limiter in the student app
+ * Tests keying booking writes on the signed-in student
+ */
+
+jest.mock('../../api/_shared/redis', () => jest.fn().mockImplementation(() => {
+  throw new Error('Redis URL not configured');
+}));
+
+const { getRateLimitKeys, rateLimitMiddleware } = require('../../api/_shared/rate-limit');
+const { signAccessToken } = require('../../api/_shared/student-session');
+
+const identity = { contactId: '1001', studentId: 's1001', email: 'trainee@example.com' };
+
+function createRequest(headers = {}) {
+  return { headers: { 'x-forwarded-for': '203.0.113.9', ...headers }, body: { student_id: 'S9999' } };
+}
+
+function createResponse() {
+  const res = { headers: {}, statusCode: 200 };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = () => res;
+  return res;
+}
+
+describe('rate-limit (student app)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keys booking writes on the student of the access token, not the request body', () => {
+    const { token } = signAccessToken(identity);
+
+    expect(getRateLimitKeys(createRequest({ authorization: `Bearer ${token}` }), 'bookings-write'))
+      .toEqual(['ratelimit:bookings-write:session:S1001']);
+  });
+
+  test('falls back to the client IP without a valid access token', () => {
+    expect(getRateLimitKeys(createRequest(), 'bookings-write'))
+      .toEqual(['ratelimit:bookings-write:ip:203.0.113.9']);
+    expect(getRateLimitKeys(createRequest({ authorization: 'Bearer forged.token.value' }), 'bookings-write'))
+      .toEqual(['ratelimit:bookings-write:ip:203.0.113.9']);
+  });
+
+  test('students behind one IP have their own booking write limit', async () => {
+    const limiter = rateLimitMiddleware({ policy: 'bookings-write' });
+    const first = createRequest({ authorization: `Bearer ${signAccessToken(identity).token}` });
+    const second = createRequest({
+      authorization: `Bearer ${signAccessToken({ ...identity, studentId: 'S2002' }).token}`
+    });
+
+    for (let i = 0; i < 20; i++) {
+      expect(await limiter(first, createResponse())).toBe(false);
+    }
+
+    expect(await limiter(first, createResponse())).toBe(true);
+    expect(await limiter(second, createResponse())).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for student sessions
+ * Tests access token verification, refresh token rotation and revocation, and login codes
+ */
+
+// In-memory stand-in for Redis; entries expire against Date.now()
+const mockStore = new Map();
+
+jest.mock('../../api/_shared/redis', () => jest.fn().mockImplementation(() => ({
+  get: async (key) => {
+    const entry = mockStore.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      mockStore.delete(key);
+      return null;
+    }
+    return entry.value;
+  },
+  setex: async (key, ttlSeconds, value) => {
+    mockStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return 'OK';
+  },
+  del: async (key) => (mockStore.delete(key) ? 1 : 0),
+  close: async () => {}
+})));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  requireStudentSession,
+  requestLoginOtp,
+  verifyLoginOtp
+} = require('../../api/_shared/student-session');
+
+const identity = { contactId: '1001', studentId: 'S1001', email: 'trainee@example.com' };
+const NOW = 1767268800; // 2026-01-01T12:00:00Z
+
+const secret = () => process.env.STUDENT_SESSION_SECRET;
+const claimsFor = (overrides = {}) => ({
+  sub: '1001',
+  student_id: 'S1001',
+  email: 'trainee@example.com',
+  typ: 'access',
+  iat: NOW,
+  exp: NOW + ACCESS_TOKEN_TTL_SECONDS,
+  ...overrides
+});
+
+describe('Student Sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.STUDENT_OTP_WEBHOOK_URL;
+  });
+
+  describe('verifyAccessToken', () => {
+    test('returns the student a valid token was issued to', () => {
+      const { token, expiresAt } = signAccessToken(identity, NOW);
+
+      expect(expiresAt).toBe(NOW + ACCESS_TOKEN_TTL_SECONDS);
+      expect(verifyAccessToken(token, NOW + 60)).toEqual(identity);
+    });
+
+    test('rejects a token whose signature or claims were tampered with', () => {
+      const { token } = signAccessToken(identity, NOW);
+      const [header, payload, signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify(claimsFor({ student_id: 'S9999' }))).toString('base64url');
+      const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+      expect(() => verifyAccessToken(`${header}.${payload}.${flipped}`, NOW))
+        .toThrow(expect.objectContaining({ status: 401, code: 'INVALID_SESSION' }));
+      expect(() => verifyAccessToken(`${header}.${forgedPayload}.${signature}`, NOW))
+        .toThrow(expect.objectContaining({ status: 401, code: 'INVALID_SESSION' }));
+      expect(() => verifyAccessToken('not-a-token', NOW))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SESSION' }));
+    });
+
+    test('rejects tokens signed with another algorithm or none at all', () => {
+      const hs512 = jwt.sign(claimsFor(), secret(), { algorithm: 'HS512' });
+      const unsigned = jwt.sign(claimsFor(), null, { algorithm: 'none' });
+
+      expect(() => verifyAccessToken(hs512, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_SESSION' }));
+      expect(() => verifyAccessToken(unsigned, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_SESSION' }));
+    });
+
+    test('rejects signed tokens that are not access tokens', () => {
+      const refresh = jwt.sign(claimsFor({ typ: 'refresh' }), secret(), { algorithm: 'HS256' });
+      const { exp, ...withoutExpiry } = claimsFor();
+      const endless = jwt.sign(withoutExpiry, secret(), { algorithm: 'HS256' });
+
+      expect(() => verifyAccessToken(refresh, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_SESSION' }));
+      expect(() => verifyAccessToken(endless, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_SESSION' }));
+    });
+
+    test('reports an expired token as SESSION_EXPIRED', () => {
+      const { token } = signAccessToken(identity, NOW);
+
+      expect(() => verifyAccessToken(token, NOW + ACCESS_TOKEN_TTL_SECONDS))
+        .toThrow(expect.objectContaining({ status: 401, code: 'SESSION_EXPIRED' }));
+    });
+  });
+
+  describe('requireStudentSession', () => {
+    test('reads the Bearer token and requires one', () => {
+      const { token } = signAccessToken(identity);
+
+      expect(requireStudentSession({ headers: { authorization: `Bearer ${token}` } })).toEqual(identity);
+      expect(() => requireStudentSession({ headers: {} }))
+        .toThrow(expect.objectContaining({ status: 401, code: 'AUTH_REQUIRED' }));
+    });
+  });
+
+  describe('refresh tokens', () => {
+    test('rotation issues a new pair and the old refresh token cannot be used again', async () => {
+      const first = await issueSession(identity);
+      const second = await rotateSession(first.refresh_token);
+
+      expect(second.refresh_token).not.toBe(first.refresh_token);
+      expect(verifyAccessToken(second.access_token)).toEqual(identity);
+      expect([...mockStore.keys()].join()).not.toContain(second.refresh_token);
+
+      await expect(rotateSession(first.refresh_token))
+        .rejects.toMatchObject({ status: 401, code: 'INVALID_REFRESH_TOKEN' });
+      await expect(rotateSession(second.refresh_token)).resolves.toMatchObject({ token_type: 'Bearer' });
+    });
+
+    test('a revoked refresh token cannot be rotated', async () => {
+      const session = await issueSession(identity);
+
+      await expect(revokeSession(session.refresh_token)).resolves.toBe(true);
+      await expect(revokeSession(session.refresh_token)).resolves.toBe(false);
+      await expect(rotateSession(session.refresh_token))
+        .rejects.toMatchObject({ status: 401, code: 'INVALID_REFRESH_TOKEN' });
+    });
+  });
+
+  describe('login codes', () => {
+    const profile = { student_id: 'S1001', name: 'Test Trainee' };
+    const storedCode = () => JSON.parse(mockStore.get('student:otp:S1001').value).code;
+
+    test('emails the code and returns the pending login once it is verified', async () => {
+      process.env.STUDENT_OTP_WEBHOOK_URL = 'https://hooks.example.com/otp';
+
+      const result = await requestLoginOtp(identity, profile);
+      const code = storedCode();
+
+      expect(result).toEqual({ expires_in: 600, email_hint: 't***@example.com' });
+      expect(axios.post).toHaveBeenCalledWith('https://hooks.example.com/otp', {
+        email: 'trainee@example.com',
+        student_id: 'S1001',
+        otp: code
+      });
+
+      await expect(verifyLoginOtp('S1001', 'TRAINEE@example.com', code)).resolves.toEqual({ identity, profile });
+      await expect(verifyLoginOtp('S1001', 'trainee@example.com', code))
+        .rejects.toMatchObject({ code: 'CODE_EXPIRED' });
+    });
+
+    test('refuses a code once it has expired', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(NOW * 1000);
+      await requestLoginOtp(identity, profile);
+      const code = storedCode();
+
+      now.mockReturnValue(NOW * 1000 + 10 * 60 * 1000);
+
+      await expect(verifyLoginOtp('S1001', 'trainee@example.com', code))
+        .rejects.toMatchObject({ status: 400, code: 'CODE_EXPIRED' });
+    });
+
+    test('throws the code away after five wrong attempts', async () => {
+      await requestLoginOtp(identity, profile);
+      const code = storedCode();
+      const wrong = code === '123456' ? '654321' : '123456';
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        await expect(verifyLoginOtp('S1001', 'trainee@example.com', wrong))
+          .rejects.toMatchObject({ status: 400, code: 'INVALID_CODE' });
+      }
+
+      // A code for the wrong email counts as a wrong attempt too
+      await expect(verifyLoginOtp('S1001', 'someone-else@example.com', code))
+        .rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+      await expect(verifyLoginOtp('S1001', 'trainee@example.com', code))
+        .rejects.toMatchObject({ code: 'CODE_EXPIRED' });
+    });
+
+    test('limits how often a new code can be requested', async () => {
+      await requestLoginOtp(identity, profile);
+
+      await expect(requestLoginOtp(identity, profile))
+        .rejects.toMatchObject({ status: 429, code: 'RATE_LIMITED' });
+    });
+  });
+});